@@ -5,28 +5,102 @@
  * between components defined in the Year Planner Design Document.
  */
 
-// Use the services version of StorageAdapter
-import { StorageAdapter } from './services/StorageAdapter.js';
+import {
+  createStorageAdapter,
+  getStorageBackend,
+  setStorageBackend,
+} from './services/StorageFactory.js';
+import {
+  RemoteStorageAdapter,
+  ConflictError,
+} from './services/RemoteStorageAdapter.js';
+import { CommandHistory } from './services/CommandHistory.js';
 import { RecurrenceCalculator } from './services/RecurrenceCalculator.js';
 import { EventPositionCalculator } from './services/EventPositionCalculator.js';
-import { Event, YearPlanner } from './domain/models.js';
+import {
+  HolidayCalculator,
+  loadHolidayRuleSets,
+} from './services/HolidayCalculator.js';
+import { TeamCoverageCalculator } from './services/TeamCoverageCalculator.js';
+import { TabSync } from './services/TabSync.js';
+import { SharedPlanStorageAdapter } from './services/SharedPlanStorageAdapter.js';
+import { EncryptedStorageAdapter } from './services/EncryptedStorageAdapter.js';
+import { SnapshotManager } from './services/SnapshotManager.js';
+import { TrashBin } from './services/TrashBin.js';
+import { Event, Category, Calendar, YearPlanner } from './domain/models.js';
 import EventEditorModal from './components/EventEditorModal.js';
+import CategoryManagerModal from './components/CategoryManagerModal.js';
+import CalendarManagerModal from './components/CalendarManagerModal.js';
+import RecurrenceScopeModal from './components/RecurrenceScopeModal.js';
+import SettingsModal from './components/SettingsModal.js';
+import ImportWizardModal from './components/ImportWizardModal.js';
+import CsvImportModal from './components/CsvImportModal.js';
+import PassphraseModal from './components/PassphraseModal.js';
+import SnapshotRestoreModal from './components/SnapshotRestoreModal.js';
+import TrashModal from './components/TrashModal.js';
 import { YearPlannerGrid } from './components/YearPlannerGrid.js';
 import {
   normalizeDateToUTC,
   createDateOnly,
   compareDates,
   getDaysBetween,
+  toHalfDays,
+  fromHalfDays,
+  formatPlannerYear,
 } from './utils/DateUtils.js';
 import {
   exportToPdf,
   exportToPdfUsingPrintStylesheet,
 } from './utils/PdfExporter.js';
 import UserManualModal from './components/UserManualModal.js';
+import { exportToIcs, importFromIcs } from './utils/ICalendar.js';
+import {
+  exportToCsv,
+  parseCsv,
+  guessColumnMapping,
+  detectDateFormat,
+  importFromCsv,
+} from './utils/Csv.js';
+import {
+  createSharedPlan,
+  encodeSharedPlan,
+  decodeSharedPlan,
+  getShareToken,
+  createShareUrl,
+} from './utils/ShareLink.js';
+import {
+  WrongPassphraseError,
+  isEncryptedFile,
+  decryptFile,
+} from './utils/Encryption.js';
+import {
+  DEFAULT_CATEGORIES,
+  DEFAULT_CALENDARS,
+  DEFAULT_CALENDAR_ID,
+  ENCRYPTION,
+  HISTORY,
+  IMPORT_STRATEGIES,
+  LAYOUTS,
+  PREFERENCES,
+  REMOTE_STORAGE,
+  ROLLING_YEAR_START,
+  SHARE,
+  SNAPSHOT_REASONS,
+  STORAGE,
+  STORAGE_BACKENDS,
+  SYNC,
+} from './config.js';
 
 // Log imports to help with debugging
 console.log('Modules imported successfully');
 
+/** Grid layouts offered in the toolbar */
+const LAYOUT_OPTIONS = [
+  { value: LAYOUTS.WEEKDAY, label: 'Weekday columns' },
+  { value: LAYOUTS.DAY_ALIGNED, label: 'Day of month' },
+  { value: LAYOUTS.TIMELINE, label: 'Timeline' },
+];
+
 /**
  * Main application controller that orchestrates the Year Planner application
  */
@@ -40,11 +114,33 @@ export class YearPlannerApp {
     this.storageAdapter = null;
     this.yearPlannerGrid = null;
     this.eventEditorModal = null;
+    this.categoryManagerModal = null;
+    this.calendarManagerModal = null;
+    this.recurrenceScopeModal = null;
+    this.settingsModal = null;
+    this.importWizardModal = null;
+    this.csvImportModal = null;
+    this.passphraseModal = null;
+    this.snapshotRestoreModal = null;
+    this.trashModal = null;
+    this.pendingEventMove = null;
+    this.pendingImport = null;
+    this.pendingCsvImport = null;
+    this.pendingPassphrase = null;
+    this.categories = [];
+    this.calendars = DEFAULT_CALENDARS.map((data) => new Calendar(data));
+    this.preferences = { ...PREFERENCES.DEFAULTS };
     this.eventPositionCalculator = null;
     this.recurrenceCalculator = null;
+    this.holidayCalculator = new HolidayCalculator();
+    this.teamCoverageCalculator = new TeamCoverageCalculator();
     this.initialized = false;
     this.loading = false;
     this.notificationTimeout = null;
+    this.history = new CommandHistory();
+    this.applyingHistory = false;
+    this.tabSync = null;
+    this.sharedPlan = null;
   }
 
   /**
@@ -55,14 +151,19 @@ export class YearPlannerApp {
     try {
       console.log('Initializing Year Planner application...');
 
+      // Create notification area if it doesn't exist
+      this.createNotificationArea();
+
+      // A share link shows the shared plan read-only instead of the user's own
+      this.sharedPlan = await this.readSharedPlan();
+
       // Initialize dependencies
-      this.storageAdapter = new StorageAdapter();
+      this.storageAdapter = this.sharedPlan
+        ? new SharedPlanStorageAdapter(this.sharedPlan)
+        : await createStorageAdapter();
       this.eventPositionCalculator = new EventPositionCalculator();
       this.recurrenceCalculator = new RecurrenceCalculator(this.currentYear);
 
-      // Create notification area if it doesn't exist
-      this.createNotificationArea();
-
       // Create application controls if they don't exist in the HTML
       this.createApplicationControls();
 
@@ -78,11 +179,83 @@ export class YearPlannerApp {
       // Create and append the user manual modal to the DOM
       this.createUserManualModal();
 
+      // Create and append the category manager modal to the DOM
+      this.createCategoryManagerModal();
+
+      // Create and append the calendar manager modal to the DOM
+      this.createCalendarManagerModal();
+
+      // Create and append the dialog for dragging recurring events to the DOM
+      this.createRecurrenceScopeModal();
+
+      // Create and append the settings modal to the DOM
+      this.createSettingsModal();
+
+      // Create and append the import preview wizard to the DOM
+      this.createImportWizardModal();
+
+      // Create and append the CSV column mapping dialog to the DOM
+      this.createCsvImportModal();
+
+      // Create and append the passphrase dialog to the DOM
+      this.createPassphraseModal();
+
+      // Create and append the snapshot restore dialog to the DOM
+      this.createSnapshotRestoreModal();
+
+      // Create and append the trash to the DOM
+      this.createTrashModal();
+
       // Create and append the year planner grid to the DOM
       this.createYearPlannerGrid();
 
+      // Load the built-in holiday rules offered in the settings
+      await this.loadHolidayRules();
+
+      // Ask for the passphrase before anything is read from encrypted storage
+      if (!this.sharedPlan) {
+        await this.unlockStorage();
+      }
+
+      // Load categories before events so bars render in their colors
+      await this.loadCategories();
+
+      // Load calendars before events so hidden ones are left out
+      await this.loadCalendars();
+
+      // Apply the week layout before the first render
+      await this.loadPreferences();
+
+      // Restore undo/redo history from the previous session
+      await this.loadHistory();
+
       // Load initial data
-      await this.loadYear(this.currentYear);
+      await this.loadYear(
+        this.sharedPlan ? this.sharedPlan.year : this.currentYear,
+      );
+
+      if (this.sharedPlan) {
+        this.enterSharedView();
+      } else {
+        // Keep other open tabs of the planner in step with this one
+        this.startTabSync();
+
+        // Keep a snapshot of the day's first state to go back to
+        await this.takeDailySnapshot();
+
+        // Delete events kept in the trash longer than the settings allow
+        await this.purgeExpiredTrash();
+      }
+
+      if (
+        !this.sharedPlan &&
+        getStorageBackend() === STORAGE_BACKENDS.SERVER &&
+        !(this.storageAdapter instanceof RemoteStorageAdapter)
+      ) {
+        this.displayErrorMessage(
+          "The planner server can't be reached, so this browser's planner is shown. Changes made now are only saved in this browser.",
+        );
+      }
 
       this.initialized = true;
       console.log('Year Planner initialized successfully');
@@ -94,6 +267,295 @@ export class YearPlannerApp {
     }
   }
 
+  /**
+   * Read the plan shared by the link the page was opened with
+   * @returns {Promise<Object|null>} The shared plan, or null if the page
+   *   wasn't opened from a share link or the link can't be read
+   */
+  async readSharedPlan() {
+    const token = getShareToken(window.location.hash);
+    if (!token) return null;
+
+    try {
+      return await decodeSharedPlan(token);
+    } catch (error) {
+      console.error('Failed to open shared plan:', error);
+      this.displayErrorMessage(
+        `Can't open the shared plan: ${error.message}. Your own planner is shown instead.`,
+      );
+      return null;
+    }
+  }
+
+  /**
+   * Show the shared plan read-only: hide the controls that change the
+   * planner, and offer to import the plan or go back to the user's own
+   */
+  enterSharedView() {
+    document.body.classList.add('shared-view');
+
+    const banner = document.createElement('div');
+    banner.id = 'shared-plan-banner';
+    banner.className = 'shared-plan-banner';
+
+    const text = document.createElement('span');
+    text.textContent = `You are looking at a shared plan for ${this.getYearLabel(this.sharedPlan.year)}. It is read-only; your own planner is unchanged.`;
+
+    const importBtn = document.createElement('button');
+    importBtn.className = 'btn btn-primary';
+    importBtn.textContent = 'Import into my planner';
+    importBtn.addEventListener('click', () => this.importSharedPlan());
+
+    const ownPlannerBtn = document.createElement('button');
+    ownPlannerBtn.className = 'btn';
+    ownPlannerBtn.textContent = 'Open my planner';
+    ownPlannerBtn.addEventListener('click', () => {
+      window.location.assign(window.location.href.split('#')[0]);
+    });
+
+    banner.appendChild(text);
+    banner.appendChild(importBtn);
+    banner.appendChild(ownPlannerBtn);
+
+    const controls = document.getElementById('app-controls');
+    controls.parentNode.insertBefore(banner, controls);
+  }
+
+  /**
+   * Go back from the shared plan to the controls of the user's own planner,
+   * and drop the link from the address so a reload shows their own planner
+   */
+  leaveSharedView() {
+    document.body.classList.remove('shared-view');
+
+    const banner = document.getElementById('shared-plan-banner');
+    if (banner) {
+      banner.parentNode.removeChild(banner);
+    }
+
+    window.history.replaceState(null, '', window.location.href.split('#')[0]);
+  }
+
+  /**
+   * Open the user's own planner and preview importing the shared plan into
+   * it. Its categories and calendars are added once the import is applied.
+   * @returns {Promise<void>}
+   */
+  async importSharedPlan() {
+    const plan = this.sharedPlan;
+    if (!plan) return;
+
+    try {
+      this.storageAdapter = await createStorageAdapter();
+      this.sharedPlan = null;
+      this.leaveSharedView();
+      await this.unlockStorage();
+
+      await this.loadCategories();
+      await this.loadCalendars();
+      await this.loadPreferences();
+      await this.loadHistory();
+      await this.loadYear(plan.year);
+      this.startTabSync();
+
+      // List events under the year they start in, as export files do
+      const eventsByYear = {};
+      plan.events.forEach((event) => {
+        const year = new Date(event.startDate).getUTCFullYear();
+        eventsByYear[year] = eventsByYear[year] || [];
+        eventsByYear[year].push(event);
+      });
+      const fileData = JSON.stringify(eventsByYear);
+      const fileName = 'shared plan';
+
+      const preview = await this.storageAdapter.previewImport(fileData, {
+        defaultCalendarId: DEFAULT_CALENDAR_ID,
+      });
+      this.pendingImport = {
+        fileData,
+        fileName,
+        calendar: null,
+        sharedPlan: plan,
+      };
+      this.importWizardModal.open(fileName, preview);
+    } catch (error) {
+      console.error('Error importing shared plan:', error);
+      this.displayErrorMessage(
+        `Failed to import the shared plan: ${error.message}`,
+      );
+    }
+  }
+
+  /**
+   * Add the categories and calendars of a shared plan that this planner
+   * doesn't have yet, so imported events keep their colors
+   * @param {Object} plan - Plan decoded from a share link
+   * @returns {Promise<void>}
+   */
+  async addSharedPlanLists(plan) {
+    const categories = plan.categories.filter(
+      (shared) => !this.categories.some((category) => category.id === shared.id),
+    );
+    if (categories.length > 0) {
+      await this.storageAdapter.saveCategories([
+        ...this.categories,
+        ...categories.map((data) => new Category(data)),
+      ]);
+      await this.loadCategories();
+    }
+
+    const calendars = plan.calendars.filter(
+      (shared) => !this.calendars.some((calendar) => calendar.id === shared.id),
+    );
+    if (calendars.length > 0) {
+      await this.storageAdapter.saveCalendars([
+        ...this.calendars,
+        ...calendars.map((data) => new Calendar(data)),
+      ]);
+      await this.loadCalendars();
+    }
+  }
+
+  /**
+   * Ask for the passphrase when the stored data is encrypted, and read and
+   * write it through the key the passphrase unlocks from then on. The data
+   * can be erased instead when the passphrase is lost.
+   * @returns {Promise<void>}
+   */
+  async unlockStorage() {
+    // The server keeps the team's planner, which is never encrypted
+    if (this.storageAdapter instanceof RemoteStorageAdapter) return;
+
+    const adapter = this.storageAdapter;
+    if (!(await EncryptedStorageAdapter.isEnabled(adapter))) return;
+
+    this.storageAdapter = await this.askPassphrase(
+      'unlock',
+      async ({ action, passphrase }) => {
+        if (action === 'erase') {
+          await adapter.clearAllData();
+          return adapter;
+        }
+        return EncryptedStorageAdapter.unlock(adapter, passphrase);
+      },
+    );
+  }
+
+  /**
+   * Announce what this tab stores to other open tabs, and reload what they
+   * store, so no tab saves over another's changes from a stale copy
+   */
+  startTabSync() {
+    this.tabSync = new TabSync();
+    this.storageAdapter.onChange((change) => this.tabSync.publish(change));
+    this.tabSync.subscribe((change) => this.handleExternalChange(change));
+
+    // Send changes still waiting to be batched before the tab goes away
+    window.addEventListener('pagehide', () => this.tabSync.flush());
+  }
+
+  /**
+   * Reload whatever another tab changed that this tab shows, and warn if it
+   * changed the event open in the editor
+   * @param {Object} change - Change description from StorageAdapter.onChange()
+   * @returns {Promise<void>}
+   */
+  async handleExternalChange(change) {
+    // A year being loaded may have been read before the change
+    if (this.loading) {
+      setTimeout(() => this.handleExternalChange(change), SYNC.BATCH_DELAY);
+      return;
+    }
+
+    try {
+      const settings = change.all ? null : change.settings || [];
+      const changedSetting = (key) => !settings || settings.includes(key);
+      let year = this.currentYear;
+      let reload = Boolean(change.all);
+
+      // Encryption was turned on or off: start over, to ask for the passphrase or drop the key
+      if (
+        changedSetting(ENCRYPTION.SETTING_KEY) &&
+        (await EncryptedStorageAdapter.isEnabled(this.storageAdapter)) !==
+          this.storageAdapter instanceof EncryptedStorageAdapter
+      ) {
+        window.location.reload();
+        return;
+      }
+
+      if (changedSetting(PREFERENCES.STORAGE_KEY)) {
+        const yearStart = this.preferences.yearStart;
+        const stored = await this.storageAdapter.loadSetting(
+          PREFERENCES.STORAGE_KEY,
+        );
+        this.preferences = { ...PREFERENCES.DEFAULTS, ...(stored || {}) };
+        this.applyPreferences();
+        if (this.preferences.yearStart !== yearStart) {
+          year = this.getPlannerYearOf(new Date());
+        }
+        reload = true;
+      }
+      if (changedSetting(STORAGE.CATEGORIES_KEY)) {
+        await this.loadCategories();
+        reload = true;
+      }
+      if (changedSetting(STORAGE.CALENDARS_KEY)) {
+        await this.loadCalendars();
+        reload = true;
+      }
+      if (changedSetting(HISTORY.STORAGE_KEY)) {
+        await this.loadHistory();
+      }
+      if (changedSetting(STORAGE.TRASH_KEY) && this.trashModal.isOpen) {
+        await this.openTrash();
+      }
+
+      // Events changed in a storage year the planner year touches, or moved out of it
+      const { firstDay, lastDay } = this.getPlannerDays();
+      const shownIds = new Set(this.yearPlanner.events.map((event) => event.id));
+      reload =
+        reload ||
+        (change.years || []).some(
+          (changedYear) =>
+            changedYear >= firstDay.getUTCFullYear() &&
+            changedYear <= lastDay.getUTCFullYear(),
+        ) ||
+        [...(change.eventIds || []), ...(change.deletedIds || [])].some((id) =>
+          shownIds.has(id),
+        );
+
+      if (reload) {
+        this.recurrenceCalculator.clearCache();
+        await this.loadYear(year);
+      }
+
+      this.warnIfEditedElsewhere(change);
+    } catch (error) {
+      console.error('Error applying change from another tab:', error);
+    }
+  }
+
+  /**
+   * Warn in the editor when another tab changed or deleted the event it shows
+   * @param {Object} change - Change description from StorageAdapter.onChange()
+   */
+  warnIfEditedElsewhere(change) {
+    if (!this.eventEditorModal || !this.eventEditorModal.isOpen) return;
+
+    const id = this.eventEditorModal.getEditedEventId();
+    if (!id) return;
+
+    if (change.all || (change.deletedIds || []).includes(id)) {
+      this.eventEditorModal.showExternalChange(
+        'This event was deleted in another tab. Saving will add it again.',
+      );
+    } else if ((change.eventIds || []).includes(id)) {
+      this.eventEditorModal.showExternalChange(
+        'This event was changed in another tab. Saving will replace those changes; cancel and reopen it to see them.',
+      );
+    }
+  }
+
   /**
    * Populate the year dropdown with a range of years
    */
@@ -112,7 +574,7 @@ export class YearPlannerApp {
     for (let year = startYear; year <= endYear; year++) {
       const option = document.createElement('option');
       option.value = year;
-      option.textContent = year;
+      option.textContent = this.getYearLabel(year);
       if (year === this.currentYear) {
         option.selected = true;
       }
@@ -138,11 +600,11 @@ export class YearPlannerApp {
 
     // Set up event listeners for the modal
     this.eventEditorModal.addEventListener('event-save', (e) => {
-      this.handleEventSave(e.detail.event);
+      this.handleEventSave(e.detail.event, e.detail);
     });
 
     this.eventEditorModal.addEventListener('event-delete', (e) => {
-      this.handleEventDelete(e.detail.eventId);
+      this.handleEventDelete(e.detail.eventId, e.detail);
     });
 
     this.eventEditorModal.addEventListener('event-cancel', () => {
@@ -167,6 +629,217 @@ export class YearPlannerApp {
     );
   }
 
+  /**
+   * Create the category manager modal and add it to the DOM
+   */
+  createCategoryManagerModal() {
+    if (!customElements.get('category-manager-modal')) {
+      customElements.define('category-manager-modal', CategoryManagerModal);
+    }
+
+    this.categoryManagerModal = document.createElement('category-manager-modal');
+    document.body.appendChild(this.categoryManagerModal);
+
+    this.categoryManagerModal.addEventListener('categories-save', (e) => {
+      this.handleCategoriesSave(e.detail.categories);
+    });
+  }
+
+  /**
+   * Create the calendar manager modal and add it to the DOM
+   */
+  createCalendarManagerModal() {
+    if (!customElements.get('calendar-manager-modal')) {
+      customElements.define('calendar-manager-modal', CalendarManagerModal);
+    }
+
+    this.calendarManagerModal = document.createElement('calendar-manager-modal');
+    document.body.appendChild(this.calendarManagerModal);
+
+    this.calendarManagerModal.addEventListener('calendars-save', (e) => {
+      this.handleCalendarsSave(e.detail.calendars);
+    });
+  }
+
+  /**
+   * Create the dialog that asks which occurrences of a dragged recurring
+   * event to move, and add it to the DOM
+   */
+  createRecurrenceScopeModal() {
+    if (!customElements.get('recurrence-scope-modal')) {
+      customElements.define('recurrence-scope-modal', RecurrenceScopeModal);
+    }
+
+    this.recurrenceScopeModal = document.createElement('recurrence-scope-modal');
+    document.body.appendChild(this.recurrenceScopeModal);
+
+    this.recurrenceScopeModal.addEventListener('scope-select', (e) => {
+      const move = this.pendingEventMove;
+      this.pendingEventMove = null;
+      if (move) {
+        this.moveOccurrences(move, e.detail.scope);
+      }
+    });
+
+    this.recurrenceScopeModal.addEventListener('scope-cancel', () => {
+      this.pendingEventMove = null;
+    });
+  }
+
+  /**
+   * Create the settings modal and add it to the DOM
+   */
+  createSettingsModal() {
+    if (!customElements.get('settings-modal')) {
+      customElements.define('settings-modal', SettingsModal);
+    }
+
+    this.settingsModal = document.createElement('settings-modal');
+    document.body.appendChild(this.settingsModal);
+
+    this.settingsModal.addEventListener('settings-save', (e) => {
+      this.handleSettingsSave(e.detail.preferences, e.detail.storageBackend);
+    });
+    this.settingsModal.addEventListener('encryption-manage', () => {
+      this.manageEncryption();
+    });
+  }
+
+  /**
+   * Create the wizard that previews imports and add it to the DOM
+   */
+  createImportWizardModal() {
+    if (!customElements.get('import-wizard-modal')) {
+      customElements.define('import-wizard-modal', ImportWizardModal);
+    }
+
+    this.importWizardModal = document.createElement('import-wizard-modal');
+    document.body.appendChild(this.importWizardModal);
+
+    this.importWizardModal.addEventListener('import-confirm', (e) => {
+      this.applyPendingImport(e.detail.strategy);
+    });
+    this.importWizardModal.addEventListener('import-cancel', () => {
+      this.pendingImport = null;
+    });
+  }
+
+  /**
+   * Create the dialog that maps CSV columns to event fields and add it to the DOM
+   */
+  createCsvImportModal() {
+    if (!customElements.get('csv-import-modal')) {
+      customElements.define('csv-import-modal', CsvImportModal);
+    }
+
+    this.csvImportModal = document.createElement('csv-import-modal');
+    document.body.appendChild(this.csvImportModal);
+
+    this.csvImportModal.addEventListener('csv-import-confirm', (e) => {
+      this.applyPendingCsvImport(e.detail.mapping, e.detail.dateFormat);
+    });
+    this.csvImportModal.addEventListener('csv-import-cancel', () => {
+      this.pendingCsvImport = null;
+    });
+  }
+
+  /**
+   * Create the passphrase dialog and add it to the DOM
+   */
+  createPassphraseModal() {
+    if (!customElements.get('passphrase-modal')) {
+      customElements.define('passphrase-modal', PassphraseModal);
+    }
+
+    this.passphraseModal = document.createElement('passphrase-modal');
+    document.body.appendChild(this.passphraseModal);
+
+    this.passphraseModal.addEventListener('passphrase-submit', (e) => {
+      this.handlePassphraseSubmit(e.detail);
+    });
+    this.passphraseModal.addEventListener('passphrase-cancel', () => {
+      const pending = this.pendingPassphrase;
+      this.pendingPassphrase = null;
+      if (pending) {
+        pending.resolve(null);
+      }
+    });
+  }
+
+  /**
+   * Create the dialog listing the snapshots to restore and add it to the DOM
+   */
+  createSnapshotRestoreModal() {
+    if (!customElements.get('snapshot-restore-modal')) {
+      customElements.define('snapshot-restore-modal', SnapshotRestoreModal);
+    }
+
+    this.snapshotRestoreModal = document.createElement('snapshot-restore-modal');
+    document.body.appendChild(this.snapshotRestoreModal);
+
+    this.snapshotRestoreModal.addEventListener('snapshot-restore', (e) => {
+      this.restoreSnapshot(e.detail.snapshotId, e.detail.year);
+    });
+  }
+
+  /**
+   * Create the trash listing deleted events and add it to the DOM
+   */
+  createTrashModal() {
+    if (!customElements.get('trash-modal')) {
+      customElements.define('trash-modal', TrashModal);
+    }
+
+    this.trashModal = document.createElement('trash-modal');
+    document.body.appendChild(this.trashModal);
+
+    this.trashModal.addEventListener('trash-restore', (e) => {
+      this.restoreFromTrash(e.detail.eventIds);
+    });
+    this.trashModal.addEventListener('trash-purge', (e) => {
+      this.purgeFromTrash(e.detail.eventIds);
+    });
+  }
+
+  /**
+   * Ask for a passphrase and use it. The dialog stays open, showing what
+   * went wrong, until the passphrase works or the user cancels.
+   * @param {string} mode - What the passphrase is for, see PassphraseModal.open()
+   * @param {Function} apply - Called with the submitted action and
+   *   passphrases; throws if they don't work
+   * @returns {Promise<*>} What apply() returned, or null if cancelled
+   */
+  askPassphrase(mode, apply) {
+    return new Promise((resolve) => {
+      this.pendingPassphrase = { apply, resolve };
+      this.passphraseModal.open(mode);
+    });
+  }
+
+  /**
+   * Use the passphrase submitted in the passphrase dialog
+   * @param {Object} detail - Action and passphrases from the dialog
+   * @returns {Promise<void>}
+   */
+  async handlePassphraseSubmit(detail) {
+    const pending = this.pendingPassphrase;
+    if (!pending) return;
+
+    this.passphraseModal.setBusy(true);
+    try {
+      const result = await pending.apply(detail);
+      this.pendingPassphrase = null;
+      this.passphraseModal.close();
+      pending.resolve(result);
+    } catch (error) {
+      if (!(error instanceof WrongPassphraseError)) {
+        console.error('Error applying passphrase:', error);
+      }
+      this.passphraseModal.setBusy(false);
+      this.passphraseModal.showError(`${error.message}.`);
+    }
+  }
+
   /**
    * Create the year planner grid and add it to the DOM
    */
@@ -208,6 +881,14 @@ export class YearPlannerApp {
       this.handleDayClick(e.detail.date);
     });
 
+    this.yearPlannerGrid.addEventListener('range-select', (e) => {
+      this.handleRangeSelect(e.detail.startDate, e.detail.endDate);
+    });
+
+    this.yearPlannerGrid.addEventListener('event-move', (e) => {
+      this.handleEventMove(e.detail);
+    });
+
     this.yearPlannerGrid.addEventListener('event-click', (e) => {
       this.handleEventClick(e.detail.eventId);
     });
@@ -264,15 +945,28 @@ export class YearPlannerApp {
 
     // Import/Export
     const exportBtn = document.getElementById('exportData');
+    const exportIcsBtn = document.getElementById('exportIcs');
+    const exportCsvBtn = document.getElementById('exportCsv');
     const importBtn = document.getElementById('importData');
     const exportPdfBtn = document.getElementById('exportPdf');
+    const shareBtn = document.getElementById('sharePlan');
     const importFile = document.getElementById('importFile');
+    const trashBtn = document.getElementById('openTrash');
+    const restoreBtn = document.getElementById('restoreSnapshot');
     const resetBtn = document.getElementById('resetCalendar');
 
     if (exportBtn) {
       exportBtn.addEventListener('click', () => this.exportData());
     }
 
+    if (exportIcsBtn) {
+      exportIcsBtn.addEventListener('click', () => this.exportIcs());
+    }
+
+    if (exportCsvBtn) {
+      exportCsvBtn.addEventListener('click', () => this.exportCsv());
+    }
+
     if (importBtn) {
       importBtn.addEventListener('click', () => this.showImportDialog());
     }
@@ -281,10 +975,22 @@ export class YearPlannerApp {
       exportPdfBtn.addEventListener('click', () => this.exportToPdf());
     }
 
+    if (shareBtn) {
+      shareBtn.addEventListener('click', () => this.sharePlan());
+    }
+
     if (importFile) {
       importFile.addEventListener('change', (e) => this.handleImportFile(e));
     }
 
+    if (trashBtn) {
+      trashBtn.addEventListener('click', () => this.openTrash());
+    }
+
+    if (restoreBtn) {
+      restoreBtn.addEventListener('click', () => this.openSnapshotRestore());
+    }
+
     if (resetBtn) {
       resetBtn.addEventListener('click', () => this.handleResetCalendar());
     }
@@ -294,16 +1000,72 @@ export class YearPlannerApp {
 
     if (newEventBtn) {
       newEventBtn.addEventListener('click', () => {
-        const today = new Date();
-        if (today.getFullYear() !== this.currentYear) {
-          today.setFullYear(this.currentYear);
-          today.setMonth(0);
-          today.setDate(1);
-        }
-        this.openEventEditor(null, today);
+        // Outside the shown year the editor starts on its first day
+        this.openEventEditor(null, new Date());
+      });
+    }
+
+    // Category manager button
+    const manageCategoriesBtn = document.getElementById('manageCategories');
+
+    if (manageCategoriesBtn) {
+      manageCategoriesBtn.addEventListener('click', () => {
+        this.categoryManagerModal.open(this.categories);
+      });
+    }
+
+    // Calendar manager button
+    const manageCalendarsBtn = document.getElementById('manageCalendars');
+
+    if (manageCalendarsBtn) {
+      manageCalendarsBtn.addEventListener('click', () => {
+        this.calendarManagerModal.open(this.calendars);
+      });
+    }
+
+    // Team view toggle
+    const teamViewBtn = document.getElementById('teamView');
+
+    if (teamViewBtn) {
+      teamViewBtn.addEventListener('click', () => this.toggleTeamView());
+    }
+
+    // Layout switcher
+    const layoutSelect = document.getElementById('layoutMode');
+
+    if (layoutSelect) {
+      layoutSelect.addEventListener('change', (e) =>
+        this.changeLayout(e.target.value),
+      );
+    }
+
+    // Settings button
+    const settingsBtn = document.getElementById('settings');
+
+    if (settingsBtn) {
+      settingsBtn.addEventListener('click', () => {
+        this.settingsModal.open(
+          this.preferences,
+          getStorageBackend(),
+          this.storageAdapter instanceof EncryptedStorageAdapter,
+        );
       });
     }
 
+    // Undo/redo buttons and shortcuts
+    const undoBtn = document.getElementById('undo');
+    const redoBtn = document.getElementById('redo');
+
+    if (undoBtn) {
+      undoBtn.addEventListener('click', () => this.undo());
+    }
+
+    if (redoBtn) {
+      redoBtn.addEventListener('click', () => this.redo());
+    }
+
+    document.addEventListener('keydown', (e) => this.handleKeyDown(e));
+
     // User manual button
     const userManualBtn = document.getElementById('userManual');
 
@@ -315,6 +1077,13 @@ export class YearPlannerApp {
 
     // Handle window resize events
     window.addEventListener('resize', this.handleResize.bind(this));
+
+    // Opening another share link in this tab only changes the fragment
+    window.addEventListener('hashchange', () => {
+      if (this.sharedPlan || getShareToken(window.location.hash)) {
+        window.location.reload();
+      }
+    });
   }
 
   /**
@@ -397,12 +1166,85 @@ export class YearPlannerApp {
     newEventBtn.style.borderRadius = '4px';
     newEventBtn.style.cursor = 'pointer';
 
+    const manageCategoriesBtn = document.createElement('button');
+    manageCategoriesBtn.id = 'manageCategories';
+    manageCategoriesBtn.textContent = 'Categories';
+    manageCategoriesBtn.style.padding = '5px 10px';
+    manageCategoriesBtn.style.borderRadius = '4px';
+    manageCategoriesBtn.style.border = '1px solid #ced4da';
+    manageCategoriesBtn.style.cursor = 'pointer';
+
+    const manageCalendarsBtn = document.createElement('button');
+    manageCalendarsBtn.id = 'manageCalendars';
+    manageCalendarsBtn.textContent = 'Calendars';
+    manageCalendarsBtn.style.padding = '5px 10px';
+    manageCalendarsBtn.style.borderRadius = '4px';
+    manageCalendarsBtn.style.border = '1px solid #ced4da';
+    manageCalendarsBtn.style.cursor = 'pointer';
+
+    const teamViewBtn = document.createElement('button');
+    teamViewBtn.id = 'teamView';
+    teamViewBtn.textContent = 'Team view';
+    teamViewBtn.title = 'One row per person, with overlapping absences marked';
+    teamViewBtn.setAttribute('aria-pressed', 'false');
+    teamViewBtn.style.padding = '5px 10px';
+    teamViewBtn.style.borderRadius = '4px';
+    teamViewBtn.style.border = '1px solid #ced4da';
+    teamViewBtn.style.cursor = 'pointer';
+
+    const layoutSelect = document.createElement('select');
+    layoutSelect.id = 'layoutMode';
+    layoutSelect.title = 'How the year is laid out';
+    layoutSelect.setAttribute('aria-label', 'Layout');
+    layoutSelect.style.padding = '5px';
+    LAYOUT_OPTIONS.forEach(({ value, label }) => {
+      const option = document.createElement('option');
+      option.value = value;
+      option.textContent = label;
+      layoutSelect.appendChild(option);
+    });
+
+    const settingsBtn = document.createElement('button');
+    settingsBtn.id = 'settings';
+    settingsBtn.textContent = 'Settings';
+    settingsBtn.style.padding = '5px 10px';
+    settingsBtn.style.borderRadius = '4px';
+    settingsBtn.style.border = '1px solid #ced4da';
+    settingsBtn.style.cursor = 'pointer';
+
+    const undoBtn = document.createElement('button');
+    undoBtn.id = 'undo';
+    undoBtn.textContent = '↶ Undo';
+    undoBtn.title = 'Undo (Ctrl+Z)';
+    undoBtn.disabled = true;
+    undoBtn.style.padding = '5px 10px';
+    undoBtn.style.borderRadius = '4px';
+    undoBtn.style.border = '1px solid #ced4da';
+    undoBtn.style.cursor = 'pointer';
+
+    const redoBtn = document.createElement('button');
+    redoBtn.id = 'redo';
+    redoBtn.textContent = '↷ Redo';
+    redoBtn.title = 'Redo (Ctrl+Shift+Z)';
+    redoBtn.disabled = true;
+    redoBtn.style.padding = '5px 10px';
+    redoBtn.style.borderRadius = '4px';
+    redoBtn.style.border = '1px solid #ced4da';
+    redoBtn.style.cursor = 'pointer';
+
     // Import/Export group
     const importExportGroup = document.createElement('div');
     importExportGroup.style.display = 'flex';
     importExportGroup.style.gap = '10px';
     importExportGroup.style.alignItems = 'center';
 
+    const transferCalendarSelect = document.createElement('select');
+    transferCalendarSelect.id = 'transferCalendar';
+    transferCalendarSelect.title = 'Calendar to export or import';
+    transferCalendarSelect.setAttribute('aria-label', 'Calendar to export or import');
+    transferCalendarSelect.style.padding = '5px';
+    // We'll populate the select once the calendars are loaded
+
     const exportBtn = document.createElement('button');
     exportBtn.id = 'exportData';
     exportBtn.textContent = 'Export Data';
@@ -411,6 +1253,22 @@ export class YearPlannerApp {
     exportBtn.style.border = '1px solid #ced4da';
     exportBtn.style.cursor = 'pointer';
 
+    const exportIcsBtn = document.createElement('button');
+    exportIcsBtn.id = 'exportIcs';
+    exportIcsBtn.textContent = 'Export ICS';
+    exportIcsBtn.style.padding = '5px 10px';
+    exportIcsBtn.style.borderRadius = '4px';
+    exportIcsBtn.style.border = '1px solid #ced4da';
+    exportIcsBtn.style.cursor = 'pointer';
+
+    const exportCsvBtn = document.createElement('button');
+    exportCsvBtn.id = 'exportCsv';
+    exportCsvBtn.textContent = 'Export CSV';
+    exportCsvBtn.style.padding = '5px 10px';
+    exportCsvBtn.style.borderRadius = '4px';
+    exportCsvBtn.style.border = '1px solid #ced4da';
+    exportCsvBtn.style.cursor = 'pointer';
+
     const importBtn = document.createElement('button');
     importBtn.id = 'importData';
     importBtn.textContent = 'Import Data';
@@ -427,6 +1285,33 @@ export class YearPlannerApp {
     exportPdfBtn.style.border = '1px solid #ced4da';
     exportPdfBtn.style.cursor = 'pointer';
 
+    const shareBtn = document.createElement('button');
+    shareBtn.id = 'sharePlan';
+    shareBtn.textContent = 'Share';
+    shareBtn.title = 'Copy a read-only link to this year, or to the calendar chosen here';
+    shareBtn.style.padding = '5px 10px';
+    shareBtn.style.borderRadius = '4px';
+    shareBtn.style.border = '1px solid #ced4da';
+    shareBtn.style.cursor = 'pointer';
+
+    const trashBtn = document.createElement('button');
+    trashBtn.id = 'openTrash';
+    trashBtn.textContent = 'Trash';
+    trashBtn.title = 'Restore deleted events';
+    trashBtn.style.padding = '5px 10px';
+    trashBtn.style.borderRadius = '4px';
+    trashBtn.style.border = '1px solid #ced4da';
+    trashBtn.style.cursor = 'pointer';
+
+    const restoreBtn = document.createElement('button');
+    restoreBtn.id = 'restoreSnapshot';
+    restoreBtn.textContent = 'Restore';
+    restoreBtn.title = 'Go back to a snapshot taken each day and before imports and resets';
+    restoreBtn.style.padding = '5px 10px';
+    restoreBtn.style.borderRadius = '4px';
+    restoreBtn.style.border = '1px solid #ced4da';
+    restoreBtn.style.cursor = 'pointer';
+
     // Separator before Reset button
     const separator2 = document.createElement('div');
     separator2.style.width = '1px';
@@ -447,20 +1332,33 @@ export class YearPlannerApp {
     const importFile = document.createElement('input');
     importFile.id = 'importFile';
     importFile.type = 'file';
-    importFile.accept = '.json';
+    importFile.accept = '.json,.ics,.csv';
     importFile.style.display = 'none';
 
     // Add buttons to the action buttons container
     actionButtons.appendChild(userManualBtn);
     actionButtons.appendChild(separator1);
     actionButtons.appendChild(newEventBtn);
+    actionButtons.appendChild(manageCategoriesBtn);
+    actionButtons.appendChild(manageCalendarsBtn);
+    actionButtons.appendChild(teamViewBtn);
+    actionButtons.appendChild(layoutSelect);
+    actionButtons.appendChild(settingsBtn);
+    actionButtons.appendChild(undoBtn);
+    actionButtons.appendChild(redoBtn);
     actionButtons.appendChild(importExportGroup);
 
     // Add buttons to import/export group
+    importExportGroup.appendChild(transferCalendarSelect);
     importExportGroup.appendChild(exportBtn);
+    importExportGroup.appendChild(exportIcsBtn);
+    importExportGroup.appendChild(exportCsvBtn);
     importExportGroup.appendChild(importBtn);
     importExportGroup.appendChild(exportPdfBtn);
+    importExportGroup.appendChild(shareBtn);
     importExportGroup.appendChild(separator2);
+    importExportGroup.appendChild(trashBtn);
+    importExportGroup.appendChild(restoreBtn);
     importExportGroup.appendChild(resetBtn);
     importExportGroup.appendChild(importFile);
 
@@ -485,6 +1383,8 @@ export class YearPlannerApp {
     this.loading = true;
     try {
       this.currentYear = year;
+      const startMonth = this.getStartMonth();
+      const { firstDay, lastDay } = this.getPlannerDays(year);
 
       // Update the year dropdown to reflect the current year
       const yearSelect = document.getElementById('currentYear');
@@ -498,7 +1398,6 @@ export class YearPlannerApp {
         if (!yearOption) {
           yearOption = document.createElement('option');
           yearOption.value = year;
-          yearOption.textContent = year;
           yearSelect.appendChild(yearOption);
 
           // Sort the options
@@ -508,6 +1407,11 @@ export class YearPlannerApp {
           options.forEach((option) => yearSelect.appendChild(option));
         }
 
+        // Label the years as the planner years they start
+        Array.from(yearSelect.options).forEach((option) => {
+          option.textContent = this.getYearLabel(parseInt(option.value, 10));
+        });
+
         // Set the selected value
         yearSelect.value = year;
       }
@@ -516,13 +1420,27 @@ export class YearPlannerApp {
       document.body.dataset.year = year;
 
       // Update recurrence calculator for new year
-      this.recurrenceCalculator = new RecurrenceCalculator(year);
+      this.recurrenceCalculator = new RecurrenceCalculator(year, startMonth);
 
       // Create a new YearPlanner for this year
-      this.yearPlanner = new YearPlanner({ year });
-
-      // Load saved events from storage
-      const savedEvents = await this.storageAdapter.loadEvents(year);
+      this.yearPlanner = new YearPlanner({ year, startMonth });
+
+      // Load saved events from every storage year the planner year touches;
+      // events crossing the new year are stored under both
+      const savedEvents = [];
+      const loadedIds = new Set();
+      for (
+        let storageYear = firstDay.getUTCFullYear();
+        storageYear <= lastDay.getUTCFullYear();
+        storageYear++
+      ) {
+        const yearEvents = await this.storageAdapter.loadEvents(storageYear);
+        (yearEvents || []).forEach((eventData) => {
+          if (loadedIds.has(eventData.id)) return;
+          loadedIds.add(eventData.id);
+          savedEvents.push(eventData);
+        });
+      }
       console.log(
         'App: Loaded events from storage',
         savedEvents ? savedEvents.length : 0,
@@ -532,19 +1450,13 @@ export class YearPlannerApp {
       // Add events to the year planner
       if (savedEvents && savedEvents.length > 0) {
         try {
-          // Convert plain objects to Event instances
+          // Convert plain objects to Event instances, keeping every field
+          // so that saving an event doesn't drop ones this version doesn't know
           const eventInstances = savedEvents.map((eventData) => {
             return new Event({
-              id: eventData.id,
-              title: eventData.title,
-              description: eventData.description,
+              ...eventData,
               startDate: normalizeDateToUTC(eventData.startDate),
               endDate: normalizeDateToUTC(eventData.endDate),
-              isRecurring: eventData.isRecurring,
-              recurrencePattern: eventData.recurrencePattern,
-              startsPM: eventData.startsPM,
-              endsAM: eventData.endsAM,
-              isPublicHoliday: eventData.isPublicHoliday,
             });
           });
 
@@ -566,9 +1478,47 @@ export class YearPlannerApp {
         this.yearPlanner.events,
       );
 
+      // Leave out hidden calendars; lock the events of read-only ones
+      const shownEvents = [];
+      expandedEvents.forEach((event) => {
+        const calendar = this.getEventCalendar(event);
+        if (!calendar.visible) return;
+        shownEvents.push(
+          calendar.readOnly ? { ...event, isReadOnly: true } : event,
+        );
+      });
+
+      // The team view gives everyone with an assigned event a row of their own
+      const teamMembers = this.preferences.teamView
+        ? TeamCoverageCalculator.getPeople(shownEvents)
+        : null;
+      this.eventPositionCalculator.setTeamMembers(teamMembers);
+      this.yearPlannerGrid.teamMembers = teamMembers;
+      this.eventEditorModal.setPeople(
+        TeamCoverageCalculator.getPeople(expandedEvents),
+      );
+
+      // Built-in holidays are calculated for the selected regions, never stored
+      const holidays = [];
+      for (
+        let holidayYear = firstDay.getUTCFullYear();
+        holidayYear <= lastDay.getUTCFullYear();
+        holidayYear++
+      ) {
+        this.holidayCalculator
+          .getHolidays(holidayYear, this.preferences.holidayRegions)
+          .forEach((holiday) => {
+            if (holiday.startDate >= firstDay && holiday.startDate <= lastDay) {
+              holidays.push(holiday);
+            }
+          });
+      }
+
       // Calculate positions for the events
+      this.eventPositionCalculator.setStartMonth(startMonth);
+      this.yearPlannerGrid.startMonth = startMonth;
       const positionedEvents = this.eventPositionCalculator.calculatePositions(
-        expandedEvents,
+        [...shownEvents, ...holidays],
         year,
       );
 
@@ -593,266 +1543,1748 @@ export class YearPlannerApp {
   }
 
   /**
-   * Navigate to previous or next year
-   * @param {number} offset - Year offset (-1 for previous, 1 for next)
-   */
-  navigateYear(offset) {
-    this.loadYear(this.currentYear + offset);
-  }
-
-  /**
-   * Handle click on a day cell
-   * @param {Date} date - The date that was clicked
-   */
-  handleDayClick(date) {
-    this.openEventEditor(null, date);
-  }
-
-  /**
-   * Handle click on an existing event
-   * @param {string} eventId - ID of the clicked event
+   * Load categories from storage, falling back to the built-in defaults,
+   * and push them to every component that displays them
+   * @returns {Promise<void>}
    */
-  handleEventClick(eventId) {
-    // Find the event in the expanded events list
-    const event = this.yearPlannerGrid.events.find((e) => e.id === eventId);
+  async loadCategories() {
+    let stored = null;
+    try {
+      stored = await this.storageAdapter.loadCategories();
+    } catch (error) {
+      console.error('Failed to load categories:', error);
+      this.displayErrorMessage(`Failed to load categories: ${error.message}`);
+    }
 
-    if (event) {
-      // For recurrence instances, find the original event
-      if (event.isRecurrenceInstance && event.originalEventId) {
-        const originalEvent = this.yearPlanner.events.find(
-          (e) => e.id === event.originalEventId,
-        );
-        if (originalEvent) {
-          this.openEventEditor(originalEvent);
-          return;
-        }
+    const source = stored || DEFAULT_CATEGORIES;
+    this.categories = [];
+    source.forEach((data) => {
+      try {
+        this.categories.push(new Category(data));
+      } catch (error) {
+        console.warn(`Skipping invalid category: ${error.message}`, data);
       }
+    });
 
-      // Otherwise, open the event directly
-      this.openEventEditor(event);
-    } else {
-      console.error(`Event with ID ${eventId} not found`);
-      this.displayErrorMessage('Event not found. It may have been deleted.');
-    }
+    this.eventEditorModal.setCategories(this.categories);
+    this.yearPlannerGrid.categories = this.categories;
+    this.renderLegend();
   }
 
   /**
-   * Open the event editor modal
-   * @param {Event|null} event - Event to edit, or null for new event
-   * @param {Date} [defaultDate] - Default date for new events
+   * Handle saving the category list from the category manager
+   * @param {Array<Object>} categoryData - The edited categories
    */
-  openEventEditor(event, defaultDate = new Date()) {
+  async handleCategoriesSave(categoryData) {
     try {
-      // Normalize default date to midnight UTC and ensure it's in the current year
-      defaultDate = normalizeDateToUTC(defaultDate);
-      if (defaultDate.getFullYear() !== this.currentYear) {
-        defaultDate = createDateOnly(this.currentYear, 0, 1);
-      }
-
-      // If creating a new event
-      if (!event) {
-        this.eventEditorModal.open(null, defaultDate);
-      } else {
-        // Clone the event to avoid modifying the original directly
-        const eventCopy = { ...event };
-
-        // Ensure dates are proper Date objects and normalized to midnight UTC
-        eventCopy.startDate = normalizeDateToUTC(eventCopy.startDate);
-        eventCopy.endDate = normalizeDateToUTC(eventCopy.endDate);
-
-        this.eventEditorModal.open(eventCopy);
-      }
+      const categories = categoryData.map((data) => new Category(data));
+      const checkpoint = this.captureState();
+      await this.storageAdapter.saveCategories(categories);
+      await this.loadCategories();
+      await this.recordHistory(
+        'Edit categories',
+        checkpoint,
+        this.captureState(),
+      );
+      this.displaySuccessMessage('Categories saved successfully');
     } catch (error) {
-      console.error('Error opening event editor:', error);
-      this.displayErrorMessage(`Failed to open event editor: ${error.message}`);
+      console.error('Error saving categories:', error);
+      if (error instanceof ConflictError) {
+        await this.reloadAfterConflict(error);
+        return;
+      }
+      this.displayErrorMessage(`Failed to save categories: ${error.message}`);
     }
   }
 
   /**
-   * Handle saving an event from the editor
-   * @param {Object} eventData - The event data to save
+   * Load calendars from storage, falling back to the built-in defaults, and
+   * push them to every component that uses them. The default calendar is
+   * always present, since events without a calendar belong to it.
+   * @returns {Promise<void>}
    */
-  async handleEventSave(eventData) {
+  async loadCalendars() {
+    let stored = null;
     try {
-      const isNewEvent = !this.yearPlanner.getEvent(eventData.id);
+      stored = await this.storageAdapter.loadCalendars();
+    } catch (error) {
+      console.error('Failed to load calendars:', error);
+      this.displayErrorMessage(`Failed to load calendars: ${error.message}`);
+    }
 
-      // Validate event dates
-      if (!eventData.startDate || !eventData.endDate) {
-        throw new Error('Start and end dates are required');
+    const source = stored || DEFAULT_CALENDARS;
+    this.calendars = [];
+    source.forEach((data) => {
+      try {
+        this.calendars.push(new Calendar(data));
+      } catch (error) {
+        console.warn(`Skipping invalid calendar: ${error.message}`, data);
       }
+    });
 
-      // Normalize dates to midnight UTC
-      let startDate = normalizeDateToUTC(eventData.startDate);
-      let endDate = normalizeDateToUTC(eventData.endDate);
+    if (!this.calendars.some((c) => c.id === DEFAULT_CALENDAR_ID)) {
+      const defaults = DEFAULT_CALENDARS.find((c) => c.id === DEFAULT_CALENDAR_ID);
+      this.calendars.unshift(new Calendar(defaults));
+    }
 
-      // Log dates for debugging
-      console.log('Start date before validation:', startDate);
-      console.log('End date before validation:', endDate);
+    this.eventEditorModal.setCalendars(
+      this.calendars.filter((calendar) => !calendar.readOnly),
+    );
+    this.yearPlannerGrid.calendars = this.calendars;
+    this.renderCalendarToggles();
+    this.populateTransferCalendars();
+  }
 
-      // Ensure end date is not before start date
-      if (endDate < startDate) {
-        // If end date is before start date, swap them
-        console.log('Swapping dates because end date is before start date');
-        const temp = endDate;
-        endDate = startDate;
-        startDate = temp;
-      }
+  /**
+   * Find the calendar an event belongs to. Events whose calendar is unknown,
+   * e.g. imported from another planner, belong to the default calendar.
+   * @param {Object} event - Event or event data
+   * @returns {Calendar} The event's calendar
+   */
+  getEventCalendar(event) {
+    return (
+      this.calendars.find((calendar) => calendar.id === event.calendarId) ||
+      this.calendars.find((calendar) => calendar.id === DEFAULT_CALENDAR_ID)
+    );
+  }
 
-      // Validate event dates are within the current year
-      const startYear = startDate.getFullYear();
-      const endYear = endDate.getFullYear();
+  /**
+   * Handle saving the calendar list from the calendar manager. Events of
+   * removed calendars are deleted from every year.
+   * @param {Array<Object>} calendarData - The edited calendars
+   * @returns {Promise<void>}
+   */
+  async handleCalendarsSave(calendarData) {
+    try {
+      const calendars = calendarData.map((data) => new Calendar(data));
+      const kept = new Set(calendars.map((calendar) => calendar.id));
+      const checkpoint = await this.captureStoredState();
 
-      if (startYear !== this.currentYear || endYear !== this.currentYear) {
-        throw new Error('Event dates must be within the current year.');
+      for (const event of checkpoint.events) {
+        if (!kept.has(this.getEventCalendar(event).id)) {
+          await this.storageAdapter.deleteEvent(event.id);
+        }
       }
 
-      // Create a proper Event instance
-      const event = new Event({
-        id: eventData.id,
-        title: eventData.title,
-        description: eventData.description || '',
-        startDate: startDate,
-        endDate: endDate,
-        isRecurring: eventData.isRecurring || false,
-        recurrencePattern: eventData.recurrencePattern,
-        startsPM: eventData.startsPM || false,
-        endsAM: eventData.endsAM || false,
-        isPublicHoliday: eventData.isPublicHoliday || false,
-      });
-
-      // Add or update the event in the year planner
-      if (isNewEvent) {
-        this.yearPlanner.addEvent(event);
-      } else {
-        this.yearPlanner.updateEvent(eventData.id, event);
+      await this.storageAdapter.saveCalendars(calendars);
+      await this.loadCalendars();
+      await this.recordHistory(
+        'Edit calendars',
+        checkpoint,
+        await this.captureStoredState(),
+      );
+      await this.loadYear(this.currentYear);
+      this.displaySuccessMessage('Calendars saved successfully');
+    } catch (error) {
+      console.error('Error saving calendars:', error);
+      if (error instanceof ConflictError) {
+        await this.reloadAfterConflict(error);
+        return;
       }
+      this.displayErrorMessage(`Failed to save calendars: ${error.message}`);
+    }
+  }
 
-      // Save to storage
-      await this.storageAdapter.saveEvent(event);
+  /**
+   * Show or hide the events of a calendar. Visibility is remembered but
+   * isn't an undoable change.
+   * @param {string} calendarId - ID of the calendar
+   * @param {boolean} visible - Whether to show its events
+   * @returns {Promise<void>}
+   */
+  async setCalendarVisibility(calendarId, visible) {
+    try {
+      const calendar = this.calendars.find((c) => c.id === calendarId);
+      if (!calendar) return;
 
-      // Reload the year to reflect changes
+      calendar.visible = visible;
+      await this.storageAdapter.saveCalendars(this.calendars);
       await this.loadYear(this.currentYear);
-
-      this.displaySuccessMessage(
-        isNewEvent
-          ? 'Event created successfully'
-          : 'Event updated successfully',
-      );
     } catch (error) {
-      console.error('Error saving event:', error);
-      this.displayErrorMessage(`Failed to save event: ${error.message}`);
+      console.error('Error changing calendar visibility:', error);
+      if (error instanceof ConflictError) {
+        await this.reloadAfterConflict(error);
+        return;
+      }
+      this.displayErrorMessage(`Failed to save calendars: ${error.message}`);
     }
   }
 
   /**
-   * Handle deleting an event
-   * @param {string} eventId - ID of the event to delete
+   * Rebuild the show/hide checkboxes for the calendars above the legend
    */
-  async handleEventDelete(eventId) {
-    try {
-      console.log(`Attempting to delete event: ${eventId}`);
+  renderCalendarToggles() {
+    let toggles = document.querySelector('.calendar-toggles');
+    if (!toggles) {
+      toggles = document.createElement('div');
+      toggles.className = 'calendar-toggles';
+      const container =
+        document.getElementById('year-planner-container') || document.body;
+      container.parentNode.insertBefore(toggles, container);
+    }
 
-      // First check if this is an expanded recurrence instance
-      const event = this.yearPlannerGrid.events.find((e) => e.id === eventId);
-      let originalEventId = eventId;
+    toggles.innerHTML = '';
 
-      if (event && event.isRecurrenceInstance && event.originalEventId) {
-        // If it's a recurrence instance, use the original event ID
-        console.log(
-          `Found recurrence instance, original ID: ${event.originalEventId}`,
-        );
-        originalEventId = event.originalEventId;
-      }
+    this.calendars.forEach((calendar) => {
+      const label = document.createElement('label');
+      label.className = 'calendar-toggle';
+      label.title = calendar.readOnly
+        ? `${calendar.name} (read-only)`
+        : calendar.name;
 
-      // Check if the original event actually exists in the year planner
-      const originalEventExists = this.yearPlanner.events.some(
-        (e) => e.id === originalEventId,
-      );
+      const checkbox = document.createElement('input');
+      checkbox.type = 'checkbox';
+      checkbox.checked = calendar.visible;
+      checkbox.addEventListener('change', () => {
+        this.setCalendarVisibility(calendar.id, checkbox.checked);
+      });
+      label.appendChild(checkbox);
 
-      if (!originalEventExists) {
-        console.warn(
-          `Original event ${originalEventId} not found in year planner`,
-        );
-        // Try fallback to ID without date suffix
-        const baseId = originalEventId.split('_').slice(0, -1).join('_');
-        console.log(`Trying base ID: ${baseId}`);
+      const swatch = document.createElement('span');
+      swatch.className = 'calendar-swatch';
+      swatch.style.backgroundColor = calendar.color;
+      label.appendChild(swatch);
 
-        if (this.yearPlanner.events.some((e) => e.id === baseId)) {
-          originalEventId = baseId;
-        }
-      }
+      const text = document.createElement('span');
+      text.textContent = calendar.readOnly
+        ? `${calendar.name} 🔒`
+        : calendar.name;
+      label.appendChild(text);
 
-      // Remove from the year planner
-      const removed = this.yearPlanner.removeEvent(originalEventId);
+      toggles.appendChild(label);
+    });
+  }
 
-      if (!removed) {
-        console.warn(`Event ${originalEventId} not found in year planner`);
-      }
+  /**
+   * Fill the calendar picker used by export and import
+   */
+  populateTransferCalendars() {
+    const select = document.getElementById('transferCalendar');
+    if (!select) return;
 
-      // Delete from storage
-      await this.storageAdapter.deleteEvent(originalEventId);
+    const selected = select.value;
+    select.innerHTML = '';
 
-      // Clear the recurrence calculator cache
-      this.recurrenceCalculator.clearCache();
+    const all = document.createElement('option');
+    all.value = '';
+    all.textContent = 'All calendars';
+    select.appendChild(all);
 
-      // Reload the year to reflect changes
-      await this.loadYear(this.currentYear);
+    this.calendars.forEach((calendar) => {
+      const option = document.createElement('option');
+      option.value = calendar.id;
+      option.textContent = calendar.name;
+      select.appendChild(option);
+    });
 
-      this.displaySuccessMessage('Event deleted successfully');
-    } catch (error) {
-      console.error('Error deleting event:', error);
-      this.displayErrorMessage(`Failed to delete event: ${error.message}`);
+    // Keep the current selection if it still exists
+    if (this.calendars.some((calendar) => calendar.id === selected)) {
+      select.value = selected;
     }
   }
 
   /**
-   * Handle resetting the calendar
+   * Get the calendar chosen for export and import
+   * @returns {Calendar|null} The calendar, or null for all calendars
    */
-  async handleResetCalendar() {
+  getTransferCalendar() {
+    const select = document.getElementById('transferCalendar');
+    const calendarId = select ? select.value : '';
+    return this.calendars.find((calendar) => calendar.id === calendarId) || null;
+  }
+
+  /**
+   * Load the built-in holiday rule sets and offer their countries and
+   * regions in the settings. The planner still works without them.
+   * @returns {Promise<void>}
+   */
+  async loadHolidayRules() {
     try {
-      // Show confirmation dialog
-      const confirmed = confirm(
-        'Are you sure you want to reset the calendar? This will delete all events.',
+      this.holidayCalculator = new HolidayCalculator(
+        await loadHolidayRuleSets(),
       );
-      if (!confirmed) return;
+    } catch (error) {
+      console.error('Failed to load holiday rules:', error);
+    }
+
+    this.settingsModal.setHolidayRegions(
+      this.holidayCalculator.getRegionOptions(),
+    );
+  }
+
+  /**
+   * Load the display preferences, falling back to the defaults for any the
+   * user hasn't set, and apply them
+   * @returns {Promise<void>}
+   */
+  async loadPreferences() {
+    let stored = null;
+    try {
+      stored = await this.storageAdapter.loadSetting(PREFERENCES.STORAGE_KEY);
+    } catch (error) {
+      console.error('Failed to load preferences:', error);
+    }
+
+    this.preferences = { ...PREFERENCES.DEFAULTS, ...(stored || {}) };
+    this.currentYear = this.getPlannerYearOf(new Date());
+    this.applyPreferences();
+  }
+
+  /**
+   * Get the month the planner year starts in
+   * @returns {number} Month index (0-11); the current month for a rolling year
+   */
+  getStartMonth() {
+    return this.preferences.yearStart === ROLLING_YEAR_START
+      ? new Date().getMonth()
+      : this.preferences.yearStart;
+  }
+
+  /**
+   * Get the planner year a date falls in, named by the year it starts in
+   * @param {Date} date - Local date
+   * @returns {number}
+   */
+  getPlannerYearOf(date) {
+    return date.getMonth() < this.getStartMonth()
+      ? date.getFullYear() - 1
+      : date.getFullYear();
+  }
+
+  /**
+   * Get the first and last day of a planner year, stored like event dates
+   * @param {number} [year=this.currentYear] - Year the planner year starts in
+   * @returns {{firstDay: Date, lastDay: Date}} UTC midnights
+   */
+  getPlannerDays(year = this.currentYear) {
+    const startMonth = this.getStartMonth();
+    return {
+      firstDay: createDateOnly(year, startMonth, 1),
+      lastDay: createDateOnly(year, startMonth + 12, 0),
+    };
+  }
+
+  /**
+   * Label a planner year for the year dropdown, messages and exports
+   * @param {number} year - Year the planner year starts in
+   * @returns {string} "2025", or "2025–26" for a year ending in the next one
+   */
+  getYearLabel(year) {
+    return formatPlannerYear(year, this.getStartMonth());
+  }
+
+  /**
+   * Push the display preferences to the components that use them
+   */
+  applyPreferences() {
+    this.eventPositionCalculator.setWeekStart(this.preferences.weekStart);
+    this.yearPlannerGrid.weekStart = this.preferences.weekStart;
+    this.yearPlannerGrid.showWeekNumbers = this.preferences.showWeekNumbers;
+    this.eventPositionCalculator.setLayout(this.preferences.layout);
+    this.yearPlannerGrid.layout = this.preferences.layout;
+
+    const layoutSelect = document.getElementById('layoutMode');
+    if (layoutSelect) {
+      layoutSelect.value = this.preferences.layout;
+    }
+
+    const teamViewBtn = document.getElementById('teamView');
+    if (teamViewBtn) {
+      teamViewBtn.setAttribute('aria-pressed', String(this.preferences.teamView));
+    }
+  }
+
+  /**
+   * Switch between the normal view and the team view, which splits every
+   * month into one row per person
+   * @returns {Promise<void>}
+   */
+  async toggleTeamView() {
+    try {
+      this.preferences = {
+        ...this.preferences,
+        teamView: !this.preferences.teamView,
+      };
+      await this.storageAdapter.saveSetting(
+        PREFERENCES.STORAGE_KEY,
+        this.preferences,
+      );
+      this.applyPreferences();
+      await this.loadYear(this.currentYear);
+
+      if (
+        this.preferences.teamView &&
+        this.yearPlannerGrid.teamMembers.length === 0
+      ) {
+        this.displayNotification(
+          'No events have an assignee yet. Set one in the event editor to give that person a row.',
+        );
+      }
+    } catch (error) {
+      console.error('Error switching team view:', error);
+      this.displayErrorMessage(`Failed to switch team view: ${error.message}`);
+    }
+  }
+
+  /**
+   * Switch the grid layout: month rows in weekday columns, month rows
+   * starting on the 1st, or a single timeline row
+   * @param {string} layout - One of LAYOUTS
+   * @returns {Promise<void>}
+   */
+  async changeLayout(layout) {
+    try {
+      this.preferences = { ...this.preferences, layout };
+      await this.storageAdapter.saveSetting(
+        PREFERENCES.STORAGE_KEY,
+        this.preferences,
+      );
+      this.applyPreferences();
+      await this.loadYear(this.currentYear);
+    } catch (error) {
+      console.error('Error switching layout:', error);
+      this.displayErrorMessage(`Failed to switch layout: ${error.message}`);
+    }
+  }
+
+  /**
+   * Describe who else is away during an event, to warn about thin coverage
+   * @param {Object} eventData - The saved event
+   * @returns {string|null} e.g. "Bob and Carol are also away then", or null
+   */
+  describeTeamOverlap(eventData) {
+    if (!eventData.assignee) return null;
+
+    const events = this.recurrenceCalculator.expandRecurringEvents(
+      this.yearPlanner.events,
+    );
+    const people = TeamCoverageCalculator.getPeople(
+      this.teamCoverageCalculator.findConflicts(eventData, events),
+    );
+    if (people.length === 0) return null;
+
+    const names =
+      people.length === 1
+        ? people[0]
+        : `${people.slice(0, -1).join(', ')} and ${people[people.length - 1]}`;
+    return `${names} ${people.length === 1 ? 'is' : 'are'} also away then`;
+  }
+
+  /**
+   * Handle saving the preferences from the settings modal
+   * @param {Object} preferences - The edited preferences
+   * @param {number} preferences.weekStart - First day of the week
+   * @param {boolean} preferences.showWeekNumbers - Whether to show week numbers
+   * @param {Array<string>} preferences.holidayRegions - Built-in holiday selections
+   * @param {number} preferences.trashRetentionDays - Days deleted events are kept
+   * @param {string} [storageBackend] - Where to keep the data, one of STORAGE_BACKENDS
+   * @returns {Promise<void>}
+   */
+  async handleSettingsSave(preferences, storageBackend) {
+    try {
+      const regionsChanged =
+        preferences.holidayRegions.join() !==
+        this.preferences.holidayRegions.join();
+      const yearStartChanged =
+        preferences.yearStart !== this.preferences.yearStart;
+      const retentionChanged =
+        preferences.trashRetentionDays !== this.preferences.trashRetentionDays;
+
+      this.preferences = { ...this.preferences, ...preferences };
+      await this.storageAdapter.saveSetting(
+        PREFERENCES.STORAGE_KEY,
+        this.preferences,
+      );
+      this.applyPreferences();
+
+      if (retentionChanged) {
+        await this.purgeExpiredTrash();
+      }
+
+      if (storageBackend && storageBackend !== getStorageBackend()) {
+        setStorageBackend(storageBackend);
+        // Start over with the other storage, which the URL mustn't override
+        const url = new URL(window.location.href);
+        url.searchParams.delete(REMOTE_STORAGE.URL_PARAM);
+        window.location.assign(url);
+        return;
+      }
+
+      if (yearStartChanged) {
+        // Show the new kind of year that holds today
+        await this.loadYear(this.getPlannerYearOf(new Date()));
+      } else if (regionsChanged) {
+        await this.loadYear(this.currentYear);
+      }
+      this.displaySuccessMessage('Settings saved successfully');
+    } catch (error) {
+      console.error('Error saving settings:', error);
+      this.displayErrorMessage(`Failed to save settings: ${error.message}`);
+    }
+  }
+
+  /**
+   * Protect the planner's data with a passphrase, or change the passphrase
+   * or turn the protection off when it is already on
+   * @returns {Promise<void>}
+   */
+  async manageEncryption() {
+    if (this.storageAdapter instanceof RemoteStorageAdapter) {
+      this.displayErrorMessage(
+        'Only a planner kept in this browser can be protected with a passphrase',
+      );
+      return;
+    }
+
+    try {
+      const adapter = this.storageAdapter;
+      let message;
+
+      if (adapter instanceof EncryptedStorageAdapter) {
+        message = await this.askPassphrase(
+          'change',
+          async ({ action, passphrase, newPassphrase }) => {
+            if (action === 'disable') {
+              this.storageAdapter = await adapter.disable(passphrase);
+              return 'Passphrase protection turned off';
+            }
+            await adapter.changePassphrase(passphrase, newPassphrase);
+            return 'Passphrase changed';
+          },
+        );
+      } else {
+        message = await this.askPassphrase(
+          'enable',
+          async ({ newPassphrase }) => {
+            this.storageAdapter = await EncryptedStorageAdapter.enable(
+              adapter,
+              newPassphrase,
+            );
+            return 'Your planner is now protected with a passphrase';
+          },
+        );
+      }
+
+      if (message) {
+        this.displaySuccessMessage(message);
+      }
+    } catch (error) {
+      console.error('Error changing passphrase protection:', error);
+      this.displayErrorMessage(
+        `Failed to change passphrase protection: ${error.message}`,
+      );
+    }
+  }
+
+  /**
+   * Rebuild the event legend from the built-in event types and the
+   * current categories. Swatches use inline colors so the legend renders
+   * the same when copied into a PDF export.
+   */
+  renderLegend() {
+    let legend = document.querySelector('.event-legend');
+    if (!legend) {
+      legend = document.createElement('div');
+      legend.className = 'event-legend';
+      const container =
+        document.getElementById('year-planner-container') || document.body;
+      container.parentNode.insertBefore(legend, container);
+    }
+
+    legend.innerHTML = '';
+
+    const addSwatchItem = (label, background, border, icon = '') => {
+      const item = document.createElement('div');
+      item.className = 'legend-item';
+
+      const swatch = document.createElement('div');
+      swatch.className = 'legend-color';
+      swatch.style.backgroundColor = background;
+      swatch.style.borderLeft = `2px solid ${border}`;
+      item.appendChild(swatch);
+
+      const text = document.createElement('span');
+      text.textContent = icon ? `${icon} ${label}` : label;
+      item.appendChild(text);
+
+      legend.appendChild(item);
+    };
+
+    const addSymbolItem = (text, title) => {
+      const item = document.createElement('div');
+      item.className = 'legend-item';
+      const span = document.createElement('span');
+      span.title = title;
+      span.textContent = text;
+      item.appendChild(span);
+      legend.appendChild(item);
+    };
+
+    addSwatchItem('Regular Event', '#e3f2fd', '#2196f3');
+    addSwatchItem('Public Holiday', '#ffecb3', '#ffc107');
+
+    this.categories.forEach((category) => {
+      addSwatchItem(
+        category.name,
+        `${category.color}40`,
+        category.color,
+        category.icon,
+      );
+    });
+
+    addSymbolItem('↻ - Recurring', 'Recurring event');
+    addSymbolItem('◑ - Starts PM', 'Event starts in the afternoon');
+    addSymbolItem('◐ - Ends AM', 'Event ends in the morning');
+  }
+
+  /**
+   * Navigate to previous or next year
+   * @param {number} offset - Year offset (-1 for previous, 1 for next)
+   */
+  navigateYear(offset) {
+    this.loadYear(this.currentYear + offset);
+  }
+
+  /**
+   * Handle click on a day cell
+   * @param {Date} date - The date that was clicked
+   */
+  handleDayClick(date) {
+    this.openEventEditor(null, date);
+  }
+
+  /**
+   * Handle a range of days selected on the grid by dragging or with
+   * Shift+arrow keys
+   * @param {Date} startDate - First selected day
+   * @param {Date} endDate - Last selected day
+   */
+  handleRangeSelect(startDate, endDate) {
+    if (this.sharedPlan) {
+      this.showSharedPlanIsReadOnly();
+      return;
+    }
+
+    try {
+      this.eventEditorModal.open(
+        null,
+        normalizeDateToUTC(startDate),
+        normalizeDateToUTC(endDate),
+      );
+    } catch (error) {
+      console.error('Error opening event editor:', error);
+      this.displayErrorMessage(`Failed to open event editor: ${error.message}`);
+    }
+  }
+
+  /**
+   * Handle click on an existing event
+   * @param {string} eventId - ID of the clicked event
+   */
+  handleEventClick(eventId) {
+    // Find the event in the expanded events list
+    const event = this.yearPlannerGrid.events.find((e) => e.id === eventId);
+
+    if (event && event.isReadOnly) {
+      this.showReadOnlyEvent(event);
+      return;
+    }
+
+    if (event) {
+      // For recurrence instances, edit the occurrence within its original event
+      if (event.isRecurrenceInstance && event.originalEventId) {
+        const originalEvent = this.yearPlanner.events.find(
+          (e) => e.id === event.originalEventId,
+        );
+        if (originalEvent) {
+          this.openEventEditor(originalEvent, undefined, event);
+          return;
+        }
+      }
+
+      // Otherwise, open the event directly
+      this.openEventEditor(event);
+    } else {
+      console.error(`Event with ID ${eventId} not found`);
+      this.displayErrorMessage('Event not found. It may have been deleted.');
+    }
+  }
+
+  /**
+   * Explain why an event can't be edited: it is a built-in holiday or
+   * belongs to a read-only calendar
+   * @param {Object} event - The clicked event
+   */
+  showReadOnlyEvent(event) {
+    if (event.isBuiltInHoliday) {
+      this.displayNotification(
+        `${event.title}: ${event.description}. Built-in holidays can't be edited; choose the regions in Settings.`,
+      );
+      return;
+    }
+
+    if (this.sharedPlan) {
+      this.showSharedPlanIsReadOnly(event);
+      return;
+    }
+
+    this.displayNotification(
+      `"${event.title}" is in the read-only calendar "${this.getEventCalendar(event).name}". Unlock it under Calendars to edit it.`,
+    );
+  }
+
+  /**
+   * Explain that a shared plan can't be changed, only imported
+   * @param {Object} [event] - The clicked event, if any
+   */
+  showSharedPlanIsReadOnly(event) {
+    const subject = event
+      ? `"${event.title}" is part of a shared plan, which`
+      : 'This shared plan';
+    this.displayNotification(
+      `${subject} is read-only. Import it into your planner to make changes.`,
+    );
+  }
+
+  /**
+   * Handle an event dragged to new dates on the grid
+   * @param {Object} move - The new dates
+   * @param {string} move.eventId - ID of the dragged event or occurrence
+   * @param {Date} move.startDate - New start date
+   * @param {Date} move.endDate - New end date
+   * @param {boolean} move.startsPM - Whether the event now starts in the afternoon
+   * @param {boolean} move.endsAM - Whether the event now ends in the morning
+   * @returns {Promise<void>}
+   */
+  async handleEventMove({ eventId, startDate, endDate, startsPM, endsAM }) {
+    const event = this.yearPlannerGrid.events.find((e) => e.id === eventId);
+    if (!event) {
+      console.error(`Event with ID ${eventId} not found`);
+      this.displayErrorMessage('Event not found. It may have been deleted.');
+      return;
+    }
+
+    if (event.isReadOnly) {
+      this.showReadOnlyEvent(event);
+      return;
+    }
+
+    const changes = { startDate, endDate, startsPM, endsAM };
+
+    // Occurrences of a series ask whether the others move too
+    if (event.isRecurrenceInstance && event.originalEventId) {
+      const options = { month: 'short', day: 'numeric' };
+      const from = startDate.toLocaleDateString(undefined, options);
+      const to = endDate.toLocaleDateString(undefined, options);
+
+      this.pendingEventMove = { occurrence: event, changes };
+      this.recurrenceScopeModal.open(
+        `Move "${event.title}" to ${from === to ? from : `${from} – ${to}`}. Apply this to:`,
+      );
+      return;
+    }
+
+    await this.handleEventSave({ ...event, ...changes });
+  }
+
+  /**
+   * Move a dragged occurrence of a recurring series
+   * @param {Object} move - The pending move
+   * @param {Object} move.occurrence - The dragged instance
+   * @param {Object} move.changes - Its new startDate, endDate, startsPM and endsAM
+   * @param {('occurrence'|'following'|'series')} scope - Part of the series to move
+   * @returns {Promise<void>}
+   */
+  async moveOccurrences({ occurrence, changes }, scope) {
+    const series = this.yearPlanner.getEvent(occurrence.originalEventId);
+    if (!series) {
+      this.displayErrorMessage('Event not found. It may have been deleted.');
+      return;
+    }
+
+    if (scope !== 'series') {
+      await this.handleEventSave(
+        {
+          ...occurrence,
+          ...changes,
+          id: series.id,
+          isRecurring: true,
+          recurrencePattern: series.recurrencePattern,
+        },
+        { scope, occurrenceDate: occurrence.recurrenceId },
+      );
+      return;
+    }
+
+    // Move the series by as much as the occurrence was moved, in half-days
+    const from = toHalfDays(occurrence);
+    const to = toHalfDays(changes);
+    const current = toHalfDays(series);
+    const start = current.start + to.start - from.start;
+    const end = current.end + to.end - from.end;
+    const days = Math.floor(start / 2) - Math.floor(current.start / 2);
+
+    await this.handleEventSave({
+      ...series,
+      ...fromHalfDays(start, end),
+      recurrencePattern: days
+        ? this.recurrenceCalculator.shiftSeries(series, days)
+        : series.recurrencePattern,
+    });
+  }
+
+  /**
+   * Open the event editor modal
+   * @param {Event|null} event - Event to edit, or null for new event
+   * @param {Date} [defaultDate] - Default date for new events
+   * @param {Event|null} [occurrence] - Clicked instance when editing one occurrence of a series
+   */
+  openEventEditor(event, defaultDate = new Date(), occurrence = null) {
+    if (this.sharedPlan) {
+      this.showSharedPlanIsReadOnly();
+      return;
+    }
+
+    try {
+      // Normalize default date to midnight UTC and ensure it's in the current year
+      defaultDate = normalizeDateToUTC(defaultDate);
+      const { firstDay, lastDay } = this.getPlannerDays();
+      if (defaultDate < firstDay || defaultDate > lastDay) {
+        defaultDate = firstDay;
+      }
+
+      // If creating a new event
+      if (!event) {
+        this.eventEditorModal.open(null, defaultDate);
+      } else {
+        // Clone the event to avoid modifying the original directly
+        const eventCopy = { ...event };
+
+        // Ensure dates are proper Date objects and normalized to midnight UTC
+        eventCopy.startDate = normalizeDateToUTC(eventCopy.startDate);
+        eventCopy.endDate = normalizeDateToUTC(eventCopy.endDate);
+
+        if (occurrence) {
+          // Show the occurrence's own dates with the series' recurrence settings
+          const occurrenceCopy = {
+            ...occurrence,
+            startDate: normalizeDateToUTC(occurrence.startDate),
+            endDate: normalizeDateToUTC(occurrence.endDate),
+            isRecurring: true,
+            recurrencePattern: event.recurrencePattern,
+          };
+          this.eventEditorModal.openOccurrence(eventCopy, occurrenceCopy);
+        } else {
+          this.eventEditorModal.open(eventCopy);
+        }
+      }
+    } catch (error) {
+      console.error('Error opening event editor:', error);
+      this.displayErrorMessage(`Failed to open event editor: ${error.message}`);
+    }
+  }
+
+  /**
+   * Handle saving an event from the editor
+   * @param {Object} eventData - The event data to save
+   * @param {Object} [options] - Recurrence scope of the edit
+   * @param {('occurrence'|'following'|'series')} [options.scope='series'] - Part of a recurring series to change
+   * @param {string|null} [options.occurrenceDate=null] - Occurrence key (YYYY-MM-DD) for occurrence edits
+   */
+  async handleEventSave(eventData, { scope = 'series', occurrenceDate = null } = {}) {
+    try {
+      const isNewEvent = !this.yearPlanner.getEvent(eventData.id);
+
+      // Validate event dates
+      if (!eventData.startDate || !eventData.endDate) {
+        throw new Error('Start and end dates are required');
+      }
+
+      // Normalize dates to midnight UTC
+      let startDate = normalizeDateToUTC(eventData.startDate);
+      let endDate = normalizeDateToUTC(eventData.endDate);
+
+      // Log dates for debugging
+      console.log('Start date before validation:', startDate);
+      console.log('End date before validation:', endDate);
+
+      // Ensure end date is not before start date
+      if (endDate < startDate) {
+        // If end date is before start date, swap them
+        console.log('Swapping dates because end date is before start date');
+        const temp = endDate;
+        endDate = startDate;
+        startDate = temp;
+      }
+
+      // Events may cross into neighbouring years, but must touch this one
+      const { firstDay, lastDay } = this.getPlannerDays();
+
+      if (startDate > lastDay || endDate < firstDay) {
+        throw new Error(
+          `Event must include at least one day in ${this.getYearLabel(this.currentYear)}.`,
+        );
+      }
+
+      const calendar = this.getEventCalendar(eventData);
+      if (calendar.readOnly) {
+        throw new Error(`The calendar "${calendar.name}" is read-only.`);
+      }
+
+      const checkpoint = this.captureState();
+
+      if (scope !== 'series' && occurrenceDate) {
+        const handled = await this.saveOccurrenceChange(
+          { ...eventData, startDate, endDate },
+          scope,
+          occurrenceDate,
+        );
+        if (handled) {
+          await this.recordHistory(
+            `Edit "${eventData.title}"`,
+            checkpoint,
+            this.captureState(),
+          );
+          await this.loadYear(this.currentYear);
+          this.displaySaveResult(
+            scope === 'occurrence'
+              ? 'Occurrence updated successfully'
+              : 'Following occurrences updated successfully',
+            { ...eventData, startDate, endDate },
+          );
+          return;
+        }
+      }
+
+      // Create a proper Event instance; an edit starts from the loaded event,
+      // so fields the editor doesn't show are kept
+      const event = new Event({
+        ...this.yearPlanner.getEvent(eventData.id),
+        id: eventData.id,
+        title: eventData.title,
+        description: eventData.description || '',
+        startDate: startDate,
+        endDate: endDate,
+        isRecurring: eventData.isRecurring || false,
+        recurrencePattern: eventData.recurrencePattern,
+        startsPM: eventData.startsPM || false,
+        endsAM: eventData.endsAM || false,
+        isPublicHoliday: eventData.isPublicHoliday || false,
+        categoryId: eventData.categoryId || null,
+        calendarId: eventData.calendarId,
+        assignee: eventData.assignee,
+        updatedAt: new Date().toISOString(),
+      });
+
+      // Add or update the event in the year planner
+      if (isNewEvent) {
+        this.yearPlanner.addEvent(event);
+      } else {
+        this.yearPlanner.updateEvent(eventData.id, event);
+      }
+
+      // Save to storage
+      await this.storageAdapter.saveEvent(event);
+      await this.recordHistory(
+        `${isNewEvent ? 'Create' : 'Edit'} "${event.title}"`,
+        checkpoint,
+        this.captureState(),
+      );
+
+      // Reload the year to reflect changes
+      await this.loadYear(this.currentYear);
+
+      this.displaySaveResult(
+        isNewEvent
+          ? 'Event created successfully'
+          : 'Event updated successfully',
+        event,
+      );
+    } catch (error) {
+      console.error('Error saving event:', error);
+      if (error instanceof ConflictError) {
+        await this.reloadAfterConflict(error);
+        return;
+      }
+      this.displayErrorMessage(`Failed to save event: ${error.message}`);
+    }
+  }
+
+  /**
+   * Tell the user their change was refused because someone else changed the
+   * same data on the planner server, and show that person's version
+   * @param {ConflictError} error - The refused write
+   * @returns {Promise<void>}
+   */
+  async reloadAfterConflict(error) {
+    try {
+      await this.loadCategories();
+      await this.loadCalendars();
+      this.recurrenceCalculator.clearCache();
+      await this.loadYear(this.currentYear);
+    } catch (reloadError) {
+      console.error('Error reloading after conflict:', reloadError);
+    }
+    this.displayErrorMessage(
+      `${error.message}. Their changes are shown now; make yours again.`,
+    );
+  }
+
+  /**
+   * Confirm a saved event, or warn instead when its assignee's absence
+   * overlaps someone else's
+   * @param {string} message - Success message
+   * @param {Object} eventData - The saved event
+   */
+  displaySaveResult(message, eventData) {
+    const overlap = this.describeTeamOverlap(eventData);
+    if (overlap) {
+      this.displayNotification(`${message}, but ${overlap}`);
+    } else {
+      this.displaySuccessMessage(message);
+    }
+  }
+
+  /**
+   * Save an edit to one occurrence, or to an occurrence and those after it
+   * @param {Object} eventData - Event data from the editor, with normalized dates
+   * @param {('occurrence'|'following')} scope - Part of the series to change
+   * @param {string} occurrenceDate - Occurrence key (YYYY-MM-DD)
+   * @returns {Promise<boolean>} False if the edit covers the whole series and should be saved as such
+   */
+  async saveOccurrenceChange(eventData, scope, occurrenceDate) {
+    const series = this.yearPlanner.getEvent(eventData.id);
+    if (!series || !series.isRecurring) {
+      throw new Error('Recurring event not found');
+    }
+
+    if (scope === 'occurrence') {
+      const recurrencePattern = this.recurrenceCalculator.overrideOccurrence(
+        series,
+        occurrenceDate,
+        eventData,
+      );
+      await this.updateSeriesPattern(series, recurrencePattern);
+      return true;
+    }
+
+    const { pattern, followingPattern, occurrencesBefore } =
+      this.recurrenceCalculator.splitSeries(
+        series,
+        occurrenceDate,
+        eventData.recurrencePattern || series.recurrencePattern,
+      );
+
+    // Splitting at the first occurrence changes the whole series
+    if (occurrencesBefore === 0) {
+      eventData.recurrencePattern = followingPattern;
+      return false;
+    }
+
+    await this.updateSeriesPattern(series, pattern);
+
+    const followingSeries = new Event({
+      title: eventData.title,
+      description: eventData.description || '',
+      startDate: eventData.startDate,
+      endDate: eventData.endDate,
+      isRecurring: eventData.isRecurring !== false,
+      recurrencePattern: followingPattern,
+      startsPM: eventData.startsPM || false,
+      endsAM: eventData.endsAM || false,
+      isPublicHoliday: eventData.isPublicHoliday || false,
+      categoryId: eventData.categoryId || null,
+      calendarId: eventData.calendarId,
+      assignee: eventData.assignee,
+      updatedAt: new Date().toISOString(),
+    });
+
+    this.yearPlanner.addEvent(followingSeries);
+    await this.storageAdapter.saveEvent(followingSeries);
+    return true;
+  }
+
+  /**
+   * Delete one occurrence, or an occurrence and those after it
+   * @param {string} seriesId - ID of the base recurring event
+   * @param {('occurrence'|'following')} scope - Part of the series to delete
+   * @param {string} occurrenceDate - Occurrence key (YYYY-MM-DD)
+   * @returns {Promise<boolean>} False if the whole series should be deleted instead
+   */
+  async deleteOccurrences(seriesId, scope, occurrenceDate) {
+    const series = this.yearPlanner.getEvent(seriesId);
+    if (!series || !series.isRecurring) {
+      return false;
+    }
+
+    if (scope === 'occurrence') {
+      await this.updateSeriesPattern(
+        series,
+        this.recurrenceCalculator.excludeOccurrence(series, occurrenceDate),
+      );
+      return true;
+    }
+
+    const { pattern, occurrencesBefore } = this.recurrenceCalculator.splitSeries(
+      series,
+      occurrenceDate,
+    );
+
+    // Deleting from the first occurrence onwards removes the whole series
+    if (occurrencesBefore === 0) {
+      return false;
+    }
+
+    await this.updateSeriesPattern(series, pattern);
+    return true;
+  }
+
+  /**
+   * Replace the recurrence pattern of a series and persist it
+   * @param {Event} series - The base recurring event
+   * @param {Object} recurrencePattern - Updated recurrence pattern
+   */
+  async updateSeriesPattern(series, recurrencePattern) {
+    const updated = new Event({
+      ...series,
+      recurrencePattern,
+      updatedAt: new Date().toISOString(),
+    });
+    this.yearPlanner.updateEvent(series.id, updated);
+    await this.storageAdapter.saveEvent(updated);
+    this.recurrenceCalculator.clearCache();
+  }
+
+  /**
+   * Handle deleting an event
+   * @param {string} eventId - ID of the event to delete
+   * @param {Object} [options] - Recurrence scope of the deletion
+   * @param {('occurrence'|'following'|'series')} [options.scope='series'] - Part of a recurring series to delete
+   * @param {string|null} [options.occurrenceDate=null] - Occurrence key (YYYY-MM-DD) for occurrence deletes
+   */
+  async handleEventDelete(eventId, { scope = 'series', occurrenceDate = null } = {}) {
+    try {
+      console.log(`Attempting to delete event: ${eventId}`);
+
+      const checkpoint = this.captureState();
+
+      if (scope !== 'series' && occurrenceDate) {
+        const series = this.yearPlanner.getEvent(eventId);
+        const handled = await this.deleteOccurrences(eventId, scope, occurrenceDate);
+        if (handled) {
+          await this.recordHistory(
+            `Delete occurrences of "${series ? series.title : eventId}"`,
+            checkpoint,
+            this.captureState(),
+          );
+          await this.loadYear(this.currentYear);
+          this.displaySuccessMessage(
+            scope === 'occurrence'
+              ? 'Occurrence deleted successfully'
+              : 'Following occurrences deleted successfully',
+          );
+          return;
+        }
+      }
+
+      // First check if this is an expanded recurrence instance
+      const event = this.yearPlannerGrid.events.find((e) => e.id === eventId);
+      let originalEventId = eventId;
+
+      if (event && event.isRecurrenceInstance && event.originalEventId) {
+        // If it's a recurrence instance, use the original event ID
+        console.log(
+          `Found recurrence instance, original ID: ${event.originalEventId}`,
+        );
+        originalEventId = event.originalEventId;
+      }
+
+      // Check if the original event actually exists in the year planner
+      const originalEventExists = this.yearPlanner.events.some(
+        (e) => e.id === originalEventId,
+      );
+
+      if (!originalEventExists) {
+        console.warn(
+          `Original event ${originalEventId} not found in year planner`,
+        );
+        // Try fallback to ID without date suffix
+        const baseId = originalEventId.split('_').slice(0, -1).join('_');
+        console.log(`Trying base ID: ${baseId}`);
+
+        if (this.yearPlanner.events.some((e) => e.id === baseId)) {
+          originalEventId = baseId;
+        }
+      }
+
+      // Remove from the year planner
+      const target = this.yearPlanner.getEvent(originalEventId);
+      const removed = this.yearPlanner.removeEvent(originalEventId);
+
+      if (!removed) {
+        console.warn(`Event ${originalEventId} not found in year planner`);
+      }
+
+      // Keep it in the trash, then delete it from storage; if that fails the
+      // event is still stored, so take it back out of the trash
+      if (target) {
+        await this.getTrashBin().add(target);
+      }
+      try {
+        await this.storageAdapter.deleteEvent(originalEventId);
+      } catch (error) {
+        if (target) {
+          await this.getTrashBin().purge([originalEventId]);
+        }
+        throw error;
+      }
+      await this.recordHistory(
+        `Delete "${target ? target.title : originalEventId}"`,
+        checkpoint,
+        this.captureState(),
+      );
+
+      // Clear the recurrence calculator cache
+      this.recurrenceCalculator.clearCache();
+
+      // Reload the year to reflect changes
+      await this.loadYear(this.currentYear);
+
+      this.displaySuccessMessage(
+        target
+          ? 'Event moved to the trash. Use Trash to restore it.'
+          : 'Event deleted successfully',
+      );
+    } catch (error) {
+      console.error('Error deleting event:', error);
+      if (error instanceof ConflictError) {
+        await this.reloadAfterConflict(error);
+        return;
+      }
+      this.displayErrorMessage(`Failed to delete event: ${error.message}`);
+    }
+  }
+
+  /**
+   * Handle resetting the calendar
+   */
+  async handleResetCalendar() {
+    try {
+      // Show confirmation dialog
+      const confirmed = confirm(
+        'Are you sure you want to reset the calendar? This will delete all events.',
+      );
+      if (!confirmed) return;
+
+      // Show second confirmation dialog
+      const secondConfirmation = prompt(
+        'Events in every year will be deleted. Type "Yes, I understand" to confirm.',
+      );
+      if (secondConfirmation !== 'Yes, I understand') return;
+
+      // Clear all data, keeping a snapshot to restore it from
+      const snapshot = await this.takeSnapshot(SNAPSHOT_REASONS.RESET);
+      const checkpoint = await this.captureStoredState();
+      await this.storageAdapter.clearAllData();
+      // Keep the display preferences; only the planner's data is reset
+      await this.storageAdapter.saveSetting(
+        PREFERENCES.STORAGE_KEY,
+        this.preferences,
+      );
+      await this.loadCategories();
+      await this.loadCalendars();
+      await this.recordHistory(
+        'Reset calendar',
+        checkpoint,
+        await this.captureStoredState(),
+      );
+
+      // Reload the year to reflect changes
+      await this.loadYear(this.currentYear);
+
+      this.displaySuccessMessage(
+        snapshot
+          ? 'Calendar reset successfully. Use Restore to get the events back.'
+          : 'Calendar reset successfully',
+      );
+    } catch (error) {
+      console.error('Error resetting calendar:', error);
+      this.displayErrorMessage(`Failed to reset calendar: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get the snapshots kept of the planner's current storage
+   * @returns {SnapshotManager}
+   */
+  getSnapshotManager() {
+    return new SnapshotManager(this.storageAdapter);
+  }
+
+  /**
+   * Keep a snapshot of the stored data before a change that replaces or
+   * deletes it. A change whose snapshot fails is not made.
+   * @param {string} reason - Why it is taken, one of SNAPSHOT_REASONS
+   * @param {string} [label] - What it is taken before, e.g. the imported file
+   * @returns {Promise<Object|null>} The snapshot, or null where snapshots
+   *   aren't kept
+   */
+  async takeSnapshot(reason, label) {
+    if (this.sharedPlan) return null;
+    return this.getSnapshotManager().take(reason, label);
+  }
+
+  /**
+   * Take the day's snapshot if it hasn't been taken yet
+   * @returns {Promise<void>}
+   */
+  async takeDailySnapshot() {
+    try {
+      await this.getSnapshotManager().takeDaily();
+    } catch (error) {
+      // The planner works without it; the next start tries again
+      console.error('Error taking the daily snapshot:', error);
+    }
+  }
+
+  /**
+   * Open the dialog listing the snapshots, each compared with the current data
+   * @returns {Promise<void>}
+   */
+  async openSnapshotRestore() {
+    const manager = this.getSnapshotManager();
+    if (!manager.isAvailable()) {
+      this.displayErrorMessage(
+        'Snapshots are only kept of a planner kept in this browser',
+      );
+      return;
+    }
+
+    try {
+      const entries = [];
+      for (const snapshot of await manager.list()) {
+        entries.push({ snapshot, comparison: await manager.compare(snapshot) });
+      }
+      this.snapshotRestoreModal.open(entries);
+    } catch (error) {
+      console.error('Error loading snapshots:', error);
+      this.displayErrorMessage(`Failed to load snapshots: ${error.message}`);
+    }
+  }
+
+  /**
+   * Restore a snapshot chosen in the restore dialog
+   * @param {string} snapshotId - ID of the snapshot
+   * @param {number|null} year - Only restore this year, or null for everything
+   * @returns {Promise<void>}
+   */
+  async restoreSnapshot(snapshotId, year) {
+    try {
+      const manager = this.getSnapshotManager();
+      const snapshot = (await manager.list()).find(
+        (kept) => kept.id === snapshotId,
+      );
+      if (!snapshot) {
+        throw new Error('The snapshot no longer exists');
+      }
+
+      const checkpoint = await this.captureStoredState();
+      await manager.restore(snapshot, year);
+      if (year === null) {
+        await this.loadCategories();
+        await this.loadCalendars();
+      }
+      await this.recordHistory(
+        'Restore snapshot',
+        checkpoint,
+        await this.captureStoredState(),
+      );
+
+      this.recurrenceCalculator.clearCache();
+      await this.loadYear(this.currentYear);
+
+      const taken = new Date(snapshot.createdAt).toLocaleString(undefined, {
+        dateStyle: 'medium',
+        timeStyle: 'short',
+      });
+      this.displaySuccessMessage(
+        year === null
+          ? `Restored the snapshot of ${taken}`
+          : `Restored ${year} from the snapshot of ${taken}`,
+      );
+    } catch (error) {
+      console.error('Error restoring snapshot:', error);
+      this.displayErrorMessage(`Failed to restore snapshot: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get the trash of the planner's current storage, keeping deleted events
+   * for the days chosen in the settings
+   * @returns {TrashBin}
+   */
+  getTrashBin() {
+    return new TrashBin(this.storageAdapter, {
+      retentionDays: this.preferences.trashRetentionDays,
+    });
+  }
+
+  /**
+   * Delete the events kept in the trash longer than the retention period
+   * @returns {Promise<void>}
+   */
+  async purgeExpiredTrash() {
+    try {
+      await this.getTrashBin().purgeExpired();
+    } catch (error) {
+      // They are kept until the trash is next opened or the planner restarted
+      console.error('Error purging the trash:', error);
+    }
+  }
+
+  /**
+   * Open the trash, or show its current contents while it is open
+   * @returns {Promise<void>}
+   */
+  async openTrash() {
+    try {
+      const trash = this.getTrashBin();
+      await trash.purgeExpired();
+      this.trashModal.open(await trash.list(), trash.retentionDays);
+    } catch (error) {
+      console.error('Error loading the trash:', error);
+      this.displayErrorMessage(`Failed to load the trash: ${error.message}`);
+    }
+  }
+
+  /**
+   * Put events from the trash back into the planner
+   * @param {Array<string>} eventIds - IDs of the deleted events
+   * @returns {Promise<void>}
+   */
+  async restoreFromTrash(eventIds) {
+    try {
+      // Restored events can be in any year
+      const checkpoint = await this.captureStoredState();
+      const restored = await this.getTrashBin().restore(eventIds);
+      if (restored.length === 0) {
+        await this.openTrash();
+        this.displayErrorMessage('The event is no longer in the trash');
+        return;
+      }
+
+      await this.recordHistory(
+        restored.length === 1
+          ? `Restore "${restored[0].title}"`
+          : 'Restore deleted events',
+        checkpoint,
+        await this.captureStoredState(),
+      );
+
+      this.recurrenceCalculator.clearCache();
+      await this.loadYear(this.currentYear);
+      await this.openTrash();
 
-      // Show second confirmation dialog
-      const secondConfirmation = prompt(
-        'This action cannot be undone. Type "Yes, I understand" to confirm.',
+      this.displaySuccessMessage(
+        restored.length === 1
+          ? `Restored "${restored[0].title}"`
+          : `Restored ${restored.length} events`,
       );
-      if (secondConfirmation !== 'Yes, I understand') return;
+    } catch (error) {
+      console.error('Error restoring from the trash:', error);
+      if (error instanceof ConflictError) {
+        await this.reloadAfterConflict(error);
+        return;
+      }
+      this.displayErrorMessage(`Failed to restore: ${error.message}`);
+    }
+  }
 
-      // Clear all data
-      await this.storageAdapter.clearAllData();
+  /**
+   * Delete events in the trash for good
+   * @param {Array<string>} eventIds - IDs of the deleted events
+   * @returns {Promise<void>}
+   */
+  async purgeFromTrash(eventIds) {
+    try {
+      const purged = await this.getTrashBin().purge(eventIds);
+      await this.openTrash();
 
-      // Reload the year to reflect changes
+      this.displaySuccessMessage(
+        purged === 1
+          ? 'Event deleted for good'
+          : `${purged} events deleted for good`,
+      );
+    } catch (error) {
+      console.error('Error purging the trash:', error);
+      if (error instanceof ConflictError) {
+        await this.reloadAfterConflict(error);
+        return;
+      }
+      this.displayErrorMessage(`Failed to empty the trash: ${error.message}`);
+    }
+  }
+
+  /**
+   * Load every stored event from every year
+   * @returns {Promise<Array<Object>>} Stored events, each listed once
+   */
+  async loadAllEvents() {
+    const years = await this.storageAdapter.getStoredYears();
+    const events = new Map();
+
+    // Events spanning several years are returned for each of them
+    for (const year of years) {
+      for (const event of await this.storageAdapter.loadEvents(year)) {
+        events.set(event.id, event);
+      }
+    }
+
+    return [...events.values()];
+  }
+
+  /**
+   * Snapshot the loaded year's events, the categories and the calendars.
+   * Enough to undo edits made in the editor, which only touch events of the
+   * loaded year.
+   * @returns {{events: Array<Event>, categories: Array<Category>, calendars: Array<Calendar>}} The snapshot
+   */
+  captureState() {
+    return {
+      events: this.yearPlanner.events,
+      categories: this.categories,
+      calendars: this.calendars,
+    };
+  }
+
+  /**
+   * Snapshot every stored event, the categories and the calendars, for
+   * changes such as imports that can touch any year
+   * @returns {Promise<{events: Array<Object>, categories: Array<Category>, calendars: Array<Calendar>}>} The snapshot
+   */
+  async captureStoredState() {
+    return {
+      events: await this.loadAllEvents(),
+      categories: this.categories,
+      calendars: this.calendars,
+    };
+  }
+
+  /**
+   * Record a completed change in the undo history
+   * @param {string} label - Description shown when undoing or redoing
+   * @param {Object} before - Snapshot taken before the change
+   * @param {Object} after - Snapshot of the same scope taken after the change
+   * @returns {Promise<void>}
+   */
+  async recordHistory(label, before, after) {
+    try {
+      const entry = CommandHistory.createEntry(label, before, after);
+      if (!entry) return;
+
+      this.history.record(entry);
+      await this.saveHistory();
+    } catch (error) {
+      // The change itself succeeded; only its undo entry is lost
+      console.error('Error recording history:', error);
+    }
+  }
+
+  /**
+   * Undo the most recent change
+   * @returns {Promise<void>}
+   */
+  async undo() {
+    if (this.applyingHistory || !this.history.canUndo()) return;
+
+    const entry = this.history.undo();
+    try {
+      await this.applyHistoryEntry(entry, 'before');
+      this.displaySuccessMessage(`Undone: ${entry.label}`);
+    } catch (error) {
+      // Keep the entry undoable if restoring failed
+      this.history.redo();
+      console.error('Error undoing change:', error);
+      this.displayErrorMessage(`Failed to undo: ${error.message}`);
+    }
+    await this.saveHistory();
+  }
+
+  /**
+   * Redo the most recently undone change
+   * @returns {Promise<void>}
+   */
+  async redo() {
+    if (this.applyingHistory || !this.history.canRedo()) return;
+
+    const entry = this.history.redo();
+    try {
+      await this.applyHistoryEntry(entry, 'after');
+      this.displaySuccessMessage(`Redone: ${entry.label}`);
+    } catch (error) {
+      this.history.undo();
+      console.error('Error redoing change:', error);
+      this.displayErrorMessage(`Failed to redo: ${error.message}`);
+    }
+    await this.saveHistory();
+  }
+
+  /**
+   * Restore one side of a history entry in storage and refresh the view
+   * @param {Object} entry - Entry from the command history
+   * @param {('before'|'after')} side - State to restore
+   * @returns {Promise<void>}
+   */
+  async applyHistoryEntry(entry, side) {
+    this.applyingHistory = true;
+    try {
+      const restored = entry.events
+        .filter((change) => change[side])
+        .map((change) => ({
+          ...change[side],
+          startDate: new Date(change[side].startDate),
+          endDate: new Date(change[side].endDate),
+        }));
+      await this.storageAdapter.saveEvents(restored);
+      // Events brought back are no longer deleted
+      if (!this.sharedPlan && restored.length > 0) {
+        await this.getTrashBin().purge(restored.map((event) => event.id));
+      }
+
+      for (const change of entry.events) {
+        if (!change[side]) {
+          await this.storageAdapter.deleteEvent(change.id);
+        }
+      }
+
+      if (entry.categories && entry.categories[side]) {
+        await this.storageAdapter.saveCategories(entry.categories[side]);
+        await this.loadCategories();
+      }
+
+      if (entry.calendars && entry.calendars[side]) {
+        await this.storageAdapter.saveCalendars(entry.calendars[side]);
+        await this.loadCalendars();
+      }
+
+      this.recurrenceCalculator.clearCache();
       await this.loadYear(this.currentYear);
+    } finally {
+      this.applyingHistory = false;
+    }
+  }
 
-      this.displaySuccessMessage('Calendar reset successfully');
+  /**
+   * Restore the undo history saved by a previous session
+   * @returns {Promise<void>}
+   */
+  async loadHistory() {
+    try {
+      const data = await this.storageAdapter.loadSetting(HISTORY.STORAGE_KEY);
+      this.history = CommandHistory.fromJSON(data);
     } catch (error) {
-      console.error('Error resetting calendar:', error);
-      this.displayErrorMessage(`Failed to reset calendar: ${error.message}`);
+      console.error('Failed to load undo history:', error);
+      this.history = new CommandHistory();
+    }
+    this.updateHistoryButtons();
+  }
+
+  /**
+   * Persist the undo history so it survives a page reload
+   * @returns {Promise<void>}
+   */
+  async saveHistory() {
+    this.updateHistoryButtons();
+    try {
+      await this.storageAdapter.saveSetting(
+        HISTORY.STORAGE_KEY,
+        this.history.toJSON(),
+      );
+    } catch (error) {
+      console.error('Failed to save undo history:', error);
+    }
+  }
+
+  /**
+   * Enable the undo/redo buttons and describe what they would change
+   */
+  updateHistoryButtons() {
+    const undoBtn = document.getElementById('undo');
+    const redoBtn = document.getElementById('redo');
+    const nextUndo = this.history.peekUndo();
+    const nextRedo = this.history.peekRedo();
+
+    if (undoBtn) {
+      undoBtn.disabled = !nextUndo;
+      undoBtn.title = nextUndo
+        ? `Undo ${nextUndo.label} (Ctrl+Z)`
+        : 'Undo (Ctrl+Z)';
+    }
+
+    if (redoBtn) {
+      redoBtn.disabled = !nextRedo;
+      redoBtn.title = nextRedo
+        ? `Redo ${nextRedo.label} (Ctrl+Shift+Z)`
+        : 'Redo (Ctrl+Shift+Z)';
+    }
+  }
+
+  /**
+   * Handle the undo (Ctrl+Z) and redo (Ctrl+Shift+Z, Ctrl+Y) shortcuts.
+   * Shortcuts are left to the browser while typing or while a dialog is open.
+   * @param {KeyboardEvent} e - The keydown event
+   */
+  handleKeyDown(e) {
+    if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+
+    const key = e.key.toLowerCase();
+    const isUndo = key === 'z' && !e.shiftKey;
+    const isRedo = (key === 'z' && e.shiftKey) || (key === 'y' && !e.shiftKey);
+    if (!isUndo && !isRedo) return;
+
+    // composedPath reaches inputs inside the components' shadow roots
+    const target = e.composedPath ? e.composedPath()[0] : e.target;
+    if (
+      target &&
+      (target.isContentEditable ||
+        ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName))
+    ) {
+      return;
+    }
+    if (document.querySelector('[open]')) return;
+
+    e.preventDefault();
+    if (isUndo) {
+      this.undo();
+    } else {
+      this.redo();
     }
   }
 
   /**
-   * Export planner data to a JSON file
+   * Export planner data to a JSON file, limited to the calendar chosen next
+   * to the export buttons
    */
   async exportData() {
     try {
-      const jsonData = await this.storageAdapter.exportData(this.currentYear);
+      const calendar = this.getTransferCalendar();
+      let jsonData = await this.storageAdapter.exportData(this.currentYear, {
+        calendarId: calendar ? calendar.id : undefined,
+        defaultCalendarId: DEFAULT_CALENDAR_ID,
+      });
+      let suffix = this.getTransferFileSuffix(calendar);
 
-      // Create a download link for the JSON data
-      const blob = new Blob([jsonData], { type: 'application/json' });
-      const url = URL.createObjectURL(blob);
+      // Backups of a protected planner open with the same passphrase
+      if (this.storageAdapter instanceof EncryptedStorageAdapter) {
+        jsonData = await this.storageAdapter.encryptExport(jsonData);
+        suffix += '-encrypted';
+      }
 
-      const a = document.createElement('a');
-      a.href = url;
-      a.download = `year-planner-${this.currentYear}.json`;
-      document.body.appendChild(a);
-      a.click();
-      document.body.removeChild(a);
-      URL.revokeObjectURL(url);
+      this.downloadFile(
+        jsonData,
+        `year-planner-${this.currentYear}${suffix}.json`,
+        'application/json',
+      );
 
       this.displaySuccessMessage('Data exported successfully');
     } catch (error) {
@@ -861,6 +3293,157 @@ export class YearPlannerApp {
     }
   }
 
+  /**
+   * Export the current year's events as an iCalendar (.ics) file, limited to
+   * the calendar chosen next to the export buttons
+   */
+  async exportIcs() {
+    try {
+      const calendar = this.getTransferCalendar();
+      const events = calendar
+        ? this.yearPlanner.events.filter(
+            (event) => this.getEventCalendar(event).id === calendar.id,
+          )
+        : this.yearPlanner.events;
+
+      const icsData = exportToIcs(events, {
+        categories: this.categories,
+        calendarName: calendar
+          ? `Year Planner ${this.currentYear} – ${calendar.name}`
+          : `Year Planner ${this.currentYear}`,
+      });
+
+      this.downloadFile(
+        icsData,
+        `year-planner-${this.currentYear}${this.getTransferFileSuffix(calendar)}.ics`,
+        'text/calendar',
+      );
+
+      this.displaySuccessMessage('Calendar exported successfully');
+    } catch (error) {
+      console.error('Error exporting calendar:', error);
+      this.displayErrorMessage(`Failed to export calendar: ${error.message}`);
+    }
+  }
+
+  /**
+   * Export the current year's events as a CSV file, limited to the calendar
+   * chosen next to the export buttons
+   */
+  async exportCsv() {
+    try {
+      const calendar = this.getTransferCalendar();
+      const events = calendar
+        ? this.yearPlanner.events.filter(
+            (event) => this.getEventCalendar(event).id === calendar.id,
+          )
+        : this.yearPlanner.events;
+
+      this.downloadFile(
+        exportToCsv(events, { categories: this.categories }),
+        `year-planner-${this.currentYear}${this.getTransferFileSuffix(calendar)}.csv`,
+        'text/csv',
+      );
+
+      this.displaySuccessMessage('Events exported successfully');
+    } catch (error) {
+      console.error('Error exporting CSV:', error);
+      this.displayErrorMessage(`Failed to export CSV: ${error.message}`);
+    }
+  }
+
+  /**
+   * Copy a read-only link to the current year's events, limited to the
+   * calendar chosen next to the export buttons or, without one, to the
+   * calendars shown. The events travel in the link itself.
+   * @returns {Promise<void>}
+   */
+  async sharePlan() {
+    try {
+      const calendar = this.getTransferCalendar();
+      const events = this.yearPlanner.events.filter((event) => {
+        const eventCalendar = this.getEventCalendar(event);
+        return calendar
+          ? eventCalendar.id === calendar.id
+          : eventCalendar.visible;
+      });
+      if (events.length === 0) {
+        this.displayNotification('There are no events to share in this year');
+        return;
+      }
+
+      const plan = createSharedPlan({
+        year: this.currentYear,
+        startMonth: this.getStartMonth(),
+        events,
+        categories: this.categories,
+        calendars: this.calendars,
+        defaultCalendarId: DEFAULT_CALENDAR_ID,
+      });
+      const url = createShareUrl(
+        window.location.origin + window.location.pathname,
+        await encodeSharedPlan(plan),
+      );
+
+      try {
+        await navigator.clipboard.writeText(url);
+      } catch (error) {
+        // The clipboard needs HTTPS and may be refused; let the user copy it
+        window.prompt('Copy this link to share the plan:', url);
+        return;
+      }
+
+      const shared = calendar
+        ? `"${calendar.name}" in ${this.getYearLabel(this.currentYear)}`
+        : this.getYearLabel(this.currentYear);
+      if (url.length > SHARE.LONG_URL_LENGTH) {
+        this.displayNotification(
+          `Link to ${shared} copied. It is ${url.length} characters long, so some mail and chat apps may cut it off.`,
+        );
+      } else {
+        this.displaySuccessMessage(
+          `Link to ${shared} copied. Anyone with it can see these events.`,
+        );
+      }
+    } catch (error) {
+      console.error('Error sharing plan:', error);
+      this.displayErrorMessage(`Failed to share plan: ${error.message}`);
+    }
+  }
+
+  /**
+   * Build the part of an export file name naming its calendar
+   * @param {Calendar|null} calendar - Exported calendar, or null for all
+   * @returns {string} e.g. "-school-holidays", or "" for all calendars
+   */
+  getTransferFileSuffix(calendar) {
+    if (!calendar) return '';
+    const slug = calendar.name
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, '-')
+      .replace(/^-|-$/g, '');
+    return slug ? `-${slug}` : '';
+  }
+
+  /**
+   * Offer text content to the user as a file download
+   * @param {string} content - File contents
+   * @param {string} filename - Suggested file name
+   * @param {string} type - MIME type
+   */
+  downloadFile(content, filename, type) {
+    const blob = new Blob([content], { type });
+    const url = URL.createObjectURL(blob);
+
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+  }
+
   /**
    * Show the import dialog
    */
@@ -882,15 +3465,39 @@ export class YearPlannerApp {
     if (!file) return;
 
     try {
-      const jsonData = await this.readFileAsText(file);
+      let fileData = await this.readFileAsText(file);
 
-      // Import the data
-      await this.storageAdapter.importData(jsonData);
+      if (isEncryptedFile(fileData)) {
+        const encrypted = fileData;
+        fileData = await this.askPassphrase('file', ({ passphrase }) =>
+          decryptFile(encrypted, passphrase),
+        );
+        if (fileData === null) return;
+      }
 
-      // Reload the current year to reflect changes
-      await this.loadYear(this.currentYear);
+      if (/\.ics$/i.test(file.name) || fileData.trimStart().startsWith('BEGIN:VCALENDAR')) {
+        await this.importIcs(fileData, file.name);
+        return;
+      }
+
+      if (/\.csv$/i.test(file.name)) {
+        this.openCsvImport(fileData, file.name);
+        return;
+      }
+
+      // Preview the import, into the chosen calendar if there is one
+      const calendar = this.getTransferCalendar();
+      const preview = await this.storageAdapter.previewImport(fileData, {
+        calendarId: calendar ? calendar.id : undefined,
+        defaultCalendarId: DEFAULT_CALENDAR_ID,
+      });
 
-      this.displaySuccessMessage('Data imported successfully');
+      this.pendingImport = { fileData, fileName: file.name, calendar };
+      this.importWizardModal.open(
+        file.name,
+        preview,
+        calendar ? calendar.name : undefined,
+      );
     } catch (error) {
       console.error('Error importing data:', error);
       this.displayErrorMessage(`Failed to import data: ${error.message}`);
@@ -900,6 +3507,194 @@ export class YearPlannerApp {
     }
   }
 
+  /**
+   * Import the file previewed in the import wizard
+   * @param {string} strategy - How to combine it with the stored events, one of IMPORT_STRATEGIES
+   */
+  async applyPendingImport(strategy) {
+    if (!this.pendingImport) return;
+    const { fileData, fileName, calendar, sharedPlan } = this.pendingImport;
+    this.pendingImport = null;
+
+    try {
+      // Storage may have changed since the preview, so the merge is redone
+      await this.takeSnapshot(SNAPSHOT_REASONS.IMPORT, fileName);
+      const checkpoint = await this.captureStoredState();
+      const report = await this.storageAdapter.importData(fileData, {
+        calendarId: calendar ? calendar.id : undefined,
+        defaultCalendarId: DEFAULT_CALENDAR_ID,
+        strategy,
+      });
+      if (sharedPlan) {
+        await this.addSharedPlanLists(sharedPlan);
+      }
+      await this.recordHistory(
+        `Import ${fileName}`,
+        checkpoint,
+        await this.captureStoredState(),
+      );
+
+      // Reload the current year to reflect changes
+      await this.loadYear(this.currentYear);
+
+      const changed = report.changed.length + report.conflicting.length;
+      const parts = [`${report.added.length} new`];
+      if (strategy === IMPORT_STRATEGIES.MERGE_BY_ID) {
+        parts.push(`${report.changed.length} updated`);
+        if (report.conflicting.length > 0) {
+          parts.push(`${report.conflicting.length} kept as edited here`);
+        }
+      } else if (strategy === IMPORT_STRATEGIES.KEEP_BOTH) {
+        parts.push(`${changed} added as copies`);
+      } else {
+        parts.push(`${changed} replaced`, `${report.removed.length} deleted`);
+      }
+      const target = calendar ? ` into "${calendar.name}"` : '';
+
+      if (report.invalid.length === 0) {
+        this.displaySuccessMessage(`Imported${target}: ${parts.join(', ')}`);
+        return;
+      }
+
+      const details = report.invalid
+        .slice(0, 3)
+        .map(({ year, record, reason }) =>
+          record && record.title
+            ? `${record.title} in ${year} (${reason})`
+            : `${year} (${reason})`,
+        )
+        .join('; ');
+      const more =
+        report.invalid.length > 3 ? ` and ${report.invalid.length - 3} more` : '';
+      this.displayNotification(
+        `Imported${target}: ${parts.join(', ')}; skipped ${report.invalid.length}: ${details}${more}`,
+        'info',
+      );
+    } catch (error) {
+      console.error('Error importing data:', error);
+      this.displayErrorMessage(`Failed to import data: ${error.message}`);
+    }
+  }
+
+  /**
+   * Import events from iCalendar text and report skipped entries
+   * @param {string} icsData - Contents of an .ics file
+   * @param {string} [fileName='calendar'] - Name of the imported file, for the undo history
+   */
+  async importIcs(icsData, fileName = 'calendar') {
+    const { events, skipped } = importFromIcs(icsData, {
+      categories: this.categories,
+    });
+
+    // Without a chosen calendar, events go to the default one
+    const calendar = this.getTransferCalendar();
+    if (calendar) {
+      events.forEach((event) => {
+        event.calendarId = calendar.id;
+      });
+    }
+
+    await this.takeSnapshot(SNAPSHOT_REASONS.IMPORT, fileName);
+    const checkpoint = await this.captureStoredState();
+    await this.storageAdapter.saveEvents(events);
+    await this.recordHistory(
+      `Import ${fileName}`,
+      checkpoint,
+      await this.captureStoredState(),
+    );
+
+    await this.loadYear(this.currentYear);
+
+    this.reportImportedEvents(events.length, skipped);
+  }
+
+  /**
+   * Show the columns of a CSV file in the mapping dialog
+   * @param {string} csvData - Contents of a .csv file
+   * @param {string} fileName - Name of the file, for the dialog and the undo history
+   */
+  openCsvImport(csvData, fileName) {
+    const csv = parseCsv(csvData);
+    const mapping = guessColumnMapping(csv.headers);
+    const dates = ['startDate', 'endDate']
+      .filter((field) => mapping[field] !== undefined)
+      .flatMap((field) => csv.rows.map((row) => row[mapping[field]] || ''));
+
+    this.pendingCsvImport = {
+      rows: csv.rows,
+      fileName,
+      calendar: this.getTransferCalendar(),
+    };
+    this.csvImportModal.open(fileName, csv, {
+      mapping,
+      dateFormat: detectDateFormat(dates),
+    });
+  }
+
+  /**
+   * Import the rows of the CSV file shown in the mapping dialog
+   * @param {Object<string, number>} mapping - Column index by event field
+   * @param {string} dateFormat - One of CSV_DATE_FORMATS
+   */
+  async applyPendingCsvImport(mapping, dateFormat) {
+    if (!this.pendingCsvImport) return;
+    const { rows, fileName, calendar } = this.pendingCsvImport;
+    this.pendingCsvImport = null;
+
+    try {
+      // Rows are validated as Events before anything is stored
+      const { events, skipped } = importFromCsv(rows, {
+        mapping,
+        dateFormat,
+        categories: this.categories,
+      });
+      if (calendar) {
+        events.forEach((event) => {
+          event.calendarId = calendar.id;
+        });
+      }
+
+      await this.takeSnapshot(SNAPSHOT_REASONS.IMPORT, fileName);
+      const checkpoint = await this.captureStoredState();
+      await this.storageAdapter.saveEvents(events);
+      await this.recordHistory(
+        `Import ${fileName}`,
+        checkpoint,
+        await this.captureStoredState(),
+      );
+
+      await this.loadYear(this.currentYear);
+
+      this.reportImportedEvents(events.length, skipped);
+    } catch (error) {
+      console.error('Error importing CSV:', error);
+      this.displayErrorMessage(`Failed to import CSV: ${error.message}`);
+    }
+  }
+
+  /**
+   * Tell the user how many events an import added and which entries it skipped
+   * @param {number} count - Number of imported events
+   * @param {Array<{summary: string, reason: string}>} skipped - Entries that were left out
+   */
+  reportImportedEvents(count, skipped) {
+    if (skipped.length === 0) {
+      this.displaySuccessMessage(`Imported ${count} events`);
+      return;
+    }
+
+    console.warn('Skipped entries:', skipped);
+    const details = skipped
+      .slice(0, 3)
+      .map((entry) => `${entry.summary} (${entry.reason})`)
+      .join('; ');
+    const more = skipped.length > 3 ? ` and ${skipped.length - 3} more` : '';
+    this.displayNotification(
+      `Imported ${count} events, skipped ${skipped.length}: ${details}${more}`,
+      'info',
+    );
+  }
+
   /**
    * Read a file as text
    * @param {File} file - The file to read
@@ -929,14 +3724,14 @@ export class YearPlannerApp {
       // Try the print stylesheet method first
       try {
         const pdfBlob = await exportToPdfUsingPrintStylesheet({
-          year: this.currentYear,
+          year: this.getYearLabel(this.currentYear),
         });
 
         // Create a download link for the PDF
         const url = URL.createObjectURL(pdfBlob);
         const a = document.createElement('a');
         a.href = url;
-        a.download = `year-planner-${this.currentYear}.pdf`;
+        a.download = `year-planner-${this.getYearLabel(this.currentYear)}.pdf`;
         document.body.appendChild(a);
         a.click();
         document.body.removeChild(a);
@@ -962,7 +3757,7 @@ export class YearPlannerApp {
 
       // Generate the PDF
       const pdfBlob = await exportToPdf({
-        year: this.currentYear,
+        year: this.getYearLabel(this.currentYear),
         gridElement,
         legendElement,
       });
@@ -971,7 +3766,7 @@ export class YearPlannerApp {
       const url = URL.createObjectURL(pdfBlob);
       const a = document.createElement('a');
       a.href = url;
-      a.download = `year-planner-${this.currentYear}.pdf`;
+      a.download = `year-planner-${this.getYearLabel(this.currentYear)}.pdf`;
       document.body.appendChild(a);
       a.click();
       document.body.removeChild(a);
@@ -0,0 +1,319 @@
+import { DEFAULT_CALENDAR_ID } from '../config.js';
+
+/**
+ * Edits the list of calendars: their names, colors and whether they are
+ * read-only. Removing a calendar also removes its events, so it asks first;
+ * the default calendar can't be removed.
+ */
+class CalendarManagerModal extends HTMLElement {
+  constructor() {
+    super();
+    this.attachShadow({ mode: 'open' });
+    this.calendars = [];
+    this.isOpen = false;
+    this.render();
+  }
+
+  static get observedAttributes() {
+    return ['open'];
+  }
+
+  attributeChangedCallback(name, oldValue, newValue) {
+    if (name === 'open') {
+      this.isOpen = newValue !== null;
+      this.updateVisibility();
+    }
+  }
+
+  connectedCallback() {
+    this.shadowRoot
+      .querySelector('form')
+      .addEventListener('submit', this.handleSubmit.bind(this));
+    this.shadowRoot
+      .querySelector('.cancel-btn')
+      .addEventListener('click', this.handleCancel.bind(this));
+    this.shadowRoot
+      .querySelector('.add-btn')
+      .addEventListener('click', this.handleAdd.bind(this));
+
+    this.updateVisibility();
+  }
+
+  /**
+   * Open the manager with the current list of calendars
+   * @param {Array<{id: string, name: string, color: string, visible: boolean, readOnly: boolean}>} calendars - Calendars to edit
+   */
+  open(calendars = []) {
+    // Work on copies so cancelling leaves the caller's list untouched
+    this.calendars = calendars.map((calendar) => ({ ...calendar }));
+    this.renderRows();
+    this.setAttribute('open', '');
+  }
+
+  close() {
+    this.removeAttribute('open');
+  }
+
+  updateVisibility() {
+    const modalElement = this.shadowRoot.querySelector('.modal-container');
+    if (this.isOpen) {
+      modalElement.classList.add('visible');
+      document.body.style.overflow = 'hidden';
+    } else {
+      modalElement.classList.remove('visible');
+      document.body.style.overflow = '';
+    }
+  }
+
+  renderRows() {
+    const list = this.shadowRoot.querySelector('.calendar-list');
+    list.innerHTML = '';
+
+    this.calendars.forEach((calendar, index) => {
+      const row = document.createElement('div');
+      row.className = 'calendar-row';
+      row.innerHTML = `
+        <input type="color" class="color-input" title="Color" aria-label="Color">
+        <input type="text" class="name-input" placeholder="Name" aria-label="Name" required>
+        <label class="read-only-label" title="Events in a read-only calendar can't be added, changed or moved">
+          <input type="checkbox" class="read-only-input">
+          🔒 Read-only
+        </label>
+        <button type="button" class="remove-btn" title="Remove calendar">&times;</button>
+      `;
+
+      // Assign values via properties so user text is never parsed as HTML
+      const colorInput = row.querySelector('.color-input');
+      const nameInput = row.querySelector('.name-input');
+      const readOnlyInput = row.querySelector('.read-only-input');
+      const removeBtn = row.querySelector('.remove-btn');
+      colorInput.value = calendar.color || '#2196f3';
+      nameInput.value = calendar.name || '';
+      readOnlyInput.checked = calendar.readOnly || false;
+      // Keep the row aligned when the default calendar has no remove button
+      if (calendar.id === DEFAULT_CALENDAR_ID) {
+        removeBtn.style.visibility = 'hidden';
+      }
+
+      colorInput.addEventListener('input', () => {
+        calendar.color = colorInput.value;
+      });
+      nameInput.addEventListener('input', () => {
+        calendar.name = nameInput.value;
+      });
+      readOnlyInput.addEventListener('change', () => {
+        calendar.readOnly = readOnlyInput.checked;
+      });
+      removeBtn.addEventListener('click', () => {
+        const name = calendar.name.trim() || 'this calendar';
+        if (!confirm(`Remove "${name}"? Its events will be deleted too.`)) {
+          return;
+        }
+        this.calendars.splice(index, 1);
+        this.renderRows();
+      });
+
+      list.appendChild(row);
+    });
+  }
+
+  handleAdd() {
+    this.calendars.push({
+      id: crypto.randomUUID(),
+      name: '',
+      color: '#2196f3',
+      visible: true,
+      readOnly: false,
+    });
+    this.renderRows();
+
+    const inputs = this.shadowRoot.querySelectorAll('.name-input');
+    inputs[inputs.length - 1].focus();
+  }
+
+  handleSubmit(event) {
+    event.preventDefault();
+
+    const names = this.calendars.map((c) => c.name.trim().toLowerCase());
+    if (names.some((name) => !name)) {
+      alert('Every calendar needs a name');
+      return;
+    }
+    if (new Set(names).size !== names.length) {
+      alert('Calendar names must be unique');
+      return;
+    }
+
+    const saveEvent = new CustomEvent('calendars-save', {
+      detail: {
+        calendars: this.calendars.map((c) => ({ ...c, name: c.name.trim() })),
+      },
+      bubbles: true,
+      composed: true,
+    });
+
+    this.dispatchEvent(saveEvent);
+    this.close();
+  }
+
+  handleCancel() {
+    this.close();
+  }
+
+  render() {
+    this.shadowRoot.innerHTML = `
+      <style>
+        :host {
+          --primary-color: #4682B4;
+          --light-gray: #f8f9fa;
+          --dark-gray: #343a40;
+          --border-color: #ced4da;
+        }
+
+        .modal-container {
+          position: fixed;
+          top: 0;
+          left: 0;
+          width: 100%;
+          height: 100%;
+          background-color: rgba(0, 0, 0, 0.5);
+          display: flex;
+          align-items: center;
+          justify-content: center;
+          z-index: 1000;
+          opacity: 0;
+          visibility: hidden;
+          transition: opacity 0.3s, visibility 0.3s;
+        }
+
+        .modal-container.visible {
+          opacity: 1;
+          visibility: visible;
+        }
+
+        .modal-content {
+          background-color: white;
+          border-radius: 5px;
+          width: 90%;
+          max-width: 460px;
+          max-height: 90vh;
+          overflow-y: auto;
+          box-shadow: 0 4px 6px rgba(0, 0, 0, 0.1);
+        }
+
+        .modal-header,
+        .modal-body,
+        .modal-footer {
+          padding: 15px;
+        }
+
+        .modal-header {
+          border-bottom: 1px solid var(--border-color);
+        }
+
+        .modal-header h2 {
+          margin: 0;
+          font-size: 1.25rem;
+        }
+
+        .modal-footer {
+          border-top: 1px solid var(--border-color);
+          display: flex;
+          justify-content: space-between;
+        }
+
+        .calendar-row {
+          display: flex;
+          gap: 8px;
+          align-items: center;
+          margin-bottom: 8px;
+        }
+
+        input[type="text"] {
+          padding: 6px 8px;
+          border: 1px solid var(--border-color);
+          border-radius: 4px;
+          box-sizing: border-box;
+        }
+
+        .name-input {
+          flex: 1;
+        }
+
+        .color-input {
+          width: 2.5em;
+          height: 2em;
+          padding: 0;
+          border: 1px solid var(--border-color);
+          border-radius: 4px;
+        }
+
+        .read-only-label {
+          display: flex;
+          align-items: center;
+          gap: 4px;
+          font-size: 0.9rem;
+          white-space: nowrap;
+        }
+
+        .hint {
+          margin: 8px 0 0;
+          font-size: 0.85rem;
+          color: #6c757d;
+        }
+
+        button {
+          padding: 8px 16px;
+          border: none;
+          border-radius: 4px;
+          cursor: pointer;
+          font-weight: bold;
+        }
+
+        .remove-btn {
+          padding: 4px 10px;
+          background-color: var(--light-gray);
+          color: var(--dark-gray);
+        }
+
+        .add-btn,
+        .cancel-btn {
+          background-color: var(--light-gray);
+          color: var(--dark-gray);
+        }
+
+        .save-btn {
+          background-color: var(--primary-color);
+          color: white;
+        }
+      </style>
+
+      <div class="modal-container">
+        <div class="modal-content">
+          <div class="modal-header">
+            <h2>Calendars</h2>
+          </div>
+
+          <div class="modal-body">
+            <form id="calendar-form">
+              <div class="calendar-list"></div>
+            </form>
+            <p class="hint">Show or hide calendars with the checkboxes above the planner. Export and import can target a single calendar.</p>
+          </div>
+
+          <div class="modal-footer">
+            <button type="button" class="add-btn">+ Add Calendar</button>
+            <div>
+              <button type="button" class="cancel-btn">Cancel</button>
+              <button type="submit" form="calendar-form" class="save-btn">Save</button>
+            </div>
+          </div>
+        </div>
+      </div>
+    `;
+  }
+}
+
+customElements.define('calendar-manager-modal', CalendarManagerModal);
+
+export default CalendarManagerModal;
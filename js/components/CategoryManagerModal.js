@@ -0,0 +1,298 @@
+class CategoryManagerModal extends HTMLElement {
+  constructor() {
+    super();
+    this.attachShadow({ mode: 'open' });
+    this.categories = [];
+    this.isOpen = false;
+    this.render();
+  }
+
+  static get observedAttributes() {
+    return ['open'];
+  }
+
+  attributeChangedCallback(name, oldValue, newValue) {
+    if (name === 'open') {
+      this.isOpen = newValue !== null;
+      this.updateVisibility();
+    }
+  }
+
+  connectedCallback() {
+    this.shadowRoot
+      .querySelector('form')
+      .addEventListener('submit', this.handleSubmit.bind(this));
+    this.shadowRoot
+      .querySelector('.cancel-btn')
+      .addEventListener('click', this.handleCancel.bind(this));
+    this.shadowRoot
+      .querySelector('.add-btn')
+      .addEventListener('click', this.handleAdd.bind(this));
+
+    this.updateVisibility();
+  }
+
+  /**
+   * Open the manager with the current list of categories
+   * @param {Array<{id: string, name: string, color: string, icon: string}>} categories - Categories to edit
+   */
+  open(categories = []) {
+    // Work on copies so cancelling leaves the caller's list untouched
+    this.categories = categories.map((category) => ({ ...category }));
+    this.renderRows();
+    this.setAttribute('open', '');
+  }
+
+  close() {
+    this.removeAttribute('open');
+  }
+
+  updateVisibility() {
+    const modalElement = this.shadowRoot.querySelector('.modal-container');
+    if (this.isOpen) {
+      modalElement.classList.add('visible');
+      document.body.style.overflow = 'hidden';
+    } else {
+      modalElement.classList.remove('visible');
+      document.body.style.overflow = '';
+    }
+  }
+
+  renderRows() {
+    const list = this.shadowRoot.querySelector('.category-list');
+    list.innerHTML = '';
+
+    if (this.categories.length === 0) {
+      list.innerHTML = '<p class="empty">No categories yet.</p>';
+      return;
+    }
+
+    this.categories.forEach((category, index) => {
+      const row = document.createElement('div');
+      row.className = 'category-row';
+      row.innerHTML = `
+        <input type="text" class="icon-input" maxlength="2" title="Icon" aria-label="Icon">
+        <input type="text" class="name-input" placeholder="Name" aria-label="Name" required>
+        <input type="color" class="color-input" title="Color" aria-label="Color">
+        <button type="button" class="remove-btn" title="Remove category">&times;</button>
+      `;
+
+      // Assign values via properties so user text is never parsed as HTML
+      const iconInput = row.querySelector('.icon-input');
+      const nameInput = row.querySelector('.name-input');
+      const colorInput = row.querySelector('.color-input');
+      iconInput.value = category.icon || '';
+      nameInput.value = category.name || '';
+      colorInput.value = category.color || '#2196f3';
+
+      iconInput.addEventListener('input', () => {
+        category.icon = iconInput.value.trim();
+      });
+      nameInput.addEventListener('input', () => {
+        category.name = nameInput.value;
+      });
+      colorInput.addEventListener('input', () => {
+        category.color = colorInput.value;
+      });
+      row.querySelector('.remove-btn').addEventListener('click', () => {
+        this.categories.splice(index, 1);
+        this.renderRows();
+      });
+
+      list.appendChild(row);
+    });
+  }
+
+  handleAdd() {
+    this.categories.push({
+      id: crypto.randomUUID(),
+      name: '',
+      color: '#2196f3',
+      icon: '',
+    });
+    this.renderRows();
+
+    const inputs = this.shadowRoot.querySelectorAll('.name-input');
+    inputs[inputs.length - 1].focus();
+  }
+
+  handleSubmit(event) {
+    event.preventDefault();
+
+    const names = this.categories.map((c) => c.name.trim().toLowerCase());
+    if (names.some((name) => !name)) {
+      alert('Every category needs a name');
+      return;
+    }
+    if (new Set(names).size !== names.length) {
+      alert('Category names must be unique');
+      return;
+    }
+
+    const saveEvent = new CustomEvent('categories-save', {
+      detail: {
+        categories: this.categories.map((c) => ({ ...c, name: c.name.trim() })),
+      },
+      bubbles: true,
+      composed: true,
+    });
+
+    this.dispatchEvent(saveEvent);
+    this.close();
+  }
+
+  handleCancel() {
+    this.close();
+  }
+
+  render() {
+    this.shadowRoot.innerHTML = `
+      <style>
+        :host {
+          --primary-color: #4682B4;
+          --light-gray: #f8f9fa;
+          --dark-gray: #343a40;
+          --border-color: #ced4da;
+        }
+
+        .modal-container {
+          position: fixed;
+          top: 0;
+          left: 0;
+          width: 100%;
+          height: 100%;
+          background-color: rgba(0, 0, 0, 0.5);
+          display: flex;
+          align-items: center;
+          justify-content: center;
+          z-index: 1000;
+          opacity: 0;
+          visibility: hidden;
+          transition: opacity 0.3s, visibility 0.3s;
+        }
+
+        .modal-container.visible {
+          opacity: 1;
+          visibility: visible;
+        }
+
+        .modal-content {
+          background-color: white;
+          border-radius: 5px;
+          width: 90%;
+          max-width: 460px;
+          max-height: 90vh;
+          overflow-y: auto;
+          box-shadow: 0 4px 6px rgba(0, 0, 0, 0.1);
+        }
+
+        .modal-header,
+        .modal-body,
+        .modal-footer {
+          padding: 15px;
+        }
+
+        .modal-header {
+          border-bottom: 1px solid var(--border-color);
+        }
+
+        .modal-header h2 {
+          margin: 0;
+          font-size: 1.25rem;
+        }
+
+        .modal-footer {
+          border-top: 1px solid var(--border-color);
+          display: flex;
+          justify-content: space-between;
+        }
+
+        .category-row {
+          display: flex;
+          gap: 8px;
+          align-items: center;
+          margin-bottom: 8px;
+        }
+
+        input[type="text"] {
+          padding: 6px 8px;
+          border: 1px solid var(--border-color);
+          border-radius: 4px;
+          box-sizing: border-box;
+        }
+
+        .icon-input {
+          width: 3em;
+          text-align: center;
+        }
+
+        .name-input {
+          flex: 1;
+        }
+
+        .color-input {
+          width: 2.5em;
+          height: 2em;
+          padding: 0;
+          border: 1px solid var(--border-color);
+          border-radius: 4px;
+        }
+
+        .empty {
+          color: #6c757d;
+        }
+
+        button {
+          padding: 8px 16px;
+          border: none;
+          border-radius: 4px;
+          cursor: pointer;
+          font-weight: bold;
+        }
+
+        .remove-btn {
+          padding: 4px 10px;
+          background-color: var(--light-gray);
+          color: var(--dark-gray);
+        }
+
+        .add-btn,
+        .cancel-btn {
+          background-color: var(--light-gray);
+          color: var(--dark-gray);
+        }
+
+        .save-btn {
+          background-color: var(--primary-color);
+          color: white;
+        }
+      </style>
+
+      <div class="modal-container">
+        <div class="modal-content">
+          <div class="modal-header">
+            <h2>Event Categories</h2>
+          </div>
+
+          <div class="modal-body">
+            <form id="category-form">
+              <div class="category-list"></div>
+            </form>
+          </div>
+
+          <div class="modal-footer">
+            <button type="button" class="add-btn">+ Add Category</button>
+            <div>
+              <button type="button" class="cancel-btn">Cancel</button>
+              <button type="submit" form="category-form" class="save-btn">Save</button>
+            </div>
+          </div>
+        </div>
+      </div>
+    `;
+  }
+}
+
+customElements.define('category-manager-modal', CategoryManagerModal);
+
+export default CategoryManagerModal;
@@ -0,0 +1,350 @@
+import { CSV_DATE_FORMATS } from '../config.js';
+import { CSV_FIELDS } from '../utils/Csv.js';
+
+/** Rows of the file shown as a preview */
+const PREVIEW_ROWS = 5;
+
+/**
+ * Maps the columns of a CSV file to event fields before it is imported. The
+ * mapping and date format start out as guessed from the file, and the first
+ * rows are shown so the user can check them.
+ */
+class CsvImportModal extends HTMLElement {
+  constructor() {
+    super();
+    this.attachShadow({ mode: 'open' });
+    this.isOpen = false;
+    this.render();
+  }
+
+  static get observedAttributes() {
+    return ['open'];
+  }
+
+  attributeChangedCallback(name, oldValue, newValue) {
+    if (name === 'open') {
+      this.isOpen = newValue !== null;
+      this.updateVisibility();
+    }
+  }
+
+  connectedCallback() {
+    this.shadowRoot
+      .querySelector('form')
+      .addEventListener('submit', this.handleSubmit.bind(this));
+    this.shadowRoot
+      .querySelector('.cancel-btn')
+      .addEventListener('click', this.handleCancel.bind(this));
+
+    this.updateVisibility();
+  }
+
+  /**
+   * Open the dialog for a parsed file
+   * @param {string} fileName - Name of the file being imported
+   * @param {{headers: Array<string>, rows: Array<Array<string>>}} csv - Result of parseCsv()
+   * @param {Object} guess - Starting choices
+   * @param {Object<string, number>} guess.mapping - Column index by event field
+   * @param {string|null} guess.dateFormat - Detected date format, or null if it couldn't be told
+   */
+  open(fileName, { headers, rows }, { mapping, dateFormat }) {
+    this.shadowRoot.querySelector('.message').textContent =
+      `"${fileName}" has ${rows.length} rows. Choose the column for each field.`;
+
+    CSV_FIELDS.forEach(({ field }) => {
+      const select = this.shadowRoot.getElementById(`column-${field}`);
+      select.innerHTML = '';
+
+      const none = document.createElement('option');
+      none.value = '';
+      none.textContent = '— Not imported —';
+      select.appendChild(none);
+
+      headers.forEach((header, index) => {
+        const option = document.createElement('option');
+        option.value = String(index);
+        option.textContent = header || `Column ${index + 1}`;
+        select.appendChild(option);
+      });
+      select.value = mapping[field] === undefined ? '' : String(mapping[field]);
+    });
+
+    this.shadowRoot.getElementById('date-format').value =
+      dateFormat || CSV_DATE_FORMATS.DAY_FIRST;
+    this.shadowRoot.querySelector('.date-format-hint').textContent = dateFormat
+      ? 'Detected from the dates in the file.'
+      : 'The dates fit both day-first and month-first, so check the preview below.';
+
+    this._renderPreview(headers, rows);
+
+    this.setAttribute('open', '');
+    this.shadowRoot.getElementById('column-title').focus();
+  }
+
+  close() {
+    this.removeAttribute('open');
+  }
+
+  updateVisibility() {
+    const modalElement = this.shadowRoot.querySelector('.modal-container');
+    if (this.isOpen) {
+      modalElement.classList.add('visible');
+      document.body.style.overflow = 'hidden';
+    } else {
+      modalElement.classList.remove('visible');
+      document.body.style.overflow = '';
+    }
+  }
+
+  handleSubmit(event) {
+    event.preventDefault();
+
+    const mapping = {};
+    CSV_FIELDS.forEach(({ field }) => {
+      const value = this.shadowRoot.getElementById(`column-${field}`).value;
+      if (value !== '') {
+        mapping[field] = parseInt(value, 10);
+      }
+    });
+
+    const confirmEvent = new CustomEvent('csv-import-confirm', {
+      detail: {
+        mapping,
+        dateFormat: this.shadowRoot.getElementById('date-format').value,
+      },
+      bubbles: true,
+      composed: true,
+    });
+
+    this.close();
+    this.dispatchEvent(confirmEvent);
+  }
+
+  handleCancel() {
+    this.close();
+    this.dispatchEvent(
+      new CustomEvent('csv-import-cancel', { bubbles: true, composed: true }),
+    );
+  }
+
+  /**
+   * Show the first rows of the file
+   * @param {Array<string>} headers - Header row
+   * @param {Array<Array<string>>} rows - Data rows
+   * @private
+   */
+  _renderPreview(headers, rows) {
+    const table = this.shadowRoot.getElementById('csv-preview');
+    table.innerHTML = '';
+
+    const headRow = document.createElement('tr');
+    headers.forEach((header, index) => {
+      const th = document.createElement('th');
+      th.textContent = header || `Column ${index + 1}`;
+      headRow.appendChild(th);
+    });
+    const thead = document.createElement('thead');
+    thead.appendChild(headRow);
+    table.appendChild(thead);
+
+    const tbody = document.createElement('tbody');
+    rows.slice(0, PREVIEW_ROWS).forEach((row) => {
+      const tr = document.createElement('tr');
+      headers.forEach((_, index) => {
+        const td = document.createElement('td');
+        td.textContent = row[index] || '';
+        tr.appendChild(td);
+      });
+      tbody.appendChild(tr);
+    });
+    table.appendChild(tbody);
+  }
+
+  render() {
+    this.shadowRoot.innerHTML = `
+      <style>
+        :host {
+          --primary-color: #4682B4;
+          --light-gray: #f8f9fa;
+          --dark-gray: #343a40;
+          --border-color: #ced4da;
+        }
+
+        .modal-container {
+          position: fixed;
+          top: 0;
+          left: 0;
+          width: 100%;
+          height: 100%;
+          background-color: rgba(0, 0, 0, 0.5);
+          display: flex;
+          align-items: center;
+          justify-content: center;
+          z-index: 1000;
+          opacity: 0;
+          visibility: hidden;
+          transition: opacity 0.3s, visibility 0.3s;
+        }
+
+        .modal-container.visible {
+          opacity: 1;
+          visibility: visible;
+        }
+
+        .modal-content {
+          background-color: white;
+          border-radius: 5px;
+          width: 90%;
+          max-width: 560px;
+          max-height: 90vh;
+          display: flex;
+          flex-direction: column;
+          box-shadow: 0 4px 6px rgba(0, 0, 0, 0.1);
+        }
+
+        .modal-header,
+        .modal-body,
+        .modal-footer {
+          padding: 15px;
+        }
+
+        .modal-header {
+          border-bottom: 1px solid var(--border-color);
+        }
+
+        .modal-header h2 {
+          margin: 0;
+          font-size: 1.25rem;
+        }
+
+        .modal-body {
+          overflow-y: auto;
+        }
+
+        .message {
+          margin-top: 0;
+        }
+
+        .mapping {
+          display: grid;
+          grid-template-columns: auto 1fr;
+          gap: 6px 10px;
+          align-items: center;
+          margin-bottom: 15px;
+        }
+
+        label {
+          font-weight: bold;
+        }
+
+        select {
+          width: 100%;
+          padding: 6px;
+          border: 1px solid var(--border-color);
+          border-radius: 4px;
+          font-size: 0.95rem;
+          box-sizing: border-box;
+        }
+
+        .hint {
+          grid-column: 2;
+          margin: 0;
+          font-size: 0.85rem;
+          color: #6c757d;
+        }
+
+        .preview {
+          overflow-x: auto;
+          border: 1px solid var(--border-color);
+          border-radius: 4px;
+        }
+
+        table {
+          border-collapse: collapse;
+          font-size: 0.85rem;
+        }
+
+        th,
+        td {
+          padding: 4px 8px;
+          border-bottom: 1px solid var(--border-color);
+          text-align: left;
+          white-space: nowrap;
+        }
+
+        th {
+          background-color: var(--light-gray);
+        }
+
+        .modal-footer {
+          border-top: 1px solid var(--border-color);
+          display: flex;
+          justify-content: flex-end;
+          gap: 8px;
+        }
+
+        button {
+          padding: 8px 16px;
+          border: none;
+          border-radius: 4px;
+          cursor: pointer;
+          font-weight: bold;
+        }
+
+        .cancel-btn {
+          background-color: var(--light-gray);
+          color: var(--dark-gray);
+        }
+
+        .apply-btn {
+          background-color: var(--primary-color);
+          color: white;
+        }
+      </style>
+
+      <div class="modal-container">
+        <div class="modal-content" role="dialog" aria-labelledby="csv-import-title">
+          <div class="modal-header">
+            <h2 id="csv-import-title">Import CSV</h2>
+          </div>
+
+          <div class="modal-body">
+            <form id="csv-import-form">
+              <p class="message"></p>
+
+              <div class="mapping">
+                ${CSV_FIELDS.map(
+                  ({ field, label, required }) => `
+                    <label for="column-${field}">${label}${required ? ' *' : ''}</label>
+                    <select id="column-${field}"${required ? ' required' : ''}></select>
+                  `,
+                ).join('')}
+
+                <label for="date-format">Date format</label>
+                <select id="date-format">
+                  ${Object.values(CSV_DATE_FORMATS)
+                    .map((format) => `<option value="${format}">${format}</option>`)
+                    .join('')}
+                </select>
+                <p class="hint date-format-hint"></p>
+              </div>
+
+              <div class="preview">
+                <table id="csv-preview"></table>
+              </div>
+            </form>
+          </div>
+
+          <div class="modal-footer">
+            <button type="button" class="cancel-btn">Cancel</button>
+            <button type="submit" form="csv-import-form" class="apply-btn">Import</button>
+          </div>
+        </div>
+      </div>
+    `;
+  }
+}
+
+customElements.define('csv-import-modal', CsvImportModal);
+
+export default CsvImportModal;
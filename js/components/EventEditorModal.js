@@ -1,3 +1,5 @@
+import { RecurrencePattern } from '../services/RecurrenceCalculator.js';
+
 class EventEditorModal extends HTMLElement {
   constructor() {
     super();
@@ -5,6 +7,11 @@ class EventEditorModal extends HTMLElement {
     this.event = null;
     this.isOpen = false;
     this.isNewEvent = true;
+    this.categories = [];
+    this.calendars = [];
+    this.series = null;
+    this.occurrence = null;
+    this.simpleRecurrenceType = 'weekly';
     this.render();
   }
 
@@ -32,6 +39,15 @@ class EventEditorModal extends HTMLElement {
     this.shadowRoot
       .querySelector('#isRecurring')
       .addEventListener('change', this.toggleRecurrenceFields.bind(this));
+    this.shadowRoot
+      .querySelector('#recurrenceType')
+      .addEventListener('change', this.handleRecurrenceTypeChange.bind(this));
+    this.shadowRoot
+      .querySelector('#recurrenceEnd')
+      .addEventListener('change', this.updateRecurrenceOptions.bind(this));
+    this.shadowRoot.querySelectorAll('input[name="scope"]').forEach((radio) => {
+      radio.addEventListener('change', this.handleScopeChange.bind(this));
+    });
     
     // Add date validation listeners
     this.shadowRoot
@@ -57,6 +73,12 @@ class EventEditorModal extends HTMLElement {
     this.shadowRoot
       .querySelector('#isRecurring')
       .removeEventListener('change', this.toggleRecurrenceFields.bind(this));
+    this.shadowRoot
+      .querySelector('#recurrenceType')
+      .removeEventListener('change', this.handleRecurrenceTypeChange.bind(this));
+    this.shadowRoot
+      .querySelector('#recurrenceEnd')
+      .removeEventListener('change', this.updateRecurrenceOptions.bind(this));
     
     // Remove date validation listeners
     this.shadowRoot
@@ -95,9 +117,84 @@ class EventEditorModal extends HTMLElement {
     }
   }
 
-  open(event = null, initialDate = null) {
+  /**
+   * Replace the categories offered in the category picker
+   * @param {Array<{id: string, name: string, icon: string}>} categories - Available categories
+   */
+  setCategories(categories) {
+    this.categories = categories || [];
+
+    const select = this.shadowRoot.querySelector('#categoryId');
+    const selected = select.value;
+    select.innerHTML = '<option value="">None</option>';
+
+    this.categories.forEach((category) => {
+      const option = document.createElement('option');
+      option.value = category.id;
+      option.textContent = category.icon
+        ? `${category.icon} ${category.name}`
+        : category.name;
+      select.appendChild(option);
+    });
+
+    // Keep the current selection if it still exists
+    if (this.categories.some((category) => category.id === selected)) {
+      select.value = selected;
+    }
+  }
+
+  /**
+   * Replace the calendars offered in the calendar picker. New events go into
+   * the first one.
+   * @param {Array<{id: string, name: string}>} calendars - Calendars events can be saved to
+   */
+  setCalendars(calendars) {
+    this.calendars = calendars || [];
+
+    const select = this.shadowRoot.querySelector('#calendarId');
+    const selected = select.value;
+    select.innerHTML = '';
+
+    this.calendars.forEach((calendar) => {
+      const option = document.createElement('option');
+      option.value = calendar.id;
+      option.textContent = calendar.name;
+      select.appendChild(option);
+    });
+
+    // Keep the current selection if it still exists
+    if (this.calendars.some((calendar) => calendar.id === selected)) {
+      select.value = selected;
+    }
+  }
+
+  /**
+   * Replace the names suggested for the assignee
+   * @param {Array<string>} people - Known assignees
+   */
+  setPeople(people) {
+    const list = this.shadowRoot.querySelector('#assignee-options');
+    list.innerHTML = '';
+
+    (people || []).forEach((person) => {
+      const option = document.createElement('option');
+      option.value = person;
+      list.appendChild(option);
+    });
+  }
+
+  /**
+   * Open the editor
+   * @param {Object|null} [event] - Event to edit, or null for a new event
+   * @param {Date|null} [initialDate] - Start date for a new event
+   * @param {Date|null} [initialEndDate] - End date for a new event; defaults to the start date
+   */
+  open(event = null, initialDate = null, initialEndDate = null) {
     this.event = event;
     this.isNewEvent = !event;
+    this.series = null;
+    this.occurrence = null;
+    this.showExternalChange(null);
     this.setAttribute('open', '');
 
     if (event) {
@@ -107,16 +204,91 @@ class EventEditorModal extends HTMLElement {
       // Reset form for new event
       this.resetForm();
       
-      // If an initial date was provided, set both start and end dates to it
+      // If an initial date was provided, use it for the start and, unless a
+      // selected range supplies one, for the end date too
       if (initialDate instanceof Date) {
-        const formattedDate = this.formatDateForInput(initialDate);
-        this.shadowRoot.querySelector('#startDate').value = formattedDate;
-        this.shadowRoot.querySelector('#endDate').value = formattedDate;
+        const endDate =
+          initialEndDate instanceof Date ? initialEndDate : initialDate;
+        this.shadowRoot.querySelector('#startDate').value =
+          this.formatDateForInput(initialDate);
+        this.shadowRoot.querySelector('#endDate').value =
+          this.formatDateForInput(endDate);
       }
     }
 
     this.toggleRecurrenceFields();
     this.updateDeleteButton();
+    this.updateScopeFields();
+  }
+
+  /**
+   * Open the editor for one occurrence of a recurring series
+   * @param {Object} series - The base recurring event
+   * @param {Object} occurrence - The clicked instance, with its `recurrenceId`
+   */
+  openOccurrence(series, occurrence) {
+    this.open(occurrence);
+    this.series = series;
+    this.occurrence = occurrence;
+
+    this.shadowRoot.querySelector('input[name="scope"][value="occurrence"]').checked = true;
+    this.handleScopeChange();
+  }
+
+  /**
+   * Get which part of a recurring series an edit applies to
+   * @returns {('occurrence'|'following'|'series')} The selected scope
+   */
+  getScope() {
+    if (!this.occurrence) {
+      return 'series';
+    }
+    return this.shadowRoot.querySelector('input[name="scope"]:checked').value;
+  }
+
+  handleScopeChange() {
+    const scope = this.getScope();
+
+    // The whole series is edited from its own dates, a single occurrence from the clicked one
+    this.event = scope === 'series' ? this.series : this.occurrence;
+    this.populateForm(this.event);
+    this.shadowRoot.querySelector('#isRecurring').checked = true;
+
+    this.toggleRecurrenceFields();
+    this.updateScopeFields();
+  }
+
+  updateScopeFields() {
+    const isOccurrenceEdit = this.getScope() === 'occurrence';
+
+    this.shadowRoot.querySelector('.scope-fields').classList.toggle('hidden', !this.occurrence);
+    this.shadowRoot.querySelector('.recurring-toggle').classList.toggle('hidden', isOccurrenceEdit);
+    if (isOccurrenceEdit) {
+      this.shadowRoot.querySelector('.recurrence-fields').style.display = 'none';
+    }
+  }
+
+  /**
+   * Get the ID of the stored event being edited; for an occurrence, that of
+   * its series
+   * @returns {string|null} The ID, or null for a new event
+   */
+  getEditedEventId() {
+    if (this.isNewEvent || !this.event) {
+      return null;
+    }
+    return this.series ? this.series.id : this.event.id;
+  }
+
+  /**
+   * Warn above the form that the event being edited was changed elsewhere,
+   * e.g. in another tab
+   * @param {string|null} message - Warning to show, or null to hide it
+   */
+  showExternalChange(message) {
+    const warning = this.shadowRoot.querySelector('.external-change');
+    warning.textContent = message || '';
+    warning.classList.toggle('hidden', !message);
   }
 
   close() {
@@ -171,11 +343,37 @@ class EventEditorModal extends HTMLElement {
     this.shadowRoot.querySelector('#endsAM').checked = event.endsAM || false;
     this.shadowRoot.querySelector('#isPublicHoliday').checked =
       event.isPublicHoliday || false;
+    this.shadowRoot.querySelector('#categoryId').value = event.categoryId || '';
+    if (this.calendars.some((calendar) => calendar.id === event.calendarId)) {
+      this.shadowRoot.querySelector('#calendarId').value = event.calendarId;
+    }
+    this.shadowRoot.querySelector('#assignee').value = event.assignee || '';
 
     // Set recurrence pattern if applicable
     if (event.isRecurring && event.recurrencePattern) {
-      this.shadowRoot.querySelector('#recurrenceType').value =
-        event.recurrencePattern.type || 'weekly';
+      this.populateRecurrenceFields(event.recurrencePattern);
+    }
+  }
+
+  populateRecurrenceFields(pattern) {
+    const root = this.shadowRoot;
+    const daysOfWeek = pattern.daysOfWeek || [];
+
+    root.querySelector('#recurrenceType').value = pattern.type || 'weekly';
+    root.querySelector('#recurrenceInterval').value = pattern.interval || 1;
+    root.querySelectorAll('.weekday').forEach((checkbox) => {
+      checkbox.checked = daysOfWeek.includes(Number(checkbox.value));
+    });
+    root.querySelector('#rrule').value = pattern.rrule || '';
+
+    if (pattern.count) {
+      root.querySelector('#recurrenceEnd').value = 'count';
+      root.querySelector('#recurrenceCount').value = pattern.count;
+    } else if (pattern.endDate) {
+      root.querySelector('#recurrenceEnd').value = 'until';
+      root.querySelector('#recurrenceUntil').value = this.formatDateForInput(
+        new Date(pattern.endDate),
+      );
     }
   }
 
@@ -197,6 +395,74 @@ class EventEditorModal extends HTMLElement {
     } else {
       recurrenceFieldset.style.display = 'none';
     }
+
+    this.updateRecurrenceOptions();
+  }
+
+  updateRecurrenceOptions() {
+    const root = this.shadowRoot;
+    const type = root.querySelector('#recurrenceType').value;
+    const end = root.querySelector('#recurrenceEnd').value;
+    const units = { weekly: 'week(s)', monthly: 'month(s)', annual: 'year(s)' };
+
+    // A custom rule carries its own interval and end, so only show the rule input
+    root.querySelectorAll('.simple-recurrence').forEach((element) => {
+      element.classList.toggle('hidden', type === 'rrule');
+    });
+    root.querySelector('.weekday-fields').classList.toggle('hidden', type !== 'weekly');
+    root.querySelector('.rrule-fields').classList.toggle('hidden', type !== 'rrule');
+    root.querySelector('#recurrenceCount').classList.toggle('hidden', end !== 'count');
+    root.querySelector('#recurrenceUntil').classList.toggle('hidden', end !== 'until');
+    root.querySelector('.interval-unit').textContent = units[type] || '';
+
+    if (type !== 'rrule') {
+      this.simpleRecurrenceType = type;
+    }
+  }
+
+  handleRecurrenceTypeChange() {
+    const rruleInput = this.shadowRoot.querySelector('#rrule');
+    const type = this.shadowRoot.querySelector('#recurrenceType').value;
+
+    // Seed an empty custom rule with the equivalent of the simple settings
+    if (type === 'rrule' && !rruleInput.value.trim()) {
+      try {
+        const pattern = new RecurrencePattern(
+          this.simpleRecurrenceType,
+          this.collectSimpleRecurrenceOptions(this.simpleRecurrenceType),
+        );
+        // Parse as local midnight so the rule sees the same calendar day
+        rruleInput.value = pattern.toRRuleString(
+          new Date(`${this.shadowRoot.querySelector('#startDate').value}T00:00`),
+        );
+      } catch (error) {
+        console.warn('Could not convert recurrence to a rule:', error);
+      }
+    }
+
+    this.updateRecurrenceOptions();
+  }
+
+  collectSimpleRecurrenceOptions(type) {
+    const root = this.shadowRoot;
+    const options = {
+      interval: parseInt(root.querySelector('#recurrenceInterval').value, 10) || 1,
+    };
+
+    if (type === 'weekly') {
+      options.daysOfWeek = [...root.querySelectorAll('.weekday:checked')].map(
+        (checkbox) => Number(checkbox.value),
+      );
+    }
+
+    const end = root.querySelector('#recurrenceEnd').value;
+    if (end === 'count') {
+      options.count = parseInt(root.querySelector('#recurrenceCount').value, 10);
+    } else if (end === 'until') {
+      options.endDate = root.querySelector('#recurrenceUntil').value;
+    }
+
+    return options;
   }
 
   validateForm() {
@@ -221,9 +487,38 @@ class EventEditorModal extends HTMLElement {
       return false;
     }
 
-    // Validate the event is within the same year
-    if (startDate.getFullYear() !== endDate.getFullYear()) {
-      alert('Events must be within the same year');
+    if (
+      this.shadowRoot.querySelector('#isRecurring').checked &&
+      this.getScope() !== 'occurrence'
+    ) {
+      if (!this.validateRecurrence()) {
+        return false;
+      }
+    }
+
+    return true;
+  }
+
+  validateRecurrence() {
+    const root = this.shadowRoot;
+
+    if (root.querySelector('#recurrenceType').value === 'rrule') {
+      try {
+        RecurrencePattern.parseRRule(root.querySelector('#rrule').value);
+      } catch (error) {
+        alert(`Invalid recurrence rule: ${error.message}`);
+        return false;
+      }
+      return true;
+    }
+
+    const end = root.querySelector('#recurrenceEnd').value;
+    if (end === 'count' && !(parseInt(root.querySelector('#recurrenceCount').value, 10) >= 1)) {
+      alert('Enter how many times the event repeats');
+      return false;
+    }
+    if (end === 'until' && !root.querySelector('#recurrenceUntil').value) {
+      alert('Enter the date the recurrence ends');
       return false;
     }
 
@@ -243,10 +538,15 @@ class EventEditorModal extends HTMLElement {
       endsAM: this.shadowRoot.querySelector('#endsAM').checked,
       isPublicHoliday:
         this.shadowRoot.querySelector('#isPublicHoliday').checked,
+      categoryId: this.shadowRoot.querySelector('#categoryId').value || null,
+      calendarId: this.shadowRoot.querySelector('#calendarId').value || null,
+      assignee: this.shadowRoot.querySelector('#assignee').value.trim() || null,
     };
 
-    // Add ID if editing an existing event
-    if (this.event && this.event.id) {
+    // Add ID if editing an existing event; occurrences are saved through their series
+    if (this.series) {
+      eventData.id = this.series.id;
+    } else if (this.event && this.event.id) {
       eventData.id = this.event.id;
     } else {
       // Generate a new ID for new events
@@ -255,9 +555,27 @@ class EventEditorModal extends HTMLElement {
 
     // Add recurrence pattern if applicable
     if (isRecurring) {
-      eventData.recurrencePattern = {
-        type: this.shadowRoot.querySelector('#recurrenceType').value,
-      };
+      const type = this.shadowRoot.querySelector('#recurrenceType').value;
+      eventData.recurrencePattern =
+        type === 'rrule'
+          ? {
+            type,
+            rrule: RecurrencePattern.fromRRule(
+              this.shadowRoot.querySelector('#rrule').value,
+            ).options.rrule,
+          }
+          : { type, ...this.collectSimpleRecurrenceOptions(type) };
+
+      // Keep skipped and changed occurrences when the series itself is edited
+      const existingPattern = (this.series || this.event || {}).recurrencePattern;
+      if (existingPattern) {
+        if (existingPattern.exclusions) {
+          eventData.recurrencePattern.exclusions = existingPattern.exclusions;
+        }
+        if (existingPattern.overrides) {
+          eventData.recurrencePattern.overrides = existingPattern.overrides;
+        }
+      }
     }
 
     return eventData;
@@ -274,7 +592,11 @@ class EventEditorModal extends HTMLElement {
 
     // Dispatch custom event with the event data
     const saveEvent = new CustomEvent('event-save', {
-      detail: { event: eventData },
+      detail: {
+        event: eventData,
+        scope: this.getScope(),
+        occurrenceDate: this.occurrence ? this.occurrence.recurrenceId : null,
+      },
       bubbles: true,
       composed: true,
     });
@@ -294,9 +616,20 @@ class EventEditorModal extends HTMLElement {
   }
 
   handleDelete() {
-    if (confirm('Are you sure you want to delete this event?')) {
+    const scope = this.getScope();
+    const messages = {
+      occurrence: 'Are you sure you want to delete this occurrence?',
+      following: 'Are you sure you want to delete this and all following occurrences?',
+      series: 'Are you sure you want to delete this event?',
+    };
+
+    if (confirm(messages[scope])) {
       const deleteEvent = new CustomEvent('event-delete', {
-        detail: { eventId: this.event.id },
+        detail: {
+          eventId: this.series ? this.series.id : this.event.id,
+          scope,
+          occurrenceDate: this.occurrence ? this.occurrence.recurrenceId : null,
+        },
         bubbles: true,
         composed: true,
       });
@@ -422,6 +755,20 @@ class EventEditorModal extends HTMLElement {
           margin-right: 8px;
         }
 
+        .scope-fields {
+          margin-bottom: 15px;
+          padding: 10px;
+          border: 1px solid var(--border-color);
+          border-radius: 4px;
+        }
+
+        .scope-fields label {
+          display: flex;
+          align-items: center;
+          gap: 6px;
+          font-weight: normal;
+        }
+
         .recurrence-fields {
           margin-top: 10px;
           padding: 10px;
@@ -430,6 +777,49 @@ class EventEditorModal extends HTMLElement {
           background-color: var(--light-gray);
         }
 
+        input[type="number"] {
+          width: 5em;
+          padding: 8px;
+          border: 1px solid var(--border-color);
+          border-radius: 4px;
+          box-sizing: border-box;
+        }
+
+        .inline-fields {
+          display: flex;
+          flex-wrap: wrap;
+          align-items: center;
+          gap: 8px;
+        }
+
+        .inline-fields label {
+          display: inline-flex;
+          align-items: center;
+          gap: 2px;
+          margin: 0;
+          font-weight: normal;
+        }
+
+        .inline-fields select,
+        .inline-fields input[type="date"] {
+          width: auto;
+        }
+
+        .hint {
+          display: block;
+          margin-top: 4px;
+          color: #6c757d;
+        }
+
+        .external-change {
+          margin-bottom: 15px;
+          padding: 8px 10px;
+          border: 1px solid #ffeeba;
+          border-radius: 4px;
+          background-color: #fff3cd;
+          color: #856404;
+        }
+
         button {
           padding: 8px 16px;
           border: none;
@@ -467,6 +857,15 @@ class EventEditorModal extends HTMLElement {
 
           <div class="modal-body">
             <form id="event-form">
+              <div class="external-change hidden" role="alert"></div>
+
+              <fieldset class="scope-fields hidden">
+                <legend>This is a recurring event. Apply changes to</legend>
+                <label><input type="radio" name="scope" value="occurrence" checked> This occurrence</label>
+                <label><input type="radio" name="scope" value="following"> This and following occurrences</label>
+                <label><input type="radio" name="scope" value="series"> All occurrences</label>
+              </fieldset>
+
               <div class="form-group">
                 <label for="title">Title*</label>
                 <input type="text" id="title" required>
@@ -477,6 +876,24 @@ class EventEditorModal extends HTMLElement {
                 <textarea id="description"></textarea>
               </div>
 
+              <div class="form-group">
+                <label for="calendarId">Calendar</label>
+                <select id="calendarId"></select>
+              </div>
+
+              <div class="form-group">
+                <label for="assignee">Assignee</label>
+                <input type="text" id="assignee" list="assignee-options" placeholder="Who is this for?">
+                <datalist id="assignee-options"></datalist>
+              </div>
+
+              <div class="form-group">
+                <label for="categoryId">Category</label>
+                <select id="categoryId">
+                  <option value="">None</option>
+                </select>
+              </div>
+
               <div class="form-group">
                 <label for="startDate">Start Date*</label>
                 <input type="date" id="startDate" required>
@@ -508,7 +925,7 @@ class EventEditorModal extends HTMLElement {
                 </label>
               </div>
 
-              <div class="checkbox-group">
+              <div class="checkbox-group recurring-toggle">
                 <label>
                   <input type="checkbox" id="isRecurring">
                   Recurring Event
@@ -523,8 +940,54 @@ class EventEditorModal extends HTMLElement {
                     <option value="weekly">Weekly</option>
                     <option value="monthly">Monthly</option>
                     <option value="annual">Annual</option>
+                    <option value="rrule">Custom rule (RRULE)</option>
                   </select>
                 </div>
+
+                <div class="form-group simple-recurrence">
+                  <label for="recurrenceInterval">Every</label>
+                  <div class="inline-fields">
+                    <input type="number" id="recurrenceInterval" min="1" value="1">
+                    <span class="interval-unit">week(s)</span>
+                  </div>
+                </div>
+
+                <div class="form-group weekday-fields">
+                  <label>On</label>
+                  <div class="inline-fields">
+                    <label><input type="checkbox" class="weekday" value="1"> Mon</label>
+                    <label><input type="checkbox" class="weekday" value="2"> Tue</label>
+                    <label><input type="checkbox" class="weekday" value="3"> Wed</label>
+                    <label><input type="checkbox" class="weekday" value="4"> Thu</label>
+                    <label><input type="checkbox" class="weekday" value="5"> Fri</label>
+                    <label><input type="checkbox" class="weekday" value="6"> Sat</label>
+                    <label><input type="checkbox" class="weekday" value="0"> Sun</label>
+                  </div>
+                  <small class="hint">Leave empty to repeat on the start date's weekday.</small>
+                </div>
+
+                <div class="form-group simple-recurrence">
+                  <label for="recurrenceEnd">Ends</label>
+                  <div class="inline-fields">
+                    <select id="recurrenceEnd">
+                      <option value="never">Never</option>
+                      <option value="count">After a number of times</option>
+                      <option value="until">On a date</option>
+                    </select>
+                    <input type="number" id="recurrenceCount" min="1" value="10">
+                    <input type="date" id="recurrenceUntil">
+                  </div>
+                </div>
+
+                <div class="form-group rrule-fields">
+                  <label for="rrule">Rule</label>
+                  <input type="text" id="rrule" placeholder="FREQ=MONTHLY;BYDAY=2TU">
+                  <small class="hint">
+                    e.g. <code>FREQ=WEEKLY;INTERVAL=2;BYDAY=TU</code> (every other Tuesday),
+                    <code>FREQ=MONTHLY;BYDAY=-1FR</code> (last Friday),
+                    <code>FREQ=MONTHLY;BYMONTHDAY=25;COUNT=12</code> (payroll for a year)
+                  </small>
+                </div>
               </fieldset>
             </form>
           </div>
@@ -565,13 +1028,19 @@ const existingEvent = {
   isRecurring: false,
   startsPM: true,
   endsAM: false,
-  isPublicHoliday: false
+  isPublicHoliday: false,
+  categoryId: 'release'
 };
+modal.setCategories([{ id: 'release', name: 'Release', icon: '🚀' }]);
 modal.open(existingEvent);
 
-// 4. Listen for events
+// 4. Open one occurrence of a recurring series (shows the scope choice)
+modal.openOccurrence(seriesEvent, instance); // instance.recurrenceId = '2025-06-17'
+
+// 5. Listen for events
 modal.addEventListener('event-save', (e) => {
-  console.log('Event saved:', e.detail.event);
+  // scope is 'occurrence', 'following' or 'series'; occurrenceDate is set for occurrences
+  console.log('Event saved:', e.detail.event, e.detail.scope, e.detail.occurrenceDate);
   // Update your data storage/state here
 });
 
@@ -0,0 +1,375 @@
+import { IMPORT_STRATEGIES } from '../config.js';
+
+/** Most events listed per group; the rest are counted */
+const MAX_LISTED_EVENTS = 50;
+
+/**
+ * Shows what importing a file would do before anything is written: which
+ * events are new, changed, in conflict with an edit made here, or can't be
+ * imported and why. The user then picks how to combine the file with the
+ * stored events.
+ */
+class ImportWizardModal extends HTMLElement {
+  constructor() {
+    super();
+    this.attachShadow({ mode: 'open' });
+    this.isOpen = false;
+    this.render();
+  }
+
+  static get observedAttributes() {
+    return ['open'];
+  }
+
+  attributeChangedCallback(name, oldValue, newValue) {
+    if (name === 'open') {
+      this.isOpen = newValue !== null;
+      this.updateVisibility();
+    }
+  }
+
+  connectedCallback() {
+    this.shadowRoot
+      .querySelector('form')
+      .addEventListener('submit', this.handleSubmit.bind(this));
+    this.shadowRoot
+      .querySelector('.cancel-btn')
+      .addEventListener('click', this.handleCancel.bind(this));
+
+    this.updateVisibility();
+  }
+
+  /**
+   * Open the wizard with the preview of an import
+   * @param {string} fileName - Name of the file being imported
+   * @param {Object} preview - Result of StorageAdapter.previewImport()
+   * @param {string} [calendarName] - Calendar the events are imported into, if any
+   */
+  open(fileName, preview, calendarName) {
+    const years = preview.years.join(', ') || 'no years';
+    this.shadowRoot.querySelector('.message').textContent = calendarName
+      ? `"${fileName}" has events for ${years}, to import into "${calendarName}".`
+      : `"${fileName}" has events for ${years}.`;
+
+    const summary = this.shadowRoot.getElementById('import-summary');
+    summary.innerHTML = '';
+    summary.appendChild(
+      this._createGroup('New', preview.added, (event) =>
+        this._describeEvent(event),
+      ),
+    );
+    summary.appendChild(
+      this._createGroup('Changed in the file', preview.changed, ({ imported }) =>
+        this._describeEvent(imported),
+      ),
+    );
+    summary.appendChild(
+      this._createGroup(
+        'Edited here since the file was saved',
+        preview.conflicting,
+        ({ imported }) => this._describeEvent(imported),
+      ),
+    );
+    summary.appendChild(
+      this._createGroup('Unchanged', preview.unchanged, (event) =>
+        this._describeEvent(event),
+      ),
+    );
+    summary.appendChild(
+      this._createGroup(
+        'Can\'t be imported',
+        preview.invalid,
+        ({ year, record, reason }) => {
+          const title =
+            record && typeof record === 'object' && record.title
+              ? `"${record.title}"`
+              : 'Record';
+          return `${title} in ${year}: ${reason}`;
+        },
+      ),
+    );
+
+    const removed = this.shadowRoot.querySelector('.removed-warning');
+    removed.textContent =
+      preview.removed.length > 0
+        ? `Deletes ${preview.removed.length} stored events the file doesn't have: ${preview.removed
+          .slice(0, 5)
+          .map((event) => `"${event.title}"`)
+          .join(', ')}${preview.removed.length > 5 ? ', …' : ''}`
+        : 'Deletes nothing: every stored event is in the file.';
+
+    this.shadowRoot.querySelector(
+      `input[value="${IMPORT_STRATEGIES.MERGE_BY_ID}"]`,
+    ).checked = true;
+    this.setAttribute('open', '');
+    this.shadowRoot.querySelector('.apply-btn').focus();
+  }
+
+  close() {
+    this.removeAttribute('open');
+  }
+
+  updateVisibility() {
+    const modalElement = this.shadowRoot.querySelector('.modal-container');
+    if (this.isOpen) {
+      modalElement.classList.add('visible');
+      document.body.style.overflow = 'hidden';
+    } else {
+      modalElement.classList.remove('visible');
+      document.body.style.overflow = '';
+    }
+  }
+
+  handleSubmit(event) {
+    event.preventDefault();
+
+    const confirmEvent = new CustomEvent('import-confirm', {
+      detail: {
+        strategy: this.shadowRoot.querySelector('input[name="strategy"]:checked')
+          .value,
+      },
+      bubbles: true,
+      composed: true,
+    });
+
+    this.close();
+    this.dispatchEvent(confirmEvent);
+  }
+
+  handleCancel() {
+    this.close();
+    this.dispatchEvent(
+      new CustomEvent('import-cancel', { bubbles: true, composed: true }),
+    );
+  }
+
+  /**
+   * Create a collapsible list of one group of the preview
+   * @param {string} label - Name of the group
+   * @param {Array} items - Items in the group
+   * @param {Function} describe - Turns an item into a line of text
+   * @returns {HTMLElement}
+   * @private
+   */
+  _createGroup(label, items, describe) {
+    const details = document.createElement('details');
+    const summary = document.createElement('summary');
+    summary.textContent = `${label}: ${items.length}`;
+    details.appendChild(summary);
+
+    if (items.length === 0) {
+      details.classList.add('empty');
+      return details;
+    }
+
+    const list = document.createElement('ul');
+    items.slice(0, MAX_LISTED_EVENTS).forEach((item) => {
+      const li = document.createElement('li');
+      li.textContent = describe(item);
+      list.appendChild(li);
+    });
+    if (items.length > MAX_LISTED_EVENTS) {
+      const li = document.createElement('li');
+      li.textContent = `and ${items.length - MAX_LISTED_EVENTS} more`;
+      list.appendChild(li);
+    }
+    details.appendChild(list);
+    return details;
+  }
+
+  /**
+   * Describe an event by its title and dates
+   * @param {Object} event - Event data
+   * @returns {string}
+   * @private
+   */
+  _describeEvent(event) {
+    const format = (date) =>
+      new Date(date).toLocaleDateString(undefined, {
+        day: 'numeric',
+        month: 'short',
+        year: 'numeric',
+        timeZone: 'UTC',
+      });
+    const start = format(event.startDate);
+    const end = format(event.endDate);
+    return `${event.title} (${start === end ? start : `${start} – ${end}`})`;
+  }
+
+  render() {
+    this.shadowRoot.innerHTML = `
+      <style>
+        :host {
+          --primary-color: #4682B4;
+          --light-gray: #f8f9fa;
+          --dark-gray: #343a40;
+          --border-color: #ced4da;
+        }
+
+        .modal-container {
+          position: fixed;
+          top: 0;
+          left: 0;
+          width: 100%;
+          height: 100%;
+          background-color: rgba(0, 0, 0, 0.5);
+          display: flex;
+          align-items: center;
+          justify-content: center;
+          z-index: 1000;
+          opacity: 0;
+          visibility: hidden;
+          transition: opacity 0.3s, visibility 0.3s;
+        }
+
+        .modal-container.visible {
+          opacity: 1;
+          visibility: visible;
+        }
+
+        .modal-content {
+          background-color: white;
+          border-radius: 5px;
+          width: 90%;
+          max-width: 520px;
+          max-height: 90vh;
+          display: flex;
+          flex-direction: column;
+          box-shadow: 0 4px 6px rgba(0, 0, 0, 0.1);
+        }
+
+        .modal-header,
+        .modal-body,
+        .modal-footer {
+          padding: 15px;
+        }
+
+        .modal-header {
+          border-bottom: 1px solid var(--border-color);
+        }
+
+        .modal-header h2 {
+          margin: 0;
+          font-size: 1.25rem;
+        }
+
+        .modal-body {
+          overflow-y: auto;
+        }
+
+        .message {
+          margin-top: 0;
+        }
+
+        .summary {
+          margin-bottom: 15px;
+          border: 1px solid var(--border-color);
+          border-radius: 4px;
+          padding: 6px 8px;
+        }
+
+        details.empty summary {
+          color: #6c757d;
+          list-style: none;
+        }
+
+        details ul {
+          margin: 4px 0 8px;
+          padding-left: 20px;
+          font-size: 0.9rem;
+        }
+
+        fieldset {
+          border: none;
+          margin: 0;
+          padding: 0;
+        }
+
+        legend {
+          font-weight: bold;
+          margin-bottom: 6px;
+        }
+
+        label {
+          display: block;
+          margin-bottom: 8px;
+        }
+
+        .hint {
+          display: block;
+          margin-left: 22px;
+          font-size: 0.85rem;
+          color: #6c757d;
+        }
+
+        .modal-footer {
+          border-top: 1px solid var(--border-color);
+          display: flex;
+          justify-content: flex-end;
+          gap: 8px;
+        }
+
+        button {
+          padding: 8px 16px;
+          border: none;
+          border-radius: 4px;
+          cursor: pointer;
+          font-weight: bold;
+        }
+
+        .cancel-btn {
+          background-color: var(--light-gray);
+          color: var(--dark-gray);
+        }
+
+        .apply-btn {
+          background-color: var(--primary-color);
+          color: white;
+        }
+      </style>
+
+      <div class="modal-container">
+        <div class="modal-content" role="dialog" aria-labelledby="import-title">
+          <div class="modal-header">
+            <h2 id="import-title">Import Events</h2>
+          </div>
+
+          <div class="modal-body">
+            <form id="import-form">
+              <p class="message"></p>
+              <div id="import-summary" class="summary"></div>
+
+              <fieldset>
+                <legend>How to import</legend>
+                <label>
+                  <input type="radio" name="strategy" value="${IMPORT_STRATEGIES.MERGE_BY_ID}" checked>
+                  Merge by ID
+                  <span class="hint">Adds new events and updates changed ones. Events edited here since the file was saved are kept.</span>
+                </label>
+                <label>
+                  <input type="radio" name="strategy" value="${IMPORT_STRATEGIES.KEEP_BOTH}">
+                  Keep both
+                  <span class="hint">Adds new events. Changed and edited events are added as copies next to the stored ones.</span>
+                </label>
+                <label>
+                  <input type="radio" name="strategy" value="${IMPORT_STRATEGIES.REPLACE_YEAR}">
+                  Replace years
+                  <span class="hint">Makes each year in the file match it. <span class="removed-warning"></span></span>
+                </label>
+              </fieldset>
+            </form>
+          </div>
+
+          <div class="modal-footer">
+            <button type="button" class="cancel-btn">Cancel</button>
+            <button type="submit" form="import-form" class="apply-btn">Import</button>
+          </div>
+        </div>
+      </div>
+    `;
+  }
+}
+
+customElements.define('import-wizard-modal', ImportWizardModal);
+
+export default ImportWizardModal;
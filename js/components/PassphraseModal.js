@@ -0,0 +1,398 @@
+import { ENCRYPTION } from '../config.js';
+
+/** Text and fields of each mode */
+const MODES = {
+  unlock: {
+    title: 'Unlock Planner',
+    message: 'Your planner is protected with a passphrase. Enter it to open your events.',
+    fields: ['current'],
+    submit: 'Unlock',
+  },
+  file: {
+    title: 'Open Encrypted File',
+    message: 'This file is protected with a passphrase. Enter the passphrase of the planner it was exported from.',
+    fields: ['current'],
+    submit: 'Open',
+  },
+  enable: {
+    title: 'Protect with a Passphrase',
+    message: 'Events, categories and settings will be stored encrypted in this browser, and exports will be encrypted too. If you forget the passphrase, nobody can recover your data.',
+    fields: ['new', 'confirm'],
+    submit: 'Turn On',
+  },
+  change: {
+    title: 'Passphrase Protection',
+    message: 'Your planner is stored encrypted. Enter your passphrase, then choose a new one, or turn encryption off to store your data as plain text again.',
+    fields: ['current', 'new', 'confirm'],
+    submit: 'Change Passphrase',
+  },
+};
+
+/**
+ * Asks for the passphrase protecting the planner's data: to unlock it when
+ * the page opens, to open an encrypted export file, to turn encryption on,
+ * or to change the passphrase or turn encryption off.
+ *
+ * The dialog stays open after a submit, so a wrong passphrase can be shown
+ * with showError(); whoever handles the submit closes it.
+ */
+class PassphraseModal extends HTMLElement {
+  constructor() {
+    super();
+    this.attachShadow({ mode: 'open' });
+    this.isOpen = false;
+    this.mode = 'unlock';
+    this.render();
+  }
+
+  static get observedAttributes() {
+    return ['open'];
+  }
+
+  attributeChangedCallback(name, oldValue, newValue) {
+    if (name === 'open') {
+      this.isOpen = newValue !== null;
+      this.updateVisibility();
+    }
+  }
+
+  connectedCallback() {
+    this.shadowRoot
+      .querySelector('form')
+      .addEventListener('submit', this.handleSubmit.bind(this));
+    this.shadowRoot
+      .querySelector('.cancel-btn')
+      .addEventListener('click', this.handleCancel.bind(this));
+    this.shadowRoot
+      .querySelector('.disable-btn')
+      .addEventListener('click', this.handleDisable.bind(this));
+    this.shadowRoot
+      .querySelector('.erase-btn')
+      .addEventListener('click', this.handleErase.bind(this));
+
+    this.updateVisibility();
+  }
+
+  /**
+   * Open the dialog
+   * @param {string} mode - 'unlock', 'file', 'enable' or 'change'
+   */
+  open(mode) {
+    const { title, message, fields, submit } = MODES[mode];
+    this.mode = mode;
+
+    this.shadowRoot.querySelector('#passphrase-title').textContent = title;
+    this.shadowRoot.querySelector('.message').textContent = message;
+    this.shadowRoot.querySelector('.apply-btn').textContent = submit;
+    this.shadowRoot.querySelector('.new-label').textContent =
+      mode === 'change' ? 'New passphrase' : 'Passphrase';
+    this.shadowRoot.querySelectorAll('.field').forEach((field) => {
+      field.hidden = !fields.includes(field.dataset.field);
+    });
+    this.shadowRoot.querySelector('form').reset();
+
+    // Unlocking can't be skipped; the planner has no data to show without it
+    this.shadowRoot.querySelector('.cancel-btn').hidden = mode === 'unlock';
+    this.shadowRoot.querySelector('.erase-btn').hidden = mode !== 'unlock';
+    this.shadowRoot.querySelector('.disable-btn').hidden = mode !== 'change';
+
+    this.showError('');
+    this.setBusy(false);
+    this.setAttribute('open', '');
+    this.shadowRoot.querySelector(`input[name="${fields[0]}"]`).focus();
+  }
+
+  close() {
+    this.removeAttribute('open');
+  }
+
+  /**
+   * Show why the passphrase wasn't accepted
+   * @param {string} message - The problem, or '' to hide it
+   */
+  showError(message) {
+    const error = this.shadowRoot.querySelector('.error');
+    error.textContent = message;
+    error.hidden = !message;
+  }
+
+  /**
+   * Disable the buttons while the passphrase is checked, which takes a moment
+   * @param {boolean} busy - Whether a check is running
+   */
+  setBusy(busy) {
+    this.shadowRoot.querySelectorAll('button').forEach((button) => {
+      button.disabled = busy;
+    });
+  }
+
+  updateVisibility() {
+    const modalElement = this.shadowRoot.querySelector('.modal-container');
+    if (this.isOpen) {
+      modalElement.classList.add('visible');
+      document.body.style.overflow = 'hidden';
+    } else {
+      modalElement.classList.remove('visible');
+      document.body.style.overflow = '';
+    }
+  }
+
+  handleSubmit(event) {
+    event.preventDefault();
+
+    const { fields } = MODES[this.mode];
+    const passphrase = this.getValue('current');
+    const newPassphrase = this.getValue('new');
+
+    if (fields.includes('current') && !passphrase) {
+      this.showError('Enter your passphrase.');
+      return;
+    }
+    if (fields.includes('new')) {
+      const problem = this.checkNewPassphrase(newPassphrase);
+      if (problem) {
+        this.showError(problem);
+        return;
+      }
+    }
+
+    this.submit(this.mode, passphrase, newPassphrase);
+  }
+
+  handleDisable() {
+    const passphrase = this.getValue('current');
+    if (!passphrase) {
+      this.showError('Enter your passphrase to turn encryption off.');
+      return;
+    }
+    this.submit('disable', passphrase, '');
+  }
+
+  handleErase() {
+    if (
+      confirm(
+        'Erase the planner stored in this browser? Your events, categories and settings will be deleted, and nobody can get them back.',
+      )
+    ) {
+      this.submit('erase', '', '');
+    }
+  }
+
+  handleCancel() {
+    this.close();
+    this.dispatchEvent(
+      new CustomEvent('passphrase-cancel', { bubbles: true, composed: true }),
+    );
+  }
+
+  /**
+   * Tell the page what to do with the passphrase
+   * @param {string} action - 'unlock', 'file', 'enable', 'change', 'disable' or 'erase'
+   * @param {string} passphrase - The current passphrase, if asked for
+   * @param {string} newPassphrase - The new passphrase, if asked for
+   * @private
+   */
+  submit(action, passphrase, newPassphrase) {
+    this.showError('');
+    this.dispatchEvent(
+      new CustomEvent('passphrase-submit', {
+        detail: { action, passphrase, newPassphrase },
+        bubbles: true,
+        composed: true,
+      }),
+    );
+  }
+
+  /**
+   * Explain why a new passphrase can't be used
+   * @param {string} passphrase - The new passphrase
+   * @returns {string|null} The problem, or null if it can be used
+   * @private
+   */
+  checkNewPassphrase(passphrase) {
+    if (passphrase.length < ENCRYPTION.MIN_PASSPHRASE_LENGTH) {
+      return `Use at least ${ENCRYPTION.MIN_PASSPHRASE_LENGTH} characters.`;
+    }
+    if (passphrase !== this.getValue('confirm')) {
+      return "The passphrases don't match.";
+    }
+    return null;
+  }
+
+  /**
+   * Read a passphrase field
+   * @param {string} name - 'current', 'new' or 'confirm'
+   * @returns {string}
+   * @private
+   */
+  getValue(name) {
+    return this.shadowRoot.querySelector(`input[name="${name}"]`).value;
+  }
+
+  render() {
+    this.shadowRoot.innerHTML = `
+      <style>
+        :host {
+          --primary-color: #4682B4;
+          --light-gray: #f8f9fa;
+          --dark-gray: #343a40;
+          --border-color: #ced4da;
+          --danger-color: #dc3545;
+        }
+
+        .modal-container {
+          position: fixed;
+          top: 0;
+          left: 0;
+          width: 100%;
+          height: 100%;
+          background-color: rgba(0, 0, 0, 0.5);
+          display: flex;
+          align-items: center;
+          justify-content: center;
+          z-index: 1000;
+          opacity: 0;
+          visibility: hidden;
+          transition: opacity 0.3s, visibility 0.3s;
+        }
+
+        .modal-container.visible {
+          opacity: 1;
+          visibility: visible;
+        }
+
+        .modal-content {
+          background-color: white;
+          border-radius: 5px;
+          width: 90%;
+          max-width: 420px;
+          box-shadow: 0 4px 6px rgba(0, 0, 0, 0.1);
+        }
+
+        .modal-header,
+        .modal-body,
+        .modal-footer {
+          padding: 15px;
+        }
+
+        .modal-header {
+          border-bottom: 1px solid var(--border-color);
+        }
+
+        .modal-header h2 {
+          margin: 0;
+          font-size: 1.25rem;
+        }
+
+        .message {
+          margin-top: 0;
+        }
+
+        .field {
+          margin-bottom: 12px;
+        }
+
+        .field[hidden],
+        button[hidden],
+        .error[hidden] {
+          display: none;
+        }
+
+        label {
+          display: block;
+          margin-bottom: 4px;
+          font-weight: bold;
+        }
+
+        input {
+          width: 100%;
+          padding: 8px;
+          border: 1px solid var(--border-color);
+          border-radius: 4px;
+          box-sizing: border-box;
+        }
+
+        .error {
+          margin: 0;
+          color: var(--danger-color);
+        }
+
+        .modal-footer {
+          border-top: 1px solid var(--border-color);
+          display: flex;
+          justify-content: flex-end;
+          gap: 8px;
+        }
+
+        button {
+          padding: 8px 16px;
+          border: none;
+          border-radius: 4px;
+          cursor: pointer;
+          font-weight: bold;
+        }
+
+        button:disabled {
+          opacity: 0.6;
+          cursor: wait;
+        }
+
+        .erase-btn,
+        .disable-btn {
+          margin-right: auto;
+          background-color: white;
+          color: var(--danger-color);
+          border: 1px solid var(--danger-color);
+        }
+
+        .cancel-btn {
+          background-color: var(--light-gray);
+          color: var(--dark-gray);
+        }
+
+        .apply-btn {
+          background-color: var(--primary-color);
+          color: white;
+        }
+      </style>
+
+      <div class="modal-container">
+        <div class="modal-content" role="dialog" aria-labelledby="passphrase-title">
+          <div class="modal-header">
+            <h2 id="passphrase-title">Unlock Planner</h2>
+          </div>
+
+          <div class="modal-body">
+            <form id="passphrase-form">
+              <p class="message"></p>
+              <div class="field" data-field="current">
+                <label for="current-passphrase">Passphrase</label>
+                <input type="password" id="current-passphrase" name="current" autocomplete="current-password">
+              </div>
+              <div class="field" data-field="new">
+                <label for="new-passphrase" class="new-label">New passphrase</label>
+                <input type="password" id="new-passphrase" name="new" autocomplete="new-password">
+              </div>
+              <div class="field" data-field="confirm">
+                <label for="confirm-passphrase">Repeat the passphrase</label>
+                <input type="password" id="confirm-passphrase" name="confirm" autocomplete="new-password">
+              </div>
+              <p class="error" role="alert" hidden></p>
+            </form>
+          </div>
+
+          <div class="modal-footer">
+            <button type="button" class="erase-btn">Erase and Start Over</button>
+            <button type="button" class="disable-btn">Turn Off Encryption</button>
+            <button type="button" class="cancel-btn">Cancel</button>
+            <button type="submit" form="passphrase-form" class="apply-btn">Unlock</button>
+          </div>
+        </div>
+      </div>
+    `;
+  }
+}
+
+customElements.define('passphrase-modal', PassphraseModal);
+
+export default PassphraseModal;
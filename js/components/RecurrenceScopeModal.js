@@ -0,0 +1,199 @@
+/**
+ * Asks which part of a recurring series a change applies to, e.g. when an
+ * occurrence is dragged to new dates on the grid
+ */
+class RecurrenceScopeModal extends HTMLElement {
+  constructor() {
+    super();
+    this.attachShadow({ mode: 'open' });
+    this.isOpen = false;
+    this.render();
+  }
+
+  static get observedAttributes() {
+    return ['open'];
+  }
+
+  attributeChangedCallback(name, oldValue, newValue) {
+    if (name === 'open') {
+      this.isOpen = newValue !== null;
+      this.updateVisibility();
+    }
+  }
+
+  connectedCallback() {
+    this.shadowRoot
+      .querySelector('form')
+      .addEventListener('submit', this.handleSubmit.bind(this));
+    this.shadowRoot
+      .querySelector('.cancel-btn')
+      .addEventListener('click', this.handleCancel.bind(this));
+
+    this.updateVisibility();
+  }
+
+  /**
+   * Open the dialog
+   * @param {string} message - Question to show, e.g. 'Move "Standup" to Tue, Mar 4?'
+   */
+  open(message) {
+    this.shadowRoot.querySelector('.message').textContent = message;
+    this.shadowRoot.querySelector('input[value="occurrence"]').checked = true;
+    this.setAttribute('open', '');
+    this.shadowRoot.querySelector('.apply-btn').focus();
+  }
+
+  close() {
+    this.removeAttribute('open');
+  }
+
+  updateVisibility() {
+    const modalElement = this.shadowRoot.querySelector('.modal-container');
+    if (this.isOpen) {
+      modalElement.classList.add('visible');
+      document.body.style.overflow = 'hidden';
+    } else {
+      modalElement.classList.remove('visible');
+      document.body.style.overflow = '';
+    }
+  }
+
+  handleSubmit(event) {
+    event.preventDefault();
+
+    const scopeEvent = new CustomEvent('scope-select', {
+      detail: {
+        scope: this.shadowRoot.querySelector('input[name="scope"]:checked').value,
+      },
+      bubbles: true,
+      composed: true,
+    });
+
+    this.close();
+    this.dispatchEvent(scopeEvent);
+  }
+
+  handleCancel() {
+    this.close();
+    this.dispatchEvent(
+      new CustomEvent('scope-cancel', { bubbles: true, composed: true }),
+    );
+  }
+
+  render() {
+    this.shadowRoot.innerHTML = `
+      <style>
+        :host {
+          --primary-color: #4682B4;
+          --light-gray: #f8f9fa;
+          --dark-gray: #343a40;
+          --border-color: #ced4da;
+        }
+
+        .modal-container {
+          position: fixed;
+          top: 0;
+          left: 0;
+          width: 100%;
+          height: 100%;
+          background-color: rgba(0, 0, 0, 0.5);
+          display: flex;
+          align-items: center;
+          justify-content: center;
+          z-index: 1000;
+          opacity: 0;
+          visibility: hidden;
+          transition: opacity 0.3s, visibility 0.3s;
+        }
+
+        .modal-container.visible {
+          opacity: 1;
+          visibility: visible;
+        }
+
+        .modal-content {
+          background-color: white;
+          border-radius: 5px;
+          width: 90%;
+          max-width: 400px;
+          box-shadow: 0 4px 6px rgba(0, 0, 0, 0.1);
+        }
+
+        .modal-header,
+        .modal-body,
+        .modal-footer {
+          padding: 15px;
+        }
+
+        .modal-header {
+          border-bottom: 1px solid var(--border-color);
+        }
+
+        .modal-header h2 {
+          margin: 0;
+          font-size: 1.25rem;
+        }
+
+        .message {
+          margin-top: 0;
+        }
+
+        label {
+          display: block;
+          margin-bottom: 6px;
+        }
+
+        .modal-footer {
+          border-top: 1px solid var(--border-color);
+          display: flex;
+          justify-content: flex-end;
+          gap: 8px;
+        }
+
+        button {
+          padding: 8px 16px;
+          border: none;
+          border-radius: 4px;
+          cursor: pointer;
+          font-weight: bold;
+        }
+
+        .cancel-btn {
+          background-color: var(--light-gray);
+          color: var(--dark-gray);
+        }
+
+        .apply-btn {
+          background-color: var(--primary-color);
+          color: white;
+        }
+      </style>
+
+      <div class="modal-container">
+        <div class="modal-content" role="dialog" aria-labelledby="scope-title">
+          <div class="modal-header">
+            <h2 id="scope-title">Change Recurring Event</h2>
+          </div>
+
+          <div class="modal-body">
+            <form id="scope-form">
+              <p class="message"></p>
+              <label><input type="radio" name="scope" value="occurrence" checked> This occurrence</label>
+              <label><input type="radio" name="scope" value="following"> This and following occurrences</label>
+              <label><input type="radio" name="scope" value="series"> All occurrences</label>
+            </form>
+          </div>
+
+          <div class="modal-footer">
+            <button type="button" class="cancel-btn">Cancel</button>
+            <button type="submit" form="scope-form" class="apply-btn">Apply</button>
+          </div>
+        </div>
+      </div>
+    `;
+  }
+}
+
+customElements.define('recurrence-scope-modal', RecurrenceScopeModal);
+
+export default RecurrenceScopeModal;
@@ -0,0 +1,436 @@
+import {
+  ROLLING_YEAR_START,
+  STORAGE_BACKENDS,
+  TRASH,
+  WEEK_STARTS,
+} from '../config.js';
+
+/** Months a planner year can start in, as select options */
+const YEAR_START_OPTIONS = Array.from({ length: 12 }, (_, month) => ({
+  value: month,
+  label: new Date(2000, month, 1).toLocaleDateString(undefined, {
+    month: 'long',
+  }),
+}));
+
+/**
+ * Edits the display preferences: the first day of the week, the month the
+ * year starts in, whether to show ISO week numbers and which built-in public
+ * holidays to show, and how long deleted events stay in the trash. Also
+ * chooses where the planner data is kept, which isn't a preference since it
+ * decides where the preferences are read from, and leads to the passphrase
+ * protection of data kept in the browser.
+ */
+class SettingsModal extends HTMLElement {
+  constructor() {
+    super();
+    this.attachShadow({ mode: 'open' });
+    this.isOpen = false;
+    this.render();
+  }
+
+  static get observedAttributes() {
+    return ['open'];
+  }
+
+  attributeChangedCallback(name, oldValue, newValue) {
+    if (name === 'open') {
+      this.isOpen = newValue !== null;
+      this.updateVisibility();
+    }
+  }
+
+  connectedCallback() {
+    this.shadowRoot
+      .querySelector('form')
+      .addEventListener('submit', this.handleSubmit.bind(this));
+    this.shadowRoot
+      .querySelector('.cancel-btn')
+      .addEventListener('click', this.handleCancel.bind(this));
+    this.shadowRoot
+      .getElementById('manage-encryption')
+      .addEventListener('click', this.handleManageEncryption.bind(this));
+
+    this.updateVisibility();
+  }
+
+  /**
+   * Set the countries and regions offered for built-in holidays
+   * @param {Array<{code: string, name: string}>} options - Selections from the holiday rule sets
+   */
+  setHolidayRegions(options) {
+    const list = this.shadowRoot.getElementById('holiday-regions');
+    list.innerHTML = '';
+
+    if (options.length === 0) {
+      const empty = document.createElement('p');
+      empty.className = 'hint';
+      empty.textContent = 'No holiday rules are available.';
+      list.appendChild(empty);
+      return;
+    }
+
+    options.forEach(({ code, name }) => {
+      const label = document.createElement('label');
+      label.className = 'checkbox-label';
+      if (!code.includes('-')) {
+        label.classList.add('country');
+      }
+
+      const checkbox = document.createElement('input');
+      checkbox.type = 'checkbox';
+      checkbox.value = code;
+
+      label.appendChild(checkbox);
+      label.appendChild(document.createTextNode(` ${name}`));
+      list.appendChild(label);
+    });
+  }
+
+  /**
+   * Open the settings with the current preferences
+   * @param {Object} preferences - Preferences to edit
+   * @param {number} preferences.weekStart - First day of the week
+   * @param {number|string} preferences.yearStart - Month the year starts in, or ROLLING_YEAR_START
+   * @param {boolean} preferences.showWeekNumbers - Whether to show week numbers
+   * @param {Array<string>} preferences.holidayRegions - Built-in holiday selections
+   * @param {number} preferences.trashRetentionDays - Days deleted events are kept
+   * @param {string} storageBackend - Where the data is kept, one of STORAGE_BACKENDS
+   * @param {boolean} encrypted - Whether the data is protected with a passphrase
+   */
+  open(preferences, storageBackend, encrypted) {
+    this.shadowRoot.getElementById('week-start').value = String(
+      preferences.weekStart,
+    );
+    this.shadowRoot.getElementById('year-start').value = String(
+      preferences.yearStart,
+    );
+    this.shadowRoot.getElementById('show-week-numbers').checked =
+      preferences.showWeekNumbers;
+    this.shadowRoot
+      .querySelectorAll('#holiday-regions input')
+      .forEach((checkbox) => {
+        checkbox.checked = preferences.holidayRegions.includes(checkbox.value);
+      });
+    this.shadowRoot.getElementById('trash-retention').value = String(
+      preferences.trashRetentionDays,
+    );
+    this.shadowRoot.getElementById('storage-backend').value = storageBackend;
+
+    // The server keeps the team's data, which can't be locked by one user
+    const encryptionBtn = this.shadowRoot.getElementById('manage-encryption');
+    encryptionBtn.textContent = encrypted
+      ? 'Change passphrase or turn off…'
+      : 'Protect with a passphrase…';
+    encryptionBtn.disabled = storageBackend === STORAGE_BACKENDS.SERVER;
+    let encryptionHint =
+      'Stores your events, categories and settings encrypted in this browser, and encrypts exports.';
+    if (storageBackend === STORAGE_BACKENDS.SERVER) {
+      encryptionHint =
+        'Only a planner kept in this browser can be protected with a passphrase.';
+    } else if (encrypted) {
+      encryptionHint =
+        'Your events, categories and settings are stored encrypted, and exports are encrypted too.';
+    }
+    this.shadowRoot.getElementById('encryption-hint').textContent =
+      encryptionHint;
+    this.setAttribute('open', '');
+    this.shadowRoot.getElementById('week-start').focus();
+  }
+
+  close() {
+    this.removeAttribute('open');
+  }
+
+  updateVisibility() {
+    const modalElement = this.shadowRoot.querySelector('.modal-container');
+    if (this.isOpen) {
+      modalElement.classList.add('visible');
+      document.body.style.overflow = 'hidden';
+    } else {
+      modalElement.classList.remove('visible');
+      document.body.style.overflow = '';
+    }
+  }
+
+  handleSubmit(event) {
+    event.preventDefault();
+
+    const yearStart = this.shadowRoot.getElementById('year-start').value;
+    const saveEvent = new CustomEvent('settings-save', {
+      detail: {
+        preferences: {
+          weekStart: parseInt(
+            this.shadowRoot.getElementById('week-start').value,
+            10,
+          ),
+          yearStart:
+            yearStart === ROLLING_YEAR_START
+              ? yearStart
+              : parseInt(yearStart, 10),
+          showWeekNumbers:
+            this.shadowRoot.getElementById('show-week-numbers').checked,
+          holidayRegions: Array.from(
+            this.shadowRoot.querySelectorAll('#holiday-regions input:checked'),
+          ).map((checkbox) => checkbox.value),
+          trashRetentionDays: parseInt(
+            this.shadowRoot.getElementById('trash-retention').value,
+            10,
+          ),
+        },
+        storageBackend: this.shadowRoot.getElementById('storage-backend').value,
+      },
+      bubbles: true,
+      composed: true,
+    });
+
+    this.close();
+    this.dispatchEvent(saveEvent);
+  }
+
+  handleCancel() {
+    this.close();
+  }
+
+  handleManageEncryption() {
+    this.close();
+    this.dispatchEvent(
+      new CustomEvent('encryption-manage', { bubbles: true, composed: true }),
+    );
+  }
+
+  render() {
+    this.shadowRoot.innerHTML = `
+      <style>
+        :host {
+          --primary-color: #4682B4;
+          --light-gray: #f8f9fa;
+          --dark-gray: #343a40;
+          --border-color: #ced4da;
+        }
+
+        .modal-container {
+          position: fixed;
+          top: 0;
+          left: 0;
+          width: 100%;
+          height: 100%;
+          background-color: rgba(0, 0, 0, 0.5);
+          display: flex;
+          align-items: center;
+          justify-content: center;
+          z-index: 1000;
+          opacity: 0;
+          visibility: hidden;
+          transition: opacity 0.3s, visibility 0.3s;
+        }
+
+        .modal-container.visible {
+          opacity: 1;
+          visibility: visible;
+        }
+
+        .modal-content {
+          background-color: white;
+          border-radius: 5px;
+          width: 90%;
+          max-width: 400px;
+          box-shadow: 0 4px 6px rgba(0, 0, 0, 0.1);
+        }
+
+        .modal-header,
+        .modal-body,
+        .modal-footer {
+          padding: 15px;
+        }
+
+        .modal-header {
+          border-bottom: 1px solid var(--border-color);
+        }
+
+        .modal-header h2 {
+          margin: 0;
+          font-size: 1.25rem;
+        }
+
+        .form-group {
+          margin-bottom: 15px;
+        }
+
+        .form-group:last-child {
+          margin-bottom: 0;
+        }
+
+        label {
+          display: block;
+          margin-bottom: 5px;
+          font-weight: bold;
+        }
+
+        .checkbox-label {
+          font-weight: normal;
+        }
+
+        .holiday-regions {
+          max-height: 180px;
+          overflow-y: auto;
+          border: 1px solid var(--border-color);
+          border-radius: 4px;
+          padding: 6px 8px;
+        }
+
+        .holiday-regions .checkbox-label {
+          margin-bottom: 2px;
+          padding-left: 16px;
+        }
+
+        .holiday-regions .checkbox-label.country {
+          margin-top: 6px;
+          padding-left: 0;
+          font-weight: bold;
+        }
+
+        .holiday-regions .checkbox-label.country:first-child {
+          margin-top: 0;
+        }
+
+        select {
+          width: 100%;
+          padding: 8px;
+          border: 1px solid var(--border-color);
+          border-radius: 4px;
+          font-size: 1rem;
+          box-sizing: border-box;
+        }
+
+        .hint {
+          margin: 4px 0 0;
+          font-size: 0.85rem;
+          color: #6c757d;
+        }
+
+        .modal-footer {
+          border-top: 1px solid var(--border-color);
+          display: flex;
+          justify-content: flex-end;
+          gap: 8px;
+        }
+
+        button {
+          padding: 8px 16px;
+          border: none;
+          border-radius: 4px;
+          cursor: pointer;
+          font-weight: bold;
+        }
+
+        .cancel-btn {
+          background-color: var(--light-gray);
+          color: var(--dark-gray);
+        }
+
+        .save-btn {
+          background-color: var(--primary-color);
+          color: white;
+        }
+
+        .encryption-btn {
+          background-color: var(--light-gray);
+          color: var(--dark-gray);
+          border: 1px solid var(--border-color);
+        }
+
+        .encryption-btn:disabled {
+          cursor: not-allowed;
+          opacity: 0.6;
+        }
+      </style>
+
+      <div class="modal-container">
+        <div class="modal-content" role="dialog" aria-labelledby="settings-title">
+          <div class="modal-header">
+            <h2 id="settings-title">Settings</h2>
+          </div>
+
+          <div class="modal-body">
+            <form id="settings-form">
+              <div class="form-group">
+                <label for="week-start">First day of the week</label>
+                <select id="week-start">
+                  <option value="${WEEK_STARTS.MONDAY}">Monday</option>
+                  <option value="${WEEK_STARTS.SUNDAY}">Sunday</option>
+                  <option value="${WEEK_STARTS.SATURDAY}">Saturday</option>
+                </select>
+              </div>
+
+              <div class="form-group">
+                <label for="year-start">Year starts in</label>
+                <select id="year-start">
+                  ${YEAR_START_OPTIONS.map(
+                    ({ value, label }) =>
+                      `<option value="${value}">${label}</option>`,
+                  ).join('')}
+                  <option value="${ROLLING_YEAR_START}">This month (next 12 months)</option>
+                </select>
+                <p class="hint">Pick April or July for a fiscal year, or September for an academic year. Export and import still work on calendar years.</p>
+              </div>
+
+              <div class="form-group">
+                <label class="checkbox-label">
+                  <input type="checkbox" id="show-week-numbers">
+                  Show ISO week numbers
+                </label>
+                <p class="hint">Adds a row of week numbers (W1–W53) under each month.</p>
+              </div>
+
+              <div class="form-group">
+                <label id="holiday-regions-label">Public holidays</label>
+                <div
+                  id="holiday-regions"
+                  class="holiday-regions"
+                  role="group"
+                  aria-labelledby="holiday-regions-label"
+                ></div>
+                <p class="hint">Pick a country for its nationwide holidays, or a region to add its own. Holidays from several places are labelled with where they apply.</p>
+              </div>
+
+              <div class="form-group">
+                <label for="trash-retention">Keep deleted events for</label>
+                <select id="trash-retention">
+                  ${TRASH.RETENTION_OPTIONS.map(
+                    (days) => `<option value="${days}">${days} days</option>`,
+                  ).join('')}
+                </select>
+                <p class="hint">Deleted events wait in the trash for this long before they are deleted for good.</p>
+              </div>
+
+              <div class="form-group">
+                <label for="storage-backend">Keep the planner</label>
+                <select id="storage-backend">
+                  <option value="${STORAGE_BACKENDS.LOCAL}">In this browser</option>
+                  <option value="${STORAGE_BACKENDS.SERVER}">On the planner server, shared with the team</option>
+                </select>
+                <p class="hint">The planner server is started with <code>node js/serve.js</code>. Events aren't copied when you switch; export them and import them on the other side.</p>
+              </div>
+
+              <div class="form-group">
+                <label for="manage-encryption">Passphrase protection</label>
+                <button type="button" id="manage-encryption" class="encryption-btn">Protect with a passphrase…</button>
+                <p class="hint" id="encryption-hint"></p>
+              </div>
+            </form>
+          </div>
+
+          <div class="modal-footer">
+            <button type="button" class="cancel-btn">Cancel</button>
+            <button type="submit" form="settings-form" class="save-btn">Save</button>
+          </div>
+        </div>
+      </div>
+    `;
+  }
+}
+
+customElements.define('settings-modal', SettingsModal);
+
+export default SettingsModal;
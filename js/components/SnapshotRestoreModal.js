@@ -0,0 +1,385 @@
+import { SNAPSHOT_REASONS } from '../config.js';
+
+/**
+ * Lists the snapshots kept of the planner, each with what restoring it
+ * would change, and restores a whole snapshot or one year of it
+ */
+class SnapshotRestoreModal extends HTMLElement {
+  constructor() {
+    super();
+    this.attachShadow({ mode: 'open' });
+    this.isOpen = false;
+    this.entries = [];
+    this.render();
+  }
+
+  static get observedAttributes() {
+    return ['open'];
+  }
+
+  attributeChangedCallback(name, oldValue, newValue) {
+    if (name === 'open') {
+      this.isOpen = newValue !== null;
+      this.updateVisibility();
+    }
+  }
+
+  connectedCallback() {
+    this.shadowRoot
+      .querySelector('form')
+      .addEventListener('submit', this.handleSubmit.bind(this));
+    this.shadowRoot
+      .querySelector('.cancel-btn')
+      .addEventListener('click', this.handleCancel.bind(this));
+    this.shadowRoot
+      .getElementById('snapshot-list')
+      .addEventListener('change', () => this._renderYears());
+
+    this.updateVisibility();
+  }
+
+  /**
+   * Open the dialog with the kept snapshots
+   * @param {Array<{snapshot: Object, comparison: Object}>} entries - Snapshots
+   *   from SnapshotManager.list(), newest first, each with the result of
+   *   SnapshotManager.compare()
+   */
+  open(entries) {
+    this.entries = entries;
+
+    const list = this.shadowRoot.getElementById('snapshot-list');
+    list.innerHTML = '';
+    entries.forEach(({ snapshot, comparison }, index) => {
+      const label = document.createElement('label');
+      const input = document.createElement('input');
+      input.type = 'radio';
+      input.name = 'snapshot';
+      input.value = snapshot.id;
+      input.checked = index === 0;
+
+      const hint = document.createElement('span');
+      hint.className = 'hint';
+      hint.textContent = `${snapshot.eventCount} events; restoring ${this._describeChanges(comparison)}`;
+
+      label.appendChild(input);
+      label.appendChild(
+        document.createTextNode(
+          ` ${this._formatTime(snapshot.createdAt)}: ${this._describeReason(snapshot)}`,
+        ),
+      );
+      label.appendChild(hint);
+      list.appendChild(label);
+    });
+
+    const empty = entries.length === 0;
+    this.shadowRoot.querySelector('.empty-message').hidden = !empty;
+    list.hidden = empty;
+    this.shadowRoot.querySelector('.scope').hidden = empty;
+    this.shadowRoot.querySelector('.apply-btn').disabled = empty;
+    this._renderYears();
+
+    this.setAttribute('open', '');
+    this.shadowRoot.querySelector(empty ? '.cancel-btn' : '.apply-btn').focus();
+  }
+
+  close() {
+    this.removeAttribute('open');
+  }
+
+  updateVisibility() {
+    const modalElement = this.shadowRoot.querySelector('.modal-container');
+    if (this.isOpen) {
+      modalElement.classList.add('visible');
+      document.body.style.overflow = 'hidden';
+    } else {
+      modalElement.classList.remove('visible');
+      document.body.style.overflow = '';
+    }
+  }
+
+  handleSubmit(event) {
+    event.preventDefault();
+
+    const entry = this._getSelectedEntry();
+    if (!entry) return;
+
+    const value = this.shadowRoot.getElementById('restore-scope').value;
+    const year = value === 'all' ? null : Number(value);
+    const what = year === null ? 'all your events' : `your events in ${year}`;
+    if (
+      !confirm(
+        `Replace ${what} with the snapshot of ${this._formatTime(entry.snapshot.createdAt)}? The current events are kept in a snapshot first.`,
+      )
+    ) {
+      return;
+    }
+
+    const restoreEvent = new CustomEvent('snapshot-restore', {
+      detail: { snapshotId: entry.snapshot.id, year },
+      bubbles: true,
+      composed: true,
+    });
+
+    this.close();
+    this.dispatchEvent(restoreEvent);
+  }
+
+  handleCancel() {
+    this.close();
+    this.dispatchEvent(
+      new CustomEvent('snapshot-cancel', { bubbles: true, composed: true }),
+    );
+  }
+
+  /**
+   * Get the snapshot chosen in the list
+   * @returns {{snapshot: Object, comparison: Object}|undefined}
+   * @private
+   */
+  _getSelectedEntry() {
+    const checked = this.shadowRoot.querySelector(
+      'input[name="snapshot"]:checked',
+    );
+    return checked
+      ? this.entries.find(({ snapshot }) => snapshot.id === checked.value)
+      : undefined;
+  }
+
+  /**
+   * Offer the whole chosen snapshot, or one of its years, to restore
+   * @private
+   */
+  _renderYears() {
+    const select = this.shadowRoot.getElementById('restore-scope');
+    select.innerHTML = '';
+
+    const entry = this._getSelectedEntry();
+    if (!entry) return;
+
+    const all = document.createElement('option');
+    all.value = 'all';
+    all.textContent = 'Everything, with the categories and calendars';
+    select.appendChild(all);
+
+    entry.comparison.years.forEach((counts) => {
+      const option = document.createElement('option');
+      option.value = String(counts.year);
+      option.textContent = `${counts.year} only: ${counts.events} events, ${this._describeChanges(counts)}`;
+      select.appendChild(option);
+    });
+  }
+
+  /**
+   * Describe what restoring would do to the current events
+   * @param {{added: number, changed: number, removed: number}} counts - Counts from SnapshotManager.compare()
+   * @returns {string}
+   * @private
+   */
+  _describeChanges({ added, changed, removed }) {
+    const parts = [];
+    if (added > 0) {
+      parts.push(`brings back ${added}`);
+    }
+    if (changed > 0) {
+      parts.push(`undoes changes to ${changed}`);
+    }
+    if (removed > 0) {
+      parts.push(`deletes ${removed} added since`);
+    }
+    return parts.length > 0 ? parts.join(', ') : 'changes nothing';
+  }
+
+  /**
+   * Describe why a snapshot was taken
+   * @param {Object} snapshot - Snapshot from SnapshotManager.list()
+   * @returns {string}
+   * @private
+   */
+  _describeReason({ reason, label }) {
+    if (reason === SNAPSHOT_REASONS.DAILY) {
+      return 'Daily snapshot';
+    }
+    if (reason === SNAPSHOT_REASONS.IMPORT) {
+      return label ? `Before importing ${label}` : 'Before an import';
+    }
+    if (reason === SNAPSHOT_REASONS.RESET) {
+      return 'Before resetting the calendar';
+    }
+    if (reason === SNAPSHOT_REASONS.RESTORE) {
+      return 'Before restoring a snapshot';
+    }
+    return 'Snapshot';
+  }
+
+  /**
+   * Format the time a snapshot was taken
+   * @param {string} createdAt - ISO time
+   * @returns {string}
+   * @private
+   */
+  _formatTime(createdAt) {
+    return new Date(createdAt).toLocaleString(undefined, {
+      dateStyle: 'medium',
+      timeStyle: 'short',
+    });
+  }
+
+  render() {
+    this.shadowRoot.innerHTML = `
+      <style>
+        :host {
+          --primary-color: #4682B4;
+          --light-gray: #f8f9fa;
+          --dark-gray: #343a40;
+          --border-color: #ced4da;
+        }
+
+        .modal-container {
+          position: fixed;
+          top: 0;
+          left: 0;
+          width: 100%;
+          height: 100%;
+          background-color: rgba(0, 0, 0, 0.5);
+          display: flex;
+          align-items: center;
+          justify-content: center;
+          z-index: 1000;
+          opacity: 0;
+          visibility: hidden;
+          transition: opacity 0.3s, visibility 0.3s;
+        }
+
+        .modal-container.visible {
+          opacity: 1;
+          visibility: visible;
+        }
+
+        .modal-content {
+          background-color: white;
+          border-radius: 5px;
+          width: 90%;
+          max-width: 520px;
+          max-height: 90vh;
+          display: flex;
+          flex-direction: column;
+          box-shadow: 0 4px 6px rgba(0, 0, 0, 0.1);
+        }
+
+        .modal-header,
+        .modal-body,
+        .modal-footer {
+          padding: 15px;
+        }
+
+        .modal-header {
+          border-bottom: 1px solid var(--border-color);
+        }
+
+        .modal-header h2 {
+          margin: 0;
+          font-size: 1.25rem;
+        }
+
+        .modal-body {
+          overflow-y: auto;
+        }
+
+        .message {
+          margin-top: 0;
+        }
+
+        .snapshot-list {
+          margin-bottom: 15px;
+          border: 1px solid var(--border-color);
+          border-radius: 4px;
+          padding: 6px 8px;
+        }
+
+        label {
+          display: block;
+          margin-bottom: 8px;
+        }
+
+        .hint {
+          display: block;
+          margin-left: 22px;
+          font-size: 0.85rem;
+          color: #6c757d;
+        }
+
+        .scope label {
+          font-weight: bold;
+          margin-bottom: 6px;
+        }
+
+        select {
+          width: 100%;
+          padding: 6px;
+          border: 1px solid var(--border-color);
+          border-radius: 4px;
+        }
+
+        .modal-footer {
+          border-top: 1px solid var(--border-color);
+          display: flex;
+          justify-content: flex-end;
+          gap: 8px;
+        }
+
+        button {
+          padding: 8px 16px;
+          border: none;
+          border-radius: 4px;
+          cursor: pointer;
+          font-weight: bold;
+        }
+
+        button:disabled {
+          opacity: 0.6;
+          cursor: default;
+        }
+
+        .cancel-btn {
+          background-color: var(--light-gray);
+          color: var(--dark-gray);
+        }
+
+        .apply-btn {
+          background-color: var(--primary-color);
+          color: white;
+        }
+      </style>
+
+      <div class="modal-container">
+        <div class="modal-content" role="dialog" aria-labelledby="snapshot-title">
+          <div class="modal-header">
+            <h2 id="snapshot-title">Restore a Snapshot</h2>
+          </div>
+
+          <div class="modal-body">
+            <form id="snapshot-form">
+              <p class="message">Snapshots of your planner are taken each day you open it, and before every import, reset and restore.</p>
+              <p class="empty-message" hidden>No snapshots have been taken yet.</p>
+              <div id="snapshot-list" class="snapshot-list"></div>
+
+              <div class="scope">
+                <label for="restore-scope">What to restore</label>
+                <select id="restore-scope"></select>
+              </div>
+            </form>
+          </div>
+
+          <div class="modal-footer">
+            <button type="button" class="cancel-btn">Cancel</button>
+            <button type="submit" form="snapshot-form" class="apply-btn">Restore</button>
+          </div>
+        </div>
+      </div>
+    `;
+  }
+}
+
+customElements.define('snapshot-restore-modal', SnapshotRestoreModal);
+
+export default SnapshotRestoreModal;
@@ -0,0 +1,368 @@
+/**
+ * Lists the deleted events kept in the trash, to restore them or delete them
+ * for good
+ */
+class TrashModal extends HTMLElement {
+  constructor() {
+    super();
+    this.attachShadow({ mode: 'open' });
+    this.isOpen = false;
+    this.items = [];
+    this.render();
+  }
+
+  static get observedAttributes() {
+    return ['open'];
+  }
+
+  attributeChangedCallback(name, oldValue, newValue) {
+    if (name === 'open') {
+      this.isOpen = newValue !== null;
+      this.updateVisibility();
+    }
+  }
+
+  connectedCallback() {
+    this.shadowRoot
+      .getElementById('trash-list')
+      .addEventListener('click', this.handleListClick.bind(this));
+    this.shadowRoot
+      .querySelector('.empty-btn')
+      .addEventListener('click', this.handleEmpty.bind(this));
+    this.shadowRoot
+      .querySelector('.close-btn')
+      .addEventListener('click', this.close.bind(this));
+
+    this.updateVisibility();
+  }
+
+  /**
+   * Open the trash, or show its new contents while it is open
+   * @param {Array<{event: Object, deletedAt: string, expiresAt: Date}>} items -
+   *   Deleted events from TrashBin.list(), most recently deleted first
+   * @param {number} retentionDays - Days deleted events are kept
+   */
+  open(items, retentionDays) {
+    this.items = items;
+
+    this.shadowRoot.querySelector('.message').textContent =
+      `Deleted events are kept for ${retentionDays} days, then deleted for good. Restoring an event puts it back in its calendar.`;
+
+    const list = this.shadowRoot.getElementById('trash-list');
+    list.innerHTML = '';
+    items.forEach(({ event, deletedAt, expiresAt }) => {
+      const row = document.createElement('li');
+      row.className = 'trash-item';
+
+      const details = document.createElement('div');
+      details.className = 'details';
+
+      const title = document.createElement('span');
+      title.className = 'title';
+      title.textContent = event.isRecurring ? `↻ ${event.title}` : event.title;
+
+      const hint = document.createElement('span');
+      hint.className = 'hint';
+      hint.textContent = `${this._formatDates(event)} · deleted ${this._formatTime(deletedAt)}, kept until ${this._formatDay(expiresAt)}`;
+
+      details.appendChild(title);
+      details.appendChild(hint);
+
+      const restoreBtn = document.createElement('button');
+      restoreBtn.type = 'button';
+      restoreBtn.className = 'restore-btn';
+      restoreBtn.dataset.eventId = event.id;
+      restoreBtn.textContent = 'Restore';
+
+      const purgeBtn = document.createElement('button');
+      purgeBtn.type = 'button';
+      purgeBtn.className = 'purge-btn';
+      purgeBtn.dataset.eventId = event.id;
+      purgeBtn.textContent = 'Delete';
+      purgeBtn.title = 'Delete for good';
+
+      row.appendChild(details);
+      row.appendChild(restoreBtn);
+      row.appendChild(purgeBtn);
+      list.appendChild(row);
+    });
+
+    const empty = items.length === 0;
+    this.shadowRoot.querySelector('.empty-message').hidden = !empty;
+    list.hidden = empty;
+    this.shadowRoot.querySelector('.empty-btn').disabled = empty;
+
+    if (!this.isOpen) {
+      this.setAttribute('open', '');
+      this.shadowRoot.querySelector('.close-btn').focus();
+    }
+  }
+
+  close() {
+    this.removeAttribute('open');
+  }
+
+  updateVisibility() {
+    const modalElement = this.shadowRoot.querySelector('.modal-container');
+    if (this.isOpen) {
+      modalElement.classList.add('visible');
+      document.body.style.overflow = 'hidden';
+    } else {
+      modalElement.classList.remove('visible');
+      document.body.style.overflow = '';
+    }
+  }
+
+  handleListClick(event) {
+    const button = event.target.closest('button');
+    if (!button) return;
+
+    const item = this.items.find(
+      (kept) => kept.event.id === button.dataset.eventId,
+    );
+    if (!item) return;
+
+    if (button.classList.contains('restore-btn')) {
+      this._dispatch('trash-restore', [item.event.id]);
+    } else if (
+      confirm(`Delete "${item.event.title}" for good? It can't be restored.`)
+    ) {
+      this._dispatch('trash-purge', [item.event.id]);
+    }
+  }
+
+  handleEmpty() {
+    if (this.items.length === 0) return;
+
+    if (
+      !confirm(
+        `Delete the ${this.items.length} events in the trash for good? They can't be restored.`,
+      )
+    ) {
+      return;
+    }
+    this._dispatch(
+      'trash-purge',
+      this.items.map((item) => item.event.id),
+    );
+  }
+
+  /**
+   * Ask the app to act on events in the trash
+   * @param {string} type - Event name, `trash-restore` or `trash-purge`
+   * @param {Array<string>} eventIds - IDs of the deleted events
+   * @private
+   */
+  _dispatch(type, eventIds) {
+    this.dispatchEvent(
+      new CustomEvent(type, {
+        detail: { eventIds },
+        bubbles: true,
+        composed: true,
+      }),
+    );
+  }
+
+  /**
+   * Format the days a deleted event covered
+   * @param {Object} event - Deleted event with Date fields
+   * @returns {string}
+   * @private
+   */
+  _formatDates({ startDate, endDate }) {
+    const start = this._formatDay(startDate);
+    const end = this._formatDay(endDate);
+    return start === end ? start : `${start} – ${end}`;
+  }
+
+  /**
+   * Format a day
+   * @param {Date} date - The day
+   * @returns {string}
+   * @private
+   */
+  _formatDay(date) {
+    return date.toLocaleDateString(undefined, { dateStyle: 'medium' });
+  }
+
+  /**
+   * Format the time an event was deleted
+   * @param {string} deletedAt - ISO time
+   * @returns {string}
+   * @private
+   */
+  _formatTime(deletedAt) {
+    return new Date(deletedAt).toLocaleString(undefined, {
+      dateStyle: 'medium',
+      timeStyle: 'short',
+    });
+  }
+
+  render() {
+    this.shadowRoot.innerHTML = `
+      <style>
+        :host {
+          --primary-color: #4682B4;
+          --danger-color: #f44336;
+          --light-gray: #f8f9fa;
+          --dark-gray: #343a40;
+          --border-color: #ced4da;
+        }
+
+        .modal-container {
+          position: fixed;
+          top: 0;
+          left: 0;
+          width: 100%;
+          height: 100%;
+          background-color: rgba(0, 0, 0, 0.5);
+          display: flex;
+          align-items: center;
+          justify-content: center;
+          z-index: 1000;
+          opacity: 0;
+          visibility: hidden;
+          transition: opacity 0.3s, visibility 0.3s;
+        }
+
+        .modal-container.visible {
+          opacity: 1;
+          visibility: visible;
+        }
+
+        .modal-content {
+          background-color: white;
+          border-radius: 5px;
+          width: 90%;
+          max-width: 560px;
+          max-height: 90vh;
+          display: flex;
+          flex-direction: column;
+          box-shadow: 0 4px 6px rgba(0, 0, 0, 0.1);
+        }
+
+        .modal-header,
+        .modal-body,
+        .modal-footer {
+          padding: 15px;
+        }
+
+        .modal-header {
+          border-bottom: 1px solid var(--border-color);
+        }
+
+        .modal-header h2 {
+          margin: 0;
+          font-size: 1.25rem;
+        }
+
+        .modal-body {
+          overflow-y: auto;
+        }
+
+        .message {
+          margin-top: 0;
+        }
+
+        .trash-list {
+          list-style: none;
+          margin: 0;
+          padding: 0;
+          border: 1px solid var(--border-color);
+          border-radius: 4px;
+        }
+
+        .trash-item {
+          display: flex;
+          align-items: center;
+          gap: 8px;
+          padding: 8px;
+        }
+
+        .trash-item + .trash-item {
+          border-top: 1px solid var(--border-color);
+        }
+
+        .details {
+          flex: 1;
+          min-width: 0;
+        }
+
+        .title {
+          display: block;
+          font-weight: bold;
+          overflow-wrap: anywhere;
+        }
+
+        .hint {
+          display: block;
+          font-size: 0.85rem;
+          color: #6c757d;
+        }
+
+        .modal-footer {
+          border-top: 1px solid var(--border-color);
+          display: flex;
+          justify-content: space-between;
+          gap: 8px;
+        }
+
+        button {
+          padding: 8px 16px;
+          border: none;
+          border-radius: 4px;
+          cursor: pointer;
+          font-weight: bold;
+        }
+
+        .trash-item button {
+          padding: 6px 12px;
+        }
+
+        button:disabled {
+          opacity: 0.6;
+          cursor: default;
+        }
+
+        .close-btn {
+          background-color: var(--light-gray);
+          color: var(--dark-gray);
+        }
+
+        .restore-btn {
+          background-color: var(--primary-color);
+          color: white;
+        }
+
+        .purge-btn,
+        .empty-btn {
+          background-color: var(--light-gray);
+          color: var(--danger-color);
+        }
+      </style>
+
+      <div class="modal-container">
+        <div class="modal-content" role="dialog" aria-labelledby="trash-title">
+          <div class="modal-header">
+            <h2 id="trash-title">Trash</h2>
+          </div>
+
+          <div class="modal-body">
+            <p class="message"></p>
+            <p class="empty-message" hidden>The trash is empty.</p>
+            <ul id="trash-list" class="trash-list"></ul>
+          </div>
+
+          <div class="modal-footer">
+            <button type="button" class="empty-btn">Empty trash</button>
+            <button type="button" class="close-btn">Close</button>
+          </div>
+        </div>
+      </div>
+    `;
+  }
+}
+
+customElements.define('trash-modal', TrashModal);
+
+export default TrashModal;
@@ -173,9 +173,25 @@ export default class UserManualModal extends HTMLElement {
               <ul class="feature-list">
                 <li>Annual calendar view showing all 12 months</li>
                 <li>Create, edit, and delete events</li>
-                <li>Support for multi-day events</li>
-                <li>Recurring events (weekly, monthly, annual)</li>
-                <li>Export and import data</li>
+                <li>Drag events to reschedule or resize them</li>
+                <li>Support for multi-day events, including events that cross into the next year</li>
+                <li>"+N more" badges for busy days, listing events that don't fit</li>
+                <li>Recurring events (weekly, monthly, annual or a custom RRULE)</li>
+                <li>Color-coded event categories with a legend</li>
+                <li>Calendars that can be shown, hidden, locked and exported one at a time</li>
+                <li>Team view with a row per person and overlapping absences marked</li>
+                <li>Weekday-aligned, day-of-month or single-row timeline layouts</li>
+                <li>Fiscal, academic or rolling 12-month years</li>
+                <li>Weeks starting on Monday, Sunday or Saturday, with optional ISO week numbers</li>
+                <li>Built-in public holidays for several countries and regions at once</li>
+                <li>Undo and redo for every change</li>
+                <li>Export and import data (JSON or iCalendar .ics)</li>
+                <li>CSV export and import with column mapping</li>
+                <li>Import preview with merge, keep-both and replace strategies</li>
+                <li>Changes shown in all open tabs at once</li>
+                <li>Read-only share links, no server needed</li>
+                <li>Optional passphrase protection of stored data and exports</li>
+                <li>One planner shared by a team through the planner server</li>
                 <li>Export to PDF</li>
                 <li>Works offline (data stored in your browser)</li>
               </ul>
@@ -200,7 +216,10 @@ export default class UserManualModal extends HTMLElement {
               </ol>
 
               <div class="tip">
-                <strong>Tip:</strong> You can create events that span multiple days by setting different start and end dates.
+                <strong>Tip:</strong> You can create events that span multiple days by setting different start and end dates,
+                or by selecting the days on the calendar: press on the first day and drag to the last (on touch screens, press and hold first),
+                or hold <strong>Shift</strong> and use the arrow keys from a focused day. The editor opens with both dates filled in.
+                Events may also cross New Year, e.g. a holiday from December 22 to January 4. They appear in both years, marked « where they continue from the previous year and » where they continue into the next.
               </div>
             </div>
 
@@ -257,6 +276,18 @@ export default class UserManualModal extends HTMLElement {
                 <li>Click <strong>Save</strong> to update the event</li>
               </ol>
 
+              <h3>Hidden Events</h3>
+              <p>Each day has room for five events. When more overlap, the extra events are hidden and the day shows a
+                <strong>+N more</strong> badge. Click the badge to list the hidden events, then click one to edit it.
+                Press <strong>Escape</strong> or click elsewhere to close the list.</p>
+
+              <h3>Rescheduling Events</h3>
+              <p>Drag an event to new dates to move it; it keeps its length. Drag the first or last edge of an event to change only its start or end.
+                Positions snap to half-days: the right half of a day starts the event in the afternoon (◑), the left half ends it in the morning (◐).
+                On touch screens, press and hold the event before dragging. Press <strong>Escape</strong> to cancel a drag.</p>
+              <p>When you drag an occurrence of a recurring event, you are asked whether to move only this occurrence,
+                this and the following occurrences, or all occurrences.</p>
+
               <h3>Deleting Events</h3>
               <p>To delete an event:</p>
               <ol>
@@ -264,6 +295,9 @@ export default class UserManualModal extends HTMLElement {
                 <li>Click the <strong>Delete</strong> button in the event modal</li>
                 <li>Confirm the deletion when prompted</li>
               </ol>
+
+              <h3>Undo and Redo</h3>
+              <p>Every change can be undone with the <strong>↶ Undo</strong> button or <strong>Ctrl+Z</strong> (⌘Z on a Mac), and redone with <strong>↷ Redo</strong> or <strong>Ctrl+Shift+Z</strong>. This covers saving, deleting, category changes, imports and resets. Hover over a button to see which change it applies to. The last 50 changes are kept, even after reloading the page.</p>
             </div>
 
             <div class="manual-section">
@@ -272,11 +306,58 @@ export default class UserManualModal extends HTMLElement {
               <ol>
                 <li>Create or edit an event</li>
                 <li>Check the <strong>Recurring</strong> checkbox</li>
-                <li>Select a recurrence pattern (Weekly, Monthly, or Annual)</li>
-                <li>Configure the pattern options</li>
+                <li>Select a recurrence pattern (Weekly, Monthly, Annual, or Custom rule)</li>
+                <li>Configure the pattern options: repeat every N weeks/months/years, the weekdays for weekly events, and when the series ends</li>
+                <li>For a custom rule, enter an RRULE such as <code>FREQ=MONTHLY;BYDAY=2TU</code> (2nd Tuesday of each month) or <code>FREQ=MONTHLY;BYDAY=-1FR</code> (last Friday)</li>
                 <li>Save the event</li>
               </ol>
               <p>Recurring events will be displayed with a special indicator and will automatically appear on all relevant dates.</p>
+              <p>Clicking one occurrence lets you choose whether an edit or deletion applies to <strong>this occurrence</strong> only, to <strong>this and following occurrences</strong>, or to <strong>all occurrences</strong>. Use this to skip a single date (for example a standup on a public holiday) or to move or rename one occurrence.</p>
+            </div>
+
+            <div class="manual-section">
+              <h2>Calendars</h2>
+              <p>Every event belongs to a calendar, such as Personal, Team, Company or School holidays. Pick it in the event editor; the calendar's color appears as a stripe on the event's right edge.</p>
+              <ul>
+                <li><strong>Show or hide</strong>: untick a calendar in the row above the legend to hide its events, and tick it again to bring them back</li>
+                <li><strong>Manage</strong>: click <strong>Calendars</strong> to add, rename, recolor or remove calendars. Removing a calendar deletes its events; the Personal calendar can't be removed</li>
+                <li><strong>Read-only</strong>: tick 🔒 Read-only in the calendar manager to lock a calendar. Its events can still be viewed but not edited, moved or deleted</li>
+              </ul>
+            </div>
+
+            <div class="manual-section">
+              <h2>Team View</h2>
+              <p>Use the team view to check holiday coverage across a team:</p>
+              <ol>
+                <li>Enter the person an event is for in the <strong>Assignee</strong> field of the event editor. Names you've used before are suggested</li>
+                <li>Click <strong>Team view</strong> to give every assignee their own row in each month. Holidays and events without an assignee share the <strong>Everyone</strong> row at the top</li>
+                <li>Look for days with a red bar along the top: two or more people are away then. Hover over the day to see who</li>
+              </ol>
+              <p>When you save an event that overlaps someone else's, the confirmation tells you who else is away. Absences are compared by half-days, so a morning off and an afternoon off don't overlap. Click <strong>Team view</strong> again to return to the normal view.</p>
+            </div>
+
+            <div class="manual-section">
+              <h2>Layouts</h2>
+              <p>Pick a layout from the list next to <strong>Team view</strong>:</p>
+              <ul>
+                <li><strong>Weekday columns</strong>: one row per month with the days under their weekday, so every Monday is in the same column</li>
+                <li><strong>Day of month</strong>: one row per month starting with the 1st, so the same date lines up in every month</li>
+                <li><strong>Timeline</strong>: the whole year in a single row that scrolls sideways. Events spanning months are drawn as one bar, and the up and down arrow keys move a week at a time</li>
+              </ul>
+              <p>Your choice is remembered, and PDF exports use the layout you're looking at.</p>
+            </div>
+
+            <div class="manual-section">
+              <h2>Settings</h2>
+              <p>Click the <strong>Settings</strong> button to change how the calendar is laid out:</p>
+              <ul>
+                <li><strong>First day of the week</strong>: start weeks on Monday, Sunday or Saturday. The weekday headers, the grid and PDF exports all follow this setting.</li>
+                <li><strong>Year starts in</strong>: the month the grid starts with, such as April or July for a fiscal year or September for an academic year. Years are then shown as "2025–26" and run to the month before the start month; events are loaded from both calendar years. Pick <strong>This month</strong> to always see the next 12 months. Export and import still work on calendar years.</li>
+                <li><strong>Show ISO week numbers</strong>: add a row of ISO-8601 week numbers (W1–W53) under each month. If your week doesn't start on Monday, each week shows the number of the ISO week its Monday falls in.</li>
+                <li><strong>Public holidays</strong>: tick a country (United States, United Kingdom, Germany) for its nationwide holidays, or one of its regions to add the region's own. Tick several to see the holidays of a distributed team; each holiday is then labelled with where it applies, such as "Christmas Day (US, GB-ENG)".</li>
+              </ul>
+              <p>Built-in holidays are calculated, not saved: they can't be edited, moved or deleted, and aren't included in exports. When one falls on a weekend, the weekday it is observed on is shown too, marked "(observed)".</p>
+              <p>Settings are remembered in this browser and are kept when you reset the calendar.</p>
             </div>
 
             <div class="manual-section">
@@ -287,14 +368,51 @@ export default class UserManualModal extends HTMLElement {
                 <li>Click the <strong>Export Data</strong> button</li>
                 <li>The data will be downloaded as a JSON file</li>
               </ol>
+              <p>To use your events in another calendar tool, click <strong>Export ICS</strong> instead. The year's events are downloaded as an iCalendar (.ics) file of all-day events, including recurrence rules and categories.</p>
+              <p>To open your events in a spreadsheet, click <strong>Export CSV</strong>: each event becomes a row with its title, dates, flags, recurrence rule, category and assignee.</p>
 
               <h3>Importing Data</h3>
               <p>To import calendar data:</p>
               <ol>
                 <li>Click the <strong>Import Data</strong> button</li>
-                <li>Select a previously exported JSON file</li>
-                <li>The data will be imported and merged with your existing calendar</li>
+                <li>Select a previously exported JSON file, an iCalendar (.ics) file, or a CSV file</li>
+                <li>For a CSV file, choose the column holding each field and check the date format against the preview of the first rows. Columns are matched by name and the date format is detected where the dates allow it</li>
+                <li>For a JSON file, check the preview: it lists the new events, the changed ones, the ones you edited here since the file was saved, and records that can't be imported with the reason</li>
+                <li>Choose how to import and click <strong>Import</strong>:
+                  <ul>
+                    <li><strong>Merge by ID</strong> adds new events and updates changed ones, but keeps events you edited more recently</li>
+                    <li><strong>Keep both</strong> adds new events, and adds changed ones as copies next to yours</li>
+                    <li><strong>Replace years</strong> makes each year in the file match it, deleting events the file doesn't have</li>
+                  </ul>
+                </li>
               </ol>
+              <p>Nothing is written until you click <strong>Import</strong>, and the whole import can be undone.</p>
+              <p>The list next to <strong>Export Data</strong> chooses which calendar the export and import buttons work on. With one calendar chosen, exports contain only its events, and imports go into that calendar, touching only its events for the imported years. Choose <strong>All calendars</strong> to export or import everything.</p>
+              <p>Calendar entries that the planner can't represent, such as hourly recurrences, are skipped and listed in the message shown after the import.</p>
+              <p>JSON files exported by older versions of the planner are upgraded as they are imported. Details added by newer versions are kept, even where this version doesn't show them.</p>
+
+              <h3>Sharing a Planner</h3>
+              <p>A team can share one planner through the planner server, started with <code>node js/serve.js</code> on a machine everyone can reach. Open the planner from that server, click <strong>Settings</strong> and set <strong>Keep the planner</strong> to <strong>On the planner server</strong>. Events, categories and calendars are then shared; your display settings and undo history stay your own.</p>
+              <p>If someone else changed an event since you loaded it, your change isn't saved. Their version is shown instead, so you can make your change again. Events aren't copied when you switch between this browser and the server; export them from one and import them into the other.</p>
+
+              <h3>Sharing a Link</h3>
+              <p>Click <strong>Share</strong> to copy a link to the current year's events. With a calendar chosen next to <strong>Export Data</strong>, only that calendar's events are shared; with <strong>All calendars</strong>, the events of the calendars shown are. The events are stored in the link itself, so anyone who has the link can see them, and nothing is uploaded.</p>
+              <p>Opening the link shows the plan read-only: events can't be edited or dragged. Click <strong>Import into my planner</strong> to preview adding the events to your own planner, together with any categories and calendars you don't have yet, or <strong>Open my planner</strong> to go back to yours.</p>
+
+              <h3>Protecting Your Planner with a Passphrase</h3>
+              <p>Click <strong>Settings</strong>, then <strong>Protect with a passphrase…</strong>, and choose a passphrase of at least 8 characters. Your events, categories and settings are then stored encrypted in this browser, and the planner asks for the passphrase each time it opens. JSON exports are encrypted too and need the passphrase to be imported; iCalendar and CSV exports stay readable by other apps.</p>
+              <p>Nobody can recover a forgotten passphrase. The unlock screen can only erase the planner so you can start over. To choose a new passphrase, or to store your data as plain text again, click <strong>Change passphrase or turn off…</strong> in Settings. A planner kept on the planner server can't be protected this way.</p>
+
+              <h3>Restoring Deleted Events</h3>
+              <p>Deleting an event moves it to the trash. A deleted recurring event keeps its repeats, with the occurrences you skipped or changed. Click <strong>Trash</strong> to see the deleted events, then <strong>Restore</strong> to put one back or <strong>Delete</strong> to delete it for good; <strong>Empty trash</strong> deletes them all.</p>
+              <p>Deleted events are kept for 30 days, then deleted for good. To keep them for 7, 90 or 365 days instead, change <strong>Keep deleted events for</strong> in <strong>Settings</strong>.</p>
+
+              <h3>Restoring a Snapshot</h3>
+              <p>The planner takes a snapshot of your events, categories and calendars the first time you open it each day, and before every import, reset and restore. It keeps the last seven daily snapshots, the last five taken before imports, and the last three of the others.</p>
+              <p>Click <strong>Restore</strong> to see them. Each snapshot shows how many events it has and what restoring it would bring back, undo or delete. Pick one, choose <strong>Everything</strong> or a single year, and click <strong>Restore</strong>. The events you had before are kept in a new snapshot, so a restore can be undone too. A planner kept on the planner server has no snapshots.</p>
+
+              <h3>Using Several Tabs</h3>
+              <p>When the planner is open in more than one tab or window, changes saved in one of them appear in the others straight away. If an event you have open in the editor is changed or deleted in another tab, a warning appears at the top of the editor. Saving would replace the other tab's changes, so cancel and reopen the event to see them first.</p>
 
               <h3>Exporting to PDF</h3>
               <p>To create a PDF of your calendar:</p>
@@ -310,7 +428,7 @@ export default class UserManualModal extends HTMLElement {
                 <li>Confirm the reset when prompted</li>
               </ol>
               <div class="tip">
-                <strong>Warning:</strong> Resetting the calendar will permanently delete all your events. Consider exporting your data before resetting.
+                <strong>Warning:</strong> Resetting the calendar deletes the events of every year. You can bring them back with <strong>Undo</strong> or from the snapshot taken before the reset with <strong>Restore</strong>, but consider exporting your data before resetting.
               </div>
             </div>
 
@@ -319,7 +437,7 @@ export default class UserManualModal extends HTMLElement {
               <h3>Data Not Saving</h3>
               <p>If your events aren't being saved:</p>
               <ul>
-                <li>Make sure your browser allows local storage</li>
+                <li>Make sure your browser allows site data (IndexedDB or local storage)</li>
                 <li>Try using a different browser</li>
                 <li>Export your data regularly as a backup</li>
               </ul>
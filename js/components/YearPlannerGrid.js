@@ -1,4 +1,52 @@
 import { EventPositionCalculator } from '../services/EventPositionCalculator.js';
+import { TeamCoverageCalculator } from '../services/TeamCoverageCalculator.js';
+import {
+  TIMING,
+  TIME,
+  PREFERENCES,
+  LAYOUTS,
+  getDayNames,
+  jsToAppDay,
+  appToJsDay,
+} from '../config.js';
+import {
+  getHalfDay,
+  toHalfDays,
+  fromHalfDays,
+  getISOWeek,
+  formatDateOnly,
+  getPlannerWindow,
+  formatPlannerYear,
+} from '../utils/DateUtils.js';
+
+/** Distance in pixels a touch may drift before it counts as a scroll rather than a long press */
+const TOUCH_MOVE_TOLERANCE = 10;
+
+/** Distance in pixels a mouse must move before pressing an event starts dragging it */
+const DRAG_THRESHOLD = 4;
+
+/** Height in pixels of a swim lane, and the space above the first one for the day number */
+const LANE_HEIGHT = 16;
+const LANE_TOP = 20;
+
+/** Label of the team view lane shared by holidays and unassigned events */
+const SHARED_LANE_LABEL = 'Everyone';
+
+/** Day offsets for moving along a month row with the arrow keys */
+const HORIZONTAL_ARROW_STEPS = { ArrowLeft: -1, ArrowRight: 1 };
+
+/** Abbreviated month names for the row and timeline headers */
+const MONTH_LABELS = [
+  'Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun',
+  'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec',
+];
+
+/** Day columns of the weekday and day-aligned layouts */
+const WEEKDAY_COLUMNS = 37;
+const DAY_ALIGNED_COLUMNS = 31;
+
+/** Month offsets for moving between month rows with the arrow keys */
+const VERTICAL_ARROW_STEPS = { ArrowUp: -1, ArrowDown: 1 };
 
 export class YearPlannerGrid extends HTMLElement {
   constructor() {
@@ -7,8 +55,28 @@ export class YearPlannerGrid extends HTMLElement {
     this._year = new Date().getFullYear();
     this._events = [];
     this._layoutEvents = [];
-    this._positionCalculator = new EventPositionCalculator();
+    this._categories = new Map();
+    this._calendars = new Map();
+    this._weekStart = PREFERENCES.DEFAULTS.weekStart;
+    this._showWeekNumbers = PREFERENCES.DEFAULTS.showWeekNumbers;
+    this._teamMembers = null;
+    this._layout = PREFERENCES.DEFAULTS.layout;
+    this._startMonth = PREFERENCES.DEFAULTS.yearStart;
+    this._coverageCalculator = new TeamCoverageCalculator();
+    this._positionCalculator = new EventPositionCalculator({
+      weekStart: this._weekStart,
+      layout: this._layout,
+    });
+    this._rangeSelection = null;
+    this._suppressDayClick = false;
+    this._keyboardDate = null;
+    this._eventDrag = null;
+    this._suppressEventClick = false;
+    this._morePopoverBadge = null;
     this._initShadowDom();
+    this._setupRangeSelection();
+    this._setupEventDragging();
+    this._setupMorePopover();
   }
 
   // Lifecycle callbacks
@@ -20,6 +88,9 @@ export class YearPlannerGrid extends HTMLElement {
 
   disconnectedCallback() {
     this._cleanupScrollRepaintHandler();
+    this._cancelRangeSelection();
+    this._cancelEventDrag();
+    this._closeMorePopover();
   }
 
   // Public properties
@@ -49,6 +120,118 @@ export class YearPlannerGrid extends HTMLElement {
     return this._events;
   }
 
+  /**
+   * Categories used to color event bars
+   * @param {Array<{id: string, name: string, color: string, icon: string}>} value - Category list
+   */
+  set categories(value) {
+    this._categories = new Map((value || []).map((c) => [c.id, c]));
+    this._scheduleRender();
+  }
+
+  get categories() {
+    return Array.from(this._categories.values());
+  }
+
+  set calendars(value) {
+    this._calendars = new Map((value || []).map((c) => [c.id, c]));
+    this._scheduleRender();
+  }
+
+  get calendars() {
+    return Array.from(this._calendars.values());
+  }
+
+  /**
+   * First day of the week, as a Date.getDay() value (0=Sunday, 1=Monday, 6=Saturday)
+   * @param {number} value - First day of the week
+   */
+  set weekStart(value) {
+    const weekStart = parseInt(value, 10);
+    if (this._weekStart !== weekStart) {
+      this._weekStart = weekStart;
+      this._positionCalculator.setWeekStart(weekStart);
+      this._recalculateLayout();
+      this._scheduleRender();
+    }
+  }
+
+  get weekStart() {
+    return this._weekStart;
+  }
+
+  /**
+   * Whether to show an ISO-8601 week number row under each month
+   * @param {boolean} value - True to show week numbers
+   */
+  set showWeekNumbers(value) {
+    if (this._showWeekNumbers !== Boolean(value)) {
+      this._showWeekNumbers = Boolean(value);
+      this._scheduleRender();
+    }
+  }
+
+  get showWeekNumbers() {
+    return this._showWeekNumbers;
+  }
+
+  /**
+   * People shown in the team view, each with a sub-row in every month, or
+   * null for the normal view
+   * @param {Array<string>|null} value - Team members in row order
+   */
+  set teamMembers(value) {
+    const teamMembers = value ? [...value] : null;
+    if (JSON.stringify(this._teamMembers) !== JSON.stringify(teamMembers)) {
+      this._teamMembers = teamMembers;
+      this._positionCalculator.setTeamMembers(teamMembers);
+      this._recalculateLayout();
+      this._scheduleRender();
+    }
+  }
+
+  get teamMembers() {
+    return this._teamMembers;
+  }
+
+  /**
+   * How the year is laid out: month rows in weekday columns, month rows
+   * starting on the 1st, or a single timeline row
+   * @param {string} value - One of LAYOUTS
+   */
+  set layout(value) {
+    const layout = Object.values(LAYOUTS).includes(value) ? value : LAYOUTS.WEEKDAY;
+    if (this._layout !== layout) {
+      this._layout = layout;
+      this._positionCalculator.setLayout(layout);
+      this._recalculateLayout();
+      this._scheduleRender();
+    }
+  }
+
+  get layout() {
+    return this._layout;
+  }
+
+  /**
+   * Month the planner year starts in. The rows run from it to the month
+   * before it in the next calendar year, as in an April–March fiscal year.
+   * @param {number} value - Month index (0-11)
+   */
+  set startMonth(value) {
+    const startMonth = parseInt(value, 10) || 0;
+    if (this._startMonth !== startMonth) {
+      this._startMonth = startMonth;
+      this._positionCalculator.setStartMonth(startMonth);
+      this._recalculateLayout();
+      this._scheduleRender();
+    }
+  }
+
+  get startMonth() {
+    return this._startMonth;
+  }
+
   /**
    * Update year and events in a single batch operation to prevent double rendering.
    * This is the preferred method when both values need to change.
@@ -94,8 +277,8 @@ export class YearPlannerGrid extends HTMLElement {
         .year-grid {
           display: grid;
           /* Use fixed width columns for days to ensure equal sizing - first column is month names */
-          grid-template-columns: 3.75em repeat(37, minmax(20px, 1fr));
-          grid-template-rows: 40px repeat(12, 80px);
+          grid-template-columns: 3.75em repeat(var(--day-columns, 37), minmax(20px, 1fr));
+          grid-template-rows: 40px repeat(var(--month-rows, 12), 80px);
           gap: 1px;
           background-color: #e0e0e0;
           border: 1px solid #e0e0e0;
@@ -139,6 +322,19 @@ export class YearPlannerGrid extends HTMLElement {
           overflow: visible;
           /* Create stacking context for proper z-index handling without compositor layer issues */
           isolation: isolate;
+          /* Dragging across days selects a range, not the day numbers */
+          user-select: none;
+          -webkit-user-select: none;
+          -webkit-touch-callout: none;
+        }
+
+        .day-cell:focus {
+          outline: none;
+        }
+
+        .day-cell:focus-visible {
+          outline: 2px solid #4682B4;
+          outline-offset: -2px;
         }
 
         .day-cell.weekend {
@@ -167,6 +363,209 @@ export class YearPlannerGrid extends HTMLElement {
           background-color: #d9f2ff;
         }
 
+        /* Days covered by a drag or Shift+arrow selection */
+        .day-cell.range-selected,
+        .day-cell.range-selected:hover {
+          background-color: #cce5ff;
+          box-shadow: inset 0 0 0 1px #4682B4;
+        }
+
+        /* Let the pointer reach the day cells under events while selecting */
+        .year-grid.selecting .event,
+        .year-grid.selecting .event-segment {
+          pointer-events: none;
+        }
+
+        /* Days an event being dragged will cover when dropped */
+        .day-cell.drop-preview,
+        .day-cell.drop-preview:hover {
+          background-color: #e3f2fd;
+          box-shadow: inset 0 0 0 2px #2196f3;
+        }
+
+        /* Half-days at the edges of the drop target */
+        .day-cell.drop-preview.drop-preview-pm {
+          background-image: linear-gradient(to right, #fff 50%, transparent 50%);
+        }
+
+        .day-cell.drop-preview.drop-preview-am {
+          background-image: linear-gradient(to left, #fff 50%, transparent 50%);
+        }
+
+        .event.dragging,
+        .event-segment.dragging {
+          opacity: 0.4;
+        }
+
+        /* Edges of an event that can be dragged to change its dates */
+        .resize-handle {
+          position: absolute;
+          top: 0;
+          bottom: 0;
+          width: 6px;
+          cursor: ew-resize;
+          z-index: 1;
+        }
+
+        .resize-handle.resize-start {
+          left: 0;
+        }
+
+        .resize-handle.resize-end {
+          right: 0;
+        }
+
+        /* Count of events hidden because the day has no free swim lane */
+        .more-badge {
+          position: absolute;
+          top: 2px;
+          left: 2px;
+          z-index: 101;
+          padding: 0 3px;
+          border: none;
+          border-radius: 3px;
+          background-color: #343a40;
+          color: white;
+          font: inherit;
+          font-size: 0.6em;
+          line-height: 1.5;
+          white-space: nowrap;
+          cursor: pointer;
+        }
+
+        .more-badge:hover,
+        .more-badge:focus-visible {
+          background-color: #4682B4;
+        }
+
+        .more-popover {
+          position: fixed;
+          z-index: 1000;
+          min-width: 180px;
+          max-width: 280px;
+          max-height: 240px;
+          overflow-y: auto;
+          padding: 8px;
+          background-color: white;
+          border: 1px solid #ced4da;
+          border-radius: 5px;
+          box-shadow: 0 4px 6px rgba(0, 0, 0, 0.1);
+          font-size: 0.85em;
+        }
+
+        .more-popover[hidden] {
+          display: none;
+        }
+
+        .more-popover-title {
+          font-weight: bold;
+          margin-bottom: 6px;
+        }
+
+        .more-popover-list {
+          list-style: none;
+          margin: 0;
+          padding: 0;
+        }
+
+        .more-popover-item {
+          display: block;
+          width: 100%;
+          margin-bottom: 4px;
+          padding: 4px 6px;
+          border: none;
+          border-left: 4px solid #4682B4;
+          border-radius: 3px;
+          background-color: #f8f9fa;
+          font: inherit;
+          text-align: left;
+          cursor: pointer;
+        }
+
+        .more-popover-item:hover,
+        .more-popover-item:focus-visible {
+          background-color: #e3f2fd;
+        }
+
+        .more-popover-dates {
+          display: block;
+          font-size: 0.85em;
+          color: #555;
+        }
+
+        /* Each month row is followed by a row of ISO week numbers */
+        .year-grid.with-week-numbers {
+          grid-template-rows: 40px repeat(var(--month-rows, 12), 80px 16px);
+        }
+
+        /* Team view: month rows grow to one sub-row per person */
+        .year-grid.team-view {
+          grid-template-columns: 7em repeat(var(--day-columns, 37), minmax(20px, 1fr));
+          grid-template-rows: 40px repeat(var(--month-rows, 12), var(--team-row-height, 80px));
+        }
+
+        .year-grid.team-view.with-week-numbers {
+          grid-template-rows: 40px repeat(var(--month-rows, 12), var(--team-row-height, 80px) 16px);
+        }
+
+        /* Timeline: one row of fixed-width days that scrolls sideways */
+        .year-grid.layout-timeline {
+          grid-template-columns: 3.75em repeat(var(--day-columns), 28px);
+          overflow-x: auto;
+        }
+
+        .year-grid.team-view.layout-timeline {
+          grid-template-columns: 7em repeat(var(--day-columns), 28px);
+        }
+
+        .month-header {
+          font-weight: bold;
+          text-align: left;
+        }
+
+        .day-cell.month-start {
+          box-shadow: inset 2px 0 0 #b0b0b0;
+        }
+
+        .year-grid.team-view .month-cell {
+          align-items: flex-start;
+        }
+
+        .team-lane-label {
+          position: absolute;
+          left: 4px;
+          right: 2px;
+          height: 16px;
+          line-height: 16px;
+          font-size: 0.7em;
+          font-weight: normal;
+          color: #555;
+          white-space: nowrap;
+          overflow: hidden;
+          text-overflow: ellipsis;
+          border-top: 1px dotted #ddd;
+        }
+
+        /* Days on which several team members are away */
+        .day-cell.coverage-warning::before {
+          content: '';
+          position: absolute;
+          top: 0;
+          left: 0;
+          right: 0;
+          height: 3px;
+          background-color: #e53935;
+        }
+
+        .week-number-cell {
+          display: flex;
+          align-items: center;
+          padding: 0 4px;
+          background-color: #f5f5f5;
+          font-size: 0.65em;
+          color: #555;
+        }
+
         .day-number {
           position: absolute;
           top: 2px;
@@ -309,6 +708,30 @@ export class YearPlannerGrid extends HTMLElement {
           text-shadow: 0 0 2px rgba(255,255,255,0.8);
         }
 
+        /* Year boundary indicators */
+        .continues-from-previous-year {
+          border-top-left-radius: 0;
+          border-bottom-left-radius: 0;
+        }
+
+        .continues-into-next-year {
+          border-top-right-radius: 0;
+          border-bottom-right-radius: 0;
+        }
+
+        .year-continuation {
+          font-weight: bold;
+          margin: 0 2px;
+          opacity: 0.8;
+        }
+
+        /* Right edge in the color of the event's calendar */
+        .event.in-calendar,
+        .event-segment.in-calendar {
+          border-right-width: 3px;
+          border-right-style: solid;
+        }
+
         /* Month boundary indicators - new */
         .event-segment.month-boundary-start {
           border-left-width: 3px;
@@ -335,6 +758,10 @@ export class YearPlannerGrid extends HTMLElement {
           z-index: 19;
         }
 
+        .category-icon {
+          margin-right: 3px;
+        }
+
         .event-date-range {
           font-size: 0.9em;
           color: rgba(0,0,0,0.6);
@@ -391,16 +818,45 @@ export class YearPlannerGrid extends HTMLElement {
         }
       </style>
       <div class="year-grid" id="grid" part="year-grid"></div>
+      <div class="more-popover" role="dialog" hidden>
+        <div class="more-popover-title"></div>
+        <ul class="more-popover-list"></ul>
+      </div>
     `;
   }
 
   _render() {
     const grid = this.shadowRoot.getElementById('grid');
+    this._closeMorePopover();
     grid.innerHTML = '';
+    grid.classList.toggle('with-week-numbers', this._showWeekNumbers);
+    grid.classList.toggle('team-view', Boolean(this._teamMembers));
+    Object.values(LAYOUTS).forEach((layout) => {
+      grid.classList.toggle(`layout-${layout}`, this._layout === layout);
+    });
+    grid.style.setProperty('--day-columns', this._getDayColumns());
+    grid.style.setProperty(
+      '--month-rows',
+      this._layout === LAYOUTS.TIMELINE ? 1 : 12,
+    );
+    if (this._teamMembers) {
+      // Tall enough for the shared lane and one lane per person
+      const lanes = this._teamMembers.length + 1;
+      grid.style.setProperty(
+        '--team-row-height',
+        `${LANE_TOP + lanes * LANE_HEIGHT + 4}px`,
+      );
+    }
+    grid.setAttribute(
+      'part',
+      this._showWeekNumbers ? 'year-grid year-grid-week-numbers' : 'year-grid',
+    );
 
     this._renderHeaders(grid);
     this._renderDayCells(grid);
     this._renderEvents(grid);
+    this._updateRangeHighlight();
+    this._updateDragPreview();
   }
 
   _renderHeaders(grid) {
@@ -410,15 +866,39 @@ export class YearPlannerGrid extends HTMLElement {
     yearCell.setAttribute('part', 'header-cell');
     yearCell.innerHTML = `
       <div class="year-selector">
-        <span class="year-value">${this._year}</span>
+        <span class="year-value">${formatPlannerYear(this._year, this._startMonth)}</span>
       </div>
     `;
     grid.appendChild(yearCell);
 
+    if (this._layout === LAYOUTS.DAY_ALIGNED) {
+      for (let day = 1; day <= DAY_ALIGNED_COLUMNS; day++) {
+        const dayHeader = document.createElement('div');
+        dayHeader.className = 'header-cell';
+        dayHeader.setAttribute('part', 'header-cell');
+        dayHeader.textContent = day;
+        grid.appendChild(dayHeader);
+      }
+      return;
+    }
+
+    if (this._layout === LAYOUTS.TIMELINE) {
+      // One header per month, spanning its days
+      this._getMonths().forEach((month) => {
+        const monthHeader = document.createElement('div');
+        monthHeader.className = 'header-cell month-header';
+        monthHeader.setAttribute('part', 'header-cell month-header');
+        monthHeader.style.gridColumn = `span ${new Date(this._getMonthYear(month), month + 1, 0).getDate()}`;
+        monthHeader.textContent = MONTH_LABELS[month];
+        grid.appendChild(monthHeader);
+      });
+      return;
+    }
+
     // Weekday headers (all 37 columns - 5 weeks + 2 extra days)
-    const weekdays = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+    const weekdays = getDayNames(this._weekStart);
     // Calculate total number of columns needed (5 weeks + 2 extra days = 37 columns)
-    const totalDaysToRender = 37;
+    const totalDaysToRender = WEEKDAY_COLUMNS;
 
     for (let i = 0; i < totalDaysToRender; i++) {
       const dayIndex = i % 7; // Get day of week (0-6)
@@ -427,7 +907,8 @@ export class YearPlannerGrid extends HTMLElement {
       dayHeader.setAttribute('part', 'header-cell');
 
       // Add weekend class for Saturday and Sunday
-      if (dayIndex === 5 || dayIndex === 6) {
+      const jsDay = appToJsDay(dayIndex, this._weekStart);
+      if (jsDay === 0 || jsDay === 6) {
         dayHeader.classList.add('weekend-header');
         dayHeader.setAttribute('part', 'header-cell weekend-header');
       }
@@ -444,148 +925,375 @@ export class YearPlannerGrid extends HTMLElement {
   }
 
   _renderDayCells(grid) {
-    // List of month names
-    const months = [
-      'Jan',
-      'Feb',
-      'Mar',
-      'Apr',
-      'May',
-      'Jun',
-      'Jul',
-      'Aug',
-      'Sep',
-      'Oct',
-      'Nov',
-      'Dec',
-    ];
+    // Days on which several team members are away
+    const overlapDays = this._teamMembers
+      ? this._coverageCalculator.getOverlapDays(this._layoutEvents)
+      : new Map();
 
     // Get current date to highlight today
     const today = new Date();
-    const currentYear = today.getFullYear();
-    const currentMonth = today.getMonth();
-    const currentDay = today.getDate();
 
-    for (let month = 0; month < 12; month++) {
+    if (this._layout === LAYOUTS.TIMELINE) {
+      // A single row holding every day of the year
+      grid.appendChild(this._createRowLabel(''));
+      const days = [];
+      for (const month of this._getMonths()) {
+        const daysInMonth = new Date(this._getMonthYear(month), month + 1, 0).getDate();
+        for (let dayNumber = 1; dayNumber <= daysInMonth; dayNumber++) {
+          const dayCell = this._createDayCell(month, dayNumber, overlapDays, today);
+          if (dayNumber === 1) {
+            dayCell.classList.add('month-start');
+          }
+          grid.appendChild(dayCell);
+          days.push(new Date(this._getMonthYear(month), month, dayNumber));
+        }
+      }
+
+      if (this._showWeekNumbers) {
+        this._renderLinearWeekNumberRow(grid, days, days.length);
+      }
+      return;
+    }
+
+    for (const month of this._getMonths()) {
       // Add month name cell at the start of each row
-      const monthCell = document.createElement('div');
-      monthCell.className = 'month-cell';
-      monthCell.setAttribute('part', 'month-cell');
-      monthCell.textContent = months[month];
-      grid.appendChild(monthCell);
+      grid.appendChild(this._createRowLabel(MONTH_LABELS[month]));
 
       // Get the first day of the month
-      const firstDay = new Date(this._year, month, 1);
+      const firstDay = new Date(this._getMonthYear(month), month, 1);
       // Get the last day of the month
-      const lastDay = new Date(this._year, month + 1, 0);
+      const lastDay = new Date(this._getMonthYear(month), month + 1, 0);
       const daysInMonth = lastDay.getDate();
 
-      // Get day of week of first day (0 = Sunday, converting to 0 = Monday)
-      let firstDayOfWeek = firstDay.getDay() - 1;
-      if (firstDayOfWeek < 0) firstDayOfWeek = 6; // Sunday becomes 6
+      if (this._layout === LAYOUTS.DAY_ALIGNED) {
+        // The 1st in the first column, filler cells after the last day
+        const days = [];
+        for (let position = 0; position < DAY_ALIGNED_COLUMNS; position++) {
+          if (position < daysInMonth) {
+            grid.appendChild(
+              this._createDayCell(month, position + 1, overlapDays, today),
+            );
+            days.push(new Date(this._getMonthYear(month), month, position + 1));
+          } else {
+            grid.appendChild(this._createFillerCell());
+          }
+        }
 
-      // Create day cells for each position in the expanded grid (up to 37 days)
-      for (let position = 0; position < 37; position++) {
-        const dayCell = document.createElement('div');
-        dayCell.className = 'day-cell';
-        dayCell.setAttribute('part', 'day-cell');
+        if (this._showWeekNumbers) {
+          this._renderLinearWeekNumberRow(grid, days, DAY_ALIGNED_COLUMNS);
+        }
+        continue;
+      }
 
+      // Get day of week of first day (0 = the configured first day of the week)
+      const firstDayOfWeek = jsToAppDay(firstDay.getDay(), this._weekStart);
+
+      // Create day cells for each position in the expanded grid (up to 37 days)
+      for (let position = 0; position < WEEKDAY_COLUMNS; position++) {
         // Calculate the day number (1-based)
         const dayOffset = position - firstDayOfWeek;
         const dayNumber = dayOffset + 1;
 
         // Only show day numbers for valid days in the month
         if (dayNumber > 0 && dayNumber <= daysInMonth) {
-          const dayNumberDiv = document.createElement('div');
-          dayNumberDiv.className = 'day-number';
-          dayNumberDiv.setAttribute('part', 'day-number');
-          dayNumberDiv.textContent = dayNumber;
-          dayCell.appendChild(dayNumberDiv);
-
-          // Store data attributes for identifying the cell
-          dayCell.dataset.month = month;
-          dayCell.dataset.day = dayNumber;
-
-          // Get the day of week to check for weekends
-          const cellDate = new Date(this._year, month, dayNumber);
-          const dayOfWeek = cellDate.getDay(); // 0 = Sunday, 6 = Saturday
-
-          // Add weekend class for Saturday (6) and Sunday (0)
-          if (dayOfWeek === 0 || dayOfWeek === 6) {
-            dayCell.classList.add('weekend');
-            dayCell.setAttribute('part', 'day-cell weekend');
-          }
-
-          // Check if this is today's date and highlight it
-          if (
-            this._year === currentYear &&
-            month === currentMonth &&
-            dayNumber === currentDay
-          ) {
-            dayCell.classList.add('current-day');
-          }
-
-          // Add click event to emit day-click custom event
-          dayCell.addEventListener('click', (e) => {
-            // Only trigger if the click was directly on the cell (not on an event)
-            if (e.target === dayCell || e.target.className === 'day-number') {
-              const clickEvent = new CustomEvent('day-click', {
-                detail: {
-                  date: new Date(this._year, month, dayNumber),
-                  month: month,
-                  day: dayNumber,
-                },
-                bubbles: true,
-                composed: true,
-              });
-              this.dispatchEvent(clickEvent);
-            }
-          });
+          grid.appendChild(this._createDayCell(month, dayNumber, overlapDays, today));
         } else {
-          // Empty cell for days outside the month (filler cells)
-          dayCell.dataset.empty = true;
-          dayCell.classList.add('inactive-cell');
+          grid.appendChild(this._createFillerCell());
         }
+      }
 
-        grid.appendChild(dayCell);
+      if (this._showWeekNumbers) {
+        this._renderWeekNumberRow(grid, month, firstDayOfWeek, daysInMonth);
       }
     }
   }
 
-  _renderEvents(grid) {
-    console.log(
-      'YearPlannerGrid: Rendering events',
-      this._layoutEvents ? this._layoutEvents.length : 0,
-    );
-
-    if (!this._layoutEvents || this._layoutEvents.length === 0) {
-      console.log('YearPlannerGrid: No layout events to render');
-      return;
-    } else {
-      // Debug: Log the layout events data structure
-      console.log(
-        'YearPlannerGrid: Layout Events Structure:',
-        JSON.stringify(this._layoutEvents.slice(0, 2), null, 2),
+  /**
+   * Get the number of day columns in the current layout
+   * @returns {number}
+   * @private
+   */
+  _getDayColumns() {
+    if (this._layout === LAYOUTS.DAY_ALIGNED) return DAY_ALIGNED_COLUMNS;
+    if (this._layout === LAYOUTS.TIMELINE) {
+      return Math.round(
+        (Date.UTC(this._year, this._startMonth + 12, 1) -
+          Date.UTC(this._year, this._startMonth, 1)) /
+          TIME.MS_PER_DAY,
       );
     }
+    return WEEKDAY_COLUMNS;
+  }
 
-    // Store all created event segments by event ID for hover effect
-    const eventSegments = new Map();
+  /**
+   * Get the months of the planner year in row order
+   * @returns {Array<number>} Month indices, starting with the first month
+   * @private
+   */
+  _getMonths() {
+    return Array.from({ length: 12 }, (_, row) => (this._startMonth + row) % 12);
+  }
 
-    this._layoutEvents.forEach((layoutEvent) => {
-      const eventId = layoutEvent.id;
-      const position = layoutEvent.position;
+  /**
+   * Get the calendar year a month of the planner year falls in
+   * @param {number} month - Month index (0-11)
+   * @returns {number}
+   * @private
+   */
+  _getMonthYear(month) {
+    return month < this._startMonth ? this._year + 1 : this._year;
+  }
 
-      // Debug: Check if position is valid
-      if (!position) {
-        console.error('YearPlannerGrid: Event has no position', layoutEvent);
-        return;
-      }
+  /**
+   * Create the label cell at the start of a row, with the team view lane
+   * labels when the team view is on
+   * @param {string} text - Row label, such as the month name
+   * @returns {HTMLElement} The label cell
+   * @private
+   */
+  _createRowLabel(text) {
+    const monthCell = document.createElement('div');
+    monthCell.className = 'month-cell';
+    monthCell.setAttribute('part', 'month-cell');
+    monthCell.textContent = text;
+    if (this._teamMembers) {
+      this._addTeamLaneLabels(monthCell);
+    }
+    return monthCell;
+  }
 
-      // Create a list to store all segments for this event
-      if (!eventSegments.has(eventId)) {
-        eventSegments.set(eventId, []);
-      }
+  /**
+   * Create the cell for a day of the year
+   * @param {number} month - Month index
+   * @param {number} dayNumber - Day of the month
+   * @param {Map<string, Array<string>>} overlapDays - People away by date in the team view
+   * @param {Date} today - Current date, highlighted in the grid
+   * @returns {HTMLElement} The day cell
+   * @private
+   */
+  _createDayCell(month, dayNumber, overlapDays, today) {
+    const dayCell = document.createElement('div');
+    dayCell.className = 'day-cell';
+    dayCell.setAttribute('part', 'day-cell');
+
+    const dayNumberDiv = document.createElement('div');
+    dayNumberDiv.className = 'day-number';
+    dayNumberDiv.setAttribute('part', 'day-number');
+    dayNumberDiv.textContent = dayNumber;
+    dayCell.appendChild(dayNumberDiv);
+
+    // Store data attributes for identifying the cell
+    dayCell.dataset.month = month;
+    dayCell.dataset.day = dayNumber;
+
+    // Only one day is in the tab order; arrow keys move between days
+    dayCell.tabIndex = this._isKeyboardDay(month, dayNumber) ? 0 : -1;
+
+    // Get the day of week to check for weekends
+    const cellDate = new Date(this._getMonthYear(month), month, dayNumber);
+    const dayOfWeek = cellDate.getDay(); // 0 = Sunday, 6 = Saturday
+
+    // Add weekend class for Saturday (6) and Sunday (0)
+    if (dayOfWeek === 0 || dayOfWeek === 6) {
+      dayCell.classList.add('weekend');
+      dayCell.setAttribute('part', 'day-cell weekend');
+    }
+
+    // Check if this is today's date and highlight it
+    if (
+      cellDate.getFullYear() === today.getFullYear() &&
+      month === today.getMonth() &&
+      dayNumber === today.getDate()
+    ) {
+      dayCell.classList.add('current-day');
+    }
+
+    const away = overlapDays.get(formatDateOnly(cellDate));
+    if (away) {
+      dayCell.classList.add('coverage-warning');
+      dayCell.title = `${away.length} people away: ${away.join(', ')}`;
+    }
+
+    // Add click event to emit day-click custom event
+    dayCell.addEventListener('click', (e) => {
+      // The click ending a range selection has already been handled
+      if (this._suppressDayClick) {
+        this._suppressDayClick = false;
+        return;
+      }
+
+      // Only trigger if the click was directly on the cell (not on an event)
+      if (e.target === dayCell || e.target.className === 'day-number') {
+        this._dispatchDayClick(new Date(this._getMonthYear(month), month, dayNumber));
+      }
+    });
+
+    return dayCell;
+  }
+
+  /**
+   * Create an empty cell for a grid position outside the month
+   * @returns {HTMLElement} The filler cell
+   * @private
+   */
+  _createFillerCell() {
+    const dayCell = document.createElement('div');
+    dayCell.className = 'day-cell inactive-cell';
+    dayCell.setAttribute('part', 'day-cell');
+    dayCell.dataset.empty = true;
+    return dayCell;
+  }
+
+  /**
+   * Label the team view sub-rows of a month: the shared lane, then one per
+   * person, lined up with their swim lanes
+   * @param {HTMLElement} monthCell - The month name cell
+   * @private
+   */
+  _addTeamLaneLabels(monthCell) {
+    [SHARED_LANE_LABEL, ...this._teamMembers].forEach((name, lane) => {
+      const label = document.createElement('div');
+      label.className = 'team-lane-label';
+      label.setAttribute('part', 'team-lane-label');
+      label.style.top = `${LANE_TOP + lane * LANE_HEIGHT}px`;
+      label.textContent = name;
+      label.title = name;
+      monthCell.appendChild(label);
+    });
+  }
+
+  /**
+   * Add a row of ISO-8601 week numbers under a month, one label per week of
+   * columns. Weeks that don't start on Monday are labelled with the ISO
+   * week their Monday falls in.
+   * @param {HTMLElement} grid - The grid container
+   * @param {number} month - Month index
+   * @param {number} firstDayOfWeek - Column of the 1st of the month (0-6)
+   * @param {number} daysInMonth - Number of days in the month
+   * @private
+   */
+  _renderWeekNumberRow(grid, month, firstDayOfWeek, daysInMonth) {
+    const labelCell = document.createElement('div');
+    labelCell.className = 'week-number-cell';
+    labelCell.setAttribute('part', 'week-number-cell');
+    labelCell.textContent = 'Wk';
+    grid.appendChild(labelCell);
+
+    const mondayOffset = jsToAppDay(1, this._weekStart);
+
+    for (let weekColumn = 0; weekColumn < WEEKDAY_COLUMNS; weekColumn += 7) {
+      const cell = document.createElement('div');
+      cell.className = 'week-number-cell';
+      cell.setAttribute('part', 'week-number-cell');
+      cell.style.gridColumn = `span ${Math.min(7, WEEKDAY_COLUMNS - weekColumn)}`;
+
+      // Day of the month in the week's first column, possibly outside the month
+      const firstDayNumber = weekColumn - firstDayOfWeek + 1;
+      if (firstDayNumber + 6 >= 1 && firstDayNumber <= daysInMonth) {
+        const { year, week } = getISOWeek(
+          new Date(this._getMonthYear(month), month, firstDayNumber + mondayOffset),
+        );
+        cell.textContent = `W${week}`;
+        cell.title = `ISO week ${week} of ${year}`;
+      }
+
+      grid.appendChild(cell);
+    }
+  }
+
+  /**
+   * Add a row of ISO-8601 week numbers under a row of consecutive days, as
+   * in the day-aligned and timeline layouts. Each run of days from one week
+   * gets a label, numbered by the ISO week its Monday falls in.
+   * @param {HTMLElement} grid - The grid container
+   * @param {Array<Date>} days - Consecutive days in the row, from its first column
+   * @param {number} columns - Day columns in the row, including filler cells
+   * @private
+   */
+  _renderLinearWeekNumberRow(grid, days, columns) {
+    const labelCell = document.createElement('div');
+    labelCell.className = 'week-number-cell';
+    labelCell.setAttribute('part', 'week-number-cell');
+    labelCell.textContent = 'Wk';
+    grid.appendChild(labelCell);
+
+    const mondayOffset = jsToAppDay(1, this._weekStart);
+
+    for (let index = 0; index < days.length; ) {
+      const first = days[index];
+      const weekColumn = jsToAppDay(first.getDay(), this._weekStart);
+      const span = Math.min(7 - weekColumn, days.length - index);
+
+      const { year, week } = getISOWeek(
+        new Date(
+          first.getFullYear(),
+          first.getMonth(),
+          first.getDate() - weekColumn + mondayOffset,
+        ),
+      );
+
+      const cell = document.createElement('div');
+      cell.className = 'week-number-cell';
+      cell.setAttribute('part', 'week-number-cell');
+      cell.style.gridColumn = `span ${span}`;
+      cell.textContent = `W${week}`;
+      cell.title = `ISO week ${week} of ${year}`;
+      grid.appendChild(cell);
+
+      index += span;
+    }
+
+    if (days.length < columns) {
+      const filler = document.createElement('div');
+      filler.className = 'week-number-cell';
+      filler.setAttribute('part', 'week-number-cell');
+      filler.style.gridColumn = `span ${columns - days.length}`;
+      grid.appendChild(filler);
+    }
+  }
+
+  _renderEvents(grid) {
+    console.log(
+      'YearPlannerGrid: Rendering events',
+      this._layoutEvents ? this._layoutEvents.length : 0,
+    );
+
+    if (!this._layoutEvents || this._layoutEvents.length === 0) {
+      console.log('YearPlannerGrid: No layout events to render');
+      return;
+    } else {
+      // Debug: Log the layout events data structure
+      console.log(
+        'YearPlannerGrid: Layout Events Structure:',
+        JSON.stringify(this._layoutEvents.slice(0, 2), null, 2),
+      );
+    }
+
+    // Store all created event segments by event ID for hover effect
+    const eventSegments = new Map();
+
+    // Events without a free swim lane, listed behind "+N more" badges
+    const hiddenEvents = [];
+
+    this._layoutEvents.forEach((layoutEvent) => {
+      const eventId = layoutEvent.id;
+      const position = layoutEvent.position;
+
+      // Debug: Check if position is valid
+      if (!position) {
+        console.error('YearPlannerGrid: Event has no position', layoutEvent);
+        return;
+      }
+
+      if (position.isOverflow) {
+        hiddenEvents.push(layoutEvent);
+        return;
+      }
+
+      // Create a list to store all segments for this event
+      if (!eventSegments.has(eventId)) {
+        eventSegments.set(eventId, []);
+      }
 
       // Get all cells in the grid
       const allDayCells = Array.from(grid.querySelectorAll('.day-cell')).filter(
@@ -626,7 +1334,7 @@ export class YearPlannerGrid extends HTMLElement {
             if (month !== segment.month) return false;
 
             // Create a date object for this cell
-            const date = new Date(this._year, month, day);
+            const date = new Date(this._getMonthYear(month), month, day);
             const dayOfWeek = this._getDayOfWeek(date);
 
             // Debug: Log all cell evaluations for event segments
@@ -645,7 +1353,7 @@ export class YearPlannerGrid extends HTMLElement {
                                   
             // If this is the last month of the event, use actual event end date
             let segmentEndDate = month === eventEndDateObj.getMonth() ?
-                               eventEndDateObj.getDate() : new Date(this._year, month + 1, 0).getDate();
+                               eventEndDateObj.getDate() : new Date(this._getMonthYear(month), month + 1, 0).getDate();
 
             // Always check the actual date against the event's date range, prioritizing the date match
             // rather than just the day of week match
@@ -705,7 +1413,7 @@ export class YearPlannerGrid extends HTMLElement {
         const eventCells = allDayCells.filter((cell) => {
           const month = parseInt(cell.dataset.month, 10);
           const day = parseInt(cell.dataset.day, 10);
-          const date = new Date(this._year, month, day);
+          const date = new Date(this._getMonthYear(month), month, day);
 
           // Get event start and end dates for proper date comparison
           const eventStartDateObj = new Date(layoutEvent.startDate);
@@ -790,6 +1498,8 @@ export class YearPlannerGrid extends HTMLElement {
       }
     });
 
+    this._renderMoreBadges(grid, hiddenEvents);
+
     // Enhance hover effect to highlight all segments of the same event with better coordination
     eventSegments.forEach((segments, eventId) => {
       // Use debounced approach to reduce flickering
@@ -938,6 +1648,7 @@ export class YearPlannerGrid extends HTMLElement {
 
     segmentEl.className = className;
     segmentEl.setAttribute('part', partName);
+    const category = this._getEventCategory(layoutEvent);
 
     // Set event ID for hover effects
     segmentEl.dataset.eventId = layoutEvent.id;
@@ -953,16 +1664,25 @@ export class YearPlannerGrid extends HTMLElement {
     if (segment.isFirstSegment) {
       // First segment shows full title
       segmentEl.textContent = layoutEvent.title;
+      this._prependCategoryIcon(segmentEl, category);
 
       // Add indicators
       let indicators = '';
       if (layoutEvent.isRecurring)
         indicators +=
           '<span class="event-icon recurring-icon" title="Recurring event">↻</span>';
-      if (layoutEvent.startsPM && segment.isFirstSegment)
+      if (
+        layoutEvent.startsPM &&
+        segment.isFirstSegment &&
+        !position.continuesFromPreviousYear
+      )
         indicators +=
           '<span class="event-icon starts-pm-icon" title="Starts in afternoon">◑</span>';
-      if (layoutEvent.endsAM && segment.isLastSegment)
+      if (
+        layoutEvent.endsAM &&
+        segment.isLastSegment &&
+        !position.continuesIntoNextYear
+      )
         indicators +=
           '<span class="event-icon ends-am-icon" title="Ends in morning">◐</span>';
 
@@ -1010,8 +1730,9 @@ export class YearPlannerGrid extends HTMLElement {
       }
     } else if (segment.isLastSegment) {
       // FIX: Check if this is actually a continuation or just a result of crossing over Sunday
-      // If this segment starts on column 0 (Monday), don't show arrow for weekend crossing
-      const isWeekendCrossSegment = segment.startDay === 0; // Starts on Monday
+      // If this segment starts on column 0 (start of the week), don't show arrow for weekend crossing
+      const isWeekendCrossSegment =
+        this._layout === LAYOUTS.WEEKDAY && segment.startDay === 0; // Starts the week
       
       if (isWeekendCrossSegment) {
         // This is likely a weekend-crossing event, show the regular title without the arrow
@@ -1026,7 +1747,7 @@ export class YearPlannerGrid extends HTMLElement {
       if (layoutEvent.isRecurring)
         indicators +=
           '<span class="event-icon recurring-icon" title="Recurring event">↻</span>';
-      if (layoutEvent.endsAM)
+      if (layoutEvent.endsAM && !position.continuesIntoNextYear)
         indicators +=
           '<span class="event-icon ends-am-icon" title="Ends in morning">◐</span>';
 
@@ -1056,8 +1777,9 @@ export class YearPlannerGrid extends HTMLElement {
     }
 
     // Add continuation indicators
-    // FIX: Only add continues-left if this is a true continuation, not just Monday after weekend
-    const isWeekendCrossSegment = segment.startDay === 0; // Starts on Monday
+    // FIX: Only add continues-left if this is a true continuation, not just the start of a new week
+    const isWeekendCrossSegment =
+      this._layout === LAYOUTS.WEEKDAY && segment.startDay === 0; // Starts the week
     if (!segment.isFirstSegment && !isWeekendCrossSegment) {
       segmentEl.classList.add('continues-left');
     }
@@ -1086,7 +1808,7 @@ export class YearPlannerGrid extends HTMLElement {
       // If last day of this segment is last day of its month
       const lastCellDay = parseInt(lastCell.dataset.day, 10);
       const lastDayInMonth = new Date(
-        this._year,
+        this._getMonthYear(lastCellMonth),
         lastCellMonth + 1,
         0,
       ).getDate();
@@ -1095,6 +1817,9 @@ export class YearPlannerGrid extends HTMLElement {
       }
     }
 
+    this._addYearContinuationMarkers(segmentEl, position, firstCell, lastCell);
+    this._applyCategoryStyle(segmentEl, category);
+
     // Calculate position and size
     const height = 16; // Fixed height for events
     const swimLaneOffset = position.swimLane * height;
@@ -1122,6 +1847,7 @@ export class YearPlannerGrid extends HTMLElement {
 
     // Add click event handler
     this._addEventClickHandler(segmentEl, layoutEvent);
+    this._addResizeHandles(segmentEl, layoutEvent, firstCell, lastCell);
 
     // Add to segment list for hover effects
     segmentList.push(segmentEl);
@@ -1129,8 +1855,9 @@ export class YearPlannerGrid extends HTMLElement {
     // Add tooltip with full event details
     const tooltipTitle = layoutEvent.title;
     const tooltipDates = layoutEvent.formattedDateRange || '';
-    const tooltipContent = `${tooltipTitle}\n${tooltipDates}${layoutEvent.description ? `\n${layoutEvent.description}` : ''}`;
+    const tooltipContent = `${tooltipTitle}\n${tooltipDates}${layoutEvent.description ? `\n${layoutEvent.description}` : ''}${layoutEvent.assignee ? `\n👤 ${layoutEvent.assignee}` : ''}`;
     segmentEl.title = tooltipContent;
+    this._applyCalendarStyle(segmentEl, layoutEvent);
   }
 
   /**
@@ -1175,6 +1902,10 @@ export class YearPlannerGrid extends HTMLElement {
     eventEl.dataset.originalEventId =
       layoutEvent.originalEventId || layoutEvent.id;
 
+    const category = this._getEventCategory(layoutEvent);
+    this._prependCategoryIcon(eventEl, category);
+    this._applyCategoryStyle(eventEl, category);
+
     // Add transition for smoother hover effects
     eventEl.style.transition = 'all 0.15s ease-in-out';
 
@@ -1183,10 +1914,10 @@ export class YearPlannerGrid extends HTMLElement {
     if (layoutEvent.isRecurring)
       indicators +=
         '<span class="event-icon recurring-icon" title="Recurring event">↻</span>';
-    if (layoutEvent.startsPM)
+    if (layoutEvent.startsPM && !position.continuesFromPreviousYear)
       indicators +=
         '<span class="event-icon starts-pm-icon" title="Starts in afternoon">◑</span>';
-    if (layoutEvent.endsAM)
+    if (layoutEvent.endsAM && !position.continuesIntoNextYear)
       indicators +=
         '<span class="event-icon ends-am-icon" title="Ends in morning">◐</span>';
 
@@ -1205,11 +1936,13 @@ export class YearPlannerGrid extends HTMLElement {
       eventEl.appendChild(dateRangeSpan);
     }
 
+    this._addYearContinuationMarkers(eventEl, position, firstCell, lastCell);
+
     // Add month boundary indicators for events that cross months
     if (isMonthBoundaryEvent) {
       // Apply month boundary styles consistent with segmented events
       const lastDayInFirstMonth = new Date(
-        this._year,
+        this._getMonthYear(firstCellMonth),
         firstCellMonth + 1,
         0,
       ).getDate();
@@ -1224,7 +1957,8 @@ export class YearPlannerGrid extends HTMLElement {
       }
 
       if (
-        lastCellDay === new Date(this._year, lastCellMonth + 1, 0).getDate()
+        lastCellDay ===
+        new Date(this._getMonthYear(lastCellMonth), lastCellMonth + 1, 0).getDate()
       ) {
         eventEl.style.borderRightWidth = '3px';
         eventEl.style.borderRightStyle = 'dashed';
@@ -1255,6 +1989,7 @@ export class YearPlannerGrid extends HTMLElement {
 
     // Add click event handler
     this._addEventClickHandler(eventEl, layoutEvent);
+    this._addResizeHandles(eventEl, layoutEvent, firstCell, lastCell);
 
     // Add to segment list for hover effects
     segmentList.push(eventEl);
@@ -1265,8 +2000,9 @@ export class YearPlannerGrid extends HTMLElement {
     // Add tooltip with full event details
     const tooltipTitle = layoutEvent.title;
     const tooltipDates = layoutEvent.formattedDateRange || '';
-    const tooltipContent = `${tooltipTitle}\n${tooltipDates}${layoutEvent.description ? `\n${layoutEvent.description}` : ''}`;
+    const tooltipContent = `${tooltipTitle}\n${tooltipDates}${layoutEvent.description ? `\n${layoutEvent.description}` : ''}${layoutEvent.assignee ? `\n👤 ${layoutEvent.assignee}` : ''}`;
     eventEl.title = tooltipContent;
+    this._applyCalendarStyle(eventEl, layoutEvent);
 
     // Add ARIA attributes for accessibility
     eventEl.setAttribute('role', 'button');
@@ -1278,6 +2014,296 @@ export class YearPlannerGrid extends HTMLElement {
     }
   }
 
+  /**
+   * Mark the ends of an event that are cut off at the edges of the year
+   * @param {HTMLElement} element - The event or segment element
+   * @param {Object} position - The position data
+   * @param {HTMLElement} firstCell - First cell covered by the element
+   * @param {HTMLElement} lastCell - Last cell covered by the element
+   * @private
+   */
+  _addYearContinuationMarkers(element, position, firstCell, lastCell) {
+    const { start, end } = getPlannerWindow(this._year, this._startMonth);
+    const lastDay = new Date(end.getFullYear(), end.getMonth(), end.getDate());
+    const startsOnFirstDay =
+      this._getCellDate(firstCell).getTime() === start.getTime();
+    const endsOnLastDay =
+      this._getCellDate(lastCell).getTime() === lastDay.getTime();
+
+    if (position.continuesFromPreviousYear && startsOnFirstDay) {
+      const marker = document.createElement('span');
+      marker.className = 'year-continuation';
+      marker.title = `Continues from ${formatPlannerYear(this._year - 1, this._startMonth)}`;
+      marker.textContent = '«';
+      element.prepend(marker);
+      element.classList.add('continues-from-previous-year');
+    }
+
+    if (position.continuesIntoNextYear && endsOnLastDay) {
+      const marker = document.createElement('span');
+      marker.className = 'year-continuation';
+      marker.title = `Continues into ${formatPlannerYear(this._year + 1, this._startMonth)}`;
+      marker.textContent = '»';
+      element.appendChild(marker);
+      element.classList.add('continues-into-next-year');
+    }
+  }
+
+  /**
+   * Look up the category of an event, ignoring holidays and unknown IDs
+   * @param {Object} layoutEvent - The event layout data
+   * @returns {Object|null} The category, or null if the event is not categorized
+   * @private
+   */
+  _getEventCategory(layoutEvent) {
+    if (layoutEvent.isPublicHoliday || !layoutEvent.categoryId) {
+      return null;
+    }
+    return this._categories.get(layoutEvent.categoryId) || null;
+  }
+
+  /**
+   * Color an event element with its category color
+   * @param {HTMLElement} element - The event or segment element
+   * @param {Object|null} category - The event's category
+   * @private
+   */
+  _applyCategoryStyle(element, category) {
+    if (!category) return;
+
+    element.classList.add('categorized');
+    element.dataset.categoryId = category.id;
+    // Tint the bar with the category color and keep the full color for the edge
+    element.style.backgroundColor = `${category.color}40`;
+    element.style.borderLeftColor = category.color;
+  }
+
+  /**
+   * Mark an event element with its calendar: a stripe in the calendar color
+   * on the right edge and the calendar name in the tooltip
+   * @param {HTMLElement} element - The event or segment element
+   * @param {Object} layoutEvent - The event layout data
+   * @private
+   */
+  _applyCalendarStyle(element, layoutEvent) {
+    const calendar = this._calendars.get(layoutEvent.calendarId);
+    if (!calendar) return;
+
+    element.classList.add('in-calendar');
+    element.dataset.calendarId = calendar.id;
+    element.style.borderRightColor = calendar.color;
+    element.title += `\n${calendar.readOnly ? '🔒 ' : ''}${calendar.name}`;
+  }
+
+  /**
+   * Prefix an event element's title with its category icon
+   * @param {HTMLElement} element - The event or segment element
+   * @param {Object|null} category - The event's category
+   * @private
+   */
+  _prependCategoryIcon(element, category) {
+    if (!category || !category.icon) return;
+
+    const iconSpan = document.createElement('span');
+    iconSpan.className = 'category-icon';
+    iconSpan.title = category.name;
+    iconSpan.textContent = category.icon;
+    element.insertBefore(iconSpan, element.firstChild);
+  }
+
+  /**
+   * Add a "+N more" badge to each day that has events hidden for lack of a
+   * free swim lane
+   * @param {HTMLElement} grid - The grid container
+   * @param {Array} hiddenEvents - Layouts flagged as overflow
+   * @private
+   */
+  _renderMoreBadges(grid, hiddenEvents) {
+    const { start: yearStart, end: yearEnd } = getPlannerWindow(
+      this._year,
+      this._startMonth,
+    );
+    const eventsByDay = new Map();
+
+    hiddenEvents.forEach((layoutEvent) => {
+      const start = new Date(Math.max(layoutEvent.startDate, yearStart));
+      const end = new Date(Math.min(layoutEvent.endDate, yearEnd));
+
+      for (
+        let day = new Date(start.getFullYear(), start.getMonth(), start.getDate());
+        day <= end;
+        day.setDate(day.getDate() + 1)
+      ) {
+        const key = `${day.getMonth()}_${day.getDate()}`;
+        if (!eventsByDay.has(key)) {
+          eventsByDay.set(key, []);
+        }
+        eventsByDay.get(key).push(layoutEvent);
+      }
+    });
+
+    eventsByDay.forEach((events, key) => {
+      const [month, day] = key.split('_');
+      const cell = grid.querySelector(
+        `.day-cell[data-month="${month}"][data-day="${day}"]`,
+      );
+      if (!cell) return;
+
+      const badge = document.createElement('button');
+      badge.type = 'button';
+      badge.className = 'more-badge';
+      badge.setAttribute('part', 'more-badge');
+      badge.textContent = `+${events.length} more`;
+      badge.setAttribute(
+        'aria-label',
+        `${events.length} more ${events.length === 1 ? 'event' : 'events'}`,
+      );
+      badge.setAttribute('aria-haspopup', 'dialog');
+      badge.addEventListener('click', (e) => {
+        e.stopPropagation(); // Prevent triggering day-click
+        if (this._morePopoverBadge === badge) {
+          this._closeMorePopover();
+          return;
+        }
+        this._openMorePopover(
+          badge,
+          new Date(this._getMonthYear(Number(month)), Number(month), Number(day)),
+          events,
+        );
+      });
+      cell.appendChild(badge);
+    });
+  }
+
+  /**
+   * Set up closing the hidden-events popover on Escape or a click outside it
+   * @private
+   */
+  _setupMorePopover() {
+    const popover = this.shadowRoot.querySelector('.more-popover');
+
+    popover.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape') {
+        e.preventDefault();
+        const badge = this._morePopoverBadge;
+        this._closeMorePopover();
+        if (badge) badge.focus();
+      }
+    });
+
+    this._handleMorePopoverOutsideClick = (e) => {
+      const path = e.composedPath();
+      if (!path.includes(popover) && !path.includes(this._morePopoverBadge)) {
+        this._closeMorePopover();
+      }
+    };
+  }
+
+  /**
+   * Show the events hidden on a day next to its badge
+   * @param {HTMLElement} badge - The badge that was clicked
+   * @param {Date} date - The day the badge belongs to
+   * @param {Array} events - Layouts hidden on that day
+   * @private
+   */
+  _openMorePopover(badge, date, events) {
+    const popover = this.shadowRoot.querySelector('.more-popover');
+    const list = popover.querySelector('.more-popover-list');
+
+    popover.querySelector('.more-popover-title').textContent =
+      date.toLocaleDateString(undefined, {
+        weekday: 'short',
+        month: 'short',
+        day: 'numeric',
+      });
+    popover.setAttribute('aria-label', `More events on ${date.toDateString()}`);
+    list.innerHTML = '';
+
+    events.forEach((layoutEvent) => {
+      const item = document.createElement('button');
+      item.type = 'button';
+      item.className = 'more-popover-item';
+      item.textContent = layoutEvent.title;
+
+      const category = this._getEventCategory(layoutEvent);
+      if (category) {
+        item.style.borderLeftColor = category.color;
+      }
+
+      const dates = document.createElement('span');
+      dates.className = 'more-popover-dates';
+      dates.textContent = layoutEvent.formattedDateRange || '';
+      item.appendChild(dates);
+
+      item.addEventListener('click', () => {
+        this._closeMorePopover();
+        this._dispatchEventClick(layoutEvent);
+      });
+
+      const listItem = document.createElement('li');
+      listItem.appendChild(item);
+      list.appendChild(listItem);
+    });
+
+    // Open below the badge, keeping the popover inside the viewport
+    const rect = badge.getBoundingClientRect();
+    popover.hidden = false;
+    const left = Math.min(rect.left, window.innerWidth - popover.offsetWidth - 8);
+    const below = rect.bottom + 4;
+    const top = below + popover.offsetHeight > window.innerHeight
+      ? Math.max(8, rect.top - popover.offsetHeight - 4)
+      : below;
+    popover.style.left = `${Math.max(8, left)}px`;
+    popover.style.top = `${top}px`;
+
+    if (!this._morePopoverBadge) {
+      document.addEventListener('pointerdown', this._handleMorePopoverOutsideClick);
+    }
+    this._morePopoverBadge = badge;
+    badge.setAttribute('aria-expanded', 'true');
+
+    const firstItem = list.querySelector('.more-popover-item');
+    if (firstItem) firstItem.focus();
+  }
+
+  /**
+   * Hide the hidden-events popover
+   * @private
+   */
+  _closeMorePopover() {
+    if (!this._morePopoverBadge) return;
+
+    this.shadowRoot.querySelector('.more-popover').hidden = true;
+    this._morePopoverBadge.setAttribute('aria-expanded', 'false');
+    this._morePopoverBadge = null;
+    document.removeEventListener('pointerdown', this._handleMorePopoverOutsideClick);
+  }
+
+  /**
+   * Dispatch event-click so the event can be edited
+   * @param {Object} layoutEvent - The event layout data
+   * @private
+   */
+  _dispatchEventClick(layoutEvent) {
+    // Find the original event if this is a segment or instance
+    const originalEventId = layoutEvent.originalEventId || layoutEvent.id;
+    const originalEvent = this._events.find(
+      (event) => event.id === originalEventId || event.id === layoutEvent.id,
+    );
+
+    const clickEvent = new CustomEvent('event-click', {
+      detail: {
+        eventId: layoutEvent.id,
+        originalEventId: originalEventId,
+        event: originalEvent || layoutEvent,
+      },
+      bubbles: true,
+      composed: true,
+    });
+
+    this.dispatchEvent(clickEvent);
+  }
+
   /**
    * Add click event handler to an event element with keyboard accessibility
    * @param {HTMLElement} element - The event element
@@ -1289,23 +2315,13 @@ export class YearPlannerGrid extends HTMLElement {
     const handleEventActivation = (e) => {
       e.stopPropagation(); // Prevent triggering day-click
 
-      // Find the original event if this is a segment or instance
-      const originalEventId = layoutEvent.originalEventId || layoutEvent.id;
-      const originalEvent = this._events.find(
-        (event) => event.id === originalEventId || event.id === layoutEvent.id,
-      );
-
-      const clickEvent = new CustomEvent('event-click', {
-        detail: {
-          eventId: layoutEvent.id,
-          originalEventId: originalEventId,
-          event: originalEvent || layoutEvent,
-        },
-        bubbles: true,
-        composed: true,
-      });
+      // The click ending a drag has already been handled
+      if (e.type === 'click' && this._suppressEventClick) {
+        this._suppressEventClick = false;
+        return;
+      }
 
-      this.dispatchEvent(clickEvent);
+      this._dispatchEventClick(layoutEvent);
     };
 
     // Mouse click event
@@ -1339,15 +2355,7 @@ export class YearPlannerGrid extends HTMLElement {
   _groupCellsByWeek(cells) {
     console.log('YearPlannerGrid: Grouping cells by week');
     // Sort cells by date first to ensure correct order
-    cells.sort((a, b) => {
-      const aMonth = parseInt(a.dataset.month, 10);
-      const aDay = parseInt(a.dataset.day, 10);
-      const bMonth = parseInt(b.dataset.month, 10);
-      const bDay = parseInt(b.dataset.day, 10);
-
-      if (aMonth !== bMonth) return aMonth - bMonth;
-      return aDay - bDay;
-    });
+    cells.sort((a, b) => this._getCellDate(a) - this._getCellDate(b));
 
     // Check if all cells form a continuous date range
     let isContiguous = true;
@@ -1355,8 +2363,8 @@ export class YearPlannerGrid extends HTMLElement {
       const prevCell = cells[i - 1];
       const currentCell = cells[i];
 
-      const prevDate = new Date(this._year, parseInt(prevCell.dataset.month, 10), parseInt(prevCell.dataset.day, 10));
-      const currentDate = new Date(this._year, parseInt(currentCell.dataset.month, 10), parseInt(currentCell.dataset.day, 10));
+      const prevDate = this._getCellDate(prevCell);
+      const currentDate = this._getCellDate(currentCell);
 
       // Calculate difference in days
       const timeDiff = currentDate.getTime() - prevDate.getTime();
@@ -1390,8 +2398,8 @@ export class YearPlannerGrid extends HTMLElement {
       const currentMonth = parseInt(currentCell.dataset.month, 10);
 
       // Check if this is a consecutive day in the same week
-      const prevDate = new Date(this._year, prevMonth, prevDay);
-      const currentDate = new Date(this._year, currentMonth, currentDay);
+      const prevDate = new Date(this._getMonthYear(prevMonth), prevMonth, prevDay);
+      const currentDate = new Date(this._getMonthYear(currentMonth), currentMonth, currentDay);
       const diffDays = Math.round(
         (currentDate - prevDate) / (1000 * 60 * 60 * 24),
       );
@@ -1413,19 +2421,678 @@ export class YearPlannerGrid extends HTMLElement {
   }
 
   /**
-   * Get the day of week (0-6, where 0 is Monday, 6 is Sunday)
+   * Get the day of week (0-6, where 0 is the first day of the week)
    *
    * IMPORTANT: Uses getUTCDay() because event dates are stored as UTC midnight.
    * Using getDay() would return incorrect results in negative UTC offset timezones.
    *
    * @param {Date} date - The date (should be normalized to UTC midnight)
-   * @returns {number} Day of week (0-6, Monday=0, Sunday=6)
+   * @returns {number} Day of week (0-6, counted from the configured week start)
    * @private
    */
   _getDayOfWeek(date) {
-    // Convert from JS UTC day (0=Sunday, 6=Saturday) to our format (0=Monday, 6=Sunday)
-    const utcDay = date.getUTCDay();
-    return utcDay === 0 ? 6 : utcDay - 1;
+    // Convert from JS UTC day (0=Sunday, 6=Saturday) to a column in the week
+    return jsToAppDay(date.getUTCDay(), this._weekStart);
+  }
+
+  /**
+   * Dispatch a day-click event for a single day
+   * @param {Date} date - The clicked day
+   * @private
+   */
+  _dispatchDayClick(date) {
+    const clickEvent = new CustomEvent('day-click', {
+      detail: {
+        date: date,
+        month: date.getMonth(),
+        day: date.getDate(),
+      },
+      bubbles: true,
+      composed: true,
+    });
+    this.dispatchEvent(clickEvent);
+  }
+
+  /**
+   * Set up range selection on the day cells: press-drag-release with a mouse
+   * or pen, long press then drag on touch screens, and Shift+arrow keys.
+   * Listeners are attached to the grid container so they survive re-renders.
+   * @private
+   */
+  _setupRangeSelection() {
+    const grid = this.shadowRoot.getElementById('grid');
+
+    grid.addEventListener('pointerdown', (e) => this._handleRangePointerDown(e));
+    grid.addEventListener('pointermove', (e) => this._handleRangePointerMove(e));
+    grid.addEventListener('pointerup', (e) => this._handleRangePointerUp(e));
+    grid.addEventListener('pointercancel', () => this._cancelRangeSelection());
+    grid.addEventListener('keydown', (e) => this._handleRangeKeyDown(e));
+    grid.addEventListener('keyup', (e) => {
+      if (e.key === 'Shift') this._commitKeyboardRange();
+    });
+
+    // Once a long press has started a selection, the finger selects days
+    // instead of scrolling the page or opening the context menu
+    grid.addEventListener(
+      'touchmove',
+      (e) => {
+        if (this._rangeSelection && this._rangeSelection.active) {
+          e.preventDefault();
+        }
+      },
+      { passive: false },
+    );
+    grid.addEventListener('contextmenu', (e) => {
+      if (this._rangeSelection) {
+        e.preventDefault();
+      }
+    });
+  }
+
+  /**
+   * Start tracking a possible range selection
+   * @param {PointerEvent} e - The pointerdown event
+   * @private
+   */
+  _handleRangePointerDown(e) {
+    this._suppressDayClick = false;
+
+    if (e.button !== 0 || e.target.closest('.event, .event-segment, .more-badge')) return;
+
+    const date = this._getCellDate(e.target);
+    if (!date) return;
+
+    this._cancelRangeSelection();
+    this._rangeSelection = {
+      anchor: date,
+      focus: date,
+      active: false,
+      pointerId: e.pointerId,
+      startX: e.clientX,
+      startY: e.clientY,
+      longPressTimer: null,
+    };
+
+    if (e.pointerType === 'touch') {
+      // A quick swipe should still scroll the page, so touch selections
+      // start with a long press
+      this._rangeSelection.longPressTimer = setTimeout(
+        () => this._activateRangeSelection(),
+        TIMING.LONG_PRESS_DELAY,
+      );
+    } else {
+      this._activateRangeSelection();
+    }
+  }
+
+  /**
+   * Start highlighting the selection and follow the pointer
+   * @private
+   */
+  _activateRangeSelection() {
+    const selection = this._rangeSelection;
+    if (!selection) return;
+
+    selection.active = true;
+    this.shadowRoot.getElementById('grid').classList.add('selecting');
+    this._updateRangeHighlight();
+  }
+
+  /**
+   * Extend the selection to the day under the pointer
+   * @param {PointerEvent} e - The pointermove event
+   * @private
+   */
+  _handleRangePointerMove(e) {
+    const selection = this._rangeSelection;
+    if (!selection || e.pointerId !== selection.pointerId) return;
+
+    if (!selection.active) {
+      // Moving before the long press completes is a scroll, not a selection
+      const distance = Math.hypot(
+        e.clientX - selection.startX,
+        e.clientY - selection.startY,
+      );
+      if (distance > TOUCH_MOVE_TOLERANCE) {
+        this._cancelRangeSelection();
+      }
+      return;
+    }
+
+    // Days outside the month rows keep the last selected day
+    const date = this._getCellDate(
+      this.shadowRoot.elementFromPoint(e.clientX, e.clientY),
+    );
+    if (date && date.getTime() !== selection.focus.getTime()) {
+      // Keep receiving moves when the pointer leaves the grid. Capturing only
+      // once the pointer has left the first day keeps plain clicks on the cell.
+      const grid = this.shadowRoot.getElementById('grid');
+      if (!grid.hasPointerCapture(e.pointerId)) {
+        grid.setPointerCapture(e.pointerId);
+      }
+
+      selection.focus = date;
+      this._updateRangeHighlight();
+    }
+  }
+
+  /**
+   * Finish a pointer selection and report the range
+   * @param {PointerEvent} e - The pointerup event
+   * @private
+   */
+  _handleRangePointerUp(e) {
+    const selection = this._rangeSelection;
+    if (!selection || e.pointerId !== selection.pointerId) return;
+
+    this._cancelRangeSelection();
+
+    // A tap released before the long press completes is a normal click
+    if (!selection.active) return;
+
+    // A mouse press released on the day it started is a normal click
+    const singleDay = selection.anchor.getTime() === selection.focus.getTime();
+    if (singleDay && e.pointerType !== 'touch') return;
+
+    this._suppressDayClick = true;
+    this._dispatchRangeSelect(selection.anchor, selection.focus);
+  }
+
+  /**
+   * Move between days with the arrow keys, extending the selection while
+   * Shift is held. Enter opens the selected range, or the focused day.
+   * @param {KeyboardEvent} e - The keydown event
+   * @private
+   */
+  _handleRangeKeyDown(e) {
+    if (e.target.closest('.event, .event-segment, .more-badge')) return;
+
+    const date = this._getCellDate(e.target);
+    if (!date) return;
+
+    let next = null;
+    if (e.key in HORIZONTAL_ARROW_STEPS) {
+      next = new Date(
+        date.getFullYear(),
+        date.getMonth(),
+        date.getDate() + HORIZONTAL_ARROW_STEPS[e.key],
+      );
+    } else if (e.key in VERTICAL_ARROW_STEPS) {
+      next = this._getDateInAdjacentRow(date, VERTICAL_ARROW_STEPS[e.key]);
+    }
+
+    if (next) {
+      e.preventDefault();
+      const { start, end } = getPlannerWindow(this._year, this._startMonth);
+      if (next < start || next > end) return;
+
+      if (e.shiftKey) {
+        if (!this._rangeSelection) {
+          this._rangeSelection = { anchor: date, focus: date, active: true };
+        }
+        this._rangeSelection.focus = next;
+      } else {
+        this._cancelRangeSelection();
+      }
+
+      this._focusDay(next);
+      this._updateRangeHighlight();
+    } else if (e.key === 'Enter' || e.key === ' ') {
+      e.preventDefault();
+      if (!this._commitKeyboardRange()) {
+        this._dispatchDayClick(date);
+      }
+    } else if (e.key === 'Escape') {
+      this._cancelRangeSelection();
+    }
+  }
+
+  /**
+   * Report a range built with Shift+arrow keys
+   * @returns {boolean} True if a range was reported
+   * @private
+   */
+  _commitKeyboardRange() {
+    const selection = this._rangeSelection;
+    if (!selection || selection.pointerId !== undefined) return false;
+
+    this._cancelRangeSelection();
+    if (selection.anchor.getTime() === selection.focus.getTime()) return false;
+
+    this._dispatchRangeSelect(selection.anchor, selection.focus);
+    return true;
+  }
+
+  /**
+   * Drop the current selection and its highlight
+   * @private
+   */
+  _cancelRangeSelection() {
+    const selection = this._rangeSelection;
+    if (!selection) return;
+
+    clearTimeout(selection.longPressTimer);
+    this._rangeSelection = null;
+    this.shadowRoot.getElementById('grid').classList.remove('selecting');
+    this._updateRangeHighlight();
+  }
+
+  /**
+   * Dispatch a range-select event with the days in chronological order
+   * @param {Date} anchor - Day the selection started on
+   * @param {Date} focus - Day the selection ended on
+   * @private
+   */
+  _dispatchRangeSelect(anchor, focus) {
+    const [startDate, endDate] = anchor <= focus ? [anchor, focus] : [focus, anchor];
+
+    const rangeEvent = new CustomEvent('range-select', {
+      detail: { startDate, endDate },
+      bubbles: true,
+      composed: true,
+    });
+    this.dispatchEvent(rangeEvent);
+  }
+
+  /**
+   * Highlight the day cells inside the current selection
+   * @private
+   */
+  _updateRangeHighlight() {
+    const selection = this._rangeSelection;
+    const showRange = selection && selection.active;
+    const start = showRange ? Math.min(selection.anchor, selection.focus) : 0;
+    const end = showRange ? Math.max(selection.anchor, selection.focus) : 0;
+
+    this.shadowRoot.querySelectorAll('.day-cell[data-month]').forEach((cell) => {
+      const time = this._getCellDate(cell).getTime();
+      cell.classList.toggle('range-selected', showRange && time >= start && time <= end);
+    });
+  }
+
+  /**
+   * Get the day a grid element belongs to
+   * @param {Element|null} element - A day cell or an element inside one
+   * @returns {Date|null} The day, or null for filler cells and other elements
+   * @private
+   */
+  _getCellDate(element) {
+    const cell = element && element.closest ? element.closest('.day-cell') : null;
+    if (!cell || cell.dataset.month === undefined) return null;
+
+    const month = Number(cell.dataset.month);
+    return new Date(this._getMonthYear(month), month, Number(cell.dataset.day));
+  }
+
+  /**
+   * Get the day in the same grid column of a neighbouring month row, or the
+   * nearest day of that month if the column falls outside it. The timeline
+   * has a single row, so there the up and down arrows move by a week.
+   * @param {Date} date - The current day
+   * @param {number} offset - Month offset (-1 for the row above, 1 for the row below)
+   * @returns {Date} The day in the neighbouring row
+   * @private
+   */
+  _getDateInAdjacentRow(date, offset) {
+    if (this._layout === LAYOUTS.TIMELINE) {
+      return new Date(date.getFullYear(), date.getMonth(), date.getDate() + offset * 7);
+    }
+
+    // Day-aligned rows all start with the 1st in the first column
+    const getFirstColumn = (year, month) =>
+      this._layout === LAYOUTS.DAY_ALIGNED
+        ? 0
+        : this._getDayOfWeek(new Date(Date.UTC(year, month, 1)));
+
+    const column =
+      getFirstColumn(date.getFullYear(), date.getMonth()) + date.getDate() - 1;
+
+    const year = date.getFullYear();
+    const month = date.getMonth() + offset;
+    const firstColumn = getFirstColumn(year, month);
+    const daysInMonth = new Date(year, month + 1, 0).getDate();
+    const day = Math.min(Math.max(column - firstColumn + 1, 1), daysInMonth);
+
+    return new Date(year, month, day);
+  }
+
+  /**
+   * Check whether a day is the one reachable with Tab: the last day moved to
+   * with the keyboard, otherwise today, otherwise the first day of the year
+   * @param {number} month - Month index
+   * @param {number} day - Day of the month
+   * @returns {boolean} True if the day should be in the tab order
+   * @private
+   */
+  _isKeyboardDay(month, day) {
+    const { start, end } = getPlannerWindow(this._year, this._startMonth);
+    const inYear = (date) => date >= start && date <= end;
+
+    let target = this._keyboardDate;
+    if (!target || !inYear(target)) {
+      const today = new Date();
+      target = inYear(today) ? today : start;
+    }
+    return target.getMonth() === month && target.getDate() === day;
+  }
+
+  /**
+   * Move keyboard focus to a day cell
+   * @param {Date} date - The day to focus
+   * @private
+   */
+  _focusDay(date) {
+    const cell = this.shadowRoot.querySelector(
+      `.day-cell[data-month="${date.getMonth()}"][data-day="${date.getDate()}"]`,
+    );
+    if (!cell) return;
+
+    this.shadowRoot.querySelectorAll('.day-cell[tabindex="0"]').forEach((other) => {
+      other.tabIndex = -1;
+    });
+    cell.tabIndex = 0;
+    cell.focus();
+    this._keyboardDate = date;
+  }
+
+  /**
+   * Add handles to the edges of an event element that hold the event's first
+   * or last day, so dragging them changes the start or end date
+   * @param {HTMLElement} element - The event or segment element
+   * @param {Object} layoutEvent - The event layout data
+   * @param {HTMLElement} firstCell - First cell covered by the element
+   * @param {HTMLElement} lastCell - Last cell covered by the element
+   * @private
+   */
+  _addResizeHandles(element, layoutEvent, firstCell, lastCell) {
+    // Built-in holidays are calculated, not stored, so they can't be changed
+    if (layoutEvent.isReadOnly) return;
+
+    const { start, end } = toHalfDays(layoutEvent);
+    const firstDay = getHalfDay(this._getCellDate(firstCell));
+    const lastDay = getHalfDay(this._getCellDate(lastCell));
+
+    // Mornings are even half-days, so rounding down gives the day itself
+    if (firstDay === Math.floor(start / 2) * 2) {
+      const handle = document.createElement('span');
+      handle.className = 'resize-handle resize-start';
+      handle.dataset.dragMode = 'resize-start';
+      handle.title = 'Drag to change the start';
+      element.appendChild(handle);
+    }
+
+    if (lastDay === Math.floor((end - 1) / 2) * 2) {
+      const handle = document.createElement('span');
+      handle.className = 'resize-handle resize-end';
+      handle.dataset.dragMode = 'resize-end';
+      handle.title = 'Drag to change the end';
+      element.appendChild(handle);
+    }
+  }
+
+  /**
+   * Set up dragging of events: drag a bar to move the event keeping its
+   * length, or drag its first or last edge to change the start or end.
+   * Positions snap to half-days, so the left or right half of a day sets
+   * startsPM and endsAM. On touch screens dragging starts with a long press.
+   * @private
+   */
+  _setupEventDragging() {
+    const grid = this.shadowRoot.getElementById('grid');
+
+    grid.addEventListener('pointerdown', (e) => this._handleEventPointerDown(e));
+    grid.addEventListener('pointermove', (e) => this._handleEventPointerMove(e));
+    grid.addEventListener('pointerup', (e) => this._handleEventPointerUp(e));
+    grid.addEventListener('pointercancel', () => this._cancelEventDrag());
+    grid.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape' && this._eventDrag) {
+        this._cancelEventDrag();
+      }
+    });
+
+    grid.addEventListener(
+      'touchmove',
+      (e) => {
+        if (this._eventDrag && this._eventDrag.active) {
+          e.preventDefault();
+        }
+      },
+      { passive: false },
+    );
+    grid.addEventListener('contextmenu', (e) => {
+      if (this._eventDrag) {
+        e.preventDefault();
+      }
+    });
+  }
+
+  /**
+   * Start tracking a possible drag of an event
+   * @param {PointerEvent} e - The pointerdown event
+   * @private
+   */
+  _handleEventPointerDown(e) {
+    this._suppressEventClick = false;
+
+    const element = e.target.closest('.event, .event-segment');
+    if (e.button !== 0 || !element) return;
+
+    const layoutEvent = this._layoutEvents.find(
+      (event) => event.id === element.dataset.eventId,
+    );
+    const origin = this._getHalfDayAt(e.clientX, e.clientY);
+    if (!layoutEvent || layoutEvent.isReadOnly || origin === null) return;
+
+    const handle = e.target.closest('.resize-handle');
+
+    this._cancelEventDrag();
+    this._eventDrag = {
+      layoutEvent,
+      mode: handle ? handle.dataset.dragMode : 'move',
+      pointerId: e.pointerId,
+      pointerType: e.pointerType,
+      startX: e.clientX,
+      startY: e.clientY,
+      origin,
+      span: toHalfDays(layoutEvent),
+      preview: null,
+      active: false,
+      longPressTimer: null,
+    };
+
+    if (e.pointerType === 'touch') {
+      this._eventDrag.longPressTimer = setTimeout(
+        () => this._activateEventDrag(),
+        TIMING.LONG_PRESS_DELAY,
+      );
+    }
+  }
+
+  /**
+   * Start showing where the dragged event will land
+   * @private
+   */
+  _activateEventDrag() {
+    const drag = this._eventDrag;
+    if (!drag) return;
+
+    const grid = this.shadowRoot.getElementById('grid');
+    drag.active = true;
+    drag.preview = drag.span;
+    grid.classList.add('selecting');
+
+    // Keep receiving moves when the pointer leaves the grid
+    try {
+      grid.setPointerCapture(drag.pointerId);
+    } catch (error) {
+      // The pointer was already released
+    }
+
+    this._updateDragPreview();
+  }
+
+  /**
+   * Follow the pointer with the dragged event
+   * @param {PointerEvent} e - The pointermove event
+   * @private
+   */
+  _handleEventPointerMove(e) {
+    const drag = this._eventDrag;
+    if (!drag || e.pointerId !== drag.pointerId) return;
+
+    if (!drag.active) {
+      const distance = Math.hypot(
+        e.clientX - drag.startX,
+        e.clientY - drag.startY,
+      );
+
+      if (drag.pointerType === 'touch') {
+        // Moving before the long press completes is a scroll
+        if (distance > TOUCH_MOVE_TOLERANCE) {
+          this._cancelEventDrag();
+        }
+        return;
+      }
+
+      // Small movements while clicking are not a drag
+      if (distance < DRAG_THRESHOLD) return;
+      this._activateEventDrag();
+    }
+
+    const current = this._getHalfDayAt(e.clientX, e.clientY);
+    if (current === null) return;
+
+    const preview = this._getDraggedSpan(drag, current);
+    if (preview.start !== drag.preview.start || preview.end !== drag.preview.end) {
+      drag.preview = preview;
+      this._updateDragPreview();
+    }
+  }
+
+  /**
+   * Drop the dragged event and report its new dates
+   * @param {PointerEvent} e - The pointerup event
+   * @private
+   */
+  _handleEventPointerUp(e) {
+    const drag = this._eventDrag;
+    if (!drag || e.pointerId !== drag.pointerId) return;
+
+    this._cancelEventDrag();
+
+    // Released before the drag started: a normal click
+    if (!drag.active) return;
+
+    // The click that follows the drop should not open the editor
+    this._suppressEventClick = true;
+    this._suppressDayClick = true;
+
+    const { span, preview } = drag;
+    if (preview.start === span.start && preview.end === span.end) return;
+
+    const moveEvent = new CustomEvent('event-move', {
+      detail: {
+        eventId: drag.layoutEvent.id,
+        originalEventId: drag.layoutEvent.originalEventId || drag.layoutEvent.id,
+        ...fromHalfDays(preview.start, preview.end),
+      },
+      bubbles: true,
+      composed: true,
+    });
+    this.dispatchEvent(moveEvent);
+  }
+
+  /**
+   * Get the half-days a dragged event would cover
+   * @param {Object} drag - The drag state
+   * @param {number} current - Half-day under the pointer
+   * @returns {{start: number, end: number}} First half-day covered and the one after the last
+   * @private
+   */
+  _getDraggedSpan(drag, current) {
+    const { start, end } = drag.span;
+
+    switch (drag.mode) {
+      case 'resize-start':
+        return { start: Math.min(current, end - 1), end };
+      case 'resize-end':
+        return { start, end: Math.max(current + 1, start + 1) };
+      default: {
+        const delta = current - drag.origin;
+        return { start: start + delta, end: end + delta };
+      }
+    }
+  }
+
+  /**
+   * Stop dragging without changing the event
+   * @private
+   */
+  _cancelEventDrag() {
+    const drag = this._eventDrag;
+    if (!drag) return;
+
+    clearTimeout(drag.longPressTimer);
+    this._eventDrag = null;
+    this.shadowRoot.getElementById('grid').classList.remove('selecting');
+    this._updateDragPreview();
+  }
+
+  /**
+   * Highlight the days the dragged event will cover and fade its bars
+   * @private
+   */
+  _updateDragPreview() {
+    const drag = this._eventDrag;
+    const preview = drag && drag.active ? drag.preview : null;
+    const firstDay = preview ? Math.floor(preview.start / 2) * 2 : 0;
+    const lastDay = preview ? Math.floor((preview.end - 1) / 2) * 2 : 0;
+
+    this.shadowRoot.querySelectorAll('.day-cell[data-month]').forEach((cell) => {
+      const day = getHalfDay(this._getCellDate(cell));
+      const inside = Boolean(preview) && day >= firstDay && day <= lastDay;
+
+      cell.classList.toggle('drop-preview', inside);
+      cell.classList.toggle(
+        'drop-preview-pm',
+        inside && day === firstDay && preview.start % 2 === 1,
+      );
+      cell.classList.toggle(
+        'drop-preview-am',
+        inside && day === lastDay && preview.end % 2 === 1,
+      );
+    });
+
+    // Every bar of the event moves together
+    this.shadowRoot.querySelectorAll('.event, .event-segment').forEach((element) => {
+      element.classList.toggle(
+        'dragging',
+        Boolean(preview) && element.dataset.eventId === drag.layoutEvent.id,
+      );
+    });
+  }
+
+  /**
+   * Get the half-day under a point on the screen
+   * @param {number} clientX - Horizontal position in the viewport
+   * @param {number} clientY - Vertical position in the viewport
+   * @returns {number|null} Half-day position, or null if the point is not over a day
+   * @private
+   */
+  _getHalfDayAt(clientX, clientY) {
+    // Event bars are children of their first cell but overlap later ones, so
+    // pick the day cell whose own box contains the point
+    const cell = this.shadowRoot.elementsFromPoint(clientX, clientY).find((element) => {
+      if (!element.matches('.day-cell[data-month]')) return false;
+
+      const rect = element.getBoundingClientRect();
+      return clientX >= rect.left && clientX <= rect.right &&
+        clientY >= rect.top && clientY <= rect.bottom;
+    });
+    if (!cell) return null;
+
+    const rect = cell.getBoundingClientRect();
+    return getHalfDay(this._getCellDate(cell), clientX >= rect.left + rect.width / 2);
   }
 
   _setupEventListeners() {
@@ -1547,8 +3214,10 @@ export class YearPlannerGrid extends HTMLElement {
     }
 
     // Filter events for the current year
-    const yearStart = new Date(this._year, 0, 1);
-    const yearEnd = new Date(this._year, 11, 31, 23, 59, 59, 999);
+    const { start: yearStart, end: yearEnd } = getPlannerWindow(
+      this._year,
+      this._startMonth,
+    );
 
     const eventsInYear = this._events.filter((event) => {
       const eventStart =
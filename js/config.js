@@ -31,6 +31,54 @@ export const CALENDAR = {
   HEADER_ROW_HEIGHT: 40,
 };
 
+/**
+ * Ways the grid can lay out the year
+ */
+export const LAYOUTS = {
+  /** One row per month, days in weekday columns (GRID_DAY_COLUMNS) */
+  WEEKDAY: 'weekday',
+
+  /** One row per month, the 1st in the first column through to the 31st */
+  DAY_ALIGNED: 'day-aligned',
+
+  /** The whole year as a single row of days */
+  TIMELINE: 'timeline',
+};
+
+/**
+ * preferences.yearStart value for a planner that starts in the current
+ * month, showing the next 12 months
+ */
+export const ROLLING_YEAR_START = 'rolling';
+
+/**
+ * How imported events are combined with the stored events of the same year
+ */
+export const IMPORT_STRATEGIES = {
+  /** Add new events and update changed ones, keeping events edited here more recently */
+  MERGE_BY_ID: 'merge-by-id',
+
+  /** Add new events; import changed ones as copies next to the stored ones */
+  KEEP_BOTH: 'keep-both',
+
+  /** Make each year in the file match it, deleting stored events it doesn't have */
+  REPLACE_YEAR: 'replace-year',
+};
+
+/**
+ * Date formats read from CSV files
+ */
+export const CSV_DATE_FORMATS = {
+  /** 2025-03-31 */
+  ISO: 'YYYY-MM-DD',
+
+  /** 31/03/2025, as written in most of the world */
+  DAY_FIRST: 'DD/MM/YYYY',
+
+  /** 03/31/2025, as written in the US */
+  MONTH_FIRST: 'MM/DD/YYYY',
+};
+
 /**
  * Event display configuration
  */
@@ -80,6 +128,9 @@ export const TIMING = {
 
   /** Transition duration for CSS animations */
   TRANSITION_DURATION: 150,
+
+  /** Press duration before a touch on the grid starts selecting days */
+  LONG_PRESS_DELAY: 500,
 };
 
 /**
@@ -91,8 +142,247 @@ export const STORAGE = {
 
   /** Key suffix for events */
   EVENTS_KEY_SUFFIX: 'events_',
+
+  /** Key for user-defined categories */
+  CATEGORIES_KEY: 'categories',
+
+  /** Key for the calendars events are grouped into */
+  CALENDARS_KEY: 'calendars',
+
+  /** Key for the deleted events kept in the trash */
+  TRASH_KEY: 'trash',
+
+  /** Name of the IndexedDB database */
+  DATABASE_NAME: 'yearPlanner',
+
+  /** Schema version of the IndexedDB database */
+  DATABASE_VERSION: 2,
+
+  /**
+   * Prefix for localStorage keys of snapshots, apart from KEY_PREFIX so
+   * clearing the planner's data leaves them
+   */
+  SNAPSHOT_KEY_PREFIX: 'yearPlannerSnapshot_',
+};
+
+/**
+ * Why a snapshot of the planner's data was taken
+ */
+export const SNAPSHOT_REASONS = {
+  /** The first start of the planner on a day */
+  DAILY: 'daily',
+
+  /** Before importing a file or a shared plan */
+  IMPORT: 'import',
+
+  /** Before the Reset button deleted everything */
+  RESET: 'reset',
+
+  /** Before another snapshot was restored */
+  RESTORE: 'restore',
+};
+
+/**
+ * Automatic snapshots of the planner kept in this browser, to go back to
+ * after an import or a reset that went wrong
+ */
+export const SNAPSHOTS = {
+  /** Snapshots kept of each SNAPSHOT_REASONS kind; taking another drops the oldest */
+  KEEP: {
+    daily: 7,
+    import: 5,
+    reset: 3,
+    restore: 3,
+  },
 };
 
+/**
+ * Deleted events kept in the trash until they are restored or purged
+ */
+export const TRASH = {
+  /** Days a deleted event can be kept for, offered in the settings */
+  RETENTION_OPTIONS: [7, 30, 90, 365],
+};
+
+/**
+ * Format of stored events and export files. Bump VERSION together with a
+ * migration from the previous version in services/SchemaMigrations.js.
+ */
+export const SCHEMA = {
+  /** Version of the event format written by this version of the planner */
+  VERSION: 2,
+
+  /** Field holding the version, in event records and at the top of export files */
+  VERSION_KEY: 'schemaVersion',
+};
+
+/**
+ * Where the planner data is kept: in this browser, or on the planner server
+ * (js/serve.js) shared by a team
+ */
+export const STORAGE_BACKENDS = {
+  LOCAL: 'local',
+  SERVER: 'server',
+};
+
+/**
+ * Planner server configuration
+ */
+export const REMOTE_STORAGE = {
+  /** URL of the planner API served by js/serve.js */
+  API_URL: '/api',
+
+  /** localStorage key remembering which STORAGE_BACKENDS value this browser uses */
+  BACKEND_KEY: 'yearPlanner_storage',
+
+  /** URL parameter choosing the storage for one visit, e.g. ?storage=local */
+  URL_PARAM: 'storage',
+};
+
+/**
+ * Optional passphrase encryption of the planner kept in this browser
+ */
+export const ENCRYPTION = {
+  /** Settings key of the key record; stored unencrypted, since it is needed to unlock */
+  SETTING_KEY: 'encryption',
+
+  /** Version of the key record and encrypted export file formats */
+  VERSION: 1,
+
+  /** PBKDF2-SHA-256 iterations deriving a key from the passphrase (OWASP, 2023) */
+  ITERATIONS: 600000,
+
+  /** Shortest passphrase accepted */
+  MIN_PASSPHRASE_LENGTH: 8,
+
+  /** `format` of encrypted export files */
+  FILE_FORMAT: 'year-planner-encrypted',
+};
+
+/**
+ * Read-only links carrying a planner year in the URL fragment, so a plan can
+ * be shown to someone without a server or an export file
+ */
+export const SHARE = {
+  /** Fragment parameter holding the shared plan, as in #share=... */
+  HASH_PARAM: 'share',
+
+  /** Version of the shared plan format, raised when old links can't be read the same way */
+  VERSION: 1,
+
+  /** Link length above which some mail and chat apps cut links off */
+  LONG_URL_LENGTH: 8000,
+};
+
+/**
+ * Keeping several open tabs of the planner in step
+ */
+export const SYNC = {
+  /** BroadcastChannel on which tabs announce what they stored */
+  CHANNEL_NAME: 'yearPlanner_sync',
+
+  /** localStorage key used instead where BroadcastChannel is missing */
+  STORAGE_KEY: 'yearPlanner_sync',
+
+  /** Milliseconds during which changes are collected into one announcement */
+  BATCH_DELAY: 50,
+};
+
+/**
+ * Undo/redo history configuration
+ */
+export const HISTORY = {
+  /** Maximum number of changes that can be undone */
+  MAX_ENTRIES: 50,
+
+  /** Settings key under which the history is stored */
+  STORAGE_KEY: 'history',
+};
+
+/**
+ * Display preferences, stored together as one setting
+ */
+export const PREFERENCES = {
+  /** Settings key under which the preferences are stored */
+  STORAGE_KEY: 'preferences',
+
+  /** Preferences used until the user changes them */
+  DEFAULTS: {
+    /** First day of the week, as a JavaScript Date.getDay() value */
+    weekStart: 1,
+
+    /** Show an ISO-8601 week number row under each month */
+    showWeekNumbers: false,
+
+    /**
+     * Built-in public holidays to show, as country ("US") or country and
+     * region ("US-CA") codes from the rule sets in js/data/holidays
+     */
+    holidayRegions: [],
+
+    /** Split each month into one row per assignee, marking overlapping absences */
+    teamView: false,
+
+    /** How the grid lays out the year, one of LAYOUTS */
+    layout: 'weekday',
+
+    /**
+     * Month the planner's 12 months start in (0 = January for calendar
+     * years, 3 = April or 6 = July for fiscal years, 8 = September for
+     * academic years), or ROLLING_YEAR_START for the current month
+     */
+    yearStart: 0,
+
+    /** Days deleted events stay in the trash, one of TRASH.RETENTION_OPTIONS */
+    trashRetentionDays: 30,
+  },
+};
+
+/**
+ * Settings keys kept besides the categories and calendars, carried along
+ * whenever the planner's data moves to another storage
+ */
+export const SETTING_KEYS = [
+  PREFERENCES.STORAGE_KEY,
+  HISTORY.STORAGE_KEY,
+  STORAGE.TRASH_KEY,
+];
+
+/**
+ * Days a week can start on, as JavaScript Date.getDay() values
+ */
+export const WEEK_STARTS = {
+  SATURDAY: 6,
+  SUNDAY: 0,
+  MONDAY: 1,
+};
+
+/**
+ * Categories offered before the user has defined their own
+ */
+export const DEFAULT_CATEGORIES = [
+  { id: 'leave', name: 'Leave', color: '#4caf50', icon: '🌴' },
+  { id: 'conference', name: 'Conference', color: '#9c27b0', icon: '🎤' },
+  { id: 'release', name: 'Release', color: '#2196f3', icon: '🚀' },
+  { id: 'freeze', name: 'Freeze', color: '#607d8b', icon: '❄' },
+];
+
+/**
+ * Calendar that events without one belong to. It can be renamed but not
+ * removed, so every event always has a calendar.
+ */
+export const DEFAULT_CALENDAR_ID = 'personal';
+
+/**
+ * Calendars offered before the user has defined their own
+ */
+export const DEFAULT_CALENDARS = [
+  { id: DEFAULT_CALENDAR_ID, name: 'Personal', color: '#2196f3', visible: true, readOnly: false },
+  { id: 'team', name: 'Team', color: '#4caf50', visible: true, readOnly: false },
+  { id: 'company', name: 'Company', color: '#ff9800', visible: true, readOnly: false },
+  { id: 'school-holidays', name: 'School holidays', color: '#e91e63', visible: true, readOnly: false },
+];
+
 /**
  * Recurrence pattern types
  */
@@ -100,12 +390,21 @@ export const RECURRENCE_TYPES = {
   WEEKLY: 'weekly',
   MONTHLY: 'monthly',
   ANNUAL: 'annual',
+  /** Free-form RFC 5545 rule stored in `recurrencePattern.rrule` */
+  RRULE: 'rrule',
 };
 
 /**
- * Day of week constants (Monday = 0, Sunday = 6)
+ * Safety limit on the number of recurrence periods (days, weeks, months or
+ * years) walked when expanding a single rule
+ */
+export const MAX_RECURRENCE_PERIODS = 50000;
+
+/**
+ * Day of week constants for a Monday-first week (Monday = 0, Sunday = 6)
  * Note: JavaScript Date.getDay() returns 0 for Sunday, 6 for Saturday
- * This application uses Monday as 0 for calendar display
+ * The grid numbers columns from the configured first day of the week; use
+ * jsToAppDay() to convert for other week starts
  */
 export const DAYS = {
   MONDAY: 0,
@@ -148,6 +447,11 @@ export const MONTH_NAMES = [
  */
 export const DAY_NAMES = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
 
+/**
+ * Day names indexed by JavaScript Date.getDay() value (Sunday = 0)
+ */
+export const WEEKDAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
 /**
  * Time constants
  */
@@ -163,19 +467,31 @@ export const TIME = {
 };
 
 /**
- * Convert JavaScript day (0=Sunday) to application day (0=Monday)
+ * Convert JavaScript day (0=Sunday) to application day, the column within
+ * a week starting on `weekStart` (0 = first day of the week)
  * @param {number} jsDay - JavaScript Date.getDay() value (0-6, Sunday=0)
- * @returns {number} Application day value (0-6, Monday=0)
+ * @param {number} [weekStart=1] - First day of the week as a Date.getDay() value
+ * @returns {number} Application day value (0-6)
  */
-export function jsToAppDay(jsDay) {
-  return jsDay === 0 ? 6 : jsDay - 1;
+export function jsToAppDay(jsDay, weekStart = WEEK_STARTS.MONDAY) {
+  return (jsDay - weekStart + 7) % 7;
 }
 
 /**
- * Convert application day (0=Monday) to JavaScript day (0=Sunday)
- * @param {number} appDay - Application day value (0-6, Monday=0)
+ * Convert application day (0 = first day of the week) to JavaScript day (0=Sunday)
+ * @param {number} appDay - Application day value (0-6)
+ * @param {number} [weekStart=1] - First day of the week as a Date.getDay() value
  * @returns {number} JavaScript Date.getDay() value (0-6, Sunday=0)
  */
-export function appToJsDay(appDay) {
-  return appDay === 6 ? 0 : appDay + 1;
+export function appToJsDay(appDay, weekStart = WEEK_STARTS.MONDAY) {
+  return (appDay + weekStart) % 7;
+}
+
+/**
+ * Get the day names in display order for a week starting on `weekStart`
+ * @param {number} [weekStart=1] - First day of the week as a Date.getDay() value
+ * @returns {Array<string>} Seven short day names
+ */
+export function getDayNames(weekStart = WEEK_STARTS.MONDAY) {
+  return WEEKDAY_NAMES.map((_, appDay) => WEEKDAY_NAMES[appToJsDay(appDay, weekStart)]);
 }
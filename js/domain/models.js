@@ -2,6 +2,8 @@
  * Core domain models for Year Planner application
  */
 
+import { RECURRENCE_TYPES, DEFAULT_CALENDAR_ID, SCHEMA } from '../config.js';
+
 /**
  * Represents an event in the Year Planner
  */
@@ -16,10 +18,20 @@ class Event {
    * @param {Date} params.endDate - End date
    * @param {boolean} [params.isRecurring=false] - Whether event recurs
    * @param {Object} [params.recurrencePattern] - Pattern for recurring events
-   * @param {('weekly'|'monthly'|'annual')} [params.recurrencePattern.type] - Type of recurrence
+   * @param {('weekly'|'monthly'|'annual'|'rrule')} [params.recurrencePattern.type] - Type of recurrence
+   * @param {string} [params.recurrencePattern.rrule] - RFC 5545 rule, required for the 'rrule' type
    * @param {boolean} [params.startsPM=false] - Whether event starts in the afternoon
    * @param {boolean} [params.endsAM=false] - Whether event ends in the morning
    * @param {boolean} [params.isPublicHoliday=false] - Whether event is a public holiday
+   * @param {string|null} [params.categoryId=null] - ID of the category the event belongs to
+   * @param {string} [params.calendarId=DEFAULT_CALENDAR_ID] - ID of the calendar the event belongs to
+   * @param {string|null} [params.assignee=null] - Name of the person the event is for, used by the team view
+   * @param {string|null} [params.updatedAt=null] - When the event was last saved (ISO 8601), used to spot
+   *   conflicting edits on import
+   * @param {number} [params.schemaVersion=SCHEMA.VERSION] - Version of the stored format the fields follow,
+   *   see services/SchemaMigrations.js
+   * Any other fields, e.g. from a newer version of the planner, are kept as they are, so saving the
+   * event doesn't lose them.
    */
   constructor({
     id = crypto.randomUUID(),
@@ -32,6 +44,12 @@ class Event {
     startsPM = false,
     endsAM = false,
     isPublicHoliday = false,
+    categoryId = null,
+    calendarId = DEFAULT_CALENDAR_ID,
+    assignee = null,
+    updatedAt = null,
+    schemaVersion = SCHEMA.VERSION,
+    ...otherFields
   } = {}) {
     // Validate required fields
     if (!title) throw new Error('Event title is required');
@@ -60,7 +78,9 @@ class Event {
     if (
       isRecurring &&
       (!recurrencePattern ||
-        !['weekly', 'monthly', 'annual'].includes(recurrencePattern.type))
+        !Object.values(RECURRENCE_TYPES).includes(recurrencePattern.type) ||
+        (recurrencePattern.type === RECURRENCE_TYPES.RRULE &&
+          !/FREQ=/i.test(recurrencePattern.rrule || '')))
     ) {
       throw new Error('Valid recurrence pattern is required for recurring events');
     }
@@ -75,6 +95,17 @@ class Event {
     this.startsPM = startsPM;
     this.endsAM = endsAM;
     this.isPublicHoliday = isPublicHoliday;
+    this.categoryId = categoryId;
+    this.calendarId = calendarId || DEFAULT_CALENDAR_ID;
+    this.assignee = (assignee && String(assignee).trim()) || null;
+    this.updatedAt = updatedAt;
+    this.schemaVersion = schemaVersion;
+
+    Object.keys(otherFields).forEach((field) => {
+      if (!(field in this)) {
+        this[field] = otherFields[field];
+      }
+    });
   }
 
   /**
@@ -115,22 +146,89 @@ class Event {
       startsPM: this.startsPM,
       endsAM: this.endsAM,
       isPublicHoliday: this.isPublicHoliday,
+      categoryId: this.categoryId,
+      calendarId: this.calendarId,
+      assignee: this.assignee,
     });
   }
 }
 
 /**
- * Represents the Year Planner that contains events
+ * Represents a user-defined event category (e.g. leave, conference)
+ */
+class Category {
+  /**
+   * Create a new Category
+   * @param {Object} params - Category parameters
+   * @param {string} [params.id] - Unique identifier, auto-generated if not provided
+   * @param {string} params.name - Display name
+   * @param {string} [params.color='#2196f3'] - Bar color as a #rrggbb hex string
+   * @param {string} [params.icon=''] - Short symbol (emoji or character) shown on bars
+   */
+  constructor({ id = crypto.randomUUID(), name, color = '#2196f3', icon = '' } = {}) {
+    if (!name || !name.trim()) throw new Error('Category name is required');
+    if (!/^#[0-9a-f]{6}$/i.test(color)) {
+      throw new Error('Category color must be a hex color like #2196f3');
+    }
+
+    this.id = id;
+    this.name = name.trim();
+    this.color = color.toLowerCase();
+    this.icon = icon;
+  }
+}
+
+/**
+ * Represents a calendar: a named layer of events, such as a shared company
+ * calendar overlaid on a personal plan, that can be hidden or locked
+ */
+class Calendar {
+  /**
+   * Create a new Calendar
+   * @param {Object} params - Calendar parameters
+   * @param {string} [params.id] - Unique identifier, auto-generated if not provided
+   * @param {string} params.name - Display name
+   * @param {string} [params.color='#2196f3'] - Color as a #rrggbb hex string
+   * @param {boolean} [params.visible=true] - Whether its events are shown
+   * @param {boolean} [params.readOnly=false] - Whether its events are locked against changes
+   */
+  constructor({
+    id = crypto.randomUUID(),
+    name,
+    color = '#2196f3',
+    visible = true,
+    readOnly = false,
+  } = {}) {
+    if (!name || !name.trim()) throw new Error('Calendar name is required');
+    if (!/^#[0-9a-f]{6}$/i.test(color)) {
+      throw new Error('Calendar color must be a hex color like #2196f3');
+    }
+
+    this.id = id;
+    this.name = name.trim();
+    this.color = color.toLowerCase();
+    this.visible = visible !== false;
+    this.readOnly = readOnly === true;
+  }
+}
+
+/**
+ * Represents the Year Planner that contains events.
+ *
+ * A planner covers 12 months from `startMonth` of `year`: the calendar year
+ * by default, or e.g. April to March for a fiscal year.
  */
 class YearPlanner {
   /**
    * Create a new Year Planner
    * @param {Object} params - YearPlanner parameters
    * @param {number} [params.year=currentYear] - Year for the planner
+   * @param {number} [params.startMonth=0] - Month the planner starts in (0-11)
    * @param {Array<Event>} [params.events=[]] - Initial events
    */
-  constructor({ year = new Date().getFullYear(), events = [] } = {}) {
+  constructor({ year = new Date().getFullYear(), startMonth = 0, events = [] } = {}) {
     this.year = year;
+    this.startMonth = startMonth;
     this._events = [];
 
     // Add initial events if provided
@@ -147,6 +245,31 @@ class YearPlanner {
     return [...this._events]; // Return a copy to prevent direct modification
   }
 
+  /**
+   * Get the first and last day of the planner's 12 months
+   * @returns {{start: Date, end: Date}} First and last day at midnight
+   */
+  getBounds() {
+    return {
+      start: new Date(this.year, this.startMonth, 1),
+      end: new Date(this.year, this.startMonth + 12, 0),
+    };
+  }
+
+  /**
+   * Check whether an event belongs in the planner: it overlaps the planner's
+   * months, or it recurs and started before them, so later occurrences may
+   * fall inside
+   * @param {Event} event - Event to check
+   * @returns {boolean}
+   * @private
+   */
+  _isInPlanner(event) {
+    const { start, end } = this.getBounds();
+    if (event.startDate > end) return false;
+    return event.endDate >= start || event.isRecurring;
+  }
+
   /**
    * Add an event to the planner
    * @param {Event} event - Event to add
@@ -160,10 +283,7 @@ class YearPlanner {
     }
 
     // Check if event overlaps with the planner's year
-    const yearStart = new Date(this.year, 0, 1);
-    const yearEnd = new Date(this.year, 11, 31);
-
-    if (event.endDate < yearStart || event.startDate > yearEnd) {
+    if (!this._isInPlanner(event)) {
       throw new Error("Event is outside the planner's year");
     }
 
@@ -210,9 +330,7 @@ class YearPlanner {
     });
 
     // Check if updated event is within the year
-    const yearStart = new Date(this.year, 0, 1);
-    const yearEnd = new Date(this.year, 11, 31);
-    if (updatedEvent.endDate < yearStart || updatedEvent.startDate > yearEnd) {
+    if (!this._isInPlanner(updatedEvent)) {
       throw new Error("Updated event is outside the planner's year");
     }
 
@@ -230,6 +348,15 @@ class YearPlanner {
     return this._events.filter((event) => event.overlaps(startDate, endDate));
   }
 
+  /**
+   * Get the events belonging to a calendar
+   * @param {string} calendarId - ID of the calendar
+   * @returns {Array<Event>} Array of events in the calendar
+   */
+  getEventsInCalendar(calendarId) {
+    return this._events.filter((event) => event.calendarId === calendarId);
+  }
+
   /**
    * Get events for a specific month
    * @param {number} month - Month (0-11)
@@ -240,8 +367,10 @@ class YearPlanner {
       throw new Error('Month must be between 0 and 11');
     }
 
-    const monthStart = new Date(this.year, month, 1);
-    const monthEnd = new Date(this.year, month + 1, 0); // Last day of month
+    // Months before the start month belong to the next year
+    const year = month < this.startMonth ? this.year + 1 : this.year;
+    const monthStart = new Date(year, month, 1);
+    const monthEnd = new Date(year, month + 1, 0); // Last day of month
     return this.getEventsInRange(monthStart, monthEnd);
   }
 
@@ -254,4 +383,4 @@ class YearPlanner {
 }
 
 // Export the classes
-export { Event, YearPlanner };
+export { Event, Category, Calendar, YearPlanner };
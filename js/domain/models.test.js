@@ -2,7 +2,8 @@
  * Test script for Year Planner domain models
  */
 
-import { Event, YearPlanner } from './models.js';
+import { Event, Category, Calendar, YearPlanner } from './models.js';
+import { DEFAULT_CALENDAR_ID, SCHEMA } from '../config.js';
 
 /**
  * Run tests and log results
@@ -15,6 +16,13 @@ function runTests() {
   testEventDuration();
   testEventOverlaps();
   testEventClone();
+  testEventUnknownFields();
+
+  // Test Category class
+  testCategoryCreation();
+
+  // Test Calendar class
+  testCalendarCreation();
 
   // Test YearPlanner class
   testYearPlannerCreation();
@@ -24,6 +32,8 @@ function runTests() {
   testUpdateEvent();
   testGetEventsInRange();
   testGetEventsInMonth();
+  testGetEventsInCalendar();
+  testFiscalYearPlanner();
 
   console.log('=== All tests completed ===');
 }
@@ -180,6 +190,8 @@ function testEventClone() {
     startsPM: true,
     endsAM: false,
     isPublicHoliday: false,
+    categoryId: 'conference',
+    assignee: ' Alice ',
   });
 
   const clone = original.clone();
@@ -218,10 +230,139 @@ function testEventClone() {
     clone.isPublicHoliday === original.isPublicHoliday,
     'isPublicHoliday should match',
   );
+  console.assert(
+    clone.categoryId === original.categoryId,
+    'categoryId should match',
+  );
+  console.assert(original.assignee === 'Alice', 'Assignee should be trimmed');
+  console.assert(clone.assignee === 'Alice', 'assignee should match');
 
   console.log('Event clone tests completed');
 }
 
+function testEventUnknownFields() {
+  console.log('Testing Event fields from other versions...');
+
+  const event = new Event({
+    title: 'Offsite',
+    startDate: new Date(2025, 4, 5),
+    endDate: new Date(2025, 4, 7),
+    location: 'Lisbon',
+    reminders: [{ daysBefore: 7 }],
+    duration: 99,
+  });
+
+  console.assert(
+    event.schemaVersion === SCHEMA.VERSION,
+    'New events should follow the current schema',
+  );
+  console.assert(event.location === 'Lisbon', 'Unknown fields should be kept');
+  console.assert(
+    JSON.parse(JSON.stringify(event)).reminders[0].daysBefore === 7,
+    'Unknown fields should be serialized',
+  );
+  console.assert(
+    event.duration === 3,
+    'Unknown fields should not replace Event properties',
+  );
+
+  const newer = new Event({ ...event, schemaVersion: SCHEMA.VERSION + 1 });
+  console.assert(
+    newer.schemaVersion === SCHEMA.VERSION + 1,
+    'A newer schema version should be kept',
+  );
+
+  const planner = new YearPlanner({ year: 2025 });
+  planner.addEvent(event);
+  planner.updateEvent(event.id, { title: 'Team offsite' });
+  console.assert(
+    planner.getEvent(event.id).location === 'Lisbon',
+    'Updating an event should keep unknown fields',
+  );
+
+  console.log('Event fields from other versions tests completed');
+}
+
+function testCategoryCreation() {
+  console.log('Testing Category creation...');
+
+  const category = new Category({
+    name: '  Leave ',
+    color: '#4CAF50',
+    icon: '🌴',
+  });
+
+  console.assert(category.id, 'Category should have an ID');
+  console.assert(category.name === 'Leave', 'Category name should be trimmed');
+  console.assert(
+    category.color === '#4caf50',
+    'Category color should be normalized to lower case',
+  );
+  console.assert(category.icon === '🌴', 'Category icon should match');
+
+  const uncategorized = new Event({
+    title: 'No Category',
+    startDate: new Date(2025, 0, 1),
+    endDate: new Date(2025, 0, 1),
+  });
+  console.assert(
+    uncategorized.categoryId === null,
+    'Event categoryId should default to null',
+  );
+
+  // Test validation
+  try {
+    new Category({ name: '' });
+    console.error('Failed: Created category without a name');
+  } catch (e) {
+    console.log('Correctly rejected category without a name');
+  }
+
+  try {
+    new Category({ name: 'Bad Color', color: 'blue' });
+    console.error('Failed: Created category with a non-hex color');
+  } catch (e) {
+    console.log('Correctly rejected category with a non-hex color');
+  }
+
+  console.log('Category creation tests completed');
+}
+
+function testCalendarCreation() {
+  console.log('Testing Calendar creation...');
+
+  const calendar = new Calendar({ name: ' Company ', color: '#FF9800', readOnly: true });
+
+  console.assert(calendar.id, 'Calendar should have an ID');
+  console.assert(calendar.name === 'Company', 'Calendar name should be trimmed');
+  console.assert(calendar.color === '#ff9800', 'Calendar color should be normalized to lower case');
+  console.assert(calendar.visible === true, 'Calendar should be visible by default');
+  console.assert(calendar.readOnly === true, 'Calendar read-only flag should match');
+
+  const event = new Event({
+    title: 'No Calendar',
+    startDate: new Date(2025, 0, 1),
+    endDate: new Date(2025, 0, 1),
+  });
+  console.assert(
+    event.calendarId === DEFAULT_CALENDAR_ID,
+    'Event calendarId should default to the default calendar',
+  );
+  console.assert(
+    new Event({ ...event, calendarId: 'team' }).clone().calendarId === 'team',
+    'Cloned event should keep its calendar',
+  );
+
+  try {
+    new Calendar({ name: ' ' });
+    console.error('Failed: Created calendar without a name');
+  } catch (e) {
+    console.log('Correctly rejected calendar without a name');
+  }
+
+  console.log('Calendar creation tests completed');
+}
+
 function testYearPlannerCreation() {
   console.log('Testing YearPlanner creation...');
 
@@ -576,5 +717,56 @@ function testGetEventsInMonth() {
   console.log('YearPlanner getEventsInMonth tests completed');
 }
 
-// Run all tests
-runTests();
+function testFiscalYearPlanner() {
+  console.log('Testing YearPlanner with a fiscal year...');
+
+  const planner = new YearPlanner({ year: 2025, startMonth: 3 });
+  const { start, end } = planner.getBounds();
+  console.assert(start.getTime() === new Date(2025, 3, 1).getTime(), 'Fiscal year should start on April 1');
+  console.assert(end.getTime() === new Date(2026, 2, 31).getTime(), 'Fiscal year should end on March 31');
+
+  planner.addEvent(new Event({ title: 'Year end', startDate: new Date(2026, 2, 30), endDate: new Date(2026, 3, 2) }));
+  console.assert(planner.getEventsInMonth(2).length === 1, 'March should be the March of the next year');
+  console.assert(planner.getEventsInMonth(3).length === 0, 'April should be the April the planner starts in');
+
+  try {
+    planner.addEvent(new Event({ title: 'Too early', startDate: new Date(2025, 1, 1), endDate: new Date(2025, 1, 2) }));
+    console.error('Failed: Added event before the fiscal year');
+  } catch (e) {
+    console.log('Correctly rejected event before the fiscal year');
+  }
+
+  // A series that started earlier may still have occurrences in the year
+  planner.addEvent(new Event({
+    title: 'Standup',
+    startDate: new Date(2025, 0, 6),
+    endDate: new Date(2025, 0, 6),
+    isRecurring: true,
+    recurrencePattern: { type: 'weekly' },
+  }));
+  console.assert(planner.events.length === 2, 'Recurring events started before the year should be kept');
+
+  console.log('YearPlanner fiscal year tests completed');
+}
+
+function testGetEventsInCalendar() {
+  console.log('Testing YearPlanner getEventsInCalendar...');
+
+  const planner = new YearPlanner({ year: 2025 });
+  planner.addEvent(new Event({ title: 'Mine', startDate: new Date(2025, 0, 6), endDate: new Date(2025, 0, 6) }));
+  planner.addEvent(new Event({ title: 'Offsite', startDate: new Date(2025, 1, 3), endDate: new Date(2025, 1, 4), calendarId: 'team' }));
+
+  const team = planner.getEventsInCalendar('team');
+  console.assert(team.length === 1 && team[0].title === 'Offsite', 'Should find the team event only');
+  console.assert(planner.getEventsInCalendar(DEFAULT_CALENDAR_ID).length === 1, 'Should find the default calendar event');
+  console.assert(planner.getEventsInCalendar('company').length === 0, 'Should find no events in an empty calendar');
+
+  console.log('YearPlanner getEventsInCalendar tests completed');
+}
+
+// Export for browser environment
+if (typeof window !== 'undefined') {
+  window.runModelTests = runTests;
+}
+
+export { runTests };
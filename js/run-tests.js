@@ -8,7 +8,18 @@
  */
 
 // Polyfill for browser APIs that may be used in the tests
-global.window = {};
+global.window = {
+  location: { search: '', hash: '' },
+  addEventListener() {},
+};
+global.HTMLElement = class HTMLElement {};
+global.customElements = {
+  define() {},
+  get() {
+    return undefined;
+  },
+};
+global.requestAnimationFrame = (callback) => setTimeout(callback, 0);
 global.localStorage = new (class {
   constructor() {
     this.store = {};
@@ -69,10 +80,16 @@ global.document = {
     };
   },
   body: {
+    style: {},
+    dataset: {},
     appendChild() {}
   },
+  addEventListener() {},
   getElementById() {
     return null;
+  },
+  querySelector() {
+    return null;
   }
 };
 
@@ -87,6 +104,15 @@ global.crypto = {
   randomUUID: () => Math.random().toString(36).substring(2, 15)
 };
 
+// Fail the run when an assertion fails
+const assert = console.assert;
+console.assert = (condition, ...data) => {
+  if (!condition) {
+    process.exitCode = 1;
+  }
+  assert.call(console, condition, ...data);
+};
+
 // Import test modules (using require since this is Node.js)
 (async () => {
   try {
@@ -94,7 +120,7 @@ global.crypto = {
 
     // Run domain model tests
     console.log('\n=== Domain Model Tests ===');
-    const { runTests: runDomainTests } = await import('./domain/test-models.js');
+    const { runTests: runDomainTests } = await import('./domain/models.test.js');
     runDomainTests();
 
     // Run app tests
@@ -112,10 +138,95 @@ global.crypto = {
     const { runTests: runRecurrenceTests } = await import('./services/RecurrenceCalculator.test.js');
     runRecurrenceTests();
 
-    // Run storage adapter tests
-    console.log('\n=== Storage Adapter Tests ===');
-    const { testStorageAdapter } = await import('./infrastructure/StorageAdapter.test.js');
-    testStorageAdapter();
+    // Run holiday rule engine tests
+    console.log('\n=== Holiday Calculator Tests ===');
+    const { runTests: runHolidayTests } = await import('./services/HolidayCalculator.test.js');
+    runHolidayTests();
+
+    // Run team coverage tests
+    console.log('\n=== Team Coverage Tests ===');
+    const { runTests: runTeamCoverageTests } = await import('./services/TeamCoverageCalculator.test.js');
+    runTeamCoverageTests();
+
+    // Run import preview and merge tests
+    console.log('\n=== Import Merger Tests ===');
+    const { runTests: runImportMergerTests } = await import('./services/ImportMerger.test.js');
+    runImportMergerTests();
+
+    // Run stored event schema migration tests
+    console.log('\n=== Schema Migration Tests ===');
+    const { runTests: runSchemaMigrationTests } = await import('./services/SchemaMigrations.test.js');
+    runSchemaMigrationTests();
+
+    // Run iCalendar tests
+    console.log('\n=== iCalendar Tests ===');
+    const { runTests: runICalendarTests } = await import('./utils/ICalendar.test.js');
+    runICalendarTests();
+
+    // Run IndexedDB backend and migration tests
+    console.log('\n=== IndexedDB Storage Tests ===');
+    const { runTests: runIndexedDBStorageTests } = await import('./services/IndexedDBStorageAdapter.test.js');
+    await runIndexedDBStorageTests();
+
+    // Run localStorage backend tests
+    console.log('\n=== Local Storage Tests ===');
+    const { runTests: runLocalStorageTests } = await import('./services/LocalStorageAdapter.test.js');
+    await runLocalStorageTests();
+
+    // Run planner server backend tests
+    console.log('\n=== Remote Storage Tests ===');
+    const { runTests: runRemoteStorageTests } = await import('./services/RemoteStorageAdapter.test.js');
+    await runRemoteStorageTests();
+
+    // Run CSV tests
+    console.log('\n=== CSV Tests ===');
+    const { runTests: runCsvTests } = await import('./utils/Csv.test.js');
+    runCsvTests();
+
+    // Run share link tests
+    console.log('\n=== Share Link Tests ===');
+    const { runTests: runShareLinkTests } = await import('./utils/ShareLink.test.js');
+    await runShareLinkTests();
+
+    // Run passphrase encryption tests
+    console.log('\n=== Encryption Tests ===');
+    const { runTests: runEncryptionTests } = await import('./utils/Encryption.test.js');
+    await runEncryptionTests();
+
+    // Run date helper tests
+    console.log('\n=== Date Utility Tests ===');
+    const { runTests: runDateUtilsTests } = await import('./utils/DateUtils.test.js');
+    runDateUtilsTests();
+
+    // Run undo/redo history tests
+    console.log('\n=== Command History Tests ===');
+    const { runTests: runCommandHistoryTests } = await import('./services/CommandHistory.test.js');
+    runCommandHistoryTests();
+
+    // Run cross-tab sync tests
+    console.log('\n=== Tab Sync Tests ===');
+    const { runTests: runTabSyncTests } = await import('./services/TabSync.test.js');
+    await runTabSyncTests();
+
+    // Run encrypted storage tests
+    console.log('\n=== Encrypted Storage Tests ===');
+    const { runTests: runEncryptedStorageTests } = await import('./services/EncryptedStorageAdapter.test.js');
+    await runEncryptedStorageTests();
+
+    // Run snapshot tests
+    console.log('\n=== Snapshot Tests ===');
+    const { runTests: runSnapshotTests } = await import('./services/SnapshotManager.test.js');
+    await runSnapshotTests();
+
+    // Run trash tests
+    console.log('\n=== Trash Tests ===');
+    const { runTests: runTrashTests } = await import('./services/TrashBin.test.js');
+    await runTrashTests();
+
+    // Run planner server store tests
+    console.log('\n=== Planner Store Tests ===');
+    const { runTests: runPlannerStoreTests } = await import('./server/PlannerStore.test.js');
+    runPlannerStoreTests();
 
     console.log('\n=== All Tests Completed ===');
   } catch (error) {
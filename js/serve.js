@@ -1,16 +1,31 @@
 /**
  * Simple HTTP server for testing the Year Planner application
  * Run with: node js/serve.js
+ *
+ * Also serves the planner API under /api, so a team can share one planner by
+ * choosing "The planner server" in Settings. Data is kept in
+ * planner-data.json in the project root, or in the file named by the
+ * PLANNER_DATA_FILE environment variable.
  */
 
 const http = require('http');
 const fs = require('fs');
 const path = require('path');
+const { PlannerStore, StoreError } = require('./server/PlannerStore.js');
 
 const PORT = 3000;
 // Use project root as the base directory instead of /js
 const BASE_DIR = path.join(__dirname, '..');
 
+const DATA_FILE = path.resolve(
+  process.env.PLANNER_DATA_FILE || path.join(BASE_DIR, 'planner-data.json'),
+);
+
+// Largest request body the API accepts, e.g. an import of several years
+const MAX_BODY_SIZE = 10 * 1024 * 1024;
+
+const store = new PlannerStore(DATA_FILE).load();
+
 // MIME types for different file extensions
 const MIME_TYPES = {
   '.html': 'text/html',
@@ -32,6 +47,12 @@ const server = http.createServer((req, res) => {
   // Parse URL to handle query parameters
   const urlObj = new URL(req.url, `http://localhost:${PORT}`);
   
+  // Requests for the planner API
+  if (urlObj.pathname === '/api' || urlObj.pathname.startsWith('/api/')) {
+    handleApiRequest(req, res, urlObj.pathname);
+    return;
+  }
+  
   // Handle root URL
   let url = urlObj.pathname;
   if (url === '/') {
@@ -48,6 +69,13 @@ const server = http.createServer((req, res) => {
     return;
   }
   
+  // The planner data is only available through the API
+  if (filePath === DATA_FILE || filePath === `${DATA_FILE}.tmp`) {
+    res.statusCode = 404;
+    res.end('Not Found');
+    return;
+  }
+  
   // Check if the path is a directory
   fs.stat(filePath, (err, stats) => {
     if (err) {
@@ -154,11 +182,205 @@ const server = http.createServer((req, res) => {
   }
 });
 
+/**
+ * Send a JSON response
+ * @param {http.ServerResponse} res - The response
+ * @param {number} status - HTTP status code
+ * @param {*} [body] - Value to send; nothing is sent when undefined
+ * @param {string} [etag] - ETag header to send
+ */
+function sendJson(res, status, body, etag) {
+  res.statusCode = status;
+  res.setHeader('Cache-Control', 'no-store');
+  if (etag) {
+    res.setHeader('ETag', etag);
+  }
+  if (body === undefined) {
+    res.end();
+    return;
+  }
+  res.setHeader('Content-Type', 'application/json');
+  res.end(JSON.stringify(body));
+}
+
+/**
+ * Read and parse a JSON request body
+ * @param {http.IncomingMessage} req - The request
+ * @returns {Promise<*>} The parsed body
+ */
+function readJsonBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+
+    req.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > MAX_BODY_SIZE) {
+        reject(new StoreError(413, 'Request body too large'));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => {
+      try {
+        resolve(JSON.parse(Buffer.concat(chunks).toString('utf8')));
+      } catch (error) {
+        reject(new StoreError(400, `Invalid JSON: ${error.message}`));
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+/**
+ * Decode a segment of a request path
+ * @param {string} part - Percent-encoded path segment
+ * @returns {string} Decoded segment
+ * @throws {StoreError} 400 when the segment isn't valid percent-encoding
+ */
+function decodePathPart(part) {
+  try {
+    return decodeURIComponent(part);
+  } catch (error) {
+    throw new StoreError(400, `Invalid path segment "${part}"`);
+  }
+}
+
+/**
+ * Answer a request for the planner API:
+ *
+ *   GET    /api/years                      Years that have events
+ *   PUT    /api/years                      Replace the events of the years in the body
+ *   GET    /api/years/:year/events         Events of a year, with their ETags
+ *   PUT    /api/years/:year/events         Replace the events of a year
+ *   GET    /api/years/:year/events/:id     One event
+ *   PUT    /api/years/:year/events/:id     Create or replace an event
+ *   DELETE /api/years/:year/events/:id     Delete an event
+ *   GET    /api/settings/:key              A setting
+ *   PUT    /api/settings/:key              Save a setting
+ *   DELETE /api/data                       Delete everything
+ *
+ * Writes honour If-Match and If-None-Match and answer 412 Precondition
+ * Failed when the data changed since the client read it.
+ * @param {http.IncomingMessage} req - The request
+ * @param {http.ServerResponse} res - The response
+ * @param {string} pathname - Request path
+ */
+async function handleApiRequest(req, res, pathname) {
+  const conditions = {
+    ifMatch: req.headers['if-match'],
+    ifNoneMatch: req.headers['if-none-match'],
+  };
+  const method = req.method;
+
+  try {
+    const parts = pathname
+      .split('/')
+      .filter(Boolean)
+      .slice(1)
+      .map((part) => decodePathPart(part));
+
+    if (parts[0] === 'years' && parts.length === 1) {
+      if (method === 'GET') {
+        sendJson(res, 200, store.getYears());
+        return;
+      }
+      if (method === 'PUT') {
+        sendJson(res, 200, store.replaceYears(await readJsonBody(req)));
+        return;
+      }
+    }
+
+    if (parts[0] === 'years' && parts[2] === 'events') {
+      const year = Number(parts[1]);
+      if (!Number.isInteger(year)) {
+        throw new StoreError(400, `Invalid year "${parts[1]}"`);
+      }
+
+      if (parts.length === 3) {
+        if (method === 'GET') {
+          const { events, etags, etag } = store.getYear(year);
+          sendJson(res, 200, { events, etags }, etag);
+          return;
+        }
+        if (method === 'PUT') {
+          const etags = store.replaceYears(
+            { [year]: await readJsonBody(req) },
+            conditions,
+          );
+          sendJson(res, 204, undefined, etags[year]);
+          return;
+        }
+      }
+
+      if (parts.length === 4) {
+        const id = parts[3];
+        if (method === 'GET') {
+          const stored = store.getEvent(year, id);
+          if (!stored) {
+            throw new StoreError(404, 'Event not found');
+          }
+          sendJson(res, 200, stored.event, stored.etag);
+          return;
+        }
+        if (method === 'PUT') {
+          const event = await readJsonBody(req);
+          const { etag, created } = store.putEvent(year, id, event, conditions);
+          sendJson(res, created ? 201 : 200, event, etag);
+          return;
+        }
+        if (method === 'DELETE') {
+          store.deleteEvent(year, id, conditions);
+          sendJson(res, 204);
+          return;
+        }
+      }
+    }
+
+    if (parts[0] === 'settings' && parts.length === 2) {
+      if (method === 'GET') {
+        const stored = store.getSetting(parts[1]);
+        if (!stored) {
+          throw new StoreError(404, 'Setting not found');
+        }
+        sendJson(res, 200, stored.value, stored.etag);
+        return;
+      }
+      if (method === 'PUT') {
+        const etag = store.putSetting(
+          parts[1],
+          await readJsonBody(req),
+          conditions,
+        );
+        sendJson(res, 204, undefined, etag);
+        return;
+      }
+    }
+
+    if (parts[0] === 'data' && parts.length === 1 && method === 'DELETE') {
+      store.clear();
+      sendJson(res, 204);
+      return;
+    }
+
+    throw new StoreError(404, `No API route for ${method} ${pathname}`);
+  } catch (error) {
+    if (error instanceof StoreError) {
+      sendJson(res, error.status, { error: error.message });
+    } else {
+      console.error(`API error: ${error}`);
+      sendJson(res, 500, { error: 'Internal Server Error' });
+    }
+  }
+}
+
 // Start the server
 server.listen(PORT, () => {
   console.log(`Server running at http://localhost:${PORT}/`);
   console.log(`- Main application: http://localhost:${PORT}/`);
   console.log(`- Test grid component: http://localhost:${PORT}/test-grid.html`);
   console.log(`- Test suite: http://localhost:${PORT}/run-tests.html`);
+  console.log(`- Planner API: http://localhost:${PORT}/api (data in ${DATA_FILE})`);
   console.log(`\nPress Ctrl+C to stop`);
 });
@@ -0,0 +1,391 @@
+/**
+ * PlannerStore.js - Shared planner data kept by serve.js in a JSON file
+ *
+ * Holds every event by ID and every setting by key, and writes the whole
+ * file after each change. Each event, year and setting has an ETag derived
+ * from its content, so a client can send the ETag it last saw with If-Match
+ * and have its write refused when someone else changed the data since.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Error carrying the HTTP status the API should answer with
+ */
+class StoreError extends Error {
+  /**
+   * @param {number} status - HTTP status code
+   * @param {string} message - Explanation for the client
+   */
+  constructor(status, message) {
+    super(message);
+    this.name = 'StoreError';
+    this.status = status;
+  }
+}
+
+/**
+ * Compute the ETag of a JSON-serializable value
+ * @param {*} value - Value to tag
+ * @returns {string} Quoted strong ETag
+ * @private
+ */
+function computeEtag(value) {
+  const hash = crypto
+    .createHash('sha1')
+    .update(JSON.stringify(value))
+    .digest('base64url');
+  return `"${hash}"`;
+}
+
+/**
+ * Check an If-Match header against the current ETag
+ * @param {string} header - Header value: "*" or a list of ETags
+ * @param {string|null} etag - ETag of the current value, or null if there is none
+ * @returns {boolean} True if the condition holds
+ * @private
+ */
+function ifMatchHolds(header, etag) {
+  if (etag === null) return false;
+  if (header.trim() === '*') return true;
+  return header
+    .split(',')
+    .map((tag) => tag.trim().replace(/^W\//, ''))
+    .includes(etag);
+}
+
+/**
+ * Refuse a write whose preconditions don't hold
+ * @param {Object} conditions - Request preconditions
+ * @param {string} [conditions.ifMatch] - If-Match header
+ * @param {string} [conditions.ifNoneMatch] - If-None-Match header
+ * @param {string|null} etag - ETag of the current value, or null if there is none
+ * @throws {StoreError} 412 when a precondition fails
+ * @private
+ */
+function checkPreconditions({ ifMatch, ifNoneMatch } = {}, etag) {
+  if (ifMatch && !ifMatchHolds(ifMatch, etag)) {
+    throw new StoreError(412, 'Changed since it was loaded');
+  }
+  if (ifNoneMatch && etag !== null) {
+    if (ifNoneMatch.trim() === '*' || ifMatchHolds(ifNoneMatch, etag)) {
+      throw new StoreError(412, 'Already exists');
+    }
+  }
+}
+
+/**
+ * Get every year an event overlaps. Dates are stored as UTC midnight.
+ * @param {Object} event - Event with ISO startDate and endDate
+ * @returns {Array<number>} Years from the start year to the end year
+ * @private
+ */
+function getEventYears(event) {
+  const years = [];
+  const startYear = new Date(event.startDate).getUTCFullYear();
+  const endYear = new Date(event.endDate).getUTCFullYear();
+
+  for (let year = startYear; year <= endYear; year++) {
+    years.push(year);
+  }
+
+  return years;
+}
+
+/**
+ * Explain why event data can't be stored
+ * @param {*} event - Event data from a request
+ * @returns {string|null} The problem, or null if the event is valid
+ * @private
+ */
+function getEventError(event) {
+  if (!event || typeof event !== 'object' || Array.isArray(event)) {
+    return 'Event must be an object';
+  }
+  for (const field of ['id', 'title', 'startDate', 'endDate']) {
+    if (event[field] === undefined) {
+      return `Missing ${field}`;
+    }
+  }
+  if (typeof event.id !== 'string' || event.id === '') {
+    return 'Invalid id';
+  }
+  if (isNaN(new Date(event.startDate).getTime())) {
+    return `Invalid start date "${event.startDate}"`;
+  }
+  if (isNaN(new Date(event.endDate).getTime())) {
+    return `Invalid end date "${event.endDate}"`;
+  }
+  if (new Date(event.endDate) < new Date(event.startDate)) {
+    return 'End date is before start date';
+  }
+  return null;
+}
+
+class PlannerStore {
+  /**
+   * @param {string} filePath - JSON file the data is kept in
+   */
+  constructor(filePath) {
+    this.filePath = filePath;
+    this.events = new Map();
+    this.settings = new Map();
+  }
+
+  /**
+   * Read the data file, starting empty if it doesn't exist yet
+   * @returns {PlannerStore} This store
+   */
+  load() {
+    if (!fs.existsSync(this.filePath)) {
+      return this;
+    }
+
+    const data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+    this.events = new Map(
+      (data.events || []).map((event) => [event.id, event]),
+    );
+    this.settings = new Map(Object.entries(data.settings || {}));
+    return this;
+  }
+
+  /**
+   * Get the years that have events
+   * @returns {Array<number>} Years in ascending order
+   */
+  getYears() {
+    const years = new Set();
+    this.events.forEach((event) => {
+      getEventYears(event).forEach((year) => years.add(year));
+    });
+    return [...years].sort((a, b) => a - b);
+  }
+
+  /**
+   * Get the events overlapping a year
+   * @param {number} year - The year
+   * @returns {{events: Array<Object>, etags: Object<string, string>, etag: string}}
+   *   The events, the ETag of each by ID, and the ETag of the whole year
+   */
+  getYear(year) {
+    const events = this._getYearEvents(year);
+    const etags = {};
+    events.forEach((event) => {
+      etags[event.id] = computeEtag(event);
+    });
+    return { events, etags, etag: computeEtag(events) };
+  }
+
+  /**
+   * Get one event of a year
+   * @param {number} year - A year the event overlaps
+   * @param {string} id - Event ID
+   * @returns {{event: Object, etag: string}|null} The event, or null if the
+   *   year has no event with the ID
+   */
+  getEvent(year, id) {
+    const event = this.events.get(id);
+    if (!event || !getEventYears(event).includes(year)) {
+      return null;
+    }
+    return { event, etag: computeEtag(event) };
+  }
+
+  /**
+   * Create or replace an event
+   * @param {number} year - A year the event overlaps
+   * @param {string} id - Event ID
+   * @param {Object} event - Event data
+   * @param {Object} [conditions] - If-Match and If-None-Match headers
+   * @returns {{etag: string, created: boolean}} The event's new ETag, and
+   *   whether it didn't exist before
+   * @throws {StoreError} 400 for invalid data, 412 when a precondition fails
+   */
+  putEvent(year, id, event, conditions) {
+    const error = getEventError(event);
+    if (error) {
+      throw new StoreError(400, error);
+    }
+    if (event.id !== id) {
+      throw new StoreError(400, `Event ID "${event.id}" doesn't match the URL`);
+    }
+    if (!getEventYears(event).includes(year)) {
+      throw new StoreError(400, `Event doesn't overlap ${year}`);
+    }
+
+    const stored = this.events.get(id);
+    checkPreconditions(conditions, stored ? computeEtag(stored) : null);
+
+    this._update(() => this.events.set(id, event));
+    return { etag: computeEtag(event), created: !stored };
+  }
+
+  /**
+   * Delete an event
+   * @param {number} year - A year the event overlaps
+   * @param {string} id - Event ID
+   * @param {Object} [conditions] - If-Match header
+   * @throws {StoreError} 404 if the year has no such event, 412 when a
+   *   precondition fails
+   */
+  deleteEvent(year, id, conditions) {
+    const stored = this.getEvent(year, id);
+    if (!stored) {
+      throw new StoreError(404, 'Event not found');
+    }
+    checkPreconditions(conditions, stored.etag);
+
+    this._update(() => this.events.delete(id));
+  }
+
+  /**
+   * Replace every event of several years at once
+   * @param {Object<string, Array<Object>>} eventsByYear - Events for each year
+   * @param {Object} [conditions] - If-Match header, only allowed with one
+   *   year, checked against that year's ETag
+   * @returns {Object<string, string>} The new ETag of each year
+   * @throws {StoreError} 400 for invalid data, 412 when a precondition fails
+   */
+  replaceYears(eventsByYear, conditions = {}) {
+    if (
+      !eventsByYear ||
+      typeof eventsByYear !== 'object' ||
+      Array.isArray(eventsByYear)
+    ) {
+      throw new StoreError(400, 'Expected events by year');
+    }
+
+    const years = Object.keys(eventsByYear).map(Number);
+    if (years.some((year) => !Number.isInteger(year))) {
+      throw new StoreError(400, 'Years must be whole numbers');
+    }
+    for (const year of years) {
+      const events = eventsByYear[year];
+      if (!Array.isArray(events)) {
+        throw new StoreError(400, `Events for ${year} must be a list`);
+      }
+      for (const event of events) {
+        const error = getEventError(event);
+        if (error) {
+          throw new StoreError(400, `${year}: ${error}`);
+        }
+      }
+    }
+    if (conditions.ifMatch) {
+      if (years.length !== 1) {
+        throw new StoreError(400, 'If-Match needs exactly one year');
+      }
+      checkPreconditions(conditions, this.getYear(years[0]).etag);
+    }
+
+    this._update(() => {
+      years.forEach((year) => {
+        this._getYearEvents(year).forEach((event) =>
+          this.events.delete(event.id),
+        );
+      });
+      years.forEach((year) => {
+        eventsByYear[year].forEach((event) => this.events.set(event.id, event));
+      });
+    });
+
+    const etags = {};
+    years.forEach((year) => {
+      etags[year] = this.getYear(year).etag;
+    });
+    return etags;
+  }
+
+  /**
+   * Get a setting
+   * @param {string} key - Setting key
+   * @returns {{value: *, etag: string}|null} The value, or null if unset
+   */
+  getSetting(key) {
+    if (!this.settings.has(key)) {
+      return null;
+    }
+    const value = this.settings.get(key);
+    return { value, etag: computeEtag(value) };
+  }
+
+  /**
+   * Save a setting
+   * @param {string} key - Setting key
+   * @param {*} value - JSON value
+   * @param {Object} [conditions] - If-Match and If-None-Match headers
+   * @returns {string} The setting's new ETag
+   * @throws {StoreError} 412 when a precondition fails
+   */
+  putSetting(key, value, conditions) {
+    const stored = this.getSetting(key);
+    checkPreconditions(conditions, stored ? stored.etag : null);
+
+    this._update(() => this.settings.set(key, value));
+    return computeEtag(value);
+  }
+
+  /**
+   * Delete every event and setting
+   */
+  clear() {
+    this._update(() => {
+      this.events.clear();
+      this.settings.clear();
+    });
+  }
+
+  /**
+   * Get the stored events overlapping a year, in ID order so the year's
+   * ETag doesn't depend on the order they were saved in
+   * @param {number} year - The year
+   * @returns {Array<Object>} The events
+   * @private
+   */
+  _getYearEvents(year) {
+    return [...this.events.values()]
+      .filter((event) => getEventYears(event).includes(year))
+      .sort((a, b) => (a.id < b.id ? -1 : a.id > b.id ? 1 : 0));
+  }
+
+  /**
+   * Apply a change and write it to the data file, undoing it in memory if
+   * the file can't be written
+   * @param {Function} change - Changes the events or settings
+   * @private
+   */
+  _update(change) {
+    const events = new Map(this.events);
+    const settings = new Map(this.settings);
+
+    change();
+    try {
+      this._save();
+    } catch (error) {
+      this.events = events;
+      this.settings = settings;
+      throw error;
+    }
+  }
+
+  /**
+   * Write the data file. The data is written to a temporary file first and
+   * moved over the old one, so a crash can't leave half a file.
+   * @private
+   */
+  _save() {
+    const data = {
+      events: [...this.events.values()],
+      settings: Object.fromEntries(this.settings),
+    };
+    const tempPath = `${this.filePath}.tmp`;
+
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    fs.writeFileSync(tempPath, JSON.stringify(data, null, 2));
+    fs.renameSync(tempPath, this.filePath);
+  }
+}
+
+module.exports = { PlannerStore, StoreError };
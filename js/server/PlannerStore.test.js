@@ -0,0 +1,201 @@
+/**
+ * PlannerStore.test.js - Tests for the planner server's data store
+ *
+ * Covers ETag preconditions on events, years and settings, replacing years,
+ * and that the data survives a restart. Runs in Node only, like the server.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { PlannerStore, StoreError } = require('./PlannerStore.js');
+
+/**
+ * Build an event as the browser sends it
+ * @param {string} id - Event ID
+ * @param {string} startDate - First day, YYYY-MM-DD
+ * @param {string} [endDate] - Last day, YYYY-MM-DD
+ * @param {string} [title] - Event title
+ * @returns {Object} Event data with ISO dates
+ */
+function makeEvent(id, startDate, endDate = startDate, title = id) {
+  return {
+    id,
+    title,
+    startDate: `${startDate}T00:00:00.000Z`,
+    endDate: `${endDate}T00:00:00.000Z`,
+  };
+}
+
+/**
+ * Get the status a store call fails with
+ * @param {Function} call - Store call expected to throw
+ * @returns {number|null} The StoreError status, or null if it didn't throw one
+ */
+function failureStatus(call) {
+  try {
+    call();
+  } catch (error) {
+    return error instanceof StoreError ? error.status : null;
+  }
+  return null;
+}
+
+/**
+ * Create a store writing to a new temporary directory
+ * @returns {PlannerStore} Empty store
+ */
+function createStore() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'planner-store-'));
+  return new PlannerStore(path.join(dir, 'planner-data.json')).load();
+}
+
+/**
+ * Delete the temporary directory of a store created by createStore()
+ * @param {PlannerStore} store - Store to remove
+ */
+function removeStore(store) {
+  fs.rmSync(path.dirname(store.filePath), { recursive: true, force: true });
+}
+
+/**
+ * Run tests and log results
+ */
+function runTests() {
+  console.log('=== Running PlannerStore tests ===');
+
+  testEvents();
+  testPreconditions();
+  testReplaceYears();
+  testSettings();
+  testPersistence();
+
+  console.log('=== All PlannerStore tests completed ===');
+}
+
+/**
+ * Test storing events and finding them through every year they overlap
+ */
+function testEvents() {
+  console.log('Testing events...');
+
+  const store = createStore();
+  const { created } = store.putEvent(2025, 'winter', makeEvent('winter', '2025-12-22', '2026-01-02'));
+  console.assert(created, 'A new event should be reported as created');
+  console.assert(store.getYears().join() === '2025,2026', 'Events should be found in every year they overlap');
+  console.assert(store.getEvent(2026, 'winter') !== null, 'An event should be found through its end year');
+  console.assert(store.getEvent(2024, 'winter') === null, 'An event should not be found through other years');
+
+  const { events, etags, etag } = store.getYear(2026);
+  console.assert(events.length === 1 && etags.winter, 'A year should list its events with their ETags');
+  console.assert(/^"[^"]+"$/.test(etag), `ETags should be quoted, got ${etag}`);
+
+  console.assert(failureStatus(() => store.putEvent(2024, 'winter', makeEvent('winter', '2025-12-22'))) === 400, 'Saving through a year the event misses should be refused');
+  console.assert(failureStatus(() => store.putEvent(2025, 'other', makeEvent('winter', '2025-12-22'))) === 400, 'The ID should match the URL');
+  console.assert(failureStatus(() => store.putEvent(2025, 'bad', { id: 'bad', title: 'Bad', startDate: 'soon', endDate: 'later' })) === 400, 'Invalid dates should be refused');
+  console.assert(failureStatus(() => store.deleteEvent(2025, 'missing')) === 404, 'Deleting a missing event should answer 404');
+
+  removeStore(store);
+
+  console.log('Event tests completed');
+}
+
+/**
+ * Test that writes based on an outdated copy are refused
+ */
+function testPreconditions() {
+  console.log('Testing preconditions...');
+
+  const store = createStore();
+  const first = store.putEvent(2025, 'a', makeEvent('a', '2025-03-01')).etag;
+  const second = store.putEvent(2025, 'a', makeEvent('a', '2025-03-01', '2025-03-01', 'Renamed'), { ifMatch: first }).etag;
+  console.assert(second !== first, 'Changing an event should change its ETag');
+
+  console.assert(failureStatus(() => store.putEvent(2025, 'a', makeEvent('a', '2025-03-02'), { ifMatch: first })) === 412, 'Saving over a newer version should be refused');
+  console.assert(store.getEvent(2025, 'a').event.title === 'Renamed', 'A refused save should change nothing');
+  console.assert(failureStatus(() => store.deleteEvent(2025, 'a', { ifMatch: first })) === 412, 'Deleting a newer version should be refused');
+  console.assert(failureStatus(() => store.putEvent(2025, 'a', makeEvent('a', '2025-03-01'), { ifNoneMatch: '*' })) === 412, 'If-None-Match: * should refuse to overwrite');
+  console.assert(failureStatus(() => store.putEvent(2025, 'b', makeEvent('b', '2025-03-01'), { ifMatch: '*' })) === 412, 'If-Match: * should need an existing event');
+
+  store.putEvent(2025, 'a', makeEvent('a', '2025-03-05'), { ifMatch: `W/${second}, "other"` });
+  console.assert(store.getEvent(2025, 'a').event.startDate.startsWith('2025-03-05'), 'Any ETag in the list should match');
+
+  store.deleteEvent(2025, 'a', { ifMatch: store.getEvent(2025, 'a').etag });
+  console.assert(store.getEvent(2025, 'a') === null, 'Deleting the current version should work');
+
+  removeStore(store);
+
+  console.log('Precondition tests completed');
+}
+
+/**
+ * Test replacing all events of some years at once
+ */
+function testReplaceYears() {
+  console.log('Testing replacing years...');
+
+  const store = createStore();
+  store.putEvent(2025, 'old', makeEvent('old', '2025-05-01'));
+  store.putEvent(2025, 'span', makeEvent('span', '2025-12-30', '2026-01-02'));
+  store.putEvent(2027, 'kept', makeEvent('kept', '2027-05-01'));
+
+  const etags = store.replaceYears({ 2025: [makeEvent('new', '2025-06-01')] });
+  console.assert(etags[2025] === store.getYear(2025).etag, 'The new ETag of each year should be returned');
+  console.assert(store.getYear(2025).events.map((event) => event.id).join() === 'new', 'A replaced year should hold only the given events');
+  console.assert(store.getYear(2026).events.length === 0, 'Events overlapping a replaced year should be replaced too');
+  console.assert(store.getEvent(2027, 'kept') !== null, 'Other years should be kept');
+
+  const stale = store.getYear(2027).etag;
+  store.putEvent(2027, 'added', makeEvent('added', '2027-07-01'));
+  console.assert(failureStatus(() => store.replaceYears({ 2027: [] }, { ifMatch: stale })) === 412, 'Replacing a year changed since should be refused');
+  console.assert(failureStatus(() => store.replaceYears({ 2025: [{ id: 'x' }] })) === 400, 'Invalid events should be refused');
+  console.assert(store.getYear(2025).events.length === 1, 'A refused replace should change nothing');
+
+  removeStore(store);
+
+  console.log('Replace years tests completed');
+}
+
+/**
+ * Test settings and their preconditions
+ */
+function testSettings() {
+  console.log('Testing settings...');
+
+  const store = createStore();
+  console.assert(store.getSetting('categories') === null, 'Unset settings should be null');
+
+  const etag = store.putSetting('categories', [{ id: 'leave' }]);
+  console.assert(store.getSetting('categories').etag === etag, 'The saved ETag should be returned');
+  store.putSetting('categories', [{ id: 'travel' }], { ifMatch: etag });
+  console.assert(failureStatus(() => store.putSetting('categories', [], { ifMatch: etag })) === 412, 'Saving over a newer setting should be refused');
+
+  store.clear();
+  console.assert(store.getSetting('categories') === null && store.getYears().length === 0, 'Clearing should remove everything');
+
+  removeStore(store);
+
+  console.log('Settings tests completed');
+}
+
+/**
+ * Test that the data is read back after a restart
+ */
+function testPersistence() {
+  console.log('Testing persistence...');
+
+  const store = createStore();
+  store.putEvent(2025, 'a', makeEvent('a', '2025-03-01'));
+  store.putSetting('calendars', [{ id: 'team' }]);
+
+  const restarted = new PlannerStore(store.filePath).load();
+  console.assert(restarted.getEvent(2025, 'a').etag === store.getEvent(2025, 'a').etag, 'Events should survive a restart unchanged');
+  console.assert(restarted.getSetting('calendars').value[0].id === 'team', 'Settings should survive a restart');
+  console.assert(!fs.existsSync(`${store.filePath}.tmp`), 'No temporary file should be left behind');
+
+  removeStore(store);
+
+  console.log('Persistence tests completed');
+}
+
+module.exports = { runTests };
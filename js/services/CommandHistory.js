@@ -0,0 +1,210 @@
+/**
+ * CommandHistory.js - Undo/redo history for planner changes
+ *
+ * Every change to the planner is recorded as an entry holding the events,
+ * categories and calendars it touched, as they were before and after the change. Undoing an
+ * entry restores the "before" side and redoing it restores the "after" side,
+ * so each entry is its own inverse and the history is plain data that can be
+ * stored between sessions.
+ */
+
+import { HISTORY } from '../config.js';
+
+/**
+ * Convert a value to plain JSON data, turning Dates into ISO strings
+ * @param {*} value - Value to convert
+ * @returns {*} Plain copy of the value
+ * @private
+ */
+function toPlainData(value) {
+  return value === undefined ? null : JSON.parse(JSON.stringify(value));
+}
+
+/**
+ * Compare a list such as the categories before and after a change
+ * @param {Array|undefined} before - List before the change
+ * @param {Array|undefined} after - List after the change
+ * @returns {{before: Array|null, after: Array|null}|null} Both sides, or null if unchanged
+ * @private
+ */
+function diffList(before, after) {
+  const previous = toPlainData(before);
+  const next = toPlainData(after);
+  return JSON.stringify(previous) !== JSON.stringify(next)
+    ? { before: previous, after: next }
+    : null;
+}
+
+export class CommandHistory {
+  /**
+   * Create a history
+   * @param {Object} [options] - History options
+   * @param {number} [options.limit=HISTORY.MAX_ENTRIES] - Maximum number of undoable entries
+   * @param {Array<Object>} [options.undoStack=[]] - Entries that can be undone, oldest first
+   * @param {Array<Object>} [options.redoStack=[]] - Entries that can be redone, most recently undone last
+   */
+  constructor({
+    limit = HISTORY.MAX_ENTRIES,
+    undoStack = [],
+    redoStack = [],
+  } = {}) {
+    this.limit = limit;
+    this.undoStack = undoStack.slice(-limit);
+    this.redoStack = redoStack.slice(-limit);
+  }
+
+  /**
+   * Build a history entry from snapshots taken before and after a change
+   * @param {string} label - Description of the change, e.g. "Delete Team offsite"
+   * @param {Object} before - State before the change
+   * @param {Array<Object>} before.events - Every stored event
+   * @param {Array<Object>} [before.categories] - The category list
+   * @param {Array<Object>} [before.calendars] - The calendar list
+   * @param {Object} after - State after the change, in the same shape
+   * @returns {Object|null} The entry, or null if nothing changed
+   */
+  static createEntry(label, before, after) {
+    const beforeEvents = new Map(
+      before.events.map((event) => [event.id, toPlainData(event)]),
+    );
+    const afterEvents = new Map(
+      after.events.map((event) => [event.id, toPlainData(event)]),
+    );
+
+    const events = [];
+    const ids = new Set([...beforeEvents.keys(), ...afterEvents.keys()]);
+
+    for (const id of ids) {
+      const previous = beforeEvents.get(id) || null;
+      const next = afterEvents.get(id) || null;
+
+      if (JSON.stringify(previous) !== JSON.stringify(next)) {
+        events.push({ id, before: previous, after: next });
+      }
+    }
+
+    const categories = diffList(before.categories, after.categories);
+    const calendars = diffList(before.calendars, after.calendars);
+
+    if (events.length === 0 && !categories && !calendars) {
+      return null;
+    }
+
+    return {
+      label,
+      timestamp: new Date().toISOString(),
+      events,
+      categories,
+      calendars,
+    };
+  }
+
+  /**
+   * Record a change. Recording discards anything that could be redone, and
+   * drops the oldest entry once the limit is reached.
+   * @param {Object} entry - Entry created by createEntry
+   */
+  record(entry) {
+    this.undoStack.push(entry);
+    if (this.undoStack.length > this.limit) {
+      this.undoStack.shift();
+    }
+    this.redoStack = [];
+  }
+
+  /**
+   * Check whether there is a change to undo
+   * @returns {boolean} True if undo() would return an entry
+   */
+  canUndo() {
+    return this.undoStack.length > 0;
+  }
+
+  /**
+   * Check whether there is an undone change to redo
+   * @returns {boolean} True if redo() would return an entry
+   */
+  canRedo() {
+    return this.redoStack.length > 0;
+  }
+
+  /**
+   * Get the change that undo() would revert, without moving it
+   * @returns {Object|null} The entry, or null if there is nothing to undo
+   */
+  peekUndo() {
+    return this.undoStack[this.undoStack.length - 1] || null;
+  }
+
+  /**
+   * Get the change that redo() would reapply, without moving it
+   * @returns {Object|null} The entry, or null if there is nothing to redo
+   */
+  peekRedo() {
+    return this.redoStack[this.redoStack.length - 1] || null;
+  }
+
+  /**
+   * Move the most recent change to the redo stack. The caller restores the
+   * entry's "before" state.
+   * @returns {Object|null} The entry to revert, or null if there is nothing to undo
+   */
+  undo() {
+    const entry = this.undoStack.pop();
+    if (!entry) return null;
+
+    this.redoStack.push(entry);
+    return entry;
+  }
+
+  /**
+   * Move the most recently undone change back to the undo stack. The caller
+   * restores the entry's "after" state.
+   * @returns {Object|null} The entry to reapply, or null if there is nothing to redo
+   */
+  redo() {
+    const entry = this.redoStack.pop();
+    if (!entry) return null;
+
+    this.undoStack.push(entry);
+    return entry;
+  }
+
+  /**
+   * Forget every recorded change
+   */
+  clear() {
+    this.undoStack = [];
+    this.redoStack = [];
+  }
+
+  /**
+   * Convert the history to plain data for storage
+   * @returns {Object} Plain object representation
+   */
+  toJSON() {
+    return { undoStack: this.undoStack, redoStack: this.redoStack };
+  }
+
+  /**
+   * Restore a history from stored data
+   * @param {Object|null} data - Data produced by toJSON
+   * @param {number} [limit=HISTORY.MAX_ENTRIES] - Maximum number of undoable entries
+   * @returns {CommandHistory} The restored history, empty if data is missing or malformed
+   */
+  static fromJSON(data, limit = HISTORY.MAX_ENTRIES) {
+    if (
+      !data ||
+      !Array.isArray(data.undoStack) ||
+      !Array.isArray(data.redoStack)
+    ) {
+      return new CommandHistory({ limit });
+    }
+
+    return new CommandHistory({
+      limit,
+      undoStack: data.undoStack,
+      redoStack: data.redoStack,
+    });
+  }
+}
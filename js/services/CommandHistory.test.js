@@ -0,0 +1,179 @@
+/**
+ * CommandHistory.test.js - Tests for the undo/redo history
+ *
+ * This test suite covers building entries from before/after snapshots,
+ * moving entries between the undo and redo stacks, the size limit, and
+ * restoring a stored history.
+ */
+
+import { CommandHistory } from './CommandHistory.js';
+
+const offsite = {
+  id: 'offsite',
+  title: 'Team offsite',
+  startDate: new Date(Date.UTC(2025, 3, 14)),
+  endDate: new Date(Date.UTC(2025, 3, 16)),
+};
+
+const launch = {
+  id: 'launch',
+  title: 'Launch',
+  startDate: new Date(Date.UTC(2025, 5, 2)),
+  endDate: new Date(Date.UTC(2025, 5, 2)),
+};
+
+/**
+ * Run tests and log results
+ */
+function runTests() {
+  console.log('=== Running CommandHistory tests ===');
+
+  testCreateEntry();
+  testUndoRedo();
+  testLimit();
+  testPersistence();
+
+  console.log('=== All CommandHistory tests completed ===');
+}
+
+/**
+ * Test that entries contain only what changed
+ */
+function testCreateEntry() {
+  console.log('Testing entry creation...');
+
+  const categories = [{ id: 'release', name: 'Release' }];
+  const renamed = { ...offsite, title: 'Team offsite (moved)' };
+
+  const entry = CommandHistory.createEntry(
+    'Import data',
+    { events: [offsite, launch], categories },
+    { events: [renamed], categories },
+  );
+
+  console.assert(entry.label === 'Import data', 'Entry should keep its label');
+  console.assert(entry.events.length === 2, `Two events should have changed, got ${entry.events.length}`);
+  console.assert(entry.categories === null, 'Unchanged categories should not be recorded');
+
+  const edited = entry.events.find((change) => change.id === 'offsite');
+  console.assert(edited.before.title === 'Team offsite', 'Edit should keep the previous version');
+  console.assert(edited.after.title === 'Team offsite (moved)', 'Edit should keep the new version');
+  console.assert(typeof edited.before.startDate === 'string', 'Dates should be stored as plain strings');
+
+  const removed = entry.events.find((change) => change.id === 'launch');
+  console.assert(removed.after === null, 'Removed event should have no after state');
+
+  // Category changes are recorded as whole lists
+  const categoryEntry = CommandHistory.createEntry(
+    'Edit categories',
+    { events: [], categories },
+    { events: [], categories: [] },
+  );
+  console.assert(categoryEntry.categories.before.length === 1, 'Previous categories should be recorded');
+  console.assert(categoryEntry.categories.after.length === 0, 'New categories should be recorded');
+
+  // Calendar changes too, alongside the events they remove
+  const calendars = [{ id: 'personal', name: 'Personal' }, { id: 'team', name: 'Team' }];
+  const calendarEntry = CommandHistory.createEntry(
+    'Edit calendars',
+    { events: [offsite], categories, calendars },
+    { events: [], categories, calendars: calendars.slice(0, 1) },
+  );
+  console.assert(calendarEntry.calendars.before.length === 2, 'Previous calendars should be recorded');
+  console.assert(calendarEntry.calendars.after.length === 1, 'New calendars should be recorded');
+  console.assert(calendarEntry.categories === null, 'Unchanged categories should not be recorded');
+  console.assert(calendarEntry.events.length === 1, 'Removed events should be recorded with the calendars');
+
+  // No-op changes are not recorded
+  const noop = CommandHistory.createEntry(
+    'Save event',
+    { events: [offsite], categories },
+    { events: [{ ...offsite }], categories },
+  );
+  console.assert(noop === null, 'Unchanged state should not produce an entry');
+
+  console.log('Entry creation tests completed');
+}
+
+/**
+ * Test moving entries between the undo and redo stacks
+ */
+function testUndoRedo() {
+  console.log('Testing undo and redo...');
+
+  const history = new CommandHistory();
+  console.assert(!history.canUndo() && !history.canRedo(), 'New history should be empty');
+  console.assert(history.undo() === null, 'Undo on an empty history should return null');
+
+  const first = CommandHistory.createEntry('Create Team offsite', { events: [] }, { events: [offsite] });
+  const second = CommandHistory.createEntry('Create Launch', { events: [offsite] }, { events: [offsite, launch] });
+  history.record(first);
+  history.record(second);
+
+  console.assert(history.peekUndo() === second, 'Latest change should be undone first');
+  console.assert(history.undo() === second, 'Undo should return the latest change');
+  console.assert(history.canRedo(), 'Undone change should be redoable');
+  console.assert(history.peekRedo() === second, 'Undone change should be next to redo');
+  console.assert(history.redo() === second, 'Redo should return the undone change');
+  console.assert(!history.canRedo(), 'Nothing should be left to redo');
+
+  // A new change discards the redo stack
+  history.undo();
+  const third = CommandHistory.createEntry('Delete Team offsite', { events: [offsite] }, { events: [] });
+  history.record(third);
+  console.assert(!history.canRedo(), 'Recording should discard undone changes');
+  console.assert(history.undoStack.length === 2, 'Undo stack should hold the first and newest changes');
+
+  history.clear();
+  console.assert(!history.canUndo(), 'Cleared history should have nothing to undo');
+
+  console.log('Undo and redo tests completed');
+}
+
+/**
+ * Test that the history is bounded
+ */
+function testLimit() {
+  console.log('Testing history limit...');
+
+  const history = new CommandHistory({ limit: 3 });
+  for (let i = 0; i < 5; i++) {
+    history.record(
+      CommandHistory.createEntry(`Change ${i}`, { events: [] }, { events: [{ ...launch, id: `e${i}` }] }),
+    );
+  }
+
+  console.assert(history.undoStack.length === 3, 'History should keep at most the limit');
+  console.assert(history.undoStack[0].label === 'Change 2', 'Oldest entries should be dropped first');
+
+  console.log('History limit tests completed');
+}
+
+/**
+ * Test saving and restoring the history
+ */
+function testPersistence() {
+  console.log('Testing history persistence...');
+
+  const history = new CommandHistory();
+  history.record(CommandHistory.createEntry('Create Launch', { events: [] }, { events: [launch] }));
+  history.record(CommandHistory.createEntry('Create Team offsite', { events: [launch] }, { events: [launch, offsite] }));
+  history.undo();
+
+  const restored = CommandHistory.fromJSON(JSON.parse(JSON.stringify(history)));
+  console.assert(restored.undoStack.length === 1, 'Undo stack should be restored');
+  console.assert(restored.peekRedo().label === 'Create Team offsite', 'Redo stack should be restored');
+
+  const empty = CommandHistory.fromJSON({ undoStack: 'broken' });
+  console.assert(!empty.canUndo() && !empty.canRedo(), 'Malformed data should give an empty history');
+  console.assert(!CommandHistory.fromJSON(null).canUndo(), 'Missing data should give an empty history');
+
+  console.log('History persistence tests completed');
+}
+
+// Export for browser environment
+if (typeof window !== 'undefined') {
+  window.runCommandHistoryTests = runTests;
+}
+
+export { runTests };
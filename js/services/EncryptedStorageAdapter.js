@@ -0,0 +1,416 @@
+/**
+ * EncryptedStorageAdapter.js - Passphrase encryption in front of another
+ * storage backend
+ *
+ * Wraps the IndexedDB or localStorage adapter and encrypts everything that
+ * goes through it (see utils/Encryption.js). An event is stored as a record
+ * holding only its ID, the years it overlaps and the encrypted event, so
+ * the wrapped adapter can still file it under those years; titles, dates,
+ * notes and assignees can't be read without the passphrase. Categories,
+ * calendars, settings and snapshots are stored encrypted whole.
+ *
+ * The key record is kept as a plain setting of the wrapped adapter, since
+ * it is needed to unlock. Data written before encryption was turned on is
+ * still read, so a switch that is interrupted loses nothing.
+ */
+
+import { ENCRYPTION, SCHEMA, SETTING_KEYS } from '../config.js';
+import { StorageAdapter } from './StorageAdapter.js';
+import {
+  createKeyRecord,
+  unlockKeyRecord,
+  changeKeyRecordPassphrase,
+  encryptValue,
+  decryptValue,
+  encryptFile,
+} from '../utils/Encryption.js';
+
+/**
+ * Check whether a stored value was encrypted by this adapter
+ * @param {*} value - Stored event record or setting
+ * @returns {boolean}
+ * @private
+ */
+function isSealed(value) {
+  return Boolean(value) && typeof value.sealed === 'string';
+}
+
+/**
+ * Copy every event, the categories, the calendars, the settings and the
+ * snapshots from one adapter to another
+ * @param {StorageAdapter} source - Adapter to read from
+ * @param {StorageAdapter} target - Adapter to write to
+ * @returns {Promise<void>}
+ * @private
+ */
+async function copyData(source, target) {
+  const eventsByYear = new Map();
+  for (const year of await source.getStoredYears()) {
+    eventsByYear.set(year, await source.loadEvents(year));
+  }
+  if (eventsByYear.size > 0) {
+    await target.replaceYears(eventsByYear);
+  }
+
+  const categories = await source.loadCategories();
+  if (categories) {
+    await target.saveCategories(categories);
+  }
+  const calendars = await source.loadCalendars();
+  if (calendars) {
+    await target.saveCalendars(calendars);
+  }
+  for (const key of SETTING_KEYS) {
+    const value = await source.loadSetting(key);
+    if (value !== null) {
+      await target.saveSetting(key, value);
+    }
+  }
+  for (const snapshot of await source.loadSnapshots()) {
+    await target.saveSnapshot(snapshot);
+  }
+}
+
+export class EncryptedStorageAdapter extends StorageAdapter {
+  /**
+   * @param {StorageAdapter} adapter - Adapter the encrypted data is kept in
+   * @param {CryptoKey} key - Data key
+   * @param {Object} record - Key record of the data key
+   */
+  constructor(adapter, key, record) {
+    super();
+    this.adapter = adapter;
+    this.key = key;
+    this.record = record;
+  }
+
+  /**
+   * Check whether the data kept by an adapter is encrypted
+   * @param {StorageAdapter} adapter - Adapter to check
+   * @returns {Promise<boolean>}
+   */
+  static async isEnabled(adapter) {
+    return (await adapter.loadSetting(ENCRYPTION.SETTING_KEY)) !== null;
+  }
+
+  /**
+   * Open the encrypted data kept by an adapter
+   * @param {StorageAdapter} adapter - Adapter the encrypted data is kept in
+   * @param {string} passphrase - The passphrase
+   * @returns {Promise<EncryptedStorageAdapter>}
+   * @throws {WrongPassphraseError} If the passphrase is wrong
+   */
+  static async unlock(adapter, passphrase) {
+    const record = await adapter.loadSetting(ENCRYPTION.SETTING_KEY);
+    const key = await unlockKeyRecord(record, passphrase);
+    return new EncryptedStorageAdapter(adapter, key, record);
+  }
+
+  /**
+   * Encrypt the data kept by an adapter under a new passphrase
+   * @param {StorageAdapter} adapter - Adapter keeping plain data
+   * @param {string} passphrase - Passphrase to protect it with
+   * @param {Object} [options] - Key options, see createKeyRecord()
+   * @returns {Promise<EncryptedStorageAdapter>}
+   */
+  static async enable(adapter, passphrase, options) {
+    const { record, key } = await createKeyRecord(passphrase, options);
+    const encrypted = new EncryptedStorageAdapter(adapter, key, record);
+
+    // Store the key first: plain data is still read if copying stops halfway
+    await adapter.saveSetting(ENCRYPTION.SETTING_KEY, record);
+    await copyData(adapter, encrypted);
+    return encrypted;
+  }
+
+  /**
+   * Decrypt all data and stop encrypting
+   * @param {string} passphrase - The current passphrase, as confirmation
+   * @returns {Promise<StorageAdapter>} The wrapped adapter, to use from now on
+   * @throws {WrongPassphraseError} If the passphrase is wrong
+   */
+  async disable(passphrase) {
+    await unlockKeyRecord(this.record, passphrase);
+
+    // Drop the key last, so nothing is left that can't be read
+    await copyData(this, this.adapter);
+    await this.adapter.saveSetting(ENCRYPTION.SETTING_KEY, null);
+    return this.adapter;
+  }
+
+  /**
+   * Protect the data with a new passphrase. Only the key record changes,
+   * so encrypted export files made before still open with the old one.
+   * @param {string} passphrase - The current passphrase
+   * @param {string} newPassphrase - Passphrase to use from now on
+   * @param {Object} [options] - Key options, see createKeyRecord()
+   * @returns {Promise<void>}
+   * @throws {WrongPassphraseError} If the current passphrase is wrong
+   */
+  async changePassphrase(passphrase, newPassphrase, options) {
+    const record = await changeKeyRecordPassphrase(
+      this.record,
+      passphrase,
+      newPassphrase,
+      options,
+    );
+    await this.adapter.saveSetting(ENCRYPTION.SETTING_KEY, record);
+    this.record = record;
+  }
+
+  /**
+   * Encrypt an export file, so it opens with the current passphrase
+   * @param {string} text - File contents
+   * @returns {Promise<string>} The encrypted file
+   */
+  async encryptExport(text) {
+    return encryptFile(this.record, this.key, text);
+  }
+
+  /**
+   * Register a function called after every write to the wrapped adapter
+   * @param {Function} listener - Called with a change description
+   * @returns {Function} Call to stop listening
+   */
+  onChange(listener) {
+    return this.adapter.onChange(listener);
+  }
+
+  /**
+   * Load and decrypt every event that overlaps a specific year
+   * @param {number} year - The year to load events for
+   * @returns {Promise<Array>} Promise resolving to an array of events
+   */
+  async loadEvents(year) {
+    const records = await this.adapter.loadEvents(year);
+    return Promise.all(records.map((record) => this._openEvent(record)));
+  }
+
+  /**
+   * Encrypt and save an event
+   * @param {Object} event - The event to save
+   * @returns {Promise<boolean>}
+   */
+  async saveEvent(event) {
+    return this.adapter.saveEvent(await this._sealEvent(event));
+  }
+
+  /**
+   * Encrypt and save several events at once
+   * @param {Array} events - Events to save
+   * @returns {Promise<boolean>}
+   */
+  async saveEvents(events) {
+    const records = await Promise.all(
+      events.map((event) => this._sealEvent(event)),
+    );
+    return this.adapter.saveEvents(records);
+  }
+
+  /**
+   * Delete an event
+   * @param {string} eventId - ID of the event to delete
+   * @returns {Promise<boolean>} Promise resolving to true if deleted, false if not found
+   */
+  async deleteEvent(eventId) {
+    return this.adapter.deleteEvent(eventId);
+  }
+
+  /**
+   * Get a list of years that have stored events
+   * @returns {Promise<Array<number>>} Promise resolving to an array of years
+   */
+  async getStoredYears() {
+    return this.adapter.getStoredYears();
+  }
+
+  /**
+   * Replace every stored event of a year with the given events, encrypted
+   * @param {number} year - The year to replace
+   * @param {Array} events - Events to store for the year
+   * @returns {Promise<boolean>}
+   */
+  async replaceYear(year, events) {
+    const records = await Promise.all(
+      events.map((event) => this._sealEvent(event)),
+    );
+    return this.adapter.replaceYear(year, records);
+  }
+
+  /**
+   * Replace the stored events of several years at once, encrypted
+   * @param {Map<number, Array>} eventsByYear - Events to store for each year
+   * @returns {Promise<boolean>}
+   */
+  async replaceYears(eventsByYear) {
+    const recordsByYear = new Map();
+    for (const [year, events] of eventsByYear) {
+      recordsByYear.set(
+        year,
+        await Promise.all(events.map((event) => this._sealEvent(event))),
+      );
+    }
+    return this.adapter.replaceYears(recordsByYear);
+  }
+
+  /**
+   * Load and decrypt the user-defined categories
+   * @returns {Promise<Array|null>}
+   */
+  async loadCategories() {
+    return this._open(await this.adapter.loadCategories());
+  }
+
+  /**
+   * Encrypt and save the user-defined categories
+   * @param {Array} categories - Categories to store
+   * @returns {Promise<boolean>}
+   */
+  async saveCategories(categories) {
+    return this.adapter.saveCategories(await this._seal(categories));
+  }
+
+  /**
+   * Load and decrypt the calendars
+   * @returns {Promise<Array|null>}
+   */
+  async loadCalendars() {
+    return this._open(await this.adapter.loadCalendars());
+  }
+
+  /**
+   * Encrypt and save the calendars
+   * @param {Array} calendars - Calendars to store
+   * @returns {Promise<boolean>}
+   */
+  async saveCalendars(calendars) {
+    return this.adapter.saveCalendars(await this._seal(calendars));
+  }
+
+  /**
+   * Load and decrypt an application setting. The key record is returned
+   * as stored.
+   * @param {string} key - Setting key
+   * @returns {Promise<*>} Promise resolving to the value, or null if unset
+   */
+  async loadSetting(key) {
+    return this._open(await this.adapter.loadSetting(key));
+  }
+
+  /**
+   * Encrypt and save an application setting
+   * @param {string} key - Setting key
+   * @param {*} value - JSON-serializable value to store
+   * @returns {Promise<boolean>}
+   */
+  async saveSetting(key, value) {
+    if (key === ENCRYPTION.SETTING_KEY) {
+      throw new Error('The key record is changed with changePassphrase()');
+    }
+    return this.adapter.saveSetting(key, await this._seal(value));
+  }
+
+  /**
+   * Check whether the wrapped adapter keeps snapshots
+   * @returns {boolean}
+   */
+  keepsSnapshots() {
+    return this.adapter.keepsSnapshots();
+  }
+
+  /**
+   * Load and decrypt every stored snapshot
+   * @returns {Promise<Array<Object>>} Promise resolving to the snapshots
+   */
+  async loadSnapshots() {
+    const stored = await this.adapter.loadSnapshots();
+    return Promise.all(stored.map((snapshot) => this._open(snapshot)));
+  }
+
+  /**
+   * Encrypt and save a snapshot. Only its ID is readable.
+   * @param {Object} snapshot - Snapshot with an `id`
+   * @returns {Promise<boolean>}
+   */
+  async saveSnapshot(snapshot) {
+    return this.adapter.saveSnapshot({
+      id: snapshot.id,
+      ...(await this._seal(snapshot)),
+    });
+  }
+
+  /**
+   * Delete a snapshot
+   * @param {string} snapshotId - ID of the snapshot to delete
+   * @returns {Promise<boolean>} Promise resolving to true if deleted, false if not found
+   */
+  async deleteSnapshot(snapshotId) {
+    return this.adapter.deleteSnapshot(snapshotId);
+  }
+
+  /**
+   * Clear all stored data. Encryption stays on, under the same passphrase.
+   * @returns {Promise<boolean>}
+   */
+  async clearAllData() {
+    await this.adapter.clearAllData();
+    return this.adapter.saveSetting(ENCRYPTION.SETTING_KEY, this.record);
+  }
+
+  /**
+   * Build the stored record of an event: its ID, a date in the first and
+   * last year it overlaps so the wrapped adapter files it under each of
+   * them, and the encrypted event
+   * @param {Object} event - The event to store
+   * @returns {Promise<Object>} Record with nothing readable but the ID and years
+   * @private
+   */
+  async _sealEvent(event) {
+    const years = this.getEventYears(event);
+
+    // Mid-year dates fall in the same year in every time zone. The record
+    // is versioned so the wrapped adapter doesn't migrate it; the event
+    // inside is migrated once decrypted.
+    return {
+      id: event.id,
+      title: '',
+      startDate: new Date(Date.UTC(years[0], 6, 1)),
+      endDate: new Date(Date.UTC(years[years.length - 1], 6, 1)),
+      [SCHEMA.VERSION_KEY]: SCHEMA.VERSION,
+      sealed: await encryptValue(this.key, this.serializeEvent(event)),
+    };
+  }
+
+  /**
+   * Get the event out of a stored record
+   * @param {Object} record - Stored record
+   * @returns {Promise<Object>} Event data with Date fields
+   * @private
+   */
+  async _openEvent(record) {
+    if (!isSealed(record)) {
+      return record;
+    }
+    return this.reviveEvent(await decryptValue(this.key, record.sealed));
+  }
+
+  /**
+   * Encrypt a value for storage
+   * @param {*} value - JSON-serializable value
+   * @returns {Promise<Object>} Stored form of the value
+   * @private
+   */
+  async _seal(value) {
+    return { sealed: await encryptValue(this.key, value) };
+  }
+
+  /**
+   * Decrypt a stored value
+   * @param {*} stored - Value as stored, encrypted or from before encryption
+   * @returns {Promise<*>} The value
+   * @private
+   */
+  async _open(stored) {
+    return isSealed(stored) ? decryptValue(this.key, stored.sealed) : stored;
+  }
+}
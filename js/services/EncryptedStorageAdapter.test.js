@@ -0,0 +1,385 @@
+/**
+ * EncryptedStorageAdapter.test.js - Tests for passphrase encryption of
+ * stored data
+ *
+ * A small in-memory adapter stands in for IndexedDB, so the tests can look
+ * at what is actually stored. Keys are derived with few PBKDF2 iterations so
+ * the tests run quickly.
+ */
+
+import { ENCRYPTION, HISTORY, PREFERENCES, STORAGE } from '../config.js';
+import { StorageAdapter } from './StorageAdapter.js';
+import { EncryptedStorageAdapter } from './EncryptedStorageAdapter.js';
+import { WrongPassphraseError } from '../utils/Encryption.js';
+
+/** Key options for the tests */
+const FAST = { iterations: 1000 };
+
+/**
+ * Adapter keeping plain copies of what it is given, filed under each year
+ * an event overlaps like the real backends
+ */
+class MemoryStorageAdapter extends StorageAdapter {
+  constructor() {
+    super();
+    this.records = new Map();
+    this.settings = new Map();
+    this.snapshots = new Map();
+  }
+
+  async loadEvents(year) {
+    return [...this.records.values()]
+      .filter((record) => this.getEventYears(record).includes(year))
+      .map((record) => this.reviveEvent(record));
+  }
+
+  async saveEvent(event) {
+    this.records.set(event.id, this.serializeEvent(event));
+    this.notifyChange({ eventIds: [event.id], years: this.getEventYears(event) });
+    return true;
+  }
+
+  async deleteEvent(eventId) {
+    return this.records.delete(eventId);
+  }
+
+  async getStoredYears() {
+    const years = new Set();
+    this.records.forEach((record) => {
+      this.getEventYears(record).forEach((year) => years.add(year));
+    });
+    return [...years].sort((a, b) => a - b);
+  }
+
+  async replaceYears(eventsByYear) {
+    for (const year of eventsByYear.keys()) {
+      for (const [id, record] of this.records) {
+        if (this.getEventYears(record).includes(year)) {
+          this.records.delete(id);
+        }
+      }
+    }
+    for (const events of eventsByYear.values()) {
+      events.forEach((event) => {
+        this.records.set(event.id, this.serializeEvent(event));
+      });
+    }
+    return true;
+  }
+
+  async replaceYear(year, events) {
+    return this.replaceYears(new Map([[year, events]]));
+  }
+
+  async loadCategories() {
+    return this.loadSetting('categories');
+  }
+
+  async saveCategories(categories) {
+    return this.saveSetting('categories', categories);
+  }
+
+  async loadCalendars() {
+    return this.loadSetting('calendars');
+  }
+
+  async saveCalendars(calendars) {
+    return this.saveSetting('calendars', calendars);
+  }
+
+  async loadSetting(key) {
+    return this.settings.has(key) ? JSON.parse(this.settings.get(key)) : null;
+  }
+
+  async saveSetting(key, value) {
+    this.settings.set(key, JSON.stringify(value));
+    this.notifyChange({ settings: [key] });
+    return true;
+  }
+
+  async clearAllData() {
+    this.records.clear();
+    this.settings.clear();
+    return true;
+  }
+
+  keepsSnapshots() {
+    return true;
+  }
+
+  async loadSnapshots() {
+    return [...this.snapshots.values()].map((snapshot) => JSON.parse(snapshot));
+  }
+
+  async saveSnapshot(snapshot) {
+    this.snapshots.set(snapshot.id, JSON.stringify(snapshot));
+    return true;
+  }
+
+  async deleteSnapshot(snapshotId) {
+    return this.snapshots.delete(snapshotId);
+  }
+
+  /**
+   * Everything stored, as text
+   * @returns {string}
+   */
+  dump() {
+    return JSON.stringify([
+      ...this.records.values(),
+      ...this.settings.values(),
+      ...this.snapshots.values(),
+    ]);
+  }
+}
+
+/**
+ * Create an adapter holding a small plain planner
+ * @returns {Promise<MemoryStorageAdapter>}
+ */
+async function createPlainAdapter() {
+  const adapter = new MemoryStorageAdapter();
+  await adapter.saveEvents([
+    {
+      id: 'dentist',
+      title: 'Dentist',
+      startDate: new Date('2025-03-10T00:00:00.000Z'),
+      endDate: new Date('2025-03-10T00:00:00.000Z'),
+      notes: 'Bring the referral',
+    },
+    {
+      id: 'sabbatical',
+      title: 'Sabbatical',
+      startDate: new Date('2025-12-01T00:00:00.000Z'),
+      endDate: new Date('2026-02-27T00:00:00.000Z'),
+    },
+  ]);
+  await adapter.saveCategories([{ id: 'health', name: 'Health', color: '#ff0000' }]);
+  await adapter.saveCalendars([{ id: 'personal', name: 'Personal Life', color: '#00ff00' }]);
+  await adapter.saveSetting(PREFERENCES.STORAGE_KEY, { weekStart: 1 });
+  await adapter.saveSetting(HISTORY.STORAGE_KEY, { undo: [{ label: 'Add Sabbatical' }], redo: [] });
+  await adapter.saveSetting(STORAGE.TRASH_KEY, [{ event: { id: 'gym', title: 'Gym' }, deletedAt: '2025-06-01T08:00:00.000Z' }]);
+  await adapter.saveSnapshot({ id: 'daily', reason: 'daily', data: await adapter.exportData() });
+  return adapter;
+}
+
+/**
+ * Run tests and log results
+ */
+async function runTests() {
+  console.log('=== Running EncryptedStorageAdapter tests ===');
+
+  if (typeof crypto === 'undefined' || !crypto.subtle) {
+    console.log('WebCrypto is not available, skipping EncryptedStorageAdapter tests');
+    return;
+  }
+
+  await testEnable();
+  await testUnlock();
+  await testWrites();
+  await testChangePassphrase();
+  await testDisable();
+  await testSnapshots();
+
+  console.log('=== All EncryptedStorageAdapter tests completed ===');
+}
+
+/**
+ * Test that turning encryption on leaves nothing readable at rest
+ */
+async function testEnable() {
+  console.log('Testing turning encryption on...');
+
+  const plain = await createPlainAdapter();
+  console.assert(!(await EncryptedStorageAdapter.isEnabled(plain)), 'A new planner should not be encrypted');
+
+  const encrypted = await EncryptedStorageAdapter.enable(plain, 'correct horse', FAST);
+  console.assert(await EncryptedStorageAdapter.isEnabled(plain), 'The key record should be stored');
+
+  const stored = plain.dump();
+  ['Dentist', 'referral', 'Sabbatical', 'Health', 'Personal Life', 'weekStart', 'Gym'].forEach((text) => {
+    console.assert(!stored.includes(text), `"${text}" should not be stored as plain text`);
+  });
+  console.assert((await plain.getStoredYears()).join() === '2025,2026', 'Events should still be filed under the years they overlap');
+
+  const events = await encrypted.loadEvents(2026);
+  console.assert(events.length === 1 && events[0].title === 'Sabbatical', 'Events should load decrypted by year');
+  console.assert(events[0].endDate instanceof Date && events[0].endDate.toISOString() === '2026-02-27T00:00:00.000Z', 'Dates should be restored');
+  console.assert((await encrypted.loadCategories())[0].name === 'Health', 'Categories should load decrypted');
+  console.assert((await encrypted.loadSetting(PREFERENCES.STORAGE_KEY)).weekStart === 1, 'Settings should load decrypted');
+  console.assert((await encrypted.loadSetting(STORAGE.TRASH_KEY))[0].event.title === 'Gym', 'The trash should load decrypted');
+
+  console.log('Turning encryption on tests completed');
+}
+
+/**
+ * Test unlocking stored data with the passphrase
+ */
+async function testUnlock() {
+  console.log('Testing unlocking...');
+
+  const plain = await createPlainAdapter();
+  await EncryptedStorageAdapter.enable(plain, 'correct horse', FAST);
+
+  let error = null;
+  try {
+    await EncryptedStorageAdapter.unlock(plain, 'wrong horse');
+  } catch (e) {
+    error = e;
+  }
+  console.assert(error instanceof WrongPassphraseError, 'A wrong passphrase should not unlock the data');
+
+  const unlocked = await EncryptedStorageAdapter.unlock(plain, 'correct horse');
+  const events = await unlocked.loadEvents(2025);
+  console.assert(events.map((event) => event.title).sort().join() === 'Dentist,Sabbatical', 'Unlocked data should be readable');
+  console.assert((await unlocked.loadSetting(HISTORY.STORAGE_KEY)).undo[0].label === 'Add Sabbatical', 'History should be readable');
+
+  console.log('Unlocking tests completed');
+}
+
+/**
+ * Test that writes are encrypted, and plain records from before are still read
+ */
+async function testWrites() {
+  console.log('Testing writes...');
+
+  const plain = new MemoryStorageAdapter();
+  const changes = [];
+  const encrypted = await EncryptedStorageAdapter.enable(plain, 'correct horse', FAST);
+  encrypted.onChange((change) => changes.push(change));
+
+  await encrypted.saveEvent({
+    id: 'trip',
+    title: 'Trip to Lisbon',
+    startDate: new Date('2027-05-01T00:00:00.000Z'),
+    endDate: new Date('2027-05-08T00:00:00.000Z'),
+  });
+  console.assert(!plain.dump().includes('Lisbon'), 'Saved events should be encrypted');
+  console.assert(changes.length === 1 && changes[0].eventIds[0] === 'trip', 'Changes should be announced for other tabs');
+
+  // Left over from a switch that stopped halfway
+  plain.records.set('old', {
+    id: 'old',
+    title: 'Old plain event',
+    startDate: '2027-06-01T00:00:00.000Z',
+    endDate: '2027-06-01T00:00:00.000Z',
+  });
+  const events = await encrypted.loadEvents(2027);
+  console.assert(events.length === 2 && events.some((event) => event.title === 'Old plain event'), 'Plain records should still be read');
+
+  let error = null;
+  try {
+    await encrypted.saveSetting(ENCRYPTION.SETTING_KEY, null);
+  } catch (e) {
+    error = e;
+  }
+  console.assert(error !== null, 'The key record should not be overwritten as a setting');
+
+  await encrypted.clearAllData();
+  console.assert(await EncryptedStorageAdapter.isEnabled(plain), 'Clearing the data should keep encryption on');
+  console.assert((await encrypted.getStoredYears()).length === 0, 'Clearing the data should delete the events');
+
+  console.log('Write tests completed');
+}
+
+/**
+ * Test that a new passphrase replaces the old one without rewriting data
+ */
+async function testChangePassphrase() {
+  console.log('Testing changing the passphrase...');
+
+  const plain = await createPlainAdapter();
+  const encrypted = await EncryptedStorageAdapter.enable(plain, 'correct horse', FAST);
+  const before = [...plain.records.values()].map((record) => record.sealed).join();
+
+  let error = null;
+  try {
+    await encrypted.changePassphrase('wrong horse', 'battery staple', FAST);
+  } catch (e) {
+    error = e;
+  }
+  console.assert(error instanceof WrongPassphraseError, 'Changing the passphrase should need the current one');
+
+  await encrypted.changePassphrase('correct horse', 'battery staple', FAST);
+  const after = [...plain.records.values()].map((record) => record.sealed).join();
+  console.assert(before === after, 'Events should not need to be rewritten');
+
+  const unlocked = await EncryptedStorageAdapter.unlock(plain, 'battery staple');
+  console.assert((await unlocked.loadEvents(2025)).length === 2, 'The new passphrase should unlock the data');
+
+  error = null;
+  try {
+    await EncryptedStorageAdapter.unlock(plain, 'correct horse');
+  } catch (e) {
+    error = e;
+  }
+  console.assert(error instanceof WrongPassphraseError, 'The old passphrase should no longer unlock the data');
+
+  console.log('Changing the passphrase tests completed');
+}
+
+/**
+ * Test that turning encryption off stores everything as plain data again
+ */
+async function testDisable() {
+  console.log('Testing turning encryption off...');
+
+  const plain = await createPlainAdapter();
+  const encrypted = await EncryptedStorageAdapter.enable(plain, 'correct horse', FAST);
+
+  let error = null;
+  try {
+    await encrypted.disable('wrong horse');
+  } catch (e) {
+    error = e;
+  }
+  console.assert(error instanceof WrongPassphraseError, 'Turning encryption off should need the passphrase');
+  console.assert(await EncryptedStorageAdapter.isEnabled(plain), 'A failed attempt should leave encryption on');
+
+  const adapter = await encrypted.disable('correct horse');
+  console.assert(adapter === plain, 'The wrapped adapter should be used from now on');
+  console.assert(!(await EncryptedStorageAdapter.isEnabled(plain)), 'The key record should be removed');
+  console.assert(!plain.dump().includes('sealed'), 'Nothing should be left encrypted');
+
+  const events = await plain.loadEvents(2025);
+  console.assert(events.map((event) => event.title).sort().join() === 'Dentist,Sabbatical', 'Events should be stored plain');
+  console.assert(events.find((event) => event.id === 'dentist').notes === 'Bring the referral', 'Event details should be kept');
+  console.assert((await plain.loadCalendars())[0].name === 'Personal Life', 'Calendars should be stored plain');
+  console.assert((await plain.loadSetting(HISTORY.STORAGE_KEY)).undo.length === 1, 'History should be stored plain');
+  console.assert((await plain.loadSetting(STORAGE.TRASH_KEY)).length === 1, 'The trash should be stored plain');
+
+  console.log('Turning encryption off tests completed');
+}
+
+/**
+ * Test that snapshots are encrypted like the data they were taken of
+ */
+async function testSnapshots() {
+  console.log('Testing snapshots...');
+
+  const plain = await createPlainAdapter();
+  const encrypted = await EncryptedStorageAdapter.enable(plain, 'correct horse', FAST);
+  console.assert(encrypted.keepsSnapshots(), 'Snapshots should be kept when the wrapped adapter keeps them');
+
+  await encrypted.saveSnapshot({ id: 'import', reason: 'import', label: 'Trip to Lisbon.json' });
+  const stored = [...plain.snapshots.values()].join();
+  console.assert(!stored.includes('Dentist') && !stored.includes('Lisbon'), 'Snapshots should be stored encrypted');
+
+  const snapshots = await encrypted.loadSnapshots();
+  const daily = snapshots.find((snapshot) => snapshot.id === 'daily');
+  console.assert(snapshots.length === 2 && daily.data.includes('Dentist'), 'Snapshots should load decrypted');
+
+  await encrypted.disable('correct horse');
+  const restored = await plain.loadSnapshots();
+  console.assert(restored.every((snapshot) => !snapshot.sealed), 'Turning encryption off should store snapshots plain');
+  console.assert(restored.some((snapshot) => snapshot.label === 'Trip to Lisbon.json'), 'Snapshots should be kept');
+
+  console.log('Snapshot tests completed');
+}
+
+// Export for browser environment
+if (typeof window !== 'undefined') {
+  window.runEncryptedStorageAdapterTests = runTests;
+}
+
+export { runTests };
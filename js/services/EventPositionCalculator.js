@@ -5,13 +5,17 @@
  * overlapping events, and various visual indicators to enhance readability.
  */
 
+import { LAYOUTS, PREFERENCES, TIME, jsToAppDay } from '../config.js';
+import { getPlannerWindow } from '../utils/DateUtils.js';
+
 /**
  * EventPosition class representing the position of an event in the grid
  */
 class EventPosition {
   /**
    * @param {number} rowStart - Month index (0-11)
-   * @param {number} colStart - Day of week index (0-6)
+   * @param {number} colStart - Day of week index (0-6, from the first day of the week);
+   *   in the day-aligned and timeline layouts, the column of the first day
    * @param {number} rowSpan - Number of months the event spans
    * @param {number} colSpan - Number of columns (days) within week the event spans
    * @param {number} swimLane - Vertical position within day cell (0-4)
@@ -32,6 +36,9 @@ class EventPosition {
     this.continuesRight = false;      // Event continues to the next week
     this.continuesUp = false;         // Event continues from the previous month
     this.continuesDown = false;       // Event continues to the next month
+    this.continuesFromPreviousYear = false; // Event starts before January 1
+    this.continuesIntoNextYear = false;     // Event ends after December 31
+    this.isOverflow = false;          // No free swim lane; the event is hidden
   }
 }
 
@@ -75,6 +82,18 @@ class EventLayout {
     this.startsPM = event.startsPM;
     this.endsAM = event.endsAM;
     this.isPublicHoliday = event.isPublicHoliday;
+    this.categoryId = event.categoryId || null;
+    this.calendarId = event.calendarId || null;
+    this.assignee = event.assignee || null;
+
+    // Built-in holidays are calculated from rules and can't be edited
+    this.isBuiltInHoliday = event.isBuiltInHoliday || false;
+    this.isReadOnly = event.isReadOnly || false;
+
+    // Recurrence instance metadata, used to edit a single occurrence
+    this.isRecurrenceInstance = event.isRecurrenceInstance || false;
+    this.originalEventId = event.originalEventId || null;
+    this.recurrenceId = event.recurrenceId || null;
     
     // Position information
     this.position = position;
@@ -137,17 +156,32 @@ class EventPositionCalculator {
    * @param {Object} [options] - Configuration options
    * @param {number} [options.maxSwimLanes=5] - Maximum number of swim lanes per day
    * @param {number} [options.holidayLane=5] - Special swim lane for holidays
+   * @param {number} [options.weekStart=1] - First day of the week as a
+   *   Date.getDay() value (0=Sunday, 1=Monday, 6=Saturday)
+   * @param {string} [options.layout='weekday'] - Grid layout, one of LAYOUTS
    */
   constructor(options = {}) {
     // Configuration
     this.maxSwimLanes = options.maxSwimLanes || 5;
+    this.baseSwimLanes = this.maxSwimLanes;
+    this.weekStart = options.weekStart ?? PREFERENCES.DEFAULTS.weekStart;
+    this.layout = options.layout ?? PREFERENCES.DEFAULTS.layout;
     this.holidayLane = 0;  // Always use top lane (0) for holidays
+
+    // Team members in lane order, or null outside the team view
+    this.teamMembers = null;
     
     // Year-specific data
     this.year = new Date().getFullYear();
+
+    // Month the planner year starts in; later months before it belong to the next year
+    this.startMonth = 0;
     
     // Initialize the occupancy grid (12 months × 7 days × 5 swim lanes)
     this.occupancyGrid = this._createOccupancyGrid();
+
+    // Occupied "row_column_lane" cells in the layouts without weekday columns
+    this.linearOccupancy = new Set();
     
     // Track week boundaries for each month
     this.weekBoundaries = [];
@@ -174,6 +208,97 @@ class EventPositionCalculator {
       );
   }
 
+  /**
+   * Change the first day of the week. Day-of-week columns depend on it, so
+   * cached positions are discarded.
+   * @param {number} weekStart - First day of the week as a Date.getDay() value
+   */
+  setWeekStart(weekStart) {
+    if (this.weekStart !== weekStart) {
+      this.weekStart = weekStart;
+      this._positionCache.clear();
+    }
+  }
+
+  /**
+   * Change the grid layout. The weekday layout places events in day-of-week
+   * columns; the day-aligned and timeline layouts place them by day of the
+   * month or of the year, so cached positions are discarded.
+   * @param {string} layout - One of LAYOUTS
+   */
+  setLayout(layout) {
+    if (this.layout !== layout) {
+      this.layout = layout;
+      this._positionCache.clear();
+    }
+  }
+
+  /**
+   * Change the month the planner year starts in. Months before it belong to
+   * the following calendar year and come after the others, so cached
+   * positions are discarded.
+   * @param {number} startMonth - Month index (0-11)
+   */
+  setStartMonth(startMonth) {
+    if (this.startMonth !== startMonth) {
+      this.startMonth = startMonth;
+      this._positionCache.clear();
+    }
+  }
+
+  /**
+   * Get the calendar year a month of the planner year falls in
+   * @param {number} month - Month index (0-11)
+   * @returns {number}
+   * @private
+   */
+  _getMonthYear(month) {
+    return month < this.startMonth ? this.year + 1 : this.year;
+  }
+
+  /**
+   * Get the row of a month in the planner year
+   * @param {number} month - Month index (0-11)
+   * @returns {number} 0 for the first month, 11 for the last
+   * @private
+   */
+  _getMonthRow(month) {
+    return (month - this.startMonth + 12) % 12;
+  }
+
+  /**
+   * Switch the team view on or off. In the team view each member gets a swim
+   * lane of their own, below a shared lane for holidays and unassigned events,
+   * so every month row is split into one sub-row per person.
+   * @param {Array<string>|null} members - Team members in lane order, or null
+   *   for the normal layout
+   */
+  setTeamMembers(members) {
+    const teamMembers = members ? [...members] : null;
+    if (JSON.stringify(teamMembers) === JSON.stringify(this.teamMembers)) {
+      return;
+    }
+
+    this.teamMembers = teamMembers;
+    this.maxSwimLanes = teamMembers
+      ? Math.max(this.baseSwimLanes, teamMembers.length + 1)
+      : this.baseSwimLanes;
+    this.resetOccupancyGrid();
+    this._positionCache.clear();
+  }
+
+  /**
+   * Get the team view lane of an event: its assignee's lane, or the shared
+   * top lane for holidays and events without a known assignee
+   * @param {object} event - The event
+   * @returns {number} Swim lane
+   * @private
+   */
+  _getTeamLane(event) {
+    const index = event.assignee ? this.teamMembers.indexOf(event.assignee) : -1;
+    return index === -1 ? this.holidayLane : index + 1;
+  }
+
   /**
    * Calculate positions for a list of events
    * @param {Array} events - List of events to calculate positions for
@@ -232,6 +357,10 @@ class EventPositionCalculator {
       
       // Calculate new position
       const position = this._calculateOptimalPosition(event);
+      if (this.teamMembers) {
+        position.swimLane = this._getTeamLane(event);
+      }
+      this._markYearContinuation(event, position);
       const layout = new EventLayout(event, position);
       
       // Cache the result along with a hash of the event properties
@@ -241,6 +370,8 @@ class EventPositionCalculator {
       return layout;
     });
 
+    this._markOverflow(eventLayouts);
+
     return eventLayouts;
   }
   
@@ -267,13 +398,18 @@ class EventPositionCalculator {
     const endDateStr = event.endDate instanceof Date ? 
       event.endDate.toISOString() : new Date(event.endDate).toISOString();
     
-    // Include properties that would affect the position calculation
+    // Include properties that would affect the position calculation (the
+    // assignee picks the team view lane), and the calendar ones the cached
+    // layout carries for rendering
     const criticalProps = [
       event.id,
       startDateStr,
       endDateStr,
       event.isPublicHoliday ? 1 : 0,
-      event.isRecurring ? 1 : 0
+      event.isRecurring ? 1 : 0,
+      event.calendarId || '',
+      event.isReadOnly ? 1 : 0,
+      event.assignee || ''
     ];
     
     // Simple hash is just a string of these properties
@@ -334,30 +470,29 @@ class EventPositionCalculator {
     this.weekBoundaries = [];
     
     for (let month = 0; month < 12; month++) {
+      const year = this._getMonthYear(month);
+
       // Get the first day of the month
-      const firstDate = new Date(this.year, month, 1);
+      const firstDate = new Date(year, month, 1);
       // Get the last day of the month
-      const lastDate = new Date(this.year, month + 1, 0);
+      const lastDate = new Date(year, month + 1, 0);
       
       // Calculate week boundaries within this month
       const boundaries = [];
       
-      // First day of week (0-6, where 0 is Sunday, adjust to Monday start)
-      let firstDayOfWeek = firstDate.getDay() - 1;
-      if (firstDayOfWeek < 0) firstDayOfWeek = 6; // Sunday becomes 6
+      // First day of week (0-6, counted from the configured week start)
+      const firstDayOfWeek = jsToAppDay(firstDate.getDay(), this.weekStart);
       
       // Last day of week (0-6)
-      let lastDayOfWeek = lastDate.getDay() - 1;
-      if (lastDayOfWeek < 0) lastDayOfWeek = 6;
+      const lastDayOfWeek = jsToAppDay(lastDate.getDay(), this.weekStart);
       
       // Get number of days in month
       const daysInMonth = lastDate.getDate();
       
       // Initialize boundaries
       for (let day = 1; day <= daysInMonth; day++) {
-        const date = new Date(this.year, month, day);
-        let dayOfWeek = date.getDay() - 1;
-        if (dayOfWeek < 0) dayOfWeek = 6;
+        const date = new Date(year, month, day);
+        const dayOfWeek = jsToAppDay(date.getDay(), this.weekStart);
         
         // If first day of week or first day of month
         if (dayOfWeek === 0 || day === 1) {
@@ -366,7 +501,7 @@ class EventPositionCalculator {
             startDayOfWeek: dayOfWeek,
             isMonthStart: day === 1,
             // Store actual date for more accurate calculations
-            startDate: new Date(this.year, month, day)
+            startDate: new Date(year, month, day)
           });
         }
         
@@ -378,7 +513,7 @@ class EventPositionCalculator {
           lastEntry.endDayOfWeek = dayOfWeek;
           lastEntry.isMonthEnd = day === daysInMonth;
           // Store actual date for more accurate calculations
-          lastEntry.endDate = new Date(this.year, month, day);
+          lastEntry.endDate = new Date(year, month, day);
         }
       }
       
@@ -401,8 +536,7 @@ class EventPositionCalculator {
     const endDate = new Date(event.endDate);
 
     // Filter events to only this year
-    const yearStart = new Date(this.year, 0, 1);
-    const yearEnd = new Date(this.year, 11, 31, 23, 59, 59, 999);
+    const { start: yearStart, end: yearEnd } = getPlannerWindow(this.year, this.startMonth);
     
     // Adjust dates if they're outside this year
     const adjustedStartDate = new Date(Math.max(startDate.getTime(), yearStart.getTime()));
@@ -416,9 +550,13 @@ class EventPositionCalculator {
     const endMonth = adjustedEndDate.getMonth();
     const endDate_ = adjustedEndDate.getDate();
     const endDay = this._getDayOfWeek(adjustedEndDate);
+
+    if (this.layout !== LAYOUTS.WEEKDAY) {
+      return this._calculateLinearPosition(event);
+    }
     
     // Calculate row span
-    const rowSpan = endMonth - startMonth + 1;
+    const rowSpan = this._getMonthRow(endMonth) - this._getMonthRow(startMonth) + 1;
     
     // Special case: Public holidays always go in the holiday swim lane
     if (event.isPublicHoliday) {
@@ -468,6 +606,139 @@ class EventPositionCalculator {
     );
   }
 
+  /**
+   * Get the day of the year of a date stored as UTC midnight
+   * @param {Date} date - The date
+   * @returns {number} Days since the first day of the planner year, negative
+   *   before it
+   * @private
+   */
+  _getDayOfYear(date) {
+    const day = Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate());
+    return Math.round((day - Date.UTC(this.year, this.startMonth, 1)) / TIME.MS_PER_DAY);
+  }
+
+  /**
+   * Calculate the position of an event in the day-aligned or timeline layout.
+   * Days follow each other in a row without gaps, so an event only needs a
+   * segment for each row it crosses: one per month when day-aligned, and a
+   * single span on the timeline, where the columns are days of the year.
+   * Holidays keep the holiday lane; other events take the first lane free on
+   * every day they cover.
+   * @param {object} event - The event to calculate position for
+   * @returns {EventPosition} The calculated position
+   * @private
+   */
+  _calculateLinearPosition(event) {
+    const lastDayOfYear = this._getDayOfYear(new Date(Date.UTC(this.year, this.startMonth + 12, 0)));
+    const first = Math.max(this._getDayOfYear(new Date(event.startDate)), 0);
+    const last = Math.min(this._getDayOfYear(new Date(event.endDate)), lastDayOfYear);
+
+    // Nothing of the event falls in this year
+    if (first > last) {
+      return new EventPosition(0, 0, 1, 0, this.holidayLane);
+    }
+
+    // Runs of consecutive columns, one per grid row
+    const rows = [];
+    for (let dayOfYear = first; dayOfYear <= last; dayOfYear++) {
+      const date = new Date(Date.UTC(this.year, this.startMonth, 1 + dayOfYear));
+      const row = this.layout === LAYOUTS.TIMELINE ? 0 : date.getUTCMonth();
+      const col = this.layout === LAYOUTS.TIMELINE ? dayOfYear : date.getUTCDate() - 1;
+
+      const current = rows[rows.length - 1];
+      if (current && current.row === row) {
+        current.endCol = col;
+      } else {
+        rows.push({ row, startCol: col, endCol: col });
+      }
+    }
+
+    const cellsInLane = (lane) => rows.flatMap(({ row, startCol, endCol }) =>
+      Array.from({ length: endCol - startCol + 1 }, (_, i) => `${row}_${startCol + i}_${lane}`)
+    );
+
+    let swimLane = this.holidayLane;
+    if (!event.isPublicHoliday) {
+      swimLane = this.maxSwimLanes - 1;
+      for (let lane = 0; lane < this.maxSwimLanes; lane++) {
+        if (!cellsInLane(lane).some(key => this.linearOccupancy.has(key))) {
+          swimLane = lane;
+          break;
+        }
+      }
+    }
+    cellsInLane(swimLane).forEach(key => this.linearOccupancy.add(key));
+
+    const firstRow = rows[0];
+    const lastRow = rows[rows.length - 1];
+    const segments = rows.length > 1
+      ? rows.map(({ row, startCol, endCol }, i) =>
+        new EventSegment(row, startCol, endCol, i === 0, i === rows.length - 1))
+      : null;
+
+    const position = new EventPosition(
+      firstRow.row,
+      firstRow.startCol,
+      this._getMonthRow(lastRow.row) - this._getMonthRow(firstRow.row) + 1,
+      segments ? 0 : firstRow.endCol - firstRow.startCol + 1,
+      swimLane,
+      segments
+    );
+    position.continuesRight = rows.length > 1;
+    return position;
+  }
+
+  /**
+   * Flag events clipped at the edges of the year, so the grid can show that
+   * they continue into the neighbouring year
+   * @param {object} event - The event the position was calculated for
+   * @param {EventPosition} position - The calculated position
+   * @private
+   */
+  _markYearContinuation(event, position) {
+    const { start: yearStart, end: yearEnd } = getPlannerWindow(this.year, this.startMonth);
+
+    position.continuesFromPreviousYear = new Date(event.startDate) < yearStart;
+    position.continuesIntoNextYear = new Date(event.endDate) > yearEnd;
+  }
+
+  /**
+   * Flag events that share a swim lane with an earlier-placed event on the
+   * same day. When every lane is taken the lane finders fall back to the last
+   * lane, so these events would be drawn on top of each other; the grid hides
+   * them behind a "+N more" badge instead.
+   * @param {Array<EventLayout>} layouts - Layouts in placement order
+   * @private
+   */
+  _markOverflow(layouts) {
+    const { start: yearStart, end: yearEnd } = getPlannerWindow(this.year, this.startMonth);
+    const occupied = new Set();
+
+    for (const layout of layouts) {
+      const { position } = layout;
+      position.isOverflow = false;
+
+      const start = new Date(Math.max(layout.startDate.getTime(), yearStart.getTime()));
+      const end = new Date(Math.min(layout.endDate.getTime(), yearEnd.getTime()));
+      const keys = [];
+
+      for (
+        let day = new Date(start.getFullYear(), start.getMonth(), start.getDate());
+        day <= end;
+        day.setDate(day.getDate() + 1)
+      ) {
+        keys.push(`${day.getMonth()}_${day.getDate()}_${position.swimLane}`);
+      }
+
+      if (keys.some(key => occupied.has(key))) {
+        position.isOverflow = true;
+      } else {
+        keys.forEach(key => occupied.add(key));
+      }
+    }
+  }
+
   /**
    * Calculate position for events within the same month
    * @param {object} event - The event to calculate position for
@@ -587,14 +858,14 @@ class EventPositionCalculator {
     const position = new EventPosition(
       startMonth,
       startDay,
-      endMonth - startMonth + 1,
+      this._getMonthRow(endMonth) - this._getMonthRow(startMonth) + 1,
       0, // Will be calculated per segment
       swimLane,
       segments
     );
     
     // Set continuation flags
-    position.continuesDown = endMonth > startMonth;
+    position.continuesDown = this._getMonthRow(endMonth) > this._getMonthRow(startMonth);
     position.continuesRight = segments.length > 1 || (endDay > startDay);
     
     return position;
@@ -615,13 +886,16 @@ class EventPositionCalculator {
     const segments = [];
     
     // Create actual Date objects for precise comparison
-    const eventStartDate = new Date(this.year, startMonth, startDate);
-    const eventEndDate = new Date(this.year, endMonth, endDate);
+    const eventStartDate = new Date(this._getMonthYear(startMonth), startMonth, startDate);
+    const eventEndDate = new Date(this._getMonthYear(endMonth), endMonth, endDate);
     
     console.log(`Calculating segments for event: ${eventStartDate.toISOString()} to ${eventEndDate.toISOString()}`);
     
-    // Process each month
-    for (let month = startMonth; month <= endMonth; month++) {
+    // Process each month, in planner year order
+    for (let row = this._getMonthRow(startMonth); row <= this._getMonthRow(endMonth); row++) {
+      const month = (row + this.startMonth) % 12;
+      const year = this._getMonthYear(month);
+
       // Get the boundaries for this month
       const boundaries = this.weekBoundaries[month];
       
@@ -641,22 +915,22 @@ class EventPositionCalculator {
         if (month === startMonth && boundary.start <= startDate) {
           // This is the first week of the event
           segStartDay = startDay;
-          segmentStartDate = new Date(this.year, month, startDate);
+          segmentStartDate = new Date(year, month, startDate);
         } else {
           // Not the first week, start at the beginning of week
           segStartDay = boundary.startDayOfWeek;
-          segmentStartDate = new Date(this.year, month, boundary.start);
+          segmentStartDate = new Date(year, month, boundary.start);
         }
         
         // Calculate segment end day
         if (month === endMonth && boundary.end >= endDate) {
           // This is the last week of the event
           segEndDay = endDay;
-          segmentEndDate = new Date(this.year, month, endDate);
+          segmentEndDate = new Date(year, month, endDate);
         } else {
           // Not the last week, end at the end of week
           segEndDay = boundary.endDayOfWeek;
-          segmentEndDate = new Date(this.year, month, boundary.end);
+          segmentEndDate = new Date(year, month, boundary.end);
         }
 
         // Determine if this is the first or last segment of the event
@@ -906,19 +1180,18 @@ class EventPositionCalculator {
   }
   
   /**
-   * Get the day of week (0-6, where 0 is Monday, 6 is Sunday)
+   * Get the day of week (0-6, where 0 is the first day of the week)
    *
    * IMPORTANT: Uses getUTCDay() because event dates are stored as UTC midnight.
    * Using getDay() would return incorrect results in negative UTC offset timezones.
    *
    * @param {Date} date - The date (should be normalized to UTC midnight)
-   * @returns {number} Day of week (0-6, Monday=0, Sunday=6)
+   * @returns {number} Day of week (0-6, counted from the configured week start)
    * @private
    */
   _getDayOfWeek(date) {
-    // Convert from JS UTC day (0=Sunday, 6=Saturday) to our format (0=Monday, 6=Sunday)
-    const utcDay = date.getUTCDay();
-    return utcDay === 0 ? 6 : utcDay - 1;
+    // Convert from JS UTC day (0=Sunday, 6=Saturday) to a column in the week
+    return jsToAppDay(date.getUTCDay(), this.weekStart);
   }
   
   /**
@@ -968,6 +1241,7 @@ class EventPositionCalculator {
    */
   resetOccupancyGrid() {
     this.occupancyGrid = this._createOccupancyGrid();
+    this.linearOccupancy.clear();
   }
   
   /**
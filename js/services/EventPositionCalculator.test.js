@@ -6,6 +6,7 @@
  * event positioning algorithms.
  */
 
+import { LAYOUTS } from '../config.js';
 import { EventPositionCalculator } from './EventPositionCalculator.js';
 import { Event } from '../domain/models.js';
 
@@ -22,6 +23,12 @@ function runTests() {
   testFindAvailableSwimLane();
   testCacheInvalidation();
   testPositioningEdgeCases();
+  testYearContinuation();
+  testOverflowDetection();
+  testWeekStart();
+  testTeamLanes();
+  testLayouts();
+  testStartMonth();
 
   console.log('=== All EventPositionCalculator tests completed ===');
 }
@@ -44,107 +51,64 @@ function testCalculatePositions() {
   const singleDayEvent = new Event({
     id: 'event1',
     title: 'Single Day Event',
-    startDate: new Date(2025, 0, 15),
-    endDate: new Date(2025, 0, 15),
+    startDate: new Date(Date.UTC(2025, 0, 15)),
+    endDate: new Date(Date.UTC(2025, 0, 15)),
   });
   
   const singleResult = calculator.calculatePositions([singleDayEvent], year);
   console.assert(singleResult.length === 1, 'Result should contain one event');
   console.assert(singleResult[0].id === 'event1', 'Result should contain the original event');
-  console.assert(singleResult[0].segments && singleResult[0].segments.length > 0, 'Event should have segments');
+  console.assert(singleResult[0].position && !singleResult[0].isMultiWeek, 'Single day event should have a position within one week');
   
-  // Test with multiple events including a multi-day event
+  // Test with multiple events including a multi-week event
   const multiDayEvent = new Event({
     id: 'event2',
     title: 'Multi-Day Event',
-    startDate: new Date(2025, 0, 20),
-    endDate: new Date(2025, 0, 25),
+    startDate: new Date(Date.UTC(2025, 0, 20)),
+    endDate: new Date(Date.UTC(2025, 0, 30)),
   });
   
   const multiResult = calculator.calculatePositions([singleDayEvent, multiDayEvent], year);
   console.assert(multiResult.length === 2, 'Result should contain two events');
   
   const multiDayResult = multiResult.find(e => e.id === 'event2');
-  console.assert(multiDayResult.segments.length > 1, 'Multi-day event should have multiple segments');
+  console.assert(multiDayResult.isMultiWeek && multiDayResult.position.segments.length > 1, 'Multi-week event should have multiple segments');
   
   console.log('calculatePositions tests completed');
 }
 
 /**
- * Test the week boundary calculation method (where the bug was fixed)
+ * Test the week boundaries calculated for each month
  */
 function testCalculateWeekBoundaries() {
   console.log('Testing _calculateWeekBoundaries method...');
   
   const calculator = new EventPositionCalculator();
-  
-  // Test single day event (same day)
-  const singleDay = {
-    startDate: new Date(2025, 0, 15), // Wednesday, Jan 15, 2025
-    endDate: new Date(2025, 0, 15),
-  };
-  
-  const singleDayBoundaries = calculator._calculateWeekBoundaries(singleDay);
-  console.assert(singleDayBoundaries.length === 1, 'Single day event should have one boundary');
-  console.assert(singleDayBoundaries[0].start.getDate() === 15, 'Start day should be 15');
-  console.assert(singleDayBoundaries[0].end.getDate() === 15, 'End day should be 15');
-  
-  // Test event spanning one week
-  const oneWeekEvent = {
-    startDate: new Date(2025, 0, 13), // Monday, Jan 13, 2025
-    endDate: new Date(2025, 0, 19),   // Sunday, Jan 19, 2025
-  };
-  
-  const oneWeekBoundaries = calculator._calculateWeekBoundaries(oneWeekEvent);
-  console.assert(oneWeekBoundaries.length === 1, 'Event within one week should have one boundary');
-  console.assert(oneWeekBoundaries[0].start.getDate() === 13, 'Start day should be 13');
-  console.assert(oneWeekBoundaries[0].end.getDate() === 19, 'End day should be 19');
-  
-  // Test event spanning multiple weeks
-  const multiWeekEvent = {
-    startDate: new Date(2025, 0, 15), // Wednesday, Jan 15, 2025
-    endDate: new Date(2025, 0, 25),   // Saturday, Jan 25, 2025
-  };
-  
-  const multiWeekBoundaries = calculator._calculateWeekBoundaries(multiWeekEvent);
-  console.assert(multiWeekBoundaries.length === 2, 'Event spanning 2 weeks should have 2 boundaries');
-  console.assert(multiWeekBoundaries[0].start.getDate() === 15, 'First segment start should be 15');
-  console.assert(multiWeekBoundaries[0].end.getDate() === 19, 'First segment end should be 19 (Sunday)');
-  console.assert(multiWeekBoundaries[1].start.getDate() === 20, 'Second segment start should be 20 (Monday)');
-  console.assert(multiWeekBoundaries[1].end.getDate() === 25, 'Second segment end should be 25');
-  
-  // Test event spanning a month boundary
-  const monthBoundaryEvent = {
-    startDate: new Date(2025, 0, 27), // Monday, Jan 27, 2025
-    endDate: new Date(2025, 1, 5),    // Wednesday, Feb 5, 2025
-  };
-  
-  const monthBoundaryBoundaries = calculator._calculateWeekBoundaries(monthBoundaryEvent);
-  console.assert(monthBoundaryBoundaries.length > 1, 'Event spanning month boundary should have multiple boundaries');
-  console.assert(monthBoundaryBoundaries[0].start.getMonth() === 0, 'First segment should be in January');
-  console.assert(monthBoundaryBoundaries[monthBoundaryBoundaries.length - 1].end.getMonth() === 1, 'Last segment should be in February');
-  
-  // Test edge case: event spanning exactly one week, starting on Monday
-  const exactWeekEvent = {
-    startDate: new Date(2025, 1, 3),  // Monday, Feb 3, 2025
-    endDate: new Date(2025, 1, 9),    // Sunday, Feb 9, 2025
-  };
-  
-  const exactWeekBoundaries = calculator._calculateWeekBoundaries(exactWeekEvent);
-  console.assert(exactWeekBoundaries.length === 1, 'Event spanning exactly one week should have one boundary');
-  console.assert(exactWeekBoundaries[0].start.getDate() === 3, 'Start day should be 3');
-  console.assert(exactWeekBoundaries[0].end.getDate() === 9, 'End day should be 9');
-  
-  // Test edge case: event spanning multiple months
-  const multiMonthEvent = {
-    startDate: new Date(2025, 0, 15),  // Jan 15, 2025
-    endDate: new Date(2025, 2, 15),    // Mar 15, 2025
-  };
-  
-  const multiMonthBoundaries = calculator._calculateWeekBoundaries(multiMonthEvent);
-  console.assert(multiMonthBoundaries.length > 4, 'Event spanning multiple months should have many boundaries');
-  console.assert(multiMonthBoundaries[0].start.getMonth() === 0, 'First segment should be in January');
-  console.assert(multiMonthBoundaries[multiMonthBoundaries.length - 1].end.getMonth() === 2, 'Last segment should be in March');
+  calculator.calculatePositions([new Event({
+    id: 'event1',
+    title: 'Event',
+    startDate: new Date(Date.UTC(2025, 0, 15)),
+    endDate: new Date(Date.UTC(2025, 0, 15)),
+  })], 2025);
+  
+  // January 2025 starts on a Wednesday
+  const january = calculator.weekBoundaries[0];
+  const januaryWeeks = january.map((week) => `${week.start}-${week.end}`).join();
+  console.assert(januaryWeeks === '1-5,6-12,13-19,20-26,27-31', `January should be split into Monday-to-Sunday weeks, got ${januaryWeeks}`);
+  console.assert(january[0].startDayOfWeek === 2 && january[0].endDayOfWeek === 6, 'The first week should run from Wednesday to Sunday');
+  console.assert(january[4].startDayOfWeek === 0 && january[4].endDayOfWeek === 4, 'The last week should run from Monday to Friday');
+  
+  // February 2025 starts on a Saturday, so its first week is two days long
+  const february = calculator.weekBoundaries[1];
+  console.assert(february[0].start === 1 && february[0].end === 2, 'February\'s first week should be the first weekend');
+  
+  // Every month's weeks should cover each of its days once
+  calculator.weekBoundaries.forEach((weeks, month) => {
+    const daysInMonth = new Date(Date.UTC(2025, month + 1, 0)).getUTCDate();
+    const contiguous = weeks.every((week, i) => i === 0 || week.start === weeks[i - 1].end + 1);
+    console.assert(weeks[0].start === 1 && weeks[weeks.length - 1].end === daysInMonth && contiguous,
+      `The weeks of month ${month} should cover the whole month`);
+  });
   
   console.log('_calculateWeekBoundaries tests completed');
 }
@@ -162,35 +126,37 @@ function testSegmentMultiWeekEvent() {
   const multiWeekEvent = new Event({
     id: 'multiWeek',
     title: 'Multi-Week Event',
-    startDate: new Date(2025, 0, 15), // Wednesday
-    endDate: new Date(2025, 0, 25),   // Saturday of next week
+    startDate: new Date(Date.UTC(2025, 0, 15)), // Wednesday
+    endDate: new Date(Date.UTC(2025, 0, 25)),   // Saturday of next week
   });
   
   const result = calculator.calculatePositions([multiWeekEvent], year);
   console.assert(result.length === 1, 'Result should contain one event');
   
   const processedEvent = result[0];
-  console.assert(processedEvent.segments.length > 1, 'Multi-week event should have multiple segments');
+  const { segments } = processedEvent.position;
+  console.assert(processedEvent.isMultiWeek, 'Event should be marked as multi-week');
+  console.assert(segments.length === 2, `Event should have one segment per week, got ${segments.length}`);
+  console.assert(processedEvent.position.continuesRight, 'Event should continue into the next week');
   
   // Check segment properties
-  const firstSegment = processedEvent.segments[0];
-  const lastSegment = processedEvent.segments[processedEvent.segments.length - 1];
+  const [firstSegment, lastSegment] = segments;
   
-  console.assert(firstSegment.isStart, 'First segment should be marked as start');
-  console.assert(!firstSegment.isEnd, 'First segment should not be marked as end');
-  console.assert(lastSegment.isEnd, 'Last segment should be marked as end');
-  console.assert(!lastSegment.isStart, 'Last segment should not be marked as start');
+  console.assert(firstSegment.isFirstSegment, 'First segment should be marked as start');
+  console.assert(!firstSegment.isLastSegment, 'First segment should not be marked as end');
+  console.assert(lastSegment.isLastSegment, 'Last segment should be marked as end');
+  console.assert(!lastSegment.isFirstSegment, 'Last segment should not be marked as start');
   
-  // Check week numbers and day positions
-  console.assert(typeof firstSegment.weekOfYear === 'number', 'Segment should have week number');
-  console.assert(typeof firstSegment.dayOfWeek === 'number', 'Segment should have day of week');
-  console.assert(firstSegment.dayOfWeek >= 0 && firstSegment.dayOfWeek <= 6, 'Day of week should be 0-6');
+  // Check months and day positions
+  console.assert(segments.every((segment) => segment.month === 0), 'Both segments should be in January');
+  console.assert(firstSegment.startDay === 2 && firstSegment.endDay === 6, 'First segment should run from Wednesday to Sunday');
+  console.assert(lastSegment.startDay === 0 && lastSegment.endDay === 5, 'Last segment should run from Monday to Saturday');
   
   console.log('Event segmentation tests completed');
 }
 
 /**
- * Test swim lane allocation for event segments
+ * Test swim lane allocation for overlapping events
  */
 function testFindAvailableSwimLane() {
   console.log('Testing swim lane allocation...');
@@ -202,22 +168,22 @@ function testFindAvailableSwimLane() {
   const event1 = new Event({
     id: 'event1',
     title: 'Event 1',
-    startDate: new Date(2025, 1, 3),  // Monday, Feb 3
-    endDate: new Date(2025, 1, 5),    // Wednesday, Feb 5
+    startDate: new Date(Date.UTC(2025, 1, 3)),  // Monday, Feb 3
+    endDate: new Date(Date.UTC(2025, 1, 5)),    // Wednesday, Feb 5
   });
   
   const event2 = new Event({
     id: 'event2',
     title: 'Event 2',
-    startDate: new Date(2025, 1, 4),  // Tuesday, Feb 4
-    endDate: new Date(2025, 1, 6),    // Thursday, Feb 6
+    startDate: new Date(Date.UTC(2025, 1, 4)),  // Tuesday, Feb 4
+    endDate: new Date(Date.UTC(2025, 1, 6)),    // Thursday, Feb 6
   });
   
   const event3 = new Event({
     id: 'event3',
     title: 'Event 3',
-    startDate: new Date(2025, 1, 7),  // Friday, Feb 7
-    endDate: new Date(2025, 1, 9),    // Sunday, Feb 9
+    startDate: new Date(Date.UTC(2025, 1, 7)),  // Friday, Feb 7
+    endDate: new Date(Date.UTC(2025, 1, 9)),    // Sunday, Feb 9
   });
   
   const result = calculator.calculatePositions([event1, event2, event3], year);
@@ -228,12 +194,12 @@ function testFindAvailableSwimLane() {
   const event2Result = result.find(e => e.id === 'event2');
   const event3Result = result.find(e => e.id === 'event3');
   
-  console.assert(event1Result.segments[0].swimLane !== event2Result.segments[0].swimLane, 
+  console.assert(event1Result.position.swimLane !== event2Result.position.swimLane, 
     'Overlapping events should have different swim lanes');
   
   // Events that don't overlap can have the same swim lane
-  console.assert(event1Result.segments[0].swimLane === event3Result.segments[0].swimLane || 
-                event2Result.segments[0].swimLane === event3Result.segments[0].swimLane,
+  console.assert(event1Result.position.swimLane === event3Result.position.swimLane || 
+                event2Result.position.swimLane === event3Result.position.swimLane,
     'Non-overlapping events can have the same swim lane');
   
   console.log('Swim lane allocation tests completed');
@@ -252,19 +218,19 @@ function testCacheInvalidation() {
   const event = new Event({
     id: 'event1',
     title: 'Original Event',
-    startDate: new Date(2025, 0, 15),
-    endDate: new Date(2025, 0, 15),
+    startDate: new Date(Date.UTC(2025, 0, 15)),
+    endDate: new Date(Date.UTC(2025, 0, 15)),
   });
   
   // Calculate positions first time (should populate cache)
-  calculator.calculatePositions([event], year);
+  const [original] = calculator.calculatePositions([event], year);
   
   // Modify the event
   const modifiedEvent = new Event({
     id: 'event1', // Same ID
     title: 'Modified Event',
-    startDate: new Date(2025, 0, 16), // Changed date
-    endDate: new Date(2025, 0, 16),
+    startDate: new Date(Date.UTC(2025, 0, 16)), // Changed date
+    endDate: new Date(Date.UTC(2025, 0, 16)),
   });
   
   // Calculate positions again
@@ -272,10 +238,17 @@ function testCacheInvalidation() {
   
   // Check that the modified event was processed correctly
   console.assert(result[0].title === 'Modified Event', 'Title should be updated');
-  console.assert(result[0].segments[0].startDate.getDate() === 16, 'Date should be updated');
+  console.assert(result[0].startDate.getUTCDate() === 16, 'Date should be updated');
+  console.assert(result[0].position.colStart === original.position.colStart + 1, 'Position should move with the date');
   
   // Test a different scenario - deleting an event
-  calculator.calculatePositions([event, modifiedEvent], year);
+  const otherEvent = new Event({
+    id: 'event2',
+    title: 'Other Event',
+    startDate: new Date(Date.UTC(2025, 0, 20)),
+    endDate: new Date(Date.UTC(2025, 0, 20)),
+  });
+  calculator.calculatePositions([event, otherEvent], year);
   const reducedResult = calculator.calculatePositions([event], year);
   
   console.assert(reducedResult.length === 1, 'Result should contain only one event after deletion');
@@ -297,26 +270,27 @@ function testPositioningEdgeCases() {
   const exactWeekEvent = new Event({
     id: 'exactWeek',
     title: 'Exact Week Event',
-    startDate: new Date(2025, 1, 3),  // Monday, Feb 3
-    endDate: new Date(2025, 1, 9),    // Sunday, Feb 9
+    startDate: new Date(Date.UTC(2025, 1, 3)),  // Monday, Feb 3
+    endDate: new Date(Date.UTC(2025, 1, 9)),    // Sunday, Feb 9
   });
   
   const exactWeekResult = calculator.calculatePositions([exactWeekEvent], year);
-  console.assert(exactWeekResult[0].segments.length === 1, 'Event spanning exactly one week should have one segment');
+  console.assert(!exactWeekResult[0].position.segments, 'Event spanning exactly one week should stay in one week');
+  console.assert(exactWeekResult[0].position.colSpan === 7, 'Event spanning exactly one week should span seven days');
   
   // Test case: Single day event on week boundary
   const sundayEvent = new Event({
     id: 'sundayEvent',
     title: 'Sunday Event',
-    startDate: new Date(2025, 1, 9),  // Sunday, Feb 9
-    endDate: new Date(2025, 1, 9),
+    startDate: new Date(Date.UTC(2025, 1, 9)),  // Sunday, Feb 9
+    endDate: new Date(Date.UTC(2025, 1, 9)),
   });
   
   const mondayEvent = new Event({
     id: 'mondayEvent',
     title: 'Monday Event',
-    startDate: new Date(2025, 1, 10), // Monday, Feb 10
-    endDate: new Date(2025, 1, 10),
+    startDate: new Date(Date.UTC(2025, 1, 10)), // Monday, Feb 10
+    endDate: new Date(Date.UTC(2025, 1, 10)),
   });
   
   const boundaryResult = calculator.calculatePositions([sundayEvent, mondayEvent], year);
@@ -325,29 +299,251 @@ function testPositioningEdgeCases() {
   const sundayResult = boundaryResult.find(e => e.id === 'sundayEvent');
   const mondayResult = boundaryResult.find(e => e.id === 'mondayEvent');
   
-  console.assert(sundayResult.segments[0].weekOfYear !== mondayResult.segments[0].weekOfYear, 
-    'Sunday and Monday events should be in different weeks');
+  console.assert(sundayResult.position.colStart === 6 && mondayResult.position.colStart === 0, 
+    'Sunday and Monday events should be at the end and start of their weeks');
   
   // Test case: Event spanning year boundary (should be truncated to current year)
   const yearBoundaryEvent = new Event({
     id: 'yearBoundary',
     title: 'Year Boundary Event',
-    startDate: new Date(2024, 11, 25), // Dec 25, 2024
-    endDate: new Date(2025, 0, 5),     // Jan 5, 2025
+    startDate: new Date(Date.UTC(2024, 11, 25)), // Dec 25, 2024
+    endDate: new Date(Date.UTC(2025, 0, 5)),     // Jan 5, 2025
   });
   
   const yearBoundaryResult = calculator.calculatePositions([yearBoundaryEvent], 2025);
   
   // Should only include parts in 2025
   console.assert(yearBoundaryResult.length === 1, 'Result should contain the year boundary event');
-  console.assert(yearBoundaryResult[0].segments[0].startDate.getFullYear() === 2025, 
-    'Segments should be truncated to current year');
+  console.assert(yearBoundaryResult[0].position.rowStart === 0 && yearBoundaryResult[0].position.colStart === 2, 
+    'Event should be truncated to start on January 1st');
   
   console.log('Positioning edge cases tests completed');
 }
 
-// Run all tests
-runTests();
+/**
+ * Test continuation flags for events crossing the year boundary
+ */
+function testYearContinuation() {
+  console.log('Testing year continuation flags...');
+
+  const holiday = new Event({
+    id: 'christmas',
+    title: 'Christmas Holiday',
+    startDate: new Date(2024, 11, 22), // Dec 22, 2024
+    endDate: new Date(2025, 0, 4),     // Jan 4, 2025
+  });
+
+  // Seen from the year it ends in
+  const calculator = new EventPositionCalculator();
+  const [endLayout] = calculator.calculatePositions([holiday], 2025);
+  console.assert(endLayout.position.rowStart === 0, 'Event should be clipped to start in January');
+  console.assert(endLayout.position.continuesFromPreviousYear, 'Event should continue from the previous year');
+  console.assert(!endLayout.position.continuesIntoNextYear, 'Event should not continue into the next year');
+
+  // Seen from the year it starts in
+  const [startLayout] = calculator.calculatePositions([holiday], 2024);
+  console.assert(startLayout.position.rowStart === 11, 'Event should start in December');
+  console.assert(!startLayout.position.continuesFromPreviousYear, 'Event should not continue from the previous year');
+  console.assert(startLayout.position.continuesIntoNextYear, 'Event should continue into the next year');
+
+  // Events inside the year carry neither flag
+  const inside = new Event({
+    id: 'inside',
+    title: 'Inside',
+    startDate: new Date(2025, 0, 1),
+    endDate: new Date(2025, 11, 31),
+  });
+  const [insideLayout] = calculator.calculatePositions([inside], 2025);
+  console.assert(
+    !insideLayout.position.continuesFromPreviousYear && !insideLayout.position.continuesIntoNextYear,
+    'Event within the year should not be flagged'
+  );
+
+  console.log('Year continuation tests completed');
+}
+
+/**
+ * Test that events beyond the available swim lanes are flagged as overflow
+ */
+function testOverflowDetection() {
+  console.log('Testing overflow detection...');
+
+  const calculator = new EventPositionCalculator({ maxSwimLanes: 3 });
+  const events = [1, 2, 3, 4, 5].map((n) => new Event({
+    id: `busy${n}`,
+    title: `Busy ${n}`,
+    startDate: new Date(2025, 2, 12),
+    endDate: new Date(2025, 2, 12),
+  }));
+
+  const layouts = calculator.calculatePositions(events, 2025);
+  const hidden = layouts.filter((layout) => layout.position.isOverflow);
+  console.assert(hidden.length === 2, `Two events should overflow three lanes, got ${hidden.length}`);
+
+  const visibleLanes = new Set(
+    layouts.filter((layout) => !layout.position.isOverflow).map((layout) => layout.position.swimLane)
+  );
+  console.assert(visibleLanes.size === 3, 'Visible events should each have their own lane');
+
+  // Events on other days of the same weekday may share a lane without overflowing
+  const nextWeek = new Event({
+    id: 'nextWeek',
+    title: 'Next week',
+    startDate: new Date(2025, 2, 19),
+    endDate: new Date(2025, 2, 19),
+  });
+  const withNextWeek = calculator.calculatePositions([...events, nextWeek], 2025);
+  const nextWeekLayout = withNextWeek.find((layout) => layout.id === 'nextWeek');
+  console.assert(!nextWeekLayout.position.isOverflow, 'Event on a free day should not overflow');
+
+  console.log('Overflow detection tests completed');
+}
+
+/**
+ * Test that columns and week boundaries follow the first day of the week
+ */
+function testWeekStart() {
+  console.log('Testing week start...');
+
+  // Sunday, Mar 2, 2025 to Tuesday, Mar 4, 2025
+  const event = new Event({
+    id: 'sundayStart',
+    title: 'Sunday start',
+    startDate: new Date(Date.UTC(2025, 2, 2)),
+    endDate: new Date(Date.UTC(2025, 2, 4)),
+  });
+
+  const calculator = new EventPositionCalculator();
+  const [mondayLayout] = calculator.calculatePositions([event], 2025);
+  console.assert(mondayLayout.position.colStart === 6, 'Sunday should be the last column of a Monday-first week');
+
+  calculator.setWeekStart(0);
+  const [sundayLayout] = calculator.calculatePositions([event], 2025);
+  console.assert(sundayLayout.position.colStart === 0, 'Sunday should be the first column of a Sunday-first week');
+
+  // Mar 1, 2025 is a Saturday, so a Sunday-first week ends on it
+  const march = calculator.weekBoundaries[2];
+  console.assert(march[0].start === 1 && march[0].end === 1, 'First Sunday-first week of March should be Mar 1 only');
+  console.assert(march[1].start === 2 && march[1].end === 8, 'Second Sunday-first week of March should be Mar 2-8');
+
+  const saturdayFirst = new EventPositionCalculator({ weekStart: 6 });
+  saturdayFirst.calculatePositions([event], 2025);
+  console.assert(saturdayFirst.weekBoundaries[2][0].end === 7, 'First Saturday-first week of March should be Mar 1-7');
+
+  console.log('Week start tests completed');
+}
+
+/**
+ * Test that the team view gives each member a swim lane of their own
+ */
+function testTeamLanes() {
+  console.log('Testing team lanes...');
+
+  const day = new Date(Date.UTC(2025, 2, 12));
+  const events = [
+    new Event({ id: 'bob', title: 'Bob away', startDate: day, endDate: day, assignee: 'Bob' }),
+    new Event({ id: 'alice', title: 'Alice away', startDate: day, endDate: day, assignee: 'Alice' }),
+    new Event({ id: 'nobody', title: 'Offsite', startDate: day, endDate: day }),
+    new Event({ id: 'bob2', title: 'Bob again', startDate: day, endDate: day, assignee: 'Bob' }),
+  ];
+
+  const calculator = new EventPositionCalculator({ maxSwimLanes: 2 });
+  calculator.setTeamMembers(['Alice', 'Bob', 'Carol', 'Dan']);
+  console.assert(calculator.maxSwimLanes === 5, 'Team view should have a lane per member plus a shared lane');
+
+  const layouts = calculator.calculatePositions(events, 2025);
+  const laneOf = (id) => layouts.find((layout) => layout.id === id).position.swimLane;
+  console.assert(laneOf('alice') === 1, 'First member should get the lane below the shared one');
+  console.assert(laneOf('bob') === 2, 'Second member should get the next lane');
+  console.assert(laneOf('nobody') === 0, 'Unassigned events should go in the shared lane');
+
+  // Two events of one person on the same day can't both be shown
+  const overflowing = layouts.filter((layout) => layout.position.isOverflow);
+  console.assert(overflowing.length === 1 && overflowing[0].assignee === 'Bob', 'A member\'s second event that day should overflow');
+
+  calculator.setTeamMembers(null);
+  console.assert(calculator.maxSwimLanes === 2, 'Leaving the team view should restore the lane count');
+  const normal = calculator.calculatePositions(events.slice(0, 2), 2025);
+  console.assert(normal.every((layout) => layout.position.swimLane < 2), 'Normal layout should ignore assignees');
+
+  console.log('Team lane tests completed');
+}
+
+/**
+ * Test the day-aligned and timeline layouts
+ */
+function testLayouts() {
+  console.log('Testing layouts...');
+
+  const events = [
+    new Event({ id: 'spring', title: 'Spring break', startDate: new Date(Date.UTC(2025, 2, 28)), endDate: new Date(Date.UTC(2025, 3, 4)) }),
+    new Event({ id: 'week', title: 'Week', startDate: new Date(Date.UTC(2025, 2, 3)), endDate: new Date(Date.UTC(2025, 2, 16)) }),
+    new Event({ id: 'overlap', title: 'Overlap', startDate: new Date(Date.UTC(2025, 2, 14)), endDate: new Date(Date.UTC(2025, 2, 14)) }),
+  ];
+
+  const calculator = new EventPositionCalculator({ layout: LAYOUTS.DAY_ALIGNED });
+  let layouts = calculator.calculatePositions(events, 2025);
+  const positionOf = (id) => layouts.find((layout) => layout.id === id).position;
+
+  // Day-aligned: one segment per month, columns are days of the month
+  const spring = positionOf('spring');
+  console.assert(spring.segments.length === 2, 'Event across a month end should have a segment per month');
+  console.assert(spring.segments[0].month === 2 && spring.segments[0].startDay === 27 && spring.segments[0].endDay === 30, 'First segment should run from the 28th to the 31st of March');
+  console.assert(spring.segments[1].month === 3 && spring.segments[1].startDay === 0 && spring.segments[1].endDay === 3, 'Second segment should run from the 1st to the 4th of April');
+
+  const week = positionOf('week');
+  console.assert(week.segments === null && week.colStart === 2 && week.colSpan === 14, 'Two weeks in one month should be a single span');
+  console.assert(positionOf('overlap').swimLane !== week.swimLane, 'Overlapping events should get different lanes');
+
+  // Timeline: one row, columns are days of the year
+  calculator.setLayout(LAYOUTS.TIMELINE);
+  layouts = calculator.calculatePositions(events, 2025);
+  const timeline = positionOf('spring');
+  console.assert(timeline.segments === null, 'Timeline events should be a single span');
+  console.assert(timeline.rowStart === 0 && timeline.colStart === 86 && timeline.colSpan === 8, `Spring break should start on day 87, got column ${timeline.colStart}`);
+
+  // Back to weekday columns
+  calculator.setLayout(LAYOUTS.WEEKDAY);
+  layouts = calculator.calculatePositions(events, 2025);
+  console.assert(positionOf('week').segments.length > 1, 'Weekday layout should split events at week boundaries');
+
+  console.log('Layout tests completed');
+}
+
+/**
+ * Test planner years that start in a month other than January
+ */
+function testStartMonth() {
+  console.log('Testing planner years starting in April...');
+
+  const events = [
+    new Event({ id: 'winter', title: 'Winter break', startDate: new Date(Date.UTC(2025, 11, 22)), endDate: new Date(Date.UTC(2026, 0, 2)) }),
+    new Event({ id: 'march', title: 'Year end', startDate: new Date(Date.UTC(2026, 2, 31)), endDate: new Date(Date.UTC(2026, 3, 3)) }),
+  ];
+
+  const calculator = new EventPositionCalculator();
+  calculator.setStartMonth(3);
+  let layouts = calculator.calculatePositions(events, 2025);
+  const positionOf = (id) => layouts.find((layout) => layout.id === id).position;
+
+  // December and January are neighbouring rows of the 2025–26 year
+  const winter = positionOf('winter');
+  console.assert(winter.rowSpan === 2, `Event across the new year should span two rows, got ${winter.rowSpan}`);
+  const months = winter.segments.map((segment) => segment.month);
+  console.assert(months[0] === 11 && months[months.length - 1] === 0, `Segments should run from December into January, got ${months}`);
+  console.assert(!winter.continuesFromPreviousYear && !winter.continuesIntoNextYear, 'Event inside the planner year should not continue');
+
+  // The year ends on 31 March 2026
+  console.assert(positionOf('march').continuesIntoNextYear, 'Event past 31 March should continue into the next planner year');
+
+  // Timeline columns count from 1 April
+  calculator.setLayout(LAYOUTS.TIMELINE);
+  layouts = calculator.calculatePositions(events, 2025);
+  const timeline = positionOf('winter');
+  console.assert(timeline.colStart === 265 && timeline.colSpan === 12, `Winter break should start on day 266, got column ${timeline.colStart}`);
+
+  console.log('Planner year tests completed');
+}
 
 // Export for browser environment
 if (typeof window !== 'undefined') {
@@ -0,0 +1,299 @@
+/**
+ * HolidayCalculator.js - Computes public holidays from country rule sets
+ *
+ * Built-in holidays are never stored as user events. Each country is a JSON
+ * rule set under js/data/holidays listing fixed dates, nth-weekday rules and
+ * Easter-relative dates, optionally limited to regions and shifted to a
+ * weekday when they fall on a weekend. The calculator turns the rules for the
+ * selected countries and regions into read-only, day-long events that render
+ * in the holiday swim lane.
+ */
+
+import { TIME } from '../config.js';
+import { formatDateOnly } from '../utils/DateUtils.js';
+
+/** Folder holding index.json and one rule set per country */
+const RULES_URL = new URL('../data/holidays/', import.meta.url);
+
+/**
+ * Add whole days to a UTC date
+ * @param {Date} date - UTC midnight
+ * @param {number} days - Days to add, may be negative
+ * @returns {Date} New UTC midnight
+ * @private
+ */
+function addDays(date, days) {
+  return new Date(date.getTime() + days * TIME.MS_PER_DAY);
+}
+
+/**
+ * Whether a UTC date falls on Saturday or Sunday
+ * @param {Date} date - UTC midnight
+ * @returns {boolean}
+ * @private
+ */
+function isWeekend(date) {
+  const day = date.getUTCDay();
+  return day === 0 || day === 6;
+}
+
+/**
+ * Turn a title into an id-safe slug
+ * @param {string} text - Text to slugify
+ * @returns {string}
+ * @private
+ */
+function slugify(text) {
+  return text
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-|-$/g, '');
+}
+
+/**
+ * Calculates holidays for a set of country and region selections.
+ *
+ * A selection is a country code ("US") for the nationwide holidays only, or
+ * a country and region ("US-CA") for the nationwide holidays plus the
+ * region's own.
+ */
+class HolidayCalculator {
+  /**
+   * @param {Array<Object>} [ruleSets=[]] - Parsed country rule sets
+   */
+  constructor(ruleSets = []) {
+    /** @type {Map<string, Object>} Rule sets by upper-case country code */
+    this.ruleSets = new Map();
+    ruleSets.forEach((ruleSet) => {
+      this.ruleSets.set(ruleSet.country.toUpperCase(), ruleSet);
+    });
+  }
+
+  /**
+   * Calculate Easter Sunday with the anonymous Gregorian algorithm
+   * @param {number} year - Year
+   * @returns {Date} Easter Sunday at UTC midnight
+   */
+  static getEasterSunday(year) {
+    const a = year % 19;
+    const b = Math.floor(year / 100);
+    const c = year % 100;
+    const d = Math.floor(b / 4);
+    const e = b % 4;
+    const f = Math.floor((b + 8) / 25);
+    const g = Math.floor((b - f + 1) / 3);
+    const h = (19 * a + b - d - g + 15) % 30;
+    const i = Math.floor(c / 4);
+    const k = c % 4;
+    const l = (32 + 2 * e + 2 * i - h - k) % 7;
+    const m = Math.floor((a + 11 * h + 22 * l) / 451);
+    const month = Math.floor((h + l - 7 * m + 114) / 31);
+    const day = ((h + l - 7 * m + 114) % 31) + 1;
+    return new Date(Date.UTC(year, month - 1, day));
+  }
+
+  /**
+   * Resolve the date a rule falls on in a year, before any weekend shift
+   * @param {Object} rule - Holiday rule
+   * @param {number} year - Year
+   * @returns {Date|null} UTC midnight, or null when the rule doesn't apply
+   */
+  static resolveRuleDate(rule, year) {
+    if (rule.from && year < rule.from) return null;
+    if (rule.until && year > rule.until) return null;
+
+    let date;
+    switch (rule.type) {
+      case 'fixed':
+        date = new Date(Date.UTC(year, rule.month - 1, rule.day));
+        break;
+
+      case 'nth-weekday': {
+        // Count forward from the anchor day (default the 1st) or backward
+        // from it (default the last day of the month)
+        const lastDay = new Date(Date.UTC(year, rule.month, 0)).getUTCDate();
+        if (rule.n > 0) {
+          const anchor = new Date(Date.UTC(year, rule.month - 1, rule.day || 1));
+          const shift = (rule.weekday - anchor.getUTCDay() + 7) % 7;
+          date = addDays(anchor, shift + (rule.n - 1) * 7);
+        } else {
+          const anchor = new Date(
+            Date.UTC(year, rule.month - 1, rule.day || lastDay),
+          );
+          const shift = (anchor.getUTCDay() - rule.weekday + 7) % 7;
+          date = addDays(anchor, -shift + (rule.n + 1) * 7);
+        }
+        // A fifth weekday that doesn't exist in this month
+        if (!rule.day && date.getUTCMonth() !== rule.month - 1) return null;
+        break;
+      }
+
+      case 'easter':
+        date = HolidayCalculator.getEasterSunday(year);
+        break;
+
+      default:
+        throw new Error(`Unknown holiday rule type: ${rule.type}`);
+    }
+
+    return rule.offset ? addDays(date, rule.offset) : date;
+  }
+
+  /**
+   * List the selections that can be offered to the user
+   * @returns {Array<{code: string, name: string}>} Countries, each followed by its regions
+   */
+  getRegionOptions() {
+    const options = [];
+    this.ruleSets.forEach((ruleSet, country) => {
+      options.push({ code: country, name: `${ruleSet.name} (nationwide)` });
+      Object.entries(ruleSet.regions || {}).forEach(([region, name]) => {
+        options.push({
+          code: `${country}-${region}`,
+          name: `${ruleSet.name} – ${name}`,
+        });
+      });
+    });
+    return options;
+  }
+
+  /**
+   * Describe a selection for display, e.g. "United States – California"
+   * @param {string} selection - Selection code
+   * @returns {string}
+   */
+  describeSelection(selection) {
+    const option = this.getRegionOptions().find((o) => o.code === selection);
+    return option ? option.name : selection;
+  }
+
+  /**
+   * Calculate the holidays of one selection for a year, with weekend
+   * substitutes. A rule's `observed` policy picks the substitute day:
+   * "nearest-weekday" moves Saturday back to Friday and Sunday forward to
+   * Monday; "next-weekday" takes the next weekday that isn't a holiday yet.
+   * @param {string} selection - Selection code such as "GB" or "GB-SCT"
+   * @param {number} year - Year
+   * @returns {Array<{date: Date, name: string}>} Holidays sorted by date
+   * @private
+   */
+  _getSelectionHolidays(selection, year) {
+    const [country, region] = selection.toUpperCase().split('-');
+    const ruleSet = this.ruleSets.get(country);
+    if (!ruleSet) return [];
+
+    const rules = ruleSet.holidays.filter(
+      (rule) => !rule.regions || (region && rule.regions.includes(region)),
+    );
+
+    // Neighbouring years too: 1 January on a Saturday is observed on
+    // 31 December, and substitutes can spill into January
+    const actual = [];
+    for (let y = year - 1; y <= year + 1; y++) {
+      rules.forEach((rule) => {
+        const date = HolidayCalculator.resolveRuleDate(rule, y);
+        if (date) actual.push({ date, rule });
+      });
+    }
+    actual.sort((a, b) => a.date - b.date);
+
+    // Weekday holidays are taken first so substitutes queue up behind them
+    const taken = new Set(
+      actual.filter(({ date }) => !isWeekend(date)).map(({ date }) =>
+        formatDateOnly(date),
+      ),
+    );
+
+    const holidays = [];
+    actual.forEach(({ date, rule }) => {
+      holidays.push({ date, name: rule.name });
+      if (!rule.observed || !isWeekend(date)) return;
+
+      let observed;
+      if (rule.observed === 'nearest-weekday') {
+        observed = addDays(date, date.getUTCDay() === 6 ? -1 : 1);
+      } else if (rule.observed === 'next-weekday') {
+        observed = addDays(date, 1);
+        while (isWeekend(observed) || taken.has(formatDateOnly(observed))) {
+          observed = addDays(observed, 1);
+        }
+      } else {
+        throw new Error(`Unknown observed policy: ${rule.observed}`);
+      }
+
+      taken.add(formatDateOnly(observed));
+      holidays.push({ date: observed, name: `${rule.name} (observed)` });
+    });
+
+    return holidays.filter(({ date }) => date.getUTCFullYear() === year);
+  }
+
+  /**
+   * Calculate the holidays for a year as read-only events. A holiday shared
+   * by several selections appears once; with more than one selection its
+   * title lists the selections it applies to.
+   * @param {number} year - Year
+   * @param {Array<string>} selections - Selection codes such as ["US", "GB-ENG"]
+   * @returns {Array<Object>} Event-shaped plain objects sorted by date
+   */
+  getHolidays(year, selections) {
+    const merged = new Map();
+
+    selections.forEach((selection) => {
+      this._getSelectionHolidays(selection, year).forEach(({ date, name }) => {
+        const key = `${formatDateOnly(date)}|${name}`;
+        if (!merged.has(key)) {
+          merged.set(key, { date, name, selections: [] });
+        }
+        const entry = merged.get(key);
+        if (!entry.selections.includes(selection)) {
+          entry.selections.push(selection);
+        }
+      });
+    });
+
+    return Array.from(merged.values())
+      .sort((a, b) => a.date - b.date || a.name.localeCompare(b.name))
+      .map(({ date, name, selections: appliesTo }) => {
+        const title =
+          selections.length > 1 ? `${name} (${appliesTo.join(', ')})` : name;
+        return {
+          id: `holiday-${formatDateOnly(date)}-${slugify(name)}`,
+          title,
+          description: `Public holiday in ${appliesTo
+            .map((s) => this.describeSelection(s))
+            .join(', ')}`,
+          startDate: date,
+          endDate: date,
+          isRecurring: false,
+          startsPM: false,
+          endsAM: false,
+          isPublicHoliday: true,
+          isBuiltInHoliday: true,
+          isReadOnly: true,
+          holidayRegions: appliesTo,
+        };
+      });
+  }
+}
+
+/**
+ * Fetch every rule set listed in js/data/holidays/index.json
+ * @returns {Promise<Array<Object>>} Parsed rule sets
+ */
+async function loadHolidayRuleSets() {
+  const fetchJson = async (name) => {
+    const response = await fetch(new URL(name, RULES_URL));
+    if (!response.ok) {
+      throw new Error(`Failed to load ${name}: ${response.status}`);
+    }
+    return response.json();
+  };
+
+  const index = await fetchJson('index.json');
+  return Promise.all(
+    index.countries.map((code) => fetchJson(`${code.toLowerCase()}.json`)),
+  );
+}
+
+export { HolidayCalculator, loadHolidayRuleSets };
@@ -0,0 +1,174 @@
+/**
+ * HolidayCalculator.test.js - Tests for the built-in holiday rule engine
+ *
+ * Uses small inline rule sets so the tests don't depend on the shipped data
+ * files changing.
+ */
+
+import { HolidayCalculator } from './HolidayCalculator.js';
+
+/** Rule set exercising every rule type and both weekend policies */
+const TEST_RULES = {
+  country: 'XX',
+  name: 'Testland',
+  regions: { N: 'North', S: 'South' },
+  holidays: [
+    { name: 'New Year', type: 'fixed', month: 1, day: 1, observed: 'nearest-weekday' },
+    { name: 'Spring Monday', type: 'nth-weekday', month: 3, weekday: 1, n: 2 },
+    { name: 'Last Friday', type: 'nth-weekday', month: 5, weekday: 5, n: -1 },
+    { name: 'Prayer Day', type: 'nth-weekday', month: 11, day: 22, weekday: 3, n: -1, regions: ['S'] },
+    { name: 'Good Friday', type: 'easter', offset: -2 },
+    { name: 'Northern Day', type: 'fixed', month: 7, day: 1, regions: ['N'], from: 2024 },
+    { name: 'Day 1', type: 'fixed', month: 12, day: 25, observed: 'next-weekday' },
+    { name: 'Day 2', type: 'fixed', month: 12, day: 26, observed: 'next-weekday' },
+  ],
+};
+
+/**
+ * Format a date as YYYY-MM-DD in UTC
+ * @param {Date} date - Date to format
+ * @returns {string}
+ */
+function iso(date) {
+  return date.toISOString().split('T')[0];
+}
+
+/**
+ * Find the date of a named holiday in a list
+ * @param {Array<Object>} holidays - Holidays from getHolidays
+ * @param {string} title - Holiday title
+ * @returns {string|null} YYYY-MM-DD or null when missing
+ */
+function dateOf(holidays, title) {
+  const holiday = holidays.find((h) => h.title === title);
+  return holiday ? iso(holiday.startDate) : null;
+}
+
+/**
+ * Run tests and log results
+ */
+function runTests() {
+  console.log('=== Running HolidayCalculator tests ===');
+
+  testEaster();
+  testRuleTypes();
+  testObservedDays();
+  testRegions();
+
+  console.log('=== All HolidayCalculator tests completed ===');
+}
+
+/**
+ * Test the Easter Sunday calculation against known dates
+ */
+function testEaster() {
+  console.log('Testing Easter calculation...');
+
+  const known = { 2019: '2019-04-21', 2024: '2024-03-31', 2025: '2025-04-20', 2038: '2038-04-25' };
+  Object.entries(known).forEach(([year, expected]) => {
+    const actual = iso(HolidayCalculator.getEasterSunday(Number(year)));
+    console.assert(actual === expected, `Easter ${year} should be ${expected}, got ${actual}`);
+  });
+
+  console.log('Easter calculation tests completed');
+}
+
+/**
+ * Test fixed, nth-weekday and Easter-relative rules
+ */
+function testRuleTypes() {
+  console.log('Testing rule types...');
+
+  const calculator = new HolidayCalculator([TEST_RULES]);
+  const holidays = calculator.getHolidays(2025, ['XX-S']);
+
+  console.assert(dateOf(holidays, 'Spring Monday') === '2025-03-10', 'Second Monday of March 2025 is the 10th');
+  console.assert(dateOf(holidays, 'Last Friday') === '2025-05-30', 'Last Friday of May 2025 is the 30th');
+  console.assert(dateOf(holidays, 'Prayer Day') === '2025-11-19', 'Last Wednesday on or before 22 November 2025 is the 19th');
+  console.assert(dateOf(holidays, 'Good Friday') === '2025-04-18', 'Good Friday 2025 is 18 April');
+
+  // Every holiday is a read-only, day-long public holiday
+  holidays.forEach((holiday) => {
+    console.assert(holiday.isPublicHoliday && holiday.isReadOnly && holiday.isBuiltInHoliday, `${holiday.title} should be a read-only holiday`);
+    console.assert(holiday.startDate.getTime() === holiday.endDate.getTime(), `${holiday.title} should last one day`);
+  });
+
+  // Unknown rule types are reported rather than ignored
+  let threw = false;
+  try {
+    HolidayCalculator.resolveRuleDate({ name: 'Bad', type: 'lunar' }, 2025);
+  } catch (error) {
+    threw = true;
+  }
+  console.assert(threw, 'Unknown rule types should throw');
+
+  console.log('Rule type tests completed');
+}
+
+/**
+ * Test substitute days for holidays on a weekend
+ */
+function testObservedDays() {
+  console.log('Testing observed days...');
+
+  const calculator = new HolidayCalculator([TEST_RULES]);
+
+  // 1 January 2022 is a Saturday: observed on Friday 31 December 2021
+  const holidays2021 = calculator.getHolidays(2021, ['XX']);
+  console.assert(dateOf(holidays2021, 'New Year (observed)') === '2021-12-31', 'Saturday New Year should be observed on the Friday before');
+  const holidays2022 = calculator.getHolidays(2022, ['XX']);
+  console.assert(dateOf(holidays2022, 'New Year') === '2022-01-01', 'The holiday itself stays on its date');
+  console.assert(dateOf(holidays2022, 'New Year (observed)') === null, 'The substitute belongs to the previous year');
+
+  // 1 January 2023 is a Sunday: observed on Monday
+  const holidays2023 = calculator.getHolidays(2023, ['XX']);
+  console.assert(dateOf(holidays2023, 'New Year (observed)') === '2023-01-02', 'Sunday New Year should be observed on Monday');
+
+  // 25 and 26 December 2021 are Saturday and Sunday: both queue behind each other
+  console.assert(dateOf(holidays2021, 'Day 1 (observed)') === '2021-12-27', 'First weekend holiday moves to Monday');
+  console.assert(dateOf(holidays2021, 'Day 2 (observed)') === '2021-12-28', 'Second weekend holiday moves to Tuesday');
+
+  // 25 December 2022 is a Sunday and 26 December a Monday holiday already
+  const day1 = dateOf(holidays2022, 'Day 1 (observed)');
+  console.assert(day1 === '2022-12-27', `Sunday holiday should skip the Monday holiday, got ${day1}`);
+  console.assert(dateOf(holidays2022, 'Day 2 (observed)') === null, 'Weekday holidays have no substitute');
+
+  console.log('Observed day tests completed');
+}
+
+/**
+ * Test region filtering and merging several selections
+ */
+function testRegions() {
+  console.log('Testing regions...');
+
+  const calculator = new HolidayCalculator([TEST_RULES]);
+
+  const nationwide = calculator.getHolidays(2025, ['XX']);
+  console.assert(dateOf(nationwide, 'Prayer Day') === null, 'Regional holidays need their region selected');
+  console.assert(dateOf(nationwide, 'Northern Day') === null, 'Regional holidays need their region selected');
+
+  const north = calculator.getHolidays(2025, ['XX-N']);
+  console.assert(dateOf(north, 'Northern Day') === '2025-07-01', 'Selected region adds its holidays');
+  console.assert(dateOf(north, 'Good Friday') === '2025-04-18', 'Selected region keeps the nationwide holidays');
+  console.assert(dateOf(calculator.getHolidays(2023, ['XX-N']), 'Northern Day') === null, 'Rules apply from their first year');
+
+  // Several selections: shared holidays appear once, labelled with where they apply
+  const both = calculator.getHolidays(2025, ['XX-N', 'XX-S']);
+  const goodFridays = both.filter((h) => h.title.startsWith('Good Friday'));
+  console.assert(goodFridays.length === 1, 'Shared holidays should be merged');
+  console.assert(goodFridays[0].title === 'Good Friday (XX-N, XX-S)', `Merged title should list selections, got ${goodFridays[0].title}`);
+  console.assert(dateOf(both, 'Northern Day (XX-N)') === '2025-07-01', 'Regional holidays list their own region');
+
+  const options = calculator.getRegionOptions().map((o) => o.code);
+  console.assert(options.join() === 'XX,XX-N,XX-S', `Region options should list country then regions, got ${options}`);
+
+  console.log('Region tests completed');
+}
+
+// Export for browser environment
+if (typeof window !== 'undefined') {
+  window.runHolidayCalculatorTests = runTests;
+}
+
+export { runTests };
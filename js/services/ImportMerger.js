@@ -0,0 +1,280 @@
+/**
+ * ImportMerger.js - Compares an export file with the stored events and
+ * works out what importing it would do
+ *
+ * Exports list each year's events. Imported events are matched to stored
+ * ones by ID and sorted into added, changed, conflicting and unchanged
+ * events, so the user can see the effect of an import before anything is
+ * written. An event counts as conflicting rather than changed when it was
+ * saved here more recently than in the file, so importing it would lose an
+ * edit. Records that can't be imported are listed with the reason.
+ */
+
+import { IMPORT_STRATEGIES } from '../config.js';
+
+/**
+ * Fields left out when checking whether two copies of an event differ
+ * @private
+ */
+const IGNORED_FIELDS = ['updatedAt'];
+
+/**
+ * Turn an event into a string that is equal for equal events, whatever the
+ * order of their fields or whether their dates are Dates or strings
+ * @param {Object} event - Event data
+ * @returns {string}
+ * @private
+ */
+function fingerprint(event) {
+  const sorted = {};
+  Object.keys(event)
+    .filter((key) => !IGNORED_FIELDS.includes(key) && event[key] !== undefined)
+    .sort()
+    .forEach((key) => {
+      sorted[key] = event[key];
+    });
+  return JSON.stringify(sorted);
+}
+
+/**
+ * Sorts imported events against stored ones and merges them
+ */
+class ImportMerger {
+  /**
+   * @param {Object} [options] - Merge options
+   * @param {string} [options.calendarId] - Calendar the events are imported
+   *   into; only its stored events are replaced, and every imported event is
+   *   moved into it
+   * @param {string} [options.defaultCalendarId] - Calendar of events stored without one
+   * @param {Function} [options.validate] - Returns why an event record can't
+   *   be imported, or null if it can
+   * @param {Function} [options.revive] - Turns a valid record into event data
+   *   with Date fields
+   */
+  constructor({
+    calendarId = null,
+    defaultCalendarId = null,
+    validate = () => null,
+    revive = (record) => record,
+  } = {}) {
+    this.calendarId = calendarId;
+    this.defaultCalendarId = defaultCalendarId;
+    this.validate = validate;
+    this.revive = revive;
+  }
+
+  /**
+   * Read the years and events of an export file
+   * @param {Object} data - Parsed export file, events by year
+   * @returns {{eventsByYear: Map<number, Array<Object>>, invalid: Array<{year: string, record: *, reason: string}>}}
+   *   Importable events by year, and the records that were skipped
+   * @throws {Error} If the data isn't an object of years
+   */
+  parse(data) {
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+      throw new Error('Invalid data format');
+    }
+
+    const eventsByYear = new Map();
+    const invalid = [];
+
+    Object.entries(data).forEach(([yearKey, records]) => {
+      const year = parseInt(yearKey, 10);
+      if (isNaN(year)) {
+        invalid.push({ year: yearKey, record: records, reason: `"${yearKey}" is not a year` });
+        return;
+      }
+      if (!Array.isArray(records)) {
+        invalid.push({ year: yearKey, record: records, reason: `Events for ${year} are not a list` });
+        return;
+      }
+
+      const events = [];
+      const ids = new Set();
+      records.forEach((record) => {
+        const reason =
+          record && typeof record === 'object'
+            ? this.validate(record)
+            : 'Not an event';
+        if (reason) {
+          invalid.push({ year: yearKey, record, reason });
+          return;
+        }
+        if (ids.has(record.id)) {
+          invalid.push({ year: yearKey, record, reason: `Duplicate ID ${record.id} in ${year}` });
+          return;
+        }
+
+        ids.add(record.id);
+        const event = this.revive(record);
+        events.push(
+          this.calendarId ? { ...event, calendarId: this.calendarId } : event,
+        );
+      });
+      eventsByYear.set(year, events);
+    });
+
+    return { eventsByYear, invalid };
+  }
+
+  /**
+   * Sort the imported events against the stored ones. An event stored under
+   * several years is listed once.
+   * @param {Map<number, Array<Object>>} eventsByYear - Imported events by year
+   * @param {Map<number, Array<Object>>} storedByYear - Stored events of the same years
+   * @returns {{added: Array<Object>, changed: Array<{stored: Object, imported: Object}>,
+   *   conflicting: Array<{stored: Object, imported: Object}>, unchanged: Array<Object>,
+   *   removed: Array<Object>}} What importing would do; `removed` lists the
+   *   stored events that replacing the years would delete
+   */
+  compare(eventsByYear, storedByYear) {
+    const result = {
+      added: [],
+      changed: [],
+      conflicting: [],
+      unchanged: [],
+      removed: [],
+    };
+    const seen = new Set();
+    const removedIds = new Set();
+
+    eventsByYear.forEach((events, year) => {
+      const stored = storedByYear.get(year) || [];
+      const storedById = new Map(stored.map((event) => [event.id, event]));
+      const importedIds = new Set(events.map((event) => event.id));
+
+      events.forEach((imported) => {
+        if (seen.has(imported.id)) return;
+        seen.add(imported.id);
+
+        const match = storedById.get(imported.id);
+        const status = this._getStatus(match, imported);
+        if (status === 'added' || status === 'unchanged') {
+          result[status].push(imported);
+        } else {
+          result[status].push({ stored: match, imported });
+        }
+      });
+
+      stored.forEach((event) => {
+        if (importedIds.has(event.id) || !this._isInScope(event)) return;
+        if (removedIds.has(event.id)) return;
+        removedIds.add(event.id);
+        result.removed.push(event);
+      });
+    });
+
+    return result;
+  }
+
+  /**
+   * Work out the events each imported year holds after the import
+   * @param {Map<number, Array<Object>>} eventsByYear - Imported events by year
+   * @param {Map<number, Array<Object>>} storedByYear - Stored events of the same years
+   * @param {string} strategy - One of IMPORT_STRATEGIES
+   * @returns {Map<number, Array<Object>>} The new events of every imported year
+   * @throws {Error} If the strategy is unknown
+   */
+  merge(eventsByYear, storedByYear, strategy) {
+    if (!Object.values(IMPORT_STRATEGIES).includes(strategy)) {
+      throw new Error(`Unknown import strategy: ${strategy}`);
+    }
+
+    // Copies kept next to a stored event get the same new ID in every year
+    const copyIds = new Map();
+    const merged = new Map();
+
+    eventsByYear.forEach((events, year) => {
+      const stored = storedByYear.get(year) || [];
+
+      if (strategy === IMPORT_STRATEGIES.REPLACE_YEAR) {
+        const importedIds = new Set(events.map((event) => event.id));
+        merged.set(year, [
+          ...stored.filter(
+            (event) => !this._isInScope(event) && !importedIds.has(event.id),
+          ),
+          ...events,
+        ]);
+        return;
+      }
+
+      const result = [...stored];
+      const indexById = new Map(result.map((event, index) => [event.id, index]));
+
+      events.forEach((imported) => {
+        const index = indexById.get(imported.id);
+        const status = this._getStatus(result[index], imported);
+
+        if (status === 'unchanged') return;
+
+        if (status === 'added') {
+          result.push(imported);
+        } else if (strategy === IMPORT_STRATEGIES.KEEP_BOTH) {
+          if (!copyIds.has(imported.id)) {
+            copyIds.set(imported.id, crypto.randomUUID());
+          }
+          result.push({ ...imported, id: copyIds.get(imported.id) });
+        } else if (status === 'changed') {
+          result[index] = imported;
+        }
+        // Merging by ID keeps conflicting events as edited here
+      });
+
+      merged.set(year, result);
+    });
+
+    return merged;
+  }
+
+  /**
+   * Sort an imported event against the stored event with its ID
+   * @param {Object|undefined} stored - Stored event with the same ID, if any
+   * @param {Object} imported - Imported event
+   * @returns {('added'|'unchanged'|'changed'|'conflicting')}
+   * @private
+   */
+  _getStatus(stored, imported) {
+    if (!stored) return 'added';
+    if (fingerprint(this._normalize(stored)) === fingerprint(this._normalize(imported))) {
+      return 'unchanged';
+    }
+
+    // Saved here after the copy in the file was: importing would lose an edit
+    if (stored.updatedAt && (!imported.updatedAt || stored.updatedAt > imported.updatedAt)) {
+      return 'conflicting';
+    }
+    return 'changed';
+  }
+
+  /**
+   * Fill in the calendar of an event stored without one, so it compares
+   * equal to an exported copy
+   * @param {Object} event - Event data
+   * @returns {Object}
+   * @private
+   */
+  _normalize(event) {
+    return {
+      ...event,
+      startDate: new Date(event.startDate).toISOString(),
+      endDate: new Date(event.endDate).toISOString(),
+      calendarId: event.calendarId || this.defaultCalendarId,
+    };
+  }
+
+  /**
+   * Check whether a stored event can be replaced by the import: any event,
+   * or only those of the calendar imported into
+   * @param {Object} event - Stored event
+   * @returns {boolean}
+   * @private
+   */
+  _isInScope(event) {
+    return (
+      !this.calendarId ||
+      (event.calendarId || this.defaultCalendarId) === this.calendarId
+    );
+  }
+}
+
+export { ImportMerger };
@@ -0,0 +1,214 @@
+/**
+ * ImportMerger.test.js - Tests for import previews and merge strategies
+ */
+
+import { ImportMerger } from './ImportMerger.js';
+import { IMPORT_STRATEGIES } from '../config.js';
+
+/**
+ * Create plain event data as stored or exported
+ * @param {string} id - Event ID
+ * @param {Object} [fields] - Fields to set or override
+ * @returns {Object}
+ */
+function event(id, fields = {}) {
+  return {
+    id,
+    title: `Event ${id}`,
+    startDate: '2025-03-03T00:00:00.000Z',
+    endDate: '2025-03-04T00:00:00.000Z',
+    calendarId: 'personal',
+    ...fields,
+  };
+}
+
+/**
+ * List the IDs of events in a year of a merge result
+ * @param {Map<number, Array<Object>>} merged - Merge result
+ * @param {number} year - Year to list
+ * @returns {string}
+ */
+function idsOf(merged, year) {
+  return merged.get(year).map((e) => e.id).sort().join();
+}
+
+/**
+ * Run tests and log results
+ */
+function runTests() {
+  console.log('=== Running ImportMerger tests ===');
+
+  testParse();
+  testCompare();
+  testMergeById();
+  testKeepBoth();
+  testReplaceYear();
+
+  console.log('=== All ImportMerger tests completed ===');
+}
+
+/**
+ * Test reading export files and reporting records that can't be imported
+ */
+function testParse() {
+  console.log('Testing parse...');
+
+  const merger = new ImportMerger({
+    validate: (record) => (record.title ? null : 'Missing title'),
+  });
+  const { eventsByYear, invalid } = merger.parse({
+    2025: [event('a'), event('b', { title: undefined }), event('a'), 42],
+    notes: [],
+    2026: 'none',
+  });
+
+  console.assert(eventsByYear.size === 1, `Only 2025 should be read, got ${eventsByYear.size} years`);
+  console.assert(idsOf(eventsByYear, 2025) === 'a', 'Valid events should be kept once');
+  console.assert(invalid.length === 5, `Five records should be skipped, got ${invalid.length}`);
+  const reasons = invalid.map((entry) => entry.reason);
+  ['Missing title', 'Duplicate ID a in 2025', 'Not an event', '"notes" is not a year', 'Events for 2026 are not a list']
+    .forEach((reason) => {
+      console.assert(reasons.includes(reason), `Skipped records should include "${reason}"`);
+    });
+
+  let threw = false;
+  try {
+    merger.parse([]);
+  } catch (error) {
+    threw = true;
+  }
+  console.assert(threw, 'Data that is not an object of years should throw');
+
+  const intoWork = new ImportMerger({ calendarId: 'work' });
+  const moved = intoWork.parse({ 2025: [event('a')] }).eventsByYear.get(2025)[0];
+  console.assert(moved.calendarId === 'work', 'Events should be moved into the calendar imported into');
+
+  console.log('parse tests completed');
+}
+
+/**
+ * Test sorting imported events against stored ones
+ */
+function testCompare() {
+  console.log('Testing compare...');
+
+  const merger = new ImportMerger({ defaultCalendarId: 'personal' });
+  const stored = new Map([[2025, [
+    event('same', { calendarId: undefined, startDate: new Date('2025-03-03T00:00:00.000Z') }),
+    event('theirs', { updatedAt: '2025-01-01T00:00:00.000Z' }),
+    event('mine', { updatedAt: '2025-02-01T00:00:00.000Z' }),
+    event('gone'),
+  ]]]);
+  const imported = new Map([[2025, [
+    event('same', { updatedAt: '2025-05-01T00:00:00.000Z' }),
+    event('theirs', { title: 'Renamed', updatedAt: '2025-01-15T00:00:00.000Z' }),
+    event('mine', { title: 'Older', updatedAt: '2025-01-15T00:00:00.000Z' }),
+    event('new'),
+  ]], [2026, [event('new')]]]);
+
+  const result = merger.compare(imported, stored);
+  console.assert(result.added.length === 1 && result.added[0].id === 'new', 'An event in several years should be added once');
+  console.assert(result.unchanged.length === 1, 'Equal events should be unchanged whatever their date types, calendar default or save time');
+  console.assert(result.changed.length === 1 && result.changed[0].imported.title === 'Renamed', 'Events saved later in the file should be changed');
+  console.assert(result.conflicting.length === 1 && result.conflicting[0].stored.id === 'mine', 'Events saved later here should conflict');
+  console.assert(result.removed.length === 1 && result.removed[0].id === 'gone', 'Stored events missing from the file should be listed as removed');
+
+  const intoWork = new ImportMerger({ calendarId: 'work', defaultCalendarId: 'personal' });
+  console.assert(intoWork.compare(new Map([[2025, []]]), stored).removed.length === 0, 'Other calendars\' events are never removed');
+
+  console.log('compare tests completed');
+}
+
+/**
+ * Test merging by ID: new and changed events are taken, conflicts keep the stored copy
+ */
+function testMergeById() {
+  console.log('Testing merge by ID...');
+
+  const merger = new ImportMerger();
+  const stored = new Map([[2025, [
+    event('theirs'),
+    event('mine', { title: 'Mine', updatedAt: '2025-02-01T00:00:00.000Z' }),
+    event('kept'),
+  ]]]);
+  const imported = new Map([[2025, [
+    event('theirs', { title: 'Renamed' }),
+    event('mine', { title: 'Older', updatedAt: '2025-01-15T00:00:00.000Z' }),
+    event('new'),
+  ]]]);
+
+  const merged = merger.merge(imported, stored, IMPORT_STRATEGIES.MERGE_BY_ID);
+  const byId = new Map(merged.get(2025).map((e) => [e.id, e]));
+  console.assert(idsOf(merged, 2025) === 'kept,mine,new,theirs', `Merging should keep stored events, got ${idsOf(merged, 2025)}`);
+  console.assert(byId.get('theirs').title === 'Renamed', 'Changed events should be updated');
+  console.assert(byId.get('mine').title === 'Mine', 'Conflicting events should keep the edit made here');
+
+  let threw = false;
+  try {
+    merger.merge(imported, stored, 'overwrite-everything');
+  } catch (error) {
+    threw = true;
+  }
+  console.assert(threw, 'Unknown strategies should throw');
+
+  console.log('Merge by ID tests completed');
+}
+
+/**
+ * Test keeping both copies of changed events
+ */
+function testKeepBoth() {
+  console.log('Testing keep both...');
+
+  const merger = new ImportMerger();
+  const stored = new Map([
+    [2025, [event('span'), event('same')]],
+    [2026, [event('span')]],
+  ]);
+  const imported = new Map([
+    [2025, [event('span', { title: 'Renamed' }), event('same')]],
+    [2026, [event('span', { title: 'Renamed' })]],
+  ]);
+
+  const merged = merger.merge(imported, stored, IMPORT_STRATEGIES.KEEP_BOTH);
+  const copies2025 = merged.get(2025).filter((e) => e.title === 'Renamed');
+  const copies2026 = merged.get(2026).filter((e) => e.title === 'Renamed');
+  console.assert(merged.get(2025).length === 3, `Unchanged events should not be copied, got ${merged.get(2025).length} events`);
+  console.assert(copies2025.length === 1 && copies2025[0].id !== 'span', 'Changed events should be added with a new ID');
+  console.assert(merged.get(2025).some((e) => e.id === 'span' && e.title === 'Event span'), 'The stored copy should be kept');
+  console.assert(copies2026.length === 1 && copies2026[0].id === copies2025[0].id, 'A copy should have the same ID in every year');
+
+  console.log('Keep both tests completed');
+}
+
+/**
+ * Test replacing whole years, limited to the calendar imported into
+ */
+function testReplaceYear() {
+  console.log('Testing replace year...');
+
+  const stored = new Map([[2025, [
+    event('old'),
+    event('other', { calendarId: 'work' }),
+    event('moved', { calendarId: 'work' }),
+  ]]]);
+
+  const merger = new ImportMerger();
+  const replaced = merger.merge(new Map([[2025, [event('new')]]]), stored, IMPORT_STRATEGIES.REPLACE_YEAR);
+  console.assert(idsOf(replaced, 2025) === 'new', 'Replacing should drop every stored event of the year');
+
+  const intoPersonal = new ImportMerger({ calendarId: 'personal' });
+  const { eventsByYear } = intoPersonal.parse({ 2025: [event('new'), event('moved')] });
+  const scoped = intoPersonal.merge(eventsByYear, stored, IMPORT_STRATEGIES.REPLACE_YEAR);
+  console.assert(idsOf(scoped, 2025) === 'moved,new,other', `Only the calendar's events should be replaced, got ${idsOf(scoped, 2025)}`);
+  console.assert(scoped.get(2025).filter((e) => e.id === 'moved').length === 1, 'An event moved into the calendar should not be duplicated');
+
+  console.log('Replace year tests completed');
+}
+
+// Export for browser environment
+if (typeof window !== 'undefined') {
+  window.runImportMergerTests = runTests;
+}
+
+export { runTests };
@@ -0,0 +1,508 @@
+/**
+ * IndexedDBStorageAdapter.js - IndexedDB backend for Year Planner
+ *
+ * Stores one record per event, keyed by ID and indexed by the years the event
+ * touches and by its start date, so saving an event writes only that event
+ * and year or range queries read only the matching records. Snapshots are
+ * kept in a store of their own, which clearing the data leaves alone.
+ */
+
+import { STORAGE } from '../config.js';
+import { StorageAdapter, StorageFullError } from './StorageAdapter.js';
+
+const EVENTS_STORE = 'events';
+const SETTINGS_STORE = 'settings';
+const SNAPSHOTS_STORE = 'snapshots';
+
+/**
+ * Wrap an IndexedDB request in a promise
+ * @param {IDBRequest} request - The request to wait for
+ * @returns {Promise<*>} Promise resolving to the request result
+ * @private
+ */
+function requestToPromise(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Wait for a transaction to commit
+ * @param {IDBTransaction} transaction - The transaction to wait for
+ * @returns {Promise<void>} Promise resolving once the transaction completes
+ * @private
+ */
+function transactionToPromise(transaction) {
+  return new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () =>
+      reject(transaction.error || new Error('Transaction aborted'));
+  });
+}
+
+export class IndexedDBStorageAdapter extends StorageAdapter {
+  constructor() {
+    super();
+    this.db = null;
+  }
+
+  /**
+   * Check whether the browser provides IndexedDB
+   * @returns {boolean} True if IndexedDB can be used
+   */
+  static isSupported() {
+    return typeof indexedDB !== 'undefined';
+  }
+
+  /**
+   * Open the database, creating or upgrading the schema if needed
+   * @returns {Promise<IndexedDBStorageAdapter>} Promise resolving to this adapter
+   */
+  async open() {
+    try {
+      const request = indexedDB.open(
+        STORAGE.DATABASE_NAME,
+        STORAGE.DATABASE_VERSION,
+      );
+
+      request.onupgradeneeded = () => {
+        const db = request.result;
+
+        if (!db.objectStoreNames.contains(EVENTS_STORE)) {
+          const events = db.createObjectStore(EVENTS_STORE, { keyPath: 'id' });
+          events.createIndex('years', 'years', { multiEntry: true });
+          events.createIndex('startDate', 'startDate');
+        }
+
+        if (!db.objectStoreNames.contains(SETTINGS_STORE)) {
+          db.createObjectStore(SETTINGS_STORE);
+        }
+
+        // Added in version 2
+        if (!db.objectStoreNames.contains(SNAPSHOTS_STORE)) {
+          db.createObjectStore(SNAPSHOTS_STORE, { keyPath: 'id' });
+        }
+      };
+
+      this.db = await requestToPromise(request);
+      return this;
+    } catch (error) {
+      console.error('Error opening IndexedDB:', error);
+      throw new Error(`Failed to open IndexedDB: ${error.message}`);
+    }
+  }
+
+  /**
+   * Load every event that overlaps a specific year
+   * @param {number} year - The year to load events for
+   * @returns {Promise<Array>} Promise resolving to an array of events
+   */
+  async loadEvents(year) {
+    try {
+      const index = this.db
+        .transaction(EVENTS_STORE)
+        .objectStore(EVENTS_STORE)
+        .index('years');
+      const records = await requestToPromise(index.getAll(year));
+
+      return records.map((record) => this.fromRecord(record));
+    } catch (error) {
+      console.error(`Error loading events for year ${year}:`, error);
+      throw new Error(
+        `Failed to load events for year ${year}: ${error.message}`,
+      );
+    }
+  }
+
+  /**
+   * Load every event that overlaps a date range
+   * @param {Date} rangeStart - First day of the range
+   * @param {Date} rangeEnd - Last day of the range
+   * @returns {Promise<Array>} Promise resolving to the overlapping events
+   */
+  async loadEventsInRange(rangeStart, rangeEnd) {
+    try {
+      // Events starting after the range can't overlap it; of the rest, keep
+      // those that haven't ended before it starts
+      const index = this.db
+        .transaction(EVENTS_STORE)
+        .objectStore(EVENTS_STORE)
+        .index('startDate');
+      const records = await requestToPromise(
+        index.getAll(IDBKeyRange.upperBound(rangeEnd)),
+      );
+
+      return records
+        .filter((record) => record.endDate >= rangeStart)
+        .map((record) => this.fromRecord(record));
+    } catch (error) {
+      console.error('Error loading events in range:', error);
+      throw new Error(`Failed to load events in range: ${error.message}`);
+    }
+  }
+
+  /**
+   * Save an event
+   * @param {Object} event - The event to save
+   * @returns {Promise<boolean>}
+   */
+  async saveEvent(event) {
+    try {
+      return await this.saveEvents([event]);
+    } catch (error) {
+      console.error('Error saving event:', error);
+      throw new Error(`Failed to save event: ${error.message}`);
+    }
+  }
+
+  /**
+   * Save several events in a single transaction
+   * @param {Array} events - Events to save
+   * @returns {Promise<boolean>}
+   */
+  async saveEvents(events) {
+    const transaction = this.db.transaction(EVENTS_STORE, 'readwrite');
+    const store = transaction.objectStore(EVENTS_STORE);
+
+    const years = new Set();
+    for (const event of events) {
+      const record = this.toRecord(event);
+      record.years.forEach((year) => years.add(year));
+      store.put(record);
+    }
+
+    await transactionToPromise(transaction);
+    this.notifyChange({
+      eventIds: events.map((event) => event.id),
+      years: [...years],
+    });
+    return true;
+  }
+
+  /**
+   * Delete an event
+   * @param {string} eventId - ID of the event to delete
+   * @returns {Promise<boolean>} Promise resolving to true if deleted, false if not found
+   */
+  async deleteEvent(eventId) {
+    try {
+      const transaction = this.db.transaction(EVENTS_STORE, 'readwrite');
+      const store = transaction.objectStore(EVENTS_STORE);
+      const record = await requestToPromise(store.get(eventId));
+
+      if (!record) {
+        await transactionToPromise(transaction);
+        return false;
+      }
+
+      store.delete(eventId);
+      await transactionToPromise(transaction);
+      this.notifyChange({ deletedIds: [eventId], years: record.years });
+      return true;
+    } catch (error) {
+      console.error(`Error deleting event ${eventId}:`, error);
+      throw new Error(`Failed to delete event: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get a list of years that have stored events
+   * @returns {Promise<Array<number>>} Promise resolving to an array of years
+   */
+  async getStoredYears() {
+    try {
+      const index = this.db
+        .transaction(EVENTS_STORE)
+        .objectStore(EVENTS_STORE)
+        .index('years');
+      const request = index.openKeyCursor(null, 'nextunique');
+      const years = [];
+
+      // Walk the distinct index keys rather than loading every event
+      return await new Promise((resolve, reject) => {
+        request.onsuccess = () => {
+          const cursor = request.result;
+          if (!cursor) {
+            resolve(years);
+            return;
+          }
+          years.push(cursor.key);
+          cursor.continue();
+        };
+        request.onerror = () => reject(request.error);
+      });
+    } catch (error) {
+      console.error('Error reading stored years:', error);
+      throw new Error(`Failed to read stored years: ${error.message}`);
+    }
+  }
+
+  /**
+   * Replace every stored event of a year with the given events
+   * @param {number} year - The year to replace
+   * @param {Array} events - Events to store for the year
+   * @returns {Promise<boolean>}
+   */
+  async replaceYear(year, events) {
+    try {
+      const transaction = this.db.transaction(EVENTS_STORE, 'readwrite');
+      const store = transaction.objectStore(EVENTS_STORE);
+      const ids = await requestToPromise(store.index('years').getAllKeys(year));
+
+      for (const id of ids) {
+        store.delete(id);
+      }
+      for (const event of events) {
+        store.put(this.toRecord(event));
+      }
+
+      await transactionToPromise(transaction);
+      this.notifyChange({ years: [year] });
+      return true;
+    } catch (error) {
+      console.error(`Error replacing events for year ${year}:`, error);
+      throw new Error(
+        `Failed to replace events for year ${year}: ${error.message}`,
+      );
+    }
+  }
+
+  /**
+   * Replace the stored events of several years in one transaction, so either
+   * every year is written or none is
+   * @param {Map<number, Array>} eventsByYear - Events to store for each year
+   * @returns {Promise<boolean>}
+   */
+  async replaceYears(eventsByYear) {
+    try {
+      const transaction = this.db.transaction(EVENTS_STORE, 'readwrite');
+      const store = transaction.objectStore(EVENTS_STORE);
+
+      for (const year of eventsByYear.keys()) {
+        const ids = await requestToPromise(
+          store.index('years').getAllKeys(year),
+        );
+        for (const id of ids) {
+          store.delete(id);
+        }
+      }
+      for (const events of eventsByYear.values()) {
+        for (const event of events) {
+          store.put(this.toRecord(event));
+        }
+      }
+
+      await transactionToPromise(transaction);
+      this.notifyChange({ years: [...eventsByYear.keys()] });
+      return true;
+    } catch (error) {
+      console.error('Error replacing events:', error);
+      throw new Error(`Failed to replace events: ${error.message}`);
+    }
+  }
+
+  /**
+   * Load the user-defined categories
+   * @returns {Promise<Array|null>} Promise resolving to the stored categories,
+   *   or null if the user has never saved any
+   */
+  async loadCategories() {
+    try {
+      return await this.loadSetting(STORAGE.CATEGORIES_KEY);
+    } catch (error) {
+      console.error('Error loading categories:', error);
+      throw new Error(`Failed to load categories: ${error.message}`);
+    }
+  }
+
+  /**
+   * Save the user-defined categories, replacing any stored list
+   * @param {Array} categories - Categories to store
+   * @returns {Promise<boolean>}
+   */
+  async saveCategories(categories) {
+    try {
+      await this.saveSetting(STORAGE.CATEGORIES_KEY, categories);
+      return true;
+    } catch (error) {
+      console.error('Error saving categories:', error);
+      throw new Error(`Failed to save categories: ${error.message}`);
+    }
+  }
+
+  /**
+   * Load the calendars events are grouped into
+   * @returns {Promise<Array|null>} Promise resolving to the stored calendars,
+   *   or null if the user has never saved any
+   */
+  async loadCalendars() {
+    try {
+      return await this.loadSetting(STORAGE.CALENDARS_KEY);
+    } catch (error) {
+      console.error('Error loading calendars:', error);
+      throw new Error(`Failed to load calendars: ${error.message}`);
+    }
+  }
+
+  /**
+   * Save the calendars, replacing any stored list
+   * @param {Array} calendars - Calendars to store
+   * @returns {Promise<boolean>}
+   */
+  async saveCalendars(calendars) {
+    try {
+      await this.saveSetting(STORAGE.CALENDARS_KEY, calendars);
+      return true;
+    } catch (error) {
+      console.error('Error saving calendars:', error);
+      throw new Error(`Failed to save calendars: ${error.message}`);
+    }
+  }
+
+  /**
+   * Clear all stored data, apart from the snapshots
+   * @returns {Promise<boolean>}
+   */
+  async clearAllData() {
+    try {
+      const transaction = this.db.transaction(
+        [EVENTS_STORE, SETTINGS_STORE],
+        'readwrite',
+      );
+      transaction.objectStore(EVENTS_STORE).clear();
+      transaction.objectStore(SETTINGS_STORE).clear();
+
+      await transactionToPromise(transaction);
+      this.notifyChange({ all: true });
+      return true;
+    } catch (error) {
+      console.error('Error clearing data:', error);
+      throw new Error(`Failed to clear data: ${error.message}`);
+    }
+  }
+
+  /**
+   * Load an application setting
+   * @param {string} key - Setting key
+   * @returns {Promise<*>} Promise resolving to the stored value, or null if unset
+   */
+  async loadSetting(key) {
+    try {
+      const store = this.db
+        .transaction(SETTINGS_STORE)
+        .objectStore(SETTINGS_STORE);
+      const value = await requestToPromise(store.get(key));
+      return value ?? null;
+    } catch (error) {
+      console.error(`Error loading setting ${key}:`, error);
+      throw new Error(`Failed to load setting ${key}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Save an application setting
+   * @param {string} key - Setting key
+   * @param {*} value - Structured-cloneable value to store
+   * @returns {Promise<boolean>}
+   */
+  async saveSetting(key, value) {
+    try {
+      const transaction = this.db.transaction(SETTINGS_STORE, 'readwrite');
+      transaction.objectStore(SETTINGS_STORE).put(value, key);
+      await transactionToPromise(transaction);
+      this.notifyChange({ settings: [key] });
+      return true;
+    } catch (error) {
+      console.error(`Error saving setting ${key}:`, error);
+      throw new Error(`Failed to save setting ${key}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Snapshots are kept in their own store
+   * @returns {boolean}
+   */
+  keepsSnapshots() {
+    return true;
+  }
+
+  /**
+   * Load every stored snapshot
+   * @returns {Promise<Array<Object>>} Promise resolving to the snapshots
+   */
+  async loadSnapshots() {
+    try {
+      const store = this.db
+        .transaction(SNAPSHOTS_STORE)
+        .objectStore(SNAPSHOTS_STORE);
+      return await requestToPromise(store.getAll());
+    } catch (error) {
+      console.error('Error loading snapshots:', error);
+      throw new Error(`Failed to load snapshots: ${error.message}`);
+    }
+  }
+
+  /**
+   * Save a snapshot
+   * @param {Object} snapshot - Snapshot with an `id`
+   * @returns {Promise<boolean>}
+   * @throws {StorageFullError} If the database has no room left for it
+   */
+  async saveSnapshot(snapshot) {
+    try {
+      const transaction = this.db.transaction(SNAPSHOTS_STORE, 'readwrite');
+      transaction.objectStore(SNAPSHOTS_STORE).put(snapshot);
+      await transactionToPromise(transaction);
+      return true;
+    } catch (error) {
+      console.error('Error saving snapshot:', error);
+      if (error.name === 'QuotaExceededError') {
+        throw new StorageFullError(`Failed to save snapshot: ${error.message}`);
+      }
+      throw new Error(`Failed to save snapshot: ${error.message}`);
+    }
+  }
+
+  /**
+   * Delete a snapshot
+   * @param {string} snapshotId - ID of the snapshot to delete
+   * @returns {Promise<boolean>} Promise resolving to true if deleted, false if not found
+   */
+  async deleteSnapshot(snapshotId) {
+    try {
+      const transaction = this.db.transaction(SNAPSHOTS_STORE, 'readwrite');
+      const store = transaction.objectStore(SNAPSHOTS_STORE);
+      const count = await requestToPromise(store.count(snapshotId));
+
+      store.delete(snapshotId);
+      await transactionToPromise(transaction);
+      return count > 0;
+    } catch (error) {
+      console.error(`Error deleting snapshot ${snapshotId}:`, error);
+      throw new Error(`Failed to delete snapshot: ${error.message}`);
+    }
+  }
+
+  /**
+   * Convert an event to the record stored in the events store
+   * @param {Object} event - The event to store
+   * @returns {Object} Record with Date fields and the years it touches
+   */
+  toRecord(event) {
+    const record = this.reviveEvent(this.serializeEvent(event));
+    return { ...record, years: this.getEventYears(record) };
+  }
+
+  /**
+   * Convert a stored record back to event data in the current schema
+   * @param {Object} record - Record from the events store
+   * @returns {Object} Event data without the index fields
+   */
+  fromRecord(record) {
+    const event = this.reviveEvent(record);
+    delete event.years;
+    return event;
+  }
+}
@@ -0,0 +1,505 @@
+/**
+ * IndexedDBStorageAdapter.test.js - Tests for the IndexedDB backend and the
+ * migration of localStorage data into it
+ *
+ * Node has neither IndexedDB nor localStorage, so small in-memory ones stand
+ * in for them. The IndexedDB one has only the parts the adapter uses: object
+ * stores with indexes, requests answered asynchronously, and transactions
+ * that complete once their last request has been answered.
+ */
+
+import { HISTORY, PREFERENCES, STORAGE } from '../config.js';
+import { IndexedDBStorageAdapter } from './IndexedDBStorageAdapter.js';
+import { LocalStorageAdapter } from './LocalStorageAdapter.js';
+import { migrateFromLocalStorage } from './StorageFactory.js';
+
+/**
+ * Compare two IndexedDB keys
+ * @param {number|string|Date} a - First key
+ * @param {number|string|Date} b - Second key
+ * @returns {number} Negative, zero or positive like a sort comparator
+ */
+function compareKeys(a, b) {
+  const x = a instanceof Date ? a.getTime() : a;
+  const y = b instanceof Date ? b.getTime() : b;
+  if (typeof x !== typeof y) {
+    return typeof x === 'number' ? -1 : 1;
+  }
+  return x < y ? -1 : x > y ? 1 : 0;
+}
+
+/**
+ * Transaction answering its requests one at a time, completing once none
+ * are left
+ */
+class FakeTransaction {
+  constructor(db) {
+    this.db = db;
+    this.pending = 0;
+    this.done = false;
+    this.error = null;
+    this.oncomplete = null;
+    this.onerror = null;
+    this.onabort = null;
+    this._commitWhenIdle();
+  }
+
+  objectStore(name) {
+    if (!this.db.stores.has(name)) {
+      throw new Error(`No object store named ${name}`);
+    }
+    return new FakeObjectStore(this, this.db.stores.get(name));
+  }
+
+  /**
+   * Answer a request once the current task is done
+   * @param {Function} operation - Computes the request's result
+   * @returns {Object} The request
+   */
+  request(operation) {
+    const request = { result: undefined, error: null, onsuccess: null, onerror: null };
+    this._answer(request, operation);
+    return request;
+  }
+
+  _answer(request, operation) {
+    this.pending += 1;
+    setTimeout(() => {
+      this.pending -= 1;
+      try {
+        request.result = operation();
+      } catch (error) {
+        request.error = error;
+        this.error = error;
+        request.onerror?.();
+        this.onerror?.();
+        return;
+      }
+      request.onsuccess?.();
+      this._commitWhenIdle();
+    }, 0);
+  }
+
+  _commitWhenIdle() {
+    setTimeout(() => {
+      if (this.pending === 0 && !this.done && !this.error) {
+        this.done = true;
+        this.oncomplete?.();
+      }
+    }, 0);
+  }
+}
+
+/**
+ * Object store keeping structured clones of its records
+ */
+class FakeObjectStore {
+  constructor(transaction, data) {
+    this.transaction = transaction;
+    this.data = data;
+  }
+
+  put(value, key = value[this.data.keyPath]) {
+    const record = structuredClone(value);
+    return this.transaction.request(() => {
+      this.data.records.set(key, record);
+      return key;
+    });
+  }
+
+  get(key) {
+    return this.transaction.request(() =>
+      structuredClone(this.data.records.get(key)),
+    );
+  }
+
+  delete(key) {
+    return this.transaction.request(() => {
+      this.data.records.delete(key);
+    });
+  }
+
+  clear() {
+    return this.transaction.request(() => {
+      this.data.records.clear();
+    });
+  }
+
+  count(key) {
+    return this.transaction.request(() => (this.data.records.has(key) ? 1 : 0));
+  }
+
+  getAll() {
+    return this.transaction.request(() =>
+      this._sortedKeys().map((key) => structuredClone(this.data.records.get(key))),
+    );
+  }
+
+  createIndex(name, keyPath, { multiEntry = false } = {}) {
+    this.data.indexes.set(name, { keyPath, multiEntry });
+  }
+
+  index(name) {
+    return new FakeIndex(this, this.data.indexes.get(name));
+  }
+
+  _sortedKeys() {
+    return [...this.data.records.keys()].sort(compareKeys);
+  }
+}
+
+/**
+ * Index over one field of an object store's records
+ */
+class FakeIndex {
+  constructor(store, { keyPath, multiEntry }) {
+    this.store = store;
+    this.keyPath = keyPath;
+    this.multiEntry = multiEntry;
+  }
+
+  getAll(query) {
+    return this.store.transaction.request(() =>
+      this._primaryKeys(query).map((key) =>
+        structuredClone(this.store.data.records.get(key)),
+      ),
+    );
+  }
+
+  getAllKeys(query) {
+    return this.store.transaction.request(() => this._primaryKeys(query));
+  }
+
+  openKeyCursor() {
+    const keys = [
+      ...new Set(
+        this.store._sortedKeys().flatMap((key) => this._keysOf(key)),
+      ),
+    ].sort(compareKeys);
+    let position = 0;
+
+    const request = { result: null, error: null, onsuccess: null, onerror: null };
+    const step = () => {
+      if (position >= keys.length) {
+        return null;
+      }
+      return {
+        key: keys[position],
+        continue: () => {
+          position += 1;
+          this.store.transaction._answer(request, step);
+        },
+      };
+    };
+    this.store.transaction._answer(request, step);
+    return request;
+  }
+
+  _keysOf(primaryKey) {
+    const value = this.store.data.records.get(primaryKey)[this.keyPath];
+    return this.multiEntry && Array.isArray(value) ? value : [value];
+  }
+
+  _primaryKeys(query) {
+    return this.store
+      ._sortedKeys()
+      .filter((key) =>
+        this._keysOf(key).some((indexKey) => compareKeys(indexKey, query) === 0),
+      );
+  }
+}
+
+/**
+ * In-memory IndexedDB
+ */
+class FakeIndexedDB {
+  constructor() {
+    this.databases = new Map();
+  }
+
+  open(name, version) {
+    const request = {
+      result: null,
+      error: null,
+      onsuccess: null,
+      onerror: null,
+      onupgradeneeded: null,
+    };
+    setTimeout(() => {
+      if (!this.databases.has(name)) {
+        this.databases.set(name, createDatabase());
+      }
+      const db = this.databases.get(name);
+      request.result = db;
+      if (version > db.version) {
+        db.version = version;
+        request.onupgradeneeded?.();
+      }
+      request.onsuccess?.();
+    }, 0);
+    return request;
+  }
+}
+
+/**
+ * Create an empty database
+ * @returns {Object} Database with the IDBDatabase methods the adapter uses
+ */
+function createDatabase() {
+  const stores = new Map();
+  return {
+    version: 0,
+    stores,
+    objectStoreNames: { contains: (name) => stores.has(name) },
+    createObjectStore(name, { keyPath } = {}) {
+      stores.set(name, { keyPath, records: new Map(), indexes: new Map() });
+      return new FakeObjectStore(null, stores.get(name));
+    },
+    transaction() {
+      return new FakeTransaction(this);
+    },
+  };
+}
+
+/**
+ * In-memory Storage
+ */
+class MemoryStorage {
+  constructor() {
+    this.store = new Map();
+  }
+
+  get length() {
+    return this.store.size;
+  }
+
+  key(index) {
+    return [...this.store.keys()][index] ?? null;
+  }
+
+  getItem(key) {
+    return this.store.has(key) ? this.store.get(key) : null;
+  }
+
+  setItem(key, value) {
+    this.store.set(key, String(value));
+  }
+
+  removeItem(key) {
+    this.store.delete(key);
+  }
+
+  clear() {
+    this.store.clear();
+  }
+}
+
+/**
+ * Create an event
+ * @param {string} id - Event ID
+ * @param {string} start - First day, YYYY-MM-DD
+ * @param {string} [end=start] - Last day, YYYY-MM-DD
+ * @returns {Object}
+ */
+function createEvent(id, start, end = start) {
+  return {
+    id,
+    title: id,
+    startDate: new Date(`${start}T00:00:00.000Z`),
+    endDate: new Date(`${end}T00:00:00.000Z`),
+  };
+}
+
+/**
+ * Open an adapter on a new, empty in-memory IndexedDB and localStorage
+ * @returns {Promise<IndexedDBStorageAdapter>}
+ */
+async function openAdapter() {
+  globalThis.indexedDB = new FakeIndexedDB();
+  globalThis.localStorage = new MemoryStorage();
+  return new IndexedDBStorageAdapter().open();
+}
+
+/**
+ * Read every record in the events store
+ * @param {IndexedDBStorageAdapter} adapter - Adapter to read from
+ * @returns {Promise<Array<Object>>}
+ */
+function loadRecords(adapter) {
+  const request = adapter.db.transaction('events').objectStore('events').getAll();
+  return new Promise((resolve) => {
+    request.onsuccess = () => resolve(request.result);
+  });
+}
+
+/**
+ * Run tests and log results
+ */
+async function runTests() {
+  console.log('=== Running IndexedDBStorageAdapter tests ===');
+
+  const browserIndexedDB = globalThis.indexedDB;
+  const browserStorage = globalThis.localStorage;
+  try {
+    await testLoadEventsByYear();
+    await testSaveAndDeleteEvent();
+    await testMigration();
+    await testSettingsMigration();
+    await testFailedMigration();
+  } finally {
+    globalThis.indexedDB = browserIndexedDB;
+    globalThis.localStorage = browserStorage;
+  }
+
+  console.log('=== All IndexedDBStorageAdapter tests completed ===');
+}
+
+/**
+ * Test loading the events of a year
+ */
+async function testLoadEventsByYear() {
+  console.log('Testing loading events by year...');
+
+  const adapter = await openAdapter();
+  await adapter.saveEvents([
+    createEvent('last-year', '2024-06-01'),
+    createEvent('new-year', '2024-12-30', '2025-01-02'),
+    createEvent('this-year', '2025-03-10'),
+    createEvent('next-year', '2026-02-01'),
+  ]);
+
+  const events = await adapter.loadEvents(2025);
+  console.assert(events.map((event) => event.id).sort().join() === 'new-year,this-year', `Only events overlapping 2025 should be loaded, got ${events.map((event) => event.id).join()}`);
+  console.assert(events.every((event) => event.startDate instanceof Date), 'Loaded events should have Date fields');
+  console.assert(events.every((event) => !('years' in event)), 'The index field should not be loaded');
+
+  const years = await adapter.getStoredYears();
+  console.assert(years.join() === '2024,2025,2026', `Every stored year should be listed once, got ${years.join()}`);
+  console.assert((await adapter.loadEvents(2030)).length === 0, 'A year without events should load none');
+
+  const records = await loadRecords(adapter);
+  const newYear = records.find((record) => record.id === 'new-year');
+  console.assert(records.length === 4, `An event over New Year should be stored once, got ${records.length} records`);
+  console.assert(newYear.years.join() === '2024,2025', 'The record should be indexed under both years');
+
+  console.log('Loading events by year tests completed');
+}
+
+/**
+ * Test saving and deleting single events
+ */
+async function testSaveAndDeleteEvent() {
+  console.log('Testing saving and deleting events...');
+
+  const adapter = await openAdapter();
+  const changes = [];
+  adapter.onChange((change) => changes.push(change));
+
+  await adapter.saveEvent(createEvent('trip', '2025-12-30', '2026-01-02'));
+  console.assert(changes[0].years.join() === '2025,2026', 'A save should report the years it touched');
+
+  await adapter.saveEvent({ ...createEvent('trip', '2026-01-01', '2026-01-02'), title: 'Shorter trip' });
+  console.assert((await adapter.loadEvents(2025)).length === 0, 'An event moved out of a year should no longer load for it');
+  const [trip] = await adapter.loadEvents(2026);
+  console.assert(trip.title === 'Shorter trip', 'Saving an event again should replace it');
+  console.assert((await loadRecords(adapter)).length === 1, 'Saving an event again should not add a record');
+
+  console.assert(await adapter.deleteEvent('trip') === true, 'A stored event should be deleted');
+  console.assert(changes[2].deletedIds[0] === 'trip' && changes[2].years.join() === '2026', 'A delete should report the event and its years');
+  console.assert((await adapter.loadEvents(2026)).length === 0, 'A deleted event should no longer load');
+  console.assert(await adapter.deleteEvent('trip') === false, 'Deleting an unknown event should return false');
+  console.assert(changes.length === 3, 'Deleting an unknown event should report no change');
+
+  console.log('Saving and deleting events tests completed');
+}
+
+/**
+ * Test moving localStorage data into IndexedDB
+ */
+async function testMigration() {
+  console.log('Testing the migration from localStorage...');
+
+  const adapter = await openAdapter();
+  const source = new LocalStorageAdapter();
+  await source.saveEvent(createEvent('new-year', '2024-12-30', '2025-01-02'));
+  await source.saveEvent(createEvent('dentist', '2025-03-10'));
+  await source.saveCategories([{ id: 'work', name: 'Work' }]);
+
+  const moved = await migrateFromLocalStorage(adapter);
+  console.assert(moved === 2, `Each event should be moved once, got ${moved}`);
+  console.assert((await loadRecords(adapter)).length === 2, 'An event stored under two years should be migrated as one record');
+  console.assert((await adapter.loadEvents(2024))[0].id === 'new-year', 'The event should load for its first year');
+  console.assert((await adapter.loadEvents(2025)).length === 2, 'Both events should load for 2025');
+  console.assert((await adapter.loadCategories())[0].id === 'work', 'Categories should be migrated');
+
+  console.assert((await source.getStoredYears()).length === 0, 'Migrated years should be removed from localStorage');
+  console.assert(localStorage.getItem(source.storagePrefix + STORAGE.CATEGORIES_KEY) === null, 'Migrated categories should be removed from localStorage');
+  console.assert(await migrateFromLocalStorage(adapter) === 0, 'A second migration should find nothing to move');
+
+  console.log('Migration from localStorage tests completed');
+}
+
+/**
+ * Test moving the settings, even when no events or categories are stored
+ */
+async function testSettingsMigration() {
+  console.log('Testing the migration of settings...');
+
+  const adapter = await openAdapter();
+  const source = new LocalStorageAdapter();
+  await source.saveSetting(PREFERENCES.STORAGE_KEY, { weekStart: 0 });
+  await source.saveSetting(HISTORY.STORAGE_KEY, { past: [], future: [] });
+  await source.saveSetting(STORAGE.TRASH_KEY, [{ id: 'old' }]);
+
+  console.assert(await migrateFromLocalStorage(adapter) === 0, 'No events should be counted as moved');
+  console.assert((await adapter.loadSetting(PREFERENCES.STORAGE_KEY)).weekStart === 0, 'Preferences should be migrated');
+  console.assert(Array.isArray((await adapter.loadSetting(HISTORY.STORAGE_KEY)).past), 'The history should be migrated');
+  console.assert((await adapter.loadSetting(STORAGE.TRASH_KEY))[0].id === 'old', 'The trash should be migrated');
+
+  console.assert(await source.loadSetting(PREFERENCES.STORAGE_KEY) === null, 'Migrated preferences should be removed from localStorage');
+  console.assert(localStorage.length === 0, `Nothing should be left in localStorage, got ${localStorage.length} keys`);
+
+  console.log('Migration of settings tests completed');
+}
+
+/**
+ * Test that localStorage data is kept when the target fails to save it
+ */
+async function testFailedMigration() {
+  console.log('Testing a failed migration...');
+
+  const adapter = await openAdapter();
+  const source = new LocalStorageAdapter();
+  await source.saveEvent(createEvent('dentist', '2025-03-10'));
+  await source.saveCalendars([{ id: 'team', name: 'Team' }]);
+
+  const saveCalendars = adapter.saveCalendars;
+  adapter.saveCalendars = async () => {
+    throw new Error('Quota exceeded');
+  };
+
+  let failed = false;
+  try {
+    await migrateFromLocalStorage(adapter);
+  } catch (error) {
+    failed = true;
+  }
+  console.assert(failed, 'The migration should fail with the target');
+  console.assert((await source.loadEvents(2025)).length === 1, 'Events should stay in localStorage until the target has saved everything');
+  console.assert((await source.loadCalendars())[0].id === 'team', 'Calendars should stay in localStorage');
+
+  adapter.saveCalendars = saveCalendars;
+  console.assert(await migrateFromLocalStorage(adapter) === 1, 'The migration should be retried');
+  console.assert((await adapter.loadEvents(2025))[0].id === 'dentist', 'The retried migration should store the event');
+  console.assert((await loadRecords(adapter)).length === 1, 'The retry should not store the event twice');
+  console.assert((await source.getStoredYears()).length === 0, 'The retried migration should empty localStorage');
+
+  console.log('Failed migration tests completed');
+}
+
+// Export for browser environment
+if (typeof window !== 'undefined') {
+  window.runIndexedDBStorageAdapterTests = runTests;
+}
+
+export { runTests };
@@ -0,0 +1,455 @@
+/**
+ * LocalStorageAdapter.js - localStorage backend for Year Planner
+ *
+ * Stores each year's events as a single JSON array under
+ * `yearPlanner_events_<year>`. An event spanning several years is stored under
+ * each of them. Used when IndexedDB is unavailable, and as the
+ * source of the one-time migration to IndexedDB. Snapshots are stored under
+ * `yearPlannerSnapshot_<id>`, outside the keys that clearing the data removes.
+ */
+
+import { STORAGE } from '../config.js';
+import { StorageAdapter, StorageFullError } from './StorageAdapter.js';
+
+export class LocalStorageAdapter extends StorageAdapter {
+  constructor() {
+    super();
+    this.checkStorageAvailability();
+  }
+
+  /**
+   * Check if local storage is available
+   * @throws {Error} If local storage is not available
+   */
+  checkStorageAvailability() {
+    try {
+      const testKey = '__storage_test__';
+      localStorage.setItem(testKey, testKey);
+      localStorage.removeItem(testKey);
+    } catch (e) {
+      throw new Error(
+        'Local storage is not available. The Year Planner requires local storage to function properly.',
+      );
+    }
+  }
+
+  /**
+   * Get the storage key for a specific year
+   * @param {number} year - The year to get events for
+   * @returns {string} The storage key
+   */
+  getYearKey(year) {
+    return `${this.storagePrefix}${STORAGE.EVENTS_KEY_SUFFIX}${year}`;
+  }
+
+  /**
+   * Load every event that overlaps a specific year
+   * @param {number} year - The year to load events for
+   * @returns {Promise<Array>} Promise resolving to an array of events
+   */
+  async loadEvents(year) {
+    try {
+      const data = localStorage.getItem(this.getYearKey(year));
+
+      if (!data) {
+        return [];
+      }
+
+      // Convert string dates back to Date objects
+      return JSON.parse(data).map((event) => this.reviveEvent(event));
+    } catch (error) {
+      console.error(`Error loading events for year ${year}:`, error);
+      throw new Error(
+        `Failed to load events for year ${year}: ${error.message}`,
+      );
+    }
+  }
+
+  /**
+   * Save an event under every year it overlaps
+   * @param {Object} event - The event to save
+   * @returns {Promise<boolean>}
+   */
+  async saveEvent(event) {
+    try {
+      const eventYears = this.getEventYears(event);
+
+      // Include stored years so a copy left behind by a date change is removed
+      const years = new Set([...(await this.getStoredYears()), ...eventYears]);
+      const writtenYears = [];
+
+      for (const year of years) {
+        const events = await this.loadEvents(year);
+        const existingIndex = events.findIndex((e) => e.id === event.id);
+
+        if (eventYears.includes(year)) {
+          if (existingIndex >= 0) {
+            // Update existing event
+            events[existingIndex] = event;
+          } else {
+            // Add new event
+            events.push(event);
+          }
+        } else if (existingIndex >= 0) {
+          // Event no longer overlaps this year
+          events.splice(existingIndex, 1);
+        } else {
+          continue;
+        }
+
+        // Save back to storage
+        this._writeYear(year, events);
+        writtenYears.push(year);
+      }
+
+      this.notifyChange({ eventIds: [event.id], years: writtenYears });
+      return true;
+    } catch (error) {
+      console.error('Error saving event:', error);
+      throw new Error(`Failed to save event: ${error.message}`);
+    }
+  }
+
+  /**
+   * Delete an event
+   * @param {string} eventId - ID of the event to delete
+   * @returns {Promise<boolean>} Promise resolving to true if deleted, false if not found
+   */
+  async deleteEvent(eventId) {
+    try {
+      // We don't know which year the event belongs to, so check all years
+      const years = await this.getStoredYears();
+      const writtenYears = [];
+
+      for (const year of years) {
+        const events = await this.loadEvents(year);
+        const filteredEvents = events.filter((e) => e.id !== eventId);
+
+        if (filteredEvents.length !== events.length) {
+          // Event found and filtered out
+          this._writeYear(year, filteredEvents);
+          writtenYears.push(year);
+        }
+      }
+
+      if (writtenYears.length === 0) {
+        return false;
+      }
+      this.notifyChange({ deletedIds: [eventId], years: writtenYears });
+      return true;
+    } catch (error) {
+      console.error(`Error deleting event ${eventId}:`, error);
+      throw new Error(`Failed to delete event: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get a list of years that have stored events
+   * @returns {Promise<Array<number>>} Promise resolving to an array of years
+   */
+  async getStoredYears() {
+    const years = [];
+    const yearPrefix = this.storagePrefix + STORAGE.EVENTS_KEY_SUFFIX;
+
+    for (let i = 0; i < localStorage.length; i++) {
+      const key = localStorage.key(i);
+
+      if (key && key.startsWith(yearPrefix)) {
+        const year = parseInt(key.substring(yearPrefix.length));
+
+        if (!isNaN(year)) {
+          years.push(year);
+        }
+      }
+    }
+
+    return years.sort((a, b) => a - b);
+  }
+
+  /**
+   * Replace every stored event of a year with the given events
+   * @param {number} year - The year to replace
+   * @param {Array} events - Events to store for the year
+   * @returns {Promise<boolean>}
+   */
+  async replaceYear(year, events) {
+    try {
+      this._writeYear(year, events);
+      this.notifyChange({ years: [year] });
+      return true;
+    } catch (error) {
+      console.error(`Error replacing events for year ${year}:`, error);
+      throw new Error(
+        `Failed to replace events for year ${year}: ${error.message}`,
+      );
+    }
+  }
+
+  /**
+   * Replace the stored events of several years at once. If a write fails,
+   * for example because storage is full, the years already written are put
+   * back as they were.
+   * @param {Map<number, Array>} eventsByYear - Events to store for each year
+   * @returns {Promise<boolean>}
+   */
+  async replaceYears(eventsByYear) {
+    const previous = new Map();
+    try {
+      eventsByYear.forEach((events, year) => {
+        previous.set(year, localStorage.getItem(this.getYearKey(year)));
+        this._writeYear(year, events);
+      });
+      this.notifyChange({ years: [...eventsByYear.keys()] });
+      return true;
+    } catch (error) {
+      previous.forEach((value, year) => {
+        if (value === null) {
+          this.removeYear(year);
+        } else {
+          localStorage.setItem(this.getYearKey(year), value);
+        }
+      });
+      console.error('Error replacing events:', error);
+      throw new Error(`Failed to replace events: ${error.message}`);
+    }
+  }
+
+  /**
+   * Remove a year's events from storage
+   * @param {number} year - The year to remove
+   */
+  removeYear(year) {
+    localStorage.removeItem(this.getYearKey(year));
+  }
+
+  /**
+   * Write a year's events as one JSON array
+   * @param {number} year - The year to write
+   * @param {Array} events - Events to store
+   * @private
+   */
+  _writeYear(year, events) {
+    localStorage.setItem(this.getYearKey(year), JSON.stringify(events));
+  }
+
+  /**
+   * Load the user-defined categories
+   * @returns {Promise<Array|null>} Promise resolving to the stored categories,
+   *   or null if the user has never saved any
+   */
+  async loadCategories() {
+    try {
+      const data = localStorage.getItem(
+        this.storagePrefix + STORAGE.CATEGORIES_KEY,
+      );
+      return data ? JSON.parse(data) : null;
+    } catch (error) {
+      console.error('Error loading categories:', error);
+      throw new Error(`Failed to load categories: ${error.message}`);
+    }
+  }
+
+  /**
+   * Save the user-defined categories, replacing any stored list
+   * @param {Array} categories - Categories to store
+   * @returns {Promise<boolean>}
+   */
+  async saveCategories(categories) {
+    try {
+      localStorage.setItem(
+        this.storagePrefix + STORAGE.CATEGORIES_KEY,
+        JSON.stringify(categories),
+      );
+      this.notifyChange({ settings: [STORAGE.CATEGORIES_KEY] });
+      return true;
+    } catch (error) {
+      console.error('Error saving categories:', error);
+      throw new Error(`Failed to save categories: ${error.message}`);
+    }
+  }
+
+  /**
+   * Remove the stored categories
+   */
+  removeCategories() {
+    localStorage.removeItem(this.storagePrefix + STORAGE.CATEGORIES_KEY);
+  }
+
+  /**
+   * Load the calendars events are grouped into
+   * @returns {Promise<Array|null>} Promise resolving to the stored calendars,
+   *   or null if the user has never saved any
+   */
+  async loadCalendars() {
+    try {
+      const data = localStorage.getItem(
+        this.storagePrefix + STORAGE.CALENDARS_KEY,
+      );
+      return data ? JSON.parse(data) : null;
+    } catch (error) {
+      console.error('Error loading calendars:', error);
+      throw new Error(`Failed to load calendars: ${error.message}`);
+    }
+  }
+
+  /**
+   * Save the calendars, replacing any stored list
+   * @param {Array} calendars - Calendars to store
+   * @returns {Promise<boolean>}
+   */
+  async saveCalendars(calendars) {
+    try {
+      localStorage.setItem(
+        this.storagePrefix + STORAGE.CALENDARS_KEY,
+        JSON.stringify(calendars),
+      );
+      this.notifyChange({ settings: [STORAGE.CALENDARS_KEY] });
+      return true;
+    } catch (error) {
+      console.error('Error saving calendars:', error);
+      throw new Error(`Failed to save calendars: ${error.message}`);
+    }
+  }
+
+  /**
+   * Remove the stored calendars
+   */
+  removeCalendars() {
+    localStorage.removeItem(this.storagePrefix + STORAGE.CALENDARS_KEY);
+  }
+
+  /**
+   * Load an application setting
+   * @param {string} key - Setting key
+   * @returns {Promise<*>} Promise resolving to the stored value, or null if unset
+   */
+  async loadSetting(key) {
+    try {
+      const data = localStorage.getItem(this.storagePrefix + key);
+      return data ? JSON.parse(data) : null;
+    } catch (error) {
+      console.error(`Error loading setting ${key}:`, error);
+      throw new Error(`Failed to load setting ${key}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Save an application setting
+   * @param {string} key - Setting key
+   * @param {*} value - JSON-serializable value to store
+   * @returns {Promise<boolean>}
+   */
+  async saveSetting(key, value) {
+    try {
+      localStorage.setItem(this.storagePrefix + key, JSON.stringify(value));
+      this.notifyChange({ settings: [key] });
+      return true;
+    } catch (error) {
+      console.error(`Error saving setting ${key}:`, error);
+      throw new Error(`Failed to save setting ${key}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Remove a stored application setting
+   * @param {string} key - Setting key
+   */
+  removeSetting(key) {
+    localStorage.removeItem(this.storagePrefix + key);
+  }
+
+  /**
+   * Snapshots are kept under keys of their own
+   * @returns {boolean}
+   */
+  keepsSnapshots() {
+    return true;
+  }
+
+  /**
+   * Load every stored snapshot
+   * @returns {Promise<Array<Object>>} Promise resolving to the snapshots
+   */
+  async loadSnapshots() {
+    try {
+      const snapshots = [];
+
+      for (let i = 0; i < localStorage.length; i++) {
+        const key = localStorage.key(i);
+
+        if (key && key.startsWith(STORAGE.SNAPSHOT_KEY_PREFIX)) {
+          snapshots.push(JSON.parse(localStorage.getItem(key)));
+        }
+      }
+
+      return snapshots;
+    } catch (error) {
+      console.error('Error loading snapshots:', error);
+      throw new Error(`Failed to load snapshots: ${error.message}`);
+    }
+  }
+
+  /**
+   * Save a snapshot
+   * @param {Object} snapshot - Snapshot with an `id`
+   * @returns {Promise<boolean>}
+   * @throws {StorageFullError} If localStorage has no room left for it
+   */
+  async saveSnapshot(snapshot) {
+    try {
+      localStorage.setItem(
+        STORAGE.SNAPSHOT_KEY_PREFIX + snapshot.id,
+        JSON.stringify(snapshot),
+      );
+      return true;
+    } catch (error) {
+      console.error('Error saving snapshot:', error);
+      if (error.name === 'QuotaExceededError') {
+        throw new StorageFullError(`Failed to save snapshot: ${error.message}`);
+      }
+      throw new Error(`Failed to save snapshot: ${error.message}`);
+    }
+  }
+
+  /**
+   * Delete a snapshot
+   * @param {string} snapshotId - ID of the snapshot to delete
+   * @returns {Promise<boolean>} Promise resolving to true if deleted, false if not found
+   */
+  async deleteSnapshot(snapshotId) {
+    const key = STORAGE.SNAPSHOT_KEY_PREFIX + snapshotId;
+    if (localStorage.getItem(key) === null) {
+      return false;
+    }
+    localStorage.removeItem(key);
+    return true;
+  }
+
+  /**
+   * Clear all stored data, apart from the snapshots
+   * @returns {Promise<boolean>}
+   */
+  async clearAllData() {
+    try {
+      const keys = [];
+
+      for (let i = 0; i < localStorage.length; i++) {
+        const key = localStorage.key(i);
+
+        if (key && key.startsWith(this.storagePrefix)) {
+          keys.push(key);
+        }
+      }
+
+      for (const key of keys) {
+        localStorage.removeItem(key);
+      }
+
+      this.notifyChange({ all: true });
+      return true;
+    } catch (error) {
+      console.error('Error clearing data:', error);
+      throw new Error(`Failed to clear data: ${error.message}`);
+    }
+  }
+}
@@ -0,0 +1,154 @@
+/**
+ * LocalStorageAdapter.test.js - Tests for the localStorage backend
+ *
+ * Node has no localStorage, so a small in-memory one stands in when the
+ * browser's isn't there.
+ */
+
+import { LocalStorageAdapter } from './LocalStorageAdapter.js';
+
+/**
+ * In-memory Storage
+ */
+class MemoryStorage {
+  constructor() {
+    this.store = new Map();
+  }
+
+  get length() {
+    return this.store.size;
+  }
+
+  key(index) {
+    return [...this.store.keys()][index] ?? null;
+  }
+
+  getItem(key) {
+    return this.store.has(key) ? this.store.get(key) : null;
+  }
+
+  setItem(key, value) {
+    this.store.set(key, String(value));
+  }
+
+  removeItem(key) {
+    this.store.delete(key);
+  }
+
+  clear() {
+    this.store.clear();
+  }
+}
+
+/**
+ * Create an event
+ * @param {string} id - Event ID
+ * @param {string} start - First day, YYYY-MM-DD
+ * @param {string} [end=start] - Last day, YYYY-MM-DD
+ * @returns {Object}
+ */
+function createEvent(id, start, end = start) {
+  return {
+    id,
+    title: id,
+    startDate: new Date(`${start}T00:00:00.000Z`),
+    endDate: new Date(`${end}T00:00:00.000Z`),
+  };
+}
+
+/**
+ * Create an adapter over an empty in-memory localStorage
+ * @returns {{adapter: LocalStorageAdapter, storage: MemoryStorage}}
+ */
+function createAdapter() {
+  const storage = new MemoryStorage();
+  globalThis.localStorage = storage;
+  return { adapter: new LocalStorageAdapter(), storage };
+}
+
+/**
+ * Run tests and log results
+ */
+async function runTests() {
+  console.log('=== Running LocalStorageAdapter tests ===');
+
+  const browserStorage = globalThis.localStorage;
+  try {
+    await testSaveAcrossYears();
+    await testSaveUnloadedEvent();
+    await testSaveInTwoTabs();
+  } finally {
+    globalThis.localStorage = browserStorage;
+  }
+
+  console.log('=== All LocalStorageAdapter tests completed ===');
+}
+
+/**
+ * Test that events are stored under every year they overlap
+ */
+async function testSaveAcrossYears() {
+  console.log('Testing saving events across years...');
+
+  const { adapter } = createAdapter();
+  await adapter.saveEvent(createEvent('holiday', '2024-12-27', '2025-01-03'));
+
+  const in2024 = await adapter.loadEvents(2024);
+  const in2025 = await adapter.loadEvents(2025);
+  console.assert(in2024.length === 1 && in2025.length === 1, 'An event over New Year should be stored under both years');
+  console.assert(in2025[0].startDate instanceof Date, 'Loaded events should have Date fields');
+
+  await adapter.saveEvent(createEvent('holiday', '2025-01-02', '2025-01-03'));
+  console.assert((await adapter.loadEvents(2024)).length === 0, 'A copy left behind by a date change should be removed');
+  console.assert((await adapter.loadEvents(2025))[0].startDate.getUTCDate() === 2, 'The event should be updated in the year it still overlaps');
+
+  console.log('Saving events across years tests completed');
+}
+
+/**
+ * Test moving an event this adapter hasn't read or written yet
+ */
+async function testSaveUnloadedEvent() {
+  console.log('Testing saving an event stored by another tab...');
+
+  const { adapter: otherTab, storage } = createAdapter();
+  await otherTab.saveEvent(createEvent('trip', '2025-12-30', '2026-01-02'));
+
+  const adapter = new LocalStorageAdapter();
+  await adapter.saveEvent(createEvent('trip', '2026-01-01', '2026-01-02'));
+  console.assert((await adapter.loadEvents(2025)).length === 0, 'The stored copy\'s other years should be found from its dates');
+  console.assert(storage.store.size === 2, 'No other years should be written');
+
+  console.log('Saving an event stored by another tab tests completed');
+}
+
+/**
+ * Test saving an event that another tab moved to another year meanwhile
+ */
+async function testSaveInTwoTabs() {
+  console.log('Testing saving an event moved by another tab...');
+
+  const { adapter: firstTab } = createAdapter();
+  const secondTab = new LocalStorageAdapter();
+  await firstTab.saveEvent(createEvent('review', '2025-11-20'));
+  await firstTab.loadEvents(2025);
+
+  await secondTab.saveEvent(createEvent('review', '2026-01-15'));
+  await firstTab.saveEvent(createEvent('review', '2025-11-21'));
+
+  const copies = [
+    ...(await firstTab.loadEvents(2025)),
+    ...(await firstTab.loadEvents(2026)),
+  ].filter((event) => event.id === 'review');
+  console.assert(copies.length === 1, `The event should be stored once, got ${copies.length} copies`);
+  console.assert(copies[0].startDate.getUTCDate() === 21, 'The last save should win');
+
+  console.log('Saving an event moved by another tab tests completed');
+}
+
+// Export for browser environment
+if (typeof window !== 'undefined') {
+  window.runLocalStorageAdapterTests = runTests;
+}
+
+export { runTests };
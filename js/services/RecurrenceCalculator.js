@@ -2,11 +2,174 @@
  * RecurrenceCalculator.js - Handles expansion of recurring events
  *
  * Generates concrete instances of recurring events based on their patterns,
- * constrained to the bounds of a specific year. Supports weekly, monthly,
- * and annual recurrence patterns with optimization for memory usage.
+ * constrained to the bounds of a planner year: a calendar year, or 12 months
+ * from another start month such as a fiscal year. Every pattern is expanded
+ * through a single RFC 5545 RRULE engine: the simple weekly, monthly and
+ * annual types are shorthands that map onto an equivalent rule.
  */
 
 import { Event } from '../domain/models.js';
+import { RECURRENCE_TYPES, MAX_RECURRENCE_PERIODS, TIME } from '../config.js';
+
+/** RRULE weekday codes indexed by JavaScript day (0 = Sunday) */
+const WEEKDAY_CODES = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+
+/** Frequencies supported by the expansion engine */
+const FREQUENCIES = ['DAILY', 'WEEKLY', 'MONTHLY', 'YEARLY'];
+
+/** Time-of-day rule parts; meaningless at day granularity so they are ignored */
+const IGNORED_RULE_PARTS = ['BYHOUR', 'BYMINUTE', 'BYSECOND'];
+
+/** Event fields an overridden occurrence may change besides its dates */
+const OVERRIDE_FIELDS = [
+  'title',
+  'description',
+  'startsPM',
+  'endsAM',
+  'isPublicHoliday',
+  'categoryId',
+  'calendarId',
+  'assignee',
+];
+
+/**
+ * Create an empty rule object with RFC 5545 defaults
+ * @returns {Object} Rule with no FREQ set
+ * @private
+ */
+function createEmptyRule() {
+  return {
+    freq: null,
+    interval: 1,
+    count: null,
+    until: null,
+    byDay: [],
+    byMonthDay: [],
+    byMonth: [],
+    bySetPos: [],
+    wkst: 1, // Monday, per RFC 5545
+  };
+}
+
+/**
+ * Strip the time component from a date, keeping its UTC calendar day
+ * Events are stored at UTC midnight, so occurrences are calculated in UTC
+ * days whatever the local time zone.
+ * @param {Date|string} value - Date or date string
+ * @returns {Date} UTC midnight of the same calendar day
+ * @private
+ */
+function toDateOnly(value) {
+  const date = value instanceof Date ? value : new Date(value);
+  return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+}
+
+/**
+ * Format a date as a YYYY-MM-DD key, using its UTC day
+ * @param {Date} date - Date to format
+ * @returns {string} Date key
+ * @private
+ */
+function formatDateKey(date) {
+  return date.toISOString().split('T')[0];
+}
+
+/**
+ * Parse a comma separated list of integers within a range
+ * @param {string} value - Raw rule value
+ * @param {string} key - Rule part name, used in error messages
+ * @param {number} max - Largest allowed absolute value
+ * @param {boolean} allowNegative - Whether negative values are allowed
+ * @returns {number[]} Parsed integers
+ * @private
+ */
+function parseIntegerList(value, key, max, allowNegative) {
+  return value.split(',').map((item) => {
+    const number = Number(item);
+    if (
+      !Number.isInteger(number) ||
+      number === 0 ||
+      Math.abs(number) > max ||
+      (number < 0 && !allowNegative)
+    ) {
+      throw new Error(`Invalid ${key} value: ${item}`);
+    }
+    return number;
+  });
+}
+
+/**
+ * Parse a positive integer rule value
+ * @param {string} value - Raw rule value
+ * @param {string} key - Rule part name, used in error messages
+ * @returns {number} Parsed integer
+ * @private
+ */
+function parsePositiveInteger(value, key) {
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 1) {
+    throw new Error(`Invalid ${key} value: ${value}`);
+  }
+  return number;
+}
+
+/**
+ * Parse a BYDAY entry such as "TU", "2TU" or "-1FR"
+ * @param {string} value - Weekday entry
+ * @returns {{weekday: number, ordinal: number}} JavaScript weekday and ordinal (0 = every)
+ * @private
+ */
+function parseWeekdayEntry(value) {
+  const match = /^([+-]?\d{1,2})?([A-Z]{2})$/i.exec(value.trim());
+  const weekday = match ? WEEKDAY_CODES.indexOf(match[2].toUpperCase()) : -1;
+  const ordinal = match && match[1] ? Number(match[1]) : 0;
+
+  if (weekday === -1 || Math.abs(ordinal) > 53) {
+    throw new Error(`Invalid BYDAY value: ${value}`);
+  }
+
+  return { weekday, ordinal };
+}
+
+/**
+ * Parse an UNTIL value in DATE (YYYYMMDD) or DATE-TIME (YYYYMMDDTHHMMSS[Z]) form
+ * @param {string} value - Raw UNTIL value
+ * @returns {Date} UTC midnight of the last allowed occurrence
+ * @private
+ */
+function parseUntil(value) {
+  const match = /^(\d{4})(\d{2})(\d{2})(T\d{6}Z?)?$/.exec(value);
+  if (!match) {
+    throw new Error(`Invalid UNTIL value: ${value}`);
+  }
+  return new Date(Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3])));
+}
+
+/**
+ * Format a date as an RRULE DATE value (YYYYMMDD)
+ * @param {Date} date - Date to format
+ * @returns {string} Formatted date
+ * @private
+ */
+function formatUntil(date) {
+  const year = date.getUTCFullYear();
+  const month = String(date.getUTCMonth() + 1).padStart(2, '0');
+  const day = String(date.getUTCDate()).padStart(2, '0');
+  return `${year}${month}${day}`;
+}
+
+/**
+ * Normalize an exclusion or override date to an occurrence key
+ * @param {Date|string} value - Date, ISO string or YYYY-MM-DD key
+ * @returns {string} Occurrence key in YYYY-MM-DD form (UTC calendar day)
+ * @private
+ */
+function toRecurrenceId(value) {
+  if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    return value;
+  }
+  return formatDateKey(new Date(value));
+}
 
 /**
  * RecurrencePattern class to handle different types of event recurrence
@@ -14,27 +177,96 @@ import { Event } from '../domain/models.js';
 class RecurrencePattern {
   /**
    * Create a new recurrence pattern
-   * @param {string} type - Type of recurrence ('weekly', 'monthly', or 'annual')
+   * @param {string} type - Type of recurrence ('weekly', 'monthly', 'annual' or 'rrule')
    * @param {Object} [options] - Additional recurrence options
+   * @param {string} [options.rrule] - RFC 5545 rule for the 'rrule' type, e.g. "FREQ=MONTHLY;BYDAY=2TU"
+   * @param {number} [options.interval=1] - Repeat every N weeks, months or years
    * @param {number[]} [options.daysOfWeek] - Days of week for weekly recurrence (0 = Sunday, 6 = Saturday)
-   * @param {boolean} [options.preserveEndOfMonth] - For monthly, if true, always use last day of month for dates like 31st
+   * @param {boolean} [options.preserveEndOfMonth] - For monthly, if true and the series starts on the last day of a month, always use the last day of the month
+   * @param {number} [options.count] - Stop after this many occurrences
+   * @param {Date|string} [options.endDate] - Last date an occurrence may start on
+   * @param {string[]} [options.exclusions] - Skipped occurrences (EXDATE), as YYYY-MM-DD keys or ISO dates
+   * @param {Object[]} [options.overrides] - Changed occurrences (RECURRENCE-ID), each with a
+   *   `recurrenceId` key plus the fields that differ from the series
    */
   constructor(type, options = {}) {
-    if (!['weekly', 'monthly', 'annual'].includes(type)) {
+    if (!Object.values(RECURRENCE_TYPES).includes(type)) {
       throw new Error(`Invalid recurrence type: ${type}`);
     }
     
     this.type = type;
     this.options = options;
+
+    // Parse eagerly so a malformed rule is rejected when the pattern is built
+    if (type === RECURRENCE_TYPES.RRULE) {
+      this.rule = RecurrencePattern.parseRRule(options.rrule);
+    }
     
     // Set default options based on type
-    if (type === 'weekly' && !options.daysOfWeek) {
+    if (type === RECURRENCE_TYPES.WEEKLY && !options.daysOfWeek) {
       this.options.daysOfWeek = []; // Default to the original day
     }
-    
-    if (type === 'monthly' && options.preserveEndOfMonth === undefined) {
-      this.options.preserveEndOfMonth = true;
+  }
+
+  /**
+   * Convert the pattern to a rule object understood by the expansion engine
+   * @param {Date} startDate - Start date of the series (DTSTART)
+   * @returns {Object} Parsed rule
+   */
+  toRRule(startDate) {
+    if (this.type === RECURRENCE_TYPES.RRULE) {
+      return { ...this.rule };
     }
+
+    const rule = createEmptyRule();
+    rule.interval = Math.max(1, parseInt(this.options.interval, 10) || 1);
+
+    if (this.options.count) {
+      rule.count = parsePositiveInteger(this.options.count, 'count');
+    }
+    if (this.options.endDate) {
+      rule.until = toDateOnly(this.options.endDate);
+    }
+
+    const start = toDateOnly(startDate);
+    const lastDayOfMonth = new Date(
+      Date.UTC(start.getUTCFullYear(), start.getUTCMonth() + 1, 0)
+    ).getUTCDate();
+
+    switch (this.type) {
+      case RECURRENCE_TYPES.WEEKLY:
+        rule.freq = 'WEEKLY';
+        rule.byDay = (this.options.daysOfWeek || []).map((weekday) => ({
+          weekday,
+          ordinal: 0,
+        }));
+        break;
+      case RECURRENCE_TYPES.MONTHLY:
+        rule.freq = 'MONTHLY';
+        if (this.options.preserveEndOfMonth && start.getUTCDate() === lastDayOfMonth) {
+          rule.byMonthDay = [-1];
+        }
+        break;
+      case RECURRENCE_TYPES.ANNUAL:
+        rule.freq = 'YEARLY';
+        // A leap day falls back to February 28 in common years
+        if (start.getUTCMonth() === 1 && start.getUTCDate() === 29) {
+          rule.byMonth = [2];
+          rule.byMonthDay = [-1];
+        }
+        break;
+    }
+
+    return rule;
+  }
+
+  /**
+   * Serialize the pattern as an RRULE string
+   * @param {Date} startDate - Start date of the series (DTSTART)
+   * @returns {string} RRULE value without the "RRULE:" prefix
+   */
+  toRRuleString(startDate) {
+    return RecurrencePattern.serializeRRule(this.toRRule(startDate));
   }
   
   /**
@@ -61,6 +293,121 @@ class RecurrencePattern {
     const { type, ...options } = obj;
     return new RecurrencePattern(type, options);
   }
+
+  /**
+   * Create an 'rrule' RecurrencePattern from an RRULE string
+   * @param {string} text - RRULE value, with or without the "RRULE:" prefix
+   * @returns {RecurrencePattern} A new RecurrencePattern instance
+   */
+  static fromRRule(text) {
+    const rrule = RecurrencePattern.serializeRRule(RecurrencePattern.parseRRule(text));
+    return new RecurrencePattern(RECURRENCE_TYPES.RRULE, { rrule });
+  }
+
+  /**
+   * Parse an RFC 5545 RRULE string
+   * Supports FREQ (DAILY to YEARLY), INTERVAL, COUNT, UNTIL, BYDAY with
+   * ordinals, BYMONTHDAY, BYMONTH, BYSETPOS and WKST.
+   * @param {string} text - RRULE value, with or without the "RRULE:" prefix
+   * @returns {Object} Parsed rule
+   * @throws {Error} If the rule is malformed or uses an unsupported part
+   */
+  static parseRRule(text) {
+    if (typeof text !== 'string' || !text.trim()) {
+      throw new Error('RRULE string is required');
+    }
+
+    const rule = createEmptyRule();
+    const body = text.trim().replace(/^RRULE:/i, '');
+
+    for (const part of body.split(';')) {
+      if (!part) continue;
+
+      const [rawKey, value] = part.split('=');
+      const key = rawKey.trim().toUpperCase();
+      if (!value) {
+        throw new Error(`Invalid RRULE part: ${part}`);
+      }
+
+      switch (key) {
+        case 'FREQ':
+          if (!FREQUENCIES.includes(value.toUpperCase())) {
+            throw new Error(`Unsupported RRULE frequency: ${value}`);
+          }
+          rule.freq = value.toUpperCase();
+          break;
+        case 'INTERVAL':
+          rule.interval = parsePositiveInteger(value, key);
+          break;
+        case 'COUNT':
+          rule.count = parsePositiveInteger(value, key);
+          break;
+        case 'UNTIL':
+          rule.until = parseUntil(value);
+          break;
+        case 'BYDAY':
+          rule.byDay = value.split(',').map(parseWeekdayEntry);
+          break;
+        case 'BYMONTHDAY':
+          rule.byMonthDay = parseIntegerList(value, key, 31, true);
+          break;
+        case 'BYMONTH':
+          rule.byMonth = parseIntegerList(value, key, 12, false);
+          break;
+        case 'BYSETPOS':
+          rule.bySetPos = parseIntegerList(value, key, 366, true);
+          break;
+        case 'WKST':
+          rule.wkst = WEEKDAY_CODES.indexOf(value.toUpperCase());
+          if (rule.wkst === -1) {
+            throw new Error(`Invalid WKST value: ${value}`);
+          }
+          break;
+        default:
+          if (!IGNORED_RULE_PARTS.includes(key)) {
+            throw new Error(`Unsupported RRULE part: ${key}`);
+          }
+      }
+    }
+
+    if (!rule.freq) {
+      throw new Error('RRULE must include FREQ');
+    }
+    if (rule.count && rule.until) {
+      throw new Error('RRULE cannot contain both COUNT and UNTIL');
+    }
+
+    return rule;
+  }
+
+  /**
+   * Serialize a rule object to an RRULE string
+   * @param {Object} rule - Rule as returned by parseRRule
+   * @returns {string} RRULE value without the "RRULE:" prefix
+   */
+  static serializeRRule(rule) {
+    const { freq, interval, count, until, byDay, byMonthDay, byMonth, bySetPos, wkst } = {
+      ...createEmptyRule(),
+      ...rule,
+    };
+    const parts = [`FREQ=${freq}`];
+
+    if (interval > 1) parts.push(`INTERVAL=${interval}`);
+    if (byMonth.length) parts.push(`BYMONTH=${byMonth.join(',')}`);
+    if (byMonthDay.length) parts.push(`BYMONTHDAY=${byMonthDay.join(',')}`);
+    if (byDay.length) {
+      const days = byDay.map(
+        ({ weekday, ordinal }) => `${ordinal || ''}${WEEKDAY_CODES[weekday]}`
+      );
+      parts.push(`BYDAY=${days.join(',')}`);
+    }
+    if (bySetPos.length) parts.push(`BYSETPOS=${bySetPos.join(',')}`);
+    if (wkst !== 1) parts.push(`WKST=${WEEKDAY_CODES[wkst]}`);
+    if (count) parts.push(`COUNT=${count}`);
+    if (until) parts.push(`UNTIL=${formatUntil(toDateOnly(until))}`);
+
+    return parts.join(';');
+  }
 }
 
 /**
@@ -70,11 +417,13 @@ class RecurrenceCalculator {
   /**
    * Create a recurrence calculator for a specific year
    * @param {number} year - The year to calculate recurrences for
+   * @param {number} [startMonth=0] - Month the planner year starts in (0-11)
    */
-  constructor(year) {
+  constructor(year, startMonth = 0) {
     this.year = year;
-    this.yearStart = new Date(year, 0, 1);
-    this.yearEnd = new Date(year, 11, 31, 23, 59, 59, 999);
+    this.startMonth = startMonth;
+    this.yearStart = new Date(Date.UTC(year, startMonth, 1));
+    this.yearEnd = new Date(Date.UTC(year, startMonth + 12, 0, 23, 59, 59, 999));
     
     // Cache for event instances to prevent regeneration
     this._cache = new Map();
@@ -156,79 +505,64 @@ class RecurrenceCalculator {
       return [baseEvent]; // Return original event if no valid pattern
     }
 
-    const { type } = baseEvent.recurrencePattern;
-    
     // Convert to RecurrencePattern instance if it's not already
     const pattern = (baseEvent.recurrencePattern instanceof RecurrencePattern)
       ? baseEvent.recurrencePattern
       : RecurrencePattern.fromObject(baseEvent.recurrencePattern);
 
-    switch (type) {
-      case 'weekly':
-        return this.generateWeeklyInstances(baseEvent, pattern);
-      case 'monthly':
-        return this.generateMonthlyInstances(baseEvent, pattern);
-      case 'annual':
-        return this.generateAnnualInstances(baseEvent, pattern);
-      default:
-        console.warn(`Unknown recurrence type: ${type}`);
-        return [baseEvent];
-    }
+    return this.generateRRuleInstances(baseEvent, pattern);
   }
 
   /**
-   * Generate weekly instances of a recurring event
+   * Generate the instances of a recurring event that start within the year
+   * Skips excluded occurrences and applies per-occurrence overrides, including
+   * overrides that move an occurrence into this year from another one.
    * @param {Event} baseEvent - The base recurring event
    * @param {RecurrencePattern} pattern - The recurrence pattern
-   * @returns {Array<Event>} Array of weekly event instances
+   * @returns {Array<Event>} Array of event instances
    */
-  generateWeeklyInstances(baseEvent, pattern) {
-    const instances = [];
+  generateRRuleInstances(baseEvent, pattern) {
     const eventDuration = this.getEventDurationDays(baseEvent);
-    
-    // Determine which days of the week this event occurs on
-    let daysOfWeek;
-    if (pattern.options.daysOfWeek && pattern.options.daysOfWeek.length > 0) {
-      // Use specified days of week
-      daysOfWeek = pattern.options.daysOfWeek;
-    } else {
-      // Default to the same day of week as the original event
-      daysOfWeek = [baseEvent.startDate.getDay()];
-    }
-
-    // Get a start date that's not earlier than both:
-    // 1. The original event start date (so we only recur forward)
-    // 2. The beginning of the current year we're planning
-    const originalStart = baseEvent.startDate;
-    const yearStart = new Date(this.year, 0, 1);
-    let planningStart = new Date(Math.max(originalStart.getTime(), yearStart.getTime()));
-
-    // For each day of week this event occurs on
-    for (const dayOfWeek of daysOfWeek) {
-      // Calculate first instance in the year for this day of week that is not earlier than originalStart
-      let currentDate = new Date(planningStart);
-      
-      // If the current date is not the right day of week, advance to the next occurrence
-      if (currentDate.getDay() !== dayOfWeek) {
-        // Adjust to first occurrence of this day of week
-        const daysDiff = (dayOfWeek - currentDate.getDay() + 7) % 7;
-        currentDate.setDate(currentDate.getDate() + daysDiff);
+    const rule = pattern.toRRule(baseEvent.startDate);
+    const exclusions = new Set((pattern.options.exclusions || []).map(toRecurrenceId));
+    const overrides = new Map(
+      (pattern.options.overrides || []).map((override) => [
+        toRecurrenceId(override.recurrenceId),
+        override,
+      ])
+    );
+
+    const instances = [];
+    const occurrences = this.expandRule(rule, baseEvent.startDate, this.yearStart, this.yearEnd);
+
+    for (const date of occurrences) {
+      const recurrenceId = formatDateKey(date);
+      if (exclusions.has(recurrenceId)) continue;
+
+      if (overrides.has(recurrenceId)) {
+        const instance = this._createOverrideInstance(
+          baseEvent,
+          recurrenceId,
+          overrides.get(recurrenceId),
+          eventDuration
+        );
+        overrides.delete(recurrenceId);
+        if (instance) instances.push(instance);
+      } else {
+        instances.push(this.createEventInstance(baseEvent, date, eventDuration, recurrenceId));
       }
+    }
 
-      // Generate instances for the entire year
-      while (currentDate <= this.yearEnd) {
-        // Only create instance if it starts within the current year boundary
-        if (currentDate >= this.yearStart) {
-          const instance = this.createEventInstance(
-            baseEvent,
-            new Date(currentDate),
-            eventDuration
-          );
-          instances.push(instance);
-        }
+    // Remaining overrides belong to occurrences outside this year; keep the ones moved into it
+    for (const [recurrenceId, override] of overrides) {
+      const originalDate = toDateOnly(recurrenceId);
+      const isOccurrence =
+        !exclusions.has(recurrenceId) &&
+        this.expandRule(rule, baseEvent.startDate, originalDate, originalDate).length > 0;
 
-        // Move to next week
-        currentDate.setDate(currentDate.getDate() + 7);
+      if (isOccurrence) {
+        const instance = this._createOverrideInstance(baseEvent, recurrenceId, override, eventDuration);
+        if (instance) instances.push(instance);
       }
     }
 
@@ -236,125 +570,483 @@ class RecurrenceCalculator {
   }
 
   /**
-   * Generate monthly instances of a recurring event
+   * Create the instance of an overridden occurrence if it starts within the year
    * @param {Event} baseEvent - The base recurring event
-   * @param {RecurrencePattern} pattern - The recurrence pattern
-   * @returns {Array<Event>} Array of monthly event instances
+   * @param {string} recurrenceId - Key of the original occurrence
+   * @param {Object} override - Override stored with the series
+   * @param {number} eventDuration - Duration of the series in days
+   * @returns {Event|null} The instance, or null if it was moved out of the year
+   * @private
    */
-  generateMonthlyInstances(baseEvent, pattern) {
-    const instances = [];
-    const eventDuration = this.getEventDurationDays(baseEvent);
-    
-    // Get the day of month from the original event (1-31)
-    const dayOfMonth = baseEvent.startDate.getDate();
-    
-    // Get the original month to check if it's the last day of month
-    const origMonth = baseEvent.startDate.getMonth();
-    const origYear = baseEvent.startDate.getFullYear();
-    const lastDayOfOrigMonth = new Date(origYear, origMonth + 1, 0).getDate();
-    const isLastDayOfMonth = dayOfMonth === lastDayOfOrigMonth;
-    
-    // Determine start month - only generate forward from original date
-    // If the event starts in a future year, start from January
-    // If the event starts in the past, start from the current month if we're in the same year
-    const startMonth = origYear < this.year ? 0 : 
-                        (origYear > this.year ? 0 : origMonth);
-    
-    // Generate an instance for each month in the year, starting from the determined month
-    for (let month = startMonth; month < 12; month++) {
-      let instanceDate;
-      
-      if (pattern.options.preserveEndOfMonth && isLastDayOfMonth) {
-        // If we're preserving end-of-month and the original was on the last day,
-        // always use the last day of the target month
-        const lastDay = new Date(this.year, month + 1, 0).getDate();
-        instanceDate = new Date(this.year, month, lastDay);
-      } else {
-        // Normal case: use the same day of month
-        instanceDate = new Date(this.year, month, dayOfMonth);
-        
-        // Check if this is a valid date (handles months with fewer days)
-        if (instanceDate.getMonth() !== month) {
-          // We got bumped to the next month, use last day of intended month
-          instanceDate = new Date(this.year, month + 1, 0);
-        }
+  _createOverrideInstance(baseEvent, recurrenceId, override, eventDuration) {
+    const startDate = override.startDate
+      ? toDateOnly(override.startDate)
+      : toDateOnly(recurrenceId);
+    const duration = override.startDate && override.endDate
+      ? this.getEventDurationDays({ startDate: override.startDate, endDate: override.endDate })
+      : eventDuration;
+
+    if (startDate < this.yearStart || startDate > this.yearEnd) {
+      return null;
+    }
+
+    return this.createEventInstance(baseEvent, startDate, duration, recurrenceId, override);
+  }
+
+  /**
+   * Exclude a single occurrence from a series (EXDATE)
+   * @param {Event} series - The base recurring event
+   * @param {string|Date} recurrenceId - Occurrence to skip
+   * @returns {Object} Updated recurrence pattern for the series
+   */
+  excludeOccurrence(series, recurrenceId) {
+    const key = toRecurrenceId(recurrenceId);
+    const pattern = { ...series.recurrencePattern };
+
+    pattern.exclusions = [
+      ...new Set([...(pattern.exclusions || []).map(toRecurrenceId), key]),
+    ].sort();
+    pattern.overrides = (pattern.overrides || []).filter(
+      (override) => toRecurrenceId(override.recurrenceId) !== key
+    );
+
+    return pattern;
+  }
+
+  /**
+   * Replace the details of a single occurrence (RECURRENCE-ID)
+   * @param {Event} series - The base recurring event
+   * @param {string|Date} recurrenceId - Occurrence to change
+   * @param {Object} changes - New event fields; startDate and endDate may move the occurrence
+   * @returns {Object} Updated recurrence pattern for the series
+   */
+  overrideOccurrence(series, recurrenceId, changes) {
+    const key = toRecurrenceId(recurrenceId);
+    const pattern = { ...series.recurrencePattern };
+    const override = { recurrenceId: key };
+
+    // Only store what differs, so later edits to the series still reach this occurrence
+    for (const field of OVERRIDE_FIELDS) {
+      if (changes[field] !== undefined && changes[field] !== series[field]) {
+        override[field] = changes[field];
+      }
+    }
+
+    if (changes.startDate && changes.endDate) {
+      const moved = formatDateKey(toDateOnly(changes.startDate)) !== key;
+      const resized =
+        this.getEventDurationDays(changes) !== this.getEventDurationDays(series);
+      if (moved || resized) {
+        override.startDate = new Date(changes.startDate).toISOString();
+        override.endDate = new Date(changes.endDate).toISOString();
       }
+    }
+
+    pattern.overrides = [
+      ...(pattern.overrides || []).filter(
+        (existing) => toRecurrenceId(existing.recurrenceId) !== key
+      ),
+      override,
+    ];
+
+    return pattern;
+  }
+
+  /**
+   * Split a series at an occurrence for "this and following" edits
+   * The original series is ended before the occurrence. Exclusions and
+   * overrides are divided between the two halves, and a COUNT limit is
+   * shared so the series keeps its total number of occurrences.
+   * @param {Event} series - The base recurring event
+   * @param {string|Date} recurrenceId - First occurrence of the new series
+   * @param {Object} [followingPattern] - Pattern for the new series, defaults to the current one
+   * @returns {{pattern: Object, followingPattern: Object, occurrencesBefore: number}}
+   *   Patterns for the truncated and the new series, and how many occurrences precede the split
+   */
+  splitSeries(series, recurrenceId, followingPattern = series.recurrencePattern) {
+    const key = toRecurrenceId(recurrenceId);
+    const splitDate = toDateOnly(key);
+    const dayBefore = new Date(
+      Date.UTC(splitDate.getUTCFullYear(), splitDate.getUTCMonth(), splitDate.getUTCDate() - 1)
+    );
+
+    const rule = RecurrencePattern.fromObject(series.recurrencePattern).toRRule(series.startDate);
+    const occurrencesBefore = this.expandRule(rule, series.startDate, series.startDate, dayBefore).length;
+
+    const isBefore = (value) => toRecurrenceId(value) < key;
+    const exclusions = series.recurrencePattern.exclusions || [];
+    const overrides = series.recurrencePattern.overrides || [];
+
+    const pattern = this._withSeriesEnd(
+      series.recurrencePattern,
+      rule.count ? { count: occurrencesBefore } : { until: dayBefore }
+    );
+    pattern.exclusions = exclusions.filter(isBefore);
+    pattern.overrides = overrides.filter((override) => isBefore(override.recurrenceId));
+
+    let following = {
+      ...followingPattern,
+      exclusions: exclusions.filter((value) => !isBefore(value)),
+      overrides: overrides.filter((override) => !isBefore(override.recurrenceId)),
+    };
+
+    // An unchanged COUNT covers the whole series, so the new half gets what is left
+    if (rule.count) {
+      const followingRule = RecurrencePattern.fromObject(following).toRRule(splitDate);
+      if (followingRule.count === rule.count) {
+        following = this._withSeriesEnd(following, {
+          count: Math.max(1, rule.count - occurrencesBefore),
+        });
+      }
+    }
+
+    return { pattern, followingPattern: following, occurrencesBefore };
+  }
+
+  /**
+   * Move a whole series by a number of days, e.g. when one of its occurrences
+   * is dragged and the change applies to all of them. Weekdays of weekly
+   * rules, the end date, and skipped and changed occurrences move with the
+   * series. Other rule parts, such as days of the month or the 2nd Tuesday,
+   * keep matching the same days.
+   * @param {Event} series - The base recurring event
+   * @param {number} days - Number of days to move by, negative to move earlier
+   * @returns {Object} Updated recurrence pattern for the series
+   */
+  shiftSeries(series, days) {
+    const shiftDate = (value) => {
+      const date = toDateOnly(value);
+      date.setUTCDate(date.getUTCDate() + days);
+      return date;
+    };
+    const shiftInstant = (value) => new Date(new Date(value).getTime() + days * TIME.MS_PER_DAY);
+    const shiftKey = (value) => formatDateKey(shiftDate(toRecurrenceId(value)));
+    const shiftWeekday = (weekday) => (((weekday + days) % 7) + 7) % 7;
 
-      const instance = this.createEventInstance(
-        baseEvent,
-        instanceDate,
-        eventDuration
+    let pattern = { ...series.recurrencePattern };
+
+    if (pattern.type === RECURRENCE_TYPES.RRULE) {
+      const rule = RecurrencePattern.parseRRule(pattern.rrule);
+      rule.byDay = rule.byDay.map((entry) =>
+        entry.ordinal === 0 ? { ...entry, weekday: shiftWeekday(entry.weekday) } : entry
       );
-      instances.push(instance);
+      if (rule.until) {
+        rule.until = shiftDate(rule.until);
+      }
+      pattern.rrule = RecurrencePattern.serializeRRule(rule);
+    } else {
+      if (pattern.type === RECURRENCE_TYPES.WEEKLY && Array.isArray(pattern.daysOfWeek)) {
+        pattern.daysOfWeek = pattern.daysOfWeek.map(shiftWeekday).sort((a, b) => a - b);
+      }
+      if (pattern.endDate) {
+        pattern = this._withSeriesEnd(pattern, {
+          count: pattern.count || null,
+          until: shiftDate(pattern.endDate),
+        });
+      }
     }
 
-    return instances;
+    pattern.exclusions = (pattern.exclusions || []).map(shiftKey).sort();
+    pattern.overrides = (pattern.overrides || []).map((override) => {
+      const moved = { ...override, recurrenceId: shiftKey(override.recurrenceId) };
+      if (override.startDate && override.endDate) {
+        moved.startDate = shiftInstant(override.startDate).toISOString();
+        moved.endDate = shiftInstant(override.endDate).toISOString();
+      }
+      return moved;
+    });
+
+    return pattern;
   }
 
   /**
-   * Generate annual instances of a recurring event
-   * @param {Event} baseEvent - The base recurring event
-   * @param {RecurrencePattern} pattern - The recurrence pattern
-   * @returns {Array<Event>} Array of annual event instances (single instance for current year)
+   * Copy a recurrence pattern with a new COUNT or end date
+   * @param {Object} pattern - Recurrence pattern
+   * @param {Object} end - New end of the series
+   * @param {number} [end.count] - Number of occurrences
+   * @param {Date} [end.until] - Last date an occurrence may start on
+   * @returns {Object} Updated pattern
+   * @private
    */
-  generateAnnualInstances(baseEvent, pattern) {
-    const eventDuration = this.getEventDurationDays(baseEvent);
-    
-    // Get month and day from the base event
-    const origMonth = baseEvent.startDate.getMonth();
-    const day = baseEvent.startDate.getDate();
-    const origYear = baseEvent.startDate.getFullYear();
-    
-    // Only create an instance if the original date is in the past or this year
-    // Don't generate instances for future years
-    if (origYear > this.year) {
-      return [];
+  _withSeriesEnd(pattern, { count = null, until = null }) {
+    if (pattern.type === RECURRENCE_TYPES.RRULE) {
+      const rule = RecurrencePattern.parseRRule(pattern.rrule);
+      rule.count = count;
+      rule.until = until;
+      return { ...pattern, rrule: RecurrencePattern.serializeRRule(rule) };
     }
-    
-    // If the event occurs later in the year than the current date and we're in the original year,
-    // don't generate an instance yet
-    const now = new Date();
-    if (origYear === this.year && origYear === now.getFullYear()) {
-      if (origMonth > now.getMonth() || 
-          (origMonth === now.getMonth() && day > now.getDate())) {
-        return [];
+
+    const updated = { ...pattern };
+    delete updated.count;
+    delete updated.endDate;
+
+    if (count) updated.count = count;
+    if (until) updated.endDate = formatDateKey(until);
+    return updated;
+  }
+
+  /**
+   * Expand a rule into occurrence dates within a range
+   * Walks the rule from its start date so that COUNT is honoured even when
+   * the series began before the requested range.
+   * @param {Object} rule - Rule as returned by RecurrencePattern.parseRRule
+   * @param {Date} dtstart - Start date of the series
+   * @param {Date} rangeStart - First day of the range
+   * @param {Date} rangeEnd - Last day of the range
+   * @returns {Date[]} Occurrence dates (UTC midnight) in chronological order
+   */
+  expandRule(rule, dtstart, rangeStart, rangeEnd) {
+    const start = toDateOnly(dtstart);
+    const from = toDateOnly(rangeStart);
+    const to = toDateOnly(rangeEnd);
+    const until = rule.until ? toDateOnly(rule.until) : null;
+    const last = until && until < to ? until : to;
+
+    const dates = [];
+    let occurrences = 0;
+
+    for (let period = 0; period < MAX_RECURRENCE_PERIODS; period++) {
+      const periodStart = this._getPeriodStart(rule, start, period);
+      if (periodStart > last) {
+        break;
+      }
+
+      for (const date of this._getPeriodCandidates(rule, start, periodStart)) {
+        if (date < start) continue;
+        if (date > last) return dates;
+
+        occurrences++;
+        if (date >= from) {
+          dates.push(date);
+        }
+        if (rule.count && occurrences >= rule.count) {
+          return dates;
+        }
       }
     }
-    
-    // Check if it was February 29 in a leap year
-    const isLeapDayInLeapYear = origMonth === 1 && day === 29 && this._isLeapYear(origYear);
-    
-    // Create date for this year's instance
-    let instanceDate;
-    
-    if (isLeapDayInLeapYear) {
-      // Handle Feb 29 specially
-      if (this._isLeapYear(this.year)) {
-        instanceDate = new Date(this.year, 1, 29); // Feb 29 in current year
-      } else {
-        // Current year is not a leap year, use Feb 28 or Mar 1 based on pattern
-        instanceDate = pattern.options.fallbackForLeapDay === 'after'
-          ? new Date(this.year, 2, 1)   // March 1
-          : new Date(this.year, 1, 28);  // February 28
+
+    return dates;
+  }
+
+  /**
+   * Get the first day of the Nth period of a rule
+   * @param {Object} rule - Parsed rule
+   * @param {Date} start - Start date of the series (UTC midnight)
+   * @param {number} period - Zero-based period index
+   * @returns {Date} First day of the period
+   * @private
+   */
+  _getPeriodStart(rule, start, period) {
+    const step = period * rule.interval;
+    const year = start.getUTCFullYear();
+    const month = start.getUTCMonth();
+    const day = start.getUTCDate();
+
+    switch (rule.freq) {
+      case 'DAILY':
+        return new Date(Date.UTC(year, month, day + step));
+      case 'WEEKLY': {
+        const offset = (start.getUTCDay() - rule.wkst + 7) % 7;
+        return new Date(Date.UTC(year, month, day - offset + step * 7));
       }
-    } else {
-      // Normal case
-      instanceDate = new Date(this.year, origMonth, day);
-      
-      // Check if this is a valid date (handles other edge cases)
-      if (instanceDate.getMonth() !== origMonth) {
-        // Default to last day of the intended month
-        instanceDate = new Date(this.year, origMonth + 1, 0);
+      case 'MONTHLY':
+        return new Date(Date.UTC(year, month + step, 1));
+      default:
+        return new Date(Date.UTC(year + step, 0, 1));
+    }
+  }
+
+  /**
+   * Get the candidate occurrence dates within one period of a rule
+   * @param {Object} rule - Parsed rule
+   * @param {Date} start - Start date of the series (UTC midnight)
+   * @param {Date} periodStart - First day of the period
+   * @returns {Date[]} Sorted candidate dates
+   * @private
+   */
+  _getPeriodCandidates(rule, start, periodStart) {
+    const year = periodStart.getUTCFullYear();
+    const month = periodStart.getUTCMonth();
+    let candidates = [];
+
+    switch (rule.freq) {
+      case 'DAILY':
+        candidates = this._matchesDayFilters(rule, periodStart) ? [periodStart] : [];
+        break;
+      case 'WEEKLY': {
+        const weekdays = rule.byDay.length
+          ? rule.byDay.map(({ weekday }) => weekday)
+          : [start.getUTCDay()];
+        candidates = weekdays
+          .map((weekday) => new Date(Date.UTC(
+            year,
+            month,
+            periodStart.getUTCDate() + ((weekday - rule.wkst + 7) % 7)
+          )))
+          .filter((date) => this._matchesMonth(rule, date));
+        break;
       }
+      case 'MONTHLY':
+        if (this._matchesMonth(rule, periodStart)) {
+          candidates = this._getMonthCandidates(rule, start, year, month);
+        }
+        break;
+      default:
+        if (rule.byDay.length && !rule.byMonth.length && !rule.byMonthDay.length) {
+          // BYDAY ordinals in a yearly rule without BYMONTH count across the year
+          candidates = this._getWeekdaysInRange(
+            rule.byDay,
+            new Date(Date.UTC(year, 0, 1)),
+            new Date(Date.UTC(year, 11, 31))
+          );
+        } else {
+          const months = rule.byMonth.length ? rule.byMonth : [start.getUTCMonth() + 1];
+          for (const byMonth of months) {
+            candidates.push(...this._getMonthCandidates(rule, start, year, byMonth - 1));
+          }
+        }
+    }
+
+    return this._applySetPosition(rule, this._sortUniqueDates(candidates));
+  }
+
+  /**
+   * Get the candidate dates of a rule within a single month
+   * @param {Object} rule - Parsed rule
+   * @param {Date} start - Start date of the series (UTC midnight)
+   * @param {number} year - Full year
+   * @param {number} month - Zero-based month
+   * @returns {Date[]} Candidate dates
+   * @private
+   */
+  _getMonthCandidates(rule, start, year, month) {
+    const daysInMonth = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+
+    if (rule.byMonthDay.length) {
+      return rule.byMonthDay
+        .map((day) => (day < 0 ? daysInMonth + 1 + day : day))
+        .filter((day) => day >= 1 && day <= daysInMonth)
+        .map((day) => new Date(Date.UTC(year, month, day)))
+        .filter((date) => this._matchesWeekday(rule, date));
+    }
+
+    if (rule.byDay.length) {
+      return this._getWeekdaysInRange(
+        rule.byDay,
+        new Date(Date.UTC(year, month, 1)),
+        new Date(Date.UTC(year, month, daysInMonth))
+      );
+    }
+
+    // Months without the start day (e.g. the 31st) are skipped, as RFC 5545 requires
+    const day = start.getUTCDate();
+    return day <= daysInMonth ? [new Date(Date.UTC(year, month, day))] : [];
+  }
+
+  /**
+   * Resolve BYDAY entries to dates within a range
+   * @param {Array<{weekday: number, ordinal: number}>} byDay - Weekday entries
+   * @param {Date} first - First day of the range
+   * @param {Date} last - Last day of the range
+   * @returns {Date[]} Matching dates
+   * @private
+   */
+  _getWeekdaysInRange(byDay, first, last) {
+    const dates = [];
+
+    for (const { weekday, ordinal } of byDay) {
+      const matches = [];
+      const date = new Date(first);
+      date.setUTCDate(date.getUTCDate() + ((weekday - date.getUTCDay() + 7) % 7));
+
+      while (date <= last) {
+        matches.push(new Date(date));
+        date.setUTCDate(date.getUTCDate() + 7);
+      }
+
+      if (!ordinal) {
+        dates.push(...matches);
+      } else {
+        const match = ordinal > 0 ? matches[ordinal - 1] : matches[matches.length + ordinal];
+        if (match) dates.push(match);
+      }
+    }
+
+    return dates;
+  }
+
+  /**
+   * Check a single day against the BYMONTH, BYMONTHDAY and BYDAY filters
+   * @param {Object} rule - Parsed rule
+   * @param {Date} date - Date to check
+   * @returns {boolean} True if the day passes every filter
+   * @private
+   */
+  _matchesDayFilters(rule, date) {
+    if (!this._matchesMonth(rule, date) || !this._matchesWeekday(rule, date)) {
+      return false;
+    }
+    if (!rule.byMonthDay.length) {
+      return true;
     }
 
-    const instance = this.createEventInstance(
-      baseEvent,
-      instanceDate,
-      eventDuration
+    const daysInMonth = new Date(
+      Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 0)
+    ).getUTCDate();
+    return rule.byMonthDay.some(
+      (day) => (day < 0 ? daysInMonth + 1 + day : day) === date.getUTCDate()
     );
+  }
+
+  /**
+   * Check a date against the BYMONTH filter
+   * @param {Object} rule - Parsed rule
+   * @param {Date} date - Date to check
+   * @returns {boolean} True if the rule has no BYMONTH or the month matches
+   * @private
+   */
+  _matchesMonth(rule, date) {
+    return !rule.byMonth.length || rule.byMonth.includes(date.getUTCMonth() + 1);
+  }
+
+  /**
+   * Check a date against the weekdays of the BYDAY filter, ignoring ordinals
+   * @param {Object} rule - Parsed rule
+   * @param {Date} date - Date to check
+   * @returns {boolean} True if the rule has no BYDAY or the weekday matches
+   * @private
+   */
+  _matchesWeekday(rule, date) {
+    return !rule.byDay.length || rule.byDay.some(({ weekday }) => weekday === date.getUTCDay());
+  }
 
-    return [instance];
+  /**
+   * Sort dates chronologically and drop duplicates
+   * @param {Date[]} dates - Dates to sort
+   * @returns {Date[]} Sorted unique dates
+   * @private
+   */
+  _sortUniqueDates(dates) {
+    const unique = new Map(dates.map((date) => [date.getTime(), date]));
+    return [...unique.values()].sort((a, b) => a - b);
+  }
+
+  /**
+   * Apply BYSETPOS to the sorted candidates of one period
+   * @param {Object} rule - Parsed rule
+   * @param {Date[]} candidates - Sorted candidate dates
+   * @returns {Date[]} Selected dates
+   * @private
+   */
+  _applySetPosition(rule, candidates) {
+    if (!rule.bySetPos.length) {
+      return candidates;
+    }
+
+    const selected = rule.bySetPos
+      .map((position) => candidates[position > 0 ? position - 1 : candidates.length + position])
+      .filter(Boolean);
+    return this._sortUniqueDates(selected);
   }
 
   /**
@@ -362,58 +1054,74 @@ class RecurrenceCalculator {
    * @param {Event} baseEvent - The base recurring event
    * @param {Date} startDate - Start date for the instance
    * @param {number} durationDays - Duration in days
+   * @param {string} [recurrenceId] - Occurrence key (YYYY-MM-DD), defaults to the start date
+   * @param {Object} [override] - Per-occurrence field overrides
    * @returns {Event} The event instance
    */
-  createEventInstance(baseEvent, startDate, durationDays) {
-    // Calculate end date based on start date and original duration
+  createEventInstance(
+    baseEvent,
+    startDate,
+    durationDays,
+    recurrenceId = formatDateKey(startDate),
+    override = null
+  ) {
+    // Calculate end date based on start date and original (inclusive) duration
     const endDate = new Date(startDate);
-    endDate.setDate(startDate.getDate() + durationDays);
+    endDate.setUTCDate(startDate.getUTCDate() + durationDays - 1);
     
     // Truncate to year boundaries if necessary
     const finalEndDate = new Date(
       Math.min(endDate.getTime(), this.yearEnd.getTime())
     );
 
-    // Create a unique ID for this instance based on original ID and date
-    const instanceId = `${baseEvent.id}_${startDate.toISOString().split('T')[0]}`;
+    // Create a unique ID for this instance based on original ID and occurrence
+    const instanceId = `${baseEvent.id}_${recurrenceId}`;
     
     // Apply time from original event to preserve AM/PM indicators
     this._applyTimeFromDate(startDate, baseEvent.startDate);
     this._applyTimeFromDate(finalEndDate, baseEvent.endDate);
+
+    const fields = {
+      id: instanceId,
+      title: baseEvent.title,
+      description: baseEvent.description,
+      startDate: startDate,
+      endDate: finalEndDate,
+      isRecurring: false, // Instances are not themselves recurring
+      startsPM: baseEvent.startsPM,
+      endsAM: baseEvent.endsAM,
+      isPublicHoliday: baseEvent.isPublicHoliday,
+      categoryId: baseEvent.categoryId,
+      calendarId: baseEvent.calendarId,
+      assignee: baseEvent.assignee,
+    };
+
+    if (override) {
+      for (const field of OVERRIDE_FIELDS) {
+        if (override[field] !== undefined) {
+          fields[field] = override[field];
+        }
+      }
+    }
+
+    // The Event constructor doesn't know about instance metadata, so it is added afterwards
+    const metadata = {
+      isRecurrenceInstance: true,
+      originalEventId: baseEvent.id,
+      recurrenceId,
+      isOverridden: Boolean(override),
+    };
     
     // Create a new Event instance
     try {
-      return new Event({
-        id: instanceId,
-        title: baseEvent.title,
-        description: baseEvent.description,
-        startDate: startDate,
-        endDate: finalEndDate,
-        isRecurring: false, // Instances are not themselves recurring
-        startsPM: baseEvent.startsPM,
-        endsAM: baseEvent.endsAM,
-        isPublicHoliday: baseEvent.isPublicHoliday,
-        // Add metadata for instances
-        isRecurrenceInstance: true,
-        originalEventId: baseEvent.id,
-        recurrencePattern: baseEvent.recurrencePattern
-      });
+      return Object.assign(
+        new Event({ ...fields, recurrencePattern: baseEvent.recurrencePattern }),
+        metadata
+      );
     } catch (error) {
       // Fallback to plain object if Event construction fails
       console.warn(`Failed to create Event instance: ${error.message}. Using plain object.`);
-      return {
-        id: instanceId,
-        title: baseEvent.title,
-        description: baseEvent.description,
-        startDate: startDate,
-        endDate: finalEndDate,
-        isRecurring: false,
-        startsPM: baseEvent.startsPM,
-        endsAM: baseEvent.endsAM,
-        isPublicHoliday: baseEvent.isPublicHoliday,
-        isRecurrenceInstance: true,
-        originalEventId: baseEvent.id
-      };
+      return { ...fields, ...metadata };
     }
   }
 
@@ -424,11 +1132,11 @@ class RecurrenceCalculator {
    * @private
    */
   _applyTimeFromDate(targetDate, sourceDate) {
-    targetDate.setHours(
-      sourceDate.getHours(),
-      sourceDate.getMinutes(),
-      sourceDate.getSeconds(),
-      sourceDate.getMilliseconds()
+    targetDate.setUTCHours(
+      sourceDate.getUTCHours(),
+      sourceDate.getUTCMinutes(),
+      sourceDate.getUTCSeconds(),
+      sourceDate.getUTCMilliseconds()
     );
   }
 
@@ -448,24 +1156,14 @@ class RecurrenceCalculator {
     const endDate = new Date(event.endDate);
     
     // Reset time components to ensure accurate day calculation
-    const start = new Date(startDate.getFullYear(), startDate.getMonth(), startDate.getDate());
-    const end = new Date(endDate.getFullYear(), endDate.getMonth(), endDate.getDate());
+    const start = Date.UTC(startDate.getUTCFullYear(), startDate.getUTCMonth(), startDate.getUTCDate());
+    const end = Date.UTC(endDate.getUTCFullYear(), endDate.getUTCMonth(), endDate.getUTCDate());
     
     // Calculate difference in milliseconds and convert to days
-    const diff = end.getTime() - start.getTime();
+    const diff = end - start;
     return Math.round(diff / (1000 * 60 * 60 * 24)) + 1; // Include both start and end days
   }
   
-  /**
-   * Check if a year is a leap year
-   * @param {number} year - The year to check
-   * @returns {boolean} True if it's a leap year
-   * @private
-   */
-  _isLeapYear(year) {
-    return (year % 4 === 0 && year % 100 !== 0) || year % 400 === 0;
-  }
-  
   /**
    * Clear the instance cache
    * Use this when changing years or when events are updated
@@ -477,12 +1175,15 @@ class RecurrenceCalculator {
   /**
    * Update the calculator's year
    * @param {number} year - The new year to calculate for
+   * @param {number} [startMonth] - Month the planner year starts in (0-11),
+   *   unchanged if omitted
    */
-  setYear(year) {
-    if (this.year !== year) {
+  setYear(year, startMonth = this.startMonth) {
+    if (this.year !== year || this.startMonth !== startMonth) {
       this.year = year;
-      this.yearStart = new Date(year, 0, 1);
-      this.yearEnd = new Date(year, 11, 31, 23, 59, 59, 999);
+      this.startMonth = startMonth;
+      this.yearStart = new Date(Date.UTC(year, startMonth, 1));
+      this.yearEnd = new Date(Date.UTC(year, startMonth + 12, 0, 23, 59, 59, 999));
       this.clearCache(); // Clear cache when changing year
     }
   }
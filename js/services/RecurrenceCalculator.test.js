@@ -5,7 +5,7 @@
  * focusing on different recurrence patterns and edge cases.
  */
 
-import { RecurrenceCalculator } from './RecurrenceCalculator.js';
+import { RecurrenceCalculator, RecurrencePattern } from './RecurrenceCalculator.js';
 import { Event } from '../domain/models.js';
 
 /**
@@ -21,6 +21,13 @@ function runTests() {
   testAnnualRecurrence();
   testRecurrenceWithExclusions();
   testRecurrenceEdgeCases();
+  testRRuleParsing();
+  testRRuleExpansion();
+  testTimeZoneBehindUTC();
+  testRecurrenceOverrides();
+  testSplitSeries();
+  testShiftSeries();
+  testFiscalYear();
 
   console.log('=== All RecurrenceCalculator tests completed ===');
 }
@@ -43,8 +50,8 @@ function testExpandRecurringEvents() {
   const nonRecurringEvent = new Event({
     id: 'nonRecurring',
     title: 'Non-Recurring Event',
-    startDate: new Date(2025, 0, 15),
-    endDate: new Date(2025, 0, 15),
+    startDate: new Date(Date.UTC(2025, 0, 15)),
+    endDate: new Date(Date.UTC(2025, 0, 15)),
     isRecurring: false
   });
   
@@ -56,8 +63,8 @@ function testExpandRecurringEvents() {
   const recurringEvent = new Event({
     id: 'recurring',
     title: 'Weekly Meeting',
-    startDate: new Date(2025, 0, 6), // Monday, Jan 6, 2025
-    endDate: new Date(2025, 0, 6),
+    startDate: new Date(Date.UTC(2025, 0, 6)), // Monday, Jan 6, 2025
+    endDate: new Date(Date.UTC(2025, 0, 6)),
     isRecurring: true,
     recurrencePattern: { type: 'weekly' }
   });
@@ -94,8 +101,8 @@ function testWeeklyRecurrence() {
   const weeklyEvent = new Event({
     id: 'weekly',
     title: 'Weekly Meeting',
-    startDate: new Date(2025, 0, 6), // Monday, Jan 6, 2025
-    endDate: new Date(2025, 0, 6),
+    startDate: new Date(Date.UTC(2025, 0, 6)), // Monday, Jan 6, 2025
+    endDate: new Date(Date.UTC(2025, 0, 6)),
     isRecurring: true,
     recurrencePattern: { 
       type: 'weekly',
@@ -111,7 +118,7 @@ function testWeeklyRecurrence() {
   // Verify all instances fall on Monday
   for (const event of result) {
     if (event.isRecurrenceInstance) {
-      const dayOfWeek = event.startDate.getDay();
+      const dayOfWeek = event.startDate.getUTCDay();
       console.assert(dayOfWeek === 1, `All instances should fall on Monday (day 1), got day ${dayOfWeek}`);
     }
   }
@@ -120,8 +127,8 @@ function testWeeklyRecurrence() {
   const biWeeklyEvent = new Event({
     id: 'biweekly',
     title: 'Bi-Weekly Meeting',
-    startDate: new Date(2025, 0, 7), // Tuesday, Jan 7, 2025
-    endDate: new Date(2025, 0, 7),
+    startDate: new Date(Date.UTC(2025, 0, 7)), // Tuesday, Jan 7, 2025
+    endDate: new Date(Date.UTC(2025, 0, 7)),
     isRecurring: true,
     recurrencePattern: { 
       type: 'weekly',
@@ -164,8 +171,8 @@ function testMonthlyRecurrence() {
   const monthlyEvent = new Event({
     id: 'monthly',
     title: 'Monthly Report',
-    startDate: new Date(2025, 0, 15), // Jan 15, 2025
-    endDate: new Date(2025, 0, 15),
+    startDate: new Date(Date.UTC(2025, 0, 15)), // Jan 15, 2025
+    endDate: new Date(Date.UTC(2025, 0, 15)),
     isRecurring: true,
     recurrencePattern: { 
       type: 'monthly',
@@ -181,7 +188,7 @@ function testMonthlyRecurrence() {
   // Verify all instances fall on the 15th
   for (const event of result) {
     if (event.isRecurrenceInstance) {
-      const dayOfMonth = event.startDate.getDate();
+      const dayOfMonth = event.startDate.getUTCDate();
       console.assert(dayOfMonth === 15, `All instances should fall on the 15th, got ${dayOfMonth}`);
     }
   }
@@ -190,8 +197,8 @@ function testMonthlyRecurrence() {
   const biMonthlyEvent = new Event({
     id: 'bimonthly',
     title: 'Bi-Monthly Meeting',
-    startDate: new Date(2025, 0, 20), // Jan 20, 2025
-    endDate: new Date(2025, 0, 20),
+    startDate: new Date(Date.UTC(2025, 0, 20)), // Jan 20, 2025
+    endDate: new Date(Date.UTC(2025, 0, 20)),
     isRecurring: true,
     recurrencePattern: { 
       type: 'monthly',
@@ -208,8 +215,8 @@ function testMonthlyRecurrence() {
   const endOfMonthEvent = new Event({
     id: 'endOfMonth',
     title: 'End of Month',
-    startDate: new Date(2025, 0, 31), // Jan 31, 2025
-    endDate: new Date(2025, 0, 31),
+    startDate: new Date(Date.UTC(2025, 0, 31)), // Jan 31, 2025
+    endDate: new Date(Date.UTC(2025, 0, 31)),
     isRecurring: true,
     recurrencePattern: { 
       type: 'monthly',
@@ -227,7 +234,7 @@ function testMonthlyRecurrence() {
   
   for (const event of endOfMonthResult) {
     if (event.isRecurrenceInstance) {
-      const month = event.startDate.getMonth();
+      const month = event.startDate.getUTCMonth();
       console.assert(!monthsWithout31.includes(month), `Instance should not fall in month ${month}`);
     }
   }
@@ -248,8 +255,8 @@ function testAnnualRecurrence() {
   const annualEvent = new Event({
     id: 'annual',
     title: 'Birthday',
-    startDate: new Date(2000, 5, 15), // June 15, 2000 (birth year)
-    endDate: new Date(2000, 5, 15),
+    startDate: new Date(Date.UTC(2000, 5, 15)), // June 15, 2000 (birth year)
+    endDate: new Date(Date.UTC(2000, 5, 15)),
     isRecurring: true,
     recurrencePattern: { 
       type: 'annual',
@@ -266,9 +273,9 @@ function testAnnualRecurrence() {
   const instance = result.find(e => e.isRecurrenceInstance);
   
   if (instance) {
-    console.assert(instance.startDate.getFullYear() === 2025, 'Instance should be in 2025');
-    console.assert(instance.startDate.getMonth() === 5, 'Instance should be in June');
-    console.assert(instance.startDate.getDate() === 15, 'Instance should be on the 15th');
+    console.assert(instance.startDate.getUTCFullYear() === 2025, 'Instance should be in 2025');
+    console.assert(instance.startDate.getUTCMonth() === 5, 'Instance should be in June');
+    console.assert(instance.startDate.getUTCDate() === 15, 'Instance should be on the 15th');
   } else {
     console.error('No instance found for annual event');
   }
@@ -277,8 +284,8 @@ function testAnnualRecurrence() {
   const biAnnualEvent = new Event({
     id: 'biannual',
     title: 'Every Two Years',
-    startDate: new Date(2023, 3, 10), // Apr 10, 2023
-    endDate: new Date(2023, 3, 10),
+    startDate: new Date(Date.UTC(2023, 3, 10)), // Apr 10, 2023
+    endDate: new Date(Date.UTC(2023, 3, 10)),
     isRecurring: true,
     recurrencePattern: { 
       type: 'annual',
@@ -308,15 +315,15 @@ function testRecurrenceWithExclusions() {
   const weeklyEvent = new Event({
     id: 'weeklyExclusions',
     title: 'Weekly Meeting with Holidays',
-    startDate: new Date(2025, 0, 6), // Monday, Jan 6, 2025
-    endDate: new Date(2025, 0, 6),
+    startDate: new Date(Date.UTC(2025, 0, 6)), // Monday, Jan 6, 2025
+    endDate: new Date(Date.UTC(2025, 0, 6)),
     isRecurring: true,
     recurrencePattern: { 
       type: 'weekly',
       interval: 1,
       exclusions: [
-        new Date(2025, 0, 20).toISOString(), // Skip Jan 20
-        new Date(2025, 1, 17).toISOString()  // Skip Feb 17
+        new Date(Date.UTC(2025, 0, 20)).toISOString(), // Skip Jan 20
+        new Date(Date.UTC(2025, 1, 17)).toISOString()  // Skip Feb 17
       ]
     }
   });
@@ -325,8 +332,8 @@ function testRecurrenceWithExclusions() {
   
   // Verify exclusions are respected
   const excludedDates = [
-    new Date(2025, 0, 20).toDateString(),
-    new Date(2025, 1, 17).toDateString()
+    new Date(Date.UTC(2025, 0, 20)).toDateString(),
+    new Date(Date.UTC(2025, 1, 17)).toDateString()
   ];
   
   for (const event of result) {
@@ -355,8 +362,8 @@ function testRecurrenceEdgeCases() {
   const previousYearEvent = new Event({
     id: 'previousYear',
     title: 'Started Last Year',
-    startDate: new Date(2024, 11, 1), // Dec 1, 2024
-    endDate: new Date(2024, 11, 1),
+    startDate: new Date(Date.UTC(2024, 11, 1)), // Dec 1, 2024
+    endDate: new Date(Date.UTC(2024, 11, 1)),
     isRecurring: true,
     recurrencePattern: { 
       type: 'monthly',
@@ -372,8 +379,8 @@ function testRecurrenceEdgeCases() {
   for (const event of previousYearResult) {
     if (event.isRecurrenceInstance) {
       console.assert(
-        event.startDate.getFullYear() === 2025, 
-        `Instance should be in 2025, got ${event.startDate.getFullYear()}`
+        event.startDate.getUTCFullYear() === 2025, 
+        `Instance should be in 2025, got ${event.startDate.getUTCFullYear()}`
       );
     }
   }
@@ -382,8 +389,8 @@ function testRecurrenceEdgeCases() {
   const leapYearEvent = new Event({
     id: 'leapYear',
     title: 'Leap Day Event',
-    startDate: new Date(2024, 1, 29), // Feb 29, 2024 (leap day)
-    endDate: new Date(2024, 1, 29),
+    startDate: new Date(Date.UTC(2024, 1, 29)), // Feb 29, 2024 (leap day)
+    endDate: new Date(Date.UTC(2024, 1, 29)),
     isRecurring: true,
     recurrencePattern: { 
       type: 'annual',
@@ -397,8 +404,8 @@ function testRecurrenceEdgeCases() {
   const instance = leapYearResult.find(e => e.isRecurrenceInstance);
   
   if (instance) {
-    const month = instance.startDate.getMonth();
-    const day = instance.startDate.getDate();
+    const month = instance.startDate.getUTCMonth();
+    const day = instance.startDate.getUTCDate();
     
     console.assert(
       (month === 1 && day === 28) || (month === 2 && day === 1), 
@@ -410,13 +417,13 @@ function testRecurrenceEdgeCases() {
   const limitedEvent = new Event({
     id: 'limited',
     title: 'Limited Recurrence',
-    startDate: new Date(2025, 0, 1), // Jan 1, 2025
-    endDate: new Date(2025, 0, 1),
+    startDate: new Date(Date.UTC(2025, 0, 1)), // Jan 1, 2025
+    endDate: new Date(Date.UTC(2025, 0, 1)),
     isRecurring: true,
     recurrencePattern: { 
       type: 'weekly',
       interval: 1,
-      endDate: new Date(2025, 2, 31) // Ends March 31, 2025
+      endDate: new Date(Date.UTC(2025, 2, 31)) // Ends March 31, 2025
     }
   });
   
@@ -426,7 +433,7 @@ function testRecurrenceEdgeCases() {
   for (const event of limitedResult) {
     if (event.isRecurrenceInstance) {
       console.assert(
-        event.startDate <= new Date(2025, 2, 31), 
+        event.startDate <= new Date(Date.UTC(2025, 2, 31)), 
         `Instance should not be after end date, got ${event.startDate.toDateString()}`
       );
     }
@@ -435,8 +442,424 @@ function testRecurrenceEdgeCases() {
   console.log('Recurrence edge cases tests completed');
 }
 
-// Run all tests
-runTests();
+/**
+ * Test parsing and serializing RRULE strings
+ */
+function testRRuleParsing() {
+  console.log('Testing RRULE parsing...');
+
+  const rule = RecurrencePattern.parseRRule('RRULE:FREQ=MONTHLY;INTERVAL=2;BYDAY=2TU,-1FR;COUNT=6');
+  console.assert(rule.freq === 'MONTHLY', 'FREQ should be parsed');
+  console.assert(rule.interval === 2, 'INTERVAL should be parsed');
+  console.assert(rule.count === 6, 'COUNT should be parsed');
+  console.assert(rule.byDay.length === 2, 'BYDAY should have two entries');
+  console.assert(rule.byDay[0].weekday === 2 && rule.byDay[0].ordinal === 2, 'First BYDAY should be 2nd Tuesday');
+  console.assert(rule.byDay[1].weekday === 5 && rule.byDay[1].ordinal === -1, 'Second BYDAY should be last Friday');
+
+  // Round trip keeps the rule intact
+  const text = 'FREQ=YEARLY;BYMONTH=3;BYMONTHDAY=-1;UNTIL=20301231';
+  console.assert(
+    RecurrencePattern.serializeRRule(RecurrencePattern.parseRRule(text)) === text,
+    'Serializing a parsed rule should return the same string'
+  );
+
+  const until = RecurrencePattern.parseRRule('FREQ=DAILY;UNTIL=20250315T235959Z').until;
+  console.assert(until.getUTCMonth() === 2 && until.getUTCDate() === 15, 'UNTIL date-time should be parsed to its date');
+
+  // Invalid rules are rejected
+  const invalidRules = ['', 'INTERVAL=2', 'FREQ=HOURLY', 'FREQ=WEEKLY;BYDAY=XX', 'FREQ=DAILY;COUNT=2;UNTIL=20250101'];
+  for (const invalid of invalidRules) {
+    let threw = false;
+    try {
+      RecurrencePattern.parseRRule(invalid);
+    } catch (error) {
+      threw = true;
+    }
+    console.assert(threw, `Parsing "${invalid}" should throw`);
+  }
+
+  // Simple types serialize to equivalent rules
+  const weekly = new RecurrencePattern('weekly', { interval: 2, daysOfWeek: [1, 3], count: 4 });
+  console.assert(
+    weekly.toRRuleString(new Date(Date.UTC(2025, 0, 6))) === 'FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,WE;COUNT=4',
+    'Weekly pattern should serialize to an equivalent RRULE'
+  );
+
+  const custom = RecurrencePattern.fromRRule('rrule:freq=weekly;byday=mo');
+  console.assert(custom.type === 'rrule', 'fromRRule should create an rrule pattern');
+  console.assert(custom.options.rrule === 'FREQ=WEEKLY;BYDAY=MO', 'fromRRule should normalize the rule');
+
+  console.log('RRULE parsing tests completed');
+}
+
+/**
+ * Test expanding RRULE based patterns
+ */
+function testRRuleExpansion() {
+  console.log('Testing RRULE expansion...');
+
+  const year = 2025;
+  const calculator = new RecurrenceCalculator(year);
+  const yearStart = new Date(Date.UTC(year, 0, 1));
+  const yearEnd = new Date(Date.UTC(year, 11, 31));
+  const expand = (text, dtstart) =>
+    calculator.expandRule(RecurrencePattern.parseRRule(text), dtstart, yearStart, yearEnd);
+
+  // Every 2 weeks on Tuesday
+  const sprintReviews = expand('FREQ=WEEKLY;INTERVAL=2;BYDAY=TU', new Date(Date.UTC(2025, 0, 7)));
+  console.assert(sprintReviews.length === 26, `Should have 26 sprint reviews, got ${sprintReviews.length}`);
+  console.assert(
+    sprintReviews.every((date) => date.getUTCDay() === 2),
+    'Sprint reviews should all fall on Tuesday'
+  );
+  console.assert(
+    (sprintReviews[1] - sprintReviews[0]) / (1000 * 60 * 60 * 24) === 14,
+    'Sprint reviews should be 14 days apart'
+  );
+
+  // 2nd Tuesday of every month
+  const boardMeetings = expand('FREQ=MONTHLY;BYDAY=2TU', new Date(Date.UTC(2025, 0, 1)));
+  console.assert(boardMeetings.length === 12, 'Should have one board meeting per month');
+  console.assert(
+    boardMeetings[0].getUTCDate() === 14 && boardMeetings[1].getUTCDate() === 11,
+    'Board meetings should fall on the 2nd Tuesday (Jan 14, Feb 11)'
+  );
+
+  // Last Friday of every month
+  const lastFridays = expand('FREQ=MONTHLY;BYDAY=-1FR', new Date(Date.UTC(2025, 0, 1)));
+  console.assert(lastFridays[0].getUTCDate() === 31, 'Last Friday of January 2025 is the 31st');
+  console.assert(lastFridays[1].getUTCDate() === 28, 'Last Friday of February 2025 is the 28th');
+
+  // Last day of the month
+  const monthEnds = expand('FREQ=MONTHLY;BYMONTHDAY=-1', new Date(Date.UTC(2025, 0, 31)));
+  console.assert(monthEnds.length === 12, 'Should have one month end per month');
+  console.assert(monthEnds[1].getUTCDate() === 28, 'Month end in February 2025 is the 28th');
+
+  // BYMONTH limits a yearly rule to specific months
+  const quarterly = expand('FREQ=YEARLY;BYMONTH=1,4,7,10;BYMONTHDAY=15', new Date(Date.UTC(2025, 0, 15)));
+  console.assert(quarterly.length === 4, 'Should have four quarterly dates');
+  console.assert(quarterly[3].getUTCMonth() === 9, 'Last quarterly date should be in October');
+
+  // COUNT is counted from the start of the series, not from the year
+  const payroll = expand('FREQ=MONTHLY;BYMONTHDAY=25;COUNT=6', new Date(Date.UTC(2024, 9, 25)));
+  console.assert(payroll.length === 3, `Only three payroll dates should remain in 2025, got ${payroll.length}`);
+
+  // UNTIL stops the series
+  const untilDates = expand('FREQ=DAILY;UNTIL=20250110', new Date(Date.UTC(2025, 0, 6)));
+  console.assert(untilDates.length === 5, 'Daily rule should stop at UNTIL');
+
+  // BYSETPOS selects the last weekday of the month
+  const lastWeekdays = expand('FREQ=MONTHLY;BYDAY=MO,TU,WE,TH,FR;BYSETPOS=-1', new Date(Date.UTC(2025, 0, 1)));
+  console.assert(lastWeekdays[4].getUTCDate() === 30, 'Last weekday of May 2025 is Friday the 30th');
+
+  // Rule patterns on events produce instances that keep the event duration
+  const releaseWindow = new Event({
+    id: 'releaseWindow',
+    title: 'Release Window',
+    startDate: new Date(Date.UTC(2025, 0, 6)),
+    endDate: new Date(Date.UTC(2025, 0, 8)),
+    isRecurring: true,
+    recurrencePattern: { type: 'rrule', rrule: 'FREQ=MONTHLY;BYDAY=1MO;COUNT=3' }
+  });
+
+  const instances = calculator.generateRecurrenceInstances(releaseWindow);
+  console.assert(instances.length === 3, 'COUNT=3 should generate three instances');
+  console.assert(instances[1].startDate.getUTCMonth() === 1 && instances[1].startDate.getUTCDate() === 3,
+    'Second instance should start on the first Monday of February');
+  console.assert(instances[1].endDate.getUTCDate() === 5, 'Instance should last three days like the original');
+
+  console.log('RRULE expansion tests completed');
+}
+
+/**
+ * Test that occurrences keep their UTC days in a time zone behind UTC
+ */
+function testTimeZoneBehindUTC() {
+  console.log('Testing a time zone behind UTC...');
+
+  // Node applies a new TZ straight away; a browser stays in its own zone
+  if (typeof process === 'undefined') {
+    console.log('Time zone tests skipped outside Node');
+    return;
+  }
+
+  const timeZone = process.env.TZ;
+  process.env.TZ = 'America/New_York';
+
+  try {
+    const calculator = new RecurrenceCalculator(2025);
+    const expand = (text, dtstart) =>
+      calculator
+        .expandRule(RecurrencePattern.parseRRule(text), dtstart, calculator.yearStart, calculator.yearEnd)
+        .map((date) => date.toISOString());
+
+    const tuesdays = expand('FREQ=WEEKLY;BYDAY=TU;COUNT=3', new Date(Date.UTC(2025, 5, 3)));
+    console.assert(
+      tuesdays.join() === '2025-06-03T00:00:00.000Z,2025-06-10T00:00:00.000Z,2025-06-17T00:00:00.000Z',
+      `Weekly occurrences should fall on Tuesdays at UTC midnight, got ${tuesdays.join()}`
+    );
+
+    const secondTuesdays = expand('FREQ=MONTHLY;BYDAY=2TU;COUNT=2', new Date(Date.UTC(2025, 0, 1)));
+    console.assert(
+      secondTuesdays.join() === '2025-01-14T00:00:00.000Z,2025-02-11T00:00:00.000Z',
+      `2nd Tuesdays should be Jan 14 and Feb 11, got ${secondTuesdays.join()}`
+    );
+
+    const lastFridays = expand('FREQ=MONTHLY;BYDAY=-1FR;COUNT=2', new Date(Date.UTC(2025, 0, 1)));
+    console.assert(
+      lastFridays.join() === '2025-01-31T00:00:00.000Z,2025-02-28T00:00:00.000Z',
+      `Last Fridays should be Jan 31 and Feb 28, got ${lastFridays.join()}`
+    );
+
+    const thirtyFirsts = expand('FREQ=MONTHLY;BYMONTHDAY=31;COUNT=3', new Date(Date.UTC(2025, 0, 31)));
+    console.assert(
+      thirtyFirsts.join() === '2025-01-31T00:00:00.000Z,2025-03-31T00:00:00.000Z,2025-05-31T00:00:00.000Z',
+      `Only months with a 31st should match, got ${thirtyFirsts.join()}`
+    );
+
+    // A series that starts before the clocks change keeps UTC midnight after it
+    const standup = new Event({
+      id: 'standup',
+      title: 'Standup',
+      startDate: new Date(Date.UTC(2025, 2, 4)),
+      endDate: new Date(Date.UTC(2025, 2, 5)),
+      isRecurring: true,
+      recurrencePattern: { type: 'weekly', count: 3, exclusions: ['2025-03-11'] },
+    });
+    const instances = calculator.generateRecurrenceInstances(standup);
+    console.assert(
+      instances.map((instance) => instance.recurrenceId).join() === '2025-03-04,2025-03-18',
+      `Occurrence keys should be UTC days, got ${instances.map((instance) => instance.recurrenceId).join()}`
+    );
+    console.assert(
+      instances[1].startDate.toISOString() === '2025-03-18T00:00:00.000Z' &&
+        instances[1].endDate.toISOString() === '2025-03-19T00:00:00.000Z',
+      `Occurrences after the clock change should stay at UTC midnight, got ${instances[1].startDate.toISOString()}`
+    );
+  } finally {
+    if (timeZone === undefined) {
+      delete process.env.TZ;
+    } else {
+      process.env.TZ = timeZone;
+    }
+  }
+
+  console.log('Time zone behind UTC tests completed');
+}
+
+/**
+ * Test per-occurrence overrides and exclusions
+ */
+function testRecurrenceOverrides() {
+  console.log('Testing recurrence overrides...');
+
+  const year = 2025;
+  const calculator = new RecurrenceCalculator(year);
+
+  const standup = new Event({
+    id: 'standup',
+    title: 'Standup',
+    startDate: new Date(Date.UTC(2025, 0, 6)), // Monday
+    endDate: new Date(Date.UTC(2025, 0, 6)),
+    isRecurring: true,
+    recurrencePattern: { type: 'weekly', interval: 1 }
+  });
+
+  // Skip one occurrence and rename another
+  let pattern = calculator.excludeOccurrence(standup, '2025-01-20');
+  console.assert(pattern.exclusions.includes('2025-01-20'), 'Exclusion should be stored as a date key');
+
+  const withExclusion = new Event({ ...standup, recurrencePattern: pattern });
+  pattern = calculator.overrideOccurrence(withExclusion, '2025-01-27', {
+    title: 'Standup (retro)',
+    startDate: new Date(Date.UTC(2025, 0, 27)),
+    endDate: new Date(Date.UTC(2025, 0, 27))
+  });
+  const renamed = pattern.overrides.find((override) => override.recurrenceId === '2025-01-27');
+  console.assert(renamed.title === 'Standup (retro)', 'Override should store the changed title');
+  console.assert(renamed.startDate === undefined, 'Override should not store unchanged dates');
+
+  // Move one occurrence to Tuesday
+  const withRename = new Event({ ...standup, recurrencePattern: pattern });
+  pattern = calculator.overrideOccurrence(withRename, '2025-02-03', {
+    startDate: new Date(Date.UTC(2025, 1, 4)),
+    endDate: new Date(Date.UTC(2025, 1, 4))
+  });
+
+  const instances = calculator.generateRecurrenceInstances(new Event({ ...standup, recurrencePattern: pattern }));
+  const byId = new Map(instances.map((instance) => [instance.recurrenceId, instance]));
+
+  console.assert(!byId.has('2025-01-20'), 'Excluded occurrence should not be generated');
+  console.assert(byId.get('2025-01-27').title === 'Standup (retro)', 'Overridden title should be applied');
+  console.assert(byId.get('2025-01-27').isOverridden === true, 'Overridden instance should be flagged');
+  console.assert(byId.get('2025-02-03').startDate.getUTCDate() === 4, 'Moved occurrence should start on its new date');
+  console.assert(byId.get('2025-02-10').title === 'Standup', 'Other occurrences should be unchanged');
+
+  // Excluding an occurrence drops its override
+  pattern = calculator.excludeOccurrence(new Event({ ...standup, recurrencePattern: pattern }), '2025-01-27');
+  console.assert(
+    !pattern.overrides.some((override) => override.recurrenceId === '2025-01-27'),
+    'Excluding an overridden occurrence should remove the override'
+  );
+
+  // An occurrence moved from the previous year into this one is still shown
+  const yearEndMeeting = new Event({
+    id: 'yearEnd',
+    title: 'Year End',
+    startDate: new Date(Date.UTC(2024, 11, 31)),
+    endDate: new Date(Date.UTC(2024, 11, 31)),
+    isRecurring: true,
+    recurrencePattern: {
+      type: 'annual',
+      overrides: [{
+        recurrenceId: '2024-12-31',
+        startDate: new Date(Date.UTC(2025, 0, 2)).toISOString(),
+        endDate: new Date(Date.UTC(2025, 0, 2)).toISOString()
+      }]
+    }
+  });
+
+  const moved = calculator.generateRecurrenceInstances(yearEndMeeting);
+  console.assert(moved.length === 2, `Moved occurrence and the regular one should be shown, got ${moved.length}`);
+  console.assert(
+    moved.some((instance) => instance.recurrenceId === '2024-12-31' && instance.startDate.getUTCDate() === 2),
+    'Occurrence moved into the year should be generated'
+  );
+
+  console.log('Recurrence overrides tests completed');
+}
+
+/**
+ * Test splitting a series for "this and following" edits
+ */
+function testSplitSeries() {
+  console.log('Testing series splitting...');
+
+  const year = 2025;
+  const calculator = new RecurrenceCalculator(year);
+
+  const review = new Event({
+    id: 'review',
+    title: 'Review',
+    startDate: new Date(Date.UTC(2025, 0, 6)),
+    endDate: new Date(Date.UTC(2025, 0, 6)),
+    isRecurring: true,
+    recurrencePattern: {
+      type: 'weekly',
+      exclusions: ['2025-01-13', '2025-02-10'],
+      overrides: [{ recurrenceId: '2025-02-17', title: 'Review (moved)' }]
+    }
+  });
+
+  const split = calculator.splitSeries(review, '2025-02-03');
+  console.assert(split.occurrencesBefore === 4, `Four occurrences precede the split, got ${split.occurrencesBefore}`);
+  console.assert(split.pattern.endDate === '2025-02-02', 'Original series should end the day before the split');
+  console.assert(
+    split.pattern.exclusions.length === 1 && split.followingPattern.exclusions.length === 1,
+    'Exclusions should be divided between the two series'
+  );
+  console.assert(split.followingPattern.overrides.length === 1, 'Later overrides should move to the new series');
+  console.assert(split.followingPattern.endDate === undefined, 'New series should not inherit the new end date');
+
+  // COUNT is shared between both halves
+  const payroll = new Event({
+    id: 'payroll',
+    title: 'Payroll',
+    startDate: new Date(Date.UTC(2025, 0, 25)),
+    endDate: new Date(Date.UTC(2025, 0, 25)),
+    isRecurring: true,
+    recurrencePattern: { type: 'rrule', rrule: 'FREQ=MONTHLY;COUNT=6' }
+  });
+
+  const countSplit = calculator.splitSeries(payroll, '2025-03-25');
+  console.assert(countSplit.pattern.rrule === 'FREQ=MONTHLY;COUNT=2', 'Original series should keep two occurrences');
+  console.assert(countSplit.followingPattern.rrule === 'FREQ=MONTHLY;COUNT=4', 'New series should get the remaining four');
+
+  console.log('Series splitting tests completed');
+}
+
+/**
+ * Test moving a whole series by a number of days
+ */
+function testShiftSeries() {
+  console.log('Testing series shifting...');
+
+  const calculator = new RecurrenceCalculator(2025);
+
+  const standup = new Event({
+    id: 'standup',
+    title: 'Standup',
+    startDate: new Date(Date.UTC(2025, 0, 6)),
+    endDate: new Date(Date.UTC(2025, 0, 6)),
+    isRecurring: true,
+    recurrencePattern: {
+      type: 'weekly',
+      daysOfWeek: [1, 3],
+      endDate: '2025-03-31',
+      exclusions: ['2025-01-13'],
+      overrides: [{ recurrenceId: '2025-01-15', title: 'Standup (demo)' }]
+    }
+  });
+
+  const pattern = calculator.shiftSeries(standup, 1);
+  console.assert(pattern.daysOfWeek.join() === '2,4', `Weekdays should move to Tue/Thu, got ${pattern.daysOfWeek}`);
+  console.assert(pattern.endDate === '2025-04-01', `End date should move by a day, got ${pattern.endDate}`);
+  console.assert(pattern.exclusions[0] === '2025-01-14', 'Skipped occurrence should move with the series');
+  console.assert(pattern.overrides[0].recurrenceId === '2025-01-16', 'Changed occurrence should move with the series');
+  console.assert(pattern.overrides[0].title === 'Standup (demo)', 'Changed occurrence should keep its changes');
+
+  // Weekdays wrap around the end of the week
+  const back = calculator.shiftSeries(standup, -2);
+  console.assert(back.daysOfWeek.join() === '1,6', `Weekdays should move to Sat/Mon, got ${back.daysOfWeek}`);
+
+  // Weekdays and end of an RRULE move too
+  const sync = new Event({
+    id: 'sync',
+    title: 'Sync',
+    startDate: new Date(Date.UTC(2025, 0, 7)),
+    endDate: new Date(Date.UTC(2025, 0, 7)),
+    isRecurring: true,
+    recurrencePattern: { type: 'rrule', rrule: 'FREQ=WEEKLY;BYDAY=TU;UNTIL=20250630' }
+  });
+  const syncPattern = calculator.shiftSeries(sync, 7 + 1);
+  console.assert(
+    syncPattern.rrule === 'FREQ=WEEKLY;BYDAY=WE;UNTIL=20250708',
+    `Rule weekday and end should move, got ${syncPattern.rrule}`
+  );
+
+  console.log('Series shifting tests completed');
+}
+
+/**
+ * Test expanding a series into a planner year that doesn't start in January
+ */
+function testFiscalYear() {
+  console.log('Testing fiscal year expansion...');
+
+  // April 2025 to March 2026
+  const calculator = new RecurrenceCalculator(2025, 3);
+  const monthly = new Event({
+    id: 'close',
+    title: 'Month-end close',
+    startDate: new Date(Date.UTC(2025, 0, 28)),
+    endDate: new Date(Date.UTC(2025, 0, 28)),
+    isRecurring: true,
+    recurrencePattern: { type: 'monthly', interval: 1 },
+  });
+
+  const instances = calculator.expandRecurringEvents([monthly]);
+  const months = instances.map(e => `${e.startDate.getUTCFullYear()}-${e.startDate.getUTCMonth()}`);
+  console.assert(instances.length === 12, `Should generate 12 instances in the fiscal year, got ${instances.length}`);
+  console.assert(months[0] === '2025-3', `First instance should be in April 2025, got ${months[0]}`);
+  console.assert(months[11] === '2026-2', `Last instance should be in March 2026, got ${months[11]}`);
+
+  // Changing the start month discards instances cached for the old window
+  calculator.setYear(2025, 0);
+  const calendarYear = calculator.expandRecurringEvents([monthly]);
+  console.assert(calendarYear.length === 12 && calendarYear[0].startDate.getUTCMonth() === 0, 'Calendar year should start with January');
+
+  console.log('Fiscal year expansion tests completed');
+}
 
 // Export for browser environment
 if (typeof window !== 'undefined') {
@@ -0,0 +1,444 @@
+/**
+ * RemoteStorageAdapter.js - Planner server backend for Year Planner
+ *
+ * Keeps events, categories and calendars on the planner server started with
+ * `node js/serve.js`, so a team can share one planner. The server gives every
+ * event and setting an ETag; writes send the ETag last read with If-Match,
+ * and the server refuses them (412) when someone else changed the data in
+ * between, which is reported as a ConflictError instead of overwriting their
+ * change. The undo history and display preferences belong to the person, not
+ * the planner, so they stay in this browser.
+ */
+
+import { HISTORY, PREFERENCES, REMOTE_STORAGE, STORAGE } from '../config.js';
+import { StorageAdapter } from './StorageAdapter.js';
+
+/** Settings kept in this browser rather than shared on the server */
+const PERSONAL_SETTINGS = [HISTORY.STORAGE_KEY, PREFERENCES.STORAGE_KEY];
+
+/**
+ * Error thrown when a write is refused because someone else changed the data
+ * on the server since it was loaded
+ */
+export class ConflictError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ConflictError';
+  }
+}
+
+export class RemoteStorageAdapter extends StorageAdapter {
+  /**
+   * @param {string} [apiUrl=REMOTE_STORAGE.API_URL] - URL of the planner API
+   */
+  constructor(apiUrl = REMOTE_STORAGE.API_URL) {
+    super();
+    this.apiUrl = apiUrl;
+    // ETag and storage year of every event read or written, by ID
+    this.eventVersions = new Map();
+    // ETag of every shared setting read or written, by key
+    this.settingEtags = new Map();
+  }
+
+  /**
+   * Check that the planner server answers
+   * @returns {Promise<RemoteStorageAdapter>} Promise resolving to this adapter
+   */
+  async open() {
+    try {
+      await this.getStoredYears();
+      return this;
+    } catch (error) {
+      console.error('Error connecting to the planner server:', error);
+      throw new Error(
+        `Failed to connect to the planner server: ${error.message}`,
+      );
+    }
+  }
+
+  /**
+   * Load every event that overlaps a specific year
+   * @param {number} year - The year to load events for
+   * @returns {Promise<Array>} Promise resolving to an array of events
+   */
+  async loadEvents(year) {
+    try {
+      const response = await this._request('GET', `/years/${year}/events`);
+      const { events, etags } = await response.json();
+
+      events.forEach((record) => {
+        this.eventVersions.set(record.id, { etag: etags[record.id], year });
+      });
+      return events.map((record) => this.reviveEvent(record));
+    } catch (error) {
+      console.error(`Error loading events for year ${year}:`, error);
+      throw new Error(
+        `Failed to load events for year ${year}: ${error.message}`,
+      );
+    }
+  }
+
+  /**
+   * Save an event. An event loaded from the server is only saved if nobody
+   * changed it since.
+   * @param {Object} event - The event to save
+   * @returns {Promise<boolean>}
+   * @throws {ConflictError} If someone else changed the event
+   */
+  async saveEvent(event) {
+    try {
+      const record = this.serializeEvent(event);
+      const year = new Date(record.startDate).getUTCFullYear();
+      const previous = this.eventVersions.get(record.id);
+
+      const response = await this._request(
+        'PUT',
+        this._eventPath(year, record.id),
+        {
+          body: record,
+          headers: previous ? { 'If-Match': previous.etag } : {},
+          conflict: 'The event was changed by someone else since it was loaded',
+        },
+      );
+      this.eventVersions.set(record.id, {
+        etag: response.headers.get('ETag'),
+        year,
+      });
+
+      // The event may have moved out of the year it was loaded from
+      const years = new Set(this.getEventYears(event));
+      if (previous) {
+        years.add(previous.year);
+      }
+      this.notifyChange({ eventIds: [record.id], years: [...years] });
+      return true;
+    } catch (error) {
+      if (error instanceof ConflictError) throw error;
+      console.error('Error saving event:', error);
+      throw new Error(`Failed to save event: ${error.message}`);
+    }
+  }
+
+  /**
+   * Delete an event, unless someone else changed it since it was loaded
+   * @param {string} eventId - ID of the event to delete
+   * @returns {Promise<boolean>} Promise resolving to true if deleted, false if not found
+   * @throws {ConflictError} If someone else changed the event
+   */
+  async deleteEvent(eventId) {
+    // The server finds events through a year they overlap
+    const version = this.eventVersions.get(eventId);
+    if (!version) {
+      return false;
+    }
+
+    try {
+      const response = await this._request(
+        'DELETE',
+        this._eventPath(version.year, eventId),
+        {
+          headers: { 'If-Match': version.etag },
+          conflict: 'The event was changed by someone else since it was loaded',
+          allowNotFound: true,
+        },
+      );
+      this.eventVersions.delete(eventId);
+
+      if (response.status === 404) {
+        return false;
+      }
+      this.notifyChange({ deletedIds: [eventId], years: [version.year] });
+      return true;
+    } catch (error) {
+      if (error instanceof ConflictError) throw error;
+      console.error(`Error deleting event ${eventId}:`, error);
+      throw new Error(`Failed to delete event: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get a list of years that have stored events
+   * @returns {Promise<Array<number>>} Promise resolving to an array of years
+   */
+  async getStoredYears() {
+    try {
+      const response = await this._request('GET', '/years');
+      return await response.json();
+    } catch (error) {
+      console.error('Error reading stored years:', error);
+      throw new Error(`Failed to read stored years: ${error.message}`);
+    }
+  }
+
+  /**
+   * Replace every stored event of a year with the given events
+   * @param {number} year - The year to replace
+   * @param {Array} events - Events to store for the year
+   * @returns {Promise<boolean>}
+   */
+  async replaceYear(year, events) {
+    try {
+      return await this.replaceYears(new Map([[year, events]]));
+    } catch (error) {
+      console.error(`Error replacing events for year ${year}:`, error);
+      throw new Error(
+        `Failed to replace events for year ${year}: ${error.message}`,
+      );
+    }
+  }
+
+  /**
+   * Replace the stored events of several years in one request, which the
+   * server applies all at once
+   * @param {Map<number, Array>} eventsByYear - Events to store for each year
+   * @returns {Promise<boolean>}
+   */
+  async replaceYears(eventsByYear) {
+    try {
+      const body = {};
+      eventsByYear.forEach((events, year) => {
+        body[year] = events.map((event) => this.serializeEvent(event));
+      });
+
+      await this._request('PUT', '/years', { body });
+
+      // The new ETags are read when the years are next loaded
+      this.eventVersions.forEach((version, id) => {
+        if (eventsByYear.has(version.year)) {
+          this.eventVersions.delete(id);
+        }
+      });
+      Object.values(body).forEach((events) => {
+        events.forEach((event) => this.eventVersions.delete(event.id));
+      });
+
+      this.notifyChange({ years: [...eventsByYear.keys()] });
+      return true;
+    } catch (error) {
+      console.error('Error replacing events:', error);
+      throw new Error(`Failed to replace events: ${error.message}`);
+    }
+  }
+
+  /**
+   * Load the user-defined categories
+   * @returns {Promise<Array|null>} Promise resolving to the stored categories,
+   *   or null if nobody has saved any
+   */
+  async loadCategories() {
+    try {
+      return await this.loadSetting(STORAGE.CATEGORIES_KEY);
+    } catch (error) {
+      console.error('Error loading categories:', error);
+      throw new Error(`Failed to load categories: ${error.message}`);
+    }
+  }
+
+  /**
+   * Save the user-defined categories, unless someone else changed them since
+   * they were loaded
+   * @param {Array} categories - Categories to store
+   * @returns {Promise<boolean>}
+   * @throws {ConflictError} If someone else changed the categories
+   */
+  async saveCategories(categories) {
+    try {
+      return await this.saveSetting(STORAGE.CATEGORIES_KEY, categories);
+    } catch (error) {
+      if (error instanceof ConflictError) throw error;
+      console.error('Error saving categories:', error);
+      throw new Error(`Failed to save categories: ${error.message}`);
+    }
+  }
+
+  /**
+   * Load the calendars events are grouped into
+   * @returns {Promise<Array|null>} Promise resolving to the stored calendars,
+   *   or null if nobody has saved any
+   */
+  async loadCalendars() {
+    try {
+      return await this.loadSetting(STORAGE.CALENDARS_KEY);
+    } catch (error) {
+      console.error('Error loading calendars:', error);
+      throw new Error(`Failed to load calendars: ${error.message}`);
+    }
+  }
+
+  /**
+   * Save the calendars, unless someone else changed them since they were
+   * loaded
+   * @param {Array} calendars - Calendars to store
+   * @returns {Promise<boolean>}
+   * @throws {ConflictError} If someone else changed the calendars
+   */
+  async saveCalendars(calendars) {
+    try {
+      return await this.saveSetting(STORAGE.CALENDARS_KEY, calendars);
+    } catch (error) {
+      if (error instanceof ConflictError) throw error;
+      console.error('Error saving calendars:', error);
+      throw new Error(`Failed to save calendars: ${error.message}`);
+    }
+  }
+
+  /**
+   * Load an application setting
+   * @param {string} key - Setting key
+   * @returns {Promise<*>} Promise resolving to the stored value, or null if unset
+   */
+  async loadSetting(key) {
+    try {
+      if (PERSONAL_SETTINGS.includes(key)) {
+        const data = localStorage.getItem(this._personalKey(key));
+        return data ? JSON.parse(data) : null;
+      }
+
+      const response = await this._request('GET', this._settingPath(key), {
+        allowNotFound: true,
+      });
+      if (response.status === 404) {
+        this.settingEtags.delete(key);
+        return null;
+      }
+      this.settingEtags.set(key, response.headers.get('ETag'));
+      return await response.json();
+    } catch (error) {
+      console.error(`Error loading setting ${key}:`, error);
+      throw new Error(`Failed to load setting ${key}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Save an application setting. A shared setting loaded from the server is
+   * only saved if nobody changed it since.
+   * @param {string} key - Setting key
+   * @param {*} value - JSON-serializable value to store
+   * @returns {Promise<boolean>}
+   * @throws {ConflictError} If someone else changed the setting
+   */
+  async saveSetting(key, value) {
+    try {
+      if (PERSONAL_SETTINGS.includes(key)) {
+        localStorage.setItem(this._personalKey(key), JSON.stringify(value));
+      } else {
+        const etag = this.settingEtags.get(key);
+        const response = await this._request('PUT', this._settingPath(key), {
+          body: value,
+          headers: etag ? { 'If-Match': etag } : {},
+          conflict: `The ${key} were changed by someone else since they were loaded`,
+        });
+        this.settingEtags.set(key, response.headers.get('ETag'));
+      }
+
+      this.notifyChange({ settings: [key] });
+      return true;
+    } catch (error) {
+      if (error instanceof ConflictError) throw error;
+      console.error(`Error saving setting ${key}:`, error);
+      throw new Error(`Failed to save setting ${key}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Clear all data on the server, and this browser's personal settings
+   * @returns {Promise<boolean>}
+   */
+  async clearAllData() {
+    try {
+      await this._request('DELETE', '/data');
+      PERSONAL_SETTINGS.forEach((key) =>
+        localStorage.removeItem(this._personalKey(key)),
+      );
+      this.eventVersions.clear();
+      this.settingEtags.clear();
+
+      this.notifyChange({ all: true });
+      return true;
+    } catch (error) {
+      console.error('Error clearing data:', error);
+      throw new Error(`Failed to clear data: ${error.message}`);
+    }
+  }
+
+  /**
+   * Send a request to the planner API
+   * @param {string} method - HTTP method
+   * @param {string} path - Path below the API URL
+   * @param {Object} [options] - Request options
+   * @param {*} [options.body] - Value sent as JSON
+   * @param {Object} [options.headers] - Extra request headers
+   * @param {string} [options.conflict] - Message of the ConflictError thrown
+   *   when the server answers 412 Precondition Failed
+   * @param {boolean} [options.allowNotFound=false] - Return 404 responses
+   *   instead of throwing
+   * @returns {Promise<Response>} The successful response
+   * @throws {ConflictError} When the server refuses a conditional write
+   * @private
+   */
+  async _request(
+    method,
+    path,
+    { body, headers = {}, conflict, allowNotFound = false } = {},
+  ) {
+    const response = await fetch(`${this.apiUrl}${path}`, {
+      method,
+      cache: 'no-store',
+      headers:
+        body === undefined
+          ? headers
+          : { 'Content-Type': 'application/json', ...headers },
+      body: body === undefined ? undefined : JSON.stringify(body),
+    });
+
+    if (response.status === 412 && conflict) {
+      throw new ConflictError(conflict);
+    }
+    if (response.ok || (allowNotFound && response.status === 404)) {
+      return response;
+    }
+
+    let message = `${response.status} ${response.statusText}`;
+    try {
+      const { error } = await response.json();
+      if (error) {
+        message = error;
+      }
+    } catch (parseError) {
+      // Keep the status as the message
+    }
+    throw new Error(message);
+  }
+
+  /**
+   * Get the API path of an event
+   * @param {number} year - A year the event overlaps
+   * @param {string} eventId - Event ID
+   * @returns {string} Path below the API URL
+   * @private
+   */
+  _eventPath(year, eventId) {
+    return `/years/${year}/events/${encodeURIComponent(eventId)}`;
+  }
+
+  /**
+   * Get the API path of a shared setting
+   * @param {string} key - Setting key
+   * @returns {string} Path below the API URL
+   * @private
+   */
+  _settingPath(key) {
+    return `/settings/${encodeURIComponent(key)}`;
+  }
+
+  /**
+   * Get the localStorage key of a personal setting, apart from the keys the
+   * localStorage backend uses for the same settings
+   * @param {string} key - Setting key
+   * @returns {string} localStorage key
+   * @private
+   */
+  _personalKey(key) {
+    return `${this.storagePrefix}server_${key}`;
+  }
+}
@@ -0,0 +1,213 @@
+/**
+ * RemoteStorageAdapter.test.js - Tests for the planner server backend
+ *
+ * A stubbed fetch stands in for the planner server: it keeps events by ID
+ * with a version number as their ETag and refuses writes whose If-Match is
+ * out of date, like js/server/PlannerStore.js.
+ */
+
+import { ConflictError, RemoteStorageAdapter } from './RemoteStorageAdapter.js';
+
+const API_URL = 'http://planner.test/api';
+
+/**
+ * Create a planner server answering a stubbed fetch
+ * @returns {{fetch: Function, requests: Array<Object>, records: Map, touch: Function}}
+ */
+function createServer() {
+  const records = new Map();
+  const requests = [];
+  let version = 0;
+
+  const reply = (status, body, etag) =>
+    new Response(body === undefined ? null : JSON.stringify(body), {
+      status,
+      headers: etag ? { ETag: etag } : {},
+    });
+
+  const store = (record) => {
+    version += 1;
+    records.set(record.id, { record, etag: `"${version}"` });
+    return records.get(record.id).etag;
+  };
+
+  const fetch = async (url, { method, headers = {}, body }) => {
+    const path = url.slice(API_URL.length);
+    requests.push({ method, path, headers });
+
+    const yearEvents = path.match(/^\/years\/(\d+)\/events$/);
+    if (method === 'GET' && yearEvents) {
+      const year = Number(yearEvents[1]);
+      const found = [...records.values()].filter(
+        ({ record }) => new Date(record.startDate).getUTCFullYear() === year,
+      );
+      return reply(200, {
+        events: found.map(({ record }) => record),
+        etags: Object.fromEntries(found.map(({ record, etag }) => [record.id, etag])),
+      });
+    }
+
+    const event = path.match(/^\/years\/\d+\/events\/(.+)$/);
+    if (event) {
+      const current = records.get(decodeURIComponent(event[1]));
+      const ifMatch = headers['If-Match'];
+      if (method === 'DELETE' && !current) {
+        return reply(404, { error: 'Not Found' });
+      }
+      if (ifMatch && (!current || current.etag !== ifMatch)) {
+        return reply(412, { error: 'Changed since it was loaded' });
+      }
+      if (method === 'PUT') {
+        return reply(200, {}, store(JSON.parse(body)));
+      }
+      if (method === 'DELETE') {
+        records.delete(decodeURIComponent(event[1]));
+        return reply(204);
+      }
+    }
+
+    return reply(404, { error: 'Not Found' });
+  };
+
+  return { fetch, requests, records, touch: (id) => store({ ...records.get(id).record }) };
+}
+
+/**
+ * Create an event
+ * @param {string} id - Event ID
+ * @param {string} start - First day, YYYY-MM-DD
+ * @returns {Object}
+ */
+function createEvent(id, start) {
+  return {
+    id,
+    title: id,
+    startDate: new Date(`${start}T00:00:00.000Z`),
+    endDate: new Date(`${start}T00:00:00.000Z`),
+  };
+}
+
+/**
+ * Create an adapter talking to a new stubbed server
+ * @returns {{adapter: RemoteStorageAdapter, server: Object}}
+ */
+function createAdapter() {
+  const server = createServer();
+  globalThis.fetch = server.fetch;
+  return { adapter: new RemoteStorageAdapter(API_URL), server };
+}
+
+/**
+ * Check that a promise is rejected with a ConflictError
+ * @param {Promise} promise - The promise to check
+ * @returns {Promise<boolean>}
+ */
+async function rejectsWithConflict(promise) {
+  try {
+    await promise;
+    return false;
+  } catch (error) {
+    return error instanceof ConflictError;
+  }
+}
+
+/**
+ * Run tests and log results
+ */
+async function runTests() {
+  console.log('=== Running RemoteStorageAdapter tests ===');
+
+  const browserFetch = globalThis.fetch;
+  try {
+    await testIfMatch();
+    await testConflict();
+    await testDeleteEvent();
+  } finally {
+    globalThis.fetch = browserFetch;
+  }
+
+  console.log('=== All RemoteStorageAdapter tests completed ===');
+}
+
+/**
+ * Test that saves send the ETag last read or written with If-Match
+ */
+async function testIfMatch() {
+  console.log('Testing If-Match on saves...');
+
+  const { adapter, server } = createAdapter();
+  await adapter.saveEvent(createEvent('new', '2025-03-10'));
+  const create = server.requests.pop();
+  console.assert(create.method === 'PUT' && create.path === '/years/2025/events/new', `A save should PUT the event, got ${create.method} ${create.path}`);
+  console.assert(create.headers['If-Match'] === undefined, 'A new event should be saved without If-Match');
+
+  const loaded = new RemoteStorageAdapter(API_URL);
+  const [event] = await loaded.loadEvents(2025);
+  console.assert(event.startDate instanceof Date, 'Loaded events should have Date fields');
+
+  await loaded.saveEvent({ ...event, title: 'Renamed' });
+  const update = server.requests.pop();
+  console.assert(update.headers['If-Match'] === '"1"', `The ETag read with the event should be sent, got ${update.headers['If-Match']}`);
+
+  await loaded.saveEvent({ ...event, title: 'Renamed again' });
+  const again = server.requests.pop();
+  console.assert(again.headers['If-Match'] === '"2"', `The ETag of the last save should be sent, got ${again.headers['If-Match']}`);
+  console.assert(server.records.get('new').record.title === 'Renamed again', 'The server should have the latest save');
+
+  console.log('If-Match on saves tests completed');
+}
+
+/**
+ * Test that writes refused with 412 throw a ConflictError
+ */
+async function testConflict() {
+  console.log('Testing conflicts...');
+
+  const { adapter, server } = createAdapter();
+  await adapter.saveEvent(createEvent('shared', '2025-05-01'));
+  const [event] = await adapter.loadEvents(2025);
+
+  // Someone else saves the event in between
+  server.touch('shared');
+
+  console.assert(await rejectsWithConflict(adapter.saveEvent({ ...event, title: 'Mine' })), 'Saving an event changed elsewhere should throw a ConflictError');
+  console.assert(server.records.get('shared').record.title === 'shared', 'The other change should not be overwritten');
+  console.assert(await rejectsWithConflict(adapter.deleteEvent('shared')), 'Deleting an event changed elsewhere should throw a ConflictError');
+  console.assert(server.records.has('shared'), 'The event changed elsewhere should not be deleted');
+
+  await adapter.loadEvents(2025);
+  console.assert(await adapter.deleteEvent('shared'), 'The event should be deleted once reloaded');
+
+  console.log('Conflict tests completed');
+}
+
+/**
+ * Test deleting events
+ */
+async function testDeleteEvent() {
+  console.log('Testing deleting events...');
+
+  const { adapter, server } = createAdapter();
+  await adapter.saveEvent(createEvent('kept', '2025-07-01'));
+
+  const other = new RemoteStorageAdapter(API_URL);
+  server.requests.length = 0;
+  console.assert(await other.deleteEvent('kept') === false, 'An event not loaded in this session should not be deleted');
+  console.assert(server.requests.length === 0, 'No request should be sent for an event not loaded');
+  console.assert(server.records.has('kept'), 'The event should still be on the server');
+
+  console.assert(await adapter.deleteEvent('kept') === true, 'A loaded event should be deleted');
+  const request = server.requests.pop();
+  console.assert(request.method === 'DELETE' && request.headers['If-Match'] === '"1"', 'The delete should send the ETag with If-Match');
+  console.assert(!server.records.has('kept'), 'The event should be gone from the server');
+  console.assert(await adapter.deleteEvent('kept') === false, 'Deleting an event twice should do nothing');
+
+  console.log('Deleting events tests completed');
+}
+
+// Export for browser environment
+if (typeof window !== 'undefined') {
+  window.runRemoteStorageAdapterTests = runTests;
+}
+
+export { runTests };
@@ -0,0 +1,112 @@
+/**
+ * SchemaMigrations.js - Upgrades events stored or exported by earlier
+ * versions of the planner
+ *
+ * Every event record carries the version of the format it follows in
+ * `schemaVersion`, and export files carry one for the records in them;
+ * data without a version is version 1. Each migration upgrades a record of
+ * one version to the next, so data of any earlier version is brought up to
+ * date step by step when it is loaded or imported.
+ *
+ * Migrations only touch the fields they are about. Fields they don't know,
+ * such as those added by a newer version of the planner, are kept, and
+ * records of a newer version are left as they are.
+ */
+
+import { DEFAULT_CALENDAR_ID, SCHEMA } from '../config.js';
+
+/**
+ * Migrations by the version they upgrade from. Each gets a copy of a record
+ * of that version and returns the record in the next version's format.
+ */
+export const MIGRATIONS = new Map([
+  // Version 1 events could be saved before categories, calendars, assignees
+  // and save times existed
+  [
+    1,
+    (record) => ({
+      ...record,
+      description: record.description || '',
+      categoryId: record.categoryId || null,
+      calendarId: record.calendarId || DEFAULT_CALENDAR_ID,
+      assignee: record.assignee || null,
+      updatedAt: record.updatedAt || null,
+    }),
+  ],
+]);
+
+/**
+ * Upgrade an event record to the current schema
+ *
+ * @param {Object} record - Stored or imported event record
+ * @param {Object} [options] - Migration options
+ * @param {number} [options.version=1] - Version of a record that doesn't
+ *   carry one, e.g. the version of its export file
+ * @param {Map<number, Function>} [options.migrations=MIGRATIONS] - Migrations by the version they upgrade from
+ * @param {number} [options.latest=SCHEMA.VERSION] - Version to upgrade to
+ * @returns {Object} The record in the latest format, with its version; the
+ *   record itself if it already is
+ * @throws {Error} If a migration on the way is missing
+ */
+export function migrateEvent(
+  record,
+  { version = 1, migrations = MIGRATIONS, latest = SCHEMA.VERSION } = {},
+) {
+  let migrated = record;
+  let current = Number(record[SCHEMA.VERSION_KEY]) || version;
+
+  while (current < latest) {
+    const migrate = migrations.get(current);
+    if (!migrate) {
+      throw new Error(`No migration from schema version ${current}`);
+    }
+    migrated = migrate({ ...migrated });
+    current++;
+  }
+
+  return migrated[SCHEMA.VERSION_KEY] === current
+    ? migrated
+    : { ...migrated, [SCHEMA.VERSION_KEY]: current };
+}
+
+/**
+ * Upgrade the events of an export file to the current schema
+ *
+ * @param {*} data - Parsed export file: events by year, and the file's
+ *   version under `schemaVersion`
+ * @param {Object} [options] - Migration options, see migrateEvent()
+ * @returns {*} Upgraded events by year, without the file's version. Data
+ *   that isn't events by year is returned as it is, for the import to report.
+ * @throws {Error} If a migration on the way is missing
+ */
+export function migrateExport(data, options = {}) {
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    return data;
+  }
+
+  const { [SCHEMA.VERSION_KEY]: fileVersion, ...years } = data;
+  const version = Number(fileVersion) || 1;
+  const migrated = {};
+
+  Object.entries(years).forEach(([year, records]) => {
+    migrated[year] = Array.isArray(records)
+      ? records.map((record) =>
+          record && typeof record === 'object'
+            ? migrateEvent(record, { ...options, version })
+            : record,
+        )
+      : records;
+  });
+
+  return migrated;
+}
+
+/**
+ * Build the contents of an export file
+ *
+ * @param {Object} eventsByYear - Events by year
+ * @returns {Object} The events by year with the current schema version
+ */
+export function createExport(eventsByYear) {
+  return { [SCHEMA.VERSION_KEY]: SCHEMA.VERSION, ...eventsByYear };
+}
@@ -0,0 +1,160 @@
+/**
+ * SchemaMigrations.test.js - Tests for upgrading events stored or exported
+ * by earlier versions of the planner
+ */
+
+import { DEFAULT_CALENDAR_ID, SCHEMA } from '../config.js';
+import {
+  MIGRATIONS,
+  migrateEvent,
+  migrateExport,
+  createExport,
+} from './SchemaMigrations.js';
+
+/**
+ * Run tests and log results
+ */
+function runTests() {
+  console.log('=== Running SchemaMigrations tests ===');
+
+  testRegistry();
+  testMigrateEvent();
+  testMigrationChain();
+  testNewerRecords();
+  testExports();
+
+  console.log('=== All SchemaMigrations tests completed ===');
+}
+
+/**
+ * Test that every version before the current one can be upgraded
+ */
+function testRegistry() {
+  console.log('Testing the migration registry...');
+
+  for (let version = 1; version < SCHEMA.VERSION; version++) {
+    console.assert(MIGRATIONS.has(version), `A migration from version ${version} should be registered`);
+  }
+
+  console.log('Migration registry tests completed');
+}
+
+/**
+ * Test upgrading a version 1 record
+ */
+function testMigrateEvent() {
+  console.log('Testing upgrading an event...');
+
+  const record = {
+    id: 'a',
+    title: 'Holiday',
+    startDate: '2025-08-01T00:00:00.000Z',
+    endDate: '2025-08-14T00:00:00.000Z',
+    location: 'Lisbon',
+  };
+  const migrated = migrateEvent(record);
+
+  console.assert(migrated.schemaVersion === SCHEMA.VERSION, `The record should be upgraded to ${SCHEMA.VERSION}, got ${migrated.schemaVersion}`);
+  console.assert(migrated.calendarId === DEFAULT_CALENDAR_ID, 'Events from before calendars should be in the default calendar');
+  console.assert(migrated.categoryId === null && migrated.assignee === null && migrated.updatedAt === null, 'Missing fields should be filled in');
+  console.assert(migrated.description === '', 'A missing description should be empty');
+  console.assert(migrated.location === 'Lisbon', 'Unknown fields should be kept');
+  console.assert(record.schemaVersion === undefined && record.calendarId === undefined, 'The original record should not change');
+
+  const kept = migrateEvent({ ...record, calendarId: 'team', categoryId: 'leave' });
+  console.assert(kept.calendarId === 'team' && kept.categoryId === 'leave', 'Stored values should be kept');
+
+  console.assert(migrateEvent(migrated) === migrated, 'An up-to-date record should be returned as it is');
+
+  console.log('Upgrading an event tests completed');
+}
+
+/**
+ * Test that migrations are applied one version at a time
+ */
+function testMigrationChain() {
+  console.log('Testing chained migrations...');
+
+  const migrations = new Map([
+    [1, (record) => ({ ...record, notes: record.description })],
+    [2, (record) => ({ ...record, tags: record.notes ? ['noted'] : [] })],
+  ]);
+  const migrated = migrateEvent(
+    { id: 'a', description: 'Bring snacks', extra: 1 },
+    { migrations, latest: 3 },
+  );
+  console.assert(migrated.notes === 'Bring snacks' && migrated.tags[0] === 'noted', 'Each migration should see the result of the one before');
+  console.assert(migrated.schemaVersion === 3 && migrated.extra === 1, 'The record should end at the latest version with unknown fields');
+
+  const fromTwo = migrateEvent({ id: 'b', schemaVersion: 2, notes: '' }, { migrations, latest: 3 });
+  console.assert(fromTwo.tags.length === 0 && fromTwo.notes === '', 'Only the migrations after the record\'s version should run');
+
+  let error = null;
+  try {
+    migrateEvent({ id: 'c' }, { migrations: new Map(), latest: 2 });
+  } catch (e) {
+    error = e;
+  }
+  console.assert(error && /version 1/.test(error.message), 'A missing migration should be reported');
+
+  console.log('Chained migration tests completed');
+}
+
+/**
+ * Test that records from a newer version of the planner are left alone
+ */
+function testNewerRecords() {
+  console.log('Testing records from newer versions...');
+
+  const record = {
+    id: 'a',
+    title: 'Launch',
+    schemaVersion: SCHEMA.VERSION + 1,
+    startDate: '2025-03-01T00:00:00.000Z',
+    endDate: '2025-03-01T00:00:00.000Z',
+    reminders: [{ daysBefore: 1 }],
+  };
+  console.assert(migrateEvent(record) === record, 'Newer records should not be changed');
+
+  console.log('Newer record tests completed');
+}
+
+/**
+ * Test upgrading export files
+ */
+function testExports() {
+  console.log('Testing export files...');
+
+  const file = createExport({ 2025: [{ id: 'a', title: 'New' }] });
+  console.assert(file.schemaVersion === SCHEMA.VERSION, 'Exports should carry the current version');
+  console.assert(file[2025].length === 1, 'Exports should keep the events by year');
+
+  // Files from before versioning have years only
+  const old = migrateExport({
+    2024: [{ id: 'b', title: 'Old', startDate: '2024-01-01', endDate: '2024-01-02' }],
+    2025: 'not a list',
+  });
+  console.assert(Object.keys(old).join() === '2024,2025', 'Years should be kept, and nothing else added');
+  console.assert(old[2024][0].calendarId === DEFAULT_CALENDAR_ID && old[2024][0].schemaVersion === SCHEMA.VERSION, 'Events of unversioned files should be upgraded');
+  console.assert(old[2025] === 'not a list', 'Damaged years should be left for the import to report');
+
+  // The file's version applies to records without their own
+  const current = migrateExport({
+    schemaVersion: SCHEMA.VERSION,
+    2025: [{ id: 'c', title: 'Current' }, null],
+  });
+  console.assert(current.schemaVersion === undefined, 'The file version should not be taken for a year');
+  console.assert(current[2025][0].calendarId === undefined, 'Records of a current file should not be migrated');
+  console.assert(current[2025][1] === null, 'Records that are not events should be left for the import to report');
+
+  console.assert(Array.isArray(migrateExport([])) && migrateExport(null) === null, 'Data that is not events by year should be returned as it is');
+
+  console.log('Export file tests completed');
+}
+
+// Export for browser environment
+if (typeof window !== 'undefined') {
+  window.runSchemaMigrationsTests = runTests;
+}
+
+export { runTests };
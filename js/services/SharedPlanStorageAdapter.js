@@ -0,0 +1,163 @@
+/**
+ * SharedPlanStorageAdapter.js - Read-only storage for a plan opened from a
+ * share link
+ *
+ * Serves the events, categories and calendars carried by the link instead
+ * of the user's own planner, which is left untouched. Every calendar is
+ * read-only, so the planner shows the events without offering to edit
+ * them. Display settings, such as the layout or which calendars are shown,
+ * can still change for as long as the page is open.
+ */
+
+import { PREFERENCES } from '../config.js';
+import { StorageAdapter } from './StorageAdapter.js';
+
+export class SharedPlanStorageAdapter extends StorageAdapter {
+  /**
+   * @param {Object} plan - Plan decoded from a share link, see ShareLink.js
+   */
+  constructor(plan) {
+    super();
+    this.plan = plan;
+    this.events = plan.events.map((record) => this.reviveEvent(record));
+    this.calendars = plan.calendars.map((calendar) => ({
+      ...calendar,
+      visible: true,
+      readOnly: true,
+    }));
+    this.settings = new Map([
+      [PREFERENCES.STORAGE_KEY, { yearStart: plan.startMonth }],
+    ]);
+  }
+
+  /**
+   * Load the shared events that overlap a specific year
+   * @param {number} year - The year to load events for
+   * @returns {Promise<Array>} Promise resolving to an array of events
+   */
+  async loadEvents(year) {
+    return this.events
+      .filter((event) => this.getEventYears(event).includes(year))
+      .map((event) => ({ ...event }));
+  }
+
+  /**
+   * Get the years the shared events overlap
+   * @returns {Promise<Array<number>>} Promise resolving to an array of years
+   */
+  async getStoredYears() {
+    const years = new Set();
+    this.events.forEach((event) => {
+      this.getEventYears(event).forEach((year) => years.add(year));
+    });
+    return [...years].sort((a, b) => a - b);
+  }
+
+  /**
+   * Load the categories used by the shared events
+   * @returns {Promise<Array>}
+   */
+  async loadCategories() {
+    return this.plan.categories;
+  }
+
+  /**
+   * Load the calendars of the shared events, all read-only
+   * @returns {Promise<Array>}
+   */
+  async loadCalendars() {
+    return this.calendars;
+  }
+
+  /**
+   * Keep calendars shown or hidden; they stay read-only
+   * @param {Array} calendars - Calendars to keep
+   * @returns {Promise<boolean>}
+   */
+  async saveCalendars(calendars) {
+    this.calendars = JSON.parse(JSON.stringify(calendars)).map((calendar) => ({
+      ...calendar,
+      readOnly: true,
+    }));
+    return true;
+  }
+
+  /**
+   * Load a setting changed while the plan is open
+   * @param {string} key - Setting key
+   * @returns {Promise<*>} Promise resolving to the value, or null if unset
+   */
+  async loadSetting(key) {
+    return this.settings.has(key) ? this.settings.get(key) : null;
+  }
+
+  /**
+   * Keep a setting until the page is closed
+   * @param {string} key - Setting key
+   * @param {*} value - JSON-serializable value
+   * @returns {Promise<boolean>}
+   */
+  async saveSetting(key, value) {
+    this.settings.set(key, value);
+    return true;
+  }
+
+  /**
+   * Refuse to save an event; the shared plan is read-only
+   * @throws {Error} Always
+   */
+  async saveEvent(event) {
+    throw this._readOnly();
+  }
+
+  /**
+   * Refuse to delete an event
+   * @throws {Error} Always
+   */
+  async deleteEvent(eventId) {
+    throw this._readOnly();
+  }
+
+  /**
+   * Refuse to replace the events of a year
+   * @throws {Error} Always
+   */
+  async replaceYear(year, events) {
+    throw this._readOnly();
+  }
+
+  /**
+   * Refuse to replace the events of several years
+   * @throws {Error} Always
+   */
+  async replaceYears(eventsByYear) {
+    throw this._readOnly();
+  }
+
+  /**
+   * Refuse to change the categories
+   * @throws {Error} Always
+   */
+  async saveCategories(categories) {
+    throw this._readOnly();
+  }
+
+  /**
+   * Refuse to clear the shared plan
+   * @throws {Error} Always
+   */
+  async clearAllData() {
+    throw this._readOnly();
+  }
+
+  /**
+   * Build the error thrown by writes to the shared plan
+   * @returns {Error} The error to throw
+   * @private
+   */
+  _readOnly() {
+    return new Error(
+      'A shared plan is read-only; import it into your planner to change it',
+    );
+  }
+}
@@ -0,0 +1,263 @@
+/**
+ * SnapshotManager.js - Automatic snapshots of the planner's data, to go back
+ * to after an accident
+ *
+ * A snapshot holds every stored event, as an export file would, with the
+ * categories and calendars. One is taken on the first start of each day
+ * and before every import, reset and restore, and only the newest few of
+ * each kind are kept (SNAPSHOTS.KEEP). When the storage is full, older
+ * snapshots make room for the new one. The storage backend keeps them apart
+ * from the data, so resetting the planner leaves them.
+ *
+ * Restoring a snapshot, whole or one year of it, is an import of the
+ * snapshot that replaces the restored years, so what it would change is the
+ * same preview the import wizard shows.
+ */
+
+import {
+  DEFAULT_CALENDAR_ID,
+  IMPORT_STRATEGIES,
+  SCHEMA,
+  SNAPSHOTS,
+  SNAPSHOT_REASONS,
+} from '../config.js';
+import { StorageFullError } from './StorageAdapter.js';
+
+/**
+ * Count the events of an export file, listing events stored under several
+ * years once
+ * @param {Object} data - Parsed export file
+ * @returns {number}
+ * @private
+ */
+function countEvents(data) {
+  const ids = new Set();
+  Object.entries(data).forEach(([key, events]) => {
+    if (key === SCHEMA.VERSION_KEY) return;
+    events.forEach((event) => ids.add(event.id));
+  });
+  return ids.size;
+}
+
+/**
+ * Count what an import preview of a snapshot would change
+ * @param {Object} preview - Result of StorageAdapter.previewImport()
+ * @returns {{added: number, changed: number, removed: number, unchanged: number}}
+ * @private
+ */
+function countChanges(preview) {
+  return {
+    added: preview.added.length,
+    changed: preview.changed.length + preview.conflicting.length,
+    removed: preview.removed.length,
+    unchanged: preview.unchanged.length,
+  };
+}
+
+export class SnapshotManager {
+  /**
+   * @param {StorageAdapter} adapter - Storage the snapshots are taken of and kept in
+   * @param {Object} [options] - Snapshot options
+   * @param {Object<string, number>} [options.keep=SNAPSHOTS.KEEP] - Snapshots
+   *   kept of each SNAPSHOT_REASONS kind
+   * @param {Function} [options.now] - Returns the current time
+   */
+  constructor(adapter, { keep = SNAPSHOTS.KEEP, now = () => new Date() } = {}) {
+    this.adapter = adapter;
+    this.keep = keep;
+    this.now = now;
+  }
+
+  /**
+   * Check whether snapshots can be kept of the storage, which the planner
+   * server and shared plans can't
+   * @returns {boolean}
+   */
+  isAvailable() {
+    return this.adapter.keepsSnapshots();
+  }
+
+  /**
+   * List the kept snapshots
+   * @returns {Promise<Array<Object>>} The snapshots, newest first
+   */
+  async list() {
+    const snapshots = await this.adapter.loadSnapshots();
+    return snapshots.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  }
+
+  /**
+   * Take a snapshot of the stored data, after dropping the oldest of its
+   * kind beyond those kept
+   * @param {string} reason - Why it is taken, one of SNAPSHOT_REASONS
+   * @param {string} [label=''] - What it was taken before, e.g. the imported file
+   * @returns {Promise<Object|null>} The snapshot, or null if the storage
+   *   keeps no snapshots
+   */
+  async take(reason, label = '') {
+    if (!this.isAvailable()) return null;
+
+    // Kept without the export file's indentation, to take less space
+    const data = JSON.parse(await this.adapter.exportData());
+    const snapshot = {
+      id: crypto.randomUUID(),
+      reason,
+      label,
+      createdAt: this.now().toISOString(),
+      eventCount: countEvents(data),
+      data: JSON.stringify(data),
+      categories: await this.adapter.loadCategories(),
+      calendars: await this.adapter.loadCalendars(),
+    };
+
+    await this._prune(reason);
+    await this._save(snapshot);
+    return snapshot;
+  }
+
+  /**
+   * Take the day's snapshot, unless one was taken earlier today
+   * @returns {Promise<Object|null>} The snapshot, or null if none was taken
+   */
+  async takeDaily() {
+    if (!this.isAvailable()) return null;
+
+    const today = this.now().toDateString();
+    const snapshots = await this.list();
+    const taken = snapshots.some(
+      (snapshot) =>
+        snapshot.reason === SNAPSHOT_REASONS.DAILY &&
+        new Date(snapshot.createdAt).toDateString() === today,
+    );
+    return taken ? null : this.take(SNAPSHOT_REASONS.DAILY);
+  }
+
+  /**
+   * Work out what restoring a snapshot would change, whole and by year
+   * @param {Object} snapshot - Snapshot from list()
+   * @returns {Promise<Object>} Counts of the events restoring would bring
+   *   back (`added`), put back as they were (`changed`), delete (`removed`)
+   *   and leave (`unchanged`), and the same counts for each year with the
+   *   number of `events` the snapshot has in it
+   */
+  async compare(snapshot) {
+    const storedYears = await this.adapter.getStoredYears();
+    const whole = await this.adapter.previewImport(
+      this._getRestoreFile(snapshot, storedYears),
+      { defaultCalendarId: DEFAULT_CALENDAR_ID },
+    );
+
+    const years = [];
+    for (const year of whole.years) {
+      const counts = countChanges(
+        await this.adapter.previewImport(
+          this._getRestoreFile(snapshot, storedYears, year),
+          { defaultCalendarId: DEFAULT_CALENDAR_ID },
+        ),
+      );
+      years.push({
+        year,
+        events: counts.added + counts.changed + counts.unchanged,
+        ...counts,
+      });
+    }
+
+    return { ...countChanges(whole), years };
+  }
+
+  /**
+   * Make the stored data match a snapshot, after taking a snapshot of it.
+   * A whole snapshot also brings back its categories and calendars.
+   * @param {Object} snapshot - Snapshot from list()
+   * @param {number} [year] - Only restore the events of this year
+   * @returns {Promise<Object>} What the restore did, as returned by
+   *   StorageAdapter.importData()
+   */
+  async restore(snapshot, year = null) {
+    await this.take(SNAPSHOT_REASONS.RESTORE);
+
+    const storedYears = await this.adapter.getStoredYears();
+    const report = await this.adapter.importData(
+      this._getRestoreFile(snapshot, storedYears, year),
+      {
+        defaultCalendarId: DEFAULT_CALENDAR_ID,
+        strategy: IMPORT_STRATEGIES.REPLACE_YEAR,
+      },
+    );
+
+    if (year === null) {
+      if (snapshot.categories) {
+        await this.adapter.saveCategories(snapshot.categories);
+      }
+      if (snapshot.calendars) {
+        await this.adapter.saveCalendars(snapshot.calendars);
+      }
+    }
+    return report;
+  }
+
+  /**
+   * Build the export file that restores a snapshot. Restoring it whole also
+   * empties the years that had no events when it was taken.
+   * @param {Object} snapshot - Snapshot to restore
+   * @param {Array<number>} storedYears - Years that have stored events now
+   * @param {number|null} [year=null] - Only restore this year
+   * @returns {string} Export file JSON
+   * @private
+   */
+  _getRestoreFile(snapshot, storedYears, year = null) {
+    const { [SCHEMA.VERSION_KEY]: version, ...eventsByYear } = JSON.parse(
+      snapshot.data,
+    );
+    const years =
+      year === null
+        ? new Set([...Object.keys(eventsByYear).map(Number), ...storedYears])
+        : [year];
+
+    const file = { [SCHEMA.VERSION_KEY]: version };
+    years.forEach((restored) => {
+      file[restored] = eventsByYear[restored] || [];
+    });
+    return JSON.stringify(file);
+  }
+
+  /**
+   * Save a snapshot. While the storage is full, the oldest snapshots are
+   * deleted to make room for it.
+   * @param {Object} snapshot - The snapshot to save
+   * @returns {Promise<void>}
+   * @throws {StorageFullError} If it doesn't fit even with no other snapshots
+   * @private
+   */
+  async _save(snapshot) {
+    try {
+      await this.adapter.saveSnapshot(snapshot);
+    } catch (error) {
+      const oldest = (await this.list()).pop();
+      if (!(error instanceof StorageFullError) || !oldest) {
+        throw error;
+      }
+      await this.adapter.deleteSnapshot(oldest.id);
+      await this._save(snapshot);
+    }
+  }
+
+  /**
+   * Delete the oldest snapshots of a kind, leaving room for one more of
+   * those kept
+   * @param {string} reason - Kind of snapshot, one of SNAPSHOT_REASONS
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _prune(reason) {
+    const keep = this.keep[reason];
+    if (keep === undefined) return;
+
+    const snapshots = (await this.list()).filter(
+      (snapshot) => snapshot.reason === reason,
+    );
+    for (const snapshot of snapshots.slice(Math.max(keep - 1, 0))) {
+      await this.adapter.deleteSnapshot(snapshot.id);
+    }
+  }
+}
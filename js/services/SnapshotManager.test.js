@@ -0,0 +1,397 @@
+/**
+ * SnapshotManager.test.js - Tests for automatic snapshots and restoring them
+ *
+ * A small in-memory adapter stands in for IndexedDB, keeping its snapshots
+ * apart from the data like the real backends, in a limited space if asked.
+ */
+
+import { SNAPSHOT_REASONS } from '../config.js';
+import { StorageAdapter, StorageFullError } from './StorageAdapter.js';
+import { SnapshotManager } from './SnapshotManager.js';
+
+/**
+ * Adapter keeping plain copies of what it is given, filed under each year
+ * an event overlaps like the real backends
+ */
+class MemoryStorageAdapter extends StorageAdapter {
+  /**
+   * @param {number} [snapshotSpace=Infinity] - Characters of snapshot JSON
+   *   that fit, like a quota
+   */
+  constructor(snapshotSpace = Infinity) {
+    super();
+    this.records = new Map();
+    this.settings = new Map();
+    this.snapshots = new Map();
+    this.snapshotSpace = snapshotSpace;
+  }
+
+  async loadEvents(year) {
+    return [...this.records.values()]
+      .filter((record) => this.getEventYears(record).includes(year))
+      .map((record) => this.reviveEvent(record));
+  }
+
+  async saveEvent(event) {
+    this.records.set(event.id, this.serializeEvent(event));
+    return true;
+  }
+
+  async deleteEvent(eventId) {
+    return this.records.delete(eventId);
+  }
+
+  async getStoredYears() {
+    const years = new Set();
+    this.records.forEach((record) => {
+      this.getEventYears(record).forEach((year) => years.add(year));
+    });
+    return [...years].sort((a, b) => a - b);
+  }
+
+  async replaceYears(eventsByYear) {
+    for (const year of eventsByYear.keys()) {
+      for (const [id, record] of this.records) {
+        if (this.getEventYears(record).includes(year)) {
+          this.records.delete(id);
+        }
+      }
+    }
+    for (const events of eventsByYear.values()) {
+      events.forEach((event) => {
+        this.records.set(event.id, this.serializeEvent(event));
+      });
+    }
+    return true;
+  }
+
+  async loadCategories() {
+    return this.loadSetting('categories');
+  }
+
+  async saveCategories(categories) {
+    return this.saveSetting('categories', categories);
+  }
+
+  async loadCalendars() {
+    return this.loadSetting('calendars');
+  }
+
+  async saveCalendars(calendars) {
+    return this.saveSetting('calendars', calendars);
+  }
+
+  async loadSetting(key) {
+    return this.settings.has(key) ? JSON.parse(this.settings.get(key)) : null;
+  }
+
+  async saveSetting(key, value) {
+    this.settings.set(key, JSON.stringify(value));
+    return true;
+  }
+
+  async clearAllData() {
+    this.records.clear();
+    this.settings.clear();
+    return true;
+  }
+
+  keepsSnapshots() {
+    return true;
+  }
+
+  async loadSnapshots() {
+    return [...this.snapshots.values()].map((snapshot) => JSON.parse(snapshot));
+  }
+
+  async saveSnapshot(snapshot) {
+    const json = JSON.stringify(snapshot);
+    let used = json.length;
+    this.snapshots.forEach((stored, id) => {
+      if (id !== snapshot.id) used += stored.length;
+    });
+    if (used > this.snapshotSpace) {
+      throw new StorageFullError('Failed to save snapshot: quota exceeded');
+    }
+
+    this.snapshots.set(snapshot.id, json);
+    return true;
+  }
+
+  async deleteSnapshot(snapshotId) {
+    return this.snapshots.delete(snapshotId);
+  }
+}
+
+/**
+ * Create an event
+ * @param {string} id - Event ID
+ * @param {string} start - First day, YYYY-MM-DD
+ * @param {string} [end=start] - Last day, YYYY-MM-DD
+ * @returns {Object}
+ */
+function createEvent(id, start, end = start) {
+  return {
+    id,
+    title: id,
+    startDate: new Date(`${start}T00:00:00.000Z`),
+    endDate: new Date(`${end}T00:00:00.000Z`),
+  };
+}
+
+/**
+ * Create an adapter holding a small planner
+ * @param {number} [snapshotSpace] - Characters of snapshot JSON that fit
+ * @returns {Promise<MemoryStorageAdapter>}
+ */
+async function createAdapter(snapshotSpace) {
+  const adapter = new MemoryStorageAdapter(snapshotSpace);
+  await adapter.saveEvents([
+    createEvent('dentist', '2025-03-10'),
+    createEvent('holiday', '2025-08-01', '2025-08-14'),
+    createEvent('sabbatical', '2025-12-01', '2026-02-27'),
+    createEvent('launch', '2026-05-04'),
+  ]);
+  await adapter.saveCategories([{ id: 'health', name: 'Health', color: '#ff0000' }]);
+  return adapter;
+}
+
+/**
+ * Create a clock that moves on by an hour each time it is read
+ * @param {string} start - First time returned, as an ISO string
+ * @returns {Function}
+ */
+function createClock(start) {
+  let time = new Date(start).getTime();
+  return () => {
+    const now = new Date(time);
+    time += 60 * 60 * 1000;
+    return now;
+  };
+}
+
+/**
+ * Run tests and log results
+ */
+async function runTests() {
+  console.log('=== Running SnapshotManager tests ===');
+
+  await testTake();
+  await testRotation();
+  await testFullStorage();
+  await testDaily();
+  await testCompare();
+  await testRestore();
+  await testRestoreYear();
+  await testUnavailable();
+
+  console.log('=== All SnapshotManager tests completed ===');
+}
+
+/**
+ * Test that a snapshot holds all stored data and survives clearing it
+ */
+async function testTake() {
+  console.log('Testing taking snapshots...');
+
+  const adapter = await createAdapter();
+  const manager = new SnapshotManager(adapter);
+  const snapshot = await manager.take(SNAPSHOT_REASONS.IMPORT, 'holidays.json');
+
+  console.assert(snapshot.reason === SNAPSHOT_REASONS.IMPORT && snapshot.label === 'holidays.json', 'The snapshot should say why it was taken');
+  console.assert(snapshot.eventCount === 4, `Events spanning years should be counted once, got ${snapshot.eventCount}`);
+  console.assert(snapshot.categories[0].name === 'Health', 'The categories should be kept');
+  console.assert(snapshot.calendars === null, 'Calendars never saved should be kept as unset');
+  console.assert(!snapshot.data.includes('\n'), 'The data should be kept without indentation');
+
+  await adapter.clearAllData();
+  const snapshots = await manager.list();
+  console.assert(snapshots.length === 1 && snapshots[0].id === snapshot.id, 'Clearing the data should leave the snapshot');
+
+  console.log('Taking snapshots tests completed');
+}
+
+/**
+ * Test that only the newest snapshots of each kind are kept
+ */
+async function testRotation() {
+  console.log('Testing snapshot rotation...');
+
+  const adapter = await createAdapter();
+  const manager = new SnapshotManager(adapter, {
+    keep: { import: 2, reset: 1 },
+    now: createClock('2025-06-01T08:00:00.000Z'),
+  });
+
+  const first = await manager.take(SNAPSHOT_REASONS.IMPORT, 'first.json');
+  await manager.take(SNAPSHOT_REASONS.RESET);
+  await manager.take(SNAPSHOT_REASONS.IMPORT, 'second.json');
+  await manager.take(SNAPSHOT_REASONS.IMPORT, 'third.json');
+
+  const snapshots = await manager.list();
+  console.assert(snapshots.map((snapshot) => snapshot.label).join() === 'third.json,second.json,', 'Snapshots should be listed newest first');
+  console.assert(!snapshots.some((snapshot) => snapshot.id === first.id), 'The oldest import snapshot should be dropped');
+  console.assert(snapshots.some((snapshot) => snapshot.reason === SNAPSHOT_REASONS.RESET), 'Snapshots of other kinds should be kept');
+
+  console.log('Snapshot rotation tests completed');
+}
+
+/**
+ * Test taking snapshots when the storage is full
+ */
+async function testFullStorage() {
+  console.log('Testing snapshots in full storage...');
+
+  const probe = await new SnapshotManager(await createAdapter()).take(SNAPSHOT_REASONS.IMPORT);
+  const size = JSON.stringify(probe).length;
+
+  // Room for two snapshots and a bit
+  const adapter = await createAdapter(size * 2 + size / 2);
+  const manager = new SnapshotManager(adapter, {
+    keep: { import: 2, reset: 2 },
+    now: createClock('2025-06-01T08:00:00.000Z'),
+  });
+
+  await manager.take(SNAPSHOT_REASONS.IMPORT, 'first.json');
+  await manager.take(SNAPSHOT_REASONS.IMPORT, 'second.json');
+  await manager.take(SNAPSHOT_REASONS.IMPORT, 'third.json');
+  let labels = (await manager.list()).map((snapshot) => snapshot.label);
+  console.assert(labels.join() === 'third.json,second.json', `The oldest of a kind should make room before saving, got ${labels.join()}`);
+
+  await manager.take(SNAPSHOT_REASONS.RESET, 'reset');
+  labels = (await manager.list()).map((snapshot) => snapshot.label);
+  console.assert(labels.join() === 'reset,third.json', `The oldest snapshot should make room for another kind, got ${labels.join()}`);
+
+  let error = null;
+  try {
+    await new SnapshotManager(await createAdapter(size / 2)).take(SNAPSHOT_REASONS.RESET);
+  } catch (caught) {
+    error = caught;
+  }
+  console.assert(error instanceof StorageFullError, 'A snapshot that can never fit should fail');
+
+  console.log('Snapshots in full storage tests completed');
+}
+
+/**
+ * Test that the daily snapshot is taken once a day
+ */
+async function testDaily() {
+  console.log('Testing daily snapshots...');
+
+  const adapter = await createAdapter();
+  let now = new Date(2025, 5, 1, 9, 0);
+  const manager = new SnapshotManager(adapter, { now: () => now });
+
+  console.assert(await manager.takeDaily() !== null, 'The first start of a day should take a snapshot');
+  now = new Date(2025, 5, 1, 17, 0);
+  console.assert(await manager.takeDaily() === null, 'Later starts on the same day should not');
+  await manager.take(SNAPSHOT_REASONS.IMPORT);
+
+  now = new Date(2025, 5, 2, 8, 0);
+  console.assert(await manager.takeDaily() !== null, 'The next day should take another');
+  const daily = (await manager.list()).filter((snapshot) => snapshot.reason === SNAPSHOT_REASONS.DAILY);
+  console.assert(daily.length === 2, `There should be one daily snapshot per day, got ${daily.length}`);
+
+  console.log('Daily snapshot tests completed');
+}
+
+/**
+ * Test comparing a snapshot with the current data
+ */
+async function testCompare() {
+  console.log('Testing comparing snapshots...');
+
+  const adapter = await createAdapter();
+  const manager = new SnapshotManager(adapter);
+  const snapshot = await manager.take(SNAPSHOT_REASONS.DAILY);
+
+  await adapter.deleteEvent('dentist');
+  await adapter.saveEvent({ ...createEvent('launch', '2026-05-11'), title: 'Launch (moved)' });
+  await adapter.saveEvent(createEvent('conference', '2027-10-06'));
+
+  const comparison = await manager.compare(snapshot);
+  console.assert(comparison.added === 1 && comparison.changed === 1, 'The deleted and the changed event should be brought back');
+  console.assert(comparison.removed === 1, 'The event added since should be deleted');
+  console.assert(comparison.unchanged === 2, `Untouched events should be counted once, got ${comparison.unchanged}`);
+
+  const years = comparison.years.map(({ year, events, added, changed, removed }) => `${year}:${events}/${added}/${changed}/${removed}`);
+  console.assert(years.join() === '2025:3/1/0/0,2026:2/0/1/0,2027:0/0/0/1', `Each year should be compared on its own, got ${years.join()}`);
+
+  console.log('Comparing snapshot tests completed');
+}
+
+/**
+ * Test restoring a whole snapshot
+ */
+async function testRestore() {
+  console.log('Testing restoring a snapshot...');
+
+  const adapter = await createAdapter();
+  const manager = new SnapshotManager(adapter, {
+    now: createClock('2025-06-01T08:00:00.000Z'),
+  });
+  const snapshot = await manager.take(SNAPSHOT_REASONS.RESET);
+
+  await adapter.clearAllData();
+  await adapter.saveEvent(createEvent('after-reset', '2028-01-15'));
+
+  await manager.restore(snapshot);
+  const exported = await adapter.exportData();
+  console.assert((await adapter.getStoredYears()).join() === '2025,2026', 'Every year should match the snapshot');
+  console.assert(!exported.includes('after-reset') && exported.includes('sabbatical'), 'Events should be as they were');
+  console.assert((await adapter.loadCategories())[0].name === 'Health', 'The categories should be restored');
+
+  const [latest] = await manager.list();
+  console.assert(latest.reason === SNAPSHOT_REASONS.RESTORE && latest.eventCount === 1, 'The data replaced by the restore should be kept in a snapshot');
+
+  console.log('Restoring a snapshot tests completed');
+}
+
+/**
+ * Test restoring a single year of a snapshot
+ */
+async function testRestoreYear() {
+  console.log('Testing restoring a year...');
+
+  const adapter = await createAdapter();
+  const manager = new SnapshotManager(adapter);
+  const snapshot = await manager.take(SNAPSHOT_REASONS.IMPORT);
+
+  await adapter.deleteEvent('dentist');
+  await adapter.deleteEvent('launch');
+  await adapter.saveCategories([]);
+
+  await manager.restore(snapshot, 2025);
+  const ids = (await adapter.loadEvents(2025)).map((event) => event.id).sort();
+  console.assert(ids.join() === 'dentist,holiday,sabbatical', 'The year should match the snapshot');
+  console.assert((await adapter.loadEvents(2026)).every((event) => event.id !== 'launch'), 'Other years should be left as they are');
+  console.assert((await adapter.loadCategories()).length === 0, 'Restoring a year should leave the categories');
+
+  console.log('Restoring a year tests completed');
+}
+
+/**
+ * Test that nothing is taken where snapshots aren't kept
+ */
+async function testUnavailable() {
+  console.log('Testing storage without snapshots...');
+
+  const adapter = await createAdapter();
+  adapter.keepsSnapshots = () => false;
+  const manager = new SnapshotManager(adapter);
+
+  console.assert(!manager.isAvailable(), 'Snapshots should be unavailable');
+  console.assert(await manager.take(SNAPSHOT_REASONS.RESET) === null, 'No snapshot should be taken');
+  console.assert(await manager.takeDaily() === null, 'No daily snapshot should be taken');
+  console.assert(adapter.snapshots.size === 0, 'Nothing should be stored');
+
+  console.log('Storage without snapshots tests completed');
+}
+
+// Export for browser environment
+if (typeof window !== 'undefined') {
+  window.runSnapshotManagerTests = runTests;
+}
+
+export { runTests };
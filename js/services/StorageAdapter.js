@@ -1,187 +1,303 @@
 /**
- * StorageAdapter.js - Persistence layer for Year Planner
+ * StorageAdapter.js - Persistence interface for Year Planner
  *
- * Provides methods for saving and retrieving events using local storage
- * with fallback mechanisms and import/export capabilities.
+ * Defines the storage interface the application depends on, along with the
+ * serialization, validation and import/export logic shared by every backend.
+ * Concrete backends (localStorage, IndexedDB) extend this class and implement
+ * the primitive operations, and those kept in this browser add snapshots.
  */
 
+import { IMPORT_STRATEGIES } from '../config.js';
+import { ImportMerger } from './ImportMerger.js';
+import {
+  createExport,
+  migrateEvent,
+  migrateExport,
+} from './SchemaMigrations.js';
+
+/**
+ * Error thrown when the browser refuses a write because its storage is full
+ */
+export class StorageFullError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'StorageFullError';
+  }
+}
+
 export class StorageAdapter {
   constructor() {
     this.storagePrefix = 'yearPlanner_';
-    this.checkStorageAvailability();
+    this.changeListeners = [];
   }
 
   /**
-   * Check if local storage is available
-   * @throws {Error} If local storage is not available
+   * Register a function called after every write, e.g. to tell other tabs
+   * what changed
+   * @param {Function} listener - Called with a change description: the
+   *   `eventIds` saved, the `deletedIds`, the `years` whose stored events
+   *   changed, the `settings` keys written (categories and calendars are
+   *   settings too), or `all` when everything was cleared
+   * @returns {Function} Call to stop listening
    */
-  checkStorageAvailability() {
-    try {
-      const testKey = '__storage_test__';
-      localStorage.setItem(testKey, testKey);
-      localStorage.removeItem(testKey);
-    } catch (e) {
-      throw new Error(
-        'Local storage is not available. The Year Planner requires local storage to function properly.',
+  onChange(listener) {
+    this.changeListeners.push(listener);
+    return () => {
+      this.changeListeners = this.changeListeners.filter(
+        (registered) => registered !== listener,
       );
-    }
+    };
   }
 
   /**
-   * Get the storage key for a specific year
-   * @param {number} year - The year to get events for
-   * @returns {string} The storage key
+   * Tell the change listeners about a write
+   * @param {Object} change - Change description, see onChange()
    */
-  getYearKey(year) {
-    return `${this.storagePrefix}events_${year}`;
+  notifyChange(change) {
+    this.changeListeners.forEach((listener) => {
+      try {
+        listener(change);
+      } catch (error) {
+        // The write itself succeeded
+        console.error('Error in storage change listener:', error);
+      }
+    });
   }
 
   /**
-   * Load events for a specific year
+   * Load every event that overlaps a specific year
+   * @abstract
    * @param {number} year - The year to load events for
    * @returns {Promise<Array>} Promise resolving to an array of events
    */
   async loadEvents(year) {
-    try {
-      const key = this.getYearKey(year);
-      const data = localStorage.getItem(key);
+    throw this._notImplemented('loadEvents');
+  }
 
-      if (!data) {
-        return [];
-      }
+  /**
+   * Save an event, replacing any stored event with the same ID
+   * @abstract
+   * @param {Object} event - The event to save
+   * @returns {Promise<boolean>}
+   */
+  async saveEvent(event) {
+    throw this._notImplemented('saveEvent');
+  }
 
-      const events = JSON.parse(data);
+  /**
+   * Delete an event
+   * @abstract
+   * @param {string} eventId - ID of the event to delete
+   * @returns {Promise<boolean>} Promise resolving to true if deleted, false if not found
+   */
+  async deleteEvent(eventId) {
+    throw this._notImplemented('deleteEvent');
+  }
 
-      // Convert string dates back to Date objects
-      return events.map((event) => {
-        return {
-          ...event,
-          startDate: new Date(event.startDate),
-          endDate: new Date(event.endDate),
-        };
-      });
-    } catch (error) {
-      console.error(`Error loading events for year ${year}:`, error);
-      throw new Error(
-        `Failed to load events for year ${year}: ${error.message}`,
-      );
-    }
+  /**
+   * Get a list of years that have stored events
+   * @abstract
+   * @returns {Promise<Array<number>>} Promise resolving to an array of years
+   */
+  async getStoredYears() {
+    throw this._notImplemented('getStoredYears');
   }
 
   /**
-   * Save an event
-   * @param {Object} event - The event to save
-   * @returns {Promise<void>}
+   * Replace every stored event of a year with the given events
+   * @abstract
+   * @param {number} year - The year to replace
+   * @param {Array} events - Events to store for the year
+   * @returns {Promise<boolean>}
    */
-  async saveEvent(event) {
-    try {
-      const year = event.startDate.getFullYear();
-      const key = this.getYearKey(year);
+  async replaceYear(year, events) {
+    throw this._notImplemented('replaceYear');
+  }
 
-      // Load existing events
-      let events = await this.loadEvents(year);
+  /**
+   * Replace the stored events of several years at once: either every year
+   * is written or, if writing fails, none is
+   * @abstract
+   * @param {Map<number, Array>} eventsByYear - Events to store for each year
+   * @returns {Promise<boolean>}
+   */
+  async replaceYears(eventsByYear) {
+    throw this._notImplemented('replaceYears');
+  }
 
-      // Find the event index if it already exists
-      const existingIndex = events.findIndex((e) => e.id === event.id);
+  /**
+   * Load the user-defined categories
+   * @abstract
+   * @returns {Promise<Array|null>} Promise resolving to the stored categories,
+   *   or null if the user has never saved any
+   */
+  async loadCategories() {
+    throw this._notImplemented('loadCategories');
+  }
 
-      if (existingIndex >= 0) {
-        // Update existing event
-        events[existingIndex] = event;
-      } else {
-        // Add new event
-        events.push(event);
-      }
+  /**
+   * Save the user-defined categories, replacing any stored list
+   * @abstract
+   * @param {Array} categories - Categories to store
+   * @returns {Promise<boolean>}
+   */
+  async saveCategories(categories) {
+    throw this._notImplemented('saveCategories');
+  }
 
-      // Save back to storage
-      localStorage.setItem(key, JSON.stringify(events));
+  /**
+   * Load the calendars events are grouped into
+   * @abstract
+   * @returns {Promise<Array|null>} Promise resolving to the stored calendars,
+   *   or null if the user has never saved any
+   */
+  async loadCalendars() {
+    throw this._notImplemented('loadCalendars');
+  }
 
-      return true;
-    } catch (error) {
-      console.error('Error saving event:', error);
-      throw new Error(`Failed to save event: ${error.message}`);
-    }
+  /**
+   * Save the calendars, replacing any stored list
+   * @abstract
+   * @param {Array} calendars - Calendars to store
+   * @returns {Promise<boolean>}
+   */
+  async saveCalendars(calendars) {
+    throw this._notImplemented('saveCalendars');
   }
 
   /**
-   * Delete an event
-   * @param {string} eventId - ID of the event to delete
-   * @returns {Promise<boolean>} Promise resolving to true if deleted, false if not found
+   * Load an application setting
+   * @abstract
+   * @param {string} key - Setting key
+   * @returns {Promise<*>} Promise resolving to the stored value, or null if unset
    */
-  async deleteEvent(eventId) {
-    try {
-      // We don't know which year the event belongs to, so check all years
-      const years = this.getStoredYears();
-      let deleted = false;
+  async loadSetting(key) {
+    throw this._notImplemented('loadSetting');
+  }
 
-      for (const year of years) {
-        const events = await this.loadEvents(year);
-        const initialLength = events.length;
+  /**
+   * Save an application setting
+   * @abstract
+   * @param {string} key - Setting key
+   * @param {*} value - JSON-serializable value to store
+   * @returns {Promise<boolean>}
+   */
+  async saveSetting(key, value) {
+    throw this._notImplemented('saveSetting');
+  }
 
-        const filteredEvents = events.filter((e) => e.id !== eventId);
+  /**
+   * Clear all stored data
+   * @abstract
+   * @returns {Promise<boolean>}
+   */
+  async clearAllData() {
+    throw this._notImplemented('clearAllData');
+  }
 
-        if (filteredEvents.length !== initialLength) {
-          // Event found and filtered out
-          localStorage.setItem(
-            this.getYearKey(year),
-            JSON.stringify(filteredEvents),
-          );
-          deleted = true;
-        }
-      }
+  /**
+   * Check whether this backend keeps snapshots of the planner's data, see
+   * SnapshotManager.js. Backends that do override the snapshot methods and
+   * keep the snapshots apart from the data, so clearAllData() leaves them.
+   * @returns {boolean}
+   */
+  keepsSnapshots() {
+    return false;
+  }
 
-      return deleted;
-    } catch (error) {
-      console.error(`Error deleting event ${eventId}:`, error);
-      throw new Error(`Failed to delete event: ${error.message}`);
-    }
+  /**
+   * Load every stored snapshot
+   * @returns {Promise<Array<Object>>} Promise resolving to the snapshots, in no particular order
+   */
+  async loadSnapshots() {
+    return [];
   }
 
   /**
-   * Get a list of years that have stored events
-   * @returns {Array<number>} Array of years
+   * Save a snapshot, replacing any stored snapshot with the same ID
+   * @param {Object} snapshot - Snapshot with an `id`
+   * @returns {Promise<boolean>} Promise resolving to false if snapshots aren't kept
+   * @throws {StorageFullError} If there is no room left for the snapshot
    */
-  getStoredYears() {
-    const years = [];
-    const prefixLength = this.storagePrefix.length + 7; // length of 'events_'
+  async saveSnapshot(snapshot) {
+    return false;
+  }
 
-    for (let i = 0; i < localStorage.length; i++) {
-      const key = localStorage.key(i);
+  /**
+   * Delete a snapshot
+   * @param {string} snapshotId - ID of the snapshot to delete
+   * @returns {Promise<boolean>} Promise resolving to true if deleted, false if not found
+   */
+  async deleteSnapshot(snapshotId) {
+    return false;
+  }
 
-      if (key && key.startsWith(this.storagePrefix + 'events_')) {
-        const yearStr = key.substring(prefixLength);
-        const year = parseInt(yearStr);
+  /**
+   * Save several events at once. Backends that support transactions
+   * override this to write all events in a single transaction.
+   * @param {Array} events - Events to save
+   * @returns {Promise<boolean>}
+   */
+  async saveEvents(events) {
+    for (const event of events) {
+      await this.saveEvent(event);
+    }
+    return true;
+  }
 
-        if (!isNaN(year)) {
-          years.push(year);
+  /**
+   * Load every event that overlaps a date range
+   * @param {Date} rangeStart - First day of the range
+   * @param {Date} rangeEnd - Last day of the range
+   * @returns {Promise<Array>} Promise resolving to the overlapping events
+   */
+  async loadEventsInRange(rangeStart, rangeEnd) {
+    try {
+      const events = new Map();
+
+      for (
+        let year = rangeStart.getUTCFullYear();
+        year <= rangeEnd.getUTCFullYear();
+        year++
+      ) {
+        for (const event of await this.loadEvents(year)) {
+          if (event.startDate <= rangeEnd && event.endDate >= rangeStart) {
+            events.set(event.id, event);
+          }
         }
       }
-    }
 
-    return years;
+      return [...events.values()];
+    } catch (error) {
+      console.error('Error loading events in range:', error);
+      throw new Error(`Failed to load events in range: ${error.message}`);
+    }
   }
 
   /**
    * Export events data to JSON
    * @param {number} [year] - Optional year to export data for
+   * @param {Object} [options] - Export options
+   * @param {string} [options.calendarId] - Only export the events of this calendar
+   * @param {string} [options.defaultCalendarId] - Calendar of events stored without one
    * @returns {Promise<string>} Promise resolving to a JSON string
    */
-  async exportData(year) {
+  async exportData(year, { calendarId, defaultCalendarId } = {}) {
     try {
       const exportData = {};
+      const years = year ? [year] : await this.getStoredYears();
 
-      if (year) {
-        // Export specific year
-        exportData[year] = await this.loadEvents(year);
-      } else {
-        // Export all years
-        const years = this.getStoredYears();
-
-        for (const year of years) {
-          exportData[year] = await this.loadEvents(year);
-        }
+      for (const year of years) {
+        const events = await this.loadEvents(year);
+        exportData[year] = calendarId
+          ? events.filter(
+              (event) =>
+                (event.calendarId || defaultCalendarId) === calendarId,
+            )
+          : events;
       }
 
-      return JSON.stringify(exportData, null, 2);
+      return JSON.stringify(createExport(exportData), null, 2);
     } catch (error) {
       console.error('Error exporting data:', error);
       throw new Error(`Failed to export data: ${error.message}`);
@@ -189,84 +305,175 @@ export class StorageAdapter {
   }
 
   /**
-   * Import events data from JSON
+   * Show what importing events data from JSON would do, without writing
+   * anything
    * @param {string} jsonData - JSON string to import
-   * @returns {Promise<void>}
+   * @param {Object} [options] - Import options
+   * @param {string} [options.calendarId] - Calendar to import the events into
+   * @param {string} [options.defaultCalendarId] - Calendar of events stored without one
+   * @returns {Promise<Object>} Added, changed, conflicting, unchanged and
+   *   removed events as sorted by ImportMerger.compare(), the `invalid`
+   *   records with the reason they are skipped, and the `years` in the file
    */
-  async importData(jsonData) {
+  async previewImport(jsonData, options = {}) {
     try {
-      const data = JSON.parse(jsonData);
-
-      // Validate the imported data structure
-      if (typeof data !== 'object') {
-        throw new Error('Invalid data format');
-      }
-
-      // Import data for each year
-      for (const yearStr in data) {
-        const year = parseInt(yearStr);
-
-        if (isNaN(year)) {
-          console.warn(`Skipping invalid year: ${yearStr}`);
-          continue;
-        }
+      const { merger, eventsByYear, invalid, storedByYear } =
+        await this._readImport(jsonData, options);
+
+      return {
+        ...merger.compare(eventsByYear, storedByYear),
+        invalid,
+        years: [...eventsByYear.keys()].sort((a, b) => a - b),
+      };
+    } catch (error) {
+      console.error('Error previewing import:', error);
+      throw new Error(`Failed to read import: ${error.message}`);
+    }
+  }
 
-        const events = data[yearStr];
+  /**
+   * Import events data from JSON. The stored events of every year in the
+   * data are combined with the imported ones following the strategy, and
+   * all years are written at once. When importing into a calendar, only that
+   * calendar's events are replaced and every imported event is moved into it.
+   * @param {string} jsonData - JSON string to import
+   * @param {Object} [options] - Import options
+   * @param {string} [options.calendarId] - Calendar to import the events into
+   * @param {string} [options.defaultCalendarId] - Calendar of events stored without one
+   * @param {string} [options.strategy=IMPORT_STRATEGIES.REPLACE_YEAR] - How
+   *   imported events are combined with stored ones
+   * @returns {Promise<Object>} What the import did, as returned by previewImport()
+   */
+  async importData(
+    jsonData,
+    { strategy = IMPORT_STRATEGIES.REPLACE_YEAR, ...options } = {},
+  ) {
+    try {
+      const { merger, eventsByYear, invalid, storedByYear } =
+        await this._readImport(jsonData, options);
 
-        if (!Array.isArray(events)) {
-          console.warn(`Skipping invalid events data for year ${year}`);
-          continue;
-        }
+      invalid.forEach(({ year, reason }) => {
+        console.warn(`Skipping record in ${year}: ${reason}`);
+      });
 
-        // Convert string dates back to Date objects and validate event structure
-        const validEvents = events
-          .filter((event) => this.validateEventStructure(event))
-          .map((event) => {
-            return {
-              ...event,
-              startDate: new Date(event.startDate),
-              endDate: new Date(event.endDate),
-            };
-          });
-
-        // Save to storage
-        localStorage.setItem(
-          this.getYearKey(year),
-          JSON.stringify(validEvents),
-        );
-      }
+      const report = {
+        ...merger.compare(eventsByYear, storedByYear),
+        invalid,
+        years: [...eventsByYear.keys()].sort((a, b) => a - b),
+      };
+      await this.replaceYears(
+        merger.merge(eventsByYear, storedByYear, strategy),
+      );
 
-      return true;
+      return report;
     } catch (error) {
       console.error('Error importing data:', error);
       throw new Error(`Failed to import data: ${error.message}`);
     }
   }
 
+  /**
+   * Parse import data and load the stored events of its years
+   * @param {string} jsonData - JSON string to import
+   * @param {Object} options - Import options, see importData()
+   * @returns {Promise<{merger: ImportMerger, eventsByYear: Map<number, Array>,
+   *   invalid: Array<Object>, storedByYear: Map<number, Array>}>}
+   * @private
+   */
+  async _readImport(jsonData, { calendarId, defaultCalendarId } = {}) {
+    const merger = new ImportMerger({
+      calendarId,
+      defaultCalendarId,
+      validate: (record) => this.getEventStructureError(record),
+      revive: (record) => this.reviveEvent(record),
+    });
+    const { eventsByYear, invalid } = merger.parse(
+      migrateExport(JSON.parse(jsonData)),
+    );
+
+    const storedByYear = new Map();
+    for (const year of eventsByYear.keys()) {
+      storedByYear.set(year, await this.loadEvents(year));
+    }
+
+    return { merger, eventsByYear, invalid, storedByYear };
+  }
+
+  /**
+   * Get every year an event overlaps, so it can be found from each of them.
+   * Dates are stored as UTC midnight.
+   * @param {Object} event - Event with startDate and endDate
+   * @returns {Array<number>} Years from the start year to the end year
+   */
+  getEventYears(event) {
+    const years = [];
+    const startYear = new Date(event.startDate).getUTCFullYear();
+    const endYear = new Date(event.endDate).getUTCFullYear();
+
+    for (let year = startYear; year <= endYear; year++) {
+      years.push(year);
+    }
+
+    return years;
+  }
+
+  /**
+   * Convert an event to plain data that survives serialization
+   * @param {Object} event - Event instance or plain event object
+   * @returns {Object} Plain copy of the event with ISO date strings
+   */
+  serializeEvent(event) {
+    return JSON.parse(JSON.stringify(event));
+  }
+
+  /**
+   * Convert stored event data back into an event object with Date fields,
+   * upgraded to the current schema
+   * @param {Object} record - Stored event data
+   * @returns {Object} Event data with startDate and endDate as Dates
+   */
+  reviveEvent(record) {
+    const event = migrateEvent(record);
+    return {
+      ...event,
+      startDate: new Date(event.startDate),
+      endDate: new Date(event.endDate),
+    };
+  }
+
   /**
    * Validate event structure
    * @param {Object} event - Event to validate
    * @returns {boolean} True if valid, false otherwise
    */
   validateEventStructure(event) {
+    return this.getEventStructureError(event) === null;
+  }
+
+  /**
+   * Explain why event data can't be stored
+   * @param {Object} event - Event to validate
+   * @returns {string|null} The problem, or null if the event is valid
+   */
+  getEventStructureError(event) {
     // Check required fields
     const requiredFields = ['id', 'title', 'startDate', 'endDate'];
 
     for (const field of requiredFields) {
       if (event[field] === undefined) {
-        return false;
+        return `Missing ${field}`;
       }
     }
 
     // Validate dates
-    if (
-      !this.isValidDateString(event.startDate) ||
-      !this.isValidDateString(event.endDate)
-    ) {
-      return false;
+    if (!this.isValidDateString(event.startDate)) {
+      return `Invalid start date "${event.startDate}"`;
+    }
+    if (!this.isValidDateString(event.endDate)) {
+      return `Invalid end date "${event.endDate}"`;
     }
 
-    return true;
+    return null;
   }
 
   /**
@@ -280,29 +487,12 @@ export class StorageAdapter {
   }
 
   /**
-   * Clear all stored data
-   * @returns {Promise<void>}
+   * Build the error thrown by interface methods a backend does not implement
+   * @param {string} method - Name of the missing method
+   * @returns {Error} The error to throw
+   * @private
    */
-  async clearAllData() {
-    try {
-      const keys = [];
-
-      for (let i = 0; i < localStorage.length; i++) {
-        const key = localStorage.key(i);
-
-        if (key && key.startsWith(this.storagePrefix)) {
-          keys.push(key);
-        }
-      }
-
-      for (const key of keys) {
-        localStorage.removeItem(key);
-      }
-
-      return true;
-    } catch (error) {
-      console.error('Error clearing data:', error);
-      throw new Error(`Failed to clear data: ${error.message}`);
-    }
+  _notImplemented(method) {
+    return new Error(`${this.constructor.name} does not implement ${method}()`);
   }
 }
@@ -0,0 +1,164 @@
+/**
+ * StorageFactory.js - Chooses the storage backend for Year Planner
+ *
+ * Uses the planner server when the user chose to share a planner through it.
+ * Otherwise prefers IndexedDB and falls back to localStorage when IndexedDB is
+ * missing or cannot be opened (e.g. some private browsing modes). Data left in
+ * localStorage by earlier versions is moved into IndexedDB on first use.
+ */
+
+import {
+  ENCRYPTION,
+  REMOTE_STORAGE,
+  SETTING_KEYS,
+  STORAGE_BACKENDS,
+} from '../config.js';
+import { IndexedDBStorageAdapter } from './IndexedDBStorageAdapter.js';
+import { LocalStorageAdapter } from './LocalStorageAdapter.js';
+import { RemoteStorageAdapter } from './RemoteStorageAdapter.js';
+
+/**
+ * Get where the planner data should be kept: as chosen for this visit with
+ * the `storage` URL parameter, or as last chosen in Settings
+ * @returns {string} One of STORAGE_BACKENDS
+ */
+export function getStorageBackend() {
+  const backends = Object.values(STORAGE_BACKENDS);
+  const fromUrl = new URLSearchParams(window.location.search).get(
+    REMOTE_STORAGE.URL_PARAM,
+  );
+  if (backends.includes(fromUrl)) {
+    return fromUrl;
+  }
+
+  try {
+    const chosen = localStorage.getItem(REMOTE_STORAGE.BACKEND_KEY);
+    return backends.includes(chosen) ? chosen : STORAGE_BACKENDS.LOCAL;
+  } catch (error) {
+    return STORAGE_BACKENDS.LOCAL;
+  }
+}
+
+/**
+ * Remember where this browser keeps the planner data from the next start on
+ * @param {string} backend - One of STORAGE_BACKENDS
+ */
+export function setStorageBackend(backend) {
+  localStorage.setItem(REMOTE_STORAGE.BACKEND_KEY, backend);
+}
+
+/**
+ * Create the chosen storage adapter, or the best available one in this
+ * browser when the planner server can't be reached
+ * @returns {Promise<StorageAdapter>} Promise resolving to a ready-to-use adapter
+ */
+export async function createStorageAdapter() {
+  if (getStorageBackend() === STORAGE_BACKENDS.SERVER) {
+    try {
+      return await new RemoteStorageAdapter().open();
+    } catch (error) {
+      console.warn('Planner server unavailable, using browser storage:', error);
+    }
+  }
+
+  if (IndexedDBStorageAdapter.isSupported()) {
+    try {
+      const adapter = await new IndexedDBStorageAdapter().open();
+      await migrateFromLocalStorage(adapter);
+      return adapter;
+    } catch (error) {
+      console.warn('IndexedDB unavailable, falling back to localStorage:', error);
+    }
+  }
+
+  return new LocalStorageAdapter();
+}
+
+/**
+ * Move events, categories, calendars and the other settings stored in
+ * localStorage into another adapter, with their snapshots and the key record
+ * if they are encrypted.
+ * localStorage keys are only removed once the target has saved the data, so
+ * an interrupted migration is simply retried on the next start.
+ * @param {StorageAdapter} target - Adapter to move the data into
+ * @returns {Promise<number>} Promise resolving to the number of events moved
+ */
+export async function migrateFromLocalStorage(target) {
+  let source;
+  try {
+    source = new LocalStorageAdapter();
+  } catch (error) {
+    // Nothing can have been stored where storage isn't available
+    return 0;
+  }
+
+  const years = await source.getStoredYears();
+  const categories = await source.loadCategories();
+  const calendars = await source.loadCalendars();
+  const encryption = await source.loadSetting(ENCRYPTION.SETTING_KEY);
+  const snapshots = target.keepsSnapshots() ? await source.loadSnapshots() : [];
+  const settings = new Map();
+  for (const key of SETTING_KEYS) {
+    const value = await source.loadSetting(key);
+    if (value !== null) {
+      settings.set(key, value);
+    }
+  }
+
+  const stored =
+    years.length > 0 ||
+    categories ||
+    calendars ||
+    encryption ||
+    snapshots.length > 0 ||
+    settings.size > 0;
+  if (!stored) {
+    return 0;
+  }
+
+  // Records encrypted under another key would be unreadable next to the target's
+  const targetEncryption = await target.loadSetting(ENCRYPTION.SETTING_KEY);
+  if (encryption && targetEncryption) {
+    console.warn('Not migrating encrypted localStorage data into encrypted storage');
+    return 0;
+  }
+
+  // Events spanning several years are stored under each; keep one copy
+  const events = new Map();
+  for (const year of years) {
+    for (const event of await source.loadEvents(year)) {
+      events.set(event.id, event);
+    }
+  }
+
+  // Store the key first, so encrypted records are never without it
+  if (encryption) {
+    await target.saveSetting(ENCRYPTION.SETTING_KEY, encryption);
+  }
+  await target.saveEvents([...events.values()]);
+  if (categories) {
+    await target.saveCategories(categories);
+  }
+  if (calendars) {
+    await target.saveCalendars(calendars);
+  }
+  for (const [key, value] of settings) {
+    await target.saveSetting(key, value);
+  }
+  for (const snapshot of snapshots) {
+    await target.saveSnapshot(snapshot);
+  }
+
+  years.forEach((year) => source.removeYear(year));
+  source.removeCategories();
+  source.removeCalendars();
+  settings.forEach((value, key) => source.removeSetting(key));
+  for (const snapshot of snapshots) {
+    await source.deleteSnapshot(snapshot.id);
+  }
+  if (encryption) {
+    source.removeSetting(ENCRYPTION.SETTING_KEY);
+  }
+
+  return events.size;
+}
@@ -0,0 +1,174 @@
+/**
+ * TabSync.js - Tells other open tabs of the planner what this tab stored
+ *
+ * Every tab keeps the year it shows in memory, so a change saved in one tab
+ * has to reach the others before they save over it. Changes are announced on
+ * a BroadcastChannel, or through `storage` events on a localStorage key in
+ * browsers without one. Changes made in quick succession, such as the
+ * events of an import, are sent as one message.
+ */
+
+import { SYNC } from '../config.js';
+
+/**
+ * Combine change descriptions into one
+ * @param {Object} target - Change description to add to
+ * @param {Object} change - Change description to add
+ * @returns {Object} The target
+ * @private
+ */
+function mergeChange(target, change) {
+  ['eventIds', 'deletedIds', 'years', 'settings'].forEach((key) => {
+    if (change[key] && change[key].length > 0) {
+      target[key] = [...new Set([...(target[key] || []), ...change[key]])];
+    }
+  });
+  if (change.all) {
+    target.all = true;
+  }
+  return target;
+}
+
+/**
+ * Announces this tab's storage changes and receives those of other tabs
+ */
+class TabSync {
+  /**
+   * @param {Object} [options] - Configuration options
+   * @param {string} [options.channelName=SYNC.CHANNEL_NAME] - Channel shared by the tabs
+   * @param {number} [options.batchDelay=SYNC.BATCH_DELAY] - Milliseconds to collect changes for
+   */
+  constructor({
+    channelName = SYNC.CHANNEL_NAME,
+    batchDelay = SYNC.BATCH_DELAY,
+  } = {}) {
+    this.channelName = channelName;
+    this.batchDelay = batchDelay;
+    this.tabId = crypto.randomUUID();
+    this.listeners = [];
+    this.pending = null;
+    this.flushTimeout = null;
+    this.channel = null;
+
+    this._handleMessage = this._handleMessage.bind(this);
+    this._handleStorage = this._handleStorage.bind(this);
+
+    if (typeof BroadcastChannel !== 'undefined') {
+      this.channel = new BroadcastChannel(channelName);
+      this.channel.addEventListener('message', this._handleMessage);
+    } else if (typeof window !== 'undefined') {
+      window.addEventListener('storage', this._handleStorage);
+    }
+  }
+
+  /**
+   * Announce a change to the other tabs, together with any other change made
+   * within the batch delay
+   * @param {Object} change - Change description from StorageAdapter.onChange()
+   */
+  publish(change) {
+    this.pending = mergeChange(this.pending || {}, change);
+
+    if (this.flushTimeout === null) {
+      this.flushTimeout = setTimeout(() => this.flush(), this.batchDelay);
+    }
+  }
+
+  /**
+   * Send the collected changes now
+   */
+  flush() {
+    clearTimeout(this.flushTimeout);
+    this.flushTimeout = null;
+    if (!this.pending) return;
+
+    const message = { source: this.tabId, change: this.pending };
+    this.pending = null;
+
+    try {
+      if (this.channel) {
+        this.channel.postMessage(message);
+      } else if (typeof localStorage !== 'undefined') {
+        // A new value every time, so the storage event always fires
+        localStorage.setItem(
+          SYNC.STORAGE_KEY,
+          JSON.stringify({ ...message, sentAt: Date.now() }),
+        );
+      }
+    } catch (error) {
+      console.error('Error announcing change to other tabs:', error);
+    }
+  }
+
+  /**
+   * Register a function called with the changes other tabs store
+   * @param {Function} listener - Called with a change description
+   * @returns {Function} Call to stop listening
+   */
+  subscribe(listener) {
+    this.listeners.push(listener);
+    return () => {
+      this.listeners = this.listeners.filter(
+        (registered) => registered !== listener,
+      );
+    };
+  }
+
+  /**
+   * Stop announcing and receiving changes, sending any that are waiting
+   */
+  close() {
+    this.flush();
+    if (this.channel) {
+      this.channel.removeEventListener('message', this._handleMessage);
+      this.channel.close();
+      this.channel = null;
+    } else if (typeof window !== 'undefined') {
+      window.removeEventListener('storage', this._handleStorage);
+    }
+    this.listeners = [];
+  }
+
+  /**
+   * Pass a message from another tab to the listeners
+   * @param {MessageEvent} event - Channel message
+   * @private
+   */
+  _handleMessage(event) {
+    this._receive(event.data);
+  }
+
+  /**
+   * Pass an announcement made through localStorage to the listeners
+   * @param {StorageEvent} event - Storage event
+   * @private
+   */
+  _handleStorage(event) {
+    if (event.key !== SYNC.STORAGE_KEY || !event.newValue) return;
+
+    try {
+      this._receive(JSON.parse(event.newValue));
+    } catch (error) {
+      console.error('Error reading change from another tab:', error);
+    }
+  }
+
+  /**
+   * Call the listeners with a change from another tab
+   * @param {Object} message - Message with the sending tab and its change
+   * @private
+   */
+  _receive(message) {
+    if (!message || !message.change || message.source === this.tabId) return;
+
+    this.listeners.forEach((listener) => {
+      try {
+        listener(message.change);
+      } catch (error) {
+        console.error('Error handling change from another tab:', error);
+      }
+    });
+  }
+}
+
+export { TabSync };
@@ -0,0 +1,104 @@
+/**
+ * TabSync.test.js - Tests for announcing storage changes to other tabs
+ *
+ * Two TabSync instances on one channel stand in for two tabs; BroadcastChannel
+ * delivers between them in the same page or process.
+ */
+
+import { TabSync } from './TabSync.js';
+
+/**
+ * Wait for messages and timers to be delivered
+ * @param {number} ms - Milliseconds to wait
+ * @returns {Promise<void>}
+ */
+function wait(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * Run tests and log results
+ */
+async function runTests() {
+  console.log('=== Running TabSync tests ===');
+
+  if (typeof BroadcastChannel === 'undefined') {
+    console.log('BroadcastChannel is not available, skipping TabSync tests');
+    return;
+  }
+
+  await testBatching();
+  await testOwnChanges();
+
+  console.log('=== All TabSync tests completed ===');
+}
+
+/**
+ * Test that changes made in quick succession arrive as one
+ */
+async function testBatching() {
+  console.log('Testing batched changes...');
+
+  const first = new TabSync({ channelName: 'tab-sync-test-batch', batchDelay: 10 });
+  const second = new TabSync({ channelName: 'tab-sync-test-batch', batchDelay: 10 });
+  const received = [];
+  second.subscribe((change) => received.push(change));
+
+  first.publish({ eventIds: ['a'], years: [2025] });
+  first.publish({ eventIds: ['b', 'a'], years: [2025, 2026] });
+  first.publish({ deletedIds: ['c'], settings: ['categories'] });
+  await wait(50);
+
+  console.assert(received.length === 1, `Changes should be sent as one message, got ${received.length}`);
+  const [change] = received;
+  console.assert(change.eventIds.join() === 'a,b', 'Saved IDs should be listed once');
+  console.assert(change.years.join() === '2025,2026', 'Years should be listed once');
+  console.assert(change.deletedIds.join() === 'c' && change.settings.join() === 'categories', 'Deletions and settings should be kept');
+  console.assert(!change.all, 'Only a cleared store should be marked as all');
+
+  first.publish({ all: true });
+  first.flush();
+  await wait(20);
+  console.assert(received.length === 2 && received[1].all, 'Flushing should send waiting changes at once');
+
+  first.close();
+  second.close();
+
+  console.log('Batched change tests completed');
+}
+
+/**
+ * Test that a tab doesn't receive its own changes, and unsubscribing
+ */
+async function testOwnChanges() {
+  console.log('Testing own changes...');
+
+  const first = new TabSync({ channelName: 'tab-sync-test-own', batchDelay: 0 });
+  const second = new TabSync({ channelName: 'tab-sync-test-own', batchDelay: 0 });
+  const ownReceived = [];
+  const otherReceived = [];
+  first.subscribe((change) => ownReceived.push(change));
+  const unsubscribe = second.subscribe((change) => otherReceived.push(change));
+
+  first.publish({ years: [2025] });
+  await wait(20);
+  console.assert(ownReceived.length === 0, 'A tab should not receive its own changes');
+  console.assert(otherReceived.length === 1, 'Other tabs should receive the change');
+
+  unsubscribe();
+  first.publish({ years: [2026] });
+  await wait(20);
+  console.assert(otherReceived.length === 1, 'Unsubscribed listeners should not be called');
+
+  first.close();
+  second.close();
+
+  console.log('Own change tests completed');
+}
+
+// Export for browser environment
+if (typeof window !== 'undefined') {
+  window.runTabSyncTests = runTests;
+}
+
+export { runTests };
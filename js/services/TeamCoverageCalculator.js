@@ -0,0 +1,93 @@
+/**
+ * TeamCoverageCalculator.js - Finds overlapping absences in a team
+ *
+ * In the team view every event with an assignee counts as time that person
+ * is away. Absences are compared in half-days, so someone leaving at noon
+ * doesn't overlap with someone arriving after lunch.
+ */
+
+import { TIME } from '../config.js';
+import { toHalfDays } from '../utils/DateUtils.js';
+
+/**
+ * Detects when several people are away at the same time
+ */
+class TeamCoverageCalculator {
+  /**
+   * @param {Object} [options] - Configuration options
+   * @param {number} [options.minPeople=2] - People away at once that make an overlap
+   */
+  constructor({ minPeople = 2 } = {}) {
+    this.minPeople = minPeople;
+  }
+
+  /**
+   * List the people events are assigned to
+   * @param {Array<Object>} events - Events or event layouts
+   * @returns {Array<string>} Distinct assignees in alphabetical order
+   */
+  static getPeople(events) {
+    const people = new Set();
+    events.forEach((event) => {
+      if (event.assignee) people.add(event.assignee);
+    });
+    return Array.from(people).sort((a, b) => a.localeCompare(b));
+  }
+
+  /**
+   * Find the days on which at least `minPeople` people are away during the
+   * same half of the day
+   * @param {Array<Object>} events - Events or event layouts
+   * @returns {Map<string, Array<string>>} People away by date (YYYY-MM-DD),
+   *   only for days with an overlap
+   */
+  getOverlapDays(events) {
+    const awayByHalfDay = new Map();
+
+    events.forEach((event) => {
+      if (!event.assignee) return;
+      const { start, end } = toHalfDays(event);
+      for (let halfDay = start; halfDay < end; halfDay++) {
+        if (!awayByHalfDay.has(halfDay)) {
+          awayByHalfDay.set(halfDay, new Set());
+        }
+        awayByHalfDay.get(halfDay).add(event.assignee);
+      }
+    });
+
+    const overlapDays = new Map();
+    awayByHalfDay.forEach((people, halfDay) => {
+      if (people.size < this.minPeople) return;
+
+      const date = new Date(Math.floor(halfDay / 2) * TIME.MS_PER_DAY)
+        .toISOString()
+        .split('T')[0];
+      const names = new Set([...(overlapDays.get(date) || []), ...people]);
+      overlapDays.set(
+        date,
+        Array.from(names).sort((a, b) => a.localeCompare(b)),
+      );
+    });
+
+    return overlapDays;
+  }
+
+  /**
+   * Find other people's events that overlap an event
+   * @param {Object} event - Event to check; it needs an assignee
+   * @param {Array<Object>} events - Events to check against
+   * @returns {Array<Object>} Overlapping events of other assignees
+   */
+  findConflicts(event, events) {
+    if (!event.assignee) return [];
+
+    const { start, end } = toHalfDays(event);
+    return events.filter((other) => {
+      if (!other.assignee || other.assignee === event.assignee) return false;
+      const span = toHalfDays(other);
+      return span.start < end && start < span.end;
+    });
+  }
+}
+
+export { TeamCoverageCalculator };
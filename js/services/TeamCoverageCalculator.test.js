@@ -0,0 +1,135 @@
+/**
+ * TeamCoverageCalculator.test.js - Tests for overlapping absence detection
+ */
+
+import { TeamCoverageCalculator } from './TeamCoverageCalculator.js';
+import { Event } from '../domain/models.js';
+
+/**
+ * Create an assigned event on local calendar dates
+ * @param {string} assignee - Person the event is for
+ * @param {Array<number>} start - [year, month, day] of the first day
+ * @param {Array<number>} end - [year, month, day] of the last day
+ * @param {Object} [flags] - startsPM / endsAM flags
+ * @returns {Event}
+ */
+function absence(assignee, start, end, flags = {}) {
+  return new Event({
+    title: `${assignee} away`,
+    startDate: new Date(...start),
+    endDate: new Date(...end),
+    assignee,
+    ...flags,
+  });
+}
+
+/**
+ * Run tests and log results
+ */
+function runTests() {
+  console.log('=== Running TeamCoverageCalculator tests ===');
+
+  testGetPeople();
+  testOverlapDays();
+  testHalfDays();
+  testFindConflicts();
+
+  console.log('=== All TeamCoverageCalculator tests completed ===');
+}
+
+/**
+ * Test listing the people events are assigned to
+ */
+function testGetPeople() {
+  console.log('Testing getPeople...');
+
+  const events = [
+    absence('Carol', [2025, 2, 3], [2025, 2, 4]),
+    absence('alice', [2025, 2, 3], [2025, 2, 4]),
+    absence('Carol', [2025, 5, 1], [2025, 5, 1]),
+    new Event({ title: 'Offsite', startDate: new Date(2025, 2, 3), endDate: new Date(2025, 2, 3) }),
+  ];
+
+  const people = TeamCoverageCalculator.getPeople(events);
+  console.assert(people.join() === 'alice,Carol', `People should be distinct and sorted, got ${people}`);
+
+  console.log('getPeople tests completed');
+}
+
+/**
+ * Test finding the days when several people are away
+ */
+function testOverlapDays() {
+  console.log('Testing overlap days...');
+
+  const calculator = new TeamCoverageCalculator();
+  const overlaps = calculator.getOverlapDays([
+    absence('Alice', [2025, 2, 3], [2025, 2, 7]),
+    absence('Bob', [2025, 2, 6], [2025, 2, 10]),
+    absence('Bob', [2025, 2, 7], [2025, 2, 7]),
+    new Event({ title: 'Offsite', startDate: new Date(2025, 2, 3), endDate: new Date(2025, 2, 3) }),
+  ]);
+
+  console.assert(overlaps.size === 2, `Alice and Bob overlap on two days, got ${overlaps.size}`);
+  console.assert(overlaps.get('2025-03-06').join() === 'Alice,Bob', 'Overlap should list both people');
+  console.assert(!overlaps.has('2025-03-03'), 'Unassigned events are not absences');
+  console.assert(!overlaps.has('2025-03-10'), 'One person away is not an overlap');
+
+  const threeOrMore = new TeamCoverageCalculator({ minPeople: 3 });
+  console.assert(threeOrMore.getOverlapDays([
+    absence('Alice', [2025, 2, 3], [2025, 2, 7]),
+    absence('Bob', [2025, 2, 6], [2025, 2, 10]),
+  ]).size === 0, 'Two people should not reach a threshold of three');
+
+  console.log('Overlap day tests completed');
+}
+
+/**
+ * Test that half-day absences only overlap when they share a half
+ */
+function testHalfDays() {
+  console.log('Testing half-day overlaps...');
+
+  const calculator = new TeamCoverageCalculator();
+  const morning = absence('Alice', [2025, 2, 3], [2025, 2, 4], { endsAM: true });
+  const afternoon = absence('Bob', [2025, 2, 4], [2025, 2, 5], { startsPM: true });
+
+  console.assert(calculator.getOverlapDays([morning, afternoon]).size === 0, 'Morning and afternoon absences should not overlap');
+  console.assert(calculator.findConflicts(morning, [afternoon]).length === 0, 'Morning and afternoon absences should not conflict');
+
+  const fullDay = absence('Carol', [2025, 2, 4], [2025, 2, 4]);
+  const overlaps = calculator.getOverlapDays([morning, afternoon, fullDay]);
+  console.assert(overlaps.get('2025-03-04').join() === 'Alice,Bob,Carol', 'Everyone sharing a half with someone else should be listed');
+
+  console.log('Half-day overlap tests completed');
+}
+
+/**
+ * Test finding other people's events that overlap an event
+ */
+function testFindConflicts() {
+  console.log('Testing findConflicts...');
+
+  const calculator = new TeamCoverageCalculator();
+  const alice = absence('Alice', [2025, 6, 14], [2025, 6, 18]);
+  const others = [
+    absence('Bob', [2025, 6, 18], [2025, 6, 25]),
+    absence('Alice', [2025, 6, 15], [2025, 6, 15]),
+    absence('Carol', [2025, 6, 19], [2025, 6, 20]),
+  ];
+
+  const conflicts = calculator.findConflicts(alice, others);
+  console.assert(conflicts.length === 1 && conflicts[0].assignee === 'Bob', 'Only Bob\'s absence should conflict');
+
+  const unassigned = new Event({ title: 'Offsite', startDate: new Date(2025, 6, 14), endDate: new Date(2025, 6, 18) });
+  console.assert(calculator.findConflicts(unassigned, others).length === 0, 'Unassigned events have no conflicts');
+
+  console.log('findConflicts tests completed');
+}
+
+// Export for browser environment
+if (typeof window !== 'undefined') {
+  window.runTeamCoverageCalculatorTests = runTests;
+}
+
+export { runTests };
@@ -0,0 +1,142 @@
+/**
+ * TrashBin.js - Deleted events, kept for a while so they can be restored
+ *
+ * Deleting an event moves it to the trash with the time it was deleted; a
+ * deleted series keeps its recurrence pattern with its skipped and changed
+ * occurrences. The trash is stored as a setting (STORAGE.TRASH_KEY), so it is
+ * kept wherever the rest of the planner is: encrypted with a passphrase,
+ * shared on the planner server, and emptied by a reset. Events that have been
+ * in the trash longer than the retention period are purged for good.
+ */
+
+import { PREFERENCES, STORAGE } from '../config.js';
+
+/** Milliseconds in a day */
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export class TrashBin {
+  /**
+   * @param {StorageAdapter} adapter - Storage the trash is kept in
+   * @param {Object} [options] - Trash options
+   * @param {number} [options.retentionDays] - Days deleted events are kept
+   * @param {Function} [options.now] - Returns the current time
+   */
+  constructor(
+    adapter,
+    {
+      retentionDays = PREFERENCES.DEFAULTS.trashRetentionDays,
+      now = () => new Date(),
+    } = {},
+  ) {
+    this.adapter = adapter;
+    this.retentionDays = retentionDays;
+    this.now = now;
+  }
+
+  /**
+   * List the events in the trash
+   * @returns {Promise<Array<{event: Object, deletedAt: string, expiresAt: Date}>>}
+   *   The deleted events with Date fields, most recently deleted first, each
+   *   with the time it is purged
+   */
+  async list() {
+    const items = await this._load();
+    return items
+      .map(({ event, deletedAt }) => ({
+        event: this.adapter.reviveEvent(event),
+        deletedAt,
+        expiresAt: new Date(
+          new Date(deletedAt).getTime() + this.retentionDays * DAY_MS,
+        ),
+      }))
+      .sort((a, b) => b.deletedAt.localeCompare(a.deletedAt));
+  }
+
+  /**
+   * Move a deleted event to the trash. The event itself is deleted from
+   * storage by the caller.
+   * @param {Object} event - The event being deleted
+   * @returns {Promise<void>}
+   */
+  async add(event) {
+    const items = (await this._load()).filter(
+      (item) => item.event.id !== event.id,
+    );
+    items.push({
+      event: this.adapter.serializeEvent(event),
+      deletedAt: this.now().toISOString(),
+    });
+    await this._save(items);
+  }
+
+  /**
+   * Save events from the trash back into the planner and take them out of it
+   * @param {Array<string>} eventIds - IDs of the events to restore
+   * @returns {Promise<Array<Object>>} The restored events
+   */
+  async restore(eventIds) {
+    const items = await this._load();
+    const restored = items
+      .filter((item) => eventIds.includes(item.event.id))
+      .map((item) => this.adapter.reviveEvent(item.event));
+
+    if (restored.length > 0) {
+      await this.adapter.saveEvents(restored);
+      await this._save(
+        items.filter((item) => !eventIds.includes(item.event.id)),
+      );
+    }
+    return restored;
+  }
+
+  /**
+   * Delete events in the trash for good
+   * @param {Array<string>} eventIds - IDs of the events to purge
+   * @returns {Promise<number>} Number of events purged
+   */
+  async purge(eventIds) {
+    const items = await this._load();
+    const kept = items.filter((item) => !eventIds.includes(item.event.id));
+
+    if (kept.length !== items.length) {
+      await this._save(kept);
+    }
+    return items.length - kept.length;
+  }
+
+  /**
+   * Delete the events kept longer than the retention period for good
+   * @returns {Promise<number>} Number of events purged
+   */
+  async purgeExpired() {
+    const oldest = this.now().getTime() - this.retentionDays * DAY_MS;
+    const items = await this._load();
+    const kept = items.filter(
+      (item) => new Date(item.deletedAt).getTime() > oldest,
+    );
+
+    if (kept.length !== items.length) {
+      await this._save(kept);
+    }
+    return items.length - kept.length;
+  }
+
+  /**
+   * Load the stored trash
+   * @returns {Promise<Array<{event: Object, deletedAt: string}>>}
+   * @private
+   */
+  async _load() {
+    return (await this.adapter.loadSetting(STORAGE.TRASH_KEY)) || [];
+  }
+
+  /**
+   * Store the trash
+   * @param {Array<{event: Object, deletedAt: string}>} items - Deleted events
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _save(items) {
+    await this.adapter.saveSetting(STORAGE.TRASH_KEY, items);
+  }
+}
@@ -0,0 +1,221 @@
+/**
+ * TrashBin.test.js - Tests for keeping deleted events in the trash
+ */
+
+import { RECURRENCE_TYPES, STORAGE } from '../config.js';
+import { StorageAdapter } from './StorageAdapter.js';
+import { TrashBin } from './TrashBin.js';
+
+/**
+ * Adapter keeping plain copies of what it is given
+ */
+class MemoryStorageAdapter extends StorageAdapter {
+  constructor() {
+    super();
+    this.records = new Map();
+    this.settings = new Map();
+  }
+
+  async loadEvents(year) {
+    return [...this.records.values()]
+      .filter((record) => this.getEventYears(record).includes(year))
+      .map((record) => this.reviveEvent(record));
+  }
+
+  async saveEvent(event) {
+    this.records.set(event.id, this.serializeEvent(event));
+    return true;
+  }
+
+  async deleteEvent(eventId) {
+    return this.records.delete(eventId);
+  }
+
+  async loadSetting(key) {
+    return this.settings.has(key) ? JSON.parse(this.settings.get(key)) : null;
+  }
+
+  async saveSetting(key, value) {
+    this.settings.set(key, JSON.stringify(value));
+    return true;
+  }
+
+  async clearAllData() {
+    this.records.clear();
+    this.settings.clear();
+    return true;
+  }
+}
+
+/**
+ * Create an event
+ * @param {string} id - Event ID
+ * @param {string} start - First day, YYYY-MM-DD
+ * @returns {Object}
+ */
+function createEvent(id, start) {
+  return {
+    id,
+    title: id,
+    startDate: new Date(`${start}T00:00:00.000Z`),
+    endDate: new Date(`${start}T00:00:00.000Z`),
+  };
+}
+
+/**
+ * Create a weekly series with a skipped occurrence
+ * @returns {Object}
+ */
+function createSeries() {
+  return {
+    ...createEvent('standup', '2025-01-06'),
+    isRecurring: true,
+    recurrencePattern: {
+      type: RECURRENCE_TYPES.WEEKLY,
+      interval: 1,
+      daysOfWeek: [1],
+      exceptions: ['2025-04-21'],
+    },
+  };
+}
+
+/**
+ * Create a clock whose time can be moved on
+ * @param {string} start - Starting time, as an ISO string
+ * @returns {{now: Function, advanceDays: Function}}
+ */
+function createClock(start) {
+  let time = new Date(start).getTime();
+  return {
+    now: () => new Date(time),
+    advanceDays: (days) => {
+      time += days * 24 * 60 * 60 * 1000;
+    },
+  };
+}
+
+/**
+ * Run tests and log results
+ */
+async function runTests() {
+  console.log('=== Running TrashBin tests ===');
+
+  await testAdd();
+  await testRestore();
+  await testPurge();
+  await testPurgeExpired();
+
+  console.log('=== All TrashBin tests completed ===');
+}
+
+/**
+ * Test moving deleted events to the trash
+ */
+async function testAdd() {
+  console.log('Testing moving events to the trash...');
+
+  const adapter = new MemoryStorageAdapter();
+  const clock = createClock('2025-06-01T08:00:00.000Z');
+  const trash = new TrashBin(adapter, { retentionDays: 30, now: clock.now });
+
+  await trash.add(createSeries());
+  clock.advanceDays(1);
+  await trash.add(createEvent('dentist', '2025-03-10'));
+
+  const items = await trash.list();
+  console.assert(items.map((item) => item.event.id).join() === 'dentist,standup', 'The most recently deleted event should be listed first');
+
+  const series = items[1];
+  console.assert(series.deletedAt === '2025-06-01T08:00:00.000Z', 'The time of deletion should be kept');
+  console.assert(series.expiresAt.toISOString() === '2025-07-01T08:00:00.000Z', `The event should expire after the retention period, got ${series.expiresAt.toISOString()}`);
+  console.assert(series.event.startDate instanceof Date, 'Listed events should have Date fields');
+  console.assert(series.event.recurrencePattern.exceptions[0] === '2025-04-21', 'A deleted series should keep its recurrence');
+
+  clock.advanceDays(1);
+  await trash.add({ ...createEvent('dentist', '2025-03-10'), title: 'Dentist (again)' });
+  const again = await trash.list();
+  console.assert(again.length === 2 && again[0].event.title === 'Dentist (again)', 'Deleting an event again should replace its earlier entry');
+
+  console.log('Moving events to the trash tests completed');
+}
+
+/**
+ * Test restoring events from the trash
+ */
+async function testRestore() {
+  console.log('Testing restoring from the trash...');
+
+  const adapter = new MemoryStorageAdapter();
+  const trash = new TrashBin(adapter);
+  await trash.add(createSeries());
+  await trash.add(createEvent('dentist', '2025-03-10'));
+
+  const restored = await trash.restore(['standup', 'unknown']);
+  console.assert(restored.length === 1 && restored[0].id === 'standup', 'Only events in the trash should be restored');
+
+  const [stored] = await adapter.loadEvents(2025);
+  console.assert(stored.id === 'standup' && stored.isRecurring, 'The series should be saved back');
+  console.assert(stored.recurrencePattern.daysOfWeek[0] === 1 && stored.recurrencePattern.exceptions.length === 1, 'The recurrence should be restored intact');
+
+  const items = await trash.list();
+  console.assert(items.length === 1 && items[0].event.id === 'dentist', 'Restored events should leave the trash');
+  console.assert((await trash.restore([])).length === 0, 'Restoring nothing should do nothing');
+
+  console.log('Restoring from the trash tests completed');
+}
+
+/**
+ * Test purging events from the trash
+ */
+async function testPurge() {
+  console.log('Testing purging the trash...');
+
+  const adapter = new MemoryStorageAdapter();
+  const trash = new TrashBin(adapter);
+  await trash.add(createSeries());
+  await trash.add(createEvent('dentist', '2025-03-10'));
+
+  console.assert(await trash.purge(['dentist']) === 1, 'One event should be purged');
+  console.assert((await trash.list()).map((item) => item.event.id).join() === 'standup', 'Other events should stay in the trash');
+  console.assert(await trash.purge(['dentist']) === 0, 'Purging an event twice should do nothing');
+
+  await adapter.clearAllData();
+  console.assert((await trash.list()).length === 0 && adapter.settings.get(STORAGE.TRASH_KEY) === undefined, 'Clearing the data should empty the trash');
+
+  console.log('Purging the trash tests completed');
+}
+
+/**
+ * Test that events are purged after the retention period
+ */
+async function testPurgeExpired() {
+  console.log('Testing the retention period...');
+
+  const adapter = new MemoryStorageAdapter();
+  const clock = createClock('2025-06-01T08:00:00.000Z');
+  const trash = new TrashBin(adapter, { retentionDays: 7, now: clock.now });
+
+  await trash.add(createEvent('old', '2025-03-10'));
+  clock.advanceDays(5);
+  await trash.add(createEvent('recent', '2025-03-11'));
+
+  clock.advanceDays(1);
+  console.assert(await trash.purgeExpired() === 0, 'Nothing should be purged within the retention period');
+
+  clock.advanceDays(1);
+  console.assert(await trash.purgeExpired() === 1, 'Events deleted a week ago should be purged');
+  console.assert((await trash.list()).map((item) => item.event.id).join() === 'recent', 'Newer events should be kept');
+
+  const longer = new TrashBin(adapter, { retentionDays: 30, now: clock.now });
+  clock.advanceDays(20);
+  console.assert(await longer.purgeExpired() === 0, 'A longer retention period should keep events longer');
+
+  console.log('Retention period tests completed');
+}
+
+// Export for browser environment
+if (typeof window !== 'undefined') {
+  window.runTrashBinTests = runTests;
+}
+
+export { runTests };
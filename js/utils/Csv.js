@@ -0,0 +1,422 @@
+/**
+ * Csv.js
+ * Conversion between planner events and CSV (RFC 4180) files
+ *
+ * Other tools name and order their columns in their own way, so an import
+ * starts by reading the header row and guessing which column holds which
+ * event field; the user confirms or changes the mapping. Dates written as
+ * 03/04/2025 can be day-first or month-first, so the format is detected from
+ * the values that only fit one of them.
+ */
+
+import { Event } from '../domain/models.js';
+import { RecurrencePattern } from '../services/RecurrenceCalculator.js';
+import { CSV_DATE_FORMATS, RECURRENCE_TYPES } from '../config.js';
+import { createDateOnly } from './DateUtils.js';
+
+/**
+ * Event fields a column can be mapped to, in export order. Headers are
+ * matched to a field by its label or one of its aliases.
+ */
+export const CSV_FIELDS = [
+  { field: 'id', label: 'ID', aliases: ['uid'] },
+  { field: 'title', label: 'Title', required: true, aliases: ['name', 'summary', 'subject', 'event'] },
+  { field: 'startDate', label: 'Start Date', required: true, aliases: ['start', 'from', 'begin', 'first day', 'date'] },
+  { field: 'endDate', label: 'End Date', aliases: ['end', 'to', 'until', 'finish', 'last day'] },
+  { field: 'description', label: 'Description', aliases: ['notes', 'details', 'comment', 'comments'] },
+  { field: 'startsPM', label: 'Starts PM', aliases: ['pm start', 'starts afternoon'] },
+  { field: 'endsAM', label: 'Ends AM', aliases: ['am end', 'ends morning'] },
+  { field: 'isPublicHoliday', label: 'Public Holiday', aliases: ['holiday', 'bank holiday'] },
+  { field: 'recurrence', label: 'Recurrence', aliases: ['rrule', 'repeat', 'repeats'] },
+  { field: 'category', label: 'Category', aliases: ['type', 'leave type', 'kind'] },
+  { field: 'assignee', label: 'Assignee', aliases: ['person', 'employee', 'owner', 'who'] },
+];
+
+/** Delimiters recognised in CSV files, in order of preference */
+const DELIMITERS = [',', ';', '\t'];
+
+/** Values read as true in flag columns */
+const TRUE_VALUES = ['true', 'yes', 'y', '1', 'x'];
+
+/**
+ * Export events to a CSV document with a header row
+ *
+ * @param {Array<Event|Object>} events - Events to export (series, not expanded instances)
+ * @param {Object} [options] - Export options
+ * @param {Array<{id: string, name: string}>} [options.categories] - Categories used to name the Category column
+ * @returns {string} CSV text with CRLF line endings
+ */
+export function exportToCsv(events, { categories = [] } = {}) {
+  const categoryNames = new Map(categories.map((category) => [category.id, category.name]));
+
+  const rows = [CSV_FIELDS.map(({ label }) => label)];
+  for (const event of events) {
+    const startDate = new Date(event.startDate);
+    const values = {
+      id: event.id,
+      title: event.title,
+      startDate: formatDate(startDate),
+      endDate: formatDate(new Date(event.endDate)),
+      description: event.description || '',
+      startsPM: event.startsPM ? 'yes' : 'no',
+      endsAM: event.endsAM ? 'yes' : 'no',
+      isPublicHoliday: event.isPublicHoliday ? 'yes' : 'no',
+      recurrence: '',
+      category: categoryNames.get(event.categoryId) || '',
+      assignee: event.assignee || '',
+    };
+
+    if (event.isRecurring && event.recurrencePattern) {
+      const localStart = new Date(
+        startDate.getUTCFullYear(),
+        startDate.getUTCMonth(),
+        startDate.getUTCDate(),
+      );
+      values.recurrence = RecurrencePattern.fromObject(event.recurrencePattern)
+        .toRRuleString(localStart);
+    }
+
+    rows.push(CSV_FIELDS.map(({ field }) => values[field]));
+  }
+
+  return rows.map((row) => row.map(escapeValue).join(',')).join('\r\n') + '\r\n';
+}
+
+/**
+ * Parse a CSV document. The delimiter (comma, semicolon or tab) is taken
+ * from the header row, and blank lines are left out.
+ *
+ * @param {string} text - CSV text
+ * @returns {{headers: Array<string>, rows: Array<Array<string>>}} Header names and data rows
+ * @throws {Error} If the text has no header row
+ */
+export function parseCsv(text) {
+  const content = String(text).replace(/^\uFEFF/, '');
+  const delimiter = detectDelimiter(content.split(/\r?\n/, 1)[0]);
+
+  const records = [];
+  let record = [];
+  let value = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < content.length; i++) {
+    const character = content[i];
+
+    if (inQuotes) {
+      if (character === '"' && content[i + 1] === '"') {
+        value += '"';
+        i++;
+      } else if (character === '"') {
+        inQuotes = false;
+      } else {
+        value += character;
+      }
+    } else if (character === '"') {
+      inQuotes = true;
+    } else if (character === delimiter) {
+      record.push(value);
+      value = '';
+    } else if (character === '\n' || character === '\r') {
+      if (character === '\r' && content[i + 1] === '\n') i++;
+      record.push(value);
+      records.push(record);
+      record = [];
+      value = '';
+    } else {
+      value += character;
+    }
+  }
+  record.push(value);
+  records.push(record);
+
+  const nonBlank = records.filter((row) => row.some((cell) => cell.trim() !== ''));
+  if (nonBlank.length === 0) {
+    throw new Error('The file has no header row');
+  }
+
+  const [headers, ...rows] = nonBlank;
+  return { headers: headers.map((header) => header.trim()), rows };
+}
+
+/**
+ * Guess which column holds each event field from the header names
+ *
+ * @param {Array<string>} headers - Header row
+ * @returns {Object<string, number>} Column index by field, for the fields found
+ */
+export function guessColumnMapping(headers) {
+  const normalized = headers.map(normalizeHeader);
+  const mapping = {};
+  const used = new Set();
+
+  // Labels first, so a "Name" column goes to the title only when nothing is called "Title"
+  const passes = [
+    ({ label }) => [label],
+    ({ aliases }) => aliases,
+  ];
+  for (const names of passes) {
+    for (const definition of CSV_FIELDS) {
+      if (mapping[definition.field] !== undefined) continue;
+
+      const candidates = names(definition).map(normalizeHeader);
+      const index = normalized.findIndex(
+        (header, column) => !used.has(column) && candidates.includes(header),
+      );
+      if (index !== -1) {
+        mapping[definition.field] = index;
+        used.add(index);
+      }
+    }
+  }
+
+  return mapping;
+}
+
+/**
+ * Work out the date format of a column's values. Day-first and month-first
+ * dates can only be told apart by a value whose first or second number is
+ * above 12.
+ *
+ * @param {Array<string>} values - Date values
+ * @returns {string|null} One of CSV_DATE_FORMATS, or null if the values fit
+ *   both day-first and month-first dates, or mix formats
+ */
+export function detectDateFormat(values) {
+  const formats = Object.values(CSV_DATE_FORMATS);
+  let candidates = formats;
+
+  values
+    .map((value) => String(value).trim())
+    .filter(Boolean)
+    .forEach((value) => {
+      const fits = formats.filter((format) => tryParseDate(value, format));
+      // Values that fit no format are reported when the rows are imported
+      if (fits.length > 0) {
+        candidates = candidates.filter((format) => fits.includes(format));
+      }
+    });
+
+  return candidates.length === 1 ? candidates[0] : null;
+}
+
+/**
+ * Turn CSV rows into events. Each row is validated by the Event
+ * constructor; rows it rejects, and rows with dates or recurrences that
+ * can't be read, are returned in `skipped` with the reason.
+ *
+ * @param {Array<Array<string>>} rows - Data rows from parseCsv()
+ * @param {Object} options - Import options
+ * @param {Object<string, number>} options.mapping - Column index by event field
+ * @param {string} options.dateFormat - One of CSV_DATE_FORMATS
+ * @param {Array<{id: string, name: string}>} [options.categories] - Categories matched by name
+ * @returns {{events: Array<Event>, skipped: Array<{row: number, summary: string, reason: string}>}}
+ *   Imported events and skipped rows; `row` is the line number in the file
+ */
+export function importFromCsv(rows, { mapping, dateFormat, categories = [] }) {
+  const categoryIds = new Map(
+    categories.map((category) => [category.name.toLowerCase(), category.id]),
+  );
+
+  const events = [];
+  const skipped = [];
+
+  rows.forEach((row, index) => {
+    const get = (field) =>
+      mapping[field] === undefined ? '' : String(row[mapping[field]] || '').trim();
+    // Line 1 is the header row
+    const line = index + 2;
+
+    try {
+      events.push(rowToEvent(get, dateFormat, categoryIds));
+    } catch (error) {
+      const title = get('title');
+      skipped.push({
+        row: line,
+        summary: title ? `Row ${line} "${title}"` : `Row ${line}`,
+        reason: error.message,
+      });
+    }
+  });
+
+  return { events, skipped };
+}
+
+/**
+ * Build an event from the values of a row
+ * @param {Function} get - Returns the trimmed value of an event field
+ * @param {string} dateFormat - One of CSV_DATE_FORMATS
+ * @param {Map<string, string>} categoryIds - Category IDs by lower-case name
+ * @returns {Event} The event
+ * @throws {Error} If the row can't be represented in the planner
+ * @private
+ */
+function rowToEvent(get, dateFormat, categoryIds) {
+  const start = get('startDate');
+  const end = get('endDate');
+  const startDate = start ? parseDate(start, dateFormat) : null;
+  const endDate = end ? parseDate(end, dateFormat) : startDate;
+
+  const recurrencePattern = parseRecurrence(get('recurrence'));
+  const category = get('category').toLowerCase();
+
+  const eventParams = {
+    title: get('title'),
+    description: get('description'),
+    startDate,
+    endDate,
+    isRecurring: Boolean(recurrencePattern),
+    recurrencePattern,
+    startsPM: isTrue(get('startsPM')),
+    endsAM: isTrue(get('endsAM')),
+    isPublicHoliday: isTrue(get('isPublicHoliday')),
+    categoryId: categoryIds.get(category) || null,
+    assignee: get('assignee') || null,
+  };
+
+  const id = get('id');
+  if (id) {
+    eventParams.id = id;
+  }
+
+  return new Event(eventParams);
+}
+
+/**
+ * Read a Recurrence value: a type name such as "weekly", or an RRULE
+ * @param {string} value - Cell value
+ * @returns {Object|null} Recurrence pattern, or null for an empty value
+ * @throws {Error} If the value is not a recurrence the planner supports
+ * @private
+ */
+function parseRecurrence(value) {
+  if (!value) return null;
+
+  const type = value.toLowerCase();
+  if (type !== RECURRENCE_TYPES.RRULE && Object.values(RECURRENCE_TYPES).includes(type)) {
+    return { type };
+  }
+
+  try {
+    return RecurrencePattern.fromRRule(value).toJSON();
+  } catch (error) {
+    throw new Error(`Unsupported recurrence "${value}": ${error.message}`);
+  }
+}
+
+/**
+ * Parse a date in the given format to the planner's UTC-midnight date
+ * @param {string} value - Cell value
+ * @param {string} format - One of CSV_DATE_FORMATS
+ * @returns {Date} Date at midnight UTC
+ * @throws {Error} If the value is not a valid date in the format
+ * @private
+ */
+function parseDate(value, format) {
+  const date = tryParseDate(value, format);
+  if (!date) {
+    throw new Error(`Invalid date "${value}", expected ${format}`);
+  }
+  return date;
+}
+
+/**
+ * Parse a date in the given format, allowing any of / - . as separators,
+ * single-digit days and months, two-digit years and a trailing time
+ * @param {string} value - Cell value
+ * @param {string} format - One of CSV_DATE_FORMATS
+ * @returns {Date|null} Date at midnight UTC, or null if the value doesn't
+ *   fit the format or names a day that doesn't exist
+ * @private
+ */
+function tryParseDate(value, format) {
+  let year;
+  let month;
+  let day;
+
+  if (format === CSV_DATE_FORMATS.ISO) {
+    const match = /^(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})(?:$|[T\s])/.exec(value);
+    if (!match) return null;
+    [year, month, day] = match.slice(1).map(Number);
+  } else {
+    const match = /^(\d{1,2})[-/.](\d{1,2})[-/.](\d{2}|\d{4})(?:$|\s)/.exec(value);
+    if (!match) return null;
+    const [first, second, yearValue] = match.slice(1).map(Number);
+    [day, month] = format === CSV_DATE_FORMATS.DAY_FIRST ? [first, second] : [second, first];
+    year = match[3].length === 2 ? 2000 + yearValue : yearValue;
+  }
+
+  const date = createDateOnly(year, month - 1, day);
+  if (date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+    return null;
+  }
+  return date;
+}
+
+/**
+ * Pick the delimiter of a file from its header row
+ * @param {string} headerLine - First line of the file
+ * @returns {string} The delimiter used most outside quotes, or a comma
+ * @private
+ */
+function detectDelimiter(headerLine) {
+  const unquoted = headerLine.replace(/"[^"]*"/g, '');
+  let best = DELIMITERS[0];
+  let bestCount = 0;
+
+  DELIMITERS.forEach((delimiter) => {
+    const count = unquoted.split(delimiter).length - 1;
+    if (count > bestCount) {
+      best = delimiter;
+      bestCount = count;
+    }
+  });
+
+  return best;
+}
+
+/**
+ * Normalize a header name for matching
+ * @param {string} header - Header name
+ * @returns {string} Lower-case words separated by single spaces
+ * @private
+ */
+function normalizeHeader(header) {
+  return String(header)
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+/**
+ * Format a stored date as YYYY-MM-DD, using its UTC day like the rest of
+ * the planner
+ * @param {Date} date - Date to format
+ * @returns {string} Formatted date
+ * @private
+ */
+function formatDate(date) {
+  const month = String(date.getUTCMonth() + 1).padStart(2, '0');
+  const day = String(date.getUTCDate()).padStart(2, '0');
+  return `${date.getUTCFullYear()}-${month}-${day}`;
+}
+
+/**
+ * Quote a value if it contains a delimiter, quote or line break
+ * @param {*} value - Cell value
+ * @returns {string} CSV field
+ * @private
+ */
+function escapeValue(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",;\t\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Check a flag value
+ * @param {string} value - Cell value
+ * @returns {boolean} True for yes, true, y, 1 or x (any case)
+ * @private
+ */
+function isTrue(value) {
+  return TRUE_VALUES.includes(value.toLowerCase());
+}
@@ -0,0 +1,197 @@
+/**
+ * Csv.test.js - Tests for CSV import and export
+ *
+ * Covers reading files written by spreadsheets and HR tools, guessing the
+ * column mapping and date format, and round trips of exported events.
+ */
+
+import {
+  exportToCsv,
+  parseCsv,
+  guessColumnMapping,
+  detectDateFormat,
+  importFromCsv,
+} from './Csv.js';
+import { Event } from '../domain/models.js';
+import { CSV_DATE_FORMATS } from '../config.js';
+
+const categories = [{ id: 'leave', name: 'Leave' }];
+
+/**
+ * Run tests and log results
+ */
+function runTests() {
+  console.log('=== Running Csv tests ===');
+
+  testParse();
+  testColumnMapping();
+  testDateFormatDetection();
+  testImport();
+  testRoundTrip();
+
+  console.log('=== All Csv tests completed ===');
+}
+
+/**
+ * Test reading quoted values, other delimiters and blank lines
+ */
+function testParse() {
+  console.log('Testing CSV parsing...');
+
+  const { headers, rows } = parseCsv('\uFEFFName,Notes\r\n"Smith, Jo","Said ""hi""\nthen left"\r\n\r\nLee,\r\n');
+  console.assert(headers.join('|') === 'Name|Notes', `Headers should be read without the BOM, got ${headers}`);
+  console.assert(rows.length === 2, `Blank lines should be left out, got ${rows.length} rows`);
+  console.assert(rows[0][0] === 'Smith, Jo', 'Quoted delimiters should stay in the value');
+  console.assert(rows[0][1] === 'Said "hi"\nthen left', 'Doubled quotes and line breaks in quotes should be kept');
+
+  const semicolons = parseCsv('Title;Start\nLeave;01/02/2025');
+  console.assert(semicolons.rows[0][1] === '01/02/2025', 'Semicolon-separated files should be read');
+
+  const tabs = parseCsv('Title\tStart\nLeave\t2025-02-01');
+  console.assert(tabs.rows[0][0] === 'Leave', 'Tab-separated files should be read');
+
+  let threw = false;
+  try {
+    parseCsv('\n\n');
+  } catch (error) {
+    threw = true;
+  }
+  console.assert(threw, 'An empty file should throw');
+
+  console.log('CSV parsing tests completed');
+}
+
+/**
+ * Test guessing columns from header names
+ */
+function testColumnMapping() {
+  console.log('Testing column mapping...');
+
+  const hr = guessColumnMapping(['Employee', 'Leave Type', 'From', 'To', 'Comments']);
+  console.assert(hr.assignee === 0 && hr.category === 1, 'Aliases should map people and categories');
+  console.assert(hr.startDate === 2 && hr.endDate === 3, 'From and To should map to the dates');
+  console.assert(hr.description === 4, 'Comments should map to the description');
+  console.assert(hr.title === undefined, 'Unmatched fields should be left out');
+
+  const named = guessColumnMapping(['Name', 'Title', 'start_date']);
+  console.assert(named.title === 1, 'A column named after the field should win over an alias');
+  console.assert(named.startDate === 2, 'Header punctuation should be ignored');
+
+  console.log('Column mapping tests completed');
+}
+
+/**
+ * Test telling day-first and month-first dates apart
+ */
+function testDateFormatDetection() {
+  console.log('Testing date format detection...');
+
+  console.assert(detectDateFormat(['2025-03-04', '2025-12-31']) === CSV_DATE_FORMATS.ISO, 'ISO dates should be detected');
+  console.assert(detectDateFormat(['03/04/2025', '31/03/2025']) === CSV_DATE_FORMATS.DAY_FIRST, 'A day above 12 first means day-first');
+  console.assert(detectDateFormat(['03/04/2025', '12/31/2025']) === CSV_DATE_FORMATS.MONTH_FIRST, 'A day above 12 second means month-first');
+  console.assert(detectDateFormat(['03/04/2025', '05.06.25']) === null, 'Dates that fit both orders should not be guessed');
+  console.assert(detectDateFormat(['31/12/2025', '12/31/2025']) === null, 'Mixed orders should not be guessed');
+  console.assert(detectDateFormat(['', ' 1-2-2025 ', '13-2-2025']) === CSV_DATE_FORMATS.DAY_FIRST, 'Blank values are ignored and single digits allowed');
+  console.assert(detectDateFormat(['30/02/2025', '31/03/2025']) === CSV_DATE_FORMATS.DAY_FIRST, 'Invalid dates should not stop detection');
+
+  console.log('Date format detection tests completed');
+}
+
+/**
+ * Test turning rows into events and reporting the rows that are skipped
+ */
+function testImport() {
+  console.log('Testing CSV import...');
+
+  const { headers, rows } = parseCsv([
+    'Employee,Leave Type,From,To,Half day PM,Repeat,Title',
+    'Alice,Leave,31/03/2025,04/04/2025,yes,,Spring break',
+    'Bob,Training,14/04/2025,,,weekly,Course',
+    'Carol,Leave,31/02/2025,,,,Bad date',
+    'Dan,Leave,01/05/2025,,,FREQ=HOURLY,Too often',
+    'Erin,Leave,01/05/2025,,,,',
+  ].join('\n'));
+  const mapping = { ...guessColumnMapping(headers), startsPM: 4 };
+
+  const { events, skipped } = importFromCsv(rows, {
+    mapping,
+    dateFormat: CSV_DATE_FORMATS.DAY_FIRST,
+    categories,
+  });
+
+  console.assert(events.length === 2, `Two rows should be imported, got ${events.length}`);
+  const [alice, bob] = events;
+  console.assert(alice instanceof Event, 'Rows should become Event instances');
+  console.assert(alice.startDate.getTime() === Date.UTC(2025, 2, 31), 'Start date should be read day-first at UTC midnight');
+  console.assert(alice.endDate.getTime() === Date.UTC(2025, 3, 4), 'End date should be read day-first');
+  console.assert(alice.startsPM && !alice.endsAM, 'Mapped flags should be read');
+  console.assert(alice.categoryId === 'leave' && alice.assignee === 'Alice', 'Category and assignee should be read');
+  console.assert(bob.endDate.getTime() === bob.startDate.getTime(), 'A missing end date should make a one-day event');
+  console.assert(bob.isRecurring && bob.recurrencePattern.type === 'weekly', 'Recurrence type names should be read');
+  console.assert(bob.categoryId === null, 'Unknown categories should be left empty');
+
+  console.assert(skipped.length === 3, `Three rows should be skipped, got ${skipped.length}`);
+  console.assert(skipped[0].row === 4 && skipped[0].summary === 'Row 4 "Bad date"', 'Skipped rows should give their line and title');
+  console.assert(skipped[0].reason === 'Invalid date "31/02/2025", expected DD/MM/YYYY', `Days that don't exist should be rejected, got ${skipped[0].reason}`);
+  console.assert(/^Unsupported recurrence/.test(skipped[1].reason), 'Unsupported recurrences should be reported');
+  console.assert(skipped[2].reason === 'Event title is required', 'Rows the Event constructor rejects should give its reason');
+
+  console.log('CSV import tests completed');
+}
+
+/**
+ * Test exporting events and importing them back
+ */
+function testRoundTrip() {
+  console.log('Testing CSV round trip...');
+
+  const original = [
+    new Event({
+      id: 'offsite',
+      title: 'Offsite; "planning"',
+      description: 'Line one\nLine two',
+      startDate: new Date(Date.UTC(2025, 5, 2)),
+      endDate: new Date(Date.UTC(2025, 5, 4)),
+      endsAM: true,
+      categoryId: 'leave',
+      assignee: 'Alice',
+    }),
+    new Event({
+      id: 'review',
+      title: 'Review',
+      startDate: new Date(Date.UTC(2025, 0, 31)),
+      endDate: new Date(Date.UTC(2025, 0, 31)),
+      isRecurring: true,
+      recurrencePattern: { type: 'monthly' },
+    }),
+  ];
+
+  const csv = exportToCsv(original, { categories });
+  console.assert(csv.split('\r\n')[0] === 'ID,Title,Start Date,End Date,Description,Starts PM,Ends AM,Public Holiday,Recurrence,Category,Assignee', 'Export should start with the header row');
+
+  const { headers, rows } = parseCsv(csv);
+  const mapping = guessColumnMapping(headers);
+  const dateFormat = detectDateFormat(rows.map((row) => row[mapping.startDate]));
+  console.assert(dateFormat === CSV_DATE_FORMATS.ISO, 'Exported dates should be ISO');
+
+  const { events, skipped } = importFromCsv(rows, { mapping, dateFormat, categories });
+  console.assert(skipped.length === 0, `Nothing should be skipped, got ${JSON.stringify(skipped)}`);
+
+  const [offsite, review] = events;
+  console.assert(offsite.id === 'offsite' && offsite.title === 'Offsite; "planning"', 'ID and title should survive');
+  console.assert(offsite.description === 'Line one\nLine two', 'Line breaks should survive');
+  console.assert(offsite.endsAM && !offsite.startsPM, 'Flags should survive');
+  console.assert(offsite.categoryId === 'leave' && offsite.assignee === 'Alice', 'Category and assignee should survive');
+  console.assert(offsite.endDate.getTime() === Date.UTC(2025, 5, 4), 'End date should survive');
+  console.assert(review.isRecurring && review.recurrencePattern.type === 'rrule', 'Recurrences should come back as RRULEs');
+  console.assert(/FREQ=MONTHLY/.test(review.recurrencePattern.rrule), `Monthly recurrence should survive, got ${review.recurrencePattern.rrule}`);
+
+  console.log('CSV round trip tests completed');
+}
+
+// Export for browser environment
+if (typeof window !== 'undefined') {
+  window.runCsvTests = runTests;
+}
+
+export { runTests };
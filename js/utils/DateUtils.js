@@ -3,6 +3,9 @@
  * Utility functions for handling dates consistently across time zones
  */
 
+/** Milliseconds in a day */
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
 /**
  * Normalize a date to midnight UTC on the same calendar date
  * This ensures consistent date handling regardless of time zone
@@ -89,33 +92,145 @@ export function getDaysBetween(startDate, endDate) {
 }
 
 /**
- * Get day of week for a UTC date using Monday=0, Sunday=6 format
+ * Get day of week for a UTC date, counted from the first day of the week
  *
  * IMPORTANT: This function uses getUTCDay() to avoid timezone issues.
  * When dates are stored as UTC midnight, using getDay() in negative UTC
  * offset timezones would return the previous day's day-of-week.
  *
  * @param {Date} date - Date object (should be normalized to UTC midnight)
- * @returns {number} Day of week (0=Monday, 1=Tuesday, ..., 6=Sunday)
+ * @param {number} [weekStart=1] - First day of the week as a getDay() value
+ *   (0=Sunday, 1=Monday, 6=Saturday)
+ * @returns {number} Day of week (0 = first day of the week, 6 = last);
+ *   with the default Monday start 0=Monday, ..., 6=Sunday
  */
-export function getDayOfWeekUTC(date) {
+export function getDayOfWeekUTC(date, weekStart = 1) {
   // JavaScript getUTCDay() returns 0 for Sunday, 1 for Monday, ..., 6 for Saturday
-  // We need to convert to: 0=Monday, 1=Tuesday, ..., 6=Sunday
-  const utcDay = date.getUTCDay();
-  return utcDay === 0 ? 6 : utcDay - 1;
+  return (date.getUTCDay() - weekStart + 7) % 7;
 }
 
 /**
- * Get day of week from a local date using Monday=0, Sunday=6 format
+ * Get day of week from a local date, counted from the first day of the week
  *
  * Use this for dates created with new Date(year, month, day) which are in local time.
  *
  * @param {Date} date - Date object in local time
- * @returns {number} Day of week (0=Monday, 1=Tuesday, ..., 6=Sunday)
+ * @param {number} [weekStart=1] - First day of the week as a getDay() value
+ *   (0=Sunday, 1=Monday, 6=Saturday)
+ * @returns {number} Day of week (0 = first day of the week, 6 = last);
+ *   with the default Monday start 0=Monday, ..., 6=Sunday
  */
-export function getDayOfWeekLocal(date) {
+export function getDayOfWeekLocal(date, weekStart = 1) {
   // JavaScript getDay() returns 0 for Sunday, 1 for Monday, ..., 6 for Saturday
-  // We need to convert to: 0=Monday, 1=Tuesday, ..., 6=Sunday
-  const day = date.getDay();
-  return day === 0 ? 6 : day - 1;
+  return (date.getDay() - weekStart + 7) % 7;
+}
+
+/**
+ * Get the ISO-8601 week of a calendar date
+ *
+ * ISO weeks start on Monday, and week 1 is the week containing the year's
+ * first Thursday, so late December days can fall in week 1 of the next year
+ * and early January days in week 52 or 53 of the previous one.
+ *
+ * @param {Date} date - Calendar date (its local year, month and day are used)
+ * @returns {{year: number, week: number}} ISO week-numbering year and week (1-53)
+ */
+export function getISOWeek(date) {
+  const day = normalizeDateToUTC(date);
+
+  // The Thursday of the same ISO week decides which year the week belongs to
+  const thursday = new Date(day.getTime() + (3 - getDayOfWeekUTC(day)) * MS_PER_DAY);
+  const year = thursday.getUTCFullYear();
+  const firstDay = Date.UTC(year, 0, 1);
+
+  return {
+    year,
+    week: Math.floor((thursday.getTime() - firstDay) / MS_PER_DAY / 7) + 1,
+  };
+}
+
+/**
+ * Get the first and last day of a 12-month planner year
+ *
+ * A planner year starting in January is the calendar year; one starting in
+ * another month, such as an April–March fiscal year, ends in the next one.
+ *
+ * @param {number} year - Year the planner year starts in
+ * @param {number} [startMonth=0] - Month it starts in (0-11)
+ * @returns {{start: Date, end: Date}} Local midnight of the first day, and
+ *   the last moment of the last day
+ */
+export function getPlannerWindow(year, startMonth = 0) {
+  return {
+    start: new Date(year, startMonth, 1),
+    end: new Date(year, startMonth + 12, 0, 23, 59, 59, 999),
+  };
+}
+
+/**
+ * Label a planner year: "2025" for a calendar year, "2025–26" for one that
+ * ends in the next year
+ *
+ * @param {number} year - Year the planner year starts in
+ * @param {number} [startMonth=0] - Month it starts in (0-11)
+ * @returns {string} Label for headers and file names
+ */
+export function formatPlannerYear(year, startMonth = 0) {
+  if (startMonth === 0) return String(year);
+  return `${year}–${String((year + 1) % 100).padStart(2, '0')}`;
+}
+
+/**
+ * Get the half-day position of a morning or afternoon
+ *
+ * Positions count half-days since 1970-01-01: mornings are even and
+ * afternoons odd, so an event's extent can be moved or resized in half-day
+ * steps with plain arithmetic.
+ *
+ * @param {Date} date - Calendar date
+ * @param {boolean} [isAfternoon=false] - True for the afternoon of the date
+ * @returns {number} Half-day position
+ */
+export function getHalfDay(date, isAfternoon = false) {
+  const day = Math.round(normalizeDateToUTC(date).getTime() / MS_PER_DAY);
+  return day * 2 + (isAfternoon ? 1 : 0);
+}
+
+/**
+ * Get the half-days covered by an event
+ *
+ * @param {Object} event - Event with startDate, endDate, startsPM and endsAM
+ * @returns {{start: number, end: number}} First half-day covered and the one after the last
+ */
+export function toHalfDays(event) {
+  return {
+    start: getHalfDay(event.startDate, event.startsPM),
+    end: getHalfDay(event.endDate, !event.endsAM) + 1,
+  };
+}
+
+/**
+ * Convert half-days covered by an event back to its dates
+ *
+ * @param {number} start - First half-day covered
+ * @param {number} end - Half-day after the last one covered
+ * @returns {{startDate: Date, endDate: Date, startsPM: boolean, endsAM: boolean}}
+ *   Dates at local midnight and the half-day flags
+ */
+export function fromHalfDays(start, end) {
+  const startDay = Math.floor(start / 2);
+  const endDay = Math.floor((end - 1) / 2);
+
+  // Build local dates so they normalize back to the same calendar days
+  const toLocalDate = (day) => {
+    const utc = new Date(day * MS_PER_DAY);
+    return new Date(utc.getUTCFullYear(), utc.getUTCMonth(), utc.getUTCDate());
+  };
+
+  return {
+    startDate: toLocalDate(startDay),
+    endDate: toLocalDate(endDay),
+    startsPM: start - startDay * 2 === 1,
+    endsAM: end - 1 - endDay * 2 === 0,
+  };
 }
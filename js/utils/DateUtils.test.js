@@ -0,0 +1,159 @@
+/**
+ * DateUtils.test.js - Tests for the date helpers
+ *
+ * This test suite covers the half-day positions used to move and resize
+ * events by dragging them on the grid, weekday columns for each first day
+ * of the week, ISO-8601 week numbers and planner years that don't start in
+ * January.
+ */
+
+import {
+  getHalfDay,
+  toHalfDays,
+  fromHalfDays,
+  isSameDate,
+  getDayOfWeekUTC,
+  getDayOfWeekLocal,
+  getISOWeek,
+  getPlannerWindow,
+  formatPlannerYear,
+} from './DateUtils.js';
+
+/**
+ * Run tests and log results
+ */
+function runTests() {
+  console.log('=== Running DateUtils tests ===');
+
+  testHalfDayPositions();
+  testHalfDayRoundTrip();
+  testWeekStart();
+  testISOWeek();
+  testPlannerWindow();
+
+  console.log('=== All DateUtils tests completed ===');
+}
+
+/**
+ * Test converting event dates to half-day positions
+ */
+function testHalfDayPositions() {
+  console.log('Testing half-day positions...');
+
+  const monday = new Date(Date.UTC(2025, 2, 3));
+  const morning = getHalfDay(monday);
+  console.assert(morning % 2 === 0, 'Mornings should be even positions');
+  console.assert(getHalfDay(monday, true) === morning + 1, 'Afternoon should follow the morning');
+
+  const fullDay = toHalfDays({ startDate: monday, endDate: monday });
+  console.assert(fullDay.end - fullDay.start === 2, 'A single full day should cover two half-days');
+
+  const halfDays = toHalfDays({
+    startDate: monday,
+    endDate: new Date(Date.UTC(2025, 2, 5)),
+    startsPM: true,
+    endsAM: true,
+  });
+  console.assert(halfDays.start === morning + 1, 'Event starting PM should start in the afternoon');
+  console.assert(halfDays.end - halfDays.start === 4, `Mon PM to Wed AM should cover four half-days, got ${halfDays.end - halfDays.start}`);
+
+  console.log('Half-day position tests completed');
+}
+
+/**
+ * Test converting half-day positions back to event dates
+ */
+function testHalfDayRoundTrip() {
+  console.log('Testing half-day round trip...');
+
+  const event = {
+    startDate: new Date(Date.UTC(2024, 11, 30)),
+    endDate: new Date(Date.UTC(2025, 0, 2)),
+    startsPM: false,
+    endsAM: true,
+  };
+  const { start, end } = toHalfDays(event);
+
+  const same = fromHalfDays(start, end);
+  console.assert(getHalfDay(same.startDate) === getHalfDay(event.startDate), 'Start date should survive the round trip');
+  console.assert(getHalfDay(same.endDate) === getHalfDay(event.endDate), 'End date should survive the round trip across New Year');
+  console.assert(!same.startsPM && same.endsAM, 'Half-day flags should survive the round trip');
+
+  // Moving by one half-day turns a full-day start into an afternoon start
+  const moved = fromHalfDays(start + 1, end + 1);
+  console.assert(moved.startsPM, 'Moving half a day should start in the afternoon');
+  console.assert(!moved.endsAM, 'Moving half a day should end at the end of the day');
+  console.assert(isSameDate(moved.endDate, event.endDate), 'End date should stay on the same day');
+
+  console.log('Half-day round trip tests completed');
+}
+
+/**
+ * Test weekday columns for Sunday-, Monday- and Saturday-first weeks
+ */
+function testWeekStart() {
+  console.log('Testing week start...');
+
+  const sunday = new Date(Date.UTC(2025, 2, 2));
+  console.assert(getDayOfWeekUTC(sunday) === 6, 'Sunday should be the last day of a Monday-first week');
+  console.assert(getDayOfWeekUTC(sunday, 0) === 0, 'Sunday should be the first day of a Sunday-first week');
+  console.assert(getDayOfWeekUTC(sunday, 6) === 1, 'Sunday should be the second day of a Saturday-first week');
+
+  const friday = new Date(2025, 2, 7);
+  console.assert(getDayOfWeekLocal(friday) === 4, 'Friday should be the fifth day of a Monday-first week');
+  console.assert(getDayOfWeekLocal(friday, 0) === 5, 'Friday should be the sixth day of a Sunday-first week');
+  console.assert(getDayOfWeekLocal(friday, 6) === 6, 'Friday should be the last day of a Saturday-first week');
+
+  console.log('Week start tests completed');
+}
+
+/**
+ * Test ISO-8601 week numbers, including weeks that cross New Year
+ */
+function testISOWeek() {
+  console.log('Testing ISO week numbers...');
+
+  const april = getISOWeek(new Date(2025, 3, 2));
+  console.assert(april.year === 2025 && april.week === 14, `Apr 2, 2025 should be in W14, got W${april.week}`);
+
+  // Dec 29, 2025 is a Monday in the week holding Jan 1, 2026 (a Thursday)
+  const lateDecember = getISOWeek(new Date(2025, 11, 29));
+  console.assert(lateDecember.year === 2026 && lateDecember.week === 1, 'Dec 29, 2025 should be in W1 of 2026');
+
+  // Jan 1, 2021 is a Friday, so it belongs to the last week of 2020
+  const earlyJanuary = getISOWeek(new Date(2021, 0, 1));
+  console.assert(earlyJanuary.year === 2020 && earlyJanuary.week === 53, 'Jan 1, 2021 should be in W53 of 2020');
+
+  console.log('ISO week number tests completed');
+}
+
+/**
+ * Test calendar, fiscal and academic planner years
+ */
+function testPlannerWindow() {
+  console.log('Testing planner windows...');
+
+  const calendar = getPlannerWindow(2025);
+  console.assert(isSameDate(calendar.start, new Date(2025, 0, 1)) && isSameDate(calendar.end, new Date(2025, 11, 31)), 'Default window should be the calendar year');
+  console.assert(formatPlannerYear(2025) === '2025', 'Calendar years are labelled with the year');
+
+  const fiscal = getPlannerWindow(2025, 3);
+  console.assert(isSameDate(fiscal.start, new Date(2025, 3, 1)), 'April fiscal year should start on April 1');
+  console.assert(isSameDate(fiscal.end, new Date(2026, 2, 31)), 'April fiscal year should end on March 31 of the next year');
+  console.assert(fiscal.end > new Date(2026, 2, 31, 12), 'The window should include all of its last day');
+  console.assert(formatPlannerYear(2025, 3) === '2025–26', `Fiscal year label should span both years, got ${formatPlannerYear(2025, 3)}`);
+  console.assert(formatPlannerYear(2099, 8) === '2099–00', 'Label should wrap at the century');
+
+  // An academic year ending in a leap-year February
+  const academic = getPlannerWindow(2023, 8);
+  console.assert(isSameDate(academic.end, new Date(2024, 7, 31)), 'September academic year should end on August 31');
+
+  console.log('Planner window tests completed');
+}
+
+// Export for browser environment
+if (typeof window !== 'undefined') {
+  window.runDateUtilsTests = runTests;
+}
+
+export { runTests };
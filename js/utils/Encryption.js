@@ -0,0 +1,308 @@
+/**
+ * Encryption.js
+ * Passphrase encryption of planner data with WebCrypto
+ *
+ * Data is encrypted with AES-GCM under a random data key. The data key is
+ * kept in a key record, encrypted ("wrapped") with a key derived from the
+ * passphrase with PBKDF2, so changing the passphrase re-wraps one key
+ * instead of rewriting every record. WebCrypto offers no memory-hard
+ * derivation such as Argon2, so PBKDF2 runs with a high iteration count.
+ * Encrypted export files carry the key record, so the passphrase alone
+ * opens them in any browser.
+ */
+
+import { ENCRYPTION } from '../config.js';
+
+/** Bytes of the random AES-GCM initialization vector stored before each ciphertext */
+const IV_LENGTH = 12;
+
+/** Bytes of the random PBKDF2 salt */
+const SALT_LENGTH = 16;
+
+/** Bytes converted to characters at a time, to stay below argument limits */
+const CHUNK_SIZE = 0x8000;
+
+/**
+ * Error thrown when a passphrase doesn't open a key record
+ */
+export class WrongPassphraseError extends Error {
+  constructor() {
+    super('The passphrase is wrong');
+    this.name = 'WrongPassphraseError';
+  }
+}
+
+/**
+ * Create a new data key and the key record storing it under a passphrase
+ *
+ * @param {string} passphrase - Passphrase protecting the key
+ * @param {Object} [options] - Key options
+ * @param {number} [options.iterations=ENCRYPTION.ITERATIONS] - PBKDF2 iterations
+ * @returns {Promise<{record: Object, key: CryptoKey}>} The key record to
+ *   store, and the data key to encrypt with
+ */
+export async function createKeyRecord(
+  passphrase,
+  { iterations = ENCRYPTION.ITERATIONS } = {},
+) {
+  const key = await crypto.subtle.generateKey(
+    { name: 'AES-GCM', length: 256 },
+    true,
+    ['encrypt', 'decrypt'],
+  );
+  return { record: await wrapDataKey(key, passphrase, iterations), key };
+}
+
+/**
+ * Get the data key out of a key record
+ *
+ * @param {Object} record - Key record from createKeyRecord()
+ * @param {string} passphrase - Passphrase protecting the key
+ * @param {Object} [options] - Key options
+ * @param {boolean} [options.extractable=false] - Whether the key can be
+ *   wrapped again, e.g. under a new passphrase
+ * @returns {Promise<CryptoKey>} The data key
+ * @throws {WrongPassphraseError} If the passphrase doesn't open the record
+ */
+export async function unlockKeyRecord(
+  record,
+  passphrase,
+  { extractable = false } = {},
+) {
+  if (!record || record.version !== ENCRYPTION.VERSION) {
+    throw new Error(
+      'The encryption key was stored by another version of the planner',
+    );
+  }
+
+  const wrappingKey = await deriveKey(
+    passphrase,
+    fromBase64(record.salt),
+    record.iterations,
+  );
+  const wrapped = fromBase64(record.wrappedKey);
+
+  try {
+    return await crypto.subtle.unwrapKey(
+      'raw',
+      wrapped.subarray(IV_LENGTH),
+      wrappingKey,
+      { name: 'AES-GCM', iv: wrapped.subarray(0, IV_LENGTH) },
+      { name: 'AES-GCM' },
+      extractable,
+      ['encrypt', 'decrypt'],
+    );
+  } catch (error) {
+    // AES-GCM can't tell a wrong key from damaged data
+    throw new WrongPassphraseError();
+  }
+}
+
+/**
+ * Store the data key of a key record under a new passphrase. Data
+ * encrypted with it stays readable.
+ *
+ * @param {Object} record - Key record from createKeyRecord()
+ * @param {string} passphrase - Current passphrase
+ * @param {string} newPassphrase - Passphrase to protect the key with from now on
+ * @param {Object} [options] - Key options
+ * @param {number} [options.iterations=ENCRYPTION.ITERATIONS] - PBKDF2 iterations
+ * @returns {Promise<Object>} The new key record
+ * @throws {WrongPassphraseError} If the current passphrase is wrong
+ */
+export async function changeKeyRecordPassphrase(
+  record,
+  passphrase,
+  newPassphrase,
+  { iterations = ENCRYPTION.ITERATIONS } = {},
+) {
+  const key = await unlockKeyRecord(record, passphrase, { extractable: true });
+  return wrapDataKey(key, newPassphrase, iterations);
+}
+
+/**
+ * Encrypt a JSON-serializable value
+ *
+ * @param {CryptoKey} key - Data key
+ * @param {*} value - Value to encrypt
+ * @returns {Promise<string>} Base64 of the IV followed by the ciphertext
+ */
+export async function encryptValue(key, value) {
+  const iv = crypto.getRandomValues(new Uint8Array(IV_LENGTH));
+  const ciphertext = await crypto.subtle.encrypt(
+    { name: 'AES-GCM', iv },
+    key,
+    new TextEncoder().encode(JSON.stringify(value)),
+  );
+  return toBase64(concatBytes(iv, new Uint8Array(ciphertext)));
+}
+
+/**
+ * Decrypt a value encrypted with encryptValue()
+ *
+ * @param {CryptoKey} key - Data key
+ * @param {string} text - Encrypted value
+ * @returns {Promise<*>} The value
+ * @throws {Error} If the value was changed or encrypted with another key
+ */
+export async function decryptValue(key, text) {
+  const bytes = fromBase64(text);
+  let plaintext;
+  try {
+    plaintext = await crypto.subtle.decrypt(
+      { name: 'AES-GCM', iv: bytes.subarray(0, IV_LENGTH) },
+      key,
+      bytes.subarray(IV_LENGTH),
+    );
+  } catch (error) {
+    throw new Error(
+      'Encrypted data is damaged or was encrypted with another key',
+    );
+  }
+  return JSON.parse(new TextDecoder().decode(plaintext));
+}
+
+/**
+ * Encrypt the contents of an export file
+ *
+ * @param {Object} record - Key record of the data key
+ * @param {CryptoKey} key - Data key
+ * @param {string} text - File contents
+ * @returns {Promise<string>} JSON text of the encrypted file
+ */
+export async function encryptFile(record, key, text) {
+  const file = {
+    format: ENCRYPTION.FILE_FORMAT,
+    version: ENCRYPTION.VERSION,
+    key: record,
+    data: await encryptValue(key, text),
+  };
+  return JSON.stringify(file, null, 2);
+}
+
+/**
+ * Check whether a file was written by encryptFile()
+ *
+ * @param {string} text - File contents
+ * @returns {boolean}
+ */
+export function isEncryptedFile(text) {
+  try {
+    const file = JSON.parse(text);
+    return Boolean(file) && file.format === ENCRYPTION.FILE_FORMAT;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Decrypt a file written by encryptFile()
+ *
+ * @param {string} text - Encrypted file contents
+ * @param {string} passphrase - Passphrase the file was encrypted under
+ * @returns {Promise<string>} The original file contents
+ * @throws {WrongPassphraseError} If the passphrase is wrong
+ */
+export async function decryptFile(text, passphrase) {
+  const file = JSON.parse(text);
+  if (file.version !== ENCRYPTION.VERSION) {
+    throw new Error('The file was encrypted by another version of the planner');
+  }
+  const key = await unlockKeyRecord(file.key, passphrase);
+  return decryptValue(key, file.data);
+}
+
+/**
+ * Wrap a data key under a new salt and passphrase
+ *
+ * @param {CryptoKey} key - Extractable data key
+ * @param {string} passphrase - Passphrase to protect it with
+ * @param {number} iterations - PBKDF2 iterations
+ * @returns {Promise<Object>} Key record
+ * @private
+ */
+async function wrapDataKey(key, passphrase, iterations) {
+  const salt = crypto.getRandomValues(new Uint8Array(SALT_LENGTH));
+  const iv = crypto.getRandomValues(new Uint8Array(IV_LENGTH));
+  const wrappingKey = await deriveKey(passphrase, salt, iterations);
+  const wrapped = await crypto.subtle.wrapKey('raw', key, wrappingKey, {
+    name: 'AES-GCM',
+    iv,
+  });
+
+  return {
+    version: ENCRYPTION.VERSION,
+    kdf: 'PBKDF2-SHA-256',
+    iterations,
+    salt: toBase64(salt),
+    wrappedKey: toBase64(concatBytes(iv, new Uint8Array(wrapped))),
+  };
+}
+
+/**
+ * Derive the key wrapping the data key from a passphrase
+ *
+ * @param {string} passphrase - The passphrase; composed and decomposed
+ *   accents count as the same characters
+ * @param {Uint8Array} salt - Random salt of the key record
+ * @param {number} iterations - PBKDF2 iterations
+ * @returns {Promise<CryptoKey>}
+ * @private
+ */
+async function deriveKey(passphrase, salt, iterations) {
+  const material = await crypto.subtle.importKey(
+    'raw',
+    new TextEncoder().encode(passphrase.normalize('NFC')),
+    'PBKDF2',
+    false,
+    ['deriveKey'],
+  );
+  return crypto.subtle.deriveKey(
+    { name: 'PBKDF2', hash: 'SHA-256', salt, iterations },
+    material,
+    { name: 'AES-GCM', length: 256 },
+    false,
+    ['wrapKey', 'unwrapKey'],
+  );
+}
+
+/**
+ * Join two byte arrays
+ *
+ * @param {Uint8Array} first
+ * @param {Uint8Array} second
+ * @returns {Uint8Array}
+ * @private
+ */
+function concatBytes(first, second) {
+  const bytes = new Uint8Array(first.length + second.length);
+  bytes.set(first);
+  bytes.set(second, first.length);
+  return bytes;
+}
+
+/**
+ * Encode bytes as base64
+ *
+ * @param {Uint8Array} bytes - Bytes to encode
+ * @returns {string}
+ * @private
+ */
+function toBase64(bytes) {
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += CHUNK_SIZE) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + CHUNK_SIZE));
+  }
+  return btoa(binary);
+}
+
+/**
+ * Decode base64
+ *
+ * @param {string} text - Encoded bytes
+ * @returns {Uint8Array}
+ * @private
+ */
+function fromBase64(text) {
+  return Uint8Array.from(atob(text), (char) => char.charCodeAt(0));
+}
@@ -0,0 +1,150 @@
+/**
+ * Encryption.test.js - Tests for passphrase encryption of planner data
+ *
+ * Keys are derived with few PBKDF2 iterations so the tests run quickly.
+ */
+
+import {
+  WrongPassphraseError,
+  createKeyRecord,
+  unlockKeyRecord,
+  changeKeyRecordPassphrase,
+  encryptValue,
+  decryptValue,
+  encryptFile,
+  isEncryptedFile,
+  decryptFile,
+} from './Encryption.js';
+
+/** Key options for the tests */
+const FAST = { iterations: 1000 };
+
+/**
+ * Run tests and log results
+ */
+async function runTests() {
+  console.log('=== Running Encryption tests ===');
+
+  if (typeof crypto === 'undefined' || !crypto.subtle) {
+    console.log('WebCrypto is not available, skipping Encryption tests');
+    return;
+  }
+
+  await testValues();
+  await testKeyRecords();
+  await testFiles();
+
+  console.log('=== All Encryption tests completed ===');
+}
+
+/**
+ * Test that values survive encryption and can't be read without the key
+ */
+async function testValues() {
+  console.log('Testing encrypted values...');
+
+  const { key } = await createKeyRecord('correct horse', FAST);
+  const value = { title: 'Dentist', notes: 'Ünïcode ✓', tags: [1, null, true] };
+
+  const first = await encryptValue(key, value);
+  const second = await encryptValue(key, value);
+  console.assert(!first.includes('Dentist'), 'The encrypted value should not contain the plain text');
+  console.assert(first !== second, 'Each encryption should use a new IV');
+
+  const decrypted = await decryptValue(key, first);
+  console.assert(JSON.stringify(decrypted) === JSON.stringify(value), 'The value should decrypt to the original');
+
+  const { key: otherKey } = await createKeyRecord('correct horse', FAST);
+  let error = null;
+  try {
+    await decryptValue(otherKey, first);
+  } catch (e) {
+    error = e;
+  }
+  console.assert(error && /another key/.test(error.message), 'Another key should not decrypt the value');
+
+  console.log('Encrypted value tests completed');
+}
+
+/**
+ * Test unlocking key records and changing their passphrase
+ */
+async function testKeyRecords() {
+  console.log('Testing key records...');
+
+  const { record, key } = await createKeyRecord('correct horse', FAST);
+  console.assert(record.iterations === 1000 && record.kdf === 'PBKDF2-SHA-256', 'The record should describe its key derivation');
+  console.assert(JSON.stringify(record).indexOf('correct horse') === -1, 'The record should not contain the passphrase');
+
+  const sealed = await encryptValue(key, 'secret');
+  const unlocked = await unlockKeyRecord(record, 'correct horse');
+  console.assert(await decryptValue(unlocked, sealed) === 'secret', 'The unlocked key should decrypt data');
+
+  // Composed and decomposed accents are the same passphrase
+  const accented = await createKeyRecord('caf\u00e9 au lait', FAST);
+  await unlockKeyRecord(accented.record, 'cafe\u0301 au lait');
+
+  let error = null;
+  try {
+    await unlockKeyRecord(record, 'wrong horse');
+  } catch (e) {
+    error = e;
+  }
+  console.assert(error instanceof WrongPassphraseError, 'A wrong passphrase should be reported as such');
+
+  const changed = await changeKeyRecordPassphrase(record, 'correct horse', 'battery staple', FAST);
+  console.assert(changed.salt !== record.salt, 'A new passphrase should get a new salt');
+  const rekeyed = await unlockKeyRecord(changed, 'battery staple');
+  console.assert(await decryptValue(rekeyed, sealed) === 'secret', 'Data should stay readable after changing the passphrase');
+
+  error = null;
+  try {
+    await unlockKeyRecord(changed, 'correct horse');
+  } catch (e) {
+    error = e;
+  }
+  console.assert(error instanceof WrongPassphraseError, 'The old passphrase should no longer work');
+
+  error = null;
+  try {
+    await changeKeyRecordPassphrase(record, 'wrong horse', 'battery staple', FAST);
+  } catch (e) {
+    error = e;
+  }
+  console.assert(error instanceof WrongPassphraseError, 'Changing the passphrase should need the current one');
+
+  console.log('Key record tests completed');
+}
+
+/**
+ * Test encrypted export files
+ */
+async function testFiles() {
+  console.log('Testing encrypted files...');
+
+  const { record, key } = await createKeyRecord('correct horse', FAST);
+  const text = JSON.stringify({ 2025: [{ id: 'a', title: 'Holiday' }] });
+
+  const file = await encryptFile(record, key, text);
+  console.assert(isEncryptedFile(file), 'An encrypted file should be recognized');
+  console.assert(!isEncryptedFile(text) && !isEncryptedFile('BEGIN:VCALENDAR'), 'Other files should not be taken for encrypted ones');
+  console.assert(!file.includes('Holiday'), 'The file should not contain the plain text');
+  console.assert(await decryptFile(file, 'correct horse') === text, 'The file should decrypt with the passphrase alone');
+
+  let error = null;
+  try {
+    await decryptFile(file, 'wrong horse');
+  } catch (e) {
+    error = e;
+  }
+  console.assert(error instanceof WrongPassphraseError, 'A wrong passphrase should not open the file');
+
+  console.log('Encrypted file tests completed');
+}
+
+// Export for browser environment
+if (typeof window !== 'undefined') {
+  window.runEncryptionTests = runTests;
+}
+
+export { runTests };
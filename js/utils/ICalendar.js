@@ -0,0 +1,545 @@
+/**
+ * ICalendar.js
+ * Conversion between planner events and iCalendar (RFC 5545) files
+ *
+ * Events are exported as all-day VEVENTs. Recurring events carry their RRULE
+ * and EXDATEs, and each overridden occurrence becomes its own VEVENT with a
+ * RECURRENCE-ID. Planner-only flags travel as X-YAAG- properties so they
+ * survive a round trip.
+ */
+
+import { Event } from '../domain/models.js';
+import { RecurrencePattern } from '../services/RecurrenceCalculator.js';
+import { createDateOnly } from './DateUtils.js';
+
+/** Product identifier written to exported calendars */
+const PRODUCT_ID = '-//YAAG//Year Planner//EN';
+
+/** Lines longer than this many octets are folded, as RFC 5545 requires */
+const MAX_LINE_OCTETS = 75;
+
+/** Planner flags exported as X- properties */
+const FLAG_PROPERTIES = {
+  startsPM: 'X-YAAG-STARTS-PM',
+  endsAM: 'X-YAAG-ENDS-AM',
+  isPublicHoliday: 'X-YAAG-PUBLIC-HOLIDAY',
+};
+
+/**
+ * Export events to an iCalendar document
+ *
+ * @param {Array<Event|Object>} events - Events to export (series, not expanded instances)
+ * @param {Object} [options] - Export options
+ * @param {Array<{id: string, name: string}>} [options.categories] - Categories used to name CATEGORIES values
+ * @param {string} [options.calendarName] - Calendar name shown by other tools
+ * @returns {string} iCalendar text with CRLF line endings
+ */
+export function exportToIcs(events, { categories = [], calendarName = 'Year Planner' } = {}) {
+  const categoryNames = new Map(categories.map((category) => [category.id, category.name]));
+  const stamp = formatDateTime(new Date());
+
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    `X-WR-CALNAME:${escapeText(calendarName)}`,
+  ];
+
+  for (const event of events) {
+    lines.push(...buildEventLines(event, event, { categoryNames, stamp }));
+
+    const pattern = event.isRecurring ? event.recurrencePattern : null;
+    for (const override of (pattern && pattern.overrides) || []) {
+      const occurrence = buildOccurrence(event, override);
+      lines.push(
+        ...buildEventLines(occurrence, event, {
+          categoryNames,
+          stamp,
+          recurrenceId: override.recurrenceId,
+        }),
+      );
+    }
+  }
+
+  lines.push('END:VCALENDAR');
+
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+/**
+ * Import events from an iCalendar document
+ *
+ * Each VEVENT becomes an Event; overridden occurrences (RECURRENCE-ID) are
+ * folded back into their series. Entries that cannot be represented are
+ * returned in `skipped` with the reason.
+ *
+ * @param {string} text - iCalendar text
+ * @param {Object} [options] - Import options
+ * @param {Array<{id: string, name: string}>} [options.categories] - Categories matched by CATEGORIES name
+ * @returns {{events: Array<Event>, skipped: Array<{uid: string, summary: string, reason: string}>}}
+ *   Imported events and skipped entries
+ */
+export function importFromIcs(text, { categories = [] } = {}) {
+  if (typeof text !== 'string' || !/BEGIN:VCALENDAR/i.test(text)) {
+    throw new Error('Not an iCalendar file');
+  }
+
+  const categoryIds = new Map(
+    categories.map((category) => [category.name.toLowerCase(), category.id]),
+  );
+  const components = parseEventComponents(text);
+  const masters = components.filter((component) => !component['RECURRENCE-ID']);
+  const occurrences = components.filter((component) => component['RECURRENCE-ID']);
+
+  const events = [];
+  const skipped = [];
+  const eventsByUid = new Map();
+
+  for (const component of masters) {
+    try {
+      const event = componentToEvent(component, categoryIds);
+      events.push(event);
+      eventsByUid.set(event.id, event);
+    } catch (error) {
+      skipped.push(describeSkipped(component, error.message));
+    }
+  }
+
+  for (const component of occurrences) {
+    const uid = getValue(component, 'UID');
+    const series = eventsByUid.get(uid);
+
+    if (!series || !series.isRecurring) {
+      skipped.push(describeSkipped(component, 'Changed occurrence of a series that was not imported'));
+      continue;
+    }
+
+    try {
+      const occurrence = componentToEvent(component, categoryIds);
+      const recurrenceId = formatDateKey(parseDateValue(getValue(component, 'RECURRENCE-ID')));
+
+      if (getValue(component, 'STATUS').toUpperCase() === 'CANCELLED') {
+        addExclusion(series, recurrenceId);
+      } else {
+        addOverride(series, recurrenceId, occurrence);
+      }
+    } catch (error) {
+      skipped.push(describeSkipped(component, error.message));
+    }
+  }
+
+  return { events, skipped };
+}
+
+/**
+ * Build the VEVENT lines for an event or an overridden occurrence
+ * @param {Object} event - Event whose details are written
+ * @param {Object} series - Series the event belongs to (the event itself for masters)
+ * @param {Object} context - Shared export state
+ * @param {Map<string, string>} context.categoryNames - Category names by ID
+ * @param {string} context.stamp - DTSTAMP value
+ * @param {string} [context.recurrenceId] - Occurrence key for overridden occurrences
+ * @returns {string[]} Unfolded content lines
+ * @private
+ */
+function buildEventLines(event, series, { categoryNames, stamp, recurrenceId = null }) {
+  const startDate = new Date(event.startDate);
+  const endDate = new Date(event.endDate);
+  const dayAfterEnd = createDateOnly(
+    endDate.getUTCFullYear(),
+    endDate.getUTCMonth(),
+    endDate.getUTCDate() + 1,
+  );
+
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${escapeText(series.id)}`,
+    `DTSTAMP:${stamp}`,
+    `DTSTART;VALUE=DATE:${formatDate(startDate)}`,
+    `DTEND;VALUE=DATE:${formatDate(dayAfterEnd)}`,
+    `SUMMARY:${escapeText(event.title)}`,
+  ];
+
+  if (recurrenceId) {
+    lines.push(`RECURRENCE-ID;VALUE=DATE:${recurrenceId.replace(/-/g, '')}`);
+  }
+  if (event.description) {
+    lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+  }
+  if (event.categoryId && categoryNames.has(event.categoryId)) {
+    lines.push(`CATEGORIES:${escapeText(categoryNames.get(event.categoryId))}`);
+  }
+  for (const [field, property] of Object.entries(FLAG_PROPERTIES)) {
+    if (event[field]) {
+      lines.push(`${property}:TRUE`);
+    }
+  }
+
+  if (!recurrenceId && event.isRecurring && event.recurrencePattern) {
+    const pattern = RecurrencePattern.fromObject(event.recurrencePattern);
+    const localStart = new Date(
+      startDate.getUTCFullYear(),
+      startDate.getUTCMonth(),
+      startDate.getUTCDate(),
+    );
+    lines.push(`RRULE:${pattern.toRRuleString(localStart)}`);
+
+    const exclusions = event.recurrencePattern.exclusions || [];
+    if (exclusions.length > 0) {
+      // Stored exclusions are occurrence keys; older ones may be full ISO timestamps
+      const dates = exclusions.map((value) =>
+        (/^\d{4}-\d{2}-\d{2}$/.test(value) ? value : formatDateKey(new Date(value))).replace(/-/g, ''),
+      );
+      lines.push(`EXDATE;VALUE=DATE:${dates.join(',')}`);
+    }
+  }
+
+  lines.push('END:VEVENT');
+  return lines;
+}
+
+/**
+ * Combine a series with one of its overrides
+ * @param {Object} series - Recurring event
+ * @param {Object} override - Override stored with the series
+ * @returns {Object} Event-like object for the occurrence
+ * @private
+ */
+function buildOccurrence(series, override) {
+  const [year, month, day] = override.recurrenceId.split('-').map(Number);
+  const seriesStart = new Date(series.startDate);
+  const seriesEnd = new Date(series.endDate);
+  const durationMs = seriesEnd.getTime() - seriesStart.getTime();
+  const originalStart = createDateOnly(year, month - 1, day);
+
+  return {
+    ...series,
+    ...override,
+    startDate: override.startDate ? new Date(override.startDate) : originalStart,
+    endDate: override.endDate
+      ? new Date(override.endDate)
+      : new Date(originalStart.getTime() + durationMs),
+  };
+}
+
+/**
+ * Split an iCalendar document into VEVENT property maps
+ * Nested components such as VALARM are ignored.
+ * @param {string} text - iCalendar text
+ * @returns {Array<Object>} Property lists keyed by name; each entry is an array of {params, value}
+ * @private
+ */
+function parseEventComponents(text) {
+  // Unfold continuation lines (CRLF followed by a space or tab)
+  const lines = text.replace(/\r?\n[ \t]/g, '').split(/\r?\n/);
+  const components = [];
+  const stack = [];
+  let current = null;
+
+  for (const line of lines) {
+    if (!line.trim()) continue;
+
+    const property = parseContentLine(line);
+    if (!property) continue;
+
+    if (property.name === 'BEGIN') {
+      stack.push(property.value.toUpperCase());
+      if (property.value.toUpperCase() === 'VEVENT' && stack.length === 2) {
+        current = {};
+      }
+    } else if (property.name === 'END') {
+      if (stack.pop() === 'VEVENT' && current) {
+        components.push(current);
+        current = null;
+      }
+    } else if (current && stack[stack.length - 1] === 'VEVENT') {
+      (current[property.name] = current[property.name] || []).push(property);
+    }
+  }
+
+  return components;
+}
+
+/**
+ * Parse a single unfolded content line
+ * @param {string} line - Content line such as "DTSTART;VALUE=DATE:20250101"
+ * @returns {{name: string, params: Object, value: string}|null} Parsed property, or null if malformed
+ * @private
+ */
+function parseContentLine(line) {
+  // The value starts at the first colon outside a quoted parameter value
+  let inQuotes = false;
+  let colonIndex = -1;
+  for (let i = 0; i < line.length; i++) {
+    if (line[i] === '"') inQuotes = !inQuotes;
+    if (line[i] === ':' && !inQuotes) {
+      colonIndex = i;
+      break;
+    }
+  }
+  if (colonIndex === -1) return null;
+
+  const [name, ...rawParams] = line.slice(0, colonIndex).split(';');
+  const params = {};
+  for (const param of rawParams) {
+    const [key, value = ''] = param.split('=');
+    params[key.toUpperCase()] = value.replace(/^"|"$/g, '');
+  }
+
+  return { name: name.toUpperCase(), params, value: line.slice(colonIndex + 1) };
+}
+
+/**
+ * Convert a VEVENT property map to an Event
+ * @param {Object} component - Parsed VEVENT
+ * @param {Map<string, string>} categoryIds - Category IDs by lower-case name
+ * @returns {Event} The event
+ * @throws {Error} If the VEVENT cannot be represented in the planner
+ * @private
+ */
+function componentToEvent(component, categoryIds) {
+  const title = unescapeText(getValue(component, 'SUMMARY')).trim();
+  const start = getValue(component, 'DTSTART');
+
+  if (!title) throw new Error('Missing SUMMARY');
+  if (!start) throw new Error('Missing DTSTART');
+  if (getValue(component, 'STATUS').toUpperCase() === 'CANCELLED' && !component['RECURRENCE-ID']) {
+    throw new Error('Event is cancelled');
+  }
+
+  const startDate = parseDateValue(start);
+  let endDate = startDate;
+
+  const end = component.DTEND && component.DTEND[0];
+  if (end) {
+    endDate = parseDateValue(end.value);
+    // DTEND is exclusive for all-day events and for times at midnight
+    const isDate = end.params.VALUE === 'DATE' || /^\d{8}$/.test(end.value);
+    const isMidnight = /T000000Z?$/.test(end.value);
+    if ((isDate || isMidnight) && endDate > startDate) {
+      endDate = createDateOnly(
+        endDate.getUTCFullYear(),
+        endDate.getUTCMonth(),
+        endDate.getUTCDate() - 1,
+      );
+    }
+  }
+
+  let recurrencePattern = null;
+  const rrule = getValue(component, 'RRULE');
+  if (rrule) {
+    try {
+      recurrencePattern = RecurrencePattern.fromRRule(rrule).toJSON();
+    } catch (error) {
+      throw new Error(`Unsupported recurrence rule: ${error.message}`);
+    }
+
+    const exclusions = (component.EXDATE || [])
+      .flatMap((property) => property.value.split(','))
+      .map((value) => formatDateKey(parseDateValue(value)));
+    if (exclusions.length > 0) {
+      recurrencePattern.exclusions = [...new Set(exclusions)].sort();
+    }
+  }
+
+  // CATEGORIES is a list separated by unescaped commas
+  const categoryNames = getValue(component, 'CATEGORIES')
+    .split(/(?<!\\),/)
+    .map((name) => unescapeText(name).trim().toLowerCase());
+  const categoryName = categoryNames.find((name) => categoryIds.has(name));
+
+  const eventParams = {
+    title,
+    description: unescapeText(getValue(component, 'DESCRIPTION')),
+    startDate,
+    endDate,
+    isRecurring: Boolean(recurrencePattern),
+    recurrencePattern,
+    startsPM: isTrue(getValue(component, FLAG_PROPERTIES.startsPM)),
+    endsAM: isTrue(getValue(component, FLAG_PROPERTIES.endsAM)),
+    isPublicHoliday: isTrue(getValue(component, FLAG_PROPERTIES.isPublicHoliday)),
+    categoryId: categoryName ? categoryIds.get(categoryName) : null,
+  };
+
+  const uid = unescapeText(getValue(component, 'UID'));
+  if (uid) {
+    eventParams.id = uid;
+  }
+
+  return new Event(eventParams);
+}
+
+/**
+ * Record a cancelled occurrence on a series
+ * @param {Event} series - Imported series
+ * @param {string} recurrenceId - Occurrence key (YYYY-MM-DD)
+ * @private
+ */
+function addExclusion(series, recurrenceId) {
+  const exclusions = series.recurrencePattern.exclusions || [];
+  series.recurrencePattern.exclusions = [...new Set([...exclusions, recurrenceId])].sort();
+}
+
+/**
+ * Record a changed occurrence on a series, keeping only what differs
+ * @param {Event} series - Imported series
+ * @param {string} recurrenceId - Occurrence key (YYYY-MM-DD)
+ * @param {Event} occurrence - Imported occurrence
+ * @private
+ */
+function addOverride(series, recurrenceId, occurrence) {
+  const override = {
+    recurrenceId,
+    startDate: occurrence.startDate.toISOString(),
+    endDate: occurrence.endDate.toISOString(),
+  };
+
+  for (const field of ['title', 'description', 'categoryId', ...Object.keys(FLAG_PROPERTIES)]) {
+    if (occurrence[field] !== series[field]) {
+      override[field] = occurrence[field];
+    }
+  }
+
+  const overrides = (series.recurrencePattern.overrides || []).filter(
+    (existing) => existing.recurrenceId !== recurrenceId,
+  );
+  series.recurrencePattern.overrides = [...overrides, override];
+}
+
+/**
+ * Describe a VEVENT that could not be imported
+ * @param {Object} component - Parsed VEVENT
+ * @param {string} reason - Why it was skipped
+ * @returns {{uid: string, summary: string, reason: string}} Skipped entry
+ * @private
+ */
+function describeSkipped(component, reason) {
+  return {
+    uid: unescapeText(getValue(component, 'UID')),
+    summary: unescapeText(getValue(component, 'SUMMARY')) || '(untitled)',
+    reason,
+  };
+}
+
+/**
+ * Get the value of the first occurrence of a property
+ * @param {Object} component - Parsed VEVENT
+ * @param {string} name - Property name
+ * @returns {string} Raw value, or an empty string if absent
+ * @private
+ */
+function getValue(component, name) {
+  return component[name] && component[name][0] ? component[name][0].value : '';
+}
+
+/**
+ * Parse a DATE or DATE-TIME value to the planner's UTC-midnight date
+ * Times are dropped: the planner works in whole days.
+ * @param {string} value - Value such as "20250101" or "20250101T090000Z"
+ * @returns {Date} Date at midnight UTC
+ * @private
+ */
+function parseDateValue(value) {
+  const match = /^(\d{4})-?(\d{2})-?(\d{2})/.exec(value.trim());
+  if (!match) {
+    throw new Error(`Invalid date: ${value}`);
+  }
+  return createDateOnly(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+}
+
+/**
+ * Format a date as an iCalendar DATE value (YYYYMMDD), using its UTC day
+ * @param {Date} date - Date to format
+ * @returns {string} Formatted date
+ * @private
+ */
+function formatDate(date) {
+  return formatDateKey(date).replace(/-/g, '');
+}
+
+/**
+ * Format a date as a YYYY-MM-DD key, using its UTC day
+ * @param {Date} date - Date to format
+ * @returns {string} Date key
+ * @private
+ */
+function formatDateKey(date) {
+  return date.toISOString().split('T')[0];
+}
+
+/**
+ * Format a date as a UTC DATE-TIME value
+ * @param {Date} date - Date to format
+ * @returns {string} Value such as "20250101T093000Z"
+ * @private
+ */
+function formatDateTime(date) {
+  return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+/**
+ * Escape a TEXT value
+ * @param {string} text - Raw text
+ * @returns {string} Escaped text
+ * @private
+ */
+function escapeText(text) {
+  return String(text)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Unescape a TEXT value
+ * @param {string} text - Escaped text
+ * @returns {string} Raw text
+ * @private
+ */
+function unescapeText(text) {
+  return text.replace(/\\([\\;,nN])/g, (match, character) =>
+    character === 'n' || character === 'N' ? '\n' : character,
+  );
+}
+
+/**
+ * Check an X- flag value
+ * @param {string} value - Property value
+ * @returns {boolean} True for "TRUE" (any case)
+ * @private
+ */
+function isTrue(value) {
+  return value.toUpperCase() === 'TRUE';
+}
+
+/**
+ * Fold a content line so no physical line exceeds the length limit
+ * @param {string} line - Unfolded content line
+ * @returns {string} Folded line
+ * @private
+ */
+function foldLine(line) {
+  const encoder = new TextEncoder();
+  const chunks = [];
+  let chunk = '';
+  let octets = 0;
+
+  for (const character of line) {
+    const size = encoder.encode(character).length;
+    // Continuation lines start with a space, which counts towards the limit
+    const limit = chunks.length === 0 ? MAX_LINE_OCTETS : MAX_LINE_OCTETS - 1;
+
+    if (octets + size > limit) {
+      chunks.push(chunk);
+      chunk = '';
+      octets = 0;
+    }
+    chunk += character;
+    octets += size;
+  }
+  chunks.push(chunk);
+
+  return chunks.join('\r\n ');
+}
@@ -0,0 +1,210 @@
+/**
+ * ICalendar.test.js - Tests for iCalendar import and export
+ *
+ * This test suite covers exporting planner events to ICS, importing them
+ * back, and importing files produced by other calendar tools.
+ */
+
+import { exportToIcs, importFromIcs } from './ICalendar.js';
+import { Event } from '../domain/models.js';
+
+const categories = [{ id: 'release', name: 'Release' }];
+
+/**
+ * Run tests and log results
+ */
+function runTests() {
+  console.log('=== Running ICalendar tests ===');
+
+  testExport();
+  testRoundTrip();
+  testImportFromOtherTools();
+
+  console.log('=== All ICalendar tests completed ===');
+}
+
+/**
+ * Test the structure of exported VEVENTs
+ */
+function testExport() {
+  console.log('Testing ICS export...');
+
+  const event = new Event({
+    id: 'launch',
+    title: 'Launch, phase 1',
+    startDate: new Date(Date.UTC(2025, 5, 2)),
+    endDate: new Date(Date.UTC(2025, 5, 4)),
+    startsPM: true,
+    categoryId: 'release'
+  });
+
+  const ics = exportToIcs([event], { categories });
+  const lines = ics.split('\r\n');
+
+  console.assert(lines[0] === 'BEGIN:VCALENDAR', 'Export should start with BEGIN:VCALENDAR');
+  console.assert(lines.includes('UID:launch'), 'UID should be the event ID');
+  console.assert(lines.includes('DTSTART;VALUE=DATE:20250602'), 'DTSTART should be an all-day date');
+  console.assert(lines.includes('DTEND;VALUE=DATE:20250605'), 'DTEND should be the day after the last day');
+  console.assert(lines.includes('SUMMARY:Launch\\, phase 1'), 'Commas in text should be escaped');
+  console.assert(lines.includes('CATEGORIES:Release'), 'Category should be exported by name');
+  console.assert(lines.includes('X-YAAG-STARTS-PM:TRUE'), 'PM start flag should be exported');
+  console.assert(!lines.includes('X-YAAG-ENDS-AM:TRUE'), 'Unset flags should not be exported');
+
+  // Long lines are folded
+  const longEvent = new Event({
+    id: 'long',
+    title: 'Long',
+    description: 'word '.repeat(40),
+    startDate: new Date(Date.UTC(2025, 0, 1)),
+    endDate: new Date(Date.UTC(2025, 0, 1))
+  });
+  const foldedLines = exportToIcs([longEvent]).split('\r\n');
+  console.assert(
+    foldedLines.every((line) => new TextEncoder().encode(line).length <= 75),
+    'No line should exceed 75 octets'
+  );
+
+  console.log('ICS export tests completed');
+}
+
+/**
+ * Test that recurring events survive export followed by import
+ */
+function testRoundTrip() {
+  console.log('Testing ICS round trip...');
+
+  const standup = new Event({
+    id: 'standup',
+    title: 'Standup',
+    description: 'Daily sync\nBring updates',
+    startDate: new Date(Date.UTC(2025, 0, 6)),
+    endDate: new Date(Date.UTC(2025, 0, 6)),
+    isRecurring: true,
+    recurrencePattern: {
+      type: 'weekly',
+      interval: 2,
+      exclusions: ['2025-01-20'],
+      overrides: [{ recurrenceId: '2025-02-03', title: 'Standup (retro)' }]
+    },
+    endsAM: true,
+    categoryId: 'release'
+  });
+
+  const ics = exportToIcs([standup], { categories });
+  console.assert(ics.includes('RRULE:FREQ=WEEKLY;INTERVAL=2'), 'RRULE should be exported');
+  console.assert(ics.includes('EXDATE;VALUE=DATE:20250120'), 'Exclusions should be exported as EXDATE');
+  console.assert(ics.includes('RECURRENCE-ID;VALUE=DATE:20250203'), 'Overrides should be exported with RECURRENCE-ID');
+
+  const { events, skipped } = importFromIcs(ics, { categories });
+  console.assert(skipped.length === 0, 'Nothing should be skipped');
+  console.assert(events.length === 1, 'Overridden occurrence should be folded into its series');
+
+  const [imported] = events;
+  console.assert(imported.id === 'standup', 'ID should come from UID');
+  console.assert(imported.description === 'Daily sync\nBring updates', 'Description should be unescaped');
+  console.assert(imported.endsAM === true, 'AM end flag should be imported');
+  console.assert(imported.categoryId === 'release', 'Category should be matched by name');
+  console.assert(imported.recurrencePattern.rrule === 'FREQ=WEEKLY;INTERVAL=2', 'RRULE should be imported');
+  console.assert(imported.recurrencePattern.exclusions[0] === '2025-01-20', 'EXDATE should become an exclusion');
+
+  const override = imported.recurrencePattern.overrides[0];
+  console.assert(override.recurrenceId === '2025-02-03', 'Override should keep its occurrence key');
+  console.assert(override.title === 'Standup (retro)', 'Override should keep its title');
+  console.assert(override.endsAM === undefined, 'Override should not repeat unchanged fields');
+
+  console.log('ICS round trip tests completed');
+}
+
+/**
+ * Test importing files written by other calendar tools
+ */
+function testImportFromOtherTools() {
+  console.log('Testing ICS import from other tools...');
+
+  const ics = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//Other//Calendar//EN',
+    'BEGIN:VEVENT',
+    'UID:timed@example.com',
+    'DTSTART;TZID=Europe/London:20250310T090000',
+    'DTEND;TZID=Europe/London:20250310T100000',
+    'SUMMARY:Board meeting',
+    'RRULE:FREQ=MONTHLY;BYDAY=2MO',
+    'BEGIN:VALARM',
+    'ACTION:DISPLAY',
+    'DESCRIPTION:Reminder',
+    'END:VALARM',
+    'END:VEVENT',
+    'BEGIN:VEVENT',
+    'UID:offsite@example.com',
+    'DTSTART;VALUE=DATE:20250414',
+    'DTEND;VALUE=DATE:20250417',
+    'SUMMARY:Team off',
+    ' site',
+    'END:VEVENT',
+    'BEGIN:VEVENT',
+    'UID:no-title@example.com',
+    'DTSTART;VALUE=DATE:20250501',
+    'END:VEVENT',
+    'BEGIN:VEVENT',
+    'UID:hourly@example.com',
+    'DTSTART:20250601T080000Z',
+    'SUMMARY:Hourly check',
+    'RRULE:FREQ=HOURLY',
+    'END:VEVENT',
+    'BEGIN:VEVENT',
+    'UID:orphan@example.com',
+    'RECURRENCE-ID;VALUE=DATE:20250701',
+    'DTSTART;VALUE=DATE:20250702',
+    'SUMMARY:Orphan',
+    'END:VEVENT',
+    'END:VCALENDAR'
+  ].join('\r\n');
+
+  const { events, skipped } = importFromIcs(ics);
+
+  console.assert(events.length === 2, `Two events should be imported, got ${events.length}`);
+
+  const board = events.find((event) => event.id === 'timed@example.com');
+  console.assert(board.startDate.getUTCDate() === 10, 'Timed event should keep its date');
+  console.assert(board.endDate.getUTCDate() === 10, 'Timed event should last one day');
+  console.assert(board.description === '', 'VALARM properties should be ignored');
+  console.assert(board.recurrencePattern.rrule === 'FREQ=MONTHLY;BYDAY=2MO', 'Ordinal BYDAY should be imported');
+
+  const offsite = events.find((event) => event.id === 'offsite@example.com');
+  console.assert(offsite.title === 'Team offsite', 'Folded lines should be unfolded');
+  console.assert(offsite.endDate.getUTCDate() === 16, 'Exclusive DTEND should become an inclusive end date');
+
+  console.assert(skipped.length === 3, `Three entries should be skipped, got ${skipped.length}`);
+  console.assert(
+    skipped.some((entry) => entry.uid === 'no-title@example.com' && entry.reason === 'Missing SUMMARY'),
+    'Event without a title should be reported'
+  );
+  console.assert(
+    skipped.some((entry) => entry.summary === 'Hourly check' && entry.reason.startsWith('Unsupported recurrence rule')),
+    'Unsupported RRULE should be reported'
+  );
+  console.assert(
+    skipped.some((entry) => entry.uid === 'orphan@example.com'),
+    'Changed occurrence without its series should be reported'
+  );
+
+  // Anything that isn't a calendar is rejected
+  let threw = false;
+  try {
+    importFromIcs('{"2025": []}');
+  } catch (error) {
+    threw = true;
+  }
+  console.assert(threw, 'Non-ICS text should be rejected');
+
+  console.log('ICS import from other tools tests completed');
+}
+
+// Export for browser environment
+if (typeof window !== 'undefined') {
+  window.runICalendarTests = runTests;
+}
+
+export { runTests };
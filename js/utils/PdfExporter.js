@@ -6,7 +6,7 @@
 /**
  * Export the current year planner view to a PDF document
  * @param {Object} options - Export options
- * @param {number} options.year - Year being exported
+ * @param {number|string} options.year - Year being exported, or a label such as "2025–26"
  * @param {HTMLElement} options.gridElement - The grid element to export
  * @param {HTMLElement} options.legendElement - The legend element to include
  * @returns {Promise<Blob>} Promise resolving to the PDF blob
@@ -155,6 +155,15 @@ export async function exportToPdf({ year, gridElement, legendElement }) {
             background-color: #fcf9f2 !important;
           }
           
+          /* ISO week numbers under each month, if shown */
+          .week-number-cell {
+            height: 4mm !important;
+            padding: 0 2px !important;
+            font-size: 5pt !important;
+            color: #555 !important;
+            background-color: #f5f5f5 !important;
+          }
+          
           /* Style for day numbers */
           .day-number {
             position: absolute !important;
@@ -219,6 +228,18 @@ export async function exportToPdf({ year, gridElement, legendElement }) {
             margin-top: 5mm;
             font-size: 7pt;
           }
+
+          .legend-item {
+            display: inline-flex;
+            align-items: center;
+            margin-right: 4mm;
+          }
+
+          .legend-color {
+            width: 3mm;
+            height: 3mm;
+            margin-right: 1mm;
+          }
           
           /* Event indicators */
           .event-icon {
@@ -316,6 +337,9 @@ export async function exportToPdf({ year, gridElement, legendElement }) {
               yearGrid.style.border = '0.2mm solid #aaa';
             }
             
+            // The team view's rows are sized for its people, so keep them
+            const isTeamView = yearGrid && yearGrid.classList.contains('team-view');
+
             // Process all cells for consistent formatting
             const cells = shadowRoot.querySelectorAll('.day-cell, .month-cell');
             cells.forEach(cell => {
@@ -326,7 +350,7 @@ export async function exportToPdf({ year, gridElement, legendElement }) {
               // Set specific width and height as specified
               if (cell.classList.contains('month-cell')) {
                 // Month cells
-                cell.style.height = '20mm';
+                if (!isTeamView) cell.style.height = '20mm';
                 cell.style.verticalAlign = 'middle';
                 cell.style.textAlign = 'center';
                 cell.style.fontWeight = 'bold';
@@ -335,7 +359,7 @@ export async function exportToPdf({ year, gridElement, legendElement }) {
               } else {
                 // Day cells
                 cell.style.width = '10mm';
-                cell.style.height = '20mm';
+                if (!isTeamView) cell.style.height = '20mm';
                 cell.style.position = 'relative';
                 cell.style.padding = '2px';
                 
@@ -362,6 +386,14 @@ export async function exportToPdf({ year, gridElement, legendElement }) {
               }
             });
             
+            // Keep week numbers small so the month rows keep their height
+            shadowRoot.querySelectorAll('.week-number-cell').forEach(cell => {
+              cell.style.fontSize = '5pt';
+              cell.style.color = '#555';
+            });
+
+            fitTimelineToPage(yearGrid);
+            
             // Enhanced styling for all events
             const events = shadowRoot.querySelectorAll('.event, .event-segment');
             events.forEach(event => {
@@ -447,7 +479,7 @@ export async function exportToPdf({ year, gridElement, legendElement }) {
 /**
  * Alternative export method that uses the browser's print stylesheet
  * @param {Object} options - Export options
- * @param {number} options.year - Year being exported
+ * @param {number|string} options.year - Year being exported, or a label such as "2025–26"
  * @returns {Promise<Blob>} Promise resolving to the PDF blob
  */
 export async function exportToPdfUsingPrintStylesheet({ year }) {
@@ -603,6 +635,18 @@ export async function exportToPdfUsingPrintStylesheet({ year }) {
             margin-top: 5mm;
             font-size: 7pt;
           }
+
+          .legend-item {
+            display: inline-flex;
+            align-items: center;
+            margin-right: 4mm;
+          }
+
+          .legend-color {
+            width: 3mm;
+            height: 3mm;
+            margin-right: 1mm;
+          }
         </style>
       `);
       
@@ -665,6 +709,9 @@ export async function exportToPdfUsingPrintStylesheet({ year }) {
       allowTaint: true,
       foreignObjectRendering: true,
       onclone: (clonedDoc) => {
+        // The grid's shadow DOM was copied in as plain markup
+        fitTimelineToPage(clonedDoc.querySelector('.year-grid'));
+
         // Additional modifications to ensure grid is visible
         const grid = clonedDoc.querySelector('year-planner-grid');
         if (grid) {
@@ -748,6 +795,28 @@ export async function exportToPdfUsingPrintStylesheet({ year }) {
   }
 }
 
+/**
+ * Fit the timeline layout to the page width. On screen its days have a
+ * fixed width and scroll sideways; on the page the whole year has to show,
+ * so the day columns share the width instead of being 10mm each.
+ * @param {HTMLElement|null} yearGrid - The grid element in the cloned document
+ */
+function fitTimelineToPage(yearGrid) {
+  if (!yearGrid || !yearGrid.classList.contains('layout-timeline')) return;
+
+  const labelWidth = yearGrid.classList.contains('team-view') ? '7em' : '3.75em';
+  yearGrid.style.setProperty('overflow', 'visible', 'important');
+  yearGrid.style.setProperty(
+    'grid-template-columns',
+    `${labelWidth} repeat(var(--day-columns), 1fr)`,
+    'important'
+  );
+  yearGrid.querySelectorAll('.day-cell').forEach(cell => {
+    cell.style.setProperty('width', 'auto', 'important');
+    cell.style.setProperty('padding', '0', 'important');
+  });
+}
+
 /**
  * Load required libraries (jsPDF and html2canvas) if not already loaded
  * @returns {Promise<void>}
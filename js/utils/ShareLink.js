@@ -0,0 +1,203 @@
+/**
+ * ShareLink.js
+ * Read-only share links carrying a planner year in the URL fragment
+ *
+ * The shared events, with the categories and calendars they use, are
+ * written as JSON, compressed with deflate where the browser offers
+ * CompressionStream, and base64url-encoded after `#share=`. Browsers never
+ * send the fragment to the server, so the plan stays between the people
+ * who have the link and the planner works from static files.
+ */
+
+import { SHARE } from '../config.js';
+
+/** Token prefix of deflate-compressed plans */
+const COMPRESSED_PREFIX = 'z';
+
+/** Token prefix of plans stored as plain JSON, where compression is missing */
+const PLAIN_PREFIX = 'j';
+
+/** Bytes converted to characters at a time, to stay below argument limits */
+const CHUNK_SIZE = 0x8000;
+
+/**
+ * Build the plan shared by a link
+ *
+ * @param {Object} options - What to share
+ * @param {number} options.year - Planner year shown
+ * @param {number} options.startMonth - Month the planner year starts in (0-11)
+ * @param {Array<Event|Object>} options.events - Events to share (series, not expanded instances)
+ * @param {Array<Object>} [options.categories] - All categories; only those used are shared
+ * @param {Array<Object>} [options.calendars] - All calendars; only those used are shared
+ * @param {string} [options.defaultCalendarId] - Calendar of events stored without one
+ * @returns {Object} Plain plan data, ready for encodeSharedPlan()
+ */
+export function createSharedPlan({
+  year,
+  startMonth,
+  events,
+  categories = [],
+  calendars = [],
+  defaultCalendarId,
+}) {
+  const categoryIds = new Set(events.map((event) => event.categoryId));
+  const calendarIds = new Set(
+    events.map((event) => event.calendarId || defaultCalendarId),
+  );
+
+  return {
+    version: SHARE.VERSION,
+    year,
+    startMonth,
+    categories: categories
+      .filter((category) => categoryIds.has(category.id))
+      .map(({ id, name, color, icon }) => ({ id, name, color, icon })),
+    calendars: calendars
+      .filter((calendar) => calendarIds.has(calendar.id))
+      .map(({ id, name, color }) => ({ id, name, color })),
+    events: events.map(compactEvent),
+  };
+}
+
+/**
+ * Encode a plan for the URL fragment
+ *
+ * @param {Object} plan - Plan from createSharedPlan()
+ * @returns {Promise<string>} URL-safe token
+ */
+export async function encodeSharedPlan(plan) {
+  const bytes = new TextEncoder().encode(JSON.stringify(plan));
+
+  if (typeof CompressionStream === 'undefined') {
+    return PLAIN_PREFIX + toBase64Url(bytes);
+  }
+  const compressed = await pipeBytes(bytes, new CompressionStream('deflate-raw'));
+  return COMPRESSED_PREFIX + toBase64Url(compressed);
+}
+
+/**
+ * Decode a plan from a share link
+ *
+ * @param {string} token - Token from encodeSharedPlan()
+ * @returns {Promise<Object>} The shared plan
+ * @throws {Error} If the link is damaged, from a newer planner, or can't be
+ *   read in this browser
+ */
+export async function decodeSharedPlan(token) {
+  const prefix = token.charAt(0);
+  if (prefix !== COMPRESSED_PREFIX && prefix !== PLAIN_PREFIX) {
+    throw new Error('The link is incomplete or damaged');
+  }
+  if (prefix === COMPRESSED_PREFIX && typeof DecompressionStream === 'undefined') {
+    throw new Error("This browser can't read compressed links");
+  }
+
+  let plan;
+  try {
+    let bytes = fromBase64Url(token.slice(1));
+    if (prefix === COMPRESSED_PREFIX) {
+      bytes = await pipeBytes(bytes, new DecompressionStream('deflate-raw'));
+    }
+    plan = JSON.parse(new TextDecoder().decode(bytes));
+  } catch (error) {
+    throw new Error('The link is incomplete or damaged');
+  }
+
+  if (!plan || typeof plan !== 'object') {
+    throw new Error('The link is incomplete or damaged');
+  }
+  if (plan.version > SHARE.VERSION) {
+    throw new Error('The link was made by a newer version of the planner');
+  }
+  if (
+    plan.version !== SHARE.VERSION ||
+    !Number.isInteger(plan.year) ||
+    !Array.isArray(plan.events) ||
+    !Array.isArray(plan.categories) ||
+    !Array.isArray(plan.calendars)
+  ) {
+    throw new Error('The link is incomplete or damaged');
+  }
+  return plan;
+}
+
+/**
+ * Find the share token in a URL fragment
+ *
+ * @param {string} hash - Fragment, e.g. window.location.hash
+ * @returns {string|null} The token, or null if the URL doesn't share a plan
+ */
+export function getShareToken(hash) {
+  const params = new URLSearchParams(hash.replace(/^#/, ''));
+  return params.get(SHARE.HASH_PARAM) || null;
+}
+
+/**
+ * Build the link sharing a plan
+ *
+ * @param {string} pageUrl - URL of the planner page
+ * @param {string} token - Token from encodeSharedPlan()
+ * @returns {string} The page URL with the token as its fragment
+ */
+export function createShareUrl(pageUrl, token) {
+  return `${pageUrl.split('#')[0]}#${SHARE.HASH_PARAM}=${token}`;
+}
+
+/**
+ * Copy an event without the fields that are empty or off, which the Event
+ * constructor fills in again, to keep links short
+ *
+ * @param {Event|Object} event - Event to share
+ * @returns {Object} Plain event data with ISO dates
+ * @private
+ */
+function compactEvent(event) {
+  const data = JSON.parse(JSON.stringify(event));
+  Object.keys(data).forEach((key) => {
+    if (data[key] === null || data[key] === false || data[key] === '') {
+      delete data[key];
+    }
+  });
+  return data;
+}
+
+/**
+ * Run bytes through a compression or decompression stream
+ *
+ * @param {Uint8Array} bytes - Input
+ * @param {CompressionStream|DecompressionStream} stream - Transform to apply
+ * @returns {Promise<Uint8Array>} Output
+ * @private
+ */
+async function pipeBytes(bytes, stream) {
+  const output = new Blob([bytes]).stream().pipeThrough(stream);
+  return new Uint8Array(await new Response(output).arrayBuffer());
+}
+
+/**
+ * Encode bytes as base64url without padding
+ *
+ * @param {Uint8Array} bytes - Bytes to encode
+ * @returns {string}
+ * @private
+ */
+function toBase64Url(bytes) {
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += CHUNK_SIZE) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + CHUNK_SIZE));
+  }
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/**
+ * Decode base64url, with or without padding
+ *
+ * @param {string} text - Encoded bytes
+ * @returns {Uint8Array}
+ * @private
+ */
+function fromBase64Url(text) {
+  const base64 = text.replace(/-/g, '+').replace(/_/g, '/');
+  const binary = atob(base64 + '='.repeat((4 - (base64.length % 4)) % 4));
+  return Uint8Array.from(binary, (char) => char.charCodeAt(0));
+}
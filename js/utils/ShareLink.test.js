@@ -0,0 +1,190 @@
+/**
+ * ShareLink.test.js - Tests for read-only share links
+ *
+ * Covers what a shared plan holds, round trips through the URL fragment and
+ * links that can't be read.
+ */
+
+import {
+  createSharedPlan,
+  encodeSharedPlan,
+  decodeSharedPlan,
+  getShareToken,
+  createShareUrl,
+} from './ShareLink.js';
+import { Event } from '../domain/models.js';
+import { SHARE } from '../config.js';
+
+const categories = [
+  { id: 'leave', name: 'Leave', color: '#4caf50', icon: '🌴' },
+  { id: 'release', name: 'Release', color: '#2196f3', icon: '🚀' },
+];
+
+const calendars = [
+  { id: 'personal', name: 'Personal', color: '#2196f3', visible: true, readOnly: false },
+  { id: 'team', name: 'Team', color: '#4caf50', visible: false, readOnly: true },
+  { id: 'company', name: 'Company', color: '#ff9800', visible: true, readOnly: false },
+];
+
+/**
+ * Build the events shared in these tests
+ * @returns {Array<Event>}
+ */
+function createEvents() {
+  return [
+    new Event({
+      id: 'summer',
+      title: 'Summer – Zoë',
+      startDate: new Date(Date.UTC(2025, 6, 14)),
+      endDate: new Date(Date.UTC(2025, 6, 25)),
+      categoryId: 'leave',
+      assignee: 'Zoë',
+    }),
+    new Event({
+      id: 'offsite',
+      title: 'Offsite',
+      description: 'Line one\nLine two',
+      startDate: new Date(Date.UTC(2025, 2, 3)),
+      endDate: new Date(Date.UTC(2025, 2, 4)),
+      calendarId: 'team',
+      endsAM: true,
+    }),
+  ];
+}
+
+/**
+ * Run tests and log results
+ * @returns {Promise<void>}
+ */
+async function runTests() {
+  console.log('=== Running ShareLink tests ===');
+
+  testCreateSharedPlan();
+  await testRoundTrip();
+  await testDamagedLinks();
+  testUrls();
+
+  console.log('=== All ShareLink tests completed ===');
+}
+
+/**
+ * Test that a plan holds its events and only the categories and calendars they use
+ */
+function testCreateSharedPlan() {
+  console.log('Testing shared plans...');
+
+  const plan = createSharedPlan({
+    year: 2025,
+    startMonth: 3,
+    events: createEvents(),
+    categories,
+    calendars,
+    defaultCalendarId: 'personal',
+  });
+
+  console.assert(plan.version === SHARE.VERSION && plan.year === 2025 && plan.startMonth === 3, 'The year and its start should be shared');
+  console.assert(plan.categories.map((c) => c.id).join() === 'leave', `Only used categories should be shared, got ${plan.categories.map((c) => c.id)}`);
+  console.assert(plan.calendars.map((c) => c.id).join() === 'personal,team', `Events without a calendar should share the default one, got ${plan.calendars.map((c) => c.id)}`);
+  console.assert(plan.calendars[1].visible === undefined && plan.calendars[1].readOnly === undefined, 'The sharer’s calendar settings should be left out');
+  console.assert(!('description' in plan.events[0]) && !('startsPM' in plan.events[0]), 'Empty fields should be left out');
+  console.assert(plan.events[1].endsAM === true, 'Fields that are set should be kept');
+
+  console.log('Shared plan tests completed');
+}
+
+/**
+ * Test that a plan survives encoding, with and without compression
+ * @returns {Promise<void>}
+ */
+async function testRoundTrip() {
+  console.log('Testing round trips...');
+
+  const plan = createSharedPlan({
+    year: 2025,
+    startMonth: 0,
+    events: createEvents(),
+    categories,
+    calendars,
+    defaultCalendarId: 'personal',
+  });
+
+  const token = await encodeSharedPlan(plan);
+  console.assert(/^[A-Za-z0-9_-]+$/.test(token), 'Tokens should only use URL-safe characters');
+
+  const decoded = await decodeSharedPlan(token);
+  console.assert(JSON.stringify(decoded) === JSON.stringify(plan), 'A plan should survive a round trip');
+  console.assert(decoded.events[0].assignee === 'Zoë', 'Non-ASCII text should survive');
+  console.assert(decoded.events[1].description === 'Line one\nLine two', 'Line breaks should survive');
+
+  const event = new Event({ ...decoded.events[1], startDate: new Date(decoded.events[1].startDate), endDate: new Date(decoded.events[1].endDate) });
+  console.assert(event.startsPM === false && event.endsAM === true, 'Left-out fields should come back as their defaults');
+
+  if (typeof CompressionStream !== 'undefined') {
+    const saved = globalThis.CompressionStream;
+    globalThis.CompressionStream = undefined;
+    try {
+      const plain = await encodeSharedPlan(plan);
+      console.assert(plain.length > token.length, 'Compressed links should be shorter');
+      console.assert(JSON.stringify(await decodeSharedPlan(plain)) === JSON.stringify(plan), 'Links made without compression should be read');
+    } finally {
+      globalThis.CompressionStream = saved;
+    }
+  }
+
+  console.log('Round trip tests completed');
+}
+
+/**
+ * Test that damaged and unknown links are refused with a reason
+ * @returns {Promise<void>}
+ */
+async function testDamagedLinks() {
+  console.log('Testing damaged links...');
+
+  /**
+   * Get the message a token is refused with
+   * @param {string} token - Token to decode
+   * @returns {Promise<string|null>} The error message, or null if it was read
+   */
+  async function refusal(token) {
+    try {
+      await decodeSharedPlan(token);
+    } catch (error) {
+      return error.message;
+    }
+    return null;
+  }
+
+  const token = await encodeSharedPlan(
+    createSharedPlan({ year: 2025, startMonth: 0, events: createEvents() }),
+  );
+  console.assert(/damaged/.test(await refusal(token.slice(0, token.length / 2))), 'Cut-off links should be refused');
+  console.assert(/damaged/.test(await refusal('x' + token.slice(1))), 'Unknown formats should be refused');
+  console.assert(/damaged/.test(await refusal('j' + btoa('{"version":1}'))), 'Plans without events should be refused');
+
+  const future = 'j' + btoa(JSON.stringify({ version: SHARE.VERSION + 1, year: 2025, events: [], categories: [], calendars: [] }));
+  console.assert(/newer version/.test(await refusal(future)), 'Links from newer planners should say so');
+
+  console.log('Damaged link tests completed');
+}
+
+/**
+ * Test building share links and finding their tokens
+ */
+function testUrls() {
+  console.log('Testing URLs...');
+
+  const url = createShareUrl('https://example.com/planner/?storage=local#share=old', 'zAbC-_');
+  console.assert(url === 'https://example.com/planner/?storage=local#share=zAbC-_', `The token should replace any fragment, got ${url}`);
+  console.assert(getShareToken('#share=zAbC-_') === 'zAbC-_', 'The token should be found in the fragment');
+  console.assert(getShareToken('') === null && getShareToken('#top') === null, 'Other fragments should not share a plan');
+
+  console.log('URL tests completed');
+}
+
+// Export for browser environment
+if (typeof window !== 'undefined') {
+  window.runShareLinkTests = runTests;
+}
+
+export { runTests };